@@ -13,6 +13,10 @@ import RemittancesPage from '@/components/RemittancesPage';
 import SendRemittancePage from '@/components/SendRemittancePage';
 import MyRemittancesPage from '@/components/MyRemittancesPage';
 import MyRecipientsPage from '@/components/MyRecipientsPage';
+import WishlistsPage from '@/components/WishlistsPage';
+import SharedWishlistPage from '@/components/SharedWishlistPage';
+import TrackingPage from '@/components/TrackingPage';
+import CourierDeliveriesPage from '@/components/CourierDeliveriesPage';
 import DashboardPage from '@/components/DashboardPage';
 import AdminPage from '@/components/AdminPage';
 import SettingsPage from '@/components/SettingsPage';
@@ -33,6 +37,9 @@ import { ModalProvider } from '@/contexts/ModalContext';
 import { CurrencyProvider } from '@/contexts/CurrencyContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { trackPageVisit } from '@/lib/analyticsService';
+import { parseWishlistSharePath } from '@/lib/wishlists';
+import { parseTrackingPath } from '@/lib/tracking';
+import { PAGE_PERMISSIONS } from '@/lib/permissions';
 
 // Component to dynamically update page title and apply visual settings
 function DynamicVisualSettings() {
@@ -96,17 +103,21 @@ function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState('home');
   const [detailParams, setDetailParams] = useState({ itemId: null, itemType: null });
+  const [wishlistToken, setWishlistToken] = useState(null);
+  const [trackingToken, setTrackingToken] = useState(null);
 
   // Create protected routes inside App to ensure they have access to context providers
   // This prevents HMR issues where context might not be available
-  const ProtectedUserManagement = React.useMemo(() => withProtectedRoute(UserManagement, 'admin'), []);
-  const ProtectedDashboard = React.useMemo(() => withProtectedRoute(DashboardPage, 'admin'), []);
+  const ProtectedUserManagement = React.useMemo(() => withProtectedRoute(UserManagement, 'admin', PAGE_PERMISSIONS['user-management']), []);
+  const ProtectedDashboard = React.useMemo(() => withProtectedRoute(DashboardPage, 'admin', PAGE_PERMISSIONS.dashboard), []);
   const ProtectedAdmin = React.useMemo(() => withProtectedRoute(AdminPage, 'admin'), []);
-  const ProtectedSettings = React.useMemo(() => withProtectedRoute(SettingsPage, 'admin'), []);
+  const ProtectedSettings = React.useMemo(() => withProtectedRoute(SettingsPage, 'admin', PAGE_PERMISSIONS.settings), []);
   const ProtectedUserPanel = React.useMemo(() => withProtectedRoute(UserPanel, 'user'), []);
   // SendRemittancePage no longer protected - guests can see Step 1, auth required at Step 2
   const ProtectedMyRemittances = React.useMemo(() => withProtectedRoute(MyRemittancesPage, 'user'), []);
   const ProtectedMyRecipients = React.useMemo(() => withProtectedRoute(MyRecipientsPage, 'user'), []);
+  const ProtectedWishlists = React.useMemo(() => withProtectedRoute(WishlistsPage, 'user'), []);
+  const ProtectedCourier = React.useMemo(() => withProtectedRoute(CourierDeliveriesPage, 'courier'), []);
 
   const normalizePath = (path) => path.replace(/\/$/, '') || '/';
 
@@ -135,6 +146,18 @@ function App() {
       return { page: 'product-detail', params: { itemId: comboMatch[1], itemType: 'combo' } };
     }
 
+    // Shared gift list: public, no account needed
+    const wishlistShareToken = parseWishlistSharePath(normalizedPath);
+    if (wishlistShareToken) {
+      return { page: 'shared-wishlist', params: { token: wishlistShareToken } };
+    }
+
+    // Order or remittance tracking: public, no account needed
+    const trackingToken = parseTrackingPath(normalizedPath);
+    if (trackingToken) {
+      return { page: 'tracking', params: { token: trackingToken } };
+    }
+
     const pathToPage = {
       '/': 'home',
       '/products': 'products',
@@ -142,6 +165,8 @@ function App() {
       '/remittances/send': 'send-remittance',
       '/remittances/my': 'my-remittances',
       '/recipients': 'recipients',
+      '/wishlists': 'wishlists',
+      '/courier': 'courier',
       '/dashboard': 'dashboard',
       '/admin': 'admin',
       '/settings': 'settings',
@@ -163,6 +188,12 @@ function App() {
     if (page === 'product-detail' && params) {
       setDetailParams(params);
     }
+    if (page === 'shared-wishlist' && params) {
+      setWishlistToken(params.token);
+    }
+    if (page === 'tracking' && params) {
+      setTrackingToken(params.token);
+    }
 
     const timer = setTimeout(() => {
       setIsLoading(false);
@@ -176,6 +207,12 @@ function App() {
       if (page === 'product-detail' && params) {
         setDetailParams(params);
       }
+      if (page === 'shared-wishlist' && params) {
+        setWishlistToken(params.token);
+      }
+      if (page === 'tracking' && params) {
+        setTrackingToken(params.token);
+      }
     };
 
     window.addEventListener('popstate', handlePopState);
@@ -214,6 +251,8 @@ function App() {
       'send-remittance': '/remittances/send',
       'my-remittances': '/remittances/my',
       recipients: '/recipients',
+      wishlists: '/wishlists',
+      courier: '/courier',
       dashboard: '/dashboard',
       admin: '/admin',
       settings: '/settings',
@@ -226,9 +265,11 @@ function App() {
     };
 
     const newPath = pageToPath[page] || '/';
+    // Optional tab deep link (read by DashboardPage)
+    const newUrl = params.tab ? `${newPath}?tab=${encodeURIComponent(params.tab)}` : newPath;
 
-    if (newPath !== window.location.pathname) {
-      window.history.pushState({ path: newPath }, '', newPath);
+    if (newUrl !== window.location.pathname + window.location.search) {
+      window.history.pushState({ path: newUrl }, '', newUrl);
     }
   };
 
@@ -248,6 +289,14 @@ function App() {
         return <ProtectedMyRemittances onNavigate={handleNavigate} />;
       case 'recipients':
         return <ProtectedMyRecipients onNavigate={handleNavigate} />;
+      case 'wishlists':
+        return <ProtectedWishlists onNavigate={handleNavigate} />;
+      case 'courier':
+        return <ProtectedCourier onNavigate={handleNavigate} />;
+      case 'shared-wishlist':
+        return <SharedWishlistPage onNavigate={handleNavigate} token={wishlistToken} />;
+      case 'tracking':
+        return <TrackingPage onNavigate={handleNavigate} token={trackingToken} />;
       case 'dashboard':
         return <ProtectedDashboard onNavigate={handleNavigate} />;
       case 'admin':
@@ -5,6 +5,7 @@ import { useLanguage } from '@/contexts/LanguageContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { useBusiness } from '@/contexts/BusinessContext';
 import { fetchActivityLogs } from '@/lib/activityLogger';
+import { PERMISSIONS } from '@/lib/permissions';
 import { useRealtimeActivityLogs } from '@/hooks/useRealtimeSubscription';
 import ResponsiveTableWrapper from '@/components/tables/ResponsiveTableWrapper';
 
@@ -34,7 +35,8 @@ const ENTITY_OPTIONS = [
 
 const ActivityLogTab = () => {
   const { t, language } = useLanguage();
-  const { isSuperAdmin } = useAuth();
+  const { can } = useAuth();
+  const canViewLogs = can(PERMISSIONS.ACTIVITY_LOG_VIEW);
   const { visualSettings } = useBusiness();
 
   const [logs, setLogs] = useState([]);
@@ -114,14 +116,14 @@ const ActivityLogTab = () => {
   const totalPages = Math.ceil(logs.length / pageSize);
 
   useEffect(() => {
-    if (!isSuperAdmin) return;
+    if (!canViewLogs) return;
     loadLogs();
-  }, [isSuperAdmin, loadLogs]);
+  }, [canViewLogs, loadLogs]);
 
   useRealtimeActivityLogs({
-    enabled: isSuperAdmin,
+    enabled: canViewLogs,
     onUpdate: () => {
-      if (!isSuperAdmin) return;
+      if (!canViewLogs) return;
       loadLogs();
     }
   });
@@ -183,7 +185,7 @@ const ActivityLogTab = () => {
     }
   ]), [language, t]);
 
-  if (!isSuperAdmin) {
+  if (!canViewLogs) {
     return (
       <div className="p-6 bg-white rounded-xl border border-gray-200 text-center text-gray-600">
         {t('activityLog.onlySuperAdmin') || 'Solo el super admin puede ver el registro de actividad.'}
@@ -44,6 +44,8 @@ import {
   cancelOrder
 } from '@/lib/orderService';
 import { ORDER_STATUS, PAYMENT_STATUS, ITEM_TYPES } from '@/lib/constants';
+import { ORDER_ACTIONS, canTransitionOrder } from '@/lib/orderStateMachine';
+import { getCouriers, assignCourier, DELIVERY_KIND } from '@/lib/courierService';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { useBusiness } from '@/contexts/BusinessContext';
@@ -51,6 +53,7 @@ import { useRealtimeOrders } from '@/hooks/useRealtimeSubscription';
 import { getPrimaryButtonStyle } from '@/lib/styleUtils';
 import ResponsiveTableWrapper from '@/components/tables/ResponsiveTableWrapper';
 import OrderActionButtons from '@/components/admin/OrderActionButtons';
+import CourierAssignSelect from '@/components/admin/CourierAssignSelect';
 import { getTableColumns, getModalColumns } from '@/components/admin/OrderTableConfig';
 import {
   OrderDetailsModal,
@@ -98,7 +101,7 @@ const getStatusIcon = (status, paymentStatus) => {
 
 const AdminOrdersTab = () => {
   const { t } = useLanguage();
-  const { user } = useAuth();
+  const { user, userRole, isAdmin } = useAuth();
   const { visualSettings } = useBusiness();
 
   // State
@@ -132,12 +135,14 @@ const AdminOrdersTab = () => {
   const [confirmModal, setConfirmModal] = useState({ show: false, title: '', message: '', onConfirm: null });
   const [inputModal, setInputModal] = useState({ show: false, title: '', message: '', defaultValue: '', onConfirm: null });
   const [toastMessage, setToastMessage] = useState(null);
+  const [couriers, setCouriers] = useState([]);
 
   const operationSucceeded = (result) => result && !result.error;
 
   // Load orders
   useEffect(() => {
     loadOrders();
+    getCouriers().then(setCouriers).catch(() => setCouriers([]));
   }, []);
 
   // Req 8: Auto-select order from URL parameter ?id=X
@@ -408,6 +413,21 @@ const AdminOrdersTab = () => {
     );
   };
 
+  // Handler: Assign / unassign the courier who delivers the order
+  const handleAssignCourier = async (order, courierId) => {
+    setActionLoading(order.id);
+    try {
+      await assignCourier(DELIVERY_KIND.ORDER, order.id, courierId);
+      showToast(courierId ? t('courier.assign.saved') : t('courier.assign.removed'), 'success');
+      loadOrders();
+    } catch (err) {
+      console.error('Error assigning courier:', err);
+      showToast(`${t('common.error')}: ${err?.message || ''}`, 'error');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   // Handler: Mark Order as Dispatched
   const handleMarkAsDispatched = async (order) => {
     showInput(
@@ -473,7 +493,7 @@ const AdminOrdersTab = () => {
     }
 
     // Validate order status - only allow uploading proof for dispatched orders
-    if (selectedOrder.status !== 'dispatched') {
+    if (!canTransitionOrder(selectedOrder, ORDER_ACTIONS.DELIVER, { deliveryProof: deliveryProofFile })) {
       showToast(t('adminOrders.messages.onlyDispatchedOrders'), 'error');
       return;
     }
@@ -620,9 +640,23 @@ const AdminOrdersTab = () => {
   // Get columns with actions for responsive table
   const columnsWithActions = useMemo(() => {
     const baseColumns = getTableColumns(t, formatDate, formatCurrency, renderTypeIcon);
-    // Add actions column at the end
+    // Courier column and actions column at the end
     return [
       ...baseColumns,
+      {
+        key: 'assigned_courier_id',
+        label: t('courier.assign.label'),
+        width: '150px',
+        render: (value, order) => (
+          <CourierAssignSelect
+            couriers={couriers}
+            value={value}
+            editable={isAdmin && [ORDER_STATUS.PROCESSING, ORDER_STATUS.DISPATCHED].includes(order.status)}
+            onChange={(courierId) => handleAssignCourier(order, courierId)}
+            disabled={actionLoading === order.id}
+          />
+        )
+      },
       {
         key: 'actions',
         label: t('common.actions'),
@@ -630,6 +664,7 @@ const AdminOrdersTab = () => {
         render: (value, order) => (
           <OrderActionButtons
             order={order}
+            userRole={userRole}
             onView={() => viewOrderDetails(order)}
             onValidatePayment={() => handleValidatePayment(order)}
             onRejectPayment={() => handleRejectPayment(order)}
@@ -645,7 +680,10 @@ const AdminOrdersTab = () => {
     ];
   }, [
     t,
+    userRole,
+    isAdmin,
     actionLoading,
+    couriers,
     viewOrderDetails,
     handleValidatePayment,
     handleRejectPayment,
@@ -22,8 +22,19 @@ import {
   generateProofSignedUrl,
   getRemittanceBankAccountDetails,
   getBankAccountByRecipientId,
+  getDeliveryPinStatus,
+  overrideDeliveryPin,
+  DELIVERY_METHODS,
   REMITTANCE_STATUS
 } from '@/lib/remittanceService';
+import { isDeliveryPinSatisfied, getDeliveryPinErrorKey } from '@/lib/deliveryPin';
+import { PERMISSIONS } from '@/lib/permissions';
+import { toast } from '@/components/ui/use-toast';
+import { getCouriers, assignCourier, DELIVERY_KIND } from '@/lib/courierService';
+import ImageProofModal from './ImageProofModal';
+import TooltipButton from './TooltipButton';
+import CourierAssignSelect from './admin/CourierAssignSelect';
+
 async function decryptData(encryptedBase64) {
   const { supabase: sb } = await import('@/lib/supabase');
   const { data, error } = await sb.functions.invoke('bank-account-crypto', {
@@ -32,13 +43,10 @@ async function decryptData(encryptedBase64) {
   if (error) throw new Error('Failed to decrypt data');
   return data.decrypted;
 }
-import { toast } from '@/components/ui/use-toast';
-import ImageProofModal from './ImageProofModal';
-import TooltipButton from './TooltipButton';
 
 const AdminRemittancesTab = () => {
   const { t, language } = useLanguage();
-  const { isAdmin, isSuperAdmin } = useAuth();
+  const { isAdmin, isSuperAdmin, can } = useAuth();
   const { showModal } = useModal();
   const { visualSettings } = useBusiness();
 
@@ -62,8 +70,10 @@ const AdminRemittancesTab = () => {
   const [copied, setCopied] = useState(false);
   const [proofSignedUrl, setProofSignedUrl] = useState(null);
   const [deliveryProofSignedUrl, setDeliveryProofSignedUrl] = useState(null);
+  const [deliverySignatureSignedUrl, setDeliverySignatureSignedUrl] = useState(null);
   const [showPaymentProofModal, setShowPaymentProofModal] = useState(false);
   const [selectedProofUrl, setSelectedProofUrl] = useState(null);
+  const [couriers, setCouriers] = useState([]);
 
   // Helper to format account number with spaces every 4 digits
   const formatAccountNumberDisplay = (accountNumber) => {
@@ -74,6 +84,7 @@ const AdminRemittancesTab = () => {
 
   useEffect(() => {
     loadRemittances();
+    getCouriers().then(setCouriers).catch(() => setCouriers([]));
   }, []);
 
   // Req 8: Auto-select remittance from URL parameter ?id=X
@@ -192,6 +203,17 @@ const AdminRemittancesTab = () => {
     loadDeliveryProofUrl();
   }, [selectedRemittance?.delivery_proof_url]);
 
+  // Recipient signature captured by the courier
+  useEffect(() => {
+    setDeliverySignatureSignedUrl(null);
+    if (!selectedRemittance?.delivery_signature_url) return;
+    generateProofSignedUrl(selectedRemittance.delivery_signature_url, 'remittance-delivery-proofs').then((result) => {
+      if (result.success) {
+        setDeliverySignatureSignedUrl(result.signedUrl);
+      }
+    });
+  }, [selectedRemittance?.delivery_signature_url]);
+
   // Load bank account details when modal opens
   useEffect(() => {
     const loadBankAccountDetails = async () => {
@@ -389,6 +411,23 @@ const AdminRemittancesTab = () => {
     }
   };
 
+  const handleAssignCourier = async (remittance, courierId) => {
+    try {
+      await assignCourier(DELIVERY_KIND.REMITTANCE, remittance.id, courierId);
+      toast({
+        title: t('common.success'),
+        description: courierId ? t('courier.assign.saved') : t('courier.assign.removed')
+      });
+      await loadRemittances();
+    } catch (error) {
+      toast({
+        title: t('common.error'),
+        description: error?.message,
+        variant: 'destructive'
+      });
+    }
+  };
+
   const handleStartProcessing = async (remittance) => {
     const confirmed = await showModal({
       title: t('remittances.admin.process'),
@@ -478,6 +517,59 @@ const AdminRemittancesTab = () => {
       return;
     }
 
+    // Cash remittances: the recipient's PIN, or an audited override
+    let pin = '';
+    if (remittance.remittance_types?.delivery_method === DELIVERY_METHODS.CASH) {
+      let pinStatus;
+      try {
+        pinStatus = await getDeliveryPinStatus(remittance.id);
+      } catch (error) {
+        toast({ title: t('deliveryPin.loadError'), description: error?.message, variant: 'destructive' });
+        return;
+      }
+
+      if (!isDeliveryPinSatisfied(pinStatus)) {
+        if (!pinStatus.locked) {
+          const typedPin = await showModal({
+            title: t('deliveryPin.title'),
+            message: t('deliveryPin.adminPrompt', { count: pinStatus.attemptsLeft }),
+            input: true,
+            inputLabel: t('deliveryPin.label'),
+            inputPlaceholder: t('deliveryPin.placeholder'),
+            confirmText: t('common.continue'),
+            cancelText: t('common.cancel'),
+            type: 'info'
+          });
+          if (typedPin === false) return;
+          pin = typedPin.trim();
+        }
+
+        if (!pin) {
+          const reason = await showModal({
+            title: t('deliveryPin.overrideTitle'),
+            message: t(pinStatus.locked ? 'deliveryPin.overrideLockedMessage' : 'deliveryPin.overrideMessage', {
+              number: remittance.remittance_number
+            }),
+            input: true,
+            required: true,
+            inputLabel: t('deliveryPin.overrideReason'),
+            inputPlaceholder: t('deliveryPin.overrideReasonPlaceholder'),
+            confirmText: t('deliveryPin.override'),
+            cancelText: t('common.cancel'),
+            type: 'warning'
+          });
+          if (reason === false) return;
+
+          try {
+            await overrideDeliveryPin(remittance.id, reason);
+          } catch (error) {
+            toast({ title: t('common.error'), description: error?.message, variant: 'destructive' });
+            return;
+          }
+        }
+      }
+    }
+
     const notes = await showModal({
       title: t('remittances.admin.confirmDelivery'),
       message: t('remittances.admin.confirmDeliveryMessage', {
@@ -497,7 +589,7 @@ const AdminRemittancesTab = () => {
 
     try {
       // Pass null for proofFile since proof must already exist (enforced by validation above)
-      await confirmDelivery(remittance.id, null, notes || '');
+      await confirmDelivery(remittance.id, null, notes || '', { pin });
       toast({
         title: t('common.success'),
         description: t('remittances.admin.deliveryConfirmed')
@@ -505,9 +597,12 @@ const AdminRemittancesTab = () => {
       await loadRemittances();
       setSelectedRemittance(null);
     } catch (error) {
+      const pinError = getDeliveryPinErrorKey(error);
       toast({
         title: t('common.error'),
-        description: error?.message || t('remittances.admin.deliveryConfirmationFailed'),
+        description: pinError
+          ? t(pinError.key, pinError.params)
+          : error?.message || t('remittances.admin.deliveryConfirmationFailed'),
         variant: 'destructive'
       });
     }
@@ -617,8 +712,14 @@ const AdminRemittancesTab = () => {
   };
 
   const renderActionButtons = (remittance) => {
+    // Staff with a permission role only review payments
+    if (!isAdmin && remittance.status !== REMITTANCE_STATUS.PAYMENT_PROOF_UPLOADED) {
+      return null;
+    }
+
     switch (remittance.status) {
       case REMITTANCE_STATUS.PAYMENT_PROOF_UPLOADED:
+        if (!can(PERMISSIONS.REMITTANCE_VALIDATE_PAYMENT)) return null;
         return (
           <div className="flex gap-2">
             <TooltipButton
@@ -725,7 +826,7 @@ const AdminRemittancesTab = () => {
     }
   };
 
-  if (!isAdmin && !isSuperAdmin) {
+  if (!can(PERMISSIONS.REMITTANCE_VIEW)) {
     return (
       <div className="flex flex-col items-center justify-center py-12">
         <AlertTriangle className="h-16 w-16 text-yellow-600 mb-4" />
@@ -967,6 +1068,18 @@ const AdminRemittancesTab = () => {
                   <p className="text-[10px] sm:text-xs text-gray-500 mb-0.5">{t('remittances.recipient.phone')}</p>
                   <p className="text-xs sm:text-sm font-semibold">{remittance.recipient_phone}</p>
                 </div>
+
+                {(remittance.assigned_courier_id || [REMITTANCE_STATUS.PAYMENT_VALIDATED, REMITTANCE_STATUS.PROCESSING].includes(remittance.status)) && (
+                  <div className="col-span-2 sm:col-span-1">
+                    <p className="text-[10px] sm:text-xs text-gray-500 mb-0.5">{t('courier.assign.label')}</p>
+                    <CourierAssignSelect
+                      couriers={couriers}
+                      value={remittance.assigned_courier_id}
+                      editable={isAdmin && [REMITTANCE_STATUS.PAYMENT_VALIDATED, REMITTANCE_STATUS.PROCESSING].includes(remittance.status)}
+                      onChange={(courierId) => handleAssignCourier(remittance, courierId)}
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Footer - Date and Actions */}
@@ -1399,6 +1512,16 @@ const AdminRemittancesTab = () => {
                         </p>
                       </div>
                     )}
+                    {deliverySignatureSignedUrl && (
+                      <div className="bg-gray-50 rounded-lg border border-gray-200 p-2">
+                        <p className="text-xs text-gray-500 mb-1">{t('courier.signature')}</p>
+                        <img
+                          src={deliverySignatureSignedUrl}
+                          alt={t('courier.signature')}
+                          className="w-full h-auto max-h-[160px] object-contain bg-white rounded"
+                        />
+                      </div>
+                    )}
                   </div>
                 ) : null}
               </div>
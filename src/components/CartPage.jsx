@@ -15,8 +15,9 @@ import { convertCurrency } from '@/lib/currencyService';
 import { generateWhatsAppURL, notifyAdminNewPayment, openWhatsAppChat } from '@/lib/whatsappService';
 import { getActiveWhatsappRecipient, getFreshWhatsappRecipient, getFreshNotificationSettings } from '@/lib/notificationSettingsService';
 import { createOrder, uploadPaymentProof } from '@/lib/orderService';
-import { getAvailableZelleAccount } from '@/lib/zelleService';
+import { getAvailableZelleAccount, linkZelleRotationDecision, ZELLE_TRANSACTION_TYPES } from '@/lib/zelleService';
 import { FILE_SIZE_LIMITS, ALLOWED_IMAGE_TYPES } from '@/lib/constants';
+import { ERROR_CODES } from '@/lib/errorHandler';
 import { supabase } from '@/lib/supabase';
 import { calculateOrderTotal } from '@/lib/priceCalculationService';
 import { validateAndGetOffer, recordOfferUsage } from '@/lib/orderDiscountService';
@@ -31,10 +32,12 @@ import ConfirmationModal from '@/components/ui/ConfirmationModal';
 import ZelleAccountDisplay from '@/components/shared/ZelleAccountDisplay';
 import { useUserDiscounts } from '@/hooks/useUserDiscounts';
 import { useModal } from '@/contexts/ModalContext';
+import { getCartLineKey } from '@/lib/productVariants';
+import { CART_CHANGE } from '@/lib/cartSync';
 
 const CartPage = ({ onNavigate }) => {
   const { t, language } = useLanguage();
-  const { cart, updateCartQuantity, removeFromCart, clearCart, financialSettings, zelleAccounts, visualSettings, businessInfo, notificationSettings } = useBusiness();
+  const { cart, updateCartQuantity, removeFromCart, clearCart, cartChanges, dismissCartChanges, financialSettings, zelleAccounts, visualSettings, businessInfo, notificationSettings } = useBusiness();
   const { isAuthenticated, user } = useAuth();
   const { selectedCurrency, setSelectedCurrency, currencies, currencyCode, currencySymbol, convertAmount } = useCurrency();
   const { showModal } = useModal();
@@ -671,20 +674,17 @@ const CartPage = ({ onNavigate }) => {
 
       // Get Zelle account: prioritize user selection, fallback to automatic assignment
       let selectedZelleAccountId = selectedZelle?.id || null;
+      let zelleRotationDecisionId = null;
 
       if (!selectedZelleAccountId) {
-        // User didn't select a Zelle account, assign one automatically
+        // User didn't select a Zelle account, assign one with the configured rotation strategy
         try {
-          const zelleResult = await getAvailableZelleAccount('order', totalAmount);
-          if (zelleResult.success && zelleResult.account) {
-            selectedZelleAccountId = zelleResult.account.id;
-          } else {
-            console.warn('[CartPage] No Zelle accounts available:', zelleResult.error);
-          }
+          const zelleAccount = await getAvailableZelleAccount(ZELLE_TRANSACTION_TYPES.PRODUCT, totalAmount);
+          selectedZelleAccountId = zelleAccount.id;
+          zelleRotationDecisionId = zelleAccount.rotation?.decisionId || null;
         } catch (zelleError) {
           console.error('[CartPage] Error getting Zelle account:', zelleError);
         }
-      } else {
       }
 
       // Debug logs
@@ -720,6 +720,7 @@ const CartPage = ({ onNavigate }) => {
 
       // Create order (returns order object directly, throws on error)
       const createdOrder = await createOrder(orderData, orderItems);
+      linkZelleRotationDecision(zelleRotationDecisionId, createdOrder.id);
 
       // ============================================================
       // ORDER CREATED SUCCESSFULLY - From here, NOTHING should block
@@ -828,6 +829,14 @@ const CartPage = ({ onNavigate }) => {
 
     } catch (error) {
       console.error('Error confirming payment:', error);
+      if (error.code === ERROR_CODES.INSUFFICIENT_STOCK) {
+        toast({
+          title: t('cart.payment.insufficientStock'),
+          description: t('cart.payment.insufficientStockDesc'),
+          variant: 'destructive'
+        });
+        return;
+      }
       toast({
         title: language === 'es' ? 'Error al procesar' : 'Processing error',
         description: error.message || (language === 'es'
@@ -1289,6 +1298,44 @@ const CartPage = ({ onNavigate }) => {
         <motion.div initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} className="text-center mb-12">
           <h1 className="text-4xl font-bold mb-4" style={getHeadingStyle(visualSettings)}>{t('cart.title')}</h1>
         </motion.div>
+        {cartChanges.length > 0 && (
+          <div className="mb-6 p-4 rounded-lg border border-amber-300 bg-amber-50 text-amber-900">
+            <div className="flex items-start justify-between gap-3">
+              <div className="space-y-1">
+                <p className="font-semibold flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  {t('cart.changes.title')}
+                </p>
+                <ul className="text-sm list-disc pl-5 space-y-0.5">
+                  {cartChanges.map(change => {
+                    const name = language === 'es'
+                      ? (change.item.name_es || change.item.name)
+                      : (change.item.name_en || change.item.name_es || change.item.name);
+                    const label = change.item.variantLabel ? `${name} (${change.item.variantLabel})` : name;
+                    return (
+                      <li key={`${change.lineKey}-${change.type}`}>
+                        {change.type === CART_CHANGE.PRICE_CHANGED
+                          ? t('cart.changes.price_changed', {
+                              name: label,
+                              oldPrice: change.oldPrice.toFixed(2),
+                              newPrice: change.newPrice.toFixed(2),
+                              currency: change.currencyCode || ''
+                            })
+                          : t(`cart.changes.${change.type}`, {
+                              name: label,
+                              quantity: change.newQuantity
+                            })}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+              <button onClick={dismissCartChanges} className="text-amber-700 hover:text-amber-900" aria-label={t('common.close')}>
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
         {cart.length === 0 ? (
           <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-center py-16">
             <ShoppingCart className="w-24 h-24 text-gray-300 mx-auto mb-6" />
@@ -1306,6 +1353,7 @@ const CartPage = ({ onNavigate }) => {
                   : (item.name_en || item.name || 'Product');
                 const displayImage = item.image_url || item.image;
                 const isCombo = !!item.products;
+                const lineKey = getCartLineKey(item);
 
                 // Calculate converted prices for display
                 const exchangeRate = currencyCode === 'USD' ? 1 : (convertedSubtotal !== null ? convertedSubtotal / subtotal : 1);
@@ -1313,7 +1361,7 @@ const CartPage = ({ onNavigate }) => {
                 const convertedItemTotal = itemTotal * exchangeRate;
 
                 return (
-                  <motion.div key={item.id} layout className="glass-effect p-4 rounded-2xl">
+                  <motion.div key={lineKey} layout className="glass-effect p-4 rounded-2xl">
                     <div className="flex items-start gap-4">
                       {/* Product Image */}
                       <div className="w-24 h-24 rounded-lg flex-shrink-0 bg-gradient-to-br from-gray-100 to-gray-200 overflow-hidden">
@@ -1339,6 +1387,9 @@ const CartPage = ({ onNavigate }) => {
                           {displayName}
                           {isCombo && <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-2 py-1 rounded-full">COMBO</span>}
                         </h3>
+                        {item.variantLabel && (
+                          <p className="text-xs text-gray-500 mb-1">{item.variantLabel}</p>
+                        )}
                         <p className="text-sm text-gray-500 mb-2">
                           {language === 'es' ? 'Precio unitario: ' : 'Unit price: '}
                           <span className="font-semibold" style={{ color: visualSettings.accentColor || '#9333ea' }}>
@@ -1355,7 +1406,7 @@ const CartPage = ({ onNavigate }) => {
                         <Button
                           size="icon"
                           variant="outline"
-                          onClick={() => updateCartQuantity(item.id, item.quantity - 1)}
+                          onClick={() => updateCartQuantity(lineKey, item.quantity - 1)}
                           className="h-8 w-8"
                         >
                           <Minus className="h-4 w-4" />
@@ -1364,7 +1415,7 @@ const CartPage = ({ onNavigate }) => {
                         <Button
                           size="icon"
                           variant="outline"
-                          onClick={() => updateCartQuantity(item.id, item.quantity + 1)}
+                          onClick={() => updateCartQuantity(lineKey, item.quantity + 1)}
                           className="h-8 w-8"
                         >
                           <Plus className="h-4 w-4" />
@@ -1375,7 +1426,7 @@ const CartPage = ({ onNavigate }) => {
                       <Button
                         size="icon"
                         variant="ghost"
-                        onClick={() => removeFromCart(item.id)}
+                        onClick={() => removeFromCart(lineKey)}
                         className="flex-shrink-0"
                       >
                         <X className="h-5 w-5 text-red-500" />
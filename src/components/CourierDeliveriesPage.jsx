@@ -0,0 +1,296 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Truck, MapPin, Phone, Package, DollarSign, Camera, RefreshCw, CheckCircle, KeyRound } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { toast } from '@/components/ui/use-toast';
+import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
+import { getMyDeliveryQueue, confirmCourierDelivery, DELIVERY_KIND } from '@/lib/courierService';
+import { groupDeliveriesByLocation, isDeliverableStop } from '@/lib/deliveryQueue';
+import { getDeliveryPinStatus, DELIVERY_METHODS } from '@/lib/remittanceService';
+import {
+  DELIVERY_PIN_LENGTH,
+  isWellFormedDeliveryPin,
+  isDeliveryPinSatisfied,
+  getDeliveryPinErrorKey
+} from '@/lib/deliveryPin';
+import SignaturePad from '@/components/courier/SignaturePad';
+
+/**
+ * Delivery form of one stop: proof photo, recipient signature and, for
+ * remittances, delivery notes and (cash) the recipient's delivery PIN
+ */
+const DeliveryForm = ({ stop, onDelivered, onCancel }) => {
+  const { t } = useLanguage();
+  const { visualSettings } = useBusiness();
+  const [photoFile, setPhotoFile] = useState(null);
+  const [signatureFile, setSignatureFile] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [pin, setPin] = useState('');
+  const [pinStatus, setPinStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isCashRemittance = stop.kind === DELIVERY_KIND.REMITTANCE && stop.deliveryMethod === DELIVERY_METHODS.CASH;
+  const needsPin = isCashRemittance && !isDeliveryPinSatisfied(pinStatus);
+
+  useEffect(() => {
+    if (!isCashRemittance) return;
+    getDeliveryPinStatus(stop.id)
+      .then(setPinStatus)
+      .catch(error => toast({ title: t('deliveryPin.loadError'), description: error.message, variant: 'destructive' }));
+  }, [isCashRemittance, stop.id, t]);
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    try {
+      await confirmCourierDelivery(stop, { photoFile, signatureFile, notes, pin });
+      toast({ title: t('courier.delivered', { number: stop.number }) });
+      onDelivered();
+    } catch (error) {
+      const pinError = getDeliveryPinErrorKey(error);
+      toast({
+        title: t('common.error'),
+        description: pinError ? t(pinError.key, pinError.params) : error.message,
+        variant: 'destructive'
+      });
+      if (pinError) {
+        setPin('');
+        getDeliveryPinStatus(stop.id).then(setPinStatus).catch(() => {});
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200 space-y-3">
+      {isCashRemittance && (
+        pinStatus?.locked && needsPin ? (
+          <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded px-2 py-1">{t('deliveryPin.locked')}</p>
+        ) : needsPin ? (
+          <label className="block">
+            <span className="text-xs font-medium text-gray-700 flex items-center gap-1 mb-1">
+              <KeyRound className="h-3.5 w-3.5" />
+              {t('deliveryPin.label')}
+            </span>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={DELIVERY_PIN_LENGTH + 2}
+              value={pin}
+              onChange={e => setPin(e.target.value)}
+              placeholder={t('deliveryPin.placeholder')}
+              className="w-full px-3 py-2 text-lg font-mono tracking-widest border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </label>
+        ) : pinStatus?.required && (
+          <p className="text-xs text-green-700 flex items-center gap-1">
+            <KeyRound className="h-3.5 w-3.5" />
+            {t(pinStatus.overridden ? 'deliveryPin.overridden' : 'deliveryPin.verified')}
+          </p>
+        )
+      )}
+
+      <label className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-sm cursor-pointer hover:bg-gray-50">
+        <Camera className="h-4 w-4" />
+        <span className="truncate">{photoFile ? photoFile.name : t('courier.takePhoto')}</span>
+        <input
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={e => setPhotoFile(e.target.files?.[0] || null)}
+          className="hidden"
+        />
+      </label>
+
+      <div>
+        <p className="text-xs font-medium text-gray-700 mb-1">{t('courier.signature')}</p>
+        <SignaturePad
+          onChange={setSignatureFile}
+          placeholder={t('courier.signHere')}
+          clearLabel={t('courier.clearSignature')}
+        />
+      </div>
+
+      {stop.kind === DELIVERY_KIND.REMITTANCE && (
+        <textarea
+          value={notes}
+          onChange={e => setNotes(e.target.value)}
+          placeholder={t('courier.deliveryNotes')}
+          rows={2}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+      )}
+
+      <div className="flex gap-2">
+        <Button variant="outline" className="flex-1" onClick={onCancel} disabled={saving}>
+          {t('common.cancel')}
+        </Button>
+        <Button
+          className="flex-1"
+          onClick={handleConfirm}
+          disabled={saving || !photoFile || !signatureFile || (isCashRemittance && (!pinStatus || (needsPin && !isWellFormedDeliveryPin(pin))))}
+          style={getPrimaryButtonStyle(visualSettings)}
+        >
+          <CheckCircle className="h-4 w-4 mr-2" />
+          {t('courier.confirm')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Courier Deliveries Page
+ * Mobile queue of the remittances and orders assigned to the signed-in
+ * courier, grouped by province and municipality in the order of their saved
+ * route, where each delivery is recorded with a photo and the recipient's
+ * signature.
+ */
+const CourierDeliveriesPage = () => {
+  const { t, language } = useLanguage();
+  const { visualSettings } = useBusiness();
+  const [stops, setStops] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeStopId, setActiveStopId] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      setStops(await getMyDeliveryQueue());
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const groups = useMemo(() => groupDeliveriesByLocation(stops), [stops]);
+
+  const handleDelivered = () => {
+    setActiveStopId(null);
+    loadQueue();
+  };
+
+  return (
+    <div className="min-h-screen py-6 px-3">
+      <div className="container mx-auto max-w-2xl space-y-4">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-bold flex items-center gap-2" style={getHeadingStyle(visualSettings)}>
+              <Truck className="h-6 w-6" />
+              {t('courier.title')}
+            </h1>
+            <p className="text-gray-600 text-sm">{t('courier.subtitle', { count: stops.length })}</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={loadQueue} disabled={loading} title={t('dashboard.refresh')}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+
+        {loading && stops.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">{t('common.loading')}</p>
+        ) : stops.length === 0 ? (
+          <div className="glass-effect p-8 rounded-xl text-center text-gray-600">
+            <Truck className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            {t('courier.empty')}
+          </div>
+        ) : (
+          groups.map(group => (
+            <section key={group.province || '-'} className="space-y-3">
+              <h2 className="text-lg font-bold flex items-center gap-2">
+                <MapPin className="h-5 w-5 text-purple-600" />
+                {group.province || t('courier.unknownProvince')}
+                <span className="text-sm font-normal text-gray-500">({group.count})</span>
+              </h2>
+
+              {group.municipalities.map(({ municipality, stops: municipalityStops }) => (
+                <div key={municipality || '-'} className="space-y-2">
+                  <h3 className="text-sm font-semibold text-gray-700 pl-1">
+                    {municipality || t('courier.unknownMunicipality')}
+                  </h3>
+
+                  {municipalityStops.map(stop => {
+                    const deliverable = isDeliverableStop(stop);
+                    const isRemittance = stop.kind === DELIVERY_KIND.REMITTANCE;
+                    return (
+                      <motion.div
+                        key={`${stop.kind}:${stop.id}`}
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="glass-effect p-4 rounded-xl"
+                      >
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="min-w-0">
+                            <p className="font-bold truncate">{stop.recipientName || '—'}</p>
+                            <p className="text-xs text-gray-500 flex items-center gap-1">
+                              {isRemittance ? <DollarSign className="h-3.5 w-3.5" /> : <Package className="h-3.5 w-3.5" />}
+                              {stop.routePosition != null && `#${stop.routePosition} · `}
+                              {t(`courier.kind.${stop.kind}`)} · {stop.number}
+                            </p>
+                          </div>
+                          {stop.phone && (
+                            <a
+                              href={`tel:${stop.phone}`}
+                              className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-green-50 text-green-700 text-sm whitespace-nowrap"
+                            >
+                              <Phone className="h-4 w-4" />
+                              {stop.phone}
+                            </a>
+                          )}
+                        </div>
+
+                        {stop.address && <p className="text-sm text-gray-700 mt-2">{stop.address}</p>}
+
+                        {isRemittance ? (
+                          <p className="text-sm mt-2">
+                            <span className="text-gray-500">{t('courier.toDeliver')}: </span>
+                            <span className="font-semibold">{Number(stop.amount || 0).toFixed(2)} {stop.currency}</span>
+                            {stop.deliveryMethod && <span className="text-gray-500 capitalize"> · {stop.deliveryMethod}</span>}
+                          </p>
+                        ) : (
+                          <ul className="text-sm mt-2 text-gray-700 list-disc pl-5">
+                            {stop.items.map((item, index) => (
+                              <li key={index}>{item.quantity} × {language === 'es' ? item.name : item.nameEn}</li>
+                            ))}
+                          </ul>
+                        )}
+
+                        {stop.notes && (
+                          <p className="text-xs text-gray-600 mt-2 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">{stop.notes}</p>
+                        )}
+
+                        {activeStopId === stop.id ? (
+                          <DeliveryForm stop={stop} onDelivered={handleDelivered} onCancel={() => setActiveStopId(null)} />
+                        ) : deliverable ? (
+                          <Button
+                            className="w-full mt-3"
+                            onClick={() => setActiveStopId(stop.id)}
+                            style={getPrimaryButtonStyle(visualSettings)}
+                          >
+                            <Truck className="h-4 w-4 mr-2" />
+                            {t('courier.deliver')}
+                          </Button>
+                        ) : (
+                          <p className="text-xs text-gray-500 mt-3 text-center">{t('courier.notDispatched')}</p>
+                        )}
+                      </motion.div>
+                    );
+                  })}
+                </div>
+              ))}
+            </section>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CourierDeliveriesPage;
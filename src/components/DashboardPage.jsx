@@ -6,6 +6,7 @@ import { useBusiness } from '@/contexts/BusinessContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { supabase } from '@/lib/supabase';
 import { getHeadingStyle } from '@/lib/styleUtils';
+import { PERMISSIONS } from '@/lib/permissions';
 import { useRealtimeOrders, useRealtimeRemittances, useRealtimeSubscription } from '@/hooks/useRealtimeSubscription';
 import TabsResponsive from './TabsResponsive';
 import AdminOrdersTab from './AdminOrdersTab';
@@ -13,12 +14,14 @@ import AdminRemittancesTab from './AdminRemittancesTab';
 import AdminOffersTab from './AdminOffersTab';
 import RemittanceTypesConfig from './RemittanceTypesConfig';
 import ZellePaymentHistoryTab from './admin/ZellePaymentHistoryTab';
+import ReconciliationLedgerTab from './admin/ReconciliationLedgerTab';
+import DispatchPlannerTab from './admin/DispatchPlannerTab';
 import ActivityLogTab from './ActivityLogTab';
 
 const DashboardPage = ({ onNavigate }) => {
   const { t, language } = useLanguage();
   const { products, combos, financialSettings, visualSettings } = useBusiness();
-  const { user, isAdmin, isSuperAdmin } = useAuth();
+  const { user, isAdmin, isSuperAdmin, can } = useAuth();
 
   // Tab state
   const [activeTab, setActiveTab] = useState('overview'); // 'overview' or 'orders'
@@ -28,7 +31,7 @@ const DashboardPage = ({ onNavigate }) => {
     const urlParams = new URLSearchParams(window.location.search);
     const tabParam = urlParams.get('tab');
 
-    const validTabs = ['overview', 'orders', 'remittances', 'remittance-types', 'offers', 'activity-log', 'zelle-history'];
+    const validTabs = ['overview', 'orders', 'remittances', 'dispatch', 'remittance-types', 'offers', 'activity-log', 'zelle-history', 'reconciliation'];
 
     if (tabParam && validTabs.includes(tabParam)) {
       setActiveTab(tabParam);
@@ -512,7 +515,23 @@ const DashboardPage = ({ onNavigate }) => {
     return converted.toFixed(2);
   };
 
-  if (!user || (!isAdmin && !isSuperAdmin)) {
+  // Admins keep every admin tab; staff with a permission role only see the
+  // tabs their permissions cover
+  const tabAccess = {
+    overview: isAdmin,
+    orders: can(PERMISSIONS.ORDER_VIEW),
+    remittances: can(PERMISSIONS.REMITTANCE_VIEW),
+    dispatch: isAdmin,
+    'remittance-types': isAdmin,
+    offers: isAdmin,
+    'activity-log': can(PERMISSIONS.ACTIVITY_LOG_VIEW),
+    'zelle-history': can(PERMISSIONS.ZELLE_VIEW_HISTORY),
+    reconciliation: isSuperAdmin
+  };
+  const allowedTabs = Object.keys(tabAccess).filter(tabId => tabAccess[tabId]);
+  const currentTab = allowedTabs.includes(activeTab) ? activeTab : allowedTabs[0];
+
+  if (!user || allowedTabs.length === 0) {
     return (
       <div className="min-h-screen flex items-center justify-center py-8 px-4">
         <motion.div
@@ -548,7 +567,7 @@ const DashboardPage = ({ onNavigate }) => {
               {t('dashboard.subtitle')}
             </p>
           </div>
-          {activeTab === 'overview' && (
+          {currentTab === 'overview' && (
             <div className="flex flex-col gap-3">
               <div className="flex items-center gap-2">
                 <label className="text-sm font-medium text-gray-700">
@@ -1063,6 +1082,12 @@ const DashboardPage = ({ onNavigate }) => {
                   <AdminRemittancesTab />
                 </motion.div>
               )
+            },
+            {
+              id: 'dispatch',
+              label: 'dashboard.dispatchTab',
+              icon: <Truck className="h-5 w-5" />,
+              content: <DispatchPlannerTab />
             },
              {
               id: 'remittance-types',
@@ -1092,7 +1117,7 @@ const DashboardPage = ({ onNavigate }) => {
                 </motion.div>
               )
             },
-            ...(isSuperAdmin ? [{
+            {
               id: 'activity-log',
               label: 'dashboard.activityLogTab',
               icon: <ShieldCheck className="h-5 w-5" />,
@@ -1105,7 +1130,7 @@ const DashboardPage = ({ onNavigate }) => {
                   <ActivityLogTab />
                 </motion.div>
               )
-            }] : []),
+            },
            
             {
               id: 'zelle-history',
@@ -1120,9 +1145,15 @@ const DashboardPage = ({ onNavigate }) => {
                   <ZellePaymentHistoryTab />
                 </motion.div>
               )
+            },
+            {
+              id: 'reconciliation',
+              label: 'dashboard.reconciliationTab',
+              icon: <FileText className="h-5 w-5" />,
+              content: <ReconciliationLedgerTab />
             }
-          ]}
-          activeTab={activeTab}
+          ].filter(tab => tabAccess[tab.id])}
+          activeTab={currentTab}
           onTabChange={setActiveTab}
         />
       </div>
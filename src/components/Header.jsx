@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Menu, X, ShoppingBag, Globe, DollarSign, BarChart3, Settings, ShoppingCart, User as UserIcon, LogIn, LogOut, ShieldCheck, Users, LayoutDashboard, ChevronDown, Crown, Zap, Star, Home, Package, Banknote, BookOpen } from 'lucide-react';
+import { Menu, X, ShoppingBag, Globe, DollarSign, BarChart3, Settings, ShoppingCart, User as UserIcon, LogIn, LogOut, ShieldCheck, Users, LayoutDashboard, ChevronDown, Heart, Truck, Crown, Zap, Star, Home, Package, Banknote, BookOpen } from 'lucide-react';
 import { UserAvatar } from '@/components/ui/user-avatar';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
@@ -9,6 +9,7 @@ import { useAuth } from '@/contexts/AuthContext';
 import { toast } from '@/components/ui/use-toast';
 import { getPendingOrdersCount } from '@/lib/orderService';
 import { semanticColors } from '@/lib/colorTokens';
+import { PAGE_PERMISSIONS } from '@/lib/permissions';
 
 const Header = ({ currentPage, onNavigate }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -18,7 +19,7 @@ const Header = ({ currentPage, onNavigate }) => {
   const [isMobileUser, setIsMobileUser] = useState(false);
   const { language, setLanguage, t } = useLanguage();
   const { cart, visualSettings } = useBusiness();
-  const { user, isAdmin, userRole, userCategory } = useAuth();
+  const { user, isAdmin, userRole, userCategory, canAny } = useAuth();
 
   // Detect mobile viewport for user-friendly quick nav
   const MOBILE_BREAKPOINT = 740;
@@ -52,13 +53,13 @@ const Header = ({ currentPage, onNavigate }) => {
 
   
 
-  // Admin menu items (grouped)
+  // Admin menu items (grouped); staff see the pages their permissions open
   const adminMenuItems = [
     { id: 'dashboard', icon: BarChart3, label: t('nav.dashboard') },
     { id: 'admin', icon: LayoutDashboard, label: t('nav.admin') },
     { id: 'user-management', icon: Users, label: t('nav.userManagement') },
     { id: 'settings', icon: Settings, label: t('nav.settings') },
-  ];
+  ].filter(item => isAdmin || canAny(PAGE_PERMISSIONS[item.id] || []));
 
   const { logout } = useAuth();
 
@@ -232,7 +233,7 @@ const Header = ({ currentPage, onNavigate }) => {
             })}
 
             {/* Admin dropdown */}
-            {isAdmin && (() => {
+            {adminMenuItems.length > 0 && (() => {
               const adminIsActive = adminMenuItems.some(i => currentPage === i.id);
               const adminActiveBg = visualSettings.navBarActiveBgColor || visualSettings.primaryColor || semanticColors.primary.main;
               const adminActiveText = visualSettings.navBarActiveTextColor || '#ffffff';
@@ -435,6 +436,32 @@ const Header = ({ currentPage, onNavigate }) => {
                           {language === 'es' ? 'Panel de Usuario' : 'User Panel'}
                         </button>
 
+                        {/* Wishlists */}
+                        <button
+                          onClick={() => {
+                            onNavigate('wishlists');
+                            setIsUserMenuOpen(false);
+                          }}
+                          className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        >
+                          <Heart className="w-4 h-4" />
+                          {t('wishlists.title')}
+                        </button>
+
+                        {/* Courier delivery queue */}
+                        {userRole === 'courier' && (
+                          <button
+                            onClick={() => {
+                              onNavigate('courier');
+                              setIsUserMenuOpen(false);
+                            }}
+                            className="w-full flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                          >
+                            <Truck className="w-4 h-4" />
+                            {t('courier.title')}
+                          </button>
+                        )}
+
                         <div className="border-t border-gray-100 my-1" />
 
                         {/* Logout */}
@@ -564,7 +591,7 @@ const Header = ({ currentPage, onNavigate }) => {
                 })}
 
                 {/* Admin section */}
-                {isAdmin && (
+                {adminMenuItems.length > 0 && (
                   <>
                     <div
                       className="pt-2 pb-1 px-2 text-xs font-semibold uppercase opacity-70"
@@ -27,6 +27,8 @@ import { useRealtimeRemittances } from '@/hooks/useRealtimeSubscription';
 import SkeletonCard from '@/components/ui/SkeletonCard';
 import SearchFilterBar from '@/components/ui/SearchFilterBar';
 import RemittanceTimeline from '@/components/ui/RemittanceTimeline';
+import DeliveryPinCard from '@/components/shared/DeliveryPinCard';
+import TrackingLinkButton from '@/components/shared/TrackingLinkButton';
 
 const MyRemittancesPage = ({ onNavigate }) => {
   const { t, language } = useLanguage();
@@ -1008,6 +1010,16 @@ const MyRemittancesPage = ({ onNavigate }) => {
                   </div>
                 </div>
 
+                {/* Enlace público de seguimiento, para compartir con el destinatario */}
+                <TrackingLinkButton token={selectedRemittance.tracking_token} />
+
+                {/* PIN de entrega - solo para el remitente, hasta que se entregue */}
+                {selectedRemittance.remittance_types?.delivery_method === 'cash' &&
+                  selectedRemittance.user_id === user?.id &&
+                  ![REMITTANCE_STATUS.DELIVERED, REMITTANCE_STATUS.COMPLETED, REMITTANCE_STATUS.CANCELLED].includes(selectedRemittance.status) && (
+                  <DeliveryPinCard key={selectedRemittance.id} remittanceId={selectedRemittance.id} />
+                )}
+
                 {/* Destinatario */}
                 <div className="pt-4 border-t">
                   <h3 className="font-bold mb-3 flex items-center gap-2 text-sm sm:text-base">
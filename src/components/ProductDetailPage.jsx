@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { ChevronLeft, ChevronRight, ArrowRight, ShoppingCart, Package, Tag } from 'lucide-react';
 import { Button } from '@/components/ui/button';
@@ -9,6 +9,8 @@ import { useCurrency } from '@/contexts/CurrencyContext';
 import { CurrencySelector } from '@/components/CurrencySelector';
 import { toast } from '@/components/ui/use-toast';
 import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
+import SaveToWishlistButton from '@/components/SaveToWishlistButton';
+import { groupProductVariants, pickDefaultVariant, buildVariantCartItem, getVariantLabel } from '@/lib/productVariants';
 
 // Product Thumbnail Component with Toggle
 const ProductThumbnail = ({ product, selectedCurrency, currencySymbol, currencyCode, convertAmount, quantity = 1 }) => {
@@ -108,19 +110,36 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [currentList, setCurrentList] = useState([]);
   const [showTransition, setShowTransition] = useState(false);
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
+
+  // Catalog list: variants are picked inside their parent product
+  const catalogProducts = useMemo(() => groupProductVariants(products), [products]);
 
   useEffect(() => {
     // Determine which list to use based on itemType
-    const list = itemType === 'combo' ? combos : products;
+    const list = itemType === 'combo' ? combos : catalogProducts;
     setCurrentList(list);
 
+    // A variant id opens its parent with that variant selected
+    const variant = itemType === 'combo' ? null : products.find(p => p.id === itemId && p.parent_product_id);
+    const lookupId = variant ? variant.parent_product_id : itemId;
+
     // Find the current item index
-    const index = list.findIndex(item => item.id === itemId);
+    const index = list.findIndex(item => item.id === lookupId);
     if (index !== -1) {
       setCurrentIndex(index);
       setCurrentItem(list[index]);
+      setSelectedVariantId(pickDefaultVariant(list[index].variants, variant?.id)?.id || null);
+    }
+  }, [itemId, itemType, products, combos, catalogProducts]);
+
+  // Keep a valid variant selected while browsing
+  useEffect(() => {
+    const variants = currentItem?.variants || [];
+    if (!variants.some(variant => variant.id === selectedVariantId)) {
+      setSelectedVariantId(pickDefaultVariant(variants)?.id || null);
     }
-  }, [itemId, itemType, products, combos]);
+  }, [currentItem, selectedVariantId]);
 
 
   const getDisplayPrice = (item, isProduct) => {
@@ -216,19 +235,19 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
       }
     } else if (!currentIsProduct && currentIndex === currentList.length - 1) {
       // At last combo, transition to first product
-      if (products.length > 0) {
-        const firstProduct = products[0];
-        setCurrentList(products);
+      if (catalogProducts.length > 0) {
+        const firstProduct = catalogProducts[0];
+        setCurrentList(catalogProducts);
         setCurrentIndex(0);
         setCurrentItem(firstProduct);
         setShowTransition(false);
       }
     } else if (!currentIsProduct && currentIndex === 0) {
       // At first combo, transition to last product
-      if (products.length > 0) {
-        const lastProduct = products[products.length - 1];
-        setCurrentList(products);
-        setCurrentIndex(products.length - 1);
+      if (catalogProducts.length > 0) {
+        const lastProduct = catalogProducts[catalogProducts.length - 1];
+        setCurrentList(catalogProducts);
+        setCurrentIndex(catalogProducts.length - 1);
         setCurrentItem(lastProduct);
         setShowTransition(false);
       }
@@ -238,11 +257,11 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
   const handleAddToCart = () => {
     // For display consistency, use the price already shown in the current selected currency
     // This ensures what user sees is what gets added to cart
-    const displayedPrice = parseFloat(getDisplayPrice(currentItem, isProduct));
+    const displayedPrice = parseFloat(getDisplayPrice(displayItem, isProduct));
 
-    // Add to cart with price and currency info
+    // Add to cart with price and currency info (the selected variant, if any)
     const itemWithPrice = {
-      ...currentItem,
+      ...displayItem,
       displayed_price: displayedPrice,
       displayed_currency_code: currencyCode,
       displayed_currency_id: selectedCurrency
@@ -250,8 +269,8 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
 
     addToCart(itemWithPrice);
     const itemName = language === 'es'
-      ? (currentItem.name_es || currentItem.name)
-      : (currentItem.name_en || currentItem.name_es || currentItem.name);
+      ? (displayItem.name_es || displayItem.name)
+      : (displayItem.name_en || displayItem.name_es || displayItem.name);
     toast({
       title: t('products.addedToCart'),
       description: `${itemName} ${t('products.addedToCartDesc')}`,
@@ -282,7 +301,12 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
   }
 
   const isProduct = !currentItem.products; // Products don't have a 'products' array
-  const price = getDisplayPrice(currentItem, isProduct);
+  const variants = isProduct ? (currentItem.variants || []) : [];
+  const selectedVariant = variants.find(variant => variant.id === selectedVariantId) || null;
+  // Price, image and stock come from the selected variant
+  const displayItem = selectedVariant ? buildVariantCartItem(currentItem, selectedVariant) : currentItem;
+  const price = getDisplayPrice(displayItem, isProduct);
+  const isVariantOutOfStock = !isAdmin && selectedVariant !== null && (selectedVariant.stock || 0) <= 0;
 
   return (
     <div className="min-h-screen py-8 px-4">
@@ -305,9 +329,9 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
             className="relative"
           >
             <div className="aspect-square rounded-2xl overflow-hidden bg-gray-100 relative">
-              {currentItem.image_url || currentItem.image ? (
+              {displayItem.image_url || displayItem.image ? (
                 <img
-                  src={currentItem.image_url || currentItem.image}
+                  src={displayItem.image_url || displayItem.image}
                   alt={currentItem.name_es || currentItem.name}
                   className="w-full h-full object-cover"
                 />
@@ -394,6 +418,34 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
               )}
             </div>
 
+            {/* Variant picker */}
+            {variants.length > 0 && (
+              <div className="glass-effect p-6 rounded-xl">
+                <h3 className="font-semibold text-sm text-gray-700 mb-3">{t('products.variants.pick')}</h3>
+                <div className="flex flex-wrap gap-2">
+                  {variants.map(variant => {
+                    const isSelected = variant.id === selectedVariantId;
+                    const variantOutOfStock = (variant.stock || 0) <= 0;
+                    return (
+                      <button
+                        key={variant.id}
+                        type="button"
+                        onClick={() => setSelectedVariantId(variant.id)}
+                        className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition-colors ${
+                          isSelected ? 'border-purple-600 bg-purple-50 text-purple-700' : 'border-gray-200 text-gray-700 hover:border-gray-400'
+                        } ${variantOutOfStock ? 'opacity-50 line-through' : ''}`}
+                      >
+                        {getVariantLabel(variant) || variant.sku}
+                      </button>
+                    );
+                  })}
+                </div>
+                {selectedVariant && (
+                  <p className="text-xs text-gray-500 mt-2">SKU: {selectedVariant.sku}</p>
+                )}
+              </div>
+            )}
+
             {/* Price */}
             <div className="glass-effect p-6 rounded-xl">
               <div className="flex items-center justify-between mb-3">
@@ -426,12 +478,12 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
             {isProduct && (
               <div className="space-y-4">
                 {/* Stock - Only visible to admin/super_admin */}
-                {isAdmin && currentItem.stock !== undefined && (
+                {isAdmin && displayItem.stock !== undefined && (
                   <div className="flex items-center justify-between glass-effect p-4 rounded-xl">
                     <span className="text-gray-600">{t('products.detail.stock')}:</span>
-                    <span className={`font-semibold ${currentItem.stock > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                      {currentItem.stock > 0
-                        ? `${currentItem.stock} ${t('products.detail.units')}`
+                    <span className={`font-semibold ${displayItem.stock > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {displayItem.stock > 0
+                        ? `${displayItem.stock} ${t('products.detail.units')}`
                         : t('products.detail.outOfStock')
                       }
                     </span>
@@ -574,13 +626,21 @@ const ProductDetailPage = ({ onNavigate, itemId, itemType }) => {
             {/* Add to Cart Button */}
             <Button
               onClick={handleAddToCart}
+              disabled={isVariantOutOfStock}
               size="lg"
               className="w-full text-lg py-6"
               style={getPrimaryButtonStyle(visualSettings)}
             >
               <ShoppingCart className="w-5 h-5 mr-2" />
-              {t('products.addToCart')}
+              {isVariantOutOfStock ? t('products.detail.outOfStock') : t('products.addToCart')}
             </Button>
+            <div className="mt-3">
+              <SaveToWishlistButton
+                itemType={isProduct ? 'product' : 'combo'}
+                itemId={displayItem.id}
+                onNavigate={onNavigate}
+              />
+            </div>
           </motion.div>
         </div>
       </div>
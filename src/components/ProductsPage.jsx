@@ -16,6 +16,9 @@ import PriceDisplay from '@/components/PriceDisplay';
 import { useUserDiscounts } from '@/hooks/useUserDiscounts';
 import { buildDiscountBreakdown } from '@/lib/discountDisplayService';
 import { computeComboPricing } from '@/lib/comboUtils';
+import { groupProductVariants } from '@/lib/productVariants';
+import { searchProducts } from '@/lib/productService';
+import { PRODUCT_SORT, parseSearchParams, serializeSearchParams } from '@/lib/productSearch';
 import { useRealtimeProducts, useRealtimeCombos } from '@/hooks/useRealtimeSubscription';
 
 const ProductsPage = ({ onNavigate }) => {
@@ -23,9 +26,15 @@ const ProductsPage = ({ onNavigate }) => {
   const { user, isAdmin } = useAuth();
   const { products, combos, categories, addToCart, financialSettings, refreshProducts, visualSettings } = useBusiness();
   const { selectedCurrency, setSelectedCurrency, currencySymbol, currencyCode, convertAmount, currencyMap } = useCurrency();
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  // Catalog filters live in the URL (/products?q=...&category=...&sort=...)
+  const [filters, setFilters] = useState(() => parseSearchParams(window.location.search));
+  const [searchTerm, setSearchTerm] = useState(filters.query);
+  const selectedCategory = filters.categoryIds[0] || 'all';
+  const [searchResults, setSearchResults] = useState(null); // null = server search unavailable
+  const [searchCursor, setSearchCursor] = useState(null);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searchFacets, setSearchFacets] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
   const [filteredCombos, setFilteredCombos] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -156,23 +165,99 @@ const ProductsPage = ({ onNavigate }) => {
     }
   }, [t, refreshProducts]);
 
+  const updateFilters = useCallback((changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // Debounce typing into the query filter
   useEffect(() => {
-    // Filter products - Show all products (including zero stock with visual indicator)
-    let filtered = products;
+    const timer = setTimeout(() => {
+      if (searchTerm.trim() !== filters.query) updateFilters({ query: searchTerm.trim() });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, filters.query, updateFilters]);
 
-    if (searchTerm) {
-      filtered = filtered.filter(product =>
-        (product.name_es || product.name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (product.name_en || '').toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  // Keep the URL in sync so a filtered catalog can be shared or reloaded
+  useEffect(() => {
+    if (window.location.pathname !== '/products') return;
+    const url = `/products${serializeSearchParams(filters)}`;
+    if (url !== window.location.pathname + window.location.search) {
+      window.history.replaceState({ path: url }, '', url);
+    }
+  }, [filters]);
+
+  // Server-side search: first page whenever the filters change
+  useEffect(() => {
+    let cancelled = false;
+    setIsSearching(true);
+    searchProducts(filters)
+      .then(result => {
+        if (cancelled) return;
+        setSearchResults(result.items);
+        setSearchCursor(result.nextCursor);
+        setSearchTotal(result.total);
+        setSearchFacets(result.facets);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        // Fall back to filtering the loaded catalog in the browser
+        console.error('[ProductsPage] Server search failed:', error);
+        setSearchResults(null);
+        setSearchCursor(null);
+        setSearchFacets(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsSearching(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filters]);
+
+  const loadMoreProducts = async () => {
+    if (!searchCursor || isSearching) return;
+    setIsSearching(true);
+    try {
+      const result = await searchProducts(filters, { cursor: searchCursor });
+      setSearchResults(prev => [...(prev || []), ...result.items]);
+      setSearchCursor(result.nextCursor);
+    } catch (error) {
+      console.error('[ProductsPage] Error loading more products:', error);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  // Catalog entries (variants grouped under their parent) by id
+  const catalogProducts = useMemo(() => groupProductVariants(products), [products]);
+
+  const filteredProducts = useMemo(() => {
+    if (searchResults) {
+      // Server decides what matches and the order; live stock and variants come from the context
+      const catalogById = new Map(catalogProducts.map(product => [product.id, product]));
+      return searchResults.map(row => catalogById.get(row.id) || { ...row, variants: [] });
     }
 
+    // Show all products (including zero stock with visual indicator)
+    let filtered = catalogProducts;
+    if (filters.query) {
+      const search = filters.query.toLowerCase();
+      const matches = (product) =>
+        (product.name_es || product.name || '').toLowerCase().includes(search) ||
+        (product.name_en || '').toLowerCase().includes(search);
+      filtered = filtered.filter(product => matches(product) || product.variants.some(matches));
+    }
     if (selectedCategory !== 'all') {
       filtered = filtered.filter(product => product.category?.id === selectedCategory || product.category_id === selectedCategory);
     }
+    return filtered;
+  }, [searchResults, catalogProducts, filters.query, selectedCategory]);
 
-    setFilteredProducts(filtered);
+  const categoryCounts = useMemo(() => new Map(
+    (searchFacets?.categories || []).map(facet => [facet.id, facet.count])
+  ), [searchFacets]);
 
+  useEffect(() => {
     // Filter combos - show all combos (inactive ones will be displayed as disabled)
     let filteredC = combos || [];
 
@@ -182,7 +267,7 @@ const ProductsPage = ({ onNavigate }) => {
       );
     }
     setFilteredCombos(filteredC);
-  }, [products, combos, searchTerm, selectedCategory, isAdmin]);
+  }, [combos, searchTerm]);
 
   const handleAddToCart = (product) => {
     addToCart(product);
@@ -359,18 +444,31 @@ const ProductsPage = ({ onNavigate }) => {
               <Filter className="w-5 h-5 text-gray-400" />
               <select
                 value={selectedCategory}
-                onChange={(e) => setSelectedCategory(e.target.value)}
+                onChange={(e) => updateFilters({ categoryIds: e.target.value === 'all' ? [] : [e.target.value] })}
                 className="px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="all">{t('products.categories.all')}</option>
                 {categories.map(category => (
                   <option key={category.id} value={category.id}>
                     {language === 'es' ? category.name_es : category.name_en}
+                    {searchFacets ? ` (${categoryCounts.get(category.id) || 0})` : ''}
                   </option>
                 ))}
               </select>
             </div>
 
+            <select
+              value={filters.sort || ''}
+              onChange={(e) => updateFilters({ sort: e.target.value || null })}
+              className="px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label={t('products.search.sortLabel')}
+            >
+              <option value="">{t('products.search.sort.default')}</option>
+              {Object.values(PRODUCT_SORT).map(sort => (
+                <option key={sort} value={sort}>{t(`products.search.sort.${sort}`)}</option>
+              ))}
+            </select>
+
             <CurrencySelector
               selectedCurrency={selectedCurrency}
               onCurrencyChange={setSelectedCurrency}
@@ -380,6 +478,46 @@ const ProductsPage = ({ onNavigate }) => {
               className="px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
           </div>
+
+          {/* Price range and stock facets */}
+          <div className="flex flex-wrap items-center gap-4 mt-4 text-sm">
+            <div className="flex items-center gap-2">
+              <span className="text-gray-600">{t('products.search.price')}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={filters.minPrice ?? ''}
+                onChange={(e) => updateFilters({ minPrice: e.target.value })}
+                placeholder={searchFacets?.price?.min != null ? String(searchFacets.price.min) : t('products.search.min')}
+                className="w-24 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={filters.maxPrice ?? ''}
+                onChange={(e) => updateFilters({ maxPrice: e.target.value })}
+                placeholder={searchFacets?.price?.max != null ? String(searchFacets.price.max) : t('products.search.max')}
+                className="w-24 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={filters.inStock}
+                onChange={(e) => updateFilters({ inStock: e.target.checked })}
+              />
+              {t('products.search.inStock')}
+              {searchFacets?.stock && <span className="text-gray-400">({searchFacets.stock.in_stock})</span>}
+            </label>
+            {searchResults && (
+              <span className="text-gray-500 ml-auto">
+                {t('products.search.results', { count: searchTotal })}
+              </span>
+            )}
+          </div>
         </motion.div>
 
         {/* Display Combos First (if any) */}
@@ -432,6 +570,9 @@ const ProductsPage = ({ onNavigate }) => {
               {filteredCombos.map((combo, index) => {
                 // Check if combo is inactive (for non-admin users, show as disabled)
                 const isComboInactive = !isAdmin && combo.is_active === false;
+                // Sellable quantity is derived from component stock (ProductContext)
+                const isComboOutOfStock = !isAdmin && !isComboInactive && combo.stock !== undefined && combo.stock <= 0;
+                const isComboUnavailable = isComboInactive || isComboOutOfStock;
 
                 // Savings calculation with currency conversion applied
                 const calculateSavings = () => {
@@ -468,7 +609,7 @@ const ProductsPage = ({ onNavigate }) => {
                     initial={{ opacity: 0, y: 30 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: index * 0.1 }}
-                    className={`glass-effect rounded-2xl overflow-hidden group border-2 border-purple-200 cursor-pointer flex-shrink-0 ${isComboInactive ? 'opacity-60' : 'hover-lift'}`}
+                    className={`glass-effect rounded-2xl overflow-hidden group border-2 border-purple-200 cursor-pointer flex-shrink-0 ${isComboUnavailable ? 'opacity-60' : 'hover-lift'}`}
                     style={{ width: '300px' }}
                     onClick={() => onNavigate('product-detail', { itemId: combo.id, itemType: 'combo' })}
                   >
@@ -485,6 +626,13 @@ const ProductsPage = ({ onNavigate }) => {
                         </div>
                       )}
 
+                      {/* Out of Stock Badge - Top Right */}
+                      {isComboOutOfStock && (
+                        <div className="absolute top-2 right-2 bg-gray-800 text-white text-xs font-bold px-3 py-1 rounded-full z-10">
+                          {t('products.detail.outOfStock')}
+                        </div>
+                      )}
+
                       {/* Inactive Badge - Top Left */}
                       {isComboInactive && (
                         <div className="absolute top-2 left-2 bg-gray-800 text-white text-xs font-bold px-3 py-1 rounded-full z-10">
@@ -543,11 +691,11 @@ const ProductsPage = ({ onNavigate }) => {
                       <Button
                         onClick={(e) => {
                           e.stopPropagation();
-                          if (!isComboInactive) handleAddToCart({ ...combo, type: 'combo' });
+                          if (!isComboUnavailable) handleAddToCart({ ...combo, type: 'combo' });
                         }}
-                        disabled={isComboInactive}
+                        disabled={isComboUnavailable}
                         className="w-full"
-                        style={isComboInactive ? {
+                        style={isComboUnavailable ? {
                           background: '#9ca3af',
                           color: '#ffffff',
                           border: 'none',
@@ -563,7 +711,9 @@ const ProductsPage = ({ onNavigate }) => {
                         <ShoppingCart className="w-4 h-4 mr-2" />
                         {isComboInactive
                           ? t('products.notAvailable')
-                          : t('products.addToCart')
+                          : isComboOutOfStock
+                            ? t('products.detail.outOfStock')
+                            : t('products.addToCart')
                         }
                       </Button>
                     )}
@@ -589,6 +739,9 @@ const ProductsPage = ({ onNavigate }) => {
         <div className="grid md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
           {filteredProducts.map((product, index) => {
             const isOutOfStock = !isAdmin && (product.stock === undefined || product.stock === null || product.stock <= 0);
+            // Products with variants show the cheapest one and are picked on the detail page
+            const hasVariants = product.variants?.length > 0;
+            const pricedProduct = product.cheapestVariant || product;
 
             return (
             <motion.div
@@ -704,17 +857,23 @@ const ProductsPage = ({ onNavigate }) => {
                     {userCategoryDiscount > 0 && (
                       <div className="mb-2">
                         <div className="text-xs text-gray-500 line-through">
-                          {currencySymbol}{getPriceBreakdown(product).original} {currencyCode}
+                          {currencySymbol}{getPriceBreakdown(pricedProduct).original} {currencyCode}
                         </div>
                         <div className="text-xs text-green-600 font-semibold flex items-center gap-1">
                           <Tag className="w-3 h-3" />
-                          {t('products.discount')} {getPriceBreakdown(product).percent?.toFixed(2) || userCategoryDiscount}%: -{currencySymbol}{getPriceBreakdown(product).discount}
+                          {t('products.discount')} {getPriceBreakdown(pricedProduct).percent?.toFixed(2) || userCategoryDiscount}%: -{currencySymbol}{getPriceBreakdown(pricedProduct).discount}
                         </div>
                       </div>
                     )}
                     <div className="text-xl font-bold text-green-600">
-                      {currencySymbol}{getDisplayPrice(product)} <span className="text-sm text-gray-600">{currencyCode}</span>
+                      {hasVariants && <span className="text-sm font-normal text-gray-600 mr-1">{t('products.variants.from')}</span>}
+                      {currencySymbol}{getDisplayPrice(pricedProduct)} <span className="text-sm text-gray-600">{currencyCode}</span>
                     </div>
+                    {hasVariants && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {t('products.variants.count', { count: product.variants.length })}
+                      </div>
+                    )}
                     {userCategory !== 'regular' && (
                       <div className="text-xs text-blue-600 mt-1">
                         {t('products.userCategoryLabel', { category: userCategory })}
@@ -727,7 +886,11 @@ const ProductsPage = ({ onNavigate }) => {
                   <Button
                     onClick={(e) => {
                       e.stopPropagation();
-                      if (!isOutOfStock) handleAddToCart(product);
+                      if (hasVariants) {
+                        onNavigate('product-detail', { itemId: product.id, itemType: 'product' });
+                      } else if (!isOutOfStock) {
+                        handleAddToCart(product);
+                      }
                     }}
                     disabled={isOutOfStock}
                     className="w-full"
@@ -747,7 +910,9 @@ const ProductsPage = ({ onNavigate }) => {
                     <ShoppingCart className="w-4 h-4 mr-2" />
                     {isOutOfStock
                       ? t('products.detail.outOfStock')
-                      : t('products.addToCart')
+                      : hasVariants
+                        ? t('products.variants.choose')
+                        : t('products.addToCart')
                     }
                   </Button>
                 )}
@@ -757,7 +922,15 @@ const ProductsPage = ({ onNavigate }) => {
           })}
         </div>
 
-        {filteredProducts.length === 0 && (
+        {searchCursor && (
+          <div className="flex justify-center mt-8">
+            <Button variant="outline" onClick={loadMoreProducts} disabled={isSearching}>
+              {isSearching ? t('common.loading') : t('products.search.loadMore')}
+            </Button>
+          </div>
+        )}
+
+        {filteredProducts.length === 0 && !isSearching && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
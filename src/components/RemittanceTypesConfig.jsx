@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, Edit, Trash2, Save, X, DollarSign, TrendingUp, AlertCircle, Eye, EyeOff, Calculator, ArrowRight, Info, ChevronDown, ChevronUp } from 'lucide-react';
+import { Plus, Edit, Trash2, Save, X, DollarSign, TrendingUp, AlertCircle, Eye, EyeOff, Calculator, ArrowRight, Info, ChevronDown, ChevronUp, Layers, Clock } from 'lucide-react';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { useModal } from '@/contexts/ModalContext';
@@ -13,28 +13,106 @@ import {
   DELIVERY_METHODS
 } from '@/lib/remittanceService';
 import { getCurrenciesWithRates } from '@/lib/currencyService';
+import {
+  resolveCommission,
+  calcReverse,
+  validateCommissionSchedule,
+  findActiveCommissionWindow,
+  businessDateToInstant,
+  instantToBusinessDate
+} from '@/lib/remittanceCalculations';
 import { toast } from '@/components/ui/use-toast';
 import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
 
 // Forward simulation (mirrors remittanceService.calculateRemittance)
-const simulateRemittance = ({ amount, exchangeRate, commissionPercentage, commissionFixed }) => {
-  const commPctAmount = (amount * (commissionPercentage || 0)) / 100;
-  const commFixedAmount = commissionFixed || 0;
+const simulateRemittance = ({ amount, exchangeRate, commissionPercentage, commissionFixed, schedule = null }) => {
+  const applied = resolveCommission({
+    amount,
+    commissionPct: commissionPercentage || 0,
+    commissionFixed: commissionFixed || 0,
+    schedule
+  });
+  const commPctAmount = (amount * applied.commissionPct) / 100;
+  const commFixedAmount = applied.commissionFixed;
   const totalCommission = commPctAmount + commFixedAmount;
   const netAmount = amount - totalCommission;
   const amountToDeliver = netAmount * exchangeRate;
   const effectiveRate = amount > 0 ? amountToDeliver / amount : 0;
-  return { amount, commPctAmount, commFixedAmount, totalCommission, netAmount, exchangeRate, amountToDeliver, effectiveRate };
+  return {
+    amount, commPctAmount, commFixedAmount, totalCommission, netAmount, exchangeRate, amountToDeliver, effectiveRate,
+    appliedPct: applied.commissionPct,
+    commissionSource: applied.source,
+    commissionLabel: applied.label
+  };
 };
 
 // Reverse simulation (mirrors remittanceService.calculateReverseRemittance)
-const simulateReverseRemittance = ({ desiredDeliveryAmount, exchangeRate, commissionPercentage, commissionFixed }) => {
-  const denominator = 1 - ((commissionPercentage || 0) / 100);
-  if (denominator <= 0) return null;
-  const amountToSend = ((desiredDeliveryAmount / exchangeRate) + (commissionFixed || 0)) / denominator;
-  return simulateRemittance({ amount: amountToSend, exchangeRate, commissionPercentage, commissionFixed });
+const simulateReverseRemittance = ({ desiredDeliveryAmount, exchangeRate, commissionPercentage, commissionFixed, schedule = null }) => {
+  try {
+    const amountToSend = calcReverse({
+      desiredReceive: desiredDeliveryAmount,
+      exchangeRate,
+      commissionPct: commissionPercentage || 0,
+      commissionFixed: commissionFixed || 0,
+      schedule
+    });
+    return simulateRemittance({ amount: amountToSend, exchangeRate, commissionPercentage, commissionFixed, schedule });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Commission schedule <-> form (inputs keep strings while editing)
+const EMPTY_TIER = { min_amount: '', max_amount: '', commission_percentage: '', commission_fixed: '' };
+const EMPTY_WINDOW = {
+  label: '', days: [], start_time: '', end_time: '', starts_at: '', ends_at: '',
+  commission_percentage: '', commission_fixed: ''
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+const scheduleToForm = (schedule) => ({
+  tiers: (schedule?.tiers || []).map(tier => ({
+    min_amount: tier.min_amount?.toString() ?? '',
+    max_amount: tier.max_amount?.toString() ?? '',
+    commission_percentage: tier.commission_percentage?.toString() ?? '',
+    commission_fixed: tier.commission_fixed?.toString() ?? ''
+  })),
+  windows: (schedule?.windows || []).map(window => ({
+    label: window.label || '',
+    days: window.days || [],
+    start_time: window.start_time || '',
+    end_time: window.end_time || '',
+    starts_at: window.starts_at ? instantToBusinessDate(window.starts_at) : '',
+    ends_at: window.ends_at ? instantToBusinessDate(window.ends_at) : '',
+    commission_percentage: window.commission_percentage?.toString() ?? '',
+    commission_fixed: window.commission_fixed?.toString() ?? ''
+  }))
+});
+
+const formToSchedule = (form) => {
+  const tiers = (form?.tiers || []).map(tier => ({
+    min_amount: toNumberOrNull(tier.min_amount) ?? 0,
+    max_amount: toNumberOrNull(tier.max_amount),
+    commission_percentage: toNumberOrNull(tier.commission_percentage),
+    commission_fixed: toNumberOrNull(tier.commission_fixed)
+  }));
+  const windows = (form?.windows || []).map(window => ({
+    label: window.label || null,
+    days: window.days,
+    start_time: window.start_time || null,
+    end_time: window.end_time || null,
+    // Date-only inputs on the business clock: the window covers the whole end day
+    starts_at: window.starts_at ? businessDateToInstant(window.starts_at, '00:00:00') : null,
+    ends_at: window.ends_at ? businessDateToInstant(window.ends_at, '23:59:59') : null,
+    commission_percentage: toNumberOrNull(window.commission_percentage),
+    commission_fixed: toNumberOrNull(window.commission_fixed)
+  }));
+  return tiers.length || windows.length ? { tiers, windows } : null;
 };
 
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
 // Calculate commission % from market rate and delivery rate
 const calcCommissionFromRates = (marketRate, deliveryRate) => {
   if (!marketRate || marketRate <= 0) return 0;
@@ -70,13 +148,15 @@ const RemittanceTypesConfig = () => {
     description: '',
     icon: 'dollar-sign',
     is_active: true,
-    display_order: 0
+    display_order: 0,
+    commission_schedule: scheduleToForm(null)
   });
 
   // Simulator state
   const [simMode, setSimMode] = useState('send'); // 'send' or 'receive'
   const [simAmount, setSimAmount] = useState('100');
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
 
   useEffect(() => {
     loadTypes();
@@ -106,16 +186,57 @@ const RemittanceTypesConfig = () => {
     const commissionPercentage = parseFloat(formData.commission_percentage) || 0;
     const commissionFixed = parseFloat(formData.commission_fixed) || 0;
     const amount = parseFloat(simAmount);
+    const schedule = formToSchedule(formData.commission_schedule);
 
     if (!exchangeRate || exchangeRate <= 0) return null;
     if (!amount || amount <= 0) return null;
+    if (schedule && validateCommissionSchedule(schedule).length > 0) return null;
 
     if (simMode === 'send') {
-      return simulateRemittance({ amount, exchangeRate, commissionPercentage, commissionFixed });
+      return simulateRemittance({ amount, exchangeRate, commissionPercentage, commissionFixed, schedule });
     } else {
-      return simulateReverseRemittance({ desiredDeliveryAmount: amount, exchangeRate, commissionPercentage, commissionFixed });
+      return simulateReverseRemittance({ desiredDeliveryAmount: amount, exchangeRate, commissionPercentage, commissionFixed, schedule });
     }
-  }, [formData.exchange_rate, formData.commission_percentage, formData.commission_fixed, simAmount, simMode]);
+  }, [formData.exchange_rate, formData.commission_percentage, formData.commission_fixed, formData.commission_schedule, simAmount, simMode]);
+
+  // Commission schedule editing
+  const updateSchedule = (updater) => {
+    setFormData(prev => ({ ...prev, commission_schedule: updater(prev.commission_schedule) }));
+  };
+
+  const updateScheduleRow = (kind, index, field, value) => {
+    updateSchedule(schedule => ({
+      ...schedule,
+      [kind]: schedule[kind].map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    }));
+  };
+
+  const addScheduleRow = (kind) => {
+    updateSchedule(schedule => ({
+      ...schedule,
+      [kind]: [...schedule[kind], kind === 'tiers' ? { ...EMPTY_TIER } : { ...EMPTY_WINDOW }]
+    }));
+  };
+
+  const removeScheduleRow = (kind, index) => {
+    updateSchedule(schedule => ({
+      ...schedule,
+      [kind]: schedule[kind].filter((_, i) => i !== index)
+    }));
+  };
+
+  const toggleWindowDay = (index, day) => {
+    const { days: currentDays } = formData.commission_schedule.windows[index];
+    const days = currentDays.includes(day)
+      ? currentDays.filter(d => d !== day)
+      : [...currentDays, day].sort();
+    updateScheduleRow('windows', index, 'days', days);
+  };
+
+  const weekDayLabel = (day) => {
+    // 2023-01-01 was a Sunday
+    return new Date(2023, 0, 1 + day).toLocaleDateString(language === 'es' ? 'es-ES' : 'en-US', { weekday: 'short' });
+  };
 
   const loadCurrencies = async () => {
     try {
@@ -172,11 +293,13 @@ const RemittanceTypesConfig = () => {
       description: '',
       icon: 'dollar-sign',
       is_active: true,
-      display_order: types.length
+      display_order: types.length,
+      commission_schedule: scheduleToForm(null)
     });
     setSimAmount('100');
     setSimMode('send');
     setShowAdvanced(false);
+    setShowSchedule(false);
     setShowForm(true);
   };
 
@@ -202,11 +325,13 @@ const RemittanceTypesConfig = () => {
       description: type.description || '',
       icon: type.icon || 'dollar-sign',
       is_active: type.is_active,
-      display_order: type.display_order
+      display_order: type.display_order,
+      commission_schedule: scheduleToForm(type.commission_schedule)
     });
     setSimAmount('100');
     setSimMode('send');
     setShowAdvanced(parseFloat(type.commission_fixed) > 0);
+    setShowSchedule(Boolean(type.commission_schedule?.tiers?.length || type.commission_schedule?.windows?.length));
     setShowForm(true);
   };
 
@@ -263,6 +388,18 @@ const RemittanceTypesConfig = () => {
       return;
     }
 
+    const commissionSchedule = formToSchedule(formData.commission_schedule);
+    const scheduleErrors = commissionSchedule ? validateCommissionSchedule(commissionSchedule) : [];
+    if (scheduleErrors.length > 0) {
+      setShowSchedule(true);
+      toast({
+        title: t('common.error'),
+        description: t(`remittances.admin.schedule.errors.${scheduleErrors[0].code}`),
+        variant: 'destructive'
+      });
+      return;
+    }
+
     const typeData = {
       name: formData.name,
       currency_code: formData.currency_code,
@@ -278,7 +415,8 @@ const RemittanceTypesConfig = () => {
       description: formData.description,
       icon: formData.icon,
       is_active: formData.is_active,
-      display_order: formData.display_order
+      display_order: formData.display_order,
+      commission_schedule: commissionSchedule
     };
 
     try {
@@ -289,8 +427,12 @@ const RemittanceTypesConfig = () => {
         const oldCommPct = editingType.commission_percentage || 0;
         const newCommPct = parseFloat(formData.commission_percentage) || 0;
 
+        const scheduleChanged = JSON.stringify(editingType.commission_schedule || null) !==
+                                JSON.stringify(commissionSchedule);
+
         const rateChanged = Math.abs(oldRate - newRate) > 0.0001 ||
-                            Math.abs(oldCommPct - newCommPct) > 0.01;
+                            Math.abs(oldCommPct - newCommPct) > 0.01 ||
+                            scheduleChanged;
 
         if (rateChanged) {
           const pendingCount = await getPendingRemittancesCountByType(editingType.id);
@@ -591,6 +733,224 @@ const RemittanceTypesConfig = () => {
               )}
             </div>
 
+            {/* Commission schedule: amount tiers + time windows (collapsible) */}
+            <div className="md:col-span-2">
+              <button
+                type="button"
+                onClick={() => setShowSchedule(!showSchedule)}
+                className="flex items-center gap-2 text-sm text-gray-500 hover:text-gray-700 transition-colors"
+              >
+                {showSchedule ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                {t('remittances.admin.schedule.title')}
+              </button>
+              {showSchedule && (
+                <div className="mt-3 space-y-4 border border-gray-200 rounded-xl p-4">
+                  <p className="text-xs text-gray-500 flex items-start gap-1">
+                    <Info className="h-3 w-3 mt-0.5 flex-shrink-0" />
+                    {t('remittances.admin.schedule.hint')}
+                  </p>
+
+                  {/* Tiers */}
+                  <div>
+                    <h4 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                      <Layers className="h-4 w-4" />
+                      {t('remittances.admin.schedule.tiers')}
+                    </h4>
+                    {formData.commission_schedule.tiers.length === 0 ? (
+                      <p className="text-xs text-gray-400 mb-2">{t('remittances.admin.schedule.noTiers')}</p>
+                    ) : (
+                      <div className="space-y-2 mb-2">
+                        {formData.commission_schedule.tiers.map((tier, index) => (
+                          <div key={index} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+                            <label className="text-xs text-gray-500">
+                              {t('remittances.admin.schedule.from')} ({formData.currency_code})
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={tier.min_amount}
+                                onChange={(e) => updateScheduleRow('tiers', index, 'min_amount', e.target.value)}
+                                className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                placeholder="0"
+                              />
+                            </label>
+                            <label className="text-xs text-gray-500">
+                              {t('remittances.admin.schedule.to')}
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={tier.max_amount}
+                                onChange={(e) => updateScheduleRow('tiers', index, 'max_amount', e.target.value)}
+                                className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                placeholder="∞"
+                              />
+                            </label>
+                            <label className="text-xs text-gray-500">
+                              {t('remittances.admin.schedule.percentage')}
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={tier.commission_percentage}
+                                onChange={(e) => updateScheduleRow('tiers', index, 'commission_percentage', e.target.value)}
+                                className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                placeholder={formData.commission_percentage}
+                              />
+                            </label>
+                            <label className="text-xs text-gray-500">
+                              {t('remittances.admin.schedule.fixed')}
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={tier.commission_fixed}
+                                onChange={(e) => updateScheduleRow('tiers', index, 'commission_fixed', e.target.value)}
+                                className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                placeholder={formData.commission_fixed}
+                              />
+                            </label>
+                            <button
+                              type="button"
+                              onClick={() => removeScheduleRow('tiers', index)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors justify-self-start"
+                              title={t('remittances.admin.schedule.remove')}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => addScheduleRow('tiers')}
+                      className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                    >
+                      <Plus className="h-3 w-3" />
+                      {t('remittances.admin.schedule.addTier')}
+                    </button>
+                  </div>
+
+                  {/* Windows */}
+                  <div className="pt-3 border-t border-gray-200">
+                    <h4 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                      <Clock className="h-4 w-4" />
+                      {t('remittances.admin.schedule.windows')}
+                    </h4>
+                    {formData.commission_schedule.windows.length === 0 ? (
+                      <p className="text-xs text-gray-400 mb-2">{t('remittances.admin.schedule.noWindows')}</p>
+                    ) : (
+                      <div className="space-y-3 mb-2">
+                        {formData.commission_schedule.windows.map((commissionWindow, index) => (
+                          <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                            <div className="flex items-center gap-2">
+                              <input
+                                type="text"
+                                value={commissionWindow.label}
+                                onChange={(e) => updateScheduleRow('windows', index, 'label', e.target.value)}
+                                className="flex-1 px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                placeholder={t('remittances.admin.schedule.labelPlaceholder')}
+                              />
+                              <button
+                                type="button"
+                                onClick={() => removeScheduleRow('windows', index)}
+                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                title={t('remittances.admin.schedule.remove')}
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </div>
+                            <div className="flex flex-wrap items-center gap-1">
+                              <span className="text-xs text-gray-500 mr-1">{t('remittances.admin.schedule.days')}:</span>
+                              {WEEK_DAYS.map(day => (
+                                <button
+                                  key={day}
+                                  type="button"
+                                  onClick={() => toggleWindowDay(index, day)}
+                                  className={`px-2 py-0.5 text-xs rounded-full border transition-colors ${
+                                    commissionWindow.days.includes(day)
+                                      ? 'bg-blue-600 text-white border-blue-600'
+                                      : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+                                  }`}
+                                >
+                                  {weekDayLabel(day)}
+                                </button>
+                              ))}
+                            </div>
+                            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.startTime')}
+                                <input
+                                  type="time"
+                                  value={commissionWindow.start_time}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'start_time', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                              </label>
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.endTime')}
+                                <input
+                                  type="time"
+                                  value={commissionWindow.end_time}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'end_time', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                              </label>
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.startsAt')}
+                                <input
+                                  type="date"
+                                  value={commissionWindow.starts_at}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'starts_at', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                              </label>
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.endsAt')}
+                                <input
+                                  type="date"
+                                  value={commissionWindow.ends_at}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'ends_at', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                />
+                              </label>
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.percentage')}
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  value={commissionWindow.commission_percentage}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'commission_percentage', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                  placeholder={formData.commission_percentage}
+                                />
+                              </label>
+                              <label className="text-xs text-gray-500">
+                                {t('remittances.admin.schedule.fixed')}
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  value={commissionWindow.commission_fixed}
+                                  onChange={(e) => updateScheduleRow('windows', index, 'commission_fixed', e.target.value)}
+                                  className="w-full px-2 py-1.5 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                                  placeholder={formData.commission_fixed}
+                                />
+                              </label>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => addScheduleRow('windows')}
+                      className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                    >
+                      <Plus className="h-3 w-3" />
+                      {t('remittances.admin.schedule.addWindow')}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
             {/* Simulator */}
             {parseFloat(formData.exchange_rate) > 0 && parseFloat(formData.delivery_rate) > 0 && (
               <div className="md:col-span-2 bg-gray-50 border border-gray-200 rounded-xl p-4">
@@ -680,6 +1040,16 @@ const RemittanceTypesConfig = () => {
                       </div>
                     </div>
 
+                    {simResult.commissionSource !== 'base' && (
+                      <div className="col-span-2 sm:col-span-3 text-xs text-blue-700 flex items-center gap-1">
+                        {simResult.commissionSource === 'window' ? <Clock className="h-3 w-3" /> : <Layers className="h-3 w-3" />}
+                        {simResult.commissionSource === 'window'
+                          ? t('remittances.admin.schedule.appliedWindow')
+                          : t('remittances.admin.schedule.appliedTier')}
+                        : {simResult.appliedPct}%{simResult.commissionLabel ? ` (${simResult.commissionLabel})` : ''}
+                      </div>
+                    )}
+
                     {simMode === 'receive' && (
                       <div className="col-span-2 sm:col-span-3 text-xs text-gray-500 mt-1">
                         {t('remittances.admin.simulator.mustSend')}: <span className="font-semibold">{simResult.amount.toFixed(2)} {formData.currency_code}</span>
@@ -908,6 +1278,27 @@ const RemittanceTypesConfig = () => {
                       {(type.commission_percentage || 0).toFixed(2)}%
                       {type.commission_fixed > 0 && ` + ${type.commission_fixed} ${type.currency_code}`}
                     </p>
+                    {(type.commission_schedule?.tiers?.length > 0 || type.commission_schedule?.windows?.length > 0) && (
+                      <p className="text-[10px] sm:text-xs text-blue-600 flex flex-wrap items-center gap-x-2">
+                        {type.commission_schedule.tiers?.length > 0 && (
+                          <span className="flex items-center gap-1">
+                            <Layers className="h-3 w-3" />
+                            {t('remittances.admin.schedule.tiered', { count: type.commission_schedule.tiers.length })}
+                          </span>
+                        )}
+                        {type.commission_schedule.windows?.length > 0 && (
+                          <span className="flex items-center gap-1">
+                            <Clock className="h-3 w-3" />
+                            {t('remittances.admin.schedule.windowCount', { count: type.commission_schedule.windows.length })}
+                          </span>
+                        )}
+                        {findActiveCommissionWindow(type.commission_schedule) && (
+                          <span className="text-green-600 font-medium">
+                            {t('remittances.admin.schedule.activeWindow')}: {findActiveCommissionWindow(type.commission_schedule).label || '—'}
+                          </span>
+                        )}
+                      </p>
+                    )}
                   </div>
 
                   <div>
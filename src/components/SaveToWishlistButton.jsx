@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Heart, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useAuth } from '@/contexts/AuthContext';
+import { toast } from '@/components/ui/use-toast';
+import { getMyWishlists, createWishlist, addWishlistItem } from '@/lib/wishlistService';
+
+/**
+ * Save To Wishlist Button
+ * "Save to list" on the product page: picks one of the customer's lists
+ * (or creates "Saved for later") and adds the product, variant or combo.
+ */
+const SaveToWishlistButton = ({ itemType, itemId, onNavigate }) => {
+  const { t } = useLanguage();
+  const { isAuthenticated } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [wishlists, setWishlists] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleOpen = async () => {
+    if (!isAuthenticated) {
+      onNavigate?.('login');
+      return;
+    }
+    setOpen(prev => !prev);
+    if (wishlists === null) {
+      try {
+        setWishlists(await getMyWishlists());
+      } catch (error) {
+        setWishlists([]);
+        toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+      }
+    }
+  };
+
+  const saveTo = async (wishlist) => {
+    setSaving(true);
+    try {
+      const target = wishlist || await createWishlist({ name: t('wishlists.savedForLater') });
+      await addWishlistItem(target.id, itemType, itemId);
+      toast({ title: t('wishlists.saved', { name: target.name }) });
+      setOpen(false);
+      if (!wishlist) setWishlists(null);
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Button variant="outline" size="lg" className="w-full" onClick={handleOpen} disabled={saving || !itemId}>
+        <Heart className="w-5 h-5 mr-2" />
+        {t('wishlists.saveToList')}
+      </Button>
+      {open && (
+        <div className="absolute left-0 right-0 mt-2 bg-white rounded-xl shadow-xl border border-gray-200 py-2 z-20">
+          {wishlists === null ? (
+            <p className="px-4 py-2 text-sm text-gray-500">{t('common.loading')}</p>
+          ) : (
+            <>
+              {wishlists.map(wishlist => (
+                <button
+                  key={wishlist.id}
+                  onClick={() => saveTo(wishlist)}
+                  disabled={saving}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  {wishlist.name}
+                  {wishlist.recipient && <span className="text-xs text-gray-500"> · {wishlist.recipient.full_name}</span>}
+                </button>
+              ))}
+              {wishlists.length === 0 && (
+                <button
+                  onClick={() => saveTo(null)}
+                  disabled={saving}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+                >
+                  <Plus className="h-4 w-4" />
+                  {t('wishlists.savedForLater')}
+                </button>
+              )}
+              <div className="border-t border-gray-100 my-1" />
+              <button
+                onClick={() => onNavigate?.('wishlists')}
+                className="w-full text-left px-4 py-2 text-sm text-purple-700 hover:bg-gray-50"
+              >
+                {t('wishlists.manage')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SaveToWishlistButton;
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   ArrowRight, ArrowLeft, Check, DollarSign, User, FileText,
-  AlertCircle, CheckCircle, Calculator, Copy, Target, RefreshCw, CreditCard, Tag
+  AlertCircle, CheckCircle, Calculator, Copy, Target, RefreshCw, CreditCard, Tag, Clock
 } from 'lucide-react';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useAuth } from '@/contexts/AuthContext';
@@ -13,6 +13,7 @@ import {
   getRemittanceExchangeRate,
   calculateRemittance,
   calculateReverseRemittance,
+  createRemittanceQuote,
   createRemittance,
   uploadPaymentProof
 } from '@/lib/remittanceService';
@@ -21,6 +22,8 @@ import { getMunicipalitiesByProvince } from '@/lib/cubanLocations';
 import { notifyAdminNewPaymentProof } from '@/lib/whatsappService';
 import { getActiveWhatsappRecipient } from '@/lib/notificationSettingsService';
 import { validateRemittanceOffer } from '@/lib/orderDiscountService';
+import { isQuoteExpired } from '@/lib/remittanceCalculations';
+import { ERROR_CODES } from '@/lib/errorHandler';
 import { toast } from '@/components/ui/use-toast';
 import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
 import RecipientSelector from '@/components/RecipientSelector';
@@ -30,6 +33,7 @@ import ConfirmationModal from '@/components/ui/ConfirmationModal';
 import ZelleAccountDisplay from '@/components/shared/ZelleAccountDisplay';
 import AmountDisplayCard from '@/components/shared/AmountDisplayCard';
 import PaymentProofForm from '@/components/shared/PaymentProofForm';
+import DeliveryPinCard from '@/components/shared/DeliveryPinCard';
 
 const SendRemittancePage = ({ onNavigate }) => {
   const { t, language } = useLanguage();
@@ -272,7 +276,7 @@ const SendRemittancePage = ({ onNavigate }) => {
 
             // Calculate and go to step 2
             setCalculating(true);
-            calculateRemittance(savedType.id, parseFloat(savedAmount))
+            createRemittanceQuote(savedType.id, parseFloat(savedAmount))
               .then((calc) => {
                 setCalculation(calc);
                 setStep(2);
@@ -428,8 +432,9 @@ const SendRemittancePage = ({ onNavigate }) => {
 
     setCalculating(true);
     try {
-      const calculation = await calculateRemittance(selectedType.id, parseFloat(amount), appliedOffer || null);
-      setCalculation(calculation);
+      // Lock the rate the user is about to see; createRemittance consumes this quote
+      const quote = await createRemittanceQuote(selectedType.id, parseFloat(amount), appliedOffer || null);
+      setCalculation(quote);
       setStep(2);
     } catch (error) {
       console.error('Error calculating remittance:', error);
@@ -497,12 +502,46 @@ const SendRemittancePage = ({ onNavigate }) => {
     setStep(3);
   };
 
+  // Re-quote at the current rate when the locked one went stale, so the user
+  // reviews the new amounts before confirming
+  const refreshQuote = async () => {
+    try {
+      const quote = await createRemittanceQuote(selectedType.id, parseFloat(amount), appliedOffer || null);
+      setCalculation(quote);
+      toast({
+        title: t('remittances.wizard.quoteExpired'),
+        description: t('remittances.wizard.quoteExpiredDesc', {
+          amount: quote.amountToDeliver.toFixed(2),
+          currency: quote.deliveryCurrency
+        })
+      });
+    } catch (error) {
+      console.error('Error refreshing remittance quote:', error);
+      toast({
+        title: t('common.error'),
+        description: error?.message || t('remittances.wizard.errorCalculating'),
+        variant: 'destructive'
+      });
+    }
+  };
+
+  const formatQuoteExpiry = (quote) => new Date(quote.expiresAt).toLocaleTimeString(
+    language === 'es' ? 'es-ES' : 'en-US',
+    { hour: '2-digit', minute: '2-digit' }
+  );
+
   const handleConfirmRemittance = async () => {
     setSubmitting(true);
 
     try {
+      if (isQuoteExpired(calculation)) {
+        await refreshQuote();
+        return;
+      }
+
       const remittanceData = {
         remittance_type_id: selectedType.id,
+        quote_id: calculation.quoteId,
         amount: parseFloat(amount),
         recipient_name: recipientData.name,
         recipient_phone: recipientData.phone,
@@ -539,6 +578,10 @@ const SendRemittancePage = ({ onNavigate }) => {
       // Todas las remesas (cash y transfer) proceden al Step 4 para subir comprobante de pago
       setStep(4);
     } catch (error) {
+      if (error?.code === ERROR_CODES.QUOTE_EXPIRED) {
+        await refreshQuote();
+        return;
+      }
       console.error('Error creating remittance:', error);
       toast({
         title: t('common.error'),
@@ -1016,6 +1059,12 @@ const SendRemittancePage = ({ onNavigate }) => {
                   <p className="text-3xl font-bold text-green-600">
                     {calculation.amountToDeliver.toFixed(2)} {calculation.deliveryCurrency}
                   </p>
+                  {calculation.expiresAt && (
+                    <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      {t('remittances.wizard.rateLockedUntil', { time: formatQuoteExpiry(calculation) })}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
@@ -1140,6 +1189,12 @@ const SendRemittancePage = ({ onNavigate }) => {
                   <p className="text-2xl font-bold text-green-600">
                     {calculation.amountToDeliver.toFixed(2)} {calculation.deliveryCurrency}
                   </p>
+                  {calculation.expiresAt && (
+                    <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      {t('remittances.wizard.rateLockedUntil', { time: formatQuoteExpiry(calculation) })}
+                    </p>
+                  )}
                 </div>
 
                 <div className="pt-4 border-t">
@@ -1259,6 +1314,11 @@ const SendRemittancePage = ({ onNavigate }) => {
             </div>
 
            
+            {/* PIN de entrega (remesas en efectivo) */}
+            {selectedType?.delivery_method === 'cash' && (
+              <DeliveryPinCard remittanceId={createdRemittance.id} pin={createdRemittance.delivery_pin} />
+            )}
+
             {/* Datos Zelle para el pago - Using shared component */}
             {selectedZelle && (
               <ZelleAccountDisplay
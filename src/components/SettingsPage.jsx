@@ -7,6 +7,7 @@ import { useBusiness } from '@/contexts/BusinessContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { toast } from '@/components/ui/use-toast';
 import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
+import { PERMISSIONS } from '@/lib/permissions';
 // Currency functions now handled by SettingsPageFinancial component
 import { saveNotificationSettings } from '@/lib/notificationSettingsService';
 import { supabase } from '@/lib/supabase';
@@ -26,7 +27,7 @@ const SettingsPage = () => {
     visualSettings, setVisualSettings,
     zelleAccounts, setZelleAccounts
   } = useBusiness();
-  const { user, isAdmin } = useAuth();
+  const { user, isAdmin, can } = useAuth();
 
   // Tab management
   const [activeTab, setActiveTab] = useState('financiero');
@@ -56,7 +57,18 @@ const SettingsPage = () => {
     }
   };
 
-  if (!user || !isAdmin) {
+  // Admins keep every tab; staff only the ones their permissions cover
+  const tabAccess = {
+    financiero: isAdmin,
+    envios: isAdmin,
+    visual: can(PERMISSIONS.SETTINGS_VISUAL_EDIT),
+    zelle: can(PERMISSIONS.ZELLE_MANAGE_ACCOUNTS),
+    contenido: isAdmin
+  };
+  const allowedTabs = Object.keys(tabAccess).filter(tabId => tabAccess[tabId]);
+  const currentTab = allowedTabs.includes(activeTab) ? activeTab : allowedTabs[0];
+
+  if (!user || allowedTabs.length === 0) {
     return (
       <div className="min-h-screen flex items-center justify-center py-8 px-4">
         <motion.div initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} className="glass-effect p-8 rounded-2xl max-w-md w-full text-center">
@@ -389,7 +401,7 @@ const SettingsPage = () => {
       icon: Bell,
       color: '#10b981'
     }
-  ];
+  ].filter(tab => tabAccess[tab.id]);
 
   return (
     <div className="min-h-screen py-8 px-4">
@@ -403,7 +415,7 @@ const SettingsPage = () => {
         <div className="overflow-x-auto -mx-4 px-4 sm:mx-0 sm:px-0 mb-8 border-b pb-2">
           <div className="flex gap-1 sm:gap-2 min-w-max sm:min-w-0 sm:flex-wrap">
             {tabs.map((tab) => {
-              const isActive = activeTab === tab.id;
+              const isActive = currentTab === tab.id;
               const activeColor = visualSettings.tabActiveColor || visualSettings.primaryColor || tab.color;
               const activeBgColor = visualSettings.tabActiveBgColor || '#ffffff';
               const inactiveColor = visualSettings.tabInactiveColor || '#6b7280';
@@ -459,7 +471,7 @@ const SettingsPage = () => {
 
         <div className="space-y-12">
           {/* FINANCIERO TAB - Uses extracted component */}
-          {activeTab === 'financiero' && (
+          {currentTab === 'financiero' && (
             <SettingsPageFinancial
               localFinancial={localFinancial}
               setLocalFinancial={setLocalFinancial}
@@ -467,7 +479,7 @@ const SettingsPage = () => {
           )}
 
           {/* VISUAL TAB */}
-          {activeTab === 'visual' && (
+          {currentTab === 'visual' && (
             <SettingsPageVisual
               localVisual={localVisual}
               setLocalVisual={setLocalVisual}
@@ -477,12 +489,12 @@ const SettingsPage = () => {
           )}
 
           {/* ENVÍOS TAB */}
-          {activeTab === 'envios' && (
+          {currentTab === 'envios' && (
             <SettingsPageShipping />
           )}
 
           {/* ZELLE TAB */}
-          {activeTab === 'zelle' && (
+          {currentTab === 'zelle' && (
             <>
               <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1 }} className="glass-effect p-8 rounded-2xl">
                 <SettingsZelleTab />
@@ -491,7 +503,7 @@ const SettingsPage = () => {
           )}
 
           {/* CONTENIDO TAB */}
-          {activeTab === 'contenido' && (
+          {currentTab === 'contenido' && (
             <SettingsPageContent
               localNotifications={localNotifications}
               setLocalNotifications={setLocalNotifications}
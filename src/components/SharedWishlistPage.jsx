@@ -0,0 +1,183 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Gift, Plus, Search, Trash2, Package } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { toast } from '@/components/ui/use-toast';
+import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
+import { ERROR_CODES } from '@/lib/errorHandler';
+import { getSharedWishlist, addSharedWishlistItem, removeSharedWishlistItem } from '@/lib/wishlistService';
+import { WISHLIST_ITEM_TYPE, findWishlistCatalogItem, getListItemPrice } from '@/lib/wishlists';
+import { getVariantLabel } from '@/lib/productVariants';
+
+/**
+ * Shared Wishlist Page (/wishlist/:token)
+ * Public view of a gift list: the recipient, without an account, browses the
+ * catalog and adds or removes what they would like the sender to buy.
+ */
+const SharedWishlistPage = ({ token }) => {
+  const { t, language } = useLanguage();
+  const { products, combos, financialSettings, visualSettings } = useBusiness();
+  const { selectedCurrency, currencyCode, currencySymbol, convertAmount } = useCurrency();
+  const [wishlist, setWishlist] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getSharedWishlist(token)
+      .then(setWishlist)
+      .catch((error) => {
+        if (error.code === ERROR_CODES.NOT_FOUND) {
+          setNotFound(true);
+        } else {
+          toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+        }
+      });
+  }, [token, t]);
+
+  const nameOf = (item) => {
+    const name = language === 'es' ? (item.name_es || item.name) : (item.name_en || item.name_es || item.name);
+    const label = item.parent_product_id ? getVariantLabel(item) : '';
+    return label && !name.includes(label) ? `${name} (${label})` : name;
+  };
+
+  const priceOf = (catalogItem, isProduct) => getListItemPrice(catalogItem, isProduct, {
+    products,
+    convert: convertAmount,
+    currencyId: selectedCurrency,
+    comboProfit: financialSettings?.comboProfit
+  }).toFixed(2);
+
+  // Sellable catalog: products (variants as their own entries) and combos
+  const catalog = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    const entries = [
+      ...products.map(product => ({ type: WISHLIST_ITEM_TYPE.PRODUCT, item: product })),
+      ...(combos || []).filter(combo => combo.is_active !== false).map(combo => ({ type: WISHLIST_ITEM_TYPE.COMBO, item: combo }))
+    ].filter(({ item }) => (item.stock ?? 1) > 0);
+    if (!term) return entries.slice(0, 30);
+    return entries.filter(({ item }) => [item.name_es, item.name_en, item.name].filter(Boolean)
+      .some(name => name.toLowerCase().includes(term))).slice(0, 30);
+  }, [products, combos, searchTerm]);
+
+  const inList = useMemo(() => new Set((wishlist?.items || []).map(item => item.product_id || item.combo_id)), [wishlist]);
+
+  const runUpdate = async (action) => {
+    setBusy(true);
+    try {
+      setWishlist(await action());
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (notFound) {
+    return (
+      <div className="min-h-screen py-16 px-4 text-center">
+        <Gift className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-600">{t('wishlists.shared.notFound')}</p>
+      </div>
+    );
+  }
+
+  if (!wishlist) {
+    return <div className="min-h-screen py-16 text-center text-gray-500">{t('common.loading')}</div>;
+  }
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="container mx-auto max-w-4xl space-y-6">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="text-center">
+          <h1 className="text-3xl font-bold mb-2 flex items-center justify-center gap-2" style={getHeadingStyle(visualSettings)}>
+            <Gift className="h-7 w-7" />
+            {wishlist.name}
+          </h1>
+          <p className="text-gray-600 text-sm">
+            {wishlist.recipient_name
+              ? t('wishlists.shared.greeting', { name: wishlist.recipient_name })
+              : t('wishlists.shared.intro')}
+          </p>
+        </motion.div>
+
+        <div className="glass-effect p-4 rounded-xl">
+          <h2 className="font-semibold mb-2">{t('wishlists.shared.yourChoices')}</h2>
+          {wishlist.items.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('wishlists.noItems')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {wishlist.items.map(item => {
+                const catalogItem = findWishlistCatalogItem(item, { products, combos });
+                const isProduct = item.item_type !== WISHLIST_ITEM_TYPE.COMBO;
+                return (
+                  <li key={item.id} className="py-2 flex items-center gap-3 text-sm">
+                    <span className={`flex-1 truncate ${catalogItem ? '' : 'text-gray-400 line-through'}`}>
+                      {catalogItem ? nameOf(catalogItem) : t('wishlists.unavailable')}
+                    </span>
+                    <span className="text-gray-500">×{item.quantity}</span>
+                    {catalogItem && (
+                      <span className="text-gray-700 whitespace-nowrap">{currencySymbol}{priceOf(catalogItem, isProduct)} {currencyCode}</span>
+                    )}
+                    <button
+                      onClick={() => runUpdate(() => removeSharedWishlistItem(token, item.id))}
+                      disabled={busy}
+                      className="text-red-500 hover:text-red-700"
+                      title={t('common.remove')}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="glass-effect p-4 rounded-xl space-y-3">
+          <h2 className="font-semibold">{t('wishlists.shared.browse')}</h2>
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+              placeholder={t('products.searchPlaceholder')}
+              className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {catalog.map(({ type, item }) => {
+              const isProduct = type === WISHLIST_ITEM_TYPE.PRODUCT;
+              const image = item.image_url || item.image;
+              return (
+                <div key={`${type}:${item.id}`} className="flex items-center gap-3 border border-gray-200 rounded-lg p-2">
+                  <div className="h-12 w-12 rounded bg-gray-100 overflow-hidden flex-shrink-0 flex items-center justify-center">
+                    {image ? <img src={image} alt="" className="h-full w-full object-cover" /> : <Package className="h-5 w-5 text-gray-400" />}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm truncate">{nameOf(item)}</p>
+                    <p className="text-xs text-gray-500">{currencySymbol}{priceOf(item, isProduct)} {currencyCode}</p>
+                  </div>
+                  <Button
+                    size="sm"
+                    disabled={busy || inList.has(item.id)}
+                    onClick={() => runUpdate(() => addSharedWishlistItem(token, type, item.id, 1))}
+                    style={getPrimaryButtonStyle(visualSettings)}
+                  >
+                    <Plus className="h-4 w-4" />
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedWishlistPage;
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { PackageSearch, Clock, CheckCircle, Loader, Truck, Package, CalendarClock, XCircle } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { toast } from '@/components/ui/use-toast';
+import RemittanceTimeline from '@/components/ui/RemittanceTimeline';
+import { getHeadingStyle } from '@/lib/styleUtils';
+import { ERROR_CODES } from '@/lib/errorHandler';
+import { ORDER_STATUS } from '@/lib/constants';
+import { getPublicTracking } from '@/lib/trackingService';
+import {
+  TRACKING_KIND,
+  ORDER_TRACKING_STEPS,
+  getTrackingOutcome,
+  getEstimatedDelivery,
+  toTimelineHistory
+} from '@/lib/tracking';
+
+const ORDER_STEP_ICONS = {
+  [ORDER_STATUS.PENDING]: Clock,
+  [ORDER_STATUS.PROCESSING]: Loader,
+  [ORDER_STATUS.DISPATCHED]: Package,
+  [ORDER_STATUS.DELIVERED]: Truck,
+  [ORDER_STATUS.COMPLETED]: CheckCircle
+};
+
+const ORDER_TIMELINE_STEPS = ORDER_TRACKING_STEPS.map(status => ({
+  id: status,
+  icon: ORDER_STEP_ICONS[status],
+  statusMatch: [status]
+}));
+
+/**
+ * Tracking Page (/track/:token)
+ * Public progress of an order or remittance: stages, estimated delivery and
+ * the delivery proof thumbnail. No amounts and no personal data beyond the
+ * recipient's first name.
+ */
+const TrackingPage = ({ token }) => {
+  const { t, language } = useLanguage();
+  const { visualSettings } = useBusiness();
+  const [tracking, setTracking] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    setTracking(null);
+    setNotFound(false);
+    getPublicTracking(token)
+      .then(setTracking)
+      .catch((error) => {
+        if (error.code === ERROR_CODES.NOT_FOUND) {
+          setNotFound(true);
+        } else {
+          toast({ title: t('common.error'), description: error.message || error.error, variant: 'destructive' });
+        }
+      });
+  }, [token, t]);
+
+  const formatDate = (value) => new Date(value).toLocaleDateString(language === 'es' ? 'es-ES' : 'en-US', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long'
+  });
+
+  if (notFound) {
+    return (
+      <div className="min-h-screen py-16 px-4 text-center">
+        <PackageSearch className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-600">{t('tracking.notFound')}</p>
+      </div>
+    );
+  }
+
+  if (!tracking) {
+    return <div className="min-h-screen py-16 text-center text-gray-500">{t('common.loading')}</div>;
+  }
+
+  const isOrder = tracking.kind === TRACKING_KIND.ORDER;
+  const outcome = getTrackingOutcome(tracking);
+  const estimatedDelivery = getEstimatedDelivery(tracking);
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="container mx-auto max-w-xl space-y-6">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="text-center">
+          <h1 className="text-3xl font-bold mb-2 flex items-center justify-center gap-2" style={getHeadingStyle(visualSettings)}>
+            <PackageSearch className="h-7 w-7" />
+            {isOrder ? t('tracking.orderTitle', { number: tracking.number }) : t('tracking.remittanceTitle', { number: tracking.number })}
+          </h1>
+          {tracking.recipient_first_name && (
+            <p className="text-gray-600 text-sm">{t('tracking.forRecipient', { name: tracking.recipient_first_name })}</p>
+          )}
+        </motion.div>
+
+        {outcome === 'cancelled' ? (
+          <div className="flex items-center justify-center gap-3 p-4 bg-red-50 border border-red-200 rounded-xl">
+            <XCircle className="h-8 w-8 text-red-500 flex-shrink-0" />
+            <p className="font-semibold text-red-700">{t('tracking.cancelled')}</p>
+          </div>
+        ) : (
+          <div className="glass-effect p-4 rounded-xl">
+            {estimatedDelivery && (
+              <p className="flex items-center gap-2 text-sm font-medium text-blue-800 bg-blue-50 rounded-lg p-3 mb-2">
+                <CalendarClock className="h-4 w-4 flex-shrink-0" />
+                {t('tracking.estimatedDelivery', { date: formatDate(estimatedDelivery) })}
+              </p>
+            )}
+            {outcome === 'delivered' && tracking.delivered_at && (
+              <p className="flex items-center gap-2 text-sm font-medium text-green-800 bg-green-50 rounded-lg p-3 mb-2">
+                <CheckCircle className="h-4 w-4 flex-shrink-0" />
+                {t('tracking.deliveredOn', { date: formatDate(tracking.delivered_at) })}
+              </p>
+            )}
+            <RemittanceTimeline
+              currentStatus={tracking.status}
+              statusHistory={toTimelineHistory(tracking.history)}
+              {...(isOrder ? {
+                steps: ORDER_TIMELINE_STEPS,
+                stepLabels: Object.fromEntries(ORDER_TRACKING_STEPS.map(status => [status, t(`adminOrders.table.orderStatus.${status}`)])),
+                title: t('tracking.orderProgress')
+              } : {})}
+            />
+          </div>
+        )}
+
+        {tracking.proof_url && (
+          <div className="glass-effect p-4 rounded-xl">
+            <h2 className="font-semibold mb-3 flex items-center gap-2">
+              <Truck className="h-5 w-5 text-green-600" />
+              {t('tracking.deliveryProof')}
+            </h2>
+            <a href={tracking.proof_url} target="_blank" rel="noopener noreferrer" className="block w-40 mx-auto">
+              <img
+                src={tracking.proof_url}
+                alt={t('tracking.deliveryProof')}
+                className="w-40 h-40 object-cover rounded-lg border-2 border-green-500 hover:opacity-90 transition-opacity"
+              />
+            </a>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrackingPage;
@@ -1,6 +1,6 @@
 import { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Users, Shield, UserCheck, UserX, Trash2, AlertCircle, BarChart3, Settings, Edit, Save, X } from 'lucide-react';
+import { Users, Shield, UserCheck, UserX, Trash2, AlertCircle, BarChart3, Settings, Edit, Save, X, KeyRound } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useBusiness } from '@/contexts/BusinessContext';
@@ -16,10 +16,14 @@ import { getUserTableColumns, getUserModalColumns } from '@/components/admin/Use
 import { getCategoryRules, getCategoryDiscounts, recalculateAllCategories, updateCategoryDiscount, updateCategoryRule } from '@/lib/userCategorizationService';
 import { ICON_MAP } from '@/components/CategoryBadge';
 import SlideToConfirm from '@/components/ui/SlideToConfirm';
+import PermissionRolesTab from '@/components/admin/PermissionRolesTab';
+import { PERMISSIONS } from '@/lib/permissions';
+import { getPermissionRoles, assignPermissionRole } from '@/lib/permissionService';
 
 const UserManagement = () => {
   const { t } = useLanguage();
-  const { user, isSuperAdmin } = useAuth();
+  const { user, isAdmin, isSuperAdmin, can } = useAuth();
+  const canManageRoles = can(PERMISSIONS.USERS_MANAGE_ROLES);
   const { visualSettings } = useBusiness();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -33,6 +37,7 @@ const UserManagement = () => {
   const [editingDiscountData, setEditingDiscountData] = useState(null);
   const [editingRuleId, setEditingRuleId] = useState(null);
   const [editingRuleData, setEditingRuleData] = useState(null);
+  const [permissionRoles, setPermissionRoles] = useState([]);
 
   const logUserManagementAction = async (action, details = {}, tab = activeTab) => {
     const logPayload = {
@@ -64,7 +69,7 @@ const UserManagement = () => {
     try {
       const { data, error } = await supabase
         .from('user_profiles')
-        .select('id, email, role, is_enabled, full_name, avatar_url, created_at')
+        .select('id, email, role, is_enabled, full_name, avatar_url, created_at, permission_role_id')
         .order('created_at', { ascending: false });
 
       if (error) throw error;
@@ -165,6 +170,41 @@ const UserManagement = () => {
     fetchCategoryData();
   }, []);
 
+  const loadPermissionRoles = async () => {
+    try {
+      setPermissionRoles(await getPermissionRoles());
+    } catch (error) {
+      console.error('[loadPermissionRoles] ERROR:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (canManageRoles) {
+      loadPermissionRoles();
+    }
+  }, [canManageRoles]);
+
+  const handlePermissionRoleChange = async (userId, roleId) => {
+    try {
+      logUserManagementAction('assign_permission_role_start', { userId, roleId });
+      await assignPermissionRole(userId, roleId || null);
+      setUsers(prev => prev.map(u => (u.id === userId ? { ...u, permission_role_id: roleId || null } : u)));
+      logUserManagementAction('assign_permission_role_success', { userId, roleId });
+      toast({
+        title: t('users.roleUpdated'),
+        description: t('permissions.roles.assigned'),
+      });
+    } catch (error) {
+      console.error('[handlePermissionRoleChange] ERROR:', error);
+      logUserManagementAction('assign_permission_role_error', { userId, message: error.message });
+      toast({
+        title: t('users.roleUpdateError'),
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleRoleChange = async (userId, newRole) => {
     try {
       const targetUser = users.find(u => u.id === userId);
@@ -517,12 +557,39 @@ const UserManagement = () => {
             >
               <option value="user">{t('users.roles.user')}</option>
               <option value="admin">{t('users.roles.admin')}</option>
+              <option value="courier">{t('users.roles.courier')}</option>
             </select>
           );
         }
       };
     }
 
+    // Permission role (named permissions on top of the role)
+    if (roleColumnIndex !== -1 && canManageRoles) {
+      baseColumns.splice(roleColumnIndex + 1, 0, {
+        key: 'permission_role_id',
+        label: t('permissions.roles.column'),
+        width: '15%',
+        render: (value, row) => {
+          if (row.role === 'super_admin') {
+            return <span className="text-xs text-gray-400 italic">{t('users.notApplicable')}</span>;
+          }
+          return (
+            <select
+              value={value || ''}
+              onChange={(e) => handlePermissionRoleChange(row.id, e.target.value)}
+              className="px-2 py-1 rounded text-xs border border-gray-300 focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">{t('permissions.roles.none')}</option>
+              {permissionRoles.map(role => (
+                <option key={role.id} value={role.id}>{role.name}</option>
+              ))}
+            </select>
+          );
+        }
+      });
+    }
+
     // Add category change handler
     const categoryColumnIndex = baseColumns.findIndex(col => col.key === 'category_name');
     if (categoryColumnIndex !== -1 && isSuperAdmin) {
@@ -652,7 +719,7 @@ const UserManagement = () => {
     }
 
     return baseColumns;
-  }, [t, isSuperAdmin, user?.email, visualSettings, categoryRules, handleRoleChange, handleCategoryChange, handleToggleUserStatus, handleDeleteUser]);
+  }, [t, isSuperAdmin, canManageRoles, permissionRoles, user?.email, visualSettings, categoryRules, handleRoleChange, handlePermissionRoleChange, handleCategoryChange, handleToggleUserStatus, handleDeleteUser]);
 
   const renderUsersTab = () => (
     <>
@@ -771,6 +838,7 @@ const UserManagement = () => {
                   >
                     <option value="user">{t('users.roles.user')}</option>
                     <option value="admin">{t('users.roles.admin')}</option>
+                    <option value="courier">{t('users.roles.courier')}</option>
                   </select>
                 ) : (
                   <span className={`inline-flex px-3 py-1 rounded-full text-xs font-medium ${
@@ -952,6 +1020,7 @@ const UserManagement = () => {
               <ul className="space-y-1 list-disc list-inside">
                 <li><strong>{t('users.roles.user')}:</strong> {t('users.rolesPermissions.userDesc')}</li>
                 <li><strong>{t('users.roles.admin')}:</strong> {t('users.rolesPermissions.adminDesc')}</li>
+                <li><strong>{t('users.roles.courier')}:</strong> {t('users.rolesPermissions.courierDesc')}</li>
                 <li><strong>{t('users.roles.super_admin')}:</strong> {t('users.rolesPermissions.superAdminDesc')}</li>
               </ul>
             </div>
@@ -1416,12 +1485,18 @@ const UserManagement = () => {
                 icon: <Users className="w-5 h-5" />,
                 content: renderUsersTab()
               },
-              {
+              ...(isAdmin ? [{
                 id: 'categories',
                 label: t('users.tabs.categories'),
                 icon: <BarChart3 className="w-5 h-5" />,
                 content: renderCategoriesTab()
-              }
+              }] : []),
+              ...(canManageRoles ? [{
+                id: 'roles',
+                label: t('permissions.roles.tab'),
+                icon: <KeyRound className="w-5 h-5" />,
+                content: <PermissionRolesTab roles={permissionRoles} onChange={loadPermissionRoles} />
+              }] : [])
             ]}
             activeTab={activeTab}
             onTabChange={(tab) => {
@@ -14,6 +14,7 @@ import { generateWhatsAppURL } from '@/lib/whatsappService';
 import { getActiveWhatsappRecipient } from '@/lib/notificationSettingsService';
 import { Button } from '@/components/ui/button';
 import CategoryBadge from '@/components/CategoryBadge';
+import TrackingLinkButton from '@/components/shared/TrackingLinkButton';
 import { derivePercentFromAmount } from '@/lib/discountDisplayService';
 import { useUserDiscounts } from '@/hooks/useUserDiscounts';
 import { useRealtimeRemittances, useRealtimeOrders } from '@/hooks/useRealtimeSubscription';
@@ -29,7 +30,7 @@ const UserPanel = ({ onNavigate }) => {
   const whatsappContact = getActiveWhatsappRecipient(notificationSettings);
   const { showModal } = useModal();
   const { categoryDiscountPercent } = useUserDiscounts();
-  const isRegularUser = userRole === 'user';
+  const isRegularUser = userRole === 'user' || userRole === 'courier'; // Couriers also buy as customers
   const [orders, setOrders] = useState([]);
   const [remittances, setRemittances] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -224,7 +225,7 @@ const UserPanel = ({ onNavigate }) => {
   };
 
   useRealtimeRemittances({
-    enabled: userRole === 'user' && !!user?.id,
+    enabled: isRegularUser && !!user?.id,
     filter: user ? `user_id=eq.${user.id}` : null,
     onUpdate: loadUserRemittances
   });
@@ -1245,6 +1246,11 @@ const UserPanel = ({ onNavigate }) => {
                         {selectedOrder.order_number}
                       </p>
                     )}
+                    {selectedOrder && (
+                      <div className="mt-2">
+                        <TrackingLinkButton token={selectedOrder.tracking_token} />
+                      </div>
+                    )}
                   </div>
                   <Button
                     variant="ghost"
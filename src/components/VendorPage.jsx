@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, Package, DollarSign, Save, List, Edit, Trash2, Box, Settings2, Eye, EyeOff, Check, X, AlertTriangle, AlertCircle } from 'lucide-react';
+import { Plus, Package, DollarSign, Save, List, Edit, Trash2, Box, Settings2, Eye, EyeOff, Check, X, AlertTriangle, AlertCircle, CalendarClock, Truck } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useBusiness } from '@/contexts/BusinessContext';
@@ -12,8 +12,10 @@ import VendorCategoriesTab from './vendor/VendorCategoriesTab';
 import VendorCombosTab from './vendor/VendorCombosTab';
 import VendorManagementTab from './vendor/VendorManagementTab';
 import VendorInventoryTab from './vendor/VendorInventoryTab';
+import InventoryManagement from './inventory/InventoryManagement';
+import VendorPurchasingTab from './vendor/VendorPurchasingTab';
 
-const VendorPage = () => {
+const VendorPage = ({ onNavigate }) => {
   const { t, language } = useLanguage();
   const {
     products, refreshProducts,
@@ -55,11 +57,13 @@ const VendorPage = () => {
           }
         }
 
-        // Load exchange rates
+        // Load exchange rates in effect (oldest first so the latest start wins below)
         const { data: ratesData, error: ratesError } = await supabase
           .from('exchange_rates')
           .select('*')
-          .eq('is_active', true);
+          .eq('is_active', true)
+          .lte('effective_from', new Date().toISOString())
+          .order('effective_from', { ascending: true });
 
         if (ratesError) {
           console.error('[fetchCurrencies] ERROR fetching exchange rates:', ratesError);
@@ -133,6 +137,24 @@ const VendorPage = () => {
               />
             )
           },
+          {
+            id: 'batches',
+            label: 'vendor.tabs.batches',
+            icon: <CalendarClock className="h-5 w-5" />,
+            content: (
+              <InventoryManagement
+                combos={combos}
+                onOpenCombos={() => setView('combos')}
+                onOpenOffers={() => onNavigate?.('dashboard', { tab: 'offers' })}
+              />
+            )
+          },
+          {
+            id: 'purchasing',
+            label: 'vendor.tabs.purchasing',
+            icon: <Truck className="h-5 w-5" />,
+            content: <VendorPurchasingTab />
+          },
           {
             id: 'categories',
             label: 'vendor.tabs.categories',
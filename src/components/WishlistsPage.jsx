@@ -0,0 +1,295 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Heart, Plus, Minus, Trash2, Link2, Copy, ShoppingCart, Gift, ArrowLeft } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { useCurrency } from '@/contexts/CurrencyContext';
+import { useModal } from '@/contexts/ModalContext';
+import { toast } from '@/components/ui/use-toast';
+import { getHeadingStyle, getPrimaryButtonStyle } from '@/lib/styleUtils';
+import { getMyRecipients } from '@/lib/recipientService';
+import {
+  getMyWishlists,
+  createWishlist,
+  updateWishlist,
+  deleteWishlist,
+  updateWishlistItemQuantity
+} from '@/lib/wishlistService';
+import {
+  WISHLIST_ITEM_TYPE,
+  buildWishlistShareUrl,
+  findWishlistCatalogItem,
+  getListItemPrice,
+  wishlistToCartLines
+} from '@/lib/wishlists';
+import { getVariantLabel } from '@/lib/productVariants';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+/**
+ * Wishlists Page
+ * The customer's saved-for-later and gift lists. A gift list is linked to a
+ * recipient and can be shared by link so the recipient chooses what they
+ * want; "Add all to cart" turns the list into cart lines.
+ */
+const WishlistsPage = ({ onNavigate }) => {
+  const { t, language } = useLanguage();
+  const { products, combos, addItemsToCart, financialSettings, visualSettings } = useBusiness();
+  const { selectedCurrency, currencyCode, currencySymbol, convertAmount } = useCurrency();
+  const { showModal } = useModal();
+  const [wishlists, setWishlists] = useState([]);
+  const [recipients, setRecipients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', recipientId: '' });
+  const [busyId, setBusyId] = useState(null);
+
+  const loadWishlists = useCallback(async () => {
+    try {
+      setWishlists(await getMyWishlists());
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadWishlists();
+    getMyRecipients().then(setRecipients).catch(() => setRecipients([]));
+  }, [loadWishlists]);
+
+  const priceOf = (catalogItem, isProduct) => getListItemPrice(catalogItem, isProduct, {
+    products,
+    convert: convertAmount,
+    currencyId: selectedCurrency,
+    comboProfit: financialSettings?.comboProfit
+  });
+
+  const itemName = (catalogItem) => {
+    if (!catalogItem) return t('wishlists.unavailable');
+    const name = language === 'es'
+      ? (catalogItem.name_es || catalogItem.name)
+      : (catalogItem.name_en || catalogItem.name_es || catalogItem.name);
+    const label = catalogItem.parent_product_id ? getVariantLabel(catalogItem) : '';
+    return label && !name.includes(label) ? `${name} (${label})` : name;
+  };
+
+  const handleCreate = async () => {
+    try {
+      await createWishlist({ name: form.name, recipientId: form.recipientId || null });
+      setForm({ name: '', recipientId: '' });
+      await loadWishlists();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    }
+  };
+
+  const runOnList = async (wishlistId, action) => {
+    setBusyId(wishlistId);
+    try {
+      await action();
+      await loadWishlists();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (wishlist) => {
+    const confirmed = await showModal({
+      type: 'confirm',
+      title: t('wishlists.deleteConfirm'),
+      message: wishlist.name,
+      confirmText: t('common.delete'),
+      cancelText: t('common.cancel')
+    });
+    if (!confirmed) return;
+    runOnList(wishlist.id, () => deleteWishlist(wishlist.id));
+  };
+
+  const handleCopyLink = (wishlist) => {
+    navigator.clipboard.writeText(buildWishlistShareUrl(wishlist.share_token)).then(() => {
+      toast({ title: t('wishlists.linkCopied') });
+    });
+  };
+
+  const handleAddAllToCart = (wishlist) => {
+    const { lines, skipped } = wishlistToCartLines(wishlist.items, { products, combos }, {
+      getPrice: (catalogItem, isProduct) => priceOf(catalogItem, isProduct).toFixed(2),
+      currencyId: selectedCurrency,
+      currencyCode
+    });
+
+    if (lines.length === 0) {
+      toast({ title: t('wishlists.nothingToAdd'), variant: 'destructive' });
+      return;
+    }
+
+    addItemsToCart(lines);
+    toast({
+      title: t('wishlists.addedToCart', { count: lines.length }),
+      description: skipped.length > 0 ? t('wishlists.skipped', { count: skipped.length }) : undefined
+    });
+    onNavigate('cart');
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="container mx-auto max-w-4xl space-y-6">
+        <button
+          onClick={() => onNavigate('user-panel')}
+          className="flex items-center gap-2 text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          <ArrowLeft className="h-5 w-5" />
+          <span>{t('recipients.backToPanel')}</span>
+        </button>
+
+        <div>
+          <h1 className="text-3xl font-bold mb-1 flex items-center gap-2" style={getHeadingStyle(visualSettings)}>
+            <Heart className="h-7 w-7" />
+            {t('wishlists.title')}
+          </h1>
+          <p className="text-gray-600 text-sm">{t('wishlists.subtitle')}</p>
+        </div>
+
+        <div className="glass-effect p-4 rounded-xl grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('wishlists.name')}</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder={t('wishlists.namePlaceholder')}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('wishlists.recipient')}</label>
+            <select
+              value={form.recipientId}
+              onChange={e => setForm(prev => ({ ...prev, recipientId: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">{t('wishlists.savedForLater')}</option>
+              {recipients.map(recipient => (
+                <option key={recipient.id} value={recipient.id}>{recipient.full_name}</option>
+              ))}
+            </select>
+          </div>
+          <Button onClick={handleCreate} disabled={!form.name.trim()} style={getPrimaryButtonStyle(visualSettings)}>
+            <Plus className="h-4 w-4 mr-2" />
+            {t('wishlists.create')}
+          </Button>
+        </div>
+
+        {loading ? (
+          <p className="text-center text-gray-500">{t('common.loading')}</p>
+        ) : wishlists.length === 0 ? (
+          <div className="glass-effect p-8 rounded-xl text-center text-gray-600">
+            <Heart className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            {t('wishlists.empty')}
+          </div>
+        ) : (
+          wishlists.map(wishlist => (
+            <motion.div
+              key={wishlist.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="glass-effect p-4 rounded-xl space-y-3"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                <div>
+                  <h2 className="font-bold text-lg">{wishlist.name}</h2>
+                  <p className="text-xs text-gray-500 flex items-center gap-1">
+                    {wishlist.recipient ? (
+                      <><Gift className="h-3.5 w-3.5" />{t('wishlists.forRecipient', { name: wishlist.recipient.full_name })}</>
+                    ) : t('wishlists.savedForLater')}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={busyId === wishlist.id}
+                    onClick={() => runOnList(wishlist.id, () => updateWishlist(wishlist.id, { shareEnabled: !wishlist.share_enabled }))}
+                  >
+                    <Link2 className="h-4 w-4 mr-1" />
+                    {wishlist.share_enabled ? t('wishlists.stopSharing') : t('wishlists.share')}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleDelete(wishlist)} disabled={busyId === wishlist.id}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+
+              {wishlist.share_enabled && (
+                <div className="flex items-center gap-2 bg-blue-50 border border-blue-200 rounded-lg px-3 py-2 text-xs">
+                  <span className="flex-1 truncate text-blue-800">{buildWishlistShareUrl(wishlist.share_token)}</span>
+                  <button onClick={() => handleCopyLink(wishlist)} className="text-blue-700 hover:text-blue-900" title={t('wishlists.copyLink')}>
+                    <Copy className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
+
+              {wishlist.items.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('wishlists.noItems')}</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {wishlist.items.map(item => {
+                    const catalogItem = findWishlistCatalogItem(item, { products, combos });
+                    const isProduct = item.item_type !== WISHLIST_ITEM_TYPE.COMBO;
+                    return (
+                      <li key={item.id} className="py-2 flex items-center gap-3 text-sm">
+                        <div className="flex-1 min-w-0">
+                          <p className={`truncate ${catalogItem ? 'text-gray-900' : 'text-gray-400 line-through'}`}>{itemName(catalogItem)}</p>
+                          {item.added_by === 'recipient' && (
+                            <span className="text-[11px] text-pink-600">{t('wishlists.chosenByRecipient')}</span>
+                          )}
+                        </div>
+                        {catalogItem && (
+                          <span className="text-gray-700 whitespace-nowrap">
+                            {currencySymbol}{priceOf(catalogItem, isProduct).toFixed(2)} {currencyCode}
+                          </span>
+                        )}
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => runOnList(wishlist.id, () => updateWishlistItemQuantity(item.id, item.quantity - 1))}
+                            className="p-1 rounded hover:bg-gray-100"
+                          >
+                            <Minus className="h-3.5 w-3.5" />
+                          </button>
+                          <span className="w-6 text-center">{item.quantity}</span>
+                          <button
+                            onClick={() => runOnList(wishlist.id, () => updateWishlistItemQuantity(item.id, item.quantity + 1))}
+                            className="p-1 rounded hover:bg-gray-100"
+                          >
+                            <Plus className="h-3.5 w-3.5" />
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <div className="flex justify-end">
+                <Button
+                  onClick={() => handleAddAllToCart(wishlist)}
+                  disabled={wishlist.items.length === 0}
+                  style={getPrimaryButtonStyle(visualSettings)}
+                >
+                  <ShoppingCart className="h-4 w-4 mr-2" />
+                  {t('wishlists.addAllToCart')}
+                </Button>
+              </div>
+            </motion.div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WishlistsPage;
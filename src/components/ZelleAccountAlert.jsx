@@ -1,10 +1,27 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, CreditCard, RefreshCw, Bell } from 'lucide-react';
+import { X, CreditCard, RefreshCw, Bell, Clock } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useAuth } from '@/contexts/AuthContext';
 import { useUserAlerts } from '@/hooks/useRealtimeSubscription';
+import { getZelleLimitForecast, ZELLE_CAPACITY_LEVELS } from '@/lib/zelleService';
+
+const FORECAST_REFRESH_MS = 5 * 60 * 1000;
+
+// operationType → Zelle transaction types whose capacity matters
+const CAPACITY_TYPES = {
+  order: ['product'],
+  remittance: ['remittance'],
+  all: ['product', 'remittance']
+};
+
+const LEVEL_ORDER = [
+  ZELLE_CAPACITY_LEVELS.OK,
+  ZELLE_CAPACITY_LEVELS.WARNING,
+  ZELLE_CAPACITY_LEVELS.CRITICAL,
+  ZELLE_CAPACITY_LEVELS.EXHAUSTED
+];
 
 /**
  * ZelleAccountAlert
@@ -14,11 +31,45 @@ import { useUserAlerts } from '@/hooks/useRealtimeSubscription';
  *
  * Uses database-based alerts via useUserAlerts hook to ensure
  * ALL users are notified even if they were offline when the event occurred.
+ *
+ * Also warns ahead of time when the Zelle accounts for this operation are
+ * forecast to reach their limits (zelleService.getZelleLimitForecast).
  */
 const ZelleAccountAlert = ({ onSelectNewAccount, operationType = 'all' }) => {
   const { t } = useLanguage();
   const { user } = useAuth();
   const [isExpanded, setIsExpanded] = useState(true);
+  const [capacity, setCapacity] = useState(null);
+  const [capacityDismissed, setCapacityDismissed] = useState(false);
+
+  // Limit forecast, refreshed periodically while the page is open
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    let cancelled = false;
+
+    const loadForecast = async () => {
+      try {
+        const forecast = await getZelleLimitForecast();
+        const types = CAPACITY_TYPES[operationType] || CAPACITY_TYPES.all;
+        // Worst level among the relevant transaction types
+        const worst = types
+          .map(type => forecast.capacity[type])
+          .filter(Boolean)
+          .sort((a, b) => LEVEL_ORDER.indexOf(b.level) - LEVEL_ORDER.indexOf(a.level))[0];
+        if (!cancelled) setCapacity(worst || null);
+      } catch (error) {
+        // Forecast is advisory; checkout still reports unavailable accounts
+        if (!cancelled) setCapacity(null);
+      }
+    };
+
+    loadForecast();
+    const interval = setInterval(loadForecast, FORECAST_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [user?.id, operationType]);
 
   // Use database-based alerts hook
   const {
@@ -60,8 +111,49 @@ const ZelleAccountAlert = ({ onSelectNewAccount, operationType = 'all' }) => {
     }
   }, [filteredAlerts, dismissAlert]);
 
-  // Don't render if loading or no alerts
-  if (loading || !hasAlerts || filteredAlerts.length === 0) return null;
+  const capacityNotice = capacity && !capacityDismissed && capacity.level !== ZELLE_CAPACITY_LEVELS.OK
+    ? (
+      <div
+        className={`rounded-xl shadow-lg px-4 py-3 flex items-start gap-3 border-2 ${
+          capacity.level === ZELLE_CAPACITY_LEVELS.WARNING
+            ? 'bg-amber-50 border-amber-300 text-amber-900'
+            : 'bg-red-50 border-red-300 text-red-900'
+        }`}
+      >
+        <Clock className="h-5 w-5 flex-shrink-0 mt-0.5" />
+        <div className="flex-1 text-sm">
+          <p className="font-semibold">{t(`zelle.alert.capacity.${capacity.level}.title`)}</p>
+          <p className="text-xs mt-0.5">
+            {t(`zelle.alert.capacity.${capacity.level}.message`, {
+              time: capacity.exhaustsAt
+                ? new Date(capacity.exhaustsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : ''
+            })}
+          </p>
+        </div>
+        <button
+          onClick={() => setCapacityDismissed(true)}
+          className="p-1 hover:bg-black/5 rounded-lg transition-colors"
+          title={t('common.dismiss')}
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    )
+    : null;
+
+  const hasDeactivationAlerts = !loading && hasAlerts && filteredAlerts.length > 0;
+
+  // Nothing to show
+  if (!hasDeactivationAlerts && !capacityNotice) return null;
+
+  if (!hasDeactivationAlerts) {
+    return (
+      <div className="fixed top-4 left-4 right-4 z-50 md:left-auto md:right-4 md:max-w-md">
+        {capacityNotice}
+      </div>
+    );
+  }
 
   const alertCount = filteredAlerts.length;
   const hasOrders = filteredAlerts.some(a => a.metadata?.operationType === 'order');
@@ -77,8 +169,9 @@ const ZelleAccountAlert = ({ onSelectNewAccount, operationType = 'all' }) => {
         animate={{ opacity: 1, y: 0, scale: 1 }}
         exit={{ opacity: 0, y: -20, scale: 0.95 }}
         transition={{ duration: 0.3, ease: 'easeOut' }}
-        className="fixed top-4 left-4 right-4 z-50 md:left-auto md:right-4 md:max-w-md"
+        className="fixed top-4 left-4 right-4 z-50 md:left-auto md:right-4 md:max-w-md space-y-2"
       >
+        {capacityNotice}
         <div className="bg-gradient-to-r from-amber-500 to-orange-500 rounded-xl shadow-2xl overflow-hidden border-2 border-amber-300">
           {/* Header */}
           <div className="px-4 py-3 flex items-center justify-between bg-amber-600/30">
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Truck } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+
+/**
+ * Courier Assign Select
+ * Courier of a remittance or order in the admin lists. While the item can
+ * still be delivered it is a select; afterwards it only shows who delivered it.
+ *
+ * @prop {Array<Object>} couriers - from courierService.getCouriers
+ * @prop {string|null} value - assigned_courier_id
+ * @prop {boolean} editable - whether the assignment can still change
+ * @prop {function} onChange - (courierId|null) => void
+ * @prop {boolean} disabled
+ */
+const CourierAssignSelect = ({ couriers = [], value, editable = true, onChange, disabled = false }) => {
+  const { t } = useLanguage();
+  const assigned = couriers.find(courier => courier.id === value);
+  const courierName = (courier) => courier.full_name || courier.email;
+
+  if (!editable) {
+    if (!value) return null;
+    return (
+      <span className="flex items-center gap-1 text-xs text-gray-600">
+        <Truck className="h-3.5 w-3.5" />
+        {assigned ? courierName(assigned) : t('courier.assign.assigned')}
+      </span>
+    );
+  }
+
+  return (
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      <Truck className="h-3.5 w-3.5 flex-shrink-0" />
+      <select
+        value={value || ''}
+        onChange={e => onChange(e.target.value || null)}
+        disabled={disabled}
+        title={t('courier.assign.label')}
+        className="px-2 py-1 text-xs border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent max-w-[160px]"
+      >
+        <option value="">{t('courier.assign.unassigned')}</option>
+        {couriers.map(courier => (
+          <option key={courier.id} value={courier.id}>{courierName(courier)}</option>
+        ))}
+        {value && !assigned && <option value={value}>{t('courier.assign.assigned')}</option>}
+      </select>
+    </label>
+  );
+};
+
+export default CourierAssignSelect;
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Loader, RefreshCw, Printer, Save, Route, ChevronUp, ChevronDown, MapPin, Package, DollarSign } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { toast } from '@/components/ui/use-toast';
+import Checkbox from '@/components/ui/Checkbox';
+import CourierAssignSelect from './CourierAssignSelect';
+import { getCouriers, getDispatchCandidates, saveDeliveryRoute, assignCourier, DELIVERY_KIND } from '@/lib/courierService';
+import {
+  getStopKey,
+  proposeStopOrder,
+  orderRoute,
+  groupStopsByMunicipality,
+  distributeStops,
+  summarizeAmounts,
+  buildManifestHtml
+} from '@/lib/routePlanning';
+
+const toRouteDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatTotals = (totals) => (
+  totals.length === 0 ? '-' : totals.map(total => `${total.amount.toFixed(2)} ${total.currency}`).join(' · ')
+);
+
+/**
+ * One stop of the pool or of a route
+ */
+const StopRow = ({ stop, position, couriers, courierId, onAssign, onMove, canMoveUp, canMoveDown, disabled }) => {
+  const { t } = useLanguage();
+  const isRemittance = stop.kind === DELIVERY_KIND.REMITTANCE;
+
+  return (
+    <li className="flex flex-wrap items-center gap-3 px-3 py-2 bg-white rounded-lg border border-gray-200">
+      {position && <span className="w-6 text-center font-bold text-gray-500">{position}</span>}
+      <div className="flex-1 min-w-[180px]">
+        <p className="font-medium text-sm flex items-center gap-1">
+          {isRemittance ? <DollarSign className="h-3.5 w-3.5 text-green-600" /> : <Package className="h-3.5 w-3.5 text-blue-600" />}
+          {stop.number} · {stop.recipientName || '-'}
+        </p>
+        <p className="text-xs text-gray-500">
+          {[stop.municipality, stop.province].filter(Boolean).join(', ') || t('courier.unknownProvince')}
+          {stop.phone && ` · ${stop.phone}`}
+        </p>
+      </div>
+      {stop.amount != null && (
+        <span className="text-sm font-semibold whitespace-nowrap">{Number(stop.amount).toFixed(2)} {stop.currency}</span>
+      )}
+      <CourierAssignSelect couriers={couriers} value={courierId} onChange={onAssign} disabled={disabled} />
+      {onMove && (
+        <div className="flex flex-col">
+          <button onClick={() => onMove(-1)} disabled={disabled || !canMoveUp} title={t('dispatch.moveUp')} className="text-gray-500 hover:text-gray-900 disabled:opacity-30">
+            <ChevronUp className="h-4 w-4" />
+          </button>
+          <button onClick={() => onMove(1)} disabled={disabled || !canMoveDown} title={t('dispatch.moveDown')} className="text-gray-500 hover:text-gray-900 disabled:opacity-30">
+            <ChevronDown className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Dispatch Planner Tab
+ * Daily plan of validated orders and cash remittances: proposes which
+ * courier takes each municipality and the stop order of every route (from
+ * the bundled location list, no maps), lets the admin adjust it, saves the
+ * routes and prints one manifest per courier.
+ */
+const DispatchPlannerTab = () => {
+  const { t, language } = useLanguage();
+  const { visualSettings } = useBusiness();
+
+  const [routeDate, setRouteDate] = useState(toRouteDay(new Date()));
+  const [stops, setStops] = useState([]);
+  const [couriers, setCouriers] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [workingCourierIds, setWorkingCourierIds] = useState([]);
+  // Unsaved changes: stop key → courierId (null = unassigned)
+  const [assignments, setAssignments] = useState({});
+  // Manual reordering: courierId → stop keys
+  const [manualOrder, setManualOrder] = useState({});
+
+  const loadPlan = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [candidates, courierList] = await Promise.all([getDispatchCandidates(), getCouriers()]);
+      setStops(candidates);
+      setCouriers(courierList);
+      setWorkingCourierIds(courierList.map(courier => courier.id));
+      setAssignments({});
+      setManualOrder({});
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadPlan();
+  }, [loadPlan]);
+
+  const courierOf = useCallback((stop) => {
+    const key = getStopKey(stop);
+    return key in assignments ? assignments[key] : stop.courierId;
+  }, [assignments]);
+
+  const plannedStops = useMemo(
+    () => stops.map(stop => ({ ...stop, courierId: courierOf(stop) })),
+    [stops, courierOf]
+  );
+
+  // Stops without a courier, or with one who is no longer enabled
+  const poolGroups = useMemo(() => {
+    const courierIds = new Set(couriers.map(courier => courier.id));
+    return groupStopsByMunicipality(proposeStopOrder(plannedStops.filter(stop => !courierIds.has(stop.courierId))));
+  }, [plannedStops, couriers]);
+
+  const routes = useMemo(() => couriers.map((courier) => {
+    const courierStops = plannedStops.filter(stop => stop.courierId === courier.id);
+    const proposed = orderRoute(courierStops, routeDate);
+    const manual = manualOrder[courier.id];
+    if (!manual) return { courier, stops: proposed };
+
+    const byKey = new Map(courierStops.map(stop => [getStopKey(stop), stop]));
+    const ordered = manual.filter(key => byKey.has(key)).map(key => byKey.get(key));
+    const rest = proposed.filter(stop => !manual.includes(getStopKey(stop)));
+    return { courier, stops: [...ordered, ...rest] };
+  }).filter(route => route.stops.length > 0), [couriers, plannedStops, manualOrder, routeDate]);
+
+  const handleAssign = (stop, courierId) => {
+    setAssignments(prev => ({ ...prev, [getStopKey(stop)]: courierId }));
+  };
+
+  const handleMove = (route, index, delta) => {
+    const keys = route.stops.map(getStopKey);
+    [keys[index], keys[index + delta]] = [keys[index + delta], keys[index]];
+    setManualOrder(prev => ({ ...prev, [route.courier.id]: keys }));
+  };
+
+  const handlePropose = () => {
+    const proposal = distributeStops(plannedStops, workingCourierIds);
+    const changed = Object.keys(proposal).length;
+    setAssignments(prev => ({ ...prev, ...proposal }));
+    // Couriers that received stops get their route re-proposed
+    setManualOrder(prev => {
+      const next = { ...prev };
+      Object.values(proposal).forEach(courierId => delete next[courierId]);
+      return next;
+    });
+    toast({ title: t('dispatch.proposed', { count: changed }) });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      // Stops taken off every route
+      const unassigned = stops.filter(stop => stop.courierId && !courierOf(stop));
+      for (const stop of unassigned) {
+        await assignCourier(stop.kind, stop.id, null);
+      }
+      for (const route of routes) {
+        await saveDeliveryRoute(route.courier.id, routeDate, route.stops);
+      }
+      toast({ title: t('dispatch.saved', { count: routes.length }) });
+      await loadPlan();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePrint = (route) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast({ title: t('dispatch.popupBlocked'), variant: 'destructive' });
+      return;
+    }
+
+    printWindow.document.write(buildManifestHtml({
+      title: t('dispatch.manifest.title'),
+      subtitle: `${route.courier.full_name || route.courier.email} · ${routeDate}`,
+      language,
+      stops: route.stops,
+      labels: {
+        position: '#',
+        number: t('dispatch.manifest.number'),
+        recipient: t('dispatch.manifest.recipient'),
+        phone: t('dispatch.manifest.phone'),
+        address: t('dispatch.manifest.address'),
+        amount: t('dispatch.manifest.amount'),
+        signature: t('dispatch.manifest.signature'),
+        cashTotal: t('dispatch.manifest.cashTotal'),
+        orderTotal: t('dispatch.manifest.orderTotal'),
+        unknownLocation: t('courier.unknownProvince'),
+        [DELIVERY_KIND.REMITTANCE]: t('courier.kind.remittance'),
+        [DELIVERY_KIND.ORDER]: t('courier.kind.order')
+      }
+    }));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const toggleWorkingCourier = (courierId, checked) => {
+    setWorkingCourierIds(prev => (checked ? [...prev, courierId] : prev.filter(id => id !== courierId)));
+  };
+
+  const poolCount = poolGroups.reduce((sum, group) => sum + group.stops.length, 0);
+  const hasChanges = Object.keys(assignments).length > 0 || Object.keys(manualOrder).length > 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="space-y-4"
+    >
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold gradient-text">{t('dispatch.title')}</h2>
+          <p className="text-sm text-gray-500">{t('dispatch.subtitle', { count: stops.length })}</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{t('dispatch.routeDate')}</label>
+            <input type="date" value={routeDate} onChange={e => setRouteDate(e.target.value)} className="input-style" />
+          </div>
+          <button
+            onClick={loadPlan}
+            disabled={isLoading || isSaving}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border disabled:opacity-50"
+          >
+            {isLoading ? <Loader size={18} className="animate-spin" /> : <RefreshCw size={18} />}
+            {t('dashboard.refresh')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isLoading || isSaving || !routeDate || (!hasChanges && routes.length === 0)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg text-white disabled:opacity-50"
+            style={{ backgroundColor: visualSettings.primaryColor || '#3b82f6' }}
+          >
+            {isSaving ? <Loader size={18} className="animate-spin" /> : <Save size={18} />}
+            {t('dispatch.save')}
+          </button>
+        </div>
+      </div>
+
+      {couriers.length === 0 && !isLoading ? (
+        <div className="glass-effect p-4 rounded-xl text-sm text-gray-600">{t('dispatch.noCouriers')}</div>
+      ) : (
+        <div className="glass-effect p-4 rounded-xl space-y-3">
+          <p className="text-sm font-medium text-gray-700">{t('dispatch.couriersForDay')}</p>
+          <div className="flex flex-wrap gap-4">
+            {couriers.map(courier => (
+              <Checkbox
+                key={courier.id}
+                id={`dispatch-courier-${courier.id}`}
+                checked={workingCourierIds.includes(courier.id)}
+                onChange={checked => toggleWorkingCourier(courier.id, checked)}
+                label={courier.full_name || courier.email}
+              />
+            ))}
+          </div>
+          <button
+            onClick={handlePropose}
+            disabled={isSaving || poolCount === 0 || workingCourierIds.length === 0}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border disabled:opacity-50"
+          >
+            <Route size={18} />
+            {t('dispatch.propose')}
+          </button>
+        </div>
+      )}
+
+      {stops.length === 0 && !isLoading ? (
+        <div className="glass-effect p-8 rounded-xl text-center text-gray-600">{t('dispatch.empty')}</div>
+      ) : (
+        <>
+          <section className="glass-effect p-4 rounded-xl space-y-3">
+            <h3 className="font-bold">{t('dispatch.unassigned', { count: poolCount })}</h3>
+            {poolCount === 0 ? (
+              <p className="text-sm text-gray-500">{t('dispatch.allAssigned')}</p>
+            ) : poolGroups.map(group => (
+              <div key={`${group.province}|${group.municipality}`} className="space-y-2">
+                <h4 className="text-sm font-semibold text-gray-700 flex items-center gap-1">
+                  <MapPin className="h-4 w-4 text-purple-600" />
+                  {[group.municipality, group.province].filter(Boolean).join(', ') || t('courier.unknownProvince')}
+                  <span className="font-normal text-gray-500">({group.stops.length})</span>
+                </h4>
+                <ul className="space-y-1">
+                  {group.stops.map(stop => (
+                    <StopRow
+                      key={getStopKey(stop)}
+                      stop={stop}
+                      couriers={couriers}
+                      courierId={stop.courierId}
+                      onAssign={courierId => handleAssign(stop, courierId)}
+                      disabled={isSaving}
+                    />
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </section>
+
+          {routes.map(route => (
+            <section key={route.courier.id} className="glass-effect p-4 rounded-xl space-y-3">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <h3 className="font-bold">{route.courier.full_name || route.courier.email}</h3>
+                  <p className="text-xs text-gray-500">
+                    {t('dispatch.stops', { count: route.stops.length })} · {t('dispatch.manifest.cashTotal')}: {formatTotals(summarizeAmounts(route.stops, DELIVERY_KIND.REMITTANCE))}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handlePrint(route)}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm"
+                >
+                  <Printer size={16} />
+                  {t('dispatch.printManifest')}
+                </button>
+              </div>
+              <ol className="space-y-1">
+                {route.stops.map((stop, index) => (
+                  <StopRow
+                    key={getStopKey(stop)}
+                    stop={stop}
+                    position={index + 1}
+                    couriers={couriers}
+                    courierId={route.courier.id}
+                    onAssign={courierId => handleAssign(stop, courierId)}
+                    onMove={delta => handleMove(route, index, delta)}
+                    canMoveUp={index > 0}
+                    canMoveDown={index < route.stops.length - 1}
+                    disabled={isSaving}
+                  />
+                ))}
+              </ol>
+            </section>
+          ))}
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default DispatchPlannerTab;
@@ -1,14 +1,22 @@
 import React from 'react';
 import { Eye, Play, Truck, Camera, Check, Ban, CheckCircle, XCircle } from 'lucide-react';
 import { useLanguage } from '@/contexts/LanguageContext';
+import { useAuth } from '@/contexts/AuthContext';
+import { ORDER_ACTIONS, ORDER_ACTORS, getAvailableOrderActions } from '@/lib/orderStateMachine';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Open to staff with order.validate_payment; every other action needs an admin
+const PAYMENT_REVIEW_ACTIONS = [ORDER_ACTIONS.VALIDATE_PAYMENT, ORDER_ACTIONS.REJECT_PAYMENT];
 
 /**
  * Order Action Buttons Component
- * Renders conditional action buttons based on order status with intuitive colors and styling
- * Uses state machine logic to determine available actions
+ * Renders action buttons with intuitive colors and styling
+ * Available actions come from the shared order state machine (orderStateMachine.js),
+ * the same model orderService uses to validate each transition
  */
 const OrderActionButtons = ({
   order,
+  userRole,
   onView,
   onStartProcessing,
   onValidatePayment,
@@ -19,87 +27,75 @@ const OrderActionButtons = ({
   onCancelOrder,
   actionLoading
 }) => {
-  const { t, language } = useLanguage();
-  const isLoading = actionLoading === order.id;
-
-  // Determine primary action button based on order status
-  const getPrimaryAction = () => {
-    const { payment_status, status } = order;
-
-    if (status === 'cancelled' || status === 'completed') {
-      return null; // No primary action
-    }
-
-    if (payment_status === 'validated' && status === 'pending') {
-      return {
-        icon: <Play className="h-4 w-4" />,
-        label: t('adminOrders.action.startProcessing'),
-        onClick: () => onStartProcessing(order),
-        disabled: isLoading,
-        color: 'bg-emerald-500 hover:bg-emerald-600 text-white',
-        tooltip: t('adminOrders.action.startProcessing')
-      };
-    }
-
-    if (status === 'processing') {
-      return {
-        icon: <Truck className="h-4 w-4" />,
-        label: t('adminOrders.action.markAsDispatched'),
-        onClick: () => onMarkAsDispatched(order),
-        disabled: isLoading,
-        color: 'bg-blue-500 hover:bg-blue-600 text-white',
-        tooltip: t('adminOrders.action.markAsDispatched')
-      };
-    }
-
-    if (status === 'dispatched') {
-      return {
-        icon: <Camera className="h-4 w-4" />,
-        label: t('adminOrders.action.uploadProof'),
-        onClick: () => onUploadDeliveryProof(order),
-        disabled: isLoading,
-        color: 'bg-purple-500 hover:bg-purple-600 text-white',
-        tooltip: t('adminOrders.action.uploadProof')
-      };
-    }
-
-    if (status === 'delivered') {
-      return {
-        icon: <Check className="h-4 w-4" />,
-        label: t('adminOrders.action.completeOrder'),
-        onClick: () => onCompleteOrder(order),
-        disabled: isLoading,
-        color: 'bg-green-500 hover:bg-green-600 text-white',
-        tooltip: t('adminOrders.action.completeOrder')
-      };
+  const { t } = useLanguage();
+  const { isAdmin, can } = useAuth();
+  const isLoading = actionLoading === true || actionLoading === order.id;
+
+  // Button configuration per state machine action (render order follows this list)
+  const actionButtons = [
+    {
+      action: ORDER_ACTIONS.VALIDATE_PAYMENT,
+      icon: <CheckCircle className="h-4 w-4" />,
+      label: t('adminOrders.action.validatePayment'),
+      onClick: () => onValidatePayment(order),
+      color: 'bg-emerald-600 hover:bg-emerald-700 text-white',
+      tooltip: t('adminOrders.action.validatePayment')
+    },
+    {
+      action: ORDER_ACTIONS.REJECT_PAYMENT,
+      icon: <XCircle className="h-4 w-4" />,
+      label: t('adminOrders.action.rejectPayment'),
+      onClick: () => onRejectPayment(order),
+      color: 'bg-red-500 hover:bg-red-600 text-white',
+      tooltip: t('adminOrders.action.rejectPayment')
+    },
+    {
+      action: ORDER_ACTIONS.START_PROCESSING,
+      icon: <Play className="h-4 w-4" />,
+      label: t('adminOrders.action.startProcessing'),
+      onClick: () => onStartProcessing(order),
+      color: 'bg-emerald-500 hover:bg-emerald-600 text-white',
+      tooltip: t('adminOrders.action.startProcessing')
+    },
+    {
+      action: ORDER_ACTIONS.DISPATCH,
+      icon: <Truck className="h-4 w-4" />,
+      label: t('adminOrders.action.markAsDispatched'),
+      onClick: () => onMarkAsDispatched(order),
+      color: 'bg-blue-500 hover:bg-blue-600 text-white',
+      tooltip: t('adminOrders.action.markAsDispatched')
+    },
+    {
+      action: ORDER_ACTIONS.DELIVER,
+      icon: <Camera className="h-4 w-4" />,
+      label: t('adminOrders.action.uploadProof'),
+      onClick: () => onUploadDeliveryProof(order),
+      color: 'bg-purple-500 hover:bg-purple-600 text-white',
+      tooltip: t('adminOrders.action.uploadProof')
+    },
+    {
+      action: ORDER_ACTIONS.COMPLETE,
+      icon: <Check className="h-4 w-4" />,
+      label: t('adminOrders.action.completeOrder'),
+      onClick: () => onCompleteOrder(order),
+      color: 'bg-green-500 hover:bg-green-600 text-white',
+      tooltip: t('adminOrders.action.completeOrder')
+    },
+    {
+      action: ORDER_ACTIONS.CANCEL,
+      icon: <Ban className="h-4 w-4" />,
+      label: t('common.cancel'),
+      onClick: () => onCancelOrder(order),
+      color: 'bg-red-500 hover:bg-red-600 text-white',
+      tooltip: t('adminOrders.action.cancelOrder')
     }
+  ];
 
-    return null;
-  };
-
-  const primaryAction = getPrimaryAction();
-
-  const paymentActions =
-    order.status === 'pending' && order.payment_status === 'proof_uploaded'
-      ? [
-          {
-            icon: <CheckCircle className="h-4 w-4" />,
-            label: t('adminOrders.action.validatePayment'),
-            onClick: () => onValidatePayment(order),
-            disabled: isLoading,
-            color: 'bg-emerald-600 hover:bg-emerald-700 text-white',
-            tooltip: t('adminOrders.action.validatePayment')
-          },
-          {
-            icon: <XCircle className="h-4 w-4" />,
-            label: t('adminOrders.action.rejectPayment'),
-            onClick: () => onRejectPayment(order),
-            disabled: isLoading,
-            color: 'bg-red-500 hover:bg-red-600 text-white',
-            tooltip: t('adminOrders.action.rejectPayment')
-          }
-        ]
-      : [];
+  const availableActions = getAvailableOrderActions(order, { actor: ORDER_ACTORS.ADMIN, role: userRole });
+  const visibleButtons = actionButtons
+    .filter(button => availableActions.includes(button.action))
+    .filter(button => (PAYMENT_REVIEW_ACTIONS.includes(button.action) ? can(PERMISSIONS.ORDER_VALIDATE_PAYMENT) : isAdmin))
+    .map(button => ({ ...button, disabled: isLoading }));
 
   // Helper function to render individual button with styling
   const renderButton = (button) => (
@@ -129,21 +125,8 @@ const OrderActionButtons = ({
         tooltip: t('adminOrders.action.viewDetails')
       })}
 
-      {/* Payment actions when proof has been uploaded */}
-      {paymentActions.map(renderButton)}
-
-      {/* Primary Action Button - Status dependent */}
-      {primaryAction && renderButton(primaryAction)}
-
-      {/* Cancel Button - Only available for pending or processing orders */}
-      {(order.status === 'pending' || order.status === 'processing') && renderButton({
-        icon: <Ban className="h-4 w-4" />,
-        label: t('common.cancel'),
-        onClick: () => onCancelOrder(order),
-        disabled: isLoading,
-        color: 'bg-red-500 hover:bg-red-600 text-white',
-        tooltip: t('adminOrders.action.cancelOrder')
-      })}
+      {/* State machine actions for the order's current status/payment status */}
+      {visibleButtons.map(renderButton)}
     </div>
   );
 };
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Plus, Edit, Trash2, Save, X, KeyRound } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useModal } from '@/contexts/ModalContext';
+import { toast } from '@/components/ui/use-toast';
+import Checkbox from '@/components/ui/Checkbox';
+import { PERMISSION_GROUPS } from '@/lib/permissions';
+import { createPermissionRole, updatePermissionRole, deletePermissionRole } from '@/lib/permissionService';
+
+// Translation key of a permission ('settings.visual.edit' -> permissions.labels.settings_visual_edit)
+export const getPermissionLabelKey = (permission) => `permissions.labels.${permission.replace(/\./g, '_')}`;
+
+const EMPTY_ROLE = { name: '', description: '', permissions: [] };
+
+/**
+ * PermissionRolesTab - Create and edit the permission roles assigned from
+ * the users table (named permissions grouped under an editable name)
+ *
+ * @prop {Array<Object>} roles - permission_roles rows
+ * @prop {function} onChange - reload the roles after a change
+ */
+const PermissionRolesTab = ({ roles, onChange }) => {
+  const { t } = useLanguage();
+  const { showModal } = useModal();
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const togglePermission = (permission, checked) => {
+    setEditing(prev => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, permission]
+        : prev.permissions.filter(p => p !== permission)
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (editing.id) {
+        await updatePermissionRole(editing.id, editing);
+      } else {
+        await createPermissionRole(editing);
+      }
+      toast({ title: t('common.success'), description: t('permissions.roles.saved') });
+      setEditing(null);
+      await onChange();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const confirmed = await showModal({
+      title: t('permissions.roles.delete'),
+      message: t('permissions.roles.confirmDelete', { name: role.name }),
+      confirmText: t('common.delete'),
+      cancelText: t('common.cancel')
+    });
+    if (!confirmed) return;
+
+    try {
+      await deletePermissionRole(role.id);
+      toast({ title: t('common.success'), description: t('permissions.roles.deleted') });
+      await onChange();
+    } catch (error) {
+      toast({ title: t('common.error'), description: error.message, variant: 'destructive' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600 max-w-2xl">{t('permissions.roles.description')}</p>
+        {!editing && (
+          <Button size="sm" onClick={() => setEditing(EMPTY_ROLE)}>
+            <Plus className="w-4 h-4 mr-1" />
+            {t('permissions.roles.new')}
+          </Button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="glass-effect p-6 rounded-2xl space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('permissions.roles.name')}</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('permissions.roles.roleDescription')}</label>
+              <input
+                type="text"
+                value={editing.description || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {PERMISSION_GROUPS.map(group => (
+              <div key={group.id} className="p-4 bg-white rounded-xl border border-gray-200">
+                <p className="font-semibold text-sm mb-3">{t(`permissions.groups.${group.id}`)}</p>
+                <div className="space-y-2">
+                  {group.permissions.map(permission => (
+                    <Checkbox
+                      key={permission}
+                      id={`permission-${permission}`}
+                      checked={editing.permissions.includes(permission)}
+                      onChange={(checked) => togglePermission(permission, checked)}
+                      label={t(getPermissionLabelKey(permission))}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setEditing(null)} disabled={saving}>
+              <X className="w-4 h-4 mr-1" />
+              {t('common.cancel')}
+            </Button>
+            <Button size="sm" onClick={handleSave} disabled={saving || !editing.name.trim()}>
+              <Save className="w-4 h-4 mr-1" />
+              {t('common.save')}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {roles.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">{t('permissions.roles.empty')}</p>
+      ) : (
+        <div className="space-y-3">
+          {roles.map(role => (
+            <div key={role.id} className="flex flex-wrap items-start gap-4 p-4 bg-white rounded-xl border border-gray-200">
+              <KeyRound className="w-5 h-5 text-blue-600 mt-0.5" />
+              <div className="flex-1 min-w-[200px]">
+                <p className="font-semibold">{role.name}</p>
+                {role.description && <p className="text-sm text-gray-500">{role.description}</p>}
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {(role.permissions || []).map(permission => (
+                    <span key={permission} className="px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">
+                      {t(getPermissionLabelKey(permission))}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setEditing({ ...role, permissions: role.permissions || [] })}
+                  title={t('common.edit')}
+                >
+                  <Edit className="w-4 h-4" />
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => handleDelete(role)} title={t('common.delete')}>
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PermissionRolesTab;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Loader, Download, Printer, AlertTriangle, RefreshCw } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { toast } from '@/components/ui/use-toast';
+import { getDailyReconciliationLedger } from '@/lib/reconciliationService';
+import { ledgerToCsv, toLedgerDay, LEDGER_MISMATCH_TYPES } from '@/lib/reconciliationLedger';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Daily reconciliation ledger for the accountant
+ * Per day: Zelle money received per account, commissions, amounts delivered
+ * per currency, outstanding items and mismatches. Exports CSV, and PDF
+ * through the browser print dialog.
+ */
+const ReconciliationLedgerTab = () => {
+  const { t, language } = useLanguage();
+  const { visualSettings } = useBusiness();
+
+  const today = new Date();
+  const [from, setFrom] = useState(toLedgerDay(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [to, setTo] = useState(toLedgerDay(today));
+  const [ledger, setLedger] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const formatMoney = (amount, currency = 'USD') => `${(amount || 0).toFixed(2)} ${currency}`;
+
+  const formatDelivered = (delivered) => {
+    const entries = Object.entries(delivered || {});
+    return entries.length === 0 ? '-' : entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' · ');
+  };
+
+  const mismatchLabels = Object.values(LEDGER_MISMATCH_TYPES).reduce((acc, type) => {
+    acc[type] = t(`reconciliation.mismatchTypes.${type}`);
+    return acc;
+  }, {});
+
+  const loadLedger = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setLedger(await getDailyReconciliationLedger({ from, to }));
+    } catch (error) {
+      toast({
+        title: t('reconciliation.loadError'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [from, to, t]);
+
+  // Only on mount; range changes apply with the refresh button
+  const initialLoadRef = useRef(loadLedger);
+  useEffect(() => {
+    initialLoadRef.current();
+  }, []);
+
+  const handleExportCsv = () => {
+    if (!ledger) return;
+    const csv = ledgerToCsv(ledger, {
+      date: t('reconciliation.columns.date'),
+      account: t('reconciliation.columns.account'),
+      received: t('reconciliation.columns.received'),
+      transactions: t('reconciliation.columns.transactions'),
+      commissions: t('reconciliation.columns.commissions'),
+      delivered: t('reconciliation.columns.delivered'),
+      outstanding: t('reconciliation.columns.outstanding'),
+      mismatches: t('reconciliation.columns.mismatches'),
+      mismatchSection: t('reconciliation.mismatchesTitle'),
+      type: t('reconciliation.columns.type'),
+      reference: t('reconciliation.columns.reference'),
+      expected: t('reconciliation.columns.expected'),
+      receivedShort: t('reconciliation.columns.receivedShort'),
+      types: mismatchLabels
+    });
+
+    const blob = new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `reconciliation_${ledger.from}_${ledger.to}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Printable document; the browser's "Save as PDF" produces the file
+  const handleExportPdf = () => {
+    if (!ledger) return;
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast({ title: t('reconciliation.popupBlocked'), variant: 'destructive' });
+      return;
+    }
+
+    const dayRows = ledger.days.map(day => `
+      <tr>
+        <td>${day.date}</td>
+        <td>${Object.values(day.received.byAccount).map(a => `${escapeHtml(a.name)}: ${formatMoney(a.amount)} (${a.count})`).join('<br>') || '-'}</td>
+        <td class="num">${formatMoney(day.received.total)}</td>
+        <td class="num">${formatMoney(day.commissions.remittances)}</td>
+        <td>${escapeHtml(formatDelivered(day.delivered))}</td>
+        <td class="num">${formatMoney(day.outstanding.amount)}</td>
+        <td class="num">${day.mismatches.length}</td>
+      </tr>`).join('');
+
+    const mismatchRows = ledger.mismatches.map(m => `
+      <tr>
+        <td>${m.day || '-'}</td>
+        <td>${escapeHtml(mismatchLabels[m.type])}</td>
+        <td>${escapeHtml(m.label)}</td>
+        <td class="num">${m.expected !== null ? formatMoney(m.expected) : '-'}</td>
+        <td class="num">${m.received !== null ? formatMoney(m.received) : '-'}</td>
+      </tr>`).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="${language}"><head><meta charset="utf-8">
+<title>${escapeHtml(t('reconciliation.title'))} ${ledger.from} – ${ledger.to}</title>
+<style>
+  body { font-family: sans-serif; font-size: 11px; margin: 24px; }
+  h1 { font-size: 16px; margin: 0 0 4px; } h2 { font-size: 13px; margin: 20px 0 6px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; } .num { text-align: right; white-space: nowrap; }
+</style></head><body>
+<h1>${escapeHtml(t('reconciliation.title'))}</h1>
+<p>${ledger.from} – ${ledger.to} · ${escapeHtml(t('reconciliation.generatedAt'))} ${new Date(ledger.generatedAt).toLocaleString(language === 'es' ? 'es-ES' : 'en-US')}</p>
+<p>${escapeHtml(t('reconciliation.columns.received'))}: <b>${formatMoney(ledger.totals.received)}</b> ·
+   ${escapeHtml(t('reconciliation.columns.commissions'))}: <b>${formatMoney(ledger.totals.commissions)}</b> ·
+   ${escapeHtml(t('reconciliation.columns.delivered'))}: <b>${escapeHtml(formatDelivered(ledger.totals.delivered))}</b></p>
+<table><thead><tr>
+  <th>${escapeHtml(t('reconciliation.columns.date'))}</th><th>${escapeHtml(t('reconciliation.columns.account'))}</th>
+  <th>${escapeHtml(t('reconciliation.columns.received'))}</th><th>${escapeHtml(t('reconciliation.columns.commissions'))}</th>
+  <th>${escapeHtml(t('reconciliation.columns.delivered'))}</th><th>${escapeHtml(t('reconciliation.columns.outstanding'))}</th>
+  <th>${escapeHtml(t('reconciliation.columns.mismatches'))}</th>
+</tr></thead><tbody>${dayRows}</tbody></table>
+${ledger.mismatches.length > 0 ? `<h2>${escapeHtml(t('reconciliation.mismatchesTitle'))}</h2>
+<table><thead><tr>
+  <th>${escapeHtml(t('reconciliation.columns.date'))}</th><th>${escapeHtml(t('reconciliation.columns.type'))}</th>
+  <th>${escapeHtml(t('reconciliation.columns.reference'))}</th><th>${escapeHtml(t('reconciliation.columns.expected'))}</th>
+  <th>${escapeHtml(t('reconciliation.columns.receivedShort'))}</th>
+</tr></thead><tbody>${mismatchRows}</tbody></table>` : ''}
+</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="space-y-4"
+    >
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold gradient-text">{t('reconciliation.title')}</h2>
+          <p className="text-sm text-gray-500">{t('reconciliation.subtitle')}</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{t('reconciliation.from')}</label>
+            <input type="date" value={from} max={to} onChange={e => setFrom(e.target.value)} className="input-style" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{t('reconciliation.to')}</label>
+            <input type="date" value={to} min={from} onChange={e => setTo(e.target.value)} className="input-style" />
+          </div>
+          <button
+            onClick={loadLedger}
+            disabled={isLoading}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg text-white disabled:opacity-50"
+            style={{ backgroundColor: visualSettings.primaryColor || '#3b82f6' }}
+          >
+            {isLoading ? <Loader size={18} className="animate-spin" /> : <RefreshCw size={18} />}
+            {t('reconciliation.refresh')}
+          </button>
+          <button
+            onClick={handleExportCsv}
+            disabled={!ledger}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border disabled:opacity-50"
+          >
+            <Download size={18} /> CSV
+          </button>
+          <button
+            onClick={handleExportPdf}
+            disabled={!ledger}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border disabled:opacity-50"
+          >
+            <Printer size={18} /> PDF
+          </button>
+        </div>
+      </div>
+
+      {ledger && (
+        <>
+          <div className="grid md:grid-cols-4 gap-4">
+            <div className="glass-effect p-4 rounded-xl border border-gray-100">
+              <p className="text-sm text-gray-500">{t('reconciliation.columns.received')}</p>
+              <p className="text-2xl font-bold">{formatMoney(ledger.totals.received)}</p>
+            </div>
+            <div className="glass-effect p-4 rounded-xl border border-gray-100">
+              <p className="text-sm text-gray-500">{t('reconciliation.columns.commissions')}</p>
+              <p className="text-2xl font-bold text-green-600">{formatMoney(ledger.totals.commissions)}</p>
+            </div>
+            <div className="glass-effect p-4 rounded-xl border border-gray-100">
+              <p className="text-sm text-gray-500">{t('reconciliation.columns.delivered')}</p>
+              <p className="text-lg font-bold">{formatDelivered(ledger.totals.delivered)}</p>
+            </div>
+            <div className="glass-effect p-4 rounded-xl border border-gray-100">
+              <p className="text-sm text-gray-500">{t('reconciliation.columns.mismatches')}</p>
+              <p className={`text-2xl font-bold ${ledger.mismatches.length > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {ledger.mismatches.length}
+              </p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto glass-effect rounded-xl border border-gray-100">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="p-3">{t('reconciliation.columns.date')}</th>
+                  <th className="p-3">{t('reconciliation.columns.account')}</th>
+                  <th className="p-3 text-right">{t('reconciliation.columns.received')}</th>
+                  <th className="p-3 text-right">{t('reconciliation.columns.commissions')}</th>
+                  <th className="p-3">{t('reconciliation.columns.delivered')}</th>
+                  <th className="p-3">{t('reconciliation.columns.outstanding')}</th>
+                  <th className="p-3 text-right">{t('reconciliation.columns.mismatches')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...ledger.days].reverse().map(day => (
+                  <tr key={day.date} className={`border-b align-top ${day.mismatches.length > 0 ? 'bg-red-50' : ''}`}>
+                    <td className="p-3 font-mono">{day.date}</td>
+                    <td className="p-3 text-xs">
+                      {Object.values(day.received.byAccount).map(account => (
+                        <div key={account.name}>{account.name}: {formatMoney(account.amount)} ({account.count})</div>
+                      ))}
+                    </td>
+                    <td className="p-3 text-right font-mono">{formatMoney(day.received.total)}</td>
+                    <td className="p-3 text-right font-mono">{formatMoney(day.commissions.remittances)}</td>
+                    <td className="p-3 text-xs">{formatDelivered(day.delivered)}</td>
+                    <td className="p-3 text-xs">
+                      <div className="font-mono">{formatMoney(day.outstanding.amount)}</div>
+                      <div className="text-gray-500">
+                        {t('reconciliation.outstandingBreakdown', {
+                          zelle: day.outstanding.pendingZelle,
+                          remittances: day.outstanding.remittancesToDeliver,
+                          orders: day.outstanding.ordersToDeliver
+                        })}
+                      </div>
+                    </td>
+                    <td className="p-3 text-right">{day.mismatches.length || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {ledger.mismatches.length > 0 && (
+            <div className="p-4 rounded-xl border border-red-200 bg-red-50">
+              <h3 className="font-semibold text-red-800 flex items-center gap-2 mb-2">
+                <AlertTriangle size={18} /> {t('reconciliation.mismatchesTitle')}
+              </h3>
+              <ul className="space-y-1 text-sm text-red-900">
+                {ledger.mismatches.map(mismatch => (
+                  <li key={`${mismatch.type}-${mismatch.transactionId || mismatch.referenceId}`}>
+                    <span className="font-mono">{mismatch.day || '-'}</span> · {mismatchLabels[mismatch.type]} · <b>{mismatch.label}</b>
+                    {mismatch.expected !== null && ` · ${t('reconciliation.columns.expected')}: ${formatMoney(mismatch.expected)}`}
+                    {mismatch.received !== null && ` · ${t('reconciliation.columns.receivedShort')}: ${formatMoney(mismatch.received)}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default ReconciliationLedgerTab;
@@ -65,6 +65,7 @@ export const getUserTableColumns = (t, isSuperAdmin, currentUserEmail) => {
           >
             <option value="user">{t('users.roles.user')}</option>
             <option value="admin">{t('users.roles.admin')}</option>
+            <option value="courier">{t('users.roles.courier')}</option>
           </select>
         );
       }
@@ -184,6 +185,8 @@ function getRoleBadgeColor(role) {
       return 'bg-purple-100 text-purple-800';
     case 'admin':
       return 'bg-blue-100 text-blue-800';
+    case 'courier':
+      return 'bg-amber-100 text-amber-800';
     default:
       return 'bg-gray-100 text-gray-800';
   }
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Loader, Filter, X } from 'lucide-react';
+import { Loader, Filter, X, FileSpreadsheet } from 'lucide-react';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useBusiness } from '@/contexts/BusinessContext';
 import { toast } from '@/components/ui/use-toast';
@@ -8,6 +8,7 @@ import ResponsiveTableWrapper from '@/components/tables/ResponsiveTableWrapper';
 import TableDetailModal from '@/components/modals/TableDetailModal';
 import { zelleService } from '@/lib/zelleService';
 import { useRealtimeZelleTransactions } from '@/hooks/useRealtimeSubscription';
+import ZelleReconciliationPanel from './ZelleReconciliationPanel';
 
 const ZellePaymentHistoryTab = () => {
   const { t, language } = useLanguage();
@@ -35,6 +36,7 @@ const ZellePaymentHistoryTab = () => {
   const [accountFilter, setAccountFilter] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  const [showReconciliation, setShowReconciliation] = useState(false);
 
   // Fetch transactions and accounts on mount
   useEffect(() => {
@@ -318,6 +320,49 @@ const ZellePaymentHistoryTab = () => {
           </div>
         );
       }
+    },
+    {
+      key: 'rotation_decision',
+      label: t('zelleHistory.rotation.title'),
+      render: (decision) => {
+        if (!decision) {
+          return <span className="text-sm text-gray-500">{t('zelleHistory.rotation.none')}</span>;
+        }
+        return (
+          <div className="space-y-2 text-sm">
+            <div>
+              <span className="font-medium">{t(`zelle.rotation.strategies.${decision.strategy}`)}</span>
+              <span className="text-gray-500"> — {t(`zelle.rotation.descriptions.${decision.strategy}`)}</span>
+            </div>
+            {(decision.candidates || []).length > 0 && (
+              <ol className="space-y-1">
+                {decision.candidates.map(candidate => (
+                  <li key={candidate.id} className={candidate.selected ? 'font-semibold text-green-700' : 'text-gray-700'}>
+                    {candidate.rank}. {candidate.name || candidate.id}
+                    <span className="text-xs text-gray-500">
+                      {' · '}{t('zelleHistory.rotation.usedToday', { amount: formatCurrency(candidate.usedToday) })}
+                      {candidate.remaining?.daily !== null && candidate.remaining?.daily !== undefined &&
+                        ` · ${t('zelleHistory.rotation.remainingDaily', { amount: formatCurrency(candidate.remaining.daily) })}`}
+                      {candidate.probability !== undefined &&
+                        ` · ${t('zelleHistory.rotation.probability', { percent: (candidate.probability * 100).toFixed(1) })}`}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            )}
+            {(decision.excluded || []).length > 0 && (
+              <div className="text-xs text-gray-500">
+                <div className="font-medium">{t('zelleHistory.rotation.excluded')}</div>
+                {decision.excluded.map(item => (
+                  <div key={item.id}>
+                    {item.name || item.id}: {item.reasons.map(reason => t(`zelle.rotation.reasons.${reason}`)).join(', ')}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      }
     }
   ];
 
@@ -333,19 +378,39 @@ const ZellePaymentHistoryTab = () => {
         <h2 className="text-2xl font-bold gradient-text">
           {t('zelleHistory.title') || 'Zelle Payment History'}
         </h2>
-        <button
-          onClick={() => setShowFilters(!showFilters)}
-          className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors"
-          style={{
-            backgroundColor: visualSettings.primaryColor || '#3b82f6',
-            color: '#ffffff'
-          }}
-        >
-          <Filter size={18} />
-          {t('common.filters') || 'Filters'}
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowReconciliation(!showReconciliation)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border transition-colors"
+            style={{
+              borderColor: visualSettings.primaryColor || '#3b82f6',
+              color: visualSettings.primaryColor || '#3b82f6'
+            }}
+          >
+            <FileSpreadsheet size={18} />
+            {t('zelleHistory.reconcile.button')}
+          </button>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors"
+            style={{
+              backgroundColor: visualSettings.primaryColor || '#3b82f6',
+              color: '#ffffff'
+            }}
+          >
+            <Filter size={18} />
+            {t('common.filters') || 'Filters'}
+          </button>
+        </div>
       </div>
 
+      {showReconciliation && (
+        <ZelleReconciliationPanel
+          onClose={() => setShowReconciliation(false)}
+          onValidated={fetchTransactions}
+        />
+      )}
+
       <div className="grid md:grid-cols-3 gap-4">
         <div className="glass-effect p-4 rounded-xl border border-gray-100">
           <p className="text-sm text-gray-500">{t('zelleHistory.totalVolume') || 'Total volume'}</p>
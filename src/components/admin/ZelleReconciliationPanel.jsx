@@ -0,0 +1,254 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Upload, Loader, CheckCircle, X } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { useBusiness } from '@/contexts/BusinessContext';
+import { toast } from '@/components/ui/use-toast';
+import { proposeBankStatementMatches, validateStatementMatches } from '@/lib/zelleReconciliationService';
+import { MATCH_CONFIDENCE } from '@/lib/bankStatementImport';
+
+const CONFIDENCE_STYLES = {
+  [MATCH_CONFIDENCE.HIGH]: 'bg-green-100 text-green-800',
+  [MATCH_CONFIDENCE.MEDIUM]: 'bg-yellow-100 text-yellow-800',
+  [MATCH_CONFIDENCE.LOW]: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Bank statement reconciliation
+ * Upload a bank / Zelle CSV, review the proposed matches with pending
+ * payments and validate the selected ones in bulk.
+ */
+const ZelleReconciliationPanel = ({ onClose, onValidated }) => {
+  const { t, language } = useLanguage();
+  const { visualSettings } = useBusiness();
+
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [isParsing, setIsParsing] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
+  const [failures, setFailures] = useState({});
+
+  const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+
+  const formatDate = (iso) => (iso
+    ? new Date(iso).toLocaleDateString(language === 'es' ? 'es-ES' : 'en-US')
+    : '-');
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setIsParsing(true);
+    setFailures({});
+    try {
+      const proposal = await proposeBankStatementMatches(await file.text());
+      setResult(proposal);
+      // High-confidence matches are preselected
+      setSelected(new Set(
+        proposal.matches
+          .filter(match => match.confidence === MATCH_CONFIDENCE.HIGH)
+          .map(match => match.payment.id)
+      ));
+    } catch (error) {
+      setResult(null);
+      toast({
+        title: t('zelleHistory.reconcile.parseError'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const toggle = (paymentId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(paymentId)) next.delete(paymentId);
+      else next.add(paymentId);
+      return next;
+    });
+  };
+
+  const selectedMatches = useMemo(
+    () => (result?.matches || []).filter(match => selected.has(match.payment.id)),
+    [result, selected]
+  );
+
+  const handleValidate = async () => {
+    if (selectedMatches.length === 0) return;
+    setIsValidating(true);
+    try {
+      const { validated, failed } = await validateStatementMatches(selectedMatches);
+
+      // Keep failed rows on screen with their error; drop validated ones
+      setResult(prev => ({
+        ...prev,
+        matches: prev.matches.filter(match => !validated.includes(match.payment.id))
+      }));
+      setSelected(new Set(failed.map(item => item.paymentId)));
+      setFailures(failed.reduce((acc, item) => {
+        acc[item.paymentId] = item.message;
+        return acc;
+      }, {}));
+
+      toast({
+        title: t('zelleHistory.reconcile.validated', { count: validated.length }),
+        description: failed.length > 0 ? t('zelleHistory.reconcile.failedCount', { count: failed.length }) : undefined,
+        variant: failed.length > 0 && validated.length === 0 ? 'destructive' : undefined
+      });
+
+      if (validated.length > 0) onValidated?.();
+    } catch (error) {
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      className="p-4 rounded-lg border border-gray-200 bg-white space-y-4"
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="font-semibold">{t('zelleHistory.reconcile.title')}</h3>
+          <p className="text-xs text-gray-500">{t('zelleHistory.reconcile.description')}</p>
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded" title={t('common.close')}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <label
+        className="flex items-center justify-center gap-2 px-4 py-3 border-2 border-dashed rounded-lg cursor-pointer hover:bg-gray-50"
+        style={{ borderColor: visualSettings.primaryColor || '#3b82f6' }}
+      >
+        {isParsing ? <Loader size={18} className="animate-spin" /> : <Upload size={18} />}
+        <span className="text-sm">{fileName || t('zelleHistory.reconcile.upload')}</span>
+        <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} disabled={isParsing} />
+      </label>
+
+      {result && (
+        <>
+          <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+            <span>{t('zelleHistory.reconcile.linesRead', { count: result.lines.length })}</span>
+            <span>{t('zelleHistory.reconcile.matchesFound', { count: result.matches.length })}</span>
+            {result.skipped > 0 && <span>{t('zelleHistory.reconcile.outgoingSkipped', { count: result.skipped })}</span>}
+            {result.errors.length > 0 && (
+              <span className="text-red-600">
+                {t('zelleHistory.reconcile.unreadable', { lines: result.errors.map(error => error.lineNumber).join(', ') })}
+              </span>
+            )}
+          </div>
+
+          {result.matches.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b">
+                    <th className="py-2 pr-2"></th>
+                    <th className="py-2 pr-2">{t('zelleHistory.reconcile.statementLine')}</th>
+                    <th className="py-2 pr-2">{t('zelleHistory.reconcile.pendingPayment')}</th>
+                    <th className="py-2 pr-2">{t('zelleHistory.reconcile.confidence')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.matches.map(match => (
+                    <tr key={match.payment.id} className="border-b align-top">
+                      <td className="py-2 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(match.payment.id)}
+                          onChange={() => toggle(match.payment.id)}
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <div className="font-mono font-semibold">{formatCurrency(match.line.amount)}</div>
+                        <div className="text-xs text-gray-500">
+                          #{match.line.lineNumber} · {formatDate(match.line.date)}
+                          {match.line.sender && ` · ${match.line.sender}`}
+                        </div>
+                        {match.line.memo && <div className="text-xs text-gray-400 truncate max-w-xs">{match.line.memo}</div>}
+                      </td>
+                      <td className="py-2 pr-2">
+                        <div className="font-medium">
+                          {match.payment.referenceNumber || match.payment.referenceId}
+                          <span className="text-xs text-gray-500"> · {t(`zelleHistory.reconcile.kinds.${match.payment.kind}`)}</span>
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {formatCurrency(match.payment.amount)} · {formatDate(match.payment.date)}
+                          {match.payment.customerName && ` · ${match.payment.customerName}`}
+                        </div>
+                        {failures[match.payment.id] && (
+                          <div className="text-xs text-red-600">{failures[match.payment.id]}</div>
+                        )}
+                      </td>
+                      <td className="py-2 pr-2">
+                        <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${CONFIDENCE_STYLES[match.confidence]}`}>
+                          {t(`zelleHistory.reconcile.confidenceLevels.${match.confidence}`)}
+                        </span>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {match.reasons.map(reason => t(`zelleHistory.reconcile.reasons.${reason}`)).join(', ')}
+                        </div>
+                        {match.alternatives.length > 0 && (
+                          <div className="text-xs text-amber-600">
+                            {t('zelleHistory.reconcile.alternatives', { count: match.alternatives.length })}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">{t('zelleHistory.reconcile.noMatches')}</p>
+          )}
+
+          {result.unmatchedLines.length > 0 && (
+            <details className="text-xs text-gray-600">
+              <summary className="cursor-pointer">
+                {t('zelleHistory.reconcile.unmatchedLines', { count: result.unmatchedLines.length })}
+              </summary>
+              <ul className="mt-2 space-y-1">
+                {result.unmatchedLines.map(line => (
+                  <li key={line.lineNumber}>
+                    #{line.lineNumber} · {formatDate(line.date)} · {formatCurrency(line.amount)}
+                    {line.sender && ` · ${line.sender}`}{line.memo && ` · ${line.memo}`}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleValidate}
+              disabled={selectedMatches.length === 0 || isValidating}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg text-white disabled:opacity-50"
+              style={{ backgroundColor: visualSettings.primaryColor || '#3b82f6' }}
+            >
+              {isValidating ? <Loader size={18} className="animate-spin" /> : <CheckCircle size={18} />}
+              {t('zelleHistory.reconcile.validateSelected', { count: selectedMatches.length })}
+            </button>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default ZelleReconciliationPanel;
@@ -0,0 +1,110 @@
+import React, { useRef, useEffect, useCallback, useState } from 'react';
+import { Eraser } from 'lucide-react';
+
+/**
+ * SignaturePad - Finger / pointer signature capture on a canvas
+ * Emits the signature as a PNG File after each stroke, or null when cleared.
+ *
+ * @prop {function} onChange - (File|null) => void
+ * @prop {string} clearLabel - Text of the clear button
+ * @prop {string} placeholder - Hint shown while the pad is empty
+ * @prop {number} height - Canvas height in CSS pixels
+ */
+const SignaturePad = ({ onChange, clearLabel = 'Clear', placeholder = '', height = 160 }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [isEmpty, setIsEmpty] = useState(true);
+
+  // Match the canvas buffer to its displayed size (and device pixel ratio)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+  }, [height]);
+
+  const pointFrom = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    const context = canvasRef.current?.getContext('2d');
+    if (!context) return;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    drawingRef.current = true;
+    const { x, y } = pointFrom(event);
+    context.beginPath();
+    context.moveTo(x, y);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = pointFrom(event);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setIsEmpty(false);
+    canvasRef.current.toBlob((blob) => {
+      if (blob) {
+        onChange?.(new File([blob], 'signature.png', { type: 'image/png' }));
+      }
+    }, 'image/png');
+  };
+
+  const handleClear = useCallback(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext('2d');
+    if (!context) return;
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.restore();
+    setIsEmpty(true);
+    onChange?.(null);
+  }, [onChange]);
+
+  return (
+    <div className="space-y-1">
+      <div className="relative border-2 border-dashed border-gray-300 rounded-lg bg-white">
+        <canvas
+          ref={canvasRef}
+          style={{ height, touchAction: 'none' }}
+          className="w-full block rounded-lg"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        />
+        {isEmpty && placeholder && (
+          <span className="absolute inset-0 flex items-center justify-center text-sm text-gray-400 pointer-events-none">
+            {placeholder}
+          </span>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={handleClear}
+        className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+      >
+        <Eraser className="h-3.5 w-3.5" />
+        {clearLabel}
+      </button>
+    </div>
+  );
+};
+
+export default SignaturePad;
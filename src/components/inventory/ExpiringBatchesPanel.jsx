@@ -0,0 +1,102 @@
+import React from 'react';
+import { CalendarClock, Tag, Box, Layers } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { SUGGESTION_TYPES, suggestClearanceActions } from '@/lib/inventoryExpiry';
+import { getExpiryLevelClass, formatExpiryCountdown, formatExpiryDate } from './InventoryTableConfig';
+
+/**
+ * ExpiringBatchesPanel Component
+ * Batches that expire within 30 days, with a countdown and ways to clear them
+ * (an offer until the expiry date, promoting a combo that contains the product,
+ * or a new combo with well-stocked products of the same category)
+ */
+const ExpiringBatchesPanel = ({ batches, products, combos, onOpenCombos, onOpenOffers }) => {
+  const { t, language } = useLanguage();
+
+  const renderSuggestion = (suggestion, index) => {
+    let icon = null;
+    let text = '';
+    let action = null;
+
+    switch (suggestion.type) {
+      case SUGGESTION_TYPES.OFFER:
+        icon = <Tag className="h-3.5 w-3.5 text-purple-600 flex-shrink-0" />;
+        text = t('vendor.expiry.suggestOffer', {
+          percent: suggestion.discountPercent,
+          date: formatExpiryDate(suggestion.endsOn, language),
+          perDay: suggestion.unitsPerDay
+        });
+        action = onOpenOffers && { label: t('vendor.expiry.openOffers'), onClick: onOpenOffers };
+        break;
+      case SUGGESTION_TYPES.PROMOTE_COMBO:
+        icon = <Box className="h-3.5 w-3.5 text-blue-600 flex-shrink-0" />;
+        text = t('vendor.expiry.suggestPromoteCombo', {
+          combo: language === 'es' ? suggestion.comboName : suggestion.comboNameEn,
+          count: suggestion.combosToClear
+        });
+        action = onOpenCombos && { label: t('vendor.expiry.openCombos'), onClick: onOpenCombos };
+        break;
+      case SUGGESTION_TYPES.NEW_COMBO:
+        icon = <Layers className="h-3.5 w-3.5 text-green-600 flex-shrink-0" />;
+        text = t('vendor.expiry.suggestNewCombo', {
+          products: suggestion.partners.map(p => (language === 'es' ? p.name : p.nameEn)).join(', ')
+        });
+        action = onOpenCombos && { label: t('vendor.expiry.openCombos'), onClick: onOpenCombos };
+        break;
+      default:
+        return null;
+    }
+
+    return (
+      <li key={index} className="flex items-center justify-between gap-2">
+        <span className="flex items-center gap-1">{icon}{text}</span>
+        {action && (
+          <Button size="sm" variant="outline" onClick={action.onClick}>
+            {action.label}
+          </Button>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="glass-effect rounded-xl p-4 sm:p-6 mb-6">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-3">
+        <CalendarClock className="h-5 w-5 text-orange-600" />
+        {t('vendor.expiry.expiringTitle', { count: batches.length })}
+      </h3>
+
+      {batches.length === 0 ? (
+        <p className="text-sm text-gray-600">{t('vendor.expiry.noneExpiring')}</p>
+      ) : (
+        <div className="space-y-3">
+          {batches.map(batch => (
+            <div key={batch.id} className="bg-white/60 rounded-lg p-3">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <div>
+                  <div className="font-medium text-gray-900">{batch.product_name}</div>
+                  <div className="text-xs text-gray-600">
+                    {t('vendor.expiry.batchInfo', {
+                      batch: batch.batch_number || '-',
+                      units: batch.available,
+                      date: formatExpiryDate(batch.expiry_date, language)
+                    })}
+                  </div>
+                </div>
+                <span className={`px-2 py-1 rounded-full text-xs font-semibold ${getExpiryLevelClass(batch.countdown.level)}`}>
+                  {formatExpiryCountdown(batch.countdown, t)}
+                </span>
+              </div>
+              <ul className="space-y-1 text-sm text-gray-700">
+                {suggestClearanceActions(batch, { combos, products }).map(renderSuggestion)}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpiringBatchesPanel;
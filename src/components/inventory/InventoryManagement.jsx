@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Package, Search, RefreshCw, AlertCircle, TrendingDown } from 'lucide-react';
 import { useLanguage } from '@/contexts/LanguageContext';
@@ -6,77 +6,106 @@ import { useBusiness } from '@/contexts/BusinessContext';
 import { toast } from '@/components/ui/use-toast';
 import ResponsiveTableWrapper from '@/components/tables/ResponsiveTableWrapper';
 import TableDetailModal from '@/components/modals/TableDetailModal';
+import { getInventoryBatches } from '@/lib/inventoryService';
+import { EXPIRY_LEVELS, getExpiryCountdown, getExpiringBatches, sortBatchesFefo } from '@/lib/inventoryExpiry';
 import { getInventoryTableColumns, getInventoryModalColumns } from './InventoryTableConfig';
+import ExpiringBatchesPanel from './ExpiringBatchesPanel';
+
+// Expiry countdowns refresh every minute
+const COUNTDOWN_TICK_MS = 60 * 1000;
 
 /**
  * InventoryManagement Component
- * Displays and manages business inventory with batch-level tracking
+ * Displays business inventory one row per batch, in the order stock ships
+ * (first-expired-first-out), with an expiry countdown and clearance
+ * suggestions for batches close to expiry
  * Responsive across all screen sizes: xs/sm as cards, md+ as table
  */
-const InventoryManagement = () => {
+const InventoryManagement = ({ combos = [], onOpenCombos, onOpenOffers }) => {
   const { t, language } = useLanguage();
-  const { products, visualSettings } = useBusiness();
+  const { products, categories, visualSettings } = useBusiness();
 
+  const [batches, setBatches] = useState([]);
+  const [now, setNow] = useState(() => new Date());
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedInventory, setSelectedInventory] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all'); // all, lowStock, expired, outOfStock
   const [loading, setLoading] = useState(false);
 
-  // Aggregate inventory data from products
+  const loadBatches = useCallback(async () => {
+    setLoading(true);
+    try {
+      setBatches(await getInventoryBatches());
+      setNow(new Date());
+    } catch (error) {
+      toast({
+        title: t('common.error'),
+        description: t('vendor.expiry.loadError'),
+        variant: 'destructive'
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), COUNTDOWN_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // One row per batch, FEFO; the first sellable batch of each product ships next
   const inventoryData = React.useMemo(() => {
-    if (!products || !Array.isArray(products)) return [];
+    const productsById = new Map((products || []).map(product => [product.id, product]));
+    const categoriesById = new Map((categories || []).map(category => [category.id, category]));
+    const nextBatchByProduct = new Map();
+
+    return sortBatchesFefo(batches).map(inv => {
+      const product = productsById.get(inv.product_id) || {};
+      const info = inv.products || {};
+      const category = categoriesById.get(info.category_id || product.category_id);
+      const available = inv.available_quantity ?? ((inv.quantity || 0) - (inv.reserved_quantity || 0));
+      const isExpired = getExpiryCountdown(inv.expiry_date, { now })?.level === EXPIRY_LEVELS.EXPIRED;
 
-    return products
-      .flatMap(product => {
-        // Each product can have multiple inventory batches
-        // For now, consolidate all inventory for a product
-        if (!product.inventory || product.inventory.length === 0) {
-          return {
-            id: `${product.id}-no-inventory`,
-            product_id: product.id,
-            product_name: product.name,
-            category: product.category_name || product.category || 'Uncategorized',
-            sku: product.sku || '',
-            quantity: 0,
-            reserved_quantity: 0,
-            available_quantity: 0,
-            cost_per_unit: product.cost_per_unit || 0,
-            base_price: product.base_price || product.price || 0,
-            profit_margin: product.profit_margin || 0,
-            currency_code: product.currency_code || 'USD',
-            received_date: null,
-            expiry_date: null,
-            batch_number: '',
-            supplier_reference: '',
-            notes: '',
-            min_stock_alert: product.min_stock_alert || 10
-          };
-        }
+      const shipsNext = available > 0 && !isExpired && !nextBatchByProduct.has(inv.product_id);
+      if (shipsNext) nextBatchByProduct.set(inv.product_id, inv.id);
 
-        return product.inventory.map(inv => ({
-          id: inv.id,
-          product_id: product.id,
-          product_name: product.name,
-          category: product.category_name || product.category || 'Uncategorized',
-          sku: product.sku || '',
-          quantity: inv.quantity || 0,
-          reserved_quantity: inv.reserved_quantity || 0,
-          available_quantity: inv.available_quantity || (inv.quantity - (inv.reserved_quantity || 0)),
-          cost_per_unit: inv.cost_per_unit || product.cost_per_unit || 0,
-          base_price: inv.base_price || product.base_price || product.price || 0,
-          profit_margin: product.profit_margin || 0,
-          currency_code: inv.currency_code || product.currency_code || 'USD',
-          received_date: inv.received_date,
-          expiry_date: inv.expiry_date,
-          batch_number: inv.batch_number || '',
-          supplier_reference: inv.supplier_reference || '',
-          notes: inv.notes || '',
-          min_stock_alert: product.min_stock_alert || 10
-        }));
-      })
-      .filter(Boolean);
-  }, [products]);
+      return {
+        id: inv.id,
+        product_id: inv.product_id,
+        product_name: (language === 'es' ? info.name_es || info.name_en : info.name_en || info.name_es) || product.name || '',
+        category: category
+          ? (language === 'es' ? category.name_es || category.es : category.name_en || category.en) || 'Uncategorized'
+          : 'Uncategorized',
+        sku: info.sku || product.sku || '',
+        quantity: inv.quantity || 0,
+        reserved_quantity: inv.reserved_quantity || 0,
+        available_quantity: available,
+        cost_per_unit: inv.cost_per_unit || product.cost_per_unit || 0,
+        base_price: product.base_price || product.price || 0,
+        profit_margin: product.profit_margin || 0,
+        currency_code: product.currency_code || 'USD',
+        received_date: inv.received_date,
+        expiry_date: inv.expiry_date,
+        is_active: inv.is_active,
+        created_at: inv.created_at,
+        batch_number: inv.batch_number || '',
+        supplier_reference: inv.supplier_reference || '',
+        notes: inv.notes || '',
+        min_stock_alert: info.min_stock_alert || product.min_stock_alert || 10,
+        ships_next: shipsNext
+      };
+    });
+  }, [batches, products, categories, language, now]);
+
+  const expiringBatches = React.useMemo(
+    () => getExpiringBatches(inventoryData, { now }),
+    [inventoryData, now]
+  );
 
   // Filter inventory based on status and search
   const filteredInventory = React.useMemo(() => {
@@ -94,12 +123,9 @@ const InventoryManagement = () => {
       // Status filter
       if (filterStatus === 'all') return true;
 
-      const isExpired =
-        item.expiry_date && new Date(item.expiry_date) < new Date();
-      const isExpiringSoon =
-        item.expiry_date &&
-        new Date(item.expiry_date) > new Date() &&
-        Math.ceil((new Date(item.expiry_date) - new Date()) / (1000 * 60 * 60 * 24)) <= 30;
+      const level = getExpiryCountdown(item.expiry_date, { now })?.level;
+      const isExpired = level === EXPIRY_LEVELS.EXPIRED;
+      const isExpiringSoon = Boolean(level) && level !== EXPIRY_LEVELS.EXPIRED && level !== EXPIRY_LEVELS.OK;
       const isLowStock = item.available_quantity > 0 && item.available_quantity <= item.min_stock_alert;
       const isOutOfStock = item.available_quantity === 0;
 
@@ -114,7 +140,7 @@ const InventoryManagement = () => {
           return true;
       }
     });
-  }, [inventoryData, searchTerm, filterStatus]);
+  }, [inventoryData, searchTerm, filterStatus, now]);
 
   // Calculate summary metrics
   const metrics = React.useMemo(() => {
@@ -122,7 +148,7 @@ const InventoryManagement = () => {
     const totalAvailable = filteredInventory.reduce((sum, item) => sum + item.available_quantity, 0);
     const totalReserved = filteredInventory.reduce((sum, item) => sum + item.reserved_quantity, 0);
     const expiredCount = filteredInventory.filter(
-      item => item.expiry_date && new Date(item.expiry_date) < new Date()
+      item => getExpiryCountdown(item.expiry_date, { now })?.level === EXPIRY_LEVELS.EXPIRED
     ).length;
     const outOfStockCount = filteredInventory.filter(item => item.available_quantity === 0).length;
     const lowStockCount = filteredInventory.filter(
@@ -130,14 +156,14 @@ const InventoryManagement = () => {
     ).length;
 
     return { totalItems, totalAvailable, totalReserved, expiredCount, outOfStockCount, lowStockCount };
-  }, [filteredInventory]);
+  }, [filteredInventory, now]);
 
   const handleRowClick = (inventory) => {
     setSelectedInventory(inventory);
     setShowDetailModal(true);
   };
 
-  const columns = getInventoryTableColumns(t, language);
+  const columns = getInventoryTableColumns(t, language, now);
   const modalColumns = getInventoryModalColumns(t);
 
   return (
@@ -148,16 +174,23 @@ const InventoryManagement = () => {
       className="w-full"
     >
       {/* Header */}
-      <div className="mb-6">
-        <h1 className="text-2xl sm:text-3xl font-bold flex items-center gap-2 mb-2">
-          <Package className="h-6 w-6 sm:h-8 sm:w-8" style={{ color: visualSettings.primaryColor || '#2563eb' }} />
-          {language === 'es' ? 'Gestión de Inventario' : 'Inventory Management'}
-        </h1>
-        <p className="text-sm text-gray-600">
-          {language === 'es'
-            ? 'Monitorea tu inventario, rastrea lotes y administra existencias'
-            : 'Monitor inventory, track batches, and manage stock levels'}
-        </p>
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold flex items-center gap-2 mb-2">
+            <Package className="h-6 w-6 sm:h-8 sm:w-8" style={{ color: visualSettings.primaryColor || '#2563eb' }} />
+            {language === 'es' ? 'Gestión de Inventario' : 'Inventory Management'}
+          </h1>
+          <p className="text-sm text-gray-600">{t('vendor.expiry.description')}</p>
+        </div>
+        <button
+          type="button"
+          onClick={loadBatches}
+          disabled={loading}
+          title={t('vendor.expiry.refresh')}
+          className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
       </div>
 
       {/* Summary Metrics - Responsive Grid */}
@@ -210,6 +243,15 @@ const InventoryManagement = () => {
         </div>
       )}
 
+      {/* Batches close to expiry with clearance suggestions */}
+      <ExpiringBatchesPanel
+        batches={expiringBatches}
+        products={products || []}
+        combos={combos}
+        onOpenCombos={onOpenCombos}
+        onOpenOffers={onOpenOffers}
+      />
+
       {/* Search and Filter Controls */}
       <div className="glass-effect rounded-xl p-4 sm:p-6 mb-6">
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
@@ -1,4 +1,5 @@
 import React from 'react';
+import { EXPIRY_LEVELS, getExpiryCountdown } from '@/lib/inventoryExpiry';
 
 /**
  * Inventory Table Column Configuration
@@ -9,9 +10,10 @@ import React from 'react';
  * Get table columns for responsive inventory display
  * @param {function} t - Translation function
  * @param {string} language - Current language (es/en)
+ * @param {Date} [now] - Clock for the expiry countdown
  * @returns {array} Column configuration array
  */
-export const getInventoryTableColumns = (t, language) => [
+export const getInventoryTableColumns = (t, language, now = new Date()) => [
   {
     key: 'product_name',
     label: t('vendor.inventory.product'),
@@ -20,6 +22,11 @@ export const getInventoryTableColumns = (t, language) => [
       <div>
         <div className="text-sm font-medium text-gray-900 line-clamp-2">{value}</div>
         {row.sku && <div className="text-xs text-gray-500">SKU: {row.sku}</div>}
+        {row.ships_next && (
+          <span className="inline-block mt-1 px-1.5 py-0.5 rounded bg-purple-100 text-purple-700 text-xs">
+            {t('vendor.expiry.shipsNext')}
+          </span>
+        )}
       </div>
     )
   },
@@ -49,7 +56,7 @@ export const getInventoryTableColumns = (t, language) => [
     key: 'expiry_date',
     label: t('vendor.inventory.expiryDate'),
     width: '140px',
-    render: (value) => renderExpiryDisplay(value)
+    render: (value) => renderExpiryDisplay(value, t, language, now)
   },
   {
     key: 'batch_number',
@@ -109,37 +116,54 @@ function renderStockDisplay(available, row) {
   );
 }
 
+const EXPIRY_LEVEL_CLASSES = {
+  [EXPIRY_LEVELS.EXPIRED]: 'text-red-700 bg-red-50',
+  [EXPIRY_LEVELS.CRITICAL]: 'text-red-700 bg-red-50',
+  [EXPIRY_LEVELS.WARNING]: 'text-orange-700 bg-orange-50',
+  [EXPIRY_LEVELS.NOTICE]: 'text-yellow-700 bg-yellow-50',
+  [EXPIRY_LEVELS.OK]: 'text-green-700 bg-green-50'
+};
+
 /**
- * Render expiry date display with status
+ * Badge classes for an expiry level (see EXPIRY_LEVELS)
  */
-function renderExpiryDisplay(expiryDate) {
-  if (!expiryDate) {
-    return <span className="text-sm text-gray-500">-</span>;
-  }
+export function getExpiryLevelClass(level) {
+  return EXPIRY_LEVEL_CLASSES[level] || EXPIRY_LEVEL_CLASSES[EXPIRY_LEVELS.OK];
+}
 
-  const today = new Date();
-  const expiry = new Date(expiryDate);
-  const daysLeft = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
+/**
+ * Countdown text ("5d 3h", "4h 20m", "Expired")
+ */
+export function formatExpiryCountdown(countdown, t) {
+  if (!countdown) return '-';
+  if (countdown.level === EXPIRY_LEVELS.EXPIRED) return t('vendor.expiry.expired');
+  if (countdown.days > 0) return t('vendor.expiry.countdownDays', { days: countdown.days, hours: countdown.hours });
+  return t('vendor.expiry.countdownHours', { hours: countdown.hours, minutes: countdown.minutes });
+}
 
-  let statusClass = 'text-green-700 bg-green-50';
-  if (daysLeft < 0) {
-    statusClass = 'text-red-700 bg-red-50';
-  } else if (daysLeft <= 30) {
-    statusClass = 'text-orange-700 bg-orange-50';
-  } else if (daysLeft <= 90) {
-    statusClass = 'text-yellow-700 bg-yellow-50';
+/**
+ * Expiry date (YYYY-MM-DD) in the user's language, without timezone shift
+ */
+export function formatExpiryDate(expiryDate, language) {
+  if (!expiryDate) return '-';
+  return new Date(`${String(expiryDate).slice(0, 10)}T00:00:00`)
+    .toLocaleDateString(language === 'es' ? 'es-ES' : 'en-US');
+}
+
+/**
+ * Render expiry date display with countdown
+ */
+function renderExpiryDisplay(expiryDate, t, language, now) {
+  if (!expiryDate) {
+    return <span className="text-sm text-gray-500">-</span>;
   }
 
-  const dateStr = expiry.toLocaleDateString();
+  const countdown = getExpiryCountdown(expiryDate, { now });
 
   return (
-    <div className={`px-2 py-1 rounded text-xs font-medium ${statusClass}`}>
-      <div>{dateStr}</div>
-      {daysLeft < 0 ? (
-        <div>Expired</div>
-      ) : (
-        <div>{daysLeft}d left</div>
-      )}
+    <div className={`px-2 py-1 rounded text-xs font-medium ${getExpiryLevelClass(countdown?.level)}`}>
+      <div>{formatExpiryDate(expiryDate, language)}</div>
+      <div>{formatExpiryCountdown(countdown, t)}</div>
     </div>
   );
 }
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { getExchangeRatePairHistory } from '@/lib/currencyService';
+import { buildRateSeries } from '@/lib/exchangeRateSchedule';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = 24;
+
+/**
+ * Exchange rate history for one pair (direct direction)
+ * Step chart: each rate holds until the next one starts. Scheduled rates are
+ * drawn dashed, deleted ones are listed but not charted.
+ */
+const ExchangeRateHistoryChart = ({ fromCurrency, toCurrency }) => {
+  const { t, language } = useLanguage();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const history = await getExchangeRatePairHistory(fromCurrency.id, toCurrency.id);
+        if (!cancelled) setRows(history);
+      } catch (error) {
+        console.error('Error loading exchange rate history:', error);
+        if (!cancelled) setRows([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [fromCurrency.id, toCurrency.id]);
+
+  const series = useMemo(
+    () => buildRateSeries(rows, fromCurrency.id, toCurrency.id),
+    [rows, fromCurrency.id, toCurrency.id]
+  );
+  const charted = useMemo(() => series.filter(point => point.active), [series]);
+
+  // Step path; extends the last point to "now" (or to itself if scheduled)
+  const chart = useMemo(() => {
+    if (charted.length === 0) return null;
+
+    const times = charted.map(point => new Date(point.at).getTime());
+    const end = Math.max(Date.now(), times[times.length - 1]);
+    const start = times[0];
+    const rates = charted.map(point => point.rate);
+    const min = Math.min(...rates);
+    const max = Math.max(...rates);
+    const spanX = end - start || 1;
+    const spanY = max - min || max || 1;
+
+    const x = (time) => PADDING + ((time - start) / spanX) * (WIDTH - PADDING * 2);
+    const y = (rate) => HEIGHT - PADDING - ((rate - min) / spanY) * (HEIGHT - PADDING * 2);
+
+    const segments = charted.map((point, index) => {
+      const from = times[index];
+      const to = index < charted.length - 1 ? times[index + 1] : end;
+      return { ...point, x1: x(from), x2: x(to), y: y(point.rate) };
+    });
+
+    return { segments, min, max };
+  }, [charted]);
+
+  const formatDate = (iso) => new Date(iso).toLocaleString(language === 'es' ? 'es-ES' : 'en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 py-2">{t('common.loading')}</p>;
+  }
+
+  if (series.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">{t('settings.financial.historyEmpty')}</p>;
+  }
+
+  return (
+    <div className="mt-3 border-t pt-3">
+      {chart && (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40 bg-gray-50 rounded">
+          <text x={4} y={PADDING - 8} className="fill-gray-500" fontSize="10">{chart.max.toFixed(4)}</text>
+          <text x={4} y={HEIGHT - 6} className="fill-gray-500" fontSize="10">{chart.min.toFixed(4)}</text>
+          {chart.segments.map((segment, index) => (
+            <g key={segment.id}>
+              {index > 0 && (
+                <line
+                  x1={segment.x1} y1={chart.segments[index - 1].y}
+                  x2={segment.x1} y2={segment.y}
+                  stroke="#9ca3af" strokeWidth="1"
+                />
+              )}
+              <line
+                x1={segment.x1} y1={segment.y}
+                x2={segment.x2} y2={segment.y}
+                stroke={segment.scheduled ? '#d97706' : '#2563eb'}
+                strokeWidth="2"
+                strokeDasharray={segment.scheduled ? '4 3' : undefined}
+              />
+              <circle cx={segment.x1} cy={segment.y} r="3" fill={segment.scheduled ? '#d97706' : '#2563eb'}>
+                <title>{`${formatDate(segment.at)} · ${segment.rate.toFixed(4)}`}</title>
+              </circle>
+            </g>
+          ))}
+        </svg>
+      )}
+
+      <table className="w-full text-xs mt-2">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">{t('settings.financial.effectiveFrom')}</th>
+            <th className="py-1">1 {fromCurrency.code} = ? {toCurrency.code}</th>
+            <th className="py-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...series].reverse().map(point => (
+            <tr key={point.id} className={`border-t ${!point.active ? 'text-gray-400 line-through' : ''}`}>
+              <td className="py-1">{formatDate(point.at)}</td>
+              <td className="py-1 font-mono">{point.rate.toFixed(4)}</td>
+              <td className="py-1">
+                {!point.active
+                  ? t('settings.financial.rateDeletedLabel')
+                  : point.scheduled
+                    ? <span className="text-amber-600">{t('settings.financial.rateScheduledLabel')}</span>
+                    : null}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ExchangeRateHistoryChart;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { DollarSign, Save, Plus, Edit, Trash2, AlertTriangle, ArrowRightLeft, Info, Power, X } from 'lucide-react';
+import { DollarSign, Save, Plus, Edit, Trash2, AlertTriangle, ArrowRightLeft, Info, Power, X, Clock, LineChart } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useBusiness } from '@/contexts/BusinessContext';
@@ -8,10 +8,23 @@ import { getPrimaryButtonStyle, getHeadingStyle } from '@/lib/styleUtils';
 import { toast } from '@/components/ui/use-toast';
 import {
   getCurrencies, getAllCurrencies, createCurrency, updateCurrency, deleteCurrency,
-  fetchOfficialRates, getAllExchangeRates, saveExchangeRate, deleteExchangeRate, deleteExchangeRatePair, updateExchangeRatePair
+  fetchOfficialRates, recordManualCupRate, getAllExchangeRates, getScheduledExchangeRates, saveExchangeRate, deleteExchangeRate,
+  deleteExchangeRatePair, updateExchangeRatePair, cancelScheduledExchangeRatePair
 } from '@/lib/currencyService';
+import { computeRateDrift, DEFAULT_RATE_DRIFT_THRESHOLD } from '@/lib/exchangeRateProviders';
+import { normalizeEffectiveFrom } from '@/lib/exchangeRateSchedule';
+import ExchangeRateHistoryChart from './ExchangeRateHistoryChart';
 import { supabase } from '@/lib/supabase';
 
+// Value for <input type="datetime-local"> in the browser's timezone
+const toDateTimeLocal = (value = new Date()) => {
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const isFutureDateTime = (value) => !!value && new Date(normalizeEffectiveFrom(value)).getTime() > Date.now();
+
 /**
  * Confirmation Modal Component with framer-motion animations
  */
@@ -137,6 +150,8 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
   });
   const [officialRates, setOfficialRates] = useState(null);
   const [loadingRates, setLoadingRates] = useState(false);
+  const [manualCupRate, setManualCupRate] = useState('');
+  const [savingManualRate, setSavingManualRate] = useState(false);
 
   // Confirmation modal state
   const [confirmModal, setConfirmModal] = useState({
@@ -154,11 +169,13 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
   const [exchangeRates, setExchangeRates] = useState([]);
   const [loadingRates2, setLoadingRates2] = useState(false);
   const [showAddRate, setShowAddRate] = useState(false);
-  const [editingRatePair, setEditingRatePair] = useState(null); // { fromCurrencyId, toCurrencyId, rate, effectiveDate }
+  const [editingRatePair, setEditingRatePair] = useState(null); // { fromCurrencyId, toCurrencyId, rate, effectiveFrom }
   const [newRate, setNewRate] = useState({
     fromCurrencyId: '', toCurrencyId: '', rate: '',
-    effectiveDate: new Date().toISOString().split('T')[0]
+    effectiveFrom: toDateTimeLocal()
   });
+  const [scheduledRates, setScheduledRates] = useState([]);
+  const [historyPairKey, setHistoryPairKey] = useState(null);
 
   // Check if exchange rate pair already exists (including inverse)
   const duplicateRateInfo = useMemo(() => {
@@ -213,13 +230,41 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
         inverseRate: inverseRate || null,
         fromCurrency: rate.from_currency,
         toCurrency: rate.to_currency,
-        effectiveDate: rate.effective_date
+        effectiveFrom: rate.effective_from || rate.effective_date
       });
     });
 
     return pairs;
   }, [exchangeRates]);
 
+  // One entry per scheduled pair change (direct and inverse rows share the start)
+  const scheduledChanges = useMemo(() => {
+    const seen = new Set();
+    return scheduledRates.filter(rate => {
+      const key = `${[rate.from_currency_id, rate.to_currency_id].sort().join('-')}@${rate.effective_from}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }, [scheduledRates]);
+
+  // Market rates only for currencies configured in the system
+  const officialRatesToShow = useMemo(() => {
+    if (!officialRates?.rates) return [];
+    const codes = new Set(currencies.map(c => c.code));
+    return Object.entries(officialRates.rates)
+      .filter(([code]) => codes.size === 0 || codes.has(code));
+  }, [officialRates, currencies]);
+
+  const driftThreshold = localFinancial.rateDriftThreshold ?? DEFAULT_RATE_DRIFT_THRESHOLD;
+
+  // Admin-defined rates that drifted from the market beyond the threshold
+  const driftedRates = useMemo(() => {
+    if (!officialRates?.rates) return [];
+    return computeRateDrift(exchangeRates, officialRates.rates, driftThreshold)
+      .filter(entry => entry.exceeds);
+  }, [exchangeRates, officialRates, driftThreshold]);
+
   useEffect(() => {
     loadCurrencies();
     loadOfficialRates();
@@ -235,16 +280,34 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
   const loadOfficialRates = async () => {
     setLoadingRates(true);
     try {
-      const rates = await fetchOfficialRates();
-      setOfficialRates(rates || []);
+      const result = await fetchOfficialRates();
+      setOfficialRates(result);
     } catch (error) {
       console.error('Error loading official rates:', error);
-      setOfficialRates([]);
+      setOfficialRates(null);
     } finally {
       setLoadingRates(false);
     }
   };
 
+  const handleSaveManualCupRate = async () => {
+    setSavingManualRate(true);
+    try {
+      await recordManualCupRate(manualCupRate);
+      toast({ title: t('settings.financial.manualCupRateSaved') });
+      setManualCupRate('');
+      await loadOfficialRates();
+    } catch (error) {
+      toast({
+        title: t('common.error'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setSavingManualRate(false);
+    }
+  };
+
   // ===== CURRENCIES HANDLERS =====
   const loadCurrencies = async () => {
     try {
@@ -394,11 +457,13 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
   const loadExchangeRates = async () => {
     setLoadingRates2(true);
     try {
-      const rates = await getAllExchangeRates();
+      const [rates, scheduled] = await Promise.all([getAllExchangeRates(), getScheduledExchangeRates()]);
       setExchangeRates(rates || []);
+      setScheduledRates(scheduled || []);
     } catch (error) {
       console.error('Error loading exchange rates:', error);
       setExchangeRates([]);
+      setScheduledRates([]);
     } finally {
       setLoadingRates2(false);
     }
@@ -443,7 +508,7 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
         fromCurrencyId: newRate.toCurrencyId,
         toCurrencyId: newRate.fromCurrencyId,
         rate: (1 / parseFloat(newRate.rate)).toString(),
-        effectiveDate: newRate.effectiveDate
+        effectiveFrom: newRate.effectiveFrom
       };
       const inverseResult = await saveExchangeRate(inverseRate);
       if (inverseResult.error) throw inverseResult.error;
@@ -452,7 +517,7 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
       setShowAddRate(false);
       setNewRate({
         fromCurrencyId: '', toCurrencyId: '', rate: '',
-        effectiveDate: new Date().toISOString().split('T')[0]
+        effectiveFrom: toDateTimeLocal()
       });
 
       toast({
@@ -528,7 +593,8 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
       fromCurrencyId: pair.directRate.from_currency_id,
       toCurrencyId: pair.directRate.to_currency_id,
       rate: pair.directRate.rate,
-      effectiveDate: pair.effectiveDate || new Date().toISOString().split('T')[0],
+      // A change starts now unless the admin schedules it for later
+      effectiveFrom: toDateTimeLocal(),
       fromCurrency: pair.fromCurrency,
       toCurrency: pair.toCurrency
     });
@@ -551,18 +617,22 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
         editingRatePair.fromCurrencyId,
         editingRatePair.toCurrencyId,
         editingRatePair.rate,
-        editingRatePair.effectiveDate
+        editingRatePair.effectiveFrom
       );
-      if (result.error) throw result.error;
 
       await loadExchangeRates();
       setEditingRatePair(null);
-      toast({
-        title: language === 'es' ? 'Par de tasas actualizado' : 'Rate pair updated',
-        description: language === 'es'
-          ? 'Se actualizaron ambas tasas (directa e inversa)'
-          : 'Both rates updated (direct and inverse)'
-      });
+      toast(result.scheduled
+        ? {
+          title: t('settings.financial.rateScheduled'),
+          description: new Date(result.effectiveFrom).toLocaleString()
+        }
+        : {
+          title: language === 'es' ? 'Par de tasas actualizado' : 'Rate pair updated',
+          description: language === 'es'
+            ? 'Se actualizaron ambas tasas (directa e inversa)'
+            : 'Both rates updated (direct and inverse)'
+        });
     } catch (error) {
       console.error('Error updating rate pair:', error);
       toast({
@@ -578,6 +648,26 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
     setEditingRatePair(null);
   };
 
+  // Cancel a scheduled change (both directions)
+  const handleCancelScheduledRate = async (rate) => {
+    if (!confirm(t('settings.financial.confirmCancelScheduled'))) {
+      return;
+    }
+
+    try {
+      await cancelScheduledExchangeRatePair(rate.from_currency_id, rate.to_currency_id, rate.effective_from);
+      await loadExchangeRates();
+      toast({ title: t('settings.financial.scheduledCancelled') });
+    } catch (error) {
+      console.error('Error cancelling scheduled rate:', error);
+      toast({
+        title: 'Error',
+        description: error.message,
+        variant: 'destructive'
+      });
+    }
+  };
+
   return (
     <>
       {/* Financial Settings Section */}
@@ -673,16 +763,64 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
                 {t('settings.financial.officialRatesReference')}
               </h4>
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-2 text-sm">
-                {Object.entries(officialRates).map(([code, rate]) => (
-                  <div key={code} className="bg-white p-2 rounded flex justify-between">
-                    <span className="font-bold">{code}:</span>
-                    <span className="font-mono">{Number(rate).toFixed(4)}</span>
+                {officialRatesToShow.map(([code, rate]) => (
+                  <div key={code} className="bg-white p-2 rounded" title={officialRates.sources?.[code]}>
+                    <div className="flex justify-between">
+                      <span className="font-bold">{code}:</span>
+                      <span className="font-mono">{Number(rate).toFixed(4)}</span>
+                    </div>
+                    <div className="text-[10px] text-gray-400 truncate">{officialRates.sources?.[code]}</div>
                   </div>
                 ))}
               </div>
+              {/* Provider status */}
+              <div className="flex flex-wrap gap-2 mt-3 text-xs">
+                {officialRates.providers?.map(provider => (
+                  <span
+                    key={provider.id}
+                    title={provider.error || provider.retrievedAt || ''}
+                    className={`px-2 py-0.5 rounded ${
+                      provider.status === 'ok'
+                        ? 'bg-green-100 text-green-700'
+                        : provider.status === 'skipped'
+                          ? 'bg-gray-100 text-gray-500'
+                          : 'bg-red-100 text-red-700'
+                    }`}
+                  >
+                    {provider.label}: {t(`settings.financial.providerStatus.${provider.status}`)}
+                  </span>
+                ))}
+              </div>
             </div>
           )}
 
+          {/* Manual / informal CUP rate */}
+          <div className="flex flex-col sm:flex-row sm:items-end gap-2 mb-4">
+            <div className="flex-1">
+              <label className="block text-sm font-medium mb-1">{t('settings.financial.manualCupRate')}</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={manualCupRate}
+                onChange={e => setManualCupRate(e.target.value)}
+                placeholder="CUP / USD"
+                className="input-style w-full"
+              />
+              <p className="text-xs text-gray-500 mt-1">{t('settings.financial.manualCupRateHint')}</p>
+            </div>
+            <Button
+              onClick={handleSaveManualCupRate}
+              disabled={savingManualRate || !(parseFloat(manualCupRate) > 0)}
+              variant="outline"
+              size="sm"
+              className="h-8 sm:mb-5"
+            >
+              <Save className="w-4 h-4 mr-2" />
+              {t('settings.financial.saveManualCupRate')}
+            </Button>
+          </div>
+
           <div className="space-y-2 mb-6">
             {currencies.map(currency => (
               <div
@@ -865,6 +1003,40 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
           </Button>
         </div>
 
+        {/* Drift alert: admin rates vs. market */}
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <label className="text-gray-600">{t('settings.financial.driftThreshold')}</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={driftThreshold}
+            onChange={e => setLocalFinancial({ ...localFinancial, rateDriftThreshold: parseFloat(e.target.value) || 0 })}
+            className="input-style w-20"
+          />
+          <span className="text-gray-500">%</span>
+        </div>
+
+        {driftedRates.length > 0 && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg mb-6">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-red-600 mt-0.5 flex-shrink-0" />
+              <div className="text-sm text-red-800">
+                <p className="font-medium mb-1">
+                  {t('settings.financial.driftAlertTitle', { threshold: driftThreshold })}
+                </p>
+                <ul className="space-y-1">
+                  {driftedRates.map(entry => (
+                    <li key={entry.id} className="font-mono">
+                      {entry.from} → {entry.to}: {entry.definedRate.toFixed(4)} · {t('settings.financial.market')} {entry.marketRate.toFixed(4)} ({entry.driftPct > 0 ? '+' : ''}{entry.driftPct}%)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        )}
+
         {showAddRate && (
           <div className="bg-blue-50 p-4 rounded-lg mb-6">
             <h4 className="text-lg font-semibold mb-3">
@@ -939,14 +1111,17 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
               </div>
               <div>
                 <label className="block text-sm font-medium mb-1">
-                  {t('settings.financial.effectiveDate')}
+                  {t('settings.financial.effectiveFrom')}
                 </label>
                 <input
-                  type="date"
-                  value={newRate.effectiveDate}
-                  onChange={e => setNewRate({ ...newRate, effectiveDate: e.target.value })}
+                  type="datetime-local"
+                  value={newRate.effectiveFrom}
+                  onChange={e => setNewRate({ ...newRate, effectiveFrom: e.target.value })}
                   className="input-style w-full"
                 />
+                {isFutureDateTime(newRate.effectiveFrom) && (
+                  <p className="text-xs text-amber-600 mt-1">{t('settings.financial.scheduleNote')}</p>
+                )}
               </div>
             </div>
 
@@ -1027,14 +1202,19 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
               </div>
               <div>
                 <label className="block text-sm font-medium mb-1">
-                  {t('settings.financial.effectiveDate')}
+                  {t('settings.financial.effectiveFrom')}
                 </label>
                 <input
-                  type="date"
-                  value={editingRatePair.effectiveDate}
-                  onChange={e => setEditingRatePair({ ...editingRatePair, effectiveDate: e.target.value })}
+                  type="datetime-local"
+                  value={editingRatePair.effectiveFrom}
+                  onChange={e => setEditingRatePair({ ...editingRatePair, effectiveFrom: e.target.value })}
                   className="input-style w-full"
                 />
+                <p className={`text-xs mt-1 ${isFutureDateTime(editingRatePair.effectiveFrom) ? 'text-amber-600' : 'text-gray-500'}`}>
+                  {isFutureDateTime(editingRatePair.effectiveFrom)
+                    ? t('settings.financial.scheduleNote')
+                    : t('settings.financial.keepsHistoryNote')}
+                </p>
               </div>
             </div>
 
@@ -1081,6 +1261,32 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
           </div>
         )}
 
+        {/* Scheduled rate changes */}
+        {scheduledChanges.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6">
+            <h4 className="font-semibold text-amber-800 mb-2 flex items-center gap-2">
+              <Clock className="h-4 w-4" />
+              {t('settings.financial.scheduledRates')}
+            </h4>
+            <div className="space-y-2">
+              {scheduledChanges.map(rate => (
+                <div key={rate.id} className="flex flex-wrap items-center justify-between gap-2 bg-white rounded p-2 text-sm">
+                  <span className="font-mono">
+                    1 {rate.from_currency?.code} = {Number(rate.rate).toFixed(4)} {rate.to_currency?.code}
+                  </span>
+                  <span className="text-amber-700">
+                    {t('settings.financial.startsAt')} {new Date(rate.effective_from).toLocaleString()}
+                  </span>
+                  <Button variant="outline" size="sm" className="h-7" onClick={() => handleCancelScheduledRate(rate)}>
+                    <X className="h-3 w-3 mr-1" />
+                    {t('settings.financial.cancelScheduled')}
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {loadingRates2 ? (
           <p className="text-center py-8 text-gray-500">{t('common.loading')}</p>
         ) : groupedExchangeRates.length === 0 ? (
@@ -1141,11 +1347,20 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
 
                     <div className="mt-2 text-xs text-gray-500">
                       {language === 'es' ? 'Vigente desde: ' : 'Effective: '}
-                      {new Date(pair.effectiveDate).toLocaleDateString()}
+                      {new Date(pair.effectiveFrom).toLocaleString()}
                     </div>
                   </div>
 
                   <div className="flex items-center gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setHistoryPairKey(historyPairKey === pair.pairKey ? null : pair.pairKey)}
+                      title={t('settings.financial.history')}
+                    >
+                      <LineChart className="h-4 w-4 mr-1" />
+                      <span className="hidden sm:inline">{t('settings.financial.history')}</span>
+                    </Button>
                     <Button
                       variant="outline"
                       size="sm"
@@ -1170,6 +1385,10 @@ const SettingsPageFinancial = ({ localFinancial, setLocalFinancial }) => {
                     </Button>
                   </div>
                 </div>
+
+                {historyPairKey === pair.pairKey && pair.fromCurrency && pair.toCurrency && (
+                  <ExchangeRateHistoryChart fromCurrency={pair.fromCurrency} toCurrency={pair.toCurrency} />
+                )}
               </div>
             ))}
           </div>
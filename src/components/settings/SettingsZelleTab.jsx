@@ -6,14 +6,14 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, Trash2, Edit, Eye, RotateCcw, Loader, AlertCircle } from 'lucide-react';
+import { Plus, Trash2, Edit, Eye, RotateCcw, Loader, AlertCircle, Shuffle } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useLanguage } from '@/contexts/LanguageContext';
 import { useBusiness } from '@/contexts/BusinessContext';
 import { toast } from '@/components/ui/use-toast';
 import ResponsiveTableWrapper from '@/components/tables/ResponsiveTableWrapper';
 import TableDetailModal from '@/components/modals/TableDetailModal';
-import { zelleService } from '@/lib/zelleService';
+import { zelleService, ZELLE_TRANSACTION_TYPES, ZELLE_ROTATION_STRATEGIES } from '@/lib/zelleService';
 import { getZelleTableColumns, getZelleModalColumns } from './ZelleAccountTableConfig';
 
 const SettingsZelleTab = () => {
@@ -35,6 +35,10 @@ const SettingsZelleTab = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [showResetModal, setShowResetModal] = useState(false);
 
+  // Rotation strategy per transaction type
+  const [rotationSettings, setRotationSettings] = useState({});
+  const [savingRotationType, setSavingRotationType] = useState(null);
+
   // Form and transactions state
   const [resetType, setResetType] = useState('daily');
   const [transactions, setTransactions] = useState([]);
@@ -59,24 +63,54 @@ const SettingsZelleTab = () => {
   // Load accounts on mount
   useEffect(() => {
     loadAccounts();
+    loadRotationSettings();
   }, []);
 
+  const loadRotationSettings = async () => {
+    const settings = await zelleService.getZelleRotationSettings();
+    setRotationSettings(settings);
+  };
+
+  const handleRotationChange = async (transactionType, strategy) => {
+    const previous = rotationSettings[transactionType];
+    setRotationSettings(prev => ({ ...prev, [transactionType]: strategy }));
+    setSavingRotationType(transactionType);
+    try {
+      await zelleService.updateZelleRotationStrategy(transactionType, strategy);
+      toast({ title: t('zelle.rotation.saved') });
+    } catch (error) {
+      setRotationSettings(prev => ({ ...prev, [transactionType]: previous }));
+      toast({
+        title: t('zelle.rotation.saveError'),
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setSavingRotationType(null);
+    }
+  };
+
   const loadAccounts = async () => {
     setLoading(true);
     try {
-      const [data, usageSummary, historicalTotals] = await Promise.all([
+      const [data, usageSummary, historicalTotals, forecast] = await Promise.all([
         zelleService.getAllZelleAccounts(),
         zelleService.getZelleAccountUsageSummary(),
-        zelleService.getZelleAccountHistoricalTotals()
+        zelleService.getZelleAccountHistoricalTotals(),
+        // Advisory column; the table still loads without it
+        zelleService.getZelleLimitForecast().catch(() => null)
       ]);
 
+      const forecastsById = new Map((forecast?.accounts || []).map(item => [item.accountId, item]));
+
       const enriched = (data || []).map((account) => {
         const usage = usageSummary?.[account.id] || {};
         return {
           ...account,
           current_daily_amount: usage.dailyAmount ?? account.current_daily_amount ?? 0,
           current_monthly_amount: usage.monthlyAmount ?? account.current_monthly_amount ?? 0,
-          historical_total: historicalTotals?.[account.id] ?? 0
+          historical_total: historicalTotals?.[account.id] ?? 0,
+          limit_forecast: forecastsById.get(account.id) || null
         };
       });
 
@@ -377,6 +411,32 @@ const SettingsZelleTab = () => {
         </Button>
       </motion.div>
 
+      {/* Rotation strategy per transaction type */}
+      <div className="border rounded-lg p-4 bg-white">
+        <h4 className="font-semibold flex items-center gap-2 mb-1">
+          <Shuffle className="h-4 w-4" style={{ color: visualSettings.primaryColor }} />
+          {t('zelle.rotation.title')}
+        </h4>
+        <p className="text-xs text-gray-500 mb-3">{t('zelle.rotation.description')}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {Object.values(ZELLE_TRANSACTION_TYPES).map(type => (
+            <div key={type}>
+              <label className="block text-sm font-medium mb-1">{t(`zelle.rotation.types.${type}`)}</label>
+              <select
+                value={rotationSettings[type] || ZELLE_ROTATION_STRATEGIES.PRIORITY}
+                onChange={e => handleRotationChange(type, e.target.value)}
+                disabled={savingRotationType === type}
+                className="input-style w-full"
+              >
+                {Object.values(ZELLE_ROTATION_STRATEGIES).map(strategy => (
+                  <option key={strategy} value={strategy}>{t(`zelle.rotation.strategies.${strategy}`)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
       {/* Accounts Table */}
       {accounts.length > 0 ? (
         <ResponsiveTableWrapper
@@ -135,6 +135,36 @@ export const getZelleTableColumns = (t, formatCurrency) => [
       );
     }
   },
+  {
+    key: 'limit_forecast',
+    label: t('zelle.forecast.title'),
+    width: 'w-32',
+    render: (forecast) => {
+      if (!forecast) return <span className="text-gray-400">-</span>;
+      if (forecast.level === 'exhausted') {
+        return <span className="text-xs font-semibold text-red-600">{t('zelle.forecast.exhausted')}</span>;
+      }
+      const color = forecast.level === 'critical'
+        ? 'text-red-600'
+        : forecast.level === 'warning' ? 'text-yellow-700' : 'text-gray-600';
+      return (
+        <div className={`text-xs space-y-0.5 ${color}`}>
+          {forecast.daily.exhaustsAt && (
+            <div>{t('zelle.forecast.dailyAt', {
+              time: new Date(forecast.daily.exhaustsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            })}</div>
+          )}
+          {forecast.monthly.exhaustsAt && (
+            <div>{t('zelle.forecast.monthlyAt', {
+              date: new Date(forecast.monthly.exhaustsAt).toLocaleDateString()
+            })}</div>
+          )}
+          {!forecast.exhaustsAt && <div>{t('zelle.forecast.none')}</div>}
+          <div className="text-gray-400">{t('zelle.forecast.pace', { amount: formatCurrency(forecast.pacePerHour) })}</div>
+        </div>
+      );
+    }
+  },
   {
     key: 'historical_total',
     label: t('zelle.historicalTotal'),
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { KeyRound, RefreshCw, Loader } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { toast } from '@/components/ui/use-toast';
+import { issueDeliveryPin } from '@/lib/remittanceService';
+import { formatDeliveryPin } from '@/lib/deliveryPin';
+
+/**
+ * DeliveryPinCard - The sender's one-time delivery PIN of a cash remittance
+ * The PIN is only known right after creating the remittance (passed in) or
+ * after drawing a new one here, which cancels the previous PIN.
+ *
+ * @prop {string} remittanceId
+ * @prop {string} [pin] - PIN just issued (createRemittance result)
+ */
+const DeliveryPinCard = ({ remittanceId, pin: initialPin = null }) => {
+  const { t } = useLanguage();
+  const [pin, setPin] = useState(initialPin);
+  const [loading, setLoading] = useState(false);
+
+  const handleReissue = async () => {
+    setLoading(true);
+    try {
+      setPin(await issueDeliveryPin(remittanceId));
+    } catch (error) {
+      toast({ title: t('deliveryPin.loadError'), description: error.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-xl border-2 border-amber-200 bg-amber-50">
+      <h3 className="font-bold text-sm flex items-center gap-2 text-amber-900">
+        <KeyRound className="h-4 w-4" />
+        {t('deliveryPin.title')}
+      </h3>
+      {pin ? (
+        <p className="text-3xl font-mono font-bold tracking-widest text-center my-3">{formatDeliveryPin(pin)}</p>
+      ) : (
+        <>
+          <p className="text-xs text-amber-800 mt-2">{t('deliveryPin.shownOnce')}</p>
+          <button
+            onClick={handleReissue}
+            disabled={loading}
+            className="w-full my-3 py-2 flex items-center justify-center gap-2 rounded-lg border border-amber-300 bg-white text-sm font-medium hover:bg-amber-100 disabled:opacity-50"
+          >
+            {loading ? <Loader className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+            {t('deliveryPin.reissue')}
+          </button>
+        </>
+      )}
+      <p className="text-xs text-amber-800">{t('deliveryPin.senderHint')}</p>
+    </div>
+  );
+};
+
+export default DeliveryPinCard;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link2 } from 'lucide-react';
+import { useLanguage } from '@/contexts/LanguageContext';
+import { toast } from '@/components/ui/use-toast';
+import { buildTrackingUrl } from '@/lib/tracking';
+
+/**
+ * TrackingLinkButton - Copies the public /track/<token> link of an order or
+ * remittance, to share it with the recipient
+ *
+ * @prop {string} token - tracking_token of the row
+ */
+const TrackingLinkButton = ({ token }) => {
+  const { t } = useLanguage();
+
+  if (!token) return null;
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(buildTrackingUrl(token)).then(() => {
+      toast({ title: t('tracking.linkCopied') });
+    });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleCopy}
+      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 bg-white hover:bg-gray-50"
+      title={t('tracking.copyLinkHint')}
+    >
+      <Link2 className="h-3.5 w-3.5" />
+      {t('tracking.copyLink')}
+    </button>
+  );
+};
+
+export default TrackingLinkButton;
@@ -2,6 +2,9 @@
  * RemittanceTimeline Component
  * Visual timeline showing the progression of a remittance through its states
  * Displays: Pending → Proof Uploaded → Validated → Processing → Delivered → Completed
+ *
+ * Other flows (e.g. order tracking) pass their own `steps`, `stepLabels`
+ * and `title`.
  */
 
 import { motion } from 'framer-motion';
@@ -26,7 +29,10 @@ const RemittanceTimeline = ({
   currentStatus,
   rejectionReason = null,
   statusHistory = [],
-  compact = false
+  compact = false,
+  steps = REMITTANCE_STEPS,
+  stepLabels = null,
+  title = null
 }) => {
   const { language, t } = useLanguage();
   const { visualSettings } = useBusiness();
@@ -39,7 +45,8 @@ const RemittanceTimeline = ({
     processing: t('remittances.status.processing'),
     delivered: t('remittances.status.delivered'),
     completed: t('remittances.status.completed'),
-    payment_rejected: t('remittances.status.paymentRejected')
+    payment_rejected: t('remittances.status.paymentRejected'),
+    ...stepLabels
   };
 
   // Check if a step is completed based on current status
@@ -49,10 +56,10 @@ const RemittanceTimeline = ({
       return 'inactive';
     }
 
-    const currentIndex = REMITTANCE_STEPS.findIndex(s =>
+    const currentIndex = steps.findIndex(s =>
       s.statusMatch.includes(currentStatus)
     );
-    const stepIndex = REMITTANCE_STEPS.findIndex(s => s.id === step.id);
+    const stepIndex = steps.findIndex(s => s.id === step.id);
 
     if (stepIndex < currentIndex) return 'completed';
     if (stepIndex === currentIndex) return 'current';
@@ -64,7 +71,7 @@ const RemittanceTimeline = ({
     if (!statusHistory || statusHistory.length === 0) return null;
 
     const historyEntry = statusHistory.find(h =>
-      REMITTANCE_STEPS.find(s => s.id === stepId)?.statusMatch.includes(h.status)
+      steps.find(s => s.id === stepId)?.statusMatch.includes(h.status)
     );
 
     return historyEntry?.timestamp || historyEntry?.created_at;
@@ -112,7 +119,7 @@ const RemittanceTimeline = ({
     return (
       <div className="py-2">
         <div className="flex items-center justify-between">
-          {REMITTANCE_STEPS.map((step, index) => {
+          {steps.map((step, index) => {
             const state = getStepState(step);
             const StepIcon = step.icon;
 
@@ -131,7 +138,7 @@ const RemittanceTimeline = ({
                 >
                   <StepIcon className="h-4 w-4" />
                 </motion.div>
-                {index < REMITTANCE_STEPS.length - 1 && (
+                {index < steps.length - 1 && (
                   <div
                     className={`h-0.5 w-6 mx-1 transition-all ${
                       state === 'completed' ? 'bg-green-500' : 'bg-gray-200'
@@ -151,7 +158,7 @@ const RemittanceTimeline = ({
     <div className="py-4">
       <h4 className="text-sm font-semibold text-gray-700 mb-4 flex items-center gap-2">
         <Clock className="h-4 w-4" />
-        {language === 'es' ? 'Progreso de la Remesa' : 'Remittance Progress'}
+        {title || (language === 'es' ? 'Progreso de la Remesa' : 'Remittance Progress')}
       </h4>
 
       <div className="relative">
@@ -159,7 +166,7 @@ const RemittanceTimeline = ({
         <div className="absolute left-4 top-0 bottom-0 w-0.5 bg-gray-200" />
 
         <div className="space-y-4">
-          {REMITTANCE_STEPS.map((step, index) => {
+          {steps.map((step, index) => {
             const state = getStepState(step);
             const StepIcon = step.icon;
             const timestamp = getStepTimestamp(step.id);
@@ -201,7 +208,7 @@ const RemittanceTimeline = ({
                 </div>
 
                 {/* Step content */}
-                <div className={`flex-1 pb-4 ${index === REMITTANCE_STEPS.length - 1 ? 'pb-0' : ''}`}>
+                <div className={`flex-1 pb-4 ${index === steps.length - 1 ? 'pb-0' : ''}`}>
                   <p className={`font-medium text-sm ${
                     state === 'completed'
                       ? 'text-green-700'  // Past states: green text
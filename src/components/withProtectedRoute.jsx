@@ -3,12 +3,14 @@ import { useAuth } from '@/contexts/AuthContext';
 import AuthLoadingScreen from '@/components/AuthLoadingScreen';
 
 /**
- * withProtectedRoute(WrappedComponent, requiredRole)
+ * withProtectedRoute(WrappedComponent, requiredRole, requiredPermissions)
  * - requiredRole: 'admin' | 'super_admin' | 'user' | undefined
+ * - requiredPermissions: named permissions (src/lib/permissions.js); any of
+ *   them also opens the page to users without the role
  */
-export const withProtectedRoute = (WrappedComponent, requiredRole) => {
+export const withProtectedRoute = (WrappedComponent, requiredRole, requiredPermissions = null) => {
   const ProtectedWrapper = (props) => {
-    let user, authLoading, checkRole, userRole;
+    let user, authLoading, checkRole, userRole, canAny, permissionsLoading;
 
     try {
       const auth = useAuth();
@@ -16,6 +18,8 @@ export const withProtectedRoute = (WrappedComponent, requiredRole) => {
       authLoading = auth.loading;
       checkRole = auth.checkRole;
       userRole = auth.userRole;
+      canAny = auth.canAny;
+      permissionsLoading = auth.permissionsLoading;
     } catch (error) {
       // During hot module replacement, AuthContext might not be available yet
       if (import.meta.env.DEV) {
@@ -41,8 +45,14 @@ export const withProtectedRoute = (WrappedComponent, requiredRole) => {
       );
     }
 
-    // Check role permissions (synchronous now)
-    const hasAccess = checkRole(requiredRole);
+    // Check role, then named permissions (synchronous now)
+    const hasRole = checkRole(requiredRole);
+
+    if (!hasRole && requiredPermissions && permissionsLoading) {
+      return <AuthLoadingScreen />;
+    }
+
+    const hasAccess = hasRole || (!!requiredPermissions && canAny(requiredPermissions));
 
     if (!hasAccess) {
       return (
@@ -6,6 +6,8 @@ import AuthLoadingScreen from '@/components/AuthLoadingScreen';
 import { TIMEOUTS, RETRY_CONFIG } from '@/lib/constants';
 import { getUserCategory } from '@/lib/userCategorizationService';
 import { flushQueuedActivityLogs, logActivity } from '@/lib/activityLogger';
+import { resolvePermissions, hasPermission, hasAnyPermission } from '@/lib/permissions';
+import { getMyPermissions } from '@/lib/permissionService';
 
 const AuthContext = createContext();
 
@@ -33,6 +35,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [userRole, setUserRole] = useState(null);
   const [userCategory, setUserCategory] = useState(null);
+  const [permissions, setPermissions] = useState(null); // null while loading
   const [isEnabled, setIsEnabled] = useState(true);
   const [loading, setLoading] = useState(true);
   const [hasLoggedSession, setHasLoggedSession] = useState(false);
@@ -410,6 +413,31 @@ export const AuthProvider = ({ children }) => {
     };
   }, [user?.id, userRole]);
 
+  // Effective permissions (see src/lib/permissions.js); the role defaults
+  // stand in when get_my_permissions() cannot be reached
+  useEffect(() => {
+    let isMounted = true;
+
+    if (!user?.id || !userRole) {
+      setPermissions([]);
+      return undefined;
+    }
+
+    setPermissions(null);
+    getMyPermissions()
+      .then((granted) => {
+        if (isMounted) setPermissions(granted);
+      })
+      .catch((err) => {
+        console.warn('[Auth] Failed to load permissions, using role defaults:', err);
+        if (isMounted) setPermissions(resolvePermissions(userRole));
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [user?.id, userRole]);
+
   useEffect(() => {
     if (user && !hasLoggedSession) {
       logActivity({
@@ -444,10 +472,17 @@ export const AuthProvider = ({ children }) => {
     // Admin has access to admin and user routes
     if (userRole === 'admin' && requiredRole !== 'super_admin') return true;
 
+    // Courier keeps the customer routes
+    if (userRole === 'courier' && requiredRole === 'user') return true;
+
     // Exact role match
     return userRole === requiredRole;
   };
 
+  // Named permission checks, e.g. can('remittance.validate_payment')
+  const can = (permission) => hasPermission(permissions, permission);
+  const canAny = (permissionList) => hasAnyPermission(permissions, permissionList);
+
   const value = {
     user,
     loading,
@@ -457,7 +492,12 @@ export const AuthProvider = ({ children }) => {
     isEnabled,
     isSuperAdmin: userRole === 'super_admin',
     isAdmin: userRole === 'admin' || userRole === 'super_admin',
+    isCourier: userRole === 'courier',
     checkRole,
+    permissions: permissions || [],
+    permissionsLoading: !!user && permissions === null,
+    can,
+    canAny,
     login,
     signInWithGoogle,
     logout,
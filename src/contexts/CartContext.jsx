@@ -1,7 +1,15 @@
-import React, { createContext, useContext } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
+import { getCartLineKey } from '@/lib/productVariants';
+import { mergeCarts, revalidateCart } from '@/lib/cartSync';
+import { getStoredCart, saveStoredCart } from '@/lib/cartService';
+import { useAuth } from '@/contexts/AuthContext';
+import { useProducts } from '@/contexts/ProductContext';
 
 const CartContext = createContext();
 
+// Delay before a change is written to the stored cart (groups quick +/- clicks)
+const SAVE_DELAY_MS = 600;
+
 const useLocalStorage = (key, initialValue) => {
   const [storedValue, setStoredValue] = React.useState(() => {
     try {
@@ -12,64 +20,193 @@ const useLocalStorage = (key, initialValue) => {
     }
   });
 
-  const setValue = (value) => {
+  // Functional updates see the latest value, also from async callbacks
+  useEffect(() => {
     try {
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
+      window.localStorage.setItem(key, JSON.stringify(storedValue));
     } catch (error) {
     }
-  };
+  }, [key, storedValue]);
 
-  return [storedValue, setValue];
+  return [storedValue, setStoredValue];
 };
 
 /**
  * CartContext
  * Manages shopping cart state stored in localStorage
  * Separated from BusinessContext for better performance
+ * Lines are keyed by getCartLineKey (item type + variant), so each variant of
+ * a product is its own line
+ *
+ * Signed-in customers also keep the cart in the database (cartService): on
+ * login the cart of this device is merged into the stored one, later changes
+ * are saved, and the stored cart is reloaded when the tab regains focus so a
+ * cart started on another device shows up. Whenever a cart is loaded its
+ * prices and stock are re-validated against the catalog; what changed is
+ * exposed as cartChanges for the cart page to explain.
  *
  * Only re-renders components that depend on cart data
  */
 export const CartProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { products, combos, loading: catalogLoading } = useProducts();
   const [cart, setCart] = useLocalStorage('cart', []);
+  const [cartChanges, setCartChanges] = useState([]);
+  const [validationPending, setValidationPending] = useState(true);
+  // User whose stored cart is loaded in `cart` (null = anonymous cart)
+  const syncedUserIdRef = useRef(null);
+  const skipNextSaveRef = useRef(false);
+  const saveTimerRef = useRef(null);
+  const cartRef = useRef(cart);
+  cartRef.current = cart;
+
+  const userId = user?.id || null;
+
+  // Login: merge this device's cart into the stored one. Logout: the cart
+  // belongs to the account, so the device starts empty.
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!userId) {
+      if (syncedUserIdRef.current) {
+        syncedUserIdRef.current = null;
+        setCart([]);
+        setCartChanges([]);
+      }
+      return undefined;
+    }
+
+    const loadStoredCart = async () => {
+      try {
+        const storedCart = await getStoredCart(userId);
+        if (cancelled) return;
+        const merged = mergeCarts(storedCart, cartRef.current);
+        syncedUserIdRef.current = userId;
+        // The save effect stores the merged cart
+        setCart(merged);
+        setValidationPending(true);
+      } catch (error) {
+        // Keep working with the local cart; the next change retries the save
+        console.error('[CartContext] Error loading stored cart:', error);
+        syncedUserIdRef.current = userId;
+      }
+    };
+
+    loadStoredCart();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, setCart]);
+
+  // Save changes of a signed-in cart
+  useEffect(() => {
+    if (!userId || syncedUserIdRef.current !== userId) return undefined;
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return undefined;
+    }
+
+    saveTimerRef.current = setTimeout(() => {
+      saveTimerRef.current = null;
+      saveStoredCart(cart).catch(error => {
+        console.error('[CartContext] Error saving cart:', error);
+      });
+    }, SAVE_DELAY_MS);
+
+    return () => {
+      clearTimeout(saveTimerRef.current);
+      saveTimerRef.current = null;
+    };
+  }, [cart, userId]);
+
+  // Pick up changes made on another device when the tab comes back
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const handleVisibility = async () => {
+      if (document.visibilityState !== 'visible' || syncedUserIdRef.current !== userId || saveTimerRef.current) return;
+      try {
+        const storedCart = await getStoredCart(userId);
+        skipNextSaveRef.current = true;
+        setCart(storedCart);
+        setValidationPending(true);
+      } catch (error) {
+        console.error('[CartContext] Error refreshing stored cart:', error);
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [userId, setCart]);
+
+  // Re-validate prices and stock once the catalog is loaded
+  useEffect(() => {
+    if (!validationPending || catalogLoading || products.length === 0) return;
+    setValidationPending(false);
+
+    const { cart: validatedCart, changes } = revalidateCart(cartRef.current, { products, combos });
+    setCart(validatedCart);
+    if (changes.length > 0) {
+      setCartChanges(prev => [...prev, ...changes]);
+    }
+  }, [validationPending, catalogLoading, products, combos, setCart]);
 
   const addToCart = (product) => {
+    const lineKey = getCartLineKey(product);
     setCart(prev => {
-      const existingItem = prev.find(item => item.id === product.id);
+      const existingItem = prev.find(item => getCartLineKey(item) === lineKey);
       if (existingItem) {
         return prev.map(item =>
-          item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
+          getCartLineKey(item) === lineKey ? { ...item, quantity: item.quantity + 1 } : item
         );
       }
       return [...prev, { ...product, quantity: 1 }];
     });
   };
 
-  const removeFromCart = (productId) => {
-    setCart(prev => prev.filter(item => item.id !== productId));
+  // Several lines at once (e.g. a whole wishlist); quantities add up per line
+  const addItemsToCart = (lines) => {
+    setCart(prev => lines.reduce((acc, line) => {
+      const lineKey = getCartLineKey(line);
+      const quantity = line.quantity || 1;
+      if (acc.some(item => getCartLineKey(item) === lineKey)) {
+        return acc.map(item =>
+          getCartLineKey(item) === lineKey ? { ...item, quantity: item.quantity + quantity } : item
+        );
+      }
+      return [...acc, { ...line, quantity }];
+    }, prev));
+  };
+
+  const removeFromCart = (lineKey) => {
+    setCart(prev => prev.filter(item => getCartLineKey(item) !== lineKey));
   };
 
-  const updateCartQuantity = (productId, quantity) => {
+  const updateCartQuantity = (lineKey, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(lineKey);
       return;
     }
     setCart(prev =>
       prev.map(item =>
-        item.id === productId ? { ...item, quantity } : item
+        getCartLineKey(item) === lineKey ? { ...item, quantity } : item
       )
     );
   };
 
   const clearCart = () => setCart([]);
 
+  const dismissCartChanges = useCallback(() => setCartChanges([]), []);
+
   const value = {
     cart,
     addToCart,
+    addItemsToCart,
     removeFromCart,
     updateCartQuantity,
-    clearCart
+    clearCart,
+    cartChanges,
+    dismissCartChanges
   };
 
   return (
@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { getProducts, getCategories } from '@/lib/productService';
 import { getCombos } from '@/lib/comboService';
+import { buildComboComponents, getComboAvailability } from '@/lib/comboAvailability';
 import { getTestimonials } from '@/lib/testimonialService';
 import { getCarouselSlides } from '@/lib/carouselService';
 
@@ -79,22 +80,23 @@ export const ProductProvider = ({ children }) => {
           return acc;
         }, []);
 
-        // Check if combo should be active based on product stock
-        let hasInsufficientStock = false;
-        if (Object.keys(productsMap).length > 0) {
-          for (const productId of products) {
-            const product = productsMap[productId];
-            if (!product) continue;
-
-            const requiredQuantity = productQuantities[productId] || 1;
-            const availableStock = product?.stock ?? 0;
-
-            if (availableStock === 0 || availableStock < requiredQuantity) {
-              hasInsufficientStock = true;
-              break;
-            }
-          }
+        // Sellable quantity: complete combos the component stock (plus approved
+        // substitutes) can fill — a combo has no stock of its own
+        const components = buildComboComponents(
+          products.map(productId => ({ product_id: productId, quantity: productQuantities[productId] || 1 })),
+          c.substitutes || []
+        );
+        // Components whose product is not loaded are skipped
+        const loadedComponents = components.filter(component => productsMap[component.product_id]);
+        let availability = null;
+        if (loadedComponents.length > 0) {
+          const stock = {};
+          Object.values(productsMap).forEach(p => {
+            stock[p.id] = p.stock ?? 0;
+          });
+          availability = getComboAvailability(loadedComponents, stock);
         }
+        const hasInsufficientStock = availability ? availability.available < 1 : false;
 
         return {
           id: c.id,
@@ -107,6 +109,10 @@ export const ProductProvider = ({ children }) => {
           profitMargin: c.profit_margin,
           baseTotalPrice: c.base_total_price,
           is_active: c.is_active,
+          components,
+          substitutes: c.substitutes || [],
+          stock: availability?.available,
+          usesSubstitutes: availability?.usesSubstitutes || false,
           hasStockIssues: hasInsufficientStock
         };
       });
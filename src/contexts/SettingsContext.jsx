@@ -72,6 +72,7 @@ export const SettingsProvider = ({ children }) => {
     productProfit: 40,
     comboProfit: 35,
     remittanceProfit: 5,
+    rateDriftThreshold: 5, // % drift between admin and market rates before alerting
     // Shipping configuration
     shippingType: 'undetermined', // 'free', 'fixed', 'undetermined', 'calculated'
     shippingFixedAmount: 0,
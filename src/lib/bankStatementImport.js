@@ -0,0 +1,329 @@
+/**
+ * Bank Statement Import
+ * Parses CSV exports of bank / Zelle activity and proposes which pending
+ * Zelle payment each incoming line settles. Matching is by amount (required),
+ * payment reference or order/remittance number in the memo, sender name and
+ * time window. Used by the reconciliation screen in ZellePaymentHistoryTab.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const MATCH_CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+export const MATCH_REASONS = {
+  AMOUNT: 'amount',
+  REFERENCE: 'reference',
+  NUMBER: 'number',
+  SENDER: 'sender',
+  TIME_WINDOW: 'time_window'
+};
+
+export const DEFAULT_MATCH_OPTIONS = {
+  amountTolerance: 0.01, // USD
+  windowBeforeHours: 24, // bank date may precede the recorded payment (time zones, posting)
+  windowAfterHours: 96   // posting delay, weekends
+};
+
+// Header names seen in common bank and Zelle exports (lowercase, no accents)
+const COLUMN_ALIASES = {
+  date: ['date', 'posting date', 'transaction date', 'posted date', 'fecha', 'fecha de transaccion'],
+  amount: ['amount', 'credit', 'credits', 'deposit', 'deposits', 'monto', 'importe', 'credito'],
+  sender: ['sender', 'from', 'name', 'payer', 'sender name', 'remitente', 'nombre', 'de'],
+  memo: ['memo', 'description', 'details', 'note', 'notes', 'descripcion', 'concepto', 'nota'],
+  reference: ['reference', 'reference number', 'confirmation', 'confirmation number', 'transaction id', 'referencia', 'confirmacion']
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const compact = (value) => normalizeText(value).replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes, CRLF and ; or tab delimiters.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Map header cells to statement fields
+ * @param {Array<string>} headers - First CSV row
+ * @returns {{date: number, amount: number, sender: number, memo: number, reference: number}} Column index per field (-1 = missing)
+ */
+export const detectStatementColumns = (headers) => {
+  const normalized = (headers || []).map(normalizeText);
+  const mapping = {};
+  const used = new Set();
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex((header, i) => !used.has(i) && aliases.includes(header));
+    mapping[field] = index;
+    if (index >= 0) used.add(index);
+  });
+
+  return mapping;
+};
+
+/**
+ * Parse an amount such as "$1,234.50", "(25.00)", "1.234,50" or "-25"
+ * @param {string} value
+ * @returns {number} NaN if not a number
+ */
+export const parseStatementAmount = (value) => {
+  let text = String(value ?? '').trim().replace(/[$\s]|USD/gi, '');
+  if (!text) return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  text = text.replace(/[()+-]/g, '');
+
+  // Decimal comma when it comes last ("1.234,50")
+  if (text.lastIndexOf(',') > text.lastIndexOf('.')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return isNaN(amount) ? NaN : (negative ? -amount : amount);
+};
+
+/**
+ * Parse a statement date (ISO, MM/DD/YYYY or MM/DD/YY)
+ * @param {string} value
+ * @returns {string|null} ISO timestamp
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value ?? '').trim();
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+    const date = new Date(year, Number(us[1]) - 1, Number(us[2]), Number(us[4] || 0), Number(us[5] || 0));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Parse a bank / Zelle CSV export into incoming payment lines
+ * Outgoing (negative) lines are skipped; unreadable lines are reported.
+ *
+ * @param {string} text - CSV content with a header row
+ * @returns {{lines: Array<Object>, skipped: number, errors: Array<{lineNumber: number, message: string}>, columns: Object}}
+ *   lines: { lineNumber, date, amount, sender, memo, reference }
+ */
+export const parseBankStatement = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { lines: [], skipped: 0, errors: [{ lineNumber: 1, message: 'empty' }], columns: {} };
+  }
+
+  const columns = detectStatementColumns(rows[0]);
+  if (columns.date < 0 || columns.amount < 0) {
+    return { lines: [], skipped: 0, errors: [{ lineNumber: 1, message: 'missing_columns' }], columns };
+  }
+
+  const cell = (cells, field) => (columns[field] >= 0 ? (cells[columns[field]] || '').trim() : '');
+  const lines = [];
+  const errors = [];
+  let skipped = 0;
+
+  rows.slice(1).forEach((cells, index) => {
+    const lineNumber = index + 2;
+    const amount = parseStatementAmount(cell(cells, 'amount'));
+    const date = parseStatementDate(cell(cells, 'date'));
+
+    if (isNaN(amount) || !date) {
+      errors.push({ lineNumber, message: isNaN(amount) ? 'invalid_amount' : 'invalid_date' });
+      return;
+    }
+    if (amount <= 0) {
+      skipped += 1;
+      return;
+    }
+
+    lines.push({
+      lineNumber,
+      date,
+      amount: parseFloat(amount.toFixed(2)),
+      sender: cell(cells, 'sender'),
+      memo: cell(cells, 'memo'),
+      reference: cell(cells, 'reference')
+    });
+  });
+
+  return { lines, skipped, errors, columns };
+};
+
+// Shared words of at least 3 letters between the sender and the customer name
+const namesOverlap = (sender, fullName) => {
+  const words = (value) => normalizeText(value).split(/[^a-z]+/).filter(word => word.length >= 3);
+  const senderWords = new Set(words(sender));
+  return words(fullName).filter(word => senderWords.has(word)).length;
+};
+
+/**
+ * Score one statement line against one pending payment
+ * @returns {{score: number, reasons: Array<string>}|null} null when it cannot match
+ */
+const scoreMatch = (line, payment, settings) => {
+  if (Math.abs(line.amount - (parseFloat(payment.amount) || 0)) > settings.amountTolerance) {
+    return null;
+  }
+
+  const reasons = [MATCH_REASONS.AMOUNT];
+  let score = 1;
+
+  const lineText = compact(`${line.memo} ${line.reference}`);
+  const paymentReference = compact(payment.paymentReference);
+  if (paymentReference.length >= 4 && lineText.includes(paymentReference)) {
+    reasons.push(MATCH_REASONS.REFERENCE);
+    score += 4;
+  }
+
+  const number = compact(payment.referenceNumber);
+  if (number.length >= 4 && lineText.includes(number)) {
+    reasons.push(MATCH_REASONS.NUMBER);
+    score += 4;
+  }
+
+  if (payment.customerName && namesOverlap(line.sender || line.memo, payment.customerName) > 0) {
+    reasons.push(MATCH_REASONS.SENDER);
+    score += 2;
+  }
+
+  const paidAt = new Date(payment.date).getTime();
+  const lineAt = new Date(line.date).getTime();
+  if (!isNaN(paidAt)
+    && lineAt >= paidAt - settings.windowBeforeHours * HOUR_MS
+    && lineAt <= paidAt + settings.windowAfterHours * HOUR_MS) {
+    reasons.push(MATCH_REASONS.TIME_WINDOW);
+    score += 1;
+  }
+
+  return { score, reasons };
+};
+
+const confidenceFor = (reasons) => {
+  if (reasons.includes(MATCH_REASONS.REFERENCE) || reasons.includes(MATCH_REASONS.NUMBER)) {
+    return MATCH_CONFIDENCE.HIGH;
+  }
+  if (reasons.includes(MATCH_REASONS.SENDER) && reasons.includes(MATCH_REASONS.TIME_WINDOW)) {
+    return MATCH_CONFIDENCE.MEDIUM;
+  }
+  return MATCH_CONFIDENCE.LOW;
+};
+
+/**
+ * Propose a pending payment for each statement line
+ * Best-scoring pairs are assigned first; each payment settles at most one line.
+ * Amount-only matches outside the time window are not proposed.
+ *
+ * @param {Array<Object>} lines - parseBankStatement().lines
+ * @param {Array<Object>} payments - Pending payments:
+ *   { id, amount, date, referenceNumber, paymentReference, customerName }
+ * @param {Object} [options] - Overrides for DEFAULT_MATCH_OPTIONS
+ * @returns {{matches: Array<Object>, unmatchedLines: Array<Object>, unmatchedPayments: Array<Object>}}
+ *   matches: { line, payment, score, confidence, reasons, alternatives }
+ */
+export const matchStatementLines = (lines, payments, options = {}) => {
+  const settings = { ...DEFAULT_MATCH_OPTIONS, ...options };
+
+  const pairs = [];
+  (lines || []).forEach((line) => {
+    (payments || []).forEach((payment) => {
+      const scored = scoreMatch(line, payment, settings);
+      if (scored && scored.reasons.length > 1) {
+        pairs.push({ line, payment, ...scored });
+      }
+    });
+  });
+
+  // Highest score first; earlier lines win ties so the result is stable
+  pairs.sort((a, b) => b.score - a.score || a.line.lineNumber - b.line.lineNumber);
+
+  const matchedLines = new Set();
+  const matchedPayments = new Set();
+  const matches = [];
+
+  pairs.forEach((pair) => {
+    if (matchedLines.has(pair.line.lineNumber) || matchedPayments.has(pair.payment.id)) return;
+    matchedLines.add(pair.line.lineNumber);
+    matchedPayments.add(pair.payment.id);
+    matches.push({
+      line: pair.line,
+      payment: pair.payment,
+      score: pair.score,
+      confidence: confidenceFor(pair.reasons),
+      reasons: pair.reasons,
+      // Other payments this line could also settle (shown for manual review)
+      alternatives: pairs
+        .filter(other => other.line.lineNumber === pair.line.lineNumber && other.payment.id !== pair.payment.id)
+        .map(other => other.payment.id)
+    });
+  });
+
+  matches.sort((a, b) => a.line.lineNumber - b.line.lineNumber);
+
+  return {
+    matches,
+    unmatchedLines: (lines || []).filter(line => !matchedLines.has(line.lineNumber)),
+    unmatchedPayments: (payments || []).filter(payment => !matchedPayments.has(payment.id))
+  };
+};
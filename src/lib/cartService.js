@@ -0,0 +1,69 @@
+/**
+ * Cart Service
+ * Stored cart of the signed-in customer (customer_cart_items). The whole cart
+ * is written at once through replace_customer_cart; merging and re-validation
+ * happen in the client (src/lib/cartSync.js, CartContext).
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  handleError,
+  logError,
+  parseSupabaseError,
+  ERROR_CODES
+} from '@/lib/errorHandler';
+import { toServerCartLines, fromServerCartRows } from '@/lib/cartSync';
+
+/**
+ * Get the stored cart of the current user
+ * @param {string} userId - auth user id
+ * @throws {AppError} If the query fails
+ * @returns {Promise<Array<Object>>} cart lines
+ */
+export const getStoredCart = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_cart_items')
+      .select('line_key, quantity, item, position')
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'getStoredCart', userId });
+      throw appError;
+    }
+
+    return fromServerCartRows(data || []);
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getStoredCart', userId });
+    throw appError;
+  }
+};
+
+/**
+ * Replace the stored cart of the current user
+ * @param {Array<Object>} cart - cart lines
+ * @throws {AppError} If the write fails
+ * @returns {Promise<number>} number of stored lines
+ */
+export const saveStoredCart = async (cart) => {
+  try {
+    const { data, error } = await supabase.rpc('replace_customer_cart', {
+      p_items: toServerCartLines(cart)
+    });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'saveStoredCart', lines: cart.length });
+      throw appError;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'saveStoredCart' });
+    throw appError;
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Cart Sync
+ * Signed-in carts are stored in customer_cart_items (see
+ * 20261019000014_customer_carts.sql and cartService). This module holds the
+ * pure parts: the row format, the merge of the anonymous cart into the stored
+ * one on login, and the re-validation of prices and stock against the current
+ * catalog when a cart is loaded.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { getCartLineKey } from './productVariants';
+
+// What happened to a line when the cart was re-validated
+export const CART_CHANGE = {
+  PRICE_CHANGED: 'price_changed',
+  QUANTITY_REDUCED: 'quantity_reduced',
+  OUT_OF_STOCK: 'out_of_stock',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Combos added from the catalog carry type 'combo'; older lines only have the product list
+export const isCartCombo = (item) => item?.type === 'combo' || Array.isArray(item?.products);
+
+const roundPrice = (value) => Math.round(Number(value) * 100) / 100;
+
+const hasShownPrice = (line) => line.displayed_price !== undefined && line.displayed_price !== null;
+
+/**
+ * Cart lines as replace_customer_cart rows
+ * @param {Array<Object>} cart - CartContext lines
+ * @returns {Array<{line_key: string, item_type: string, product_id: string|null, combo_id: string|null, quantity: number, item: Object}>}
+ */
+export const toServerCartLines = (cart = []) => cart.map((line) => {
+  const { quantity, ...item } = line;
+  const combo = isCartCombo(line);
+  return {
+    line_key: getCartLineKey(line),
+    item_type: combo ? 'combo' : 'product',
+    product_id: combo ? null : (line.variantId || line.id),
+    combo_id: combo ? line.id : null,
+    quantity: Math.max(1, Math.floor(Number(quantity) || 1)),
+    item
+  };
+});
+
+/**
+ * customer_cart_items rows back to cart lines, in the stored order
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>}
+ */
+export const fromServerCartRows = (rows = []) => [...rows]
+  .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+  .map(row => ({ ...(row.item || {}), quantity: row.quantity }));
+
+/**
+ * Merge the cart of this device into the stored cart
+ * A line in both keeps the larger quantity (not the sum), so merging the same
+ * cart twice — e.g. on every page load of a signed-in session — changes nothing.
+ * The device's copy of a line wins, as it carries the latest price shown.
+ *
+ * @param {Array<Object>} storedCart - fromServerCartRows()
+ * @param {Array<Object>} localCart - localStorage cart
+ * @returns {Array<Object>}
+ */
+export const mergeCarts = (storedCart = [], localCart = []) => {
+  const localByKey = new Map(localCart.map(line => [getCartLineKey(line), line]));
+  const merged = storedCart.map((stored) => {
+    const local = localByKey.get(getCartLineKey(stored));
+    if (!local) return stored;
+    localByKey.delete(getCartLineKey(stored));
+    return { ...stored, ...local, quantity: Math.max(stored.quantity || 0, local.quantity || 0) };
+  });
+  return [...merged, ...localByKey.values()];
+};
+
+// Price the line is checked against: product final price, or combo components × margin
+const currentReferencePrice = (line, catalogItem, productsById) => {
+  if (!isCartCombo(line)) {
+    return roundPrice(catalogItem.final_price || catalogItem.base_price || 0);
+  }
+  const base = (catalogItem.products || []).reduce((sum, productId) => {
+    const product = productsById.get(productId);
+    return sum + parseFloat(product?.base_price || 0) * (catalogItem.productQuantities?.[productId] || 1);
+  }, 0);
+  return roundPrice(base * (1 + parseFloat(catalogItem.profitMargin || 0) / 100));
+};
+
+/**
+ * Re-validate a cart against the current catalog
+ * - product / combo gone or inactive → line removed (unavailable)
+ * - no stock → line removed (out_of_stock)
+ * - less stock than the quantity → quantity lowered (quantity_reduced)
+ * - price changed since the line was added → the price shown is scaled to the
+ *   new price, in the currency it was shown in (price_changed)
+ * Lines remember the price they were checked against in reference_price;
+ * legacy combo lines without one are only stamped.
+ *
+ * @param {Array<Object>} cart
+ * @param {Object} catalog
+ * @param {Array<Object>} catalog.products - products with stock (ProductContext)
+ * @param {Array<Object>} catalog.combos - combos with stock availability (ProductContext)
+ * @returns {{cart: Array<Object>, changes: Array<Object>}}
+ */
+export const revalidateCart = (cart = [], { products = [], combos = [] } = {}) => {
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const combosById = new Map(combos.map(combo => [combo.id, combo]));
+  const changes = [];
+  const nextCart = [];
+
+  cart.forEach((line) => {
+    const lineKey = getCartLineKey(line);
+    const combo = isCartCombo(line);
+    const catalogItem = combo ? combosById.get(line.id) : productsById.get(line.variantId || line.id);
+    const change = { lineKey, item: line };
+
+    if (!catalogItem || catalogItem.is_active === false) {
+      changes.push({ ...change, type: CART_CHANGE.UNAVAILABLE });
+      return;
+    }
+
+    const stock = catalogItem.stock;
+    if (stock !== undefined && stock !== null && stock <= 0) {
+      changes.push({ ...change, type: CART_CHANGE.OUT_OF_STOCK });
+      return;
+    }
+
+    const next = combo
+      ? { ...line }
+      : { ...line, ...catalogItem, variantId: line.variantId, parentProductId: line.parentProductId, variantLabel: line.variantLabel, image_url: catalogItem.image_url || line.image_url };
+    next.type = line.type;
+    next.quantity = line.quantity;
+    ['displayed_price', 'displayed_currency_id', 'displayed_currency_code'].forEach((key) => {
+      if (line[key] !== undefined) next[key] = line[key];
+    });
+
+    if (stock !== undefined && stock !== null && line.quantity > stock) {
+      changes.push({ ...change, type: CART_CHANGE.QUANTITY_REDUCED, oldQuantity: line.quantity, newQuantity: stock });
+      next.quantity = stock;
+    }
+
+    const newReference = currentReferencePrice(line, catalogItem, productsById);
+    const oldReference = line.reference_price ?? (combo ? null : roundPrice(line.final_price || line.base_price || 0));
+    if (oldReference !== null && oldReference !== newReference) {
+      const oldPrice = hasShownPrice(line) ? parseFloat(line.displayed_price) : oldReference;
+      const newPrice = oldReference > 0 ? roundPrice(oldPrice * newReference / oldReference) : newReference;
+      if (hasShownPrice(line)) next.displayed_price = newPrice;
+      changes.push({
+        ...change,
+        type: CART_CHANGE.PRICE_CHANGED,
+        oldPrice: roundPrice(oldPrice),
+        newPrice,
+        currencyCode: line.displayed_currency_code || null
+      });
+    }
+    next.reference_price = newReference;
+
+    nextCart.push(next);
+  });
+
+  return { cart: nextCart, changes };
+};
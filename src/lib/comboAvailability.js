@@ -0,0 +1,210 @@
+/**
+ * Combo Availability
+ * A combo has no stock of its own: its sellable quantity is the number of
+ * complete combos the component stock can fill. Admins may approve substitutes
+ * for a component (combo_item_substitutes), tried in priority order when the
+ * component itself runs short.
+ *
+ * Partial-substitution rule: a substitute with allow_partial can be mixed with
+ * the component (or other partial substitutes) inside one combo; without it,
+ * the substitute only replaces the component's full quantity in a combo
+ * (e.g. 2 kg of rice must all be the same brand).
+ *
+ * The same allocation is used to count availability and to resolve the
+ * products an order line reserves (order_items.combo_components), so what the
+ * store shows as available is what checkout can reserve.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+const toQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isFinite(quantity) && quantity > 0 ? Math.floor(quantity) : 0;
+};
+
+const getStock = (stock, productId) => Math.max(0, (stock instanceof Map ? stock.get(productId) : stock?.[productId]) || 0);
+
+const toStockMap = (stock) => (stock instanceof Map ? new Map(stock) : new Map(Object.entries(stock || {})));
+
+/**
+ * Components of a combo from combo_items rows and their substitutes
+ * @param {Array<Object>} items - combo_items rows ({ product_id, quantity })
+ * @param {Array<Object>} [substitutes] - combo_item_substitutes rows of the same combo
+ *   ({ product_id, substitute_product_id, priority, allow_partial })
+ * @returns {Array<{product_id: string, quantity: number, substitutes: Array<{product_id: string, allow_partial: boolean}>}>}
+ */
+export const buildComboComponents = (items = [], substitutes = []) => items
+  .filter(item => item.product_id && toQuantity(item.quantity) > 0)
+  .map(item => ({
+    product_id: item.product_id,
+    quantity: toQuantity(item.quantity),
+    substitutes: substitutes
+      .filter(sub => sub.product_id === item.product_id && sub.substitute_product_id !== item.product_id)
+      .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+      .map(sub => ({ product_id: sub.substitute_product_id, allow_partial: sub.allow_partial !== false }))
+  }));
+
+/**
+ * Fill one combo's worth of a component from stock (mutates stock)
+ * @returns {Array<{product_id: string, quantity: number}>|null} null if it cannot be filled
+ */
+const fillComponentUnit = (component, stock) => {
+  const need = component.quantity;
+  const candidates = [{ product_id: component.product_id, allow_partial: true }, ...(component.substitutes || [])];
+
+  // A single product that covers the whole quantity, in priority order
+  const whole = candidates.find(candidate => getStock(stock, candidate.product_id) >= need);
+  if (whole) {
+    stock.set(whole.product_id, getStock(stock, whole.product_id) - need);
+    return [{ product_id: whole.product_id, quantity: need }];
+  }
+
+  // Otherwise mix the component with substitutes that allow partial use
+  const mixable = candidates.filter(candidate => candidate.allow_partial);
+  const pooled = mixable.reduce((sum, candidate) => sum + getStock(stock, candidate.product_id), 0);
+  if (pooled < need) return null;
+
+  let remaining = need;
+  const taken = [];
+  mixable.forEach((candidate) => {
+    if (remaining <= 0) return;
+    const take = Math.min(remaining, getStock(stock, candidate.product_id));
+    if (take <= 0) return;
+    stock.set(candidate.product_id, getStock(stock, candidate.product_id) - take);
+    taken.push({ product_id: candidate.product_id, quantity: take });
+    remaining -= take;
+  });
+  return taken;
+};
+
+/**
+ * Fill one complete combo (all components) from stock
+ * Stock is only consumed if every component can be filled.
+ * @returns {Array<{product_id: string, component_id: string, quantity: number}>|null}
+ */
+const fillComboUnit = (components, stock) => {
+  const trial = new Map(stock);
+  const taken = [];
+  for (const component of components) {
+    const filled = fillComponentUnit(component, trial);
+    if (!filled) return null;
+    filled.forEach(entry => taken.push({ ...entry, component_id: component.product_id }));
+  }
+  trial.forEach((value, key) => stock.set(key, value));
+  return taken;
+};
+
+/**
+ * Sellable quantity of a combo: complete combos its component stock can fill
+ *
+ * @param {Array<Object>} components - buildComboComponents()
+ * @param {Map<string, number>|Object} stock - product_id → available units
+ * @returns {{available: number, limitingProductId: string|null, usesSubstitutes: boolean}}
+ *   limitingProductId = first component that cannot fill one more combo;
+ *   usesSubstitutes = the next combo sold needs a substitute
+ *
+ * @example
+ * getComboAvailability(
+ *   [{ product_id: 'rice', quantity: 2, substitutes: [{ product_id: 'rice-b', allow_partial: true }] }],
+ *   { rice: 3, 'rice-b': 4 }
+ * )
+ * // → { available: 3, limitingProductId: 'rice', usesSubstitutes: false }
+ */
+export const getComboAvailability = (components = [], stock = new Map()) => {
+  if (components.length === 0) {
+    return { available: 0, limitingProductId: null, usesSubstitutes: false };
+  }
+
+  // Without substitutes it is the plain minimum over the components
+  if (components.every(component => (component.substitutes || []).length === 0)) {
+    let limitingProductId = null;
+    const available = components.reduce((min, component) => {
+      const fits = Math.floor(getStock(stock, component.product_id) / component.quantity);
+      if (fits < min) limitingProductId = component.product_id;
+      return Math.min(min, fits);
+    }, Infinity);
+    return { available, limitingProductId, usesSubstitutes: false };
+  }
+
+  const remaining = toStockMap(stock);
+  let available = 0;
+  let usesSubstitutes = false;
+
+  for (;;) {
+    const taken = fillComboUnit(components, remaining);
+    if (!taken) break;
+    if (available === 0) usesSubstitutes = taken.some(entry => entry.product_id !== entry.component_id);
+    available += 1;
+  }
+
+  const limiting = components.find(component => !fillComponentUnit(component, new Map(remaining)));
+
+  return {
+    available,
+    limitingProductId: limiting?.product_id || null,
+    usesSubstitutes
+  };
+};
+
+/**
+ * Products an order line of `quantity` combos takes, with substitutes applied
+ * Units that cannot be filled stay on the component itself, so reserving them
+ * fails with INSUFFICIENT_STOCK for the real product.
+ *
+ * @param {Array<Object>} components - buildComboComponents()
+ * @param {number} quantity - Combos ordered
+ * @param {Map<string, number>} stock - product_id → available units (mutated)
+ * @returns {{components: Array<{product_id: string, quantity: number, substitute_for: string|null}>, shortfall: number}}
+ *   shortfall = combos that could not be filled
+ */
+export const resolveComboComponents = (components = [], quantity = 1, stock = new Map()) => {
+  const totals = new Map();
+  const add = (productId, componentId, units) => {
+    const key = `${productId}:${componentId}`;
+    const current = totals.get(key) || {
+      product_id: productId,
+      quantity: 0,
+      substitute_for: productId === componentId ? null : componentId
+    };
+    current.quantity += units;
+    totals.set(key, current);
+  };
+
+  let shortfall = 0;
+  for (let unit = 0; unit < toQuantity(quantity); unit += 1) {
+    const taken = fillComboUnit(components, stock);
+    if (taken) {
+      taken.forEach(entry => add(entry.product_id, entry.component_id, entry.quantity));
+    } else {
+      shortfall += 1;
+      components.forEach(component => add(component.product_id, component.product_id, component.quantity));
+    }
+  }
+
+  return { components: [...totals.values()], shortfall };
+};
+
+/**
+ * Resolve the combo lines of an order against live stock
+ * Product lines take their stock first; combo lines are then filled in order.
+ *
+ * @param {Array<Object>} items - createOrder input ({ itemType, itemId, quantity })
+ * @param {Map<string, Array>} comboComponents - combo_id → buildComboComponents()
+ * @param {Map<string, number>|Object} stock - product_id → available units
+ * @returns {Array<Array<Object>|null>} combo_components per item (null for non-combo lines)
+ */
+export const resolveOrderComboComponents = (items = [], comboComponents = new Map(), stock = new Map()) => {
+  const remaining = toStockMap(stock);
+
+  items.forEach((item) => {
+    if ((item.itemType || item.item_type) !== 'product') return;
+    const productId = item.itemId || item.item_id;
+    remaining.set(productId, getStock(remaining, productId) - toQuantity(item.quantity));
+  });
+
+  return items.map((item) => {
+    if ((item.itemType || item.item_type) !== 'combo') return null;
+    const components = comboComponents.get(item.itemId || item.item_id) || [];
+    return resolveComboComponents(components, item.quantity, remaining).components;
+  });
+};
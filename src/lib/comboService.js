@@ -36,7 +36,8 @@ const SAFE_DELETE_ORDER_STATUSES = [
  * Get all combos with their products
  * @param {boolean} includeInactive - If true, returns all combos (active and inactive). Default: false
  * @throws {AppError} If database query fails
- * @returns {Promise<Array>} Array of combos with items and product details
+ * @returns {Promise<Array>} Array of combos with items, product details and
+ *   approved component substitutes (combo_item_substitutes rows)
  */
 export const getCombos = async (includeInactive = false) => {
   try {
@@ -79,6 +80,28 @@ export const getCombos = async (includeInactive = false) => {
       // Don't fail - return combos without item details
     }
 
+    // Approved substitutes per component (catalog data; combos still load without them)
+    const { data: substitutesData, error: substitutesError } = await supabase
+      .from('combo_item_substitutes')
+      .select('combo_id, product_id, substitute_product_id, priority, allow_partial')
+      .in('combo_id', comboIds)
+      .order('priority', { ascending: true });
+
+    if (substitutesError) {
+      logError(parseSupabaseError(substitutesError), {
+        operation: 'getCombos - substitutes fetch',
+        comboCount: comboIds.length
+      });
+    }
+
+    const substitutesMap = {};
+    (substitutesData || []).forEach(row => {
+      if (!substitutesMap[row.combo_id]) {
+        substitutesMap[row.combo_id] = [];
+      }
+      substitutesMap[row.combo_id].push(row);
+    });
+
     // Create items map: combo_id -> array of items
     const itemsMap = {};
     (itemsData || []).forEach(item => {
@@ -94,7 +117,8 @@ export const getCombos = async (includeInactive = false) => {
     // Attach items to combos
     const combosWithItems = combosResult.data.map(combo => ({
       ...combo,
-      items: itemsMap[combo.id] || []
+      items: itemsMap[combo.id] || [],
+      substitutes: substitutesMap[combo.id] || []
     }));
 
     return combosWithItems;
@@ -294,6 +318,17 @@ export const updateCombo = async (comboId, comboData) => {
             // Don't fail combo update if items fail
           }
         }
+
+        // Substitutes of components that left the combo
+        const keptProductIds = comboData.productsWithQuantities.map(item => item.productId);
+        let staleSubstitutes = supabase
+          .from('combo_item_substitutes')
+          .delete()
+          .eq('combo_id', comboId);
+        if (keptProductIds.length > 0) {
+          staleSubstitutes = staleSubstitutes.not('product_id', 'in', `(${keptProductIds.join(',')})`);
+        }
+        await staleSubstitutes;
       } catch (itemsError) {
         // Don't fail combo update if items operation fails
         logError(itemsError, { operation: 'updateCombo - items operation', comboId });
@@ -351,6 +386,70 @@ export const setComboActiveState = async (comboId, isActive = true) => {
   }
 };
 
+/**
+ * Replace the approved substitutes of one combo component
+ * @param {string} comboId - Combo ID
+ * @param {string} productId - Component product ID
+ * @param {Array<{substituteProductId: string, allowPartial?: boolean}>} substitutes - In priority order
+ * @throws {AppError} If validation fails or database error
+ * @returns {Promise<Array>} Saved combo_item_substitutes rows
+ */
+export const saveComboSubstitutes = async (comboId, productId, substitutes = []) => {
+  try {
+    if (!comboId || !productId) {
+      throw createValidationError({
+        comboId: !comboId ? 'Combo ID is required' : undefined,
+        productId: !productId ? 'Component product ID is required' : undefined
+      });
+    }
+
+    const rows = substitutes
+      .filter(sub => sub.substituteProductId && sub.substituteProductId !== productId)
+      .map((sub, index) => ({
+        combo_id: comboId,
+        product_id: productId,
+        substitute_product_id: sub.substituteProductId,
+        priority: index,
+        allow_partial: sub.allowPartial !== false
+      }));
+
+    const { error: deleteError } = await supabase
+      .from('combo_item_substitutes')
+      .delete()
+      .eq('combo_id', comboId)
+      .eq('product_id', productId);
+
+    if (deleteError) {
+      const appError = parseSupabaseError(deleteError);
+      logError(appError, { operation: 'saveComboSubstitutes - delete', comboId, productId });
+      throw appError;
+    }
+
+    if (rows.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('combo_item_substitutes')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'saveComboSubstitutes - insert', comboId, productId });
+      throw appError;
+    }
+
+    return data || [];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, {
+      operation: 'saveComboSubstitutes',
+      comboId,
+      productId
+    });
+    throw appError;
+  }
+};
+
 /**
  * Find blocking orders for a combo
  * Returns orders in BLOCKING states (pending/processing)
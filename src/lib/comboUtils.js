@@ -149,6 +149,9 @@ export const computeComboPricing = ({
 
 /**
  * Check for stock issues in combo products
+ * A short component covered by its approved substitutes (combo.components,
+ * see comboAvailability) is reported as 'substituted' instead — the combo can
+ * still be sold, so callers should not treat it as blocking.
  * @param {object} combo - Combo object
  * @param {array} products - Available products
  * @param {string} language - Current language (es/en)
@@ -159,20 +162,38 @@ export const checkComboStockIssues = (combo, products = [], language = 'es') =>
 
   if (!combo.products) return issues;
 
+  const stockOf = (productId) => products.find(p => p.id === productId)?.stock || 0;
+
   combo.products.forEach(productId => {
     const product = products.find(p => p.id === productId);
     const requiredQuantity = combo.productQuantities?.[productId] || 1;
     const availableStock = product?.stock || 0;
     const productName = product?.name_es || product?.name || 'Unknown';
 
-    if (availableStock === 0) {
+    if (availableStock >= requiredQuantity) return;
+
+    // Approved substitutes that can make up the difference for one combo
+    const substitutes = combo.components?.find(component => component.product_id === productId)?.substitutes || [];
+    const covered = substitutes.some(sub => stockOf(sub.product_id) >= requiredQuantity)
+      || availableStock + substitutes
+        .filter(sub => sub.allow_partial)
+        .reduce((sum, sub) => sum + stockOf(sub.product_id), 0) >= requiredQuantity;
+
+    if (covered) {
+      issues.push({
+        productName,
+        issue: 'substituted',
+        required: requiredQuantity,
+        available: availableStock
+      });
+    } else if (availableStock === 0) {
       issues.push({
         productName,
         issue: 'out_of_stock',
         required: requiredQuantity,
         available: 0
       });
-    } else if (availableStock < requiredQuantity) {
+    } else {
       issues.push({
         productName,
         issue: 'insufficient',
@@ -74,8 +74,13 @@ export const USER_ROLES = {
   USER: 'user',
   ADMIN: 'admin',
   SUPER_ADMIN: 'super_admin',
+  COURIER: 'courier', // Mensajero: entrega remesas y pedidos asignados
 };
 
+// Clock used for commission windows and other business-hours rules,
+// whatever the browser's timezone (business_time_zone() in the database)
+export const BUSINESS_TIME_ZONE = 'America/Havana';
+
 // Currency Codes
 export const CURRENCY_CODES = {
   USD: 'USD',
@@ -0,0 +1,324 @@
+/**
+ * Courier Service
+ * Assignment of remittances and orders to couriers and their daily routes
+ * (admin side), and the courier's own delivery queue and delivery
+ * confirmation. See
+ * 20261019000016_courier_role.sql for the RLS that scopes couriers to their
+ * assignments.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  handleError,
+  logError,
+  createValidationError,
+  parseSupabaseError,
+  ERROR_CODES
+} from '@/lib/errorHandler';
+import { ORDER_STATUS, PAYMENT_STATUS, USER_ROLES } from '@/lib/constants';
+import { REMITTANCE_STATUS } from '@/lib/remittanceStateMachine';
+import {
+  confirmDelivery,
+  getDeliveryPinStatus,
+  verifyDeliveryPin,
+  DELIVERY_METHODS
+} from '@/lib/remittanceService';
+import { isDeliveryPinSatisfied } from '@/lib/deliveryPin';
+import { markOrderAsDelivered } from '@/lib/orderService';
+import { DELIVERY_KIND, toDeliveryStop } from '@/lib/deliveryQueue';
+import { isPlannableOrder, isPlannableRemittance } from '@/lib/routePlanning';
+
+export { DELIVERY_KIND };
+
+const DELIVERY_TABLES = {
+  [DELIVERY_KIND.REMITTANCE]: 'remittances',
+  [DELIVERY_KIND.ORDER]: 'orders'
+};
+
+const PROOF_BUCKETS = {
+  [DELIVERY_KIND.REMITTANCE]: 'remittance-delivery-proofs',
+  [DELIVERY_KIND.ORDER]: 'order-delivery-proofs'
+};
+
+const getCurrentUser = async () => {
+  const { data: { user }, error } = await supabase.auth.getUser();
+  if (error || !user) {
+    throw new Error('Not authenticated');
+  }
+  return user;
+};
+
+/**
+ * Enabled couriers, for the assignment selects (Admin)
+ * @throws {AppError} If the query fails
+ * @returns {Promise<Array<{id: string, full_name: string, email: string}>>}
+ */
+export const getCouriers = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, full_name, email')
+      .eq('role', USER_ROLES.COURIER)
+      .eq('is_enabled', true)
+      .order('full_name', { ascending: true });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'getCouriers' });
+      throw appError;
+    }
+
+    return data || [];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getCouriers' });
+    throw appError;
+  }
+};
+
+/**
+ * Assign (or unassign with null) the courier of a remittance or order (Admin)
+ * @param {string} kind - DELIVERY_KIND
+ * @param {string} id - remittance or order ID
+ * @param {string|null} courierId - courier user ID, or null to unassign
+ * @throws {AppError} If the update fails
+ * @returns {Promise<Object>} updated row
+ */
+export const assignCourier = async (kind, id, courierId) => {
+  try {
+    const table = DELIVERY_TABLES[kind];
+    if (!table || !id) {
+      throw createValidationError({ id: 'A remittance or order is required' });
+    }
+
+    const { data, error } = await supabase
+      .from(table)
+      .update({
+        assigned_courier_id: courierId || null,
+        courier_assigned_at: courierId ? new Date().toISOString() : null,
+        // A manual (re)assignment takes the stop off any planned route
+        route_date: null,
+        route_position: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'assignCourier', kind, id, courierId });
+      throw appError;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'assignCourier', kind, id });
+    throw appError;
+  }
+};
+
+/**
+ * Deliveries assigned to the current courier: remittances in processing and
+ * orders being prepared or dispatched, as delivery stops
+ * @throws {AppError} If a query fails
+ * @returns {Promise<Array<Object>>} stops (see deliveryQueue.toDeliveryStop)
+ */
+export const getMyDeliveryQueue = async () => {
+  try {
+    const user = await getCurrentUser();
+
+    const [remittancesResult, ordersResult] = await Promise.all([
+      supabase
+        .from('remittances')
+        .select('*, remittance_types(delivery_method)')
+        .eq('assigned_courier_id', user.id)
+        .eq('status', REMITTANCE_STATUS.PROCESSING),
+      supabase
+        .from('orders')
+        .select('*, order_items (*), shipping_zones (province_name, municipality_name), currencies (code)')
+        .eq('assigned_courier_id', user.id)
+        .in('status', [ORDER_STATUS.PROCESSING, ORDER_STATUS.DISPATCHED])
+    ]);
+
+    const failed = remittancesResult.error || ordersResult.error;
+    if (failed) {
+      const appError = parseSupabaseError(failed);
+      logError(appError, { operation: 'getMyDeliveryQueue' });
+      throw appError;
+    }
+
+    return [
+      ...(remittancesResult.data || []).map(row => toDeliveryStop(row, DELIVERY_KIND.REMITTANCE)),
+      ...(ordersResult.data || []).map(row => toDeliveryStop(row, DELIVERY_KIND.ORDER))
+    ];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getMyDeliveryQueue' });
+    throw appError;
+  }
+};
+
+/**
+ * Everything the dispatch planner can route (Admin): validated orders not yet
+ * delivered and cash remittances validated or in processing, as delivery
+ * stops (with courierId, routeDate and routePosition)
+ * @throws {AppError} If a query fails
+ * @returns {Promise<Array<Object>>} stops (see deliveryQueue.toDeliveryStop)
+ */
+export const getDispatchCandidates = async () => {
+  try {
+    const [remittancesResult, ordersResult] = await Promise.all([
+      supabase
+        .from('remittances')
+        .select('*, remittance_types(delivery_method)')
+        .in('status', [REMITTANCE_STATUS.PAYMENT_VALIDATED, REMITTANCE_STATUS.PROCESSING]),
+      supabase
+        .from('orders')
+        .select('*, order_items (*), shipping_zones (province_name, municipality_name), currencies (code)')
+        .eq('payment_status', PAYMENT_STATUS.VALIDATED)
+        .in('status', [ORDER_STATUS.PROCESSING, ORDER_STATUS.DISPATCHED])
+    ]);
+
+    const failed = remittancesResult.error || ordersResult.error;
+    if (failed) {
+      const appError = parseSupabaseError(failed);
+      logError(appError, { operation: 'getDispatchCandidates' });
+      throw appError;
+    }
+
+    return [
+      ...(remittancesResult.data || [])
+        .filter(isPlannableRemittance)
+        .map(row => toDeliveryStop(row, DELIVERY_KIND.REMITTANCE)),
+      ...(ordersResult.data || [])
+        .filter(isPlannableOrder)
+        .map(row => toDeliveryStop(row, DELIVERY_KIND.ORDER))
+    ];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getDispatchCandidates' });
+    throw appError;
+  }
+};
+
+/**
+ * Save one courier's route for a day (Admin)
+ * Assigns every stop to the courier with its position; stops of that courier
+ * and day left out lose their position. See save_delivery_route in
+ * 20261019000017_delivery_routes.sql.
+ * @param {string} courierId
+ * @param {string} routeDate - YYYY-MM-DD
+ * @param {Array<Object>} stops - in delivery order (kind, id)
+ * @throws {AppError} If the input is invalid or the RPC fails
+ * @returns {Promise<number>} number of stops saved
+ */
+export const saveDeliveryRoute = async (courierId, routeDate, stops = []) => {
+  try {
+    if (!courierId || !routeDate) {
+      throw createValidationError({
+        courierId: !courierId ? 'A courier is required' : undefined,
+        routeDate: !routeDate ? 'A route date is required' : undefined
+      }, 'A courier and a route date are required');
+    }
+
+    const { data, error } = await supabase.rpc('save_delivery_route', {
+      p_courier_id: courierId,
+      p_route_date: routeDate,
+      p_stops: stops.map(stop => ({ kind: stop.kind, id: stop.id }))
+    });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'saveDeliveryRoute', courierId, routeDate });
+      throw appError;
+    }
+
+    return data ?? 0;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'saveDeliveryRoute', courierId, routeDate });
+    throw appError;
+  }
+};
+
+const uploadDeliveryFile = async (kind, userId, stopId, file, name) => {
+  const fileExt = (file.name || '').split('.').pop() || 'png';
+  // {courier_id}/{remittance_or_order_id}/... (storage policy for couriers)
+  const filePath = `${userId}/${stopId}/${name}-${Date.now()}.${fileExt}`;
+
+  const { error } = await supabase.storage
+    .from(PROOF_BUCKETS[kind])
+    .upload(filePath, file, { upsert: false });
+
+  if (error) {
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'uploadDeliveryFile', kind, filePath });
+    throw appError;
+  }
+
+  return filePath;
+};
+
+/**
+ * Record a delivery made by the courier
+ * Checks the recipient's PIN of cash remittances, uploads the signature (and,
+ * for remittances, the photo), then runs the regular delivery transition so
+ * status checks, notifications and activity logs are the same as when an
+ * admin confirms it.
+ *
+ * @param {Object} stop - delivery stop (kind, id, deliveryMethod)
+ * @param {Object} delivery
+ * @param {File} delivery.photoFile - delivery proof photo
+ * @param {File|Blob} delivery.signatureFile - recipient signature (PNG)
+ * @param {string} [delivery.notes]
+ * @param {string} [delivery.pin] - recipient's delivery PIN (cash remittances)
+ * @throws {AppError} If the photo or signature is missing, the PIN is wrong or locked, or any step fails
+ * @returns {Promise<Object>} updated remittance or order
+ */
+export const confirmCourierDelivery = async (stop, { photoFile, signatureFile, notes = '', pin = '' } = {}) => {
+  try {
+    if (!photoFile || !signatureFile) {
+      throw createValidationError({
+        photoFile: !photoFile ? 'Delivery photo is required' : undefined,
+        signatureFile: !signatureFile ? 'Recipient signature is required' : undefined
+      }, 'Delivery photo and recipient signature are required');
+    }
+
+    // PIN first, so nothing is uploaded for a delivery that cannot be confirmed
+    if (stop.kind === DELIVERY_KIND.REMITTANCE && stop.deliveryMethod === DELIVERY_METHODS.CASH) {
+      const pinStatus = await getDeliveryPinStatus(stop.id);
+      if (!isDeliveryPinSatisfied(pinStatus)) {
+        await verifyDeliveryPin(stop.id, pin);
+      }
+    }
+
+    const user = await getCurrentUser();
+    const signatureUrl = await uploadDeliveryFile(stop.kind, user.id, stop.id, signatureFile, 'signature');
+
+    const columns = { delivery_signature_url: signatureUrl };
+    if (stop.kind === DELIVERY_KIND.REMITTANCE) {
+      columns.delivery_proof_url = await uploadDeliveryFile(stop.kind, user.id, stop.id, photoFile, 'delivery-proof');
+    }
+
+    const { error } = await supabase
+      .from(DELIVERY_TABLES[stop.kind])
+      .update(columns)
+      .eq('id', stop.id);
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'confirmCourierDelivery - attach', kind: stop.kind, id: stop.id });
+      throw appError;
+    }
+
+    return stop.kind === DELIVERY_KIND.REMITTANCE
+      ? await confirmDelivery(stop.id, null, notes)
+      : await markOrderAsDelivered(stop.id, photoFile, user.id);
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'confirmCourierDelivery', id: stop?.id });
+    throw appError;
+  }
+};
@@ -8,6 +8,14 @@ import {
   ERROR_CODES,
   isSchemaMissingError
 } from './errorHandler';
+import {
+  RATE_PROVIDER_IDS,
+  createCircuitBreaker,
+  getRateProviders,
+  getRateProviderBreaker,
+  mergeProviderRates
+} from './exchangeRateProviders';
+import { normalizeEffectiveFrom, selectCurrentRates, selectScheduledRates } from './exchangeRateSchedule';
 
 const OFFICIAL_RATE_FALLBACKS = {
   USD: 1,
@@ -15,32 +23,12 @@ const OFFICIAL_RATE_FALLBACKS = {
   CUP: 0.041
 };
 
-const OFFICIAL_RATES_STORAGE_KEY = 'officialRatesUnavailable';
-const isBrowser = typeof window !== 'undefined';
 const officialRatesDisabledByEnv = typeof import.meta !== 'undefined' && import.meta.env?.VITE_DISABLE_OFFICIAL_RATES === 'true';
 
-const getPersistedOfficialRatesUnavailable = () => {
-  if (!isBrowser) return false;
-  try {
-    return window.localStorage.getItem(OFFICIAL_RATES_STORAGE_KEY) === 'true';
-  } catch (error) {
-    console.warn('[currencyService] Unable to read official rates availability from storage:', error);
-    return false;
-  }
-};
-
-const markOfficialRatesUnavailable = () => {
-  officialRatesUnavailable = true;
-  if (!isBrowser) return;
-  try {
-    window.localStorage.setItem(OFFICIAL_RATES_STORAGE_KEY, 'true');
-  } catch (error) {
-    console.warn('[currencyService] Unable to persist official rates availability flag:', error);
-  }
-};
-
-// Circuit breaker to avoid spamming Supabase when the table/columns are missing
-let officialRatesUnavailable = officialRatesDisabledByEnv || getPersistedOfficialRatesUnavailable();
+// Circuit breaker to avoid spamming Supabase when the table/columns are missing.
+// Opens on the first schema error and retries after the cooldown.
+const officialRatesTableBreaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10 * 60 * 1000 });
+const isOfficialRatesTableUnavailable = () => officialRatesDisabledByEnv || officialRatesTableBreaker.isOpen();
 
 /**
  * Currency Service - Manages currency CRUD operations and rate conversions
@@ -286,22 +274,24 @@ export const deleteCurrency = async (currencyId) => {
 };
 
 /**
- * Get conversion rate between two currencies using IDs
+ * Get conversion rate between two currencies using IDs, with the rate row used
  * CONVERSION HIERARCHY:
- * 1. Check exchange_rates table (defined/API rates)
+ * 1. Check exchange_rates table (defined/API rates) - latest row already in effect
  * 2. If not found, check official_currency_rates (fallback)
  * 3. If not found, throw SERVICE_UNAVAILABLE error
  *
  * @param {string} fromCurrencyId - Source currency UUID
  * @param {string} toCurrencyId - Target currency UUID
- * @returns {Promise<number>} Conversion rate (amount in fromCurrency * rate = amount in toCurrency)
+ * @param {Object} options - at (Date, defaults to now)
+ * @returns {Promise<{rate: number, rateId: string|null, source: 'same'|'direct'|'inverse'|'official'}>}
+ *   rateId is the exchange_rates row the rate came from (null for same/official)
  * @throws {AppError} NOT_FOUND if currencies not found, SERVICE_UNAVAILABLE if rates unavailable
  */
-export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
+export const getConversionRateDetails = async (fromCurrencyId, toCurrencyId, { at = new Date() } = {}) => {
   try {
     // Same currency = 1:1 rate
     if (fromCurrencyId === toCurrencyId) {
-      return 1;
+      return { rate: 1, rateId: null, source: 'same' };
     }
 
     if (!fromCurrencyId || !toCurrencyId) {
@@ -311,14 +301,17 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
       }, 'Missing currency IDs');
     }
 
-    // 1. Try to get defined rate
+    const atIso = at.toISOString();
+
+    // 1. Try to get defined rate (scheduled rows that have not started are ignored)
     const { data: rateData, error: rateError } = await supabase
       .from('exchange_rates')
-      .select('rate')
+      .select('id, rate')
       .eq('from_currency_id', fromCurrencyId)
       .eq('to_currency_id', toCurrencyId)
       .eq('is_active', true)
-      .order('effective_date', { ascending: false })
+      .lte('effective_from', atIso)
+      .order('effective_from', { ascending: false })
       .limit(1)
       .maybeSingle();
 
@@ -327,17 +320,18 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
     }
 
     if (rateData && rateData.rate) {
-      return parseFloat(rateData.rate);
+      return { rate: parseFloat(rateData.rate), rateId: rateData.id, source: 'direct' };
     }
 
     // 2. Fallback: Try inverse rate
     const { data: inverseRateData, error: invError } = await supabase
       .from('exchange_rates')
-      .select('rate')
+      .select('id, rate')
       .eq('from_currency_id', toCurrencyId)
       .eq('to_currency_id', fromCurrencyId)
       .eq('is_active', true)
-      .order('effective_date', { ascending: false })
+      .lte('effective_from', atIso)
+      .order('effective_from', { ascending: false })
       .limit(1)
       .maybeSingle();
 
@@ -346,7 +340,7 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
     }
 
     if (inverseRateData && inverseRateData.rate) {
-      return 1 / parseFloat(inverseRateData.rate);
+      return { rate: 1 / parseFloat(inverseRateData.rate), rateId: inverseRateData.id, source: 'inverse' };
     }
 
     // 3. Fallback: Official currency rates (table or static defaults)
@@ -368,7 +362,7 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
 
     const fetchOfficialRate = async (currencyCode) => {
       try {
-        if (officialRatesUnavailable) {
+        if (isOfficialRatesTableUnavailable()) {
           return OFFICIAL_RATE_FALLBACKS[currencyCode] ?? null;
         }
 
@@ -387,12 +381,14 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
               ['42P01', 'PGRST116', 'PGRST204', '42703', 404, '404'].includes(supabaseCode) ||
               error?.status === 404 ||
               parsed?.context?.originalError?.status === 404) {
-            markOfficialRatesUnavailable();
+            officialRatesTableBreaker.recordFailure();
             return OFFICIAL_RATE_FALLBACKS[currencyCode] ?? null;
           }
           throw parsed;
         }
 
+        officialRatesTableBreaker.recordSuccess();
+
         if (data?.rate_to_usd !== undefined && data?.rate_to_usd !== null) {
           return parseFloat(data.rate_to_usd);
         }
@@ -401,7 +397,7 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
       } catch (rateError) {
         logError(rateError, { operation: 'getConversionRate - officialRateFallback', currency: currencyCode });
         if (isSchemaMissingError(rateError) || rateError?.status === 404) {
-          markOfficialRatesUnavailable();
+          officialRatesTableBreaker.recordFailure();
         }
         return OFFICIAL_RATE_FALLBACKS[currencyCode] ?? null;
       }
@@ -412,7 +408,7 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
 
     if (fromRate !== null && fromRate !== undefined && toRate !== null && toRate !== undefined) {
       // Calculate: (1 from_currency = X USD) / (1 to_currency = Y USD) = conversion rate
-      return fromRate / toRate;
+      return { rate: fromRate / toRate, rateId: null, source: 'official' };
     }
 
     throw new Error(`Official rates not found for ${fromCurr.code} or ${toCurr.code}`);
@@ -429,6 +425,20 @@ export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
   }
 };
 
+/**
+ * Get conversion rate between two currencies using IDs
+ * See getConversionRateDetails for the lookup order.
+ *
+ * @param {string} fromCurrencyId - Source currency UUID
+ * @param {string} toCurrencyId - Target currency UUID
+ * @returns {Promise<number>} Conversion rate (amount in fromCurrency * rate = amount in toCurrency)
+ * @throws {AppError} NOT_FOUND if currencies not found, SERVICE_UNAVAILABLE if rates unavailable
+ */
+export const getConversionRate = async (fromCurrencyId, toCurrencyId) => {
+  const { rate } = await getConversionRateDetails(fromCurrencyId, toCurrencyId);
+  return rate;
+};
+
 /**
  * Convert price from one currency to another
  * General, reusable conversion utility across entire system
@@ -519,19 +529,18 @@ export const getAllConversionRates = async (fromCurrencyId) => {
 };
 
 /**
- * Get exchange rate between two currencies using currency codes
- * (Wrapper for backward compatibility - uses getConversionRate internally)
+ * Get exchange rate between two currencies using currency codes, with the rate row used
  *
  * @param {string} fromCurrencyCode - Source currency code (USD, EUR, etc.)
  * @param {string} toCurrencyCode - Target currency code
- * @returns {Promise<number>} Conversion rate
+ * @returns {Promise<{rate: number, rateId: string|null, source: string}>} See getConversionRateDetails
  * @throws {AppError} NOT_FOUND if currencies not found, SERVICE_UNAVAILABLE if rates unavailable
  */
-export const getExchangeRate = async (fromCurrencyCode, toCurrencyCode) => {
+export const getExchangeRateDetails = async (fromCurrencyCode, toCurrencyCode) => {
   try {
     // Same currency = 1:1 rate
     if (fromCurrencyCode === toCurrencyCode) {
-      return 1;
+      return { rate: 1, rateId: null, source: 'same' };
     }
 
     if (!fromCurrencyCode || !toCurrencyCode) {
@@ -559,7 +568,7 @@ export const getExchangeRate = async (fromCurrencyCode, toCurrencyCode) => {
     const fromCurrency = currencies.find(c => c.code === fromCurrencyCode);
     const toCurrency = currencies.find(c => c.code === toCurrencyCode);
 
-    return await getConversionRate(fromCurrency.id, toCurrency.id);
+    return await getConversionRateDetails(fromCurrency.id, toCurrency.id);
 
   } catch (error) {
     if (error.code) throw error;
@@ -573,6 +582,20 @@ export const getExchangeRate = async (fromCurrencyCode, toCurrencyCode) => {
   }
 };
 
+/**
+ * Get exchange rate between two currencies using currency codes
+ * (Wrapper for backward compatibility - uses getExchangeRateDetails internally)
+ *
+ * @param {string} fromCurrencyCode - Source currency code (USD, EUR, etc.)
+ * @param {string} toCurrencyCode - Target currency code
+ * @returns {Promise<number>} Conversion rate
+ * @throws {AppError} NOT_FOUND if currencies not found, SERVICE_UNAVAILABLE if rates unavailable
+ */
+export const getExchangeRate = async (fromCurrencyCode, toCurrencyCode) => {
+  const { rate } = await getExchangeRateDetails(fromCurrencyCode, toCurrencyCode);
+  return rate;
+};
+
 /**
  * Convert amount from one currency to another (using currency codes)
  * (Wrapper for backward compatibility - uses convertPrice internally)
@@ -606,35 +629,92 @@ export const convertCurrency = async (amount, fromCurrencyCode, toCurrencyCode)
   }
 };
 
+// ============================================================================
+// OFFICIAL / MARKET RATES - provider chain + history (exchange_rate_history)
+// ============================================================================
+
+/**
+ * Store one provider fetch as a history row (graceful fallback if it fails)
+ * @param {Object} entry - provider, rates, status, error, retrievedAt
+ */
+const recordRateHistory = async ({ provider, rates = {}, status = 'ok', error = null, retrievedAt = null }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    const { error: insertError } = await supabase
+      .from('exchange_rate_history')
+      .insert([{
+        provider,
+        base_currency: 'USD',
+        rates,
+        status,
+        error_message: error,
+        retrieved_at: retrievedAt,
+        fetched_by: user?.id || null
+      }]);
+
+    if (insertError) {
+      throw parseSupabaseError(insertError);
+    }
+  } catch (historyError) {
+    logError(historyError, { operation: 'recordRateHistory', provider });
+  }
+};
+
 /**
- * Fetch official exchange rates from exchangerate-api.com
- * Returns rates relative to USD (as fallback for missing defined rates)
+ * Fetch official/market exchange rates from the registered providers
+ * Providers are tried in priority order (see exchangeRateProviders.js); the
+ * first provider reporting a currency wins and later ones fill the gaps, so
+ * CUP comes from the manual source or open.er-api even though
+ * exchangerate-api.com does not list it. Providers whose circuit breaker is
+ * open are skipped. Every attempt is stored in exchange_rate_history.
  *
- * @returns {Promise<Object>} Map of {currencyCode: rateToUSD}
- * @throws {AppError} NETWORK_ERROR if API call fails
+ * @param {Object} options
+ * @param {Array<Object>} [options.providers] - Providers to use (defaults to the registry)
+ * @param {boolean} [options.persist=true] - Store history rows
+ * @returns {Promise<{rates: Object, sources: Object, providers: Array, fetchedAt: string}>}
+ *   rates: units per USD by currency code; sources: provider id per currency;
+ *   providers: { id, label, status: 'ok'|'error'|'skipped', error, retrievedAt }
+ * @throws {AppError} NETWORK_ERROR if no provider returned rates
  */
-export const fetchOfficialRates = async () => {
+export const fetchOfficialRates = async ({ providers = getRateProviders(), persist = true } = {}) => {
   try {
-    const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
+    const results = [];
+    const report = [];
+
+    for (const provider of providers) {
+      const breaker = getRateProviderBreaker(provider.id);
+      if (breaker?.isOpen()) {
+        report.push({ id: provider.id, label: provider.label, status: 'skipped', error: null, retrievedAt: null });
+        continue;
+      }
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch exchange rates from API');
+      try {
+        const { rates, retrievedAt } = await provider.fetchRates();
+        breaker?.recordSuccess();
+        results.push({ provider: provider.id, rates });
+        report.push({ id: provider.id, label: provider.label, status: 'ok', error: null, retrievedAt });
+        if (persist && Object.keys(rates || {}).length > 0 && provider.id !== RATE_PROVIDER_IDS.MANUAL_CUP) {
+          await recordRateHistory({ provider: provider.id, rates, retrievedAt });
+        }
+      } catch (providerError) {
+        breaker?.recordFailure();
+        logError(providerError, { operation: 'fetchOfficialRates - provider', provider: provider.id });
+        report.push({ id: provider.id, label: provider.label, status: 'error', error: providerError.message, retrievedAt: null });
+        if (persist) {
+          await recordRateHistory({ provider: provider.id, status: 'error', error: providerError.message });
+        }
+      }
     }
 
-    const data = await response.json();
+    const { rates, sources } = mergeProviderRates(results);
 
-    // Return rates for common currencies
-    const rates = {
-      EUR: data.rates.EUR || 1,
-      GBP: data.rates.GBP || 1,
-      CAD: data.rates.CAD || 1,
-      MXN: data.rates.MXN || 1,
-      USD: 1,
-      // Note: CUP might not be in API, will need manual input
-    };
+    if (Object.keys(rates).length === 0) {
+      throw new Error('No exchange rate provider returned rates');
+    }
 
-    return rates;
+    return { rates, sources, providers: report, fetchedAt: new Date().toISOString() };
   } catch (error) {
+    if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.NETWORK_ERROR, {
       operation: 'fetchOfficialRates'
     });
@@ -644,26 +724,169 @@ export const fetchOfficialRates = async () => {
 };
 
 /**
- * Get all exchange rates (ADMIN VIEW)
+ * Record the manual/informal CUP rate (ADMIN ONLY)
+ * Read back by the manual-cup provider on the next fetchOfficialRates.
+ *
+ * @param {number} cupPerUsd - CUP per 1 USD
+ * @returns {Promise<boolean>} True if stored
+ * @throws {AppError} VALIDATION_FAILED if the rate is invalid, DB_ERROR on failure
+ */
+export const recordManualCupRate = async (cupPerUsd) => {
+  try {
+    const rate = parseFloat(cupPerUsd);
+    if (!(rate > 0)) {
+      throw createValidationError({ rate: 'Rate must be greater than 0' }, 'Invalid rate');
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    const { error } = await supabase
+      .from('exchange_rate_history')
+      .insert([{
+        provider: RATE_PROVIDER_IDS.MANUAL_CUP,
+        base_currency: 'USD',
+        rates: { CUP: rate },
+        status: 'ok',
+        retrieved_at: new Date().toISOString(),
+        fetched_by: user?.id || null
+      }]);
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    return true;
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'recordManualCupRate' });
+    logError(appError, { operation: 'recordManualCupRate' });
+    throw appError;
+  }
+};
+
+/**
+ * Get stored provider fetches, newest first (ADMIN VIEW)
+ * @param {Object} filters - provider (id), limit (default 50)
+ * @returns {Promise<Array>} exchange_rate_history rows
+ * @throws {AppError} DB_ERROR if query fails
+ */
+export const getExchangeRateHistory = async ({ provider = null, limit = 50 } = {}) => {
+  try {
+    let query = supabase
+      .from('exchange_rate_history')
+      .select('*')
+      .order('fetched_at', { ascending: false })
+      .limit(limit);
+
+    if (provider) {
+      query = query.eq('provider', provider);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    return data || [];
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getExchangeRateHistory' });
+    logError(appError, { operation: 'getExchangeRateHistory' });
+    throw appError;
+  }
+};
+
+const EXCHANGE_RATE_SELECT = `
+  id,
+  rate,
+  effective_date,
+  effective_from,
+  is_active,
+  created_at,
+  from_currency_id,
+  to_currency_id,
+  from_currency:from_currency_id(id, code, name_es, name_en, symbol),
+  to_currency:to_currency_id(id, code, name_es, name_en, symbol)
+`;
+
+/**
+ * Active exchange_rates rows, newest start first (current, superseded and scheduled)
+ * @returns {Promise<Array>}
+ */
+const fetchActiveExchangeRateRows = async () => {
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .select(EXCHANGE_RATE_SELECT)
+    .eq('is_active', true)
+    .order('effective_from', { ascending: false });
+
+  if (error) {
+    throw parseSupabaseError(error);
+  }
+
+  return data || [];
+};
+
+/**
+ * Get all exchange rates currently in effect (ADMIN VIEW)
+ * One row per direction; superseded and scheduled rows are left out
+ * (see getScheduledExchangeRates / getExchangeRatePairHistory).
  * @returns {Promise<Array>} Array of exchange rate objects with related currencies
  * @throws {AppError} DB_ERROR if query fails
  */
 export const getAllExchangeRates = async () => {
   try {
+    const rows = await fetchActiveExchangeRateRows();
+    return selectCurrentRates(rows);
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getAllExchangeRates' });
+    logError(appError, { operation: 'getAllExchangeRates' });
+    throw appError;
+  }
+};
+
+/**
+ * Get exchange rates scheduled to start in the future (ADMIN VIEW)
+ * @returns {Promise<Array>} Rows ordered by effective_from, soonest first
+ * @throws {AppError} DB_ERROR if query fails
+ */
+export const getScheduledExchangeRates = async () => {
+  try {
+    const rows = await fetchActiveExchangeRateRows();
+    return selectScheduledRates(rows);
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getScheduledExchangeRates' });
+    logError(appError, { operation: 'getScheduledExchangeRates' });
+    throw appError;
+  }
+};
+
+/**
+ * Get every rate ever set for a pair, both directions, including deleted ones (ADMIN VIEW)
+ * @param {string} fromCurrencyId - From currency UUID
+ * @param {string} toCurrencyId - To currency UUID
+ * @returns {Promise<Array>} Rows ordered by effective_from, oldest first
+ * @throws {AppError} VALIDATION_FAILED if IDs missing, DB_ERROR if query fails
+ */
+export const getExchangeRatePairHistory = async (fromCurrencyId, toCurrencyId) => {
+  try {
+    if (!fromCurrencyId || !toCurrencyId) {
+      throw createValidationError({
+        fromCurrencyId: !fromCurrencyId ? 'From currency ID required' : null,
+        toCurrencyId: !toCurrencyId ? 'To currency ID required' : null
+      }, 'Missing currency IDs');
+    }
+
     const { data, error } = await supabase
       .from('exchange_rates')
-      .select(`
-        id,
-        rate,
-        effective_date,
-        is_active,
-        from_currency_id,
-        to_currency_id,
-        from_currency:from_currency_id(id, code, name_es, name_en, symbol),
-        to_currency:to_currency_id(id, code, name_es, name_en, symbol)
-      `)
-      .eq('is_active', true)
-      .order('effective_date', { ascending: false });
+      .select(EXCHANGE_RATE_SELECT)
+      .or(
+        `and(from_currency_id.eq.${fromCurrencyId},to_currency_id.eq.${toCurrencyId}),` +
+        `and(from_currency_id.eq.${toCurrencyId},to_currency_id.eq.${fromCurrencyId})`
+      )
+      .order('effective_from', { ascending: true });
 
     if (error) {
       throw parseSupabaseError(error);
@@ -672,19 +895,26 @@ export const getAllExchangeRates = async () => {
     return data || [];
   } catch (error) {
     if (error.code) throw error;
-    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getAllExchangeRates' });
-    logError(appError, { operation: 'getAllExchangeRates' });
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, {
+      operation: 'getExchangeRatePairHistory',
+      fromCurrencyId,
+      toCurrencyId
+    });
+    logError(appError, { operation: 'getExchangeRatePairHistory', fromCurrencyId, toCurrencyId });
     throw appError;
   }
 };
 
 /**
- * Create or update exchange rate (ADMIN ONLY)
+ * Create exchange rate (ADMIN ONLY)
+ * Inserts a new row starting at effectiveFrom; earlier rows stay as history.
+ * Saving again with the same start replaces that row.
  * @param {Object} rateData - Exchange rate data
  * @param {string} rateData.fromCurrencyId - Source currency UUID
  * @param {string} rateData.toCurrencyId - Target currency UUID
  * @param {number} rateData.rate - Exchange rate value
- * @param {string} [rateData.effectiveDate] - Effective date (defaults to today)
+ * @param {string} [rateData.effectiveFrom] - Start (date or datetime; defaults to now; future = scheduled)
+ * @param {string} [rateData.effectiveDate] - Legacy alias of effectiveFrom
  * @returns {Promise<Object>} Created or updated exchange rate object
  * @throws {AppError} VALIDATION_FAILED if required fields missing, DB_ERROR on failure
  */
@@ -703,16 +933,21 @@ export const saveExchangeRate = async (rateData) => {
       throw createValidationError({ rate: 'Rate must be a valid number' }, 'Invalid rate format');
     }
 
+    const effectiveFrom = normalizeEffectiveFrom(rateData.effectiveFrom || rateData.effectiveDate);
+    const { data: { user } } = await supabase.auth.getUser();
+
     const { data, error } = await supabase
       .from('exchange_rates')
       .upsert({
         from_currency_id: rateData.fromCurrencyId,
         to_currency_id: rateData.toCurrencyId,
         rate: parseFloat(rateData.rate),
-        effective_date: rateData.effectiveDate || new Date().toISOString().split('T')[0],
+        effective_from: effectiveFrom,
+        effective_date: effectiveFrom.split('T')[0],
+        created_by: user?.id || null,
         is_active: true
       }, {
-        onConflict: 'from_currency_id,to_currency_id,effective_date'
+        onConflict: 'from_currency_id,to_currency_id,effective_from'
       })
       .select()
       .single();
@@ -772,15 +1007,19 @@ export const deleteExchangeRate = async (rateId) => {
 };
 
 /**
- * Update exchange rate pair - updates both direct and inverse rate (ADMIN ONLY)
+ * Set a new rate for a pair - direct and inverse (ADMIN ONLY)
+ * The current rows are not overwritten: two new rows start at effectiveFrom,
+ * so past orders/remittances keep pointing at the rate they used. A future
+ * effectiveFrom schedules the change; it applies automatically at that time.
+ *
  * @param {string} fromCurrencyId - From currency UUID
  * @param {string} toCurrencyId - To currency UUID
  * @param {number} newRate - New exchange rate value (for direct rate, inverse is calculated)
- * @param {string} [effectiveDate] - Effective date (defaults to today)
- * @returns {Promise<{updatedCount: number}>} Number of rates updated
- * @throws {AppError} DB_ERROR on failure
+ * @param {string} [effectiveFrom] - Start (date or datetime; defaults to now)
+ * @returns {Promise<{createdCount: number, effectiveFrom: string, scheduled: boolean}>}
+ * @throws {AppError} VALIDATION_FAILED on invalid input, DB_ERROR on failure
  */
-export const updateExchangeRatePair = async (fromCurrencyId, toCurrencyId, newRate, effectiveDate) => {
+export const updateExchangeRatePair = async (fromCurrencyId, toCurrencyId, newRate, effectiveFrom) => {
   try {
     if (!fromCurrencyId || !toCurrencyId) {
       throw createValidationError({
@@ -789,47 +1028,77 @@ export const updateExchangeRatePair = async (fromCurrencyId, toCurrencyId, newRa
       }, 'Missing currency IDs');
     }
 
-    if (newRate === null || newRate === undefined || isNaN(parseFloat(newRate))) {
+    const rate = parseFloat(newRate);
+    if (!(rate > 0)) {
       throw createValidationError({ rate: 'Valid rate value required' }, 'Invalid rate');
     }
 
-    const rate = parseFloat(newRate);
-    const inverseRate = 1 / rate;
-    const effDate = effectiveDate || new Date().toISOString().split('T')[0];
+    const start = normalizeEffectiveFrom(effectiveFrom);
 
-    // Update direct rate (from→to)
-    const { error: directError } = await supabase
-      .from('exchange_rates')
-      .update({ rate: rate, effective_date: effDate })
-      .eq('from_currency_id', fromCurrencyId)
-      .eq('to_currency_id', toCurrencyId)
-      .eq('is_active', true);
+    await saveExchangeRate({ fromCurrencyId, toCurrencyId, rate, effectiveFrom: start });
+    await saveExchangeRate({ fromCurrencyId: toCurrencyId, toCurrencyId: fromCurrencyId, rate: 1 / rate, effectiveFrom: start });
+
+    return {
+      createdCount: 2,
+      effectiveFrom: start,
+      scheduled: new Date(start).getTime() > Date.now()
+    };
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, {
+      operation: 'updateExchangeRatePair',
+      fromCurrencyId,
+      toCurrencyId
+    });
+    logError(appError, { operation: 'updateExchangeRatePair', fromCurrencyId, toCurrencyId });
+    throw appError;
+  }
+};
 
-    if (directError) {
-      throw parseSupabaseError(directError);
+/**
+ * Cancel a scheduled rate change for a pair - both directions (ADMIN ONLY)
+ * Only rows that have not started yet are affected.
+ * @param {string} fromCurrencyId - From currency UUID
+ * @param {string} toCurrencyId - To currency UUID
+ * @param {string} effectiveFrom - Start of the scheduled change (ISO)
+ * @returns {Promise<{cancelledCount: number}>}
+ * @throws {AppError} DB_ERROR on failure
+ */
+export const cancelScheduledExchangeRatePair = async (fromCurrencyId, toCurrencyId, effectiveFrom) => {
+  try {
+    if (!fromCurrencyId || !toCurrencyId || !effectiveFrom) {
+      throw createValidationError({
+        fromCurrencyId: !fromCurrencyId ? 'From currency ID required' : null,
+        toCurrencyId: !toCurrencyId ? 'To currency ID required' : null,
+        effectiveFrom: !effectiveFrom ? 'Effective date required' : null
+      }, 'Missing scheduled rate data');
     }
 
-    // Update inverse rate (to→from)
-    const { error: inverseError } = await supabase
+    const { data, error } = await supabase
       .from('exchange_rates')
-      .update({ rate: inverseRate, effective_date: effDate })
-      .eq('from_currency_id', toCurrencyId)
-      .eq('to_currency_id', fromCurrencyId)
-      .eq('is_active', true);
+      .update({ is_active: false })
+      .or(
+        `and(from_currency_id.eq.${fromCurrencyId},to_currency_id.eq.${toCurrencyId}),` +
+        `and(from_currency_id.eq.${toCurrencyId},to_currency_id.eq.${fromCurrencyId})`
+      )
+      .eq('effective_from', effectiveFrom)
+      .gt('effective_from', new Date().toISOString())
+      .eq('is_active', true)
+      .select('id');
 
-    if (inverseError) {
-      throw parseSupabaseError(inverseError);
+    if (error) {
+      throw parseSupabaseError(error);
     }
 
-    return { updatedCount: 2 };
+    return { cancelledCount: data?.length || 0 };
   } catch (error) {
     if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.DB_ERROR, {
-      operation: 'updateExchangeRatePair',
+      operation: 'cancelScheduledExchangeRatePair',
       fromCurrencyId,
       toCurrencyId
     });
-    logError(appError, { operation: 'updateExchangeRatePair', fromCurrencyId, toCurrencyId });
+    logError(appError, { operation: 'cancelScheduledExchangeRatePair', fromCurrencyId, toCurrencyId });
     throw appError;
   }
 };
@@ -0,0 +1,92 @@
+/**
+ * Delivery PIN
+ * One-time PIN of cash remittances: the sender shares it with the recipient
+ * and the courier enters it before confirming the delivery. The PIN is
+ * generated, checked and rate limited in the database (see
+ * 20261019000018_remittance_delivery_pin.sql); this module only normalizes
+ * input and the status returned by those functions.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { ERROR_CODES } from '@/lib/errorHandler';
+
+export const DELIVERY_PIN_LENGTH = 6;
+
+// Same limit as verify_remittance_delivery_pin
+export const DELIVERY_PIN_MAX_ATTEMPTS = 5;
+
+/**
+ * Strip the spaces and dashes people type between digit groups
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeDeliveryPin = (value) => String(value ?? '').replace(/[\s-]/g, '');
+
+/**
+ * Whether the input can be a PIN at all (checked before spending an attempt)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isWellFormedDeliveryPin = (value) => (
+  new RegExp(`^\\d{${DELIVERY_PIN_LENGTH}}$`).test(normalizeDeliveryPin(value))
+);
+
+/**
+ * PIN for display, in two groups ("482 913")
+ * @param {string} pin
+ * @returns {string}
+ */
+export const formatDeliveryPin = (pin) => {
+  const digits = normalizeDeliveryPin(pin);
+  const half = Math.ceil(digits.length / 2);
+  return digits.length === DELIVERY_PIN_LENGTH ? `${digits.slice(0, half)} ${digits.slice(half)}` : digits;
+};
+
+/**
+ * Normalize the status returned by the PIN RPCs
+ * @param {Object|null} row - { required, verified, overridden, locked, failed_attempts, max_attempts }
+ * @returns {{required: boolean, verified: boolean, overridden: boolean, locked: boolean, failedAttempts: number, attemptsLeft: number}}
+ */
+export const toDeliveryPinStatus = (row) => {
+  const maxAttempts = Number(row?.max_attempts) || DELIVERY_PIN_MAX_ATTEMPTS;
+  const failedAttempts = Number(row?.failed_attempts) || 0;
+  const locked = Boolean(row?.locked);
+
+  return {
+    required: Boolean(row?.required),
+    verified: Boolean(row?.verified),
+    overridden: Boolean(row?.overridden),
+    locked,
+    failedAttempts,
+    attemptsLeft: locked ? 0 : Math.max(0, maxAttempts - failedAttempts)
+  };
+};
+
+/**
+ * Whether the PIN no longer blocks the delivery: there is none, it was
+ * verified or an admin overrode it
+ * @param {Object|null} status - from toDeliveryPinStatus
+ * @returns {boolean}
+ */
+export const isDeliveryPinSatisfied = (status) => (
+  !status?.required || Boolean(status.verified) || Boolean(status.overridden)
+);
+
+/**
+ * Translation key (and params) for a PIN error from remittanceService
+ * @param {Object} error - AppError
+ * @returns {{key: string, params: Object}|null} null when it is not a PIN error
+ */
+export const getDeliveryPinErrorKey = (error) => {
+  switch (error?.code) {
+    case ERROR_CODES.DELIVERY_PIN_INVALID:
+      return { key: 'deliveryPin.invalid', params: { count: error.context?.attemptsLeft ?? 0 } };
+    case ERROR_CODES.DELIVERY_PIN_LOCKED:
+      return { key: 'deliveryPin.locked', params: {} };
+    case ERROR_CODES.DELIVERY_PIN_REQUIRED:
+      return { key: 'deliveryPin.required', params: {} };
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Delivery Queue
+ * What a courier has to deliver: assigned remittances and orders turned into
+ * one "stop" shape and grouped by province and municipality for the courier
+ * page (see courierService and 20261019000016_courier_role.sql).
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { ORDER_STATUS } from '@/lib/constants';
+import { REMITTANCE_STATUS } from '@/lib/remittanceStateMachine';
+
+export const DELIVERY_KIND = {
+  REMITTANCE: 'remittance',
+  ORDER: 'order'
+};
+
+// Grouping key for stops without a province / municipality
+export const UNKNOWN_LOCATION = '';
+
+const parseRecipientInfo = (recipientInfo) => {
+  if (!recipientInfo) return {};
+  if (typeof recipientInfo === 'string') {
+    try {
+      return JSON.parse(recipientInfo) || {};
+    } catch {
+      return {};
+    }
+  }
+  return recipientInfo;
+};
+
+const clean = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Normalize an assigned remittance or order into a delivery stop
+ * @param {Object} row - remittances row (with remittance_types) or orders row (with order_items, shipping_zones, currencies)
+ * @param {string} kind - DELIVERY_KIND
+ * @returns {Object} stop
+ */
+export const toDeliveryStop = (row, kind) => {
+  if (kind === DELIVERY_KIND.REMITTANCE) {
+    return {
+      kind,
+      id: row.id,
+      number: row.remittance_number,
+      status: row.status,
+      recipientName: clean(row.recipient_name),
+      phone: clean(row.recipient_phone),
+      address: clean(row.recipient_address),
+      province: clean(row.recipient_province),
+      municipality: clean(row.recipient_municipality || row.recipient_city),
+      amount: row.amount_to_deliver ?? null,
+      currency: row.currency_delivered || null,
+      deliveryMethod: row.remittance_types?.delivery_method || null,
+      items: [],
+      notes: clean(row.delivery_notes),
+      courierId: row.assigned_courier_id || null,
+      assignedAt: row.courier_assigned_at || null,
+      routeDate: row.route_date || null,
+      routePosition: row.route_position ?? null
+    };
+  }
+
+  const recipient = parseRecipientInfo(row.recipient_info);
+  return {
+    kind: DELIVERY_KIND.ORDER,
+    id: row.id,
+    number: row.order_number,
+    status: row.status,
+    recipientName: clean(recipient.fullName || recipient.name),
+    phone: clean(recipient.phone),
+    address: clean(recipient.address || (typeof row.shipping_address === 'string' ? row.shipping_address : '')),
+    province: clean(recipient.province || row.shipping_zones?.province_name),
+    municipality: clean(recipient.municipality || row.shipping_zones?.municipality_name),
+    amount: row.total_amount ?? null,
+    currency: row.currencies?.code || null,
+    deliveryMethod: null,
+    items: (row.order_items || []).map(item => ({
+      name: item.item_name_es || item.item_name_en,
+      nameEn: item.item_name_en || item.item_name_es,
+      quantity: item.quantity
+    })),
+    notes: clean(row.delivery_instructions),
+    courierId: row.assigned_courier_id || null,
+    assignedAt: row.courier_assigned_at || null,
+    routeDate: row.route_date || null,
+    routePosition: row.route_position ?? null
+  };
+};
+
+/**
+ * Whether the courier can mark the stop delivered now
+ * (remittances in processing, orders once dispatched)
+ * @param {Object} stop
+ * @returns {boolean}
+ */
+export const isDeliverableStop = (stop) => (
+  stop.kind === DELIVERY_KIND.REMITTANCE
+    ? stop.status === REMITTANCE_STATUS.PROCESSING
+    : stop.status === ORDER_STATUS.DISPATCHED
+);
+
+const byName = (a, b) => {
+  // Stops without a location go last
+  if (a === UNKNOWN_LOCATION) return b === UNKNOWN_LOCATION ? 0 : 1;
+  if (b === UNKNOWN_LOCATION) return -1;
+  return a.localeCompare(b, 'es', { sensitivity: 'base' });
+};
+
+// Stops with a saved route position first, in route order
+const byRoutePosition = (a, b) => {
+  if (a.routePosition == null) return b.routePosition == null ? 0 : 1;
+  if (b.routePosition == null) return -1;
+  return a.routePosition - b.routePosition;
+};
+
+const byAssignedAt = (a, b) => (
+  byRoutePosition(a, b)
+  || new Date(a.assignedAt || 0) - new Date(b.assignedAt || 0)
+  || String(a.number).localeCompare(String(b.number))
+);
+
+// Groups follow the saved route (first stop of each), otherwise their name
+const byFirstStop = (a, b) => byRoutePosition(a.stops[0], b.stops[0]) || byName(a.name, b.name);
+
+/**
+ * Group stops by province, then municipality
+ * Stops follow the saved route position (see routePlanning), then assignment
+ * time, oldest first. Provinces and municipalities follow their first stop
+ * on the saved route, otherwise they are sorted by name (unknown last).
+ * @param {Array<Object>} stops - from toDeliveryStop
+ * @returns {Array<{province: string, count: number, municipalities: Array<{municipality: string, stops: Array<Object>}>}>}
+ */
+export const groupDeliveriesByLocation = (stops = []) => {
+  const provinces = new Map();
+
+  stops.forEach((stop) => {
+    const province = stop.province || UNKNOWN_LOCATION;
+    const municipality = stop.municipality || UNKNOWN_LOCATION;
+    if (!provinces.has(province)) provinces.set(province, new Map());
+    const municipalities = provinces.get(province);
+    if (!municipalities.has(municipality)) municipalities.set(municipality, []);
+    municipalities.get(municipality).push(stop);
+  });
+
+  return [...provinces.keys()].map((province) => {
+    const municipalities = provinces.get(province);
+    const groups = [...municipalities.keys()]
+      .map(municipality => ({ name: municipality, stops: [...municipalities.get(municipality)].sort(byAssignedAt) }))
+      .sort(byFirstStop);
+    return {
+      name: province,
+      stops: groups.map(group => group.stops[0]).sort(byAssignedAt),
+      municipalities: groups
+    };
+  }).sort(byFirstStop).map(({ name, municipalities }) => ({
+    province: name,
+    count: municipalities.reduce((sum, group) => sum + group.stops.length, 0),
+    municipalities: municipalities.map(group => ({ municipality: group.name, stops: group.stops }))
+  }));
+};
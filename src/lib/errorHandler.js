@@ -79,6 +79,11 @@ export const ERROR_CODES = {
   INVALID_OPERATION: 'INVALID_OPERATION',
   PAYMENT_FAILED: 'PAYMENT_FAILED',
   DELIVERY_PROOF_REQUIRED: 'DELIVERY_PROOF_REQUIRED',
+  DELIVERY_PIN_REQUIRED: 'DELIVERY_PIN_REQUIRED',
+  DELIVERY_PIN_INVALID: 'DELIVERY_PIN_INVALID',
+  DELIVERY_PIN_LOCKED: 'DELIVERY_PIN_LOCKED',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  QUOTE_EXPIRED: 'QUOTE_EXPIRED',
 
   // Server
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
@@ -128,6 +133,11 @@ const ERROR_MESSAGES = {
   [ERROR_CODES.INVALID_OPERATION]: 'This operation cannot be performed at this time.',
   [ERROR_CODES.PAYMENT_FAILED]: 'Payment processing failed.',
   [ERROR_CODES.DELIVERY_PROOF_REQUIRED]: 'Delivery proof is required to complete this operation.',
+  [ERROR_CODES.DELIVERY_PIN_REQUIRED]: 'The recipient\'s delivery PIN is required to confirm this delivery.',
+  [ERROR_CODES.DELIVERY_PIN_INVALID]: 'The delivery PIN is not correct.',
+  [ERROR_CODES.DELIVERY_PIN_LOCKED]: 'Too many wrong PIN attempts. An administrator must override the PIN.',
+  [ERROR_CODES.INVALID_STATUS_TRANSITION]: 'This action is not allowed in the current status.',
+  [ERROR_CODES.QUOTE_EXPIRED]: 'This quote is no longer valid. Please review the updated amounts.',
 
   // Server
   [ERROR_CODES.INTERNAL_SERVER_ERROR]: 'An internal server error occurred. Please try again later.',
@@ -252,6 +262,20 @@ export const createPermissionError = (action = 'perform this action', requiredRo
   return new AppError(message, ERROR_CODES.FORBIDDEN, 403, { action, requiredRole });
 };
 
+/**
+ * Status Transition Error Handler
+ * For actions that are not legal from the entity's current status
+ */
+export const createTransitionError = (entity = 'Resource', action = null, fromStatus = null, allowedFrom = []) => {
+  const message = `${entity} cannot perform "${action}" from status "${fromStatus}"`;
+  return new AppError(message, ERROR_CODES.INVALID_STATUS_TRANSITION, 409, {
+    entity,
+    action,
+    fromStatus,
+    allowedFrom
+  });
+};
+
 /**
  * Parse Supabase Error
  * Converts Supabase errors to AppError instances
@@ -360,6 +384,7 @@ export default {
   createNotFoundError,
   createConflictError,
   createPermissionError,
+  createTransitionError,
   parseSupabaseError,
   isSchemaMissingError
 };
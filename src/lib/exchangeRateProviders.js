@@ -0,0 +1,255 @@
+/**
+ * Exchange Rate Providers
+ * Pluggable sources for official/market exchange rates used by
+ * currencyService.fetchOfficialRates. Every provider returns rates as units of
+ * each currency per 1 USD:
+ *
+ *   { id, label, fetchRates: async () => ({ rates: { EUR: 0.92, CUP: 120 }, retrievedAt }) }
+ *
+ * Providers are tried in priority order; each one sits behind its own circuit
+ * breaker so a dead API is skipped for a cooldown instead of on every call.
+ */
+
+import { supabase } from '@/lib/supabase';
+
+export const RATE_PROVIDER_IDS = {
+  EXCHANGERATE_API: 'exchangerate-api',
+  OPEN_ER_API: 'open-er-api',
+  MANUAL_CUP: 'manual-cup',
+  FIXTURE: 'fixture'
+};
+
+// Drift (%) between an admin-defined rate and the market before alerting
+export const DEFAULT_RATE_DRIFT_THRESHOLD = 5;
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * In-memory circuit breaker
+ * Opens after `failureThreshold` consecutive failures and stays open for
+ * `cooldownMs`; the first call after the cooldown is let through (half-open).
+ *
+ * @param {Object} options - failureThreshold, cooldownMs, now (clock for tests)
+ * @returns {Object} Breaker with isOpen(), recordSuccess(), recordFailure(), getState()
+ */
+export const createCircuitBreaker = ({ failureThreshold = 3, cooldownMs = 5 * 60 * 1000, now = () => Date.now() } = {}) => {
+  let failures = 0;
+  let openedAt = null;
+
+  return {
+    isOpen: () => openedAt !== null && now() - openedAt < cooldownMs,
+    recordSuccess: () => {
+      failures = 0;
+      openedAt = null;
+    },
+    recordFailure: () => {
+      failures += 1;
+      if (failures >= failureThreshold) {
+        openedAt = now();
+      }
+    },
+    getState: () => ({
+      failures,
+      open: openedAt !== null && now() - openedAt < cooldownMs,
+      retryAt: openedAt !== null ? new Date(openedAt + cooldownMs).toISOString() : null
+    })
+  };
+};
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Rate provider request failed (${response.status})`);
+  }
+  return response.json();
+};
+
+/**
+ * exchangerate-api.com — broad coverage, no CUP
+ */
+export const exchangerateApiProvider = {
+  id: RATE_PROVIDER_IDS.EXCHANGERATE_API,
+  label: 'ExchangeRate-API',
+  fetchRates: async () => {
+    const data = await fetchJson('https://api.exchangerate-api.com/v4/latest/USD');
+    return {
+      rates: { ...data.rates, USD: 1 },
+      retrievedAt: data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString() : new Date().toISOString()
+    };
+  }
+};
+
+/**
+ * open.er-api.com — includes the official CUP rate
+ */
+export const openErApiProvider = {
+  id: RATE_PROVIDER_IDS.OPEN_ER_API,
+  label: 'Open Exchange Rates (open.er-api)',
+  fetchRates: async () => {
+    const data = await fetchJson('https://open.er-api.com/v6/latest/USD');
+    if (data.result && data.result !== 'success') {
+      throw new Error(`open.er-api returned ${data.result}`);
+    }
+    return {
+      rates: { ...data.rates, USD: 1 },
+      retrievedAt: data.time_last_update_unix ? new Date(data.time_last_update_unix * 1000).toISOString() : new Date().toISOString()
+    };
+  }
+};
+
+/**
+ * Manual / informal CUP rate
+ * Reads the latest rate an admin recorded with currencyService.recordManualCupRate.
+ */
+export const manualCupProvider = {
+  id: RATE_PROVIDER_IDS.MANUAL_CUP,
+  label: 'Manual (CUP informal)',
+  fetchRates: async () => {
+    const { data, error } = await supabase
+      .from('exchange_rate_history')
+      .select('rates, fetched_at')
+      .eq('provider', RATE_PROVIDER_IDS.MANUAL_CUP)
+      .eq('status', 'ok')
+      .order('fetched_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data?.rates?.CUP) return { rates: {}, retrievedAt: null };
+
+    return {
+      rates: { CUP: parseFloat(data.rates.CUP) },
+      retrievedAt: data.fetched_at
+    };
+  }
+};
+
+/**
+ * Fixture provider — fixed rates, no network (tests and local development)
+ * @param {Object} rates - Units per USD, e.g. { EUR: 0.9, CUP: 120 }
+ * @param {Object} options - id, label, retrievedAt, fail (throw instead of returning)
+ * @returns {Object} Provider
+ */
+export const createFixtureProvider = (rates = {}, { id = RATE_PROVIDER_IDS.FIXTURE, label = 'Fixture', retrievedAt = null, fail = false } = {}) => ({
+  id,
+  label,
+  fetchRates: async () => {
+    if (fail) throw new Error(`Fixture provider ${id} failure`);
+    return { rates: { USD: 1, ...rates }, retrievedAt: retrievedAt || new Date().toISOString() };
+  }
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const providers = new Map();
+const breakers = new Map();
+
+/**
+ * Register (or replace) a provider
+ * @param {Object} provider - { id, label, fetchRates }
+ * @param {Object} breakerOptions - Options for this provider's circuit breaker
+ */
+export const registerRateProvider = (provider, breakerOptions = {}) => {
+  if (!provider?.id || typeof provider.fetchRates !== 'function') {
+    throw new Error('Rate provider needs an id and a fetchRates function');
+  }
+  providers.set(provider.id, provider);
+  breakers.set(provider.id, createCircuitBreaker(breakerOptions));
+};
+
+/**
+ * Remove a provider from the registry
+ * @param {string} id - Provider id
+ */
+export const unregisterRateProvider = (id) => {
+  providers.delete(id);
+  breakers.delete(id);
+};
+
+/**
+ * Registered providers in priority (registration) order
+ * @returns {Array<Object>}
+ */
+export const getRateProviders = () => Array.from(providers.values());
+
+/**
+ * Circuit breaker for a provider
+ * @param {string} id - Provider id
+ * @returns {Object|null}
+ */
+export const getRateProviderBreaker = (id) => breakers.get(id) || null;
+
+// The admin-entered informal CUP rate takes precedence over the official one
+registerRateProvider(manualCupProvider, { failureThreshold: 1 });
+registerRateProvider(exchangerateApiProvider);
+registerRateProvider(openErApiProvider);
+
+// ============================================================================
+// AGGREGATION & DRIFT (pure)
+// ============================================================================
+
+/**
+ * Merge provider results by priority: the first provider that reports a
+ * currency wins, later providers only fill in missing currencies.
+ *
+ * @param {Array<{provider: string, rates: Object}>} results - Successful fetches in priority order
+ * @returns {{rates: Object, sources: Object}} Units per USD and the provider used per currency
+ */
+export const mergeProviderRates = (results) => {
+  const rates = {};
+  const sources = {};
+
+  results.forEach(({ provider, rates: providerRates }) => {
+    Object.entries(providerRates || {}).forEach(([code, rate]) => {
+      const value = parseFloat(rate);
+      if (rates[code] !== undefined || !(value > 0)) return;
+      rates[code] = value;
+      sources[code] = provider;
+    });
+  });
+
+  return { rates, sources };
+};
+
+/**
+ * Compare admin-defined exchange rates with market rates
+ * Market rate for from→to is perUsd[to] / perUsd[from].
+ *
+ * @param {Array<Object>} exchangeRates - Rows with rate, from_currency.code, to_currency.code
+ * @param {Object} marketRates - Units per USD (fetchOfficialRates().rates)
+ * @param {number} thresholdPct - Alert when |drift| exceeds this percentage
+ * @returns {Array<Object>} One entry per comparable pair: from, to, definedRate, marketRate, driftPct, exceeds
+ */
+export const computeRateDrift = (exchangeRates, marketRates, thresholdPct = DEFAULT_RATE_DRIFT_THRESHOLD) => {
+  return (exchangeRates || [])
+    .map((row) => {
+      const from = row.from_currency?.code;
+      const to = row.to_currency?.code;
+      const fromPerUsd = marketRates?.[from];
+      const toPerUsd = marketRates?.[to];
+      const definedRate = parseFloat(row.rate);
+      if (!fromPerUsd || !toPerUsd || !(definedRate > 0)) return null;
+
+      const marketRate = toPerUsd / fromPerUsd;
+      const driftPct = ((definedRate - marketRate) / marketRate) * 100;
+
+      return {
+        id: row.id,
+        from,
+        to,
+        definedRate,
+        marketRate,
+        driftPct: parseFloat(driftPct.toFixed(2)),
+        exceeds: Math.abs(driftPct) > thresholdPct
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,91 @@
+/**
+ * Exchange Rate Schedule
+ * exchange_rates keeps every rate ever set for a pair; a row applies from its
+ * `effective_from` until the next row of the same direction starts. Rates with
+ * a future `effective_from` are scheduled and take effect on their own.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+/**
+ * Start of a rate row (falls back to effective_date for rows created before effective_from existed)
+ * @param {Object} row - exchange_rates row
+ * @returns {number} Epoch milliseconds (NaN if unknown)
+ */
+export const getRateEffectiveFrom = (row) =>
+  new Date(row?.effective_from || row?.effective_date).getTime();
+
+/**
+ * Normalize form input to an ISO timestamp
+ * Accepts a date ('2026-10-20' → local midnight), a datetime-local value or an ISO string.
+ * @param {string|Date|null} value - Input value (empty = now)
+ * @param {Date} now - Clock
+ * @returns {string} ISO timestamp
+ */
+export const normalizeEffectiveFrom = (value, now = new Date()) => {
+  if (!value) return now.toISOString();
+  if (value instanceof Date) return value.toISOString();
+  const input = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value;
+  const parsed = new Date(input);
+  return isNaN(parsed.getTime()) ? now.toISOString() : parsed.toISOString();
+};
+
+const pairKey = (row) => `${row.from_currency_id}-${row.to_currency_id}`;
+
+/**
+ * Rows in effect at a moment: the latest started row per direction
+ * @param {Array<Object>} rows - exchange_rates rows (active)
+ * @param {Date} at - Moment to evaluate
+ * @returns {Array<Object>} One row per from→to direction
+ */
+export const selectCurrentRates = (rows, at = new Date()) => {
+  const atMs = at.getTime();
+  const current = new Map();
+
+  (rows || []).forEach((row) => {
+    const start = getRateEffectiveFrom(row);
+    if (!(start <= atMs)) return;
+    const existing = current.get(pairKey(row));
+    if (!existing || start > getRateEffectiveFrom(existing)) {
+      current.set(pairKey(row), row);
+    }
+  });
+
+  return Array.from(current.values());
+};
+
+/**
+ * Rows that have not started yet, soonest first
+ * @param {Array<Object>} rows - exchange_rates rows (active)
+ * @param {Date} at - Moment to evaluate
+ * @returns {Array<Object>}
+ */
+export const selectScheduledRates = (rows, at = new Date()) => {
+  const atMs = at.getTime();
+  return (rows || [])
+    .filter(row => getRateEffectiveFrom(row) > atMs)
+    .sort((a, b) => getRateEffectiveFrom(a) - getRateEffectiveFrom(b));
+};
+
+/**
+ * Chart series for one direction, oldest first
+ * @param {Array<Object>} rows - Rows of any pair/direction
+ * @param {string} fromCurrencyId - Source currency UUID
+ * @param {string} toCurrencyId - Target currency UUID
+ * @param {Date} at - Clock used to flag scheduled points
+ * @returns {Array<{id: string, at: string, rate: number, active: boolean, scheduled: boolean}>}
+ */
+export const buildRateSeries = (rows, fromCurrencyId, toCurrencyId, at = new Date()) => {
+  const atMs = at.getTime();
+  return (rows || [])
+    .filter(row => row.from_currency_id === fromCurrencyId && row.to_currency_id === toCurrencyId)
+    .map(row => ({
+      id: row.id,
+      at: new Date(getRateEffectiveFrom(row)).toISOString(),
+      rate: parseFloat(row.rate),
+      active: row.is_active !== false,
+      scheduled: getRateEffectiveFrom(row) > atMs
+    }))
+    .filter(point => !isNaN(new Date(point.at).getTime()) && point.rate > 0)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+};
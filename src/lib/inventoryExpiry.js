@@ -0,0 +1,215 @@
+/**
+ * Inventory Expiry (FEFO)
+ * First-expired-first-out ordering of inventory batches, expiry countdowns and
+ * clearance suggestions (offers and combos) for batches close to expiry.
+ * sortBatchesFefo / allocateFefo mirror allocate_inventory_stock in the
+ * database, which does the actual allocation.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const EXPIRY_LEVELS = {
+  EXPIRED: 'expired',
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  NOTICE: 'notice',
+  OK: 'ok'
+};
+
+// Days left at or below which a batch enters each level
+export const EXPIRY_THRESHOLDS_DAYS = {
+  critical: 3,
+  warning: 7,
+  notice: 30
+};
+
+// Suggested offer discount per level (percentage)
+export const CLEARANCE_DISCOUNTS = {
+  [EXPIRY_LEVELS.CRITICAL]: 30,
+  [EXPIRY_LEVELS.WARNING]: 20,
+  [EXPIRY_LEVELS.NOTICE]: 10
+};
+
+export const SUGGESTION_TYPES = {
+  OFFER: 'offer',
+  PROMOTE_COMBO: 'promote_combo',
+  NEW_COMBO: 'new_combo'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const num = (value) => parseInt(value, 10) || 0;
+
+const availableOf = (batch) => (batch.available_quantity ?? (num(batch.quantity) - num(batch.reserved_quantity))) || 0;
+
+/**
+ * Moment a batch stops being sellable: the end of its expiry day (local time)
+ * @param {string|null} expiryDate - YYYY-MM-DD
+ * @returns {Date|null}
+ */
+export const getExpiryEnd = (expiryDate) => {
+  if (!expiryDate) return null;
+  const [year, month, day] = String(expiryDate).slice(0, 10).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day + 1);
+};
+
+/**
+ * Time left before a batch expires
+ * @param {string|null} expiryDate - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock (tests)
+ * @returns {{msLeft: number, days: number, hours: number, minutes: number, level: string}|null}
+ *   null when the batch has no expiry date
+ */
+export const getExpiryCountdown = (expiryDate, { now = new Date() } = {}) => {
+  const end = getExpiryEnd(expiryDate);
+  if (!end) return null;
+
+  const msLeft = end.getTime() - now.getTime();
+  const positive = Math.max(0, msLeft);
+  const daysLeft = msLeft / DAY_MS;
+
+  let level = EXPIRY_LEVELS.OK;
+  if (msLeft <= 0) level = EXPIRY_LEVELS.EXPIRED;
+  else if (daysLeft <= EXPIRY_THRESHOLDS_DAYS.critical) level = EXPIRY_LEVELS.CRITICAL;
+  else if (daysLeft <= EXPIRY_THRESHOLDS_DAYS.warning) level = EXPIRY_LEVELS.WARNING;
+  else if (daysLeft <= EXPIRY_THRESHOLDS_DAYS.notice) level = EXPIRY_LEVELS.NOTICE;
+
+  return {
+    msLeft,
+    days: Math.floor(positive / DAY_MS),
+    hours: Math.floor((positive % DAY_MS) / HOUR_MS),
+    minutes: Math.floor((positive % HOUR_MS) / 60000),
+    level
+  };
+};
+
+/**
+ * Batches in the order stock leaves the warehouse:
+ * soonest expiry first, batches without expiry last, then oldest received
+ * @param {Array<Object>} batches - inventory rows
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortBatchesFefo = (batches = []) => {
+  const time = (value) => (value ? new Date(value).getTime() : Infinity);
+  return [...batches].sort((a, b) =>
+    time(a.expiry_date) - time(b.expiry_date) ||
+    time(a.received_date) - time(b.received_date) ||
+    time(a.created_at) - time(b.created_at)
+  );
+};
+
+/**
+ * Preview which batches would serve a quantity (expired and inactive batches skipped)
+ * @param {Array<Object>} batches - inventory rows of one product
+ * @param {number} quantity - Units requested
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock (tests)
+ * @returns {{allocations: Array<{inventory_id: string, batch_number: string, expiry_date: string|null, quantity: number}>, shortfall: number}}
+ */
+export const allocateFefo = (batches, quantity, { now = new Date() } = {}) => {
+  let remaining = Math.max(0, num(quantity));
+  const allocations = [];
+
+  sortBatchesFefo(batches)
+    .filter(batch => batch.is_active !== false)
+    .filter(batch => getExpiryCountdown(batch.expiry_date, { now })?.level !== EXPIRY_LEVELS.EXPIRED)
+    .forEach((batch) => {
+      const available = availableOf(batch);
+      if (remaining <= 0 || available <= 0) return;
+      const take = Math.min(remaining, available);
+      allocations.push({
+        inventory_id: batch.id,
+        batch_number: batch.batch_number || '',
+        expiry_date: batch.expiry_date || null,
+        quantity: take
+      });
+      remaining -= take;
+    });
+
+  return { allocations, shortfall: remaining };
+};
+
+/**
+ * Batches with sellable stock that expire within the window, soonest first
+ * @param {Array<Object>} batches - inventory rows
+ * @param {Object} [options]
+ * @param {number} [options.withinDays] - Window (default: notice threshold)
+ * @param {Date} [options.now] - Clock (tests)
+ * @returns {Array<Object>} Batches with `countdown` and `available`
+ */
+export const getExpiringBatches = (batches = [], { withinDays = EXPIRY_THRESHOLDS_DAYS.notice, now = new Date() } = {}) =>
+  sortBatchesFefo(batches)
+    .filter(batch => batch.is_active !== false && availableOf(batch) > 0)
+    .map(batch => ({ ...batch, available: availableOf(batch), countdown: getExpiryCountdown(batch.expiry_date, { now }) }))
+    .filter(batch => batch.countdown
+      && batch.countdown.level !== EXPIRY_LEVELS.EXPIRED
+      && batch.countdown.msLeft <= withinDays * DAY_MS);
+
+/**
+ * Ways to clear a batch before it expires
+ * - offer: discount by urgency, ending on the expiry date
+ * - promote_combo: active combos that already include the product
+ * - new_combo: otherwise, pair it with well-stocked products of the same category
+ *
+ * @param {Object} batch - Item of getExpiringBatches()
+ * @param {Object} context
+ * @param {Array<Object>} [context.combos] - Combos with items [{ quantity, product: { id } }]
+ * @param {Array<Object>} [context.products] - Products with id, category_id and stock
+ * @returns {Array<Object>} Suggestions, most direct first
+ */
+export const suggestClearanceActions = (batch, { combos = [], products = [] } = {}) => {
+  const level = batch.countdown?.level;
+  const available = batch.available ?? availableOf(batch);
+  if (!level || level === EXPIRY_LEVELS.OK || level === EXPIRY_LEVELS.EXPIRED || available <= 0) return [];
+
+  const daysLeft = Math.max(1, Math.ceil(batch.countdown.msLeft / DAY_MS));
+  const suggestions = [{
+    type: SUGGESTION_TYPES.OFFER,
+    discountPercent: CLEARANCE_DISCOUNTS[level],
+    endsOn: batch.expiry_date,
+    unitsPerDay: Math.ceil(available / daysLeft)
+  }];
+
+  const containing = combos
+    .filter(combo => combo.is_active !== false)
+    .map(combo => ({
+      combo,
+      unitsPerCombo: (combo.items || [])
+        .filter(item => (item.product?.id || item.product_id) === batch.product_id)
+        .reduce((sum, item) => sum + (num(item.quantity) || 1), 0)
+    }))
+    .filter(entry => entry.unitsPerCombo > 0);
+
+  if (containing.length > 0) {
+    containing.forEach(({ combo, unitsPerCombo }) => {
+      suggestions.push({
+        type: SUGGESTION_TYPES.PROMOTE_COMBO,
+        comboId: combo.id,
+        comboName: combo.name_es || combo.name_en || combo.name || '',
+        comboNameEn: combo.name_en || combo.name_es || combo.name || '',
+        combosToClear: Math.ceil(available / unitsPerCombo)
+      });
+    });
+    return suggestions;
+  }
+
+  const product = products.find(p => p.id === batch.product_id);
+  const partners = products
+    .filter(p => p.id !== batch.product_id && p.is_active !== false)
+    .filter(p => !product?.category_id || p.category_id === product.category_id)
+    .filter(p => num(p.stock) >= available)
+    .sort((a, b) => num(b.stock) - num(a.stock))
+    .slice(0, 2);
+
+  if (partners.length > 0) {
+    suggestions.push({
+      type: SUGGESTION_TYPES.NEW_COMBO,
+      partners: partners.map(p => ({ id: p.id, name: p.name_es || p.name || '', nameEn: p.name_en || p.name || '' }))
+    });
+  }
+
+  return suggestions;
+};
@@ -0,0 +1,131 @@
+/**
+ * Inventory Holds
+ * Builds stock requests for order lines (the same ones reserve_order_inventory
+ * and consume_order_inventory build from order_items, used for reorder
+ * planning) and summarizes inventory_holds rows for the admin views.
+ * Reservation itself happens in the database
+ * (supabase/migrations/20261019000007_inventory_reservation_holds.sql).
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const INVENTORY_HOLD_STATUS = {
+  ACTIVE: 'active',
+  CONSUMED: 'consumed',
+  RELEASED: 'released',
+  EXPIRED: 'expired'
+};
+
+// Mirrors the default and the floor of inventory_hold_minutes() in the database
+export const DEFAULT_HOLD_MINUTES = 60;
+export const MIN_HOLD_MINUTES = 5;
+
+// Active holds expiring within this window are flagged in the admin summary
+const EXPIRING_SOON_MS = 15 * 60 * 1000;
+
+const toQuantity = (value) => {
+  const quantity = parseInt(value, 10);
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : 0;
+};
+
+/**
+ * Stock requests for a set of order lines
+ * Product lines request their own product; combo lines request every component
+ * (combo quantity × component quantity). Combo lines resolved at checkout carry
+ * their products in combo_components (substitutes included, see
+ * @/lib/comboAvailability) and request exactly those. Requests name products,
+ * not batches: the database picks batches first-expired-first-out and records
+ * them per order line (order_items.batch_allocations). Repeated products of the
+ * same line are merged.
+ *
+ * @param {Array<Object>} items - Order lines, either order_items rows
+ *   ({ id, item_type, item_id, quantity, combo_components? }) or createOrder input ({ itemType, itemId, quantity })
+ * @param {Map<string, Array>|Object} [comboComponents] - combo_id → [{ product_id, quantity }]
+ * @returns {Array<{order_item_id: string|null, product_id: string, quantity: number}>}
+ *
+ * @example
+ * buildStockRequests([{ id: 'oi1', item_type: 'product', item_id: 'p1', quantity: 2 }])
+ * // → [{ order_item_id: 'oi1', product_id: 'p1', quantity: 2 }]
+ */
+export const buildStockRequests = (items = [], comboComponents = new Map()) => {
+  const getComponents = (comboId) => (comboComponents instanceof Map
+    ? comboComponents.get(comboId)
+    : comboComponents?.[comboId]) || [];
+
+  const requests = new Map();
+  const add = (orderItemId, productId, quantity) => {
+    if (!productId || quantity <= 0) return;
+    const key = `${orderItemId || ''}:${productId}`;
+    const current = requests.get(key);
+    if (current) {
+      current.quantity += quantity;
+    } else {
+      requests.set(key, { order_item_id: orderItemId || null, product_id: productId, quantity });
+    }
+  };
+
+  items.forEach((item) => {
+    const type = item.item_type || item.itemType || 'product';
+    const itemId = item.item_id || item.itemId;
+    const orderItemId = item.item_type ? item.id : null;
+    const quantity = toQuantity(item.quantity);
+
+    if (type === 'product') {
+      add(orderItemId, itemId, quantity);
+    } else if (type === 'combo' && Array.isArray(item.combo_components) && item.combo_components.length > 0) {
+      // Line totals, already multiplied by the combo quantity
+      item.combo_components.forEach((component) => {
+        add(orderItemId, component.product_id, toQuantity(component.quantity));
+      });
+    } else if (type === 'combo') {
+      getComponents(itemId).forEach((component) => {
+        add(orderItemId, component.product_id, quantity * toQuantity(component.quantity));
+      });
+    }
+  });
+
+  return [...requests.values()];
+};
+
+/**
+ * Overview of inventory_holds rows
+ * @param {Array<Object>} holds - inventory_holds rows
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock (tests)
+ * @returns {{activeCount: number, activeUnits: number, expiringSoon: number, overdue: number, nextExpiry: string|null}}
+ *   overdue = active holds past their expiry that the sweep has not released yet
+ */
+export const summarizeInventoryHolds = (holds = [], { now = new Date() } = {}) => {
+  const nowMs = now.getTime();
+  const summary = { activeCount: 0, activeUnits: 0, expiringSoon: 0, overdue: 0, nextExpiry: null };
+
+  holds
+    .filter(hold => hold.status === INVENTORY_HOLD_STATUS.ACTIVE)
+    .forEach((hold) => {
+      const expiresMs = new Date(hold.expires_at).getTime();
+      summary.activeCount += 1;
+      summary.activeUnits += toQuantity(hold.quantity);
+
+      if (expiresMs <= nowMs) {
+        summary.overdue += 1;
+      } else {
+        if (expiresMs - nowMs <= EXPIRING_SOON_MS) summary.expiringSoon += 1;
+        if (!summary.nextExpiry || expiresMs < new Date(summary.nextExpiry).getTime()) {
+          summary.nextExpiry = hold.expires_at;
+        }
+      }
+    });
+
+  return summary;
+};
+
+/**
+ * Clamp an admin-entered hold window
+ * @param {number|string} minutes
+ * @returns {number|null} Whole minutes ≥ MIN_HOLD_MINUTES, or null if not a number
+ */
+export const normalizeHoldMinutes = (minutes) => {
+  const value = Math.round(parseFloat(minutes));
+  if (!Number.isFinite(value)) return null;
+  return Math.max(MIN_HOLD_MINUTES, value);
+};
@@ -0,0 +1,654 @@
+/**
+ * Inventory Service
+ * Stock reservations for orders. Reserve, release and sell run as database
+ * functions (reserve_order_inventory, release_order_inventory,
+ * consume_order_inventory) so availability is checked and updated in one
+ * statement; each call writes inventory_holds and inventory_movements.
+ * Batches are picked first-expired-first-out (see @/lib/inventoryExpiry).
+ * Receipts, adjustments and stock-takes (see @/lib/stockMovements) also run as
+ * database functions, so every change of stock on hand has a movement.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  AppError,
+  ERROR_CODES,
+  logError,
+  createValidationError,
+  parseSupabaseError
+} from '@/lib/errorHandler';
+import {
+  INVENTORY_HOLD_STATUS,
+  DEFAULT_HOLD_MINUTES,
+  normalizeHoldMinutes,
+  summarizeInventoryHolds
+} from '@/lib/inventoryHolds';
+import { STOCK_TAKE_STATUS, resolveAdjustment, validateReceiptLines } from '@/lib/stockMovements';
+
+export { INVENTORY_HOLD_STATUS, DEFAULT_HOLD_MINUTES };
+
+const HOLD_MINUTES_KEY = 'inventory_hold_minutes';
+
+/**
+ * Map errors raised by the inventory functions
+ * INSUFFICIENT_STOCK carries { product_id, inventory_id, requested, available } in details
+ * @param {Object} error - Supabase error
+ * @returns {AppError}
+ */
+const parseInventoryError = (error) => {
+  if (error?.message !== 'INSUFFICIENT_STOCK') {
+    return parseSupabaseError(error);
+  }
+
+  let detail = {};
+  try {
+    detail = JSON.parse(error.details || '{}');
+  } catch {
+    detail = {};
+  }
+
+  return new AppError(
+    `Insufficient stock. Available: ${detail.available ?? 0}, Requested: ${detail.requested ?? '?'}`,
+    ERROR_CODES.INSUFFICIENT_STOCK,
+    409,
+    {
+      productId: detail.product_id || null,
+      inventoryId: detail.inventory_id || null,
+      requested: detail.requested ?? null,
+      available: detail.available ?? null
+    }
+  );
+};
+
+// ============================================================================
+// ORDER RESERVATIONS
+// ============================================================================
+
+/**
+ * Reserve stock for a pending order (all lines or none)
+ * The database builds the holds from the order's own lines and reserves an
+ * order only once (again after it was cancelled and reopened).
+ * @param {string} orderId - Order ID (caller must own it or be admin)
+ * @returns {Promise<Array<Object>>} Created inventory_holds rows
+ * @throws {AppError} INSUFFICIENT_STOCK if a line cannot be covered, or if the order already holds stock
+ */
+export const reserveOrderInventory = async (orderId) => {
+  try {
+    if (!orderId) {
+      throw createValidationError({ orderId: 'Order ID is required' });
+    }
+
+    const { data, error } = await supabase.rpc('reserve_order_inventory', {
+      p_order_id: orderId
+    });
+
+    if (error) throw parseInventoryError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'reserveOrderInventory', orderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'reserveOrderInventory', orderId });
+    throw appError;
+  }
+};
+
+/**
+ * Give back every active hold of an order
+ * @param {string} orderId - Order ID
+ * @param {string} [reason='cancelled'] - Stored on the holds and the movements
+ * @returns {Promise<number>} Units released
+ * @throws {AppError} If database error
+ */
+export const releaseOrderInventory = async (orderId, reason = 'cancelled') => {
+  try {
+    if (!orderId) {
+      throw createValidationError({ orderId: 'Order ID is required' });
+    }
+
+    const { data, error } = await supabase.rpc('release_order_inventory', {
+      p_order_id: orderId,
+      p_reason: reason
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || 0;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'releaseOrderInventory', orderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'releaseOrderInventory', orderId });
+    throw appError;
+  }
+};
+
+/**
+ * Sell an order's stock when its payment is validated (Admin only)
+ * The database reads the order's own lines; held units are converted first and
+ * the rest is taken from free stock. A pending order is sold only once.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<number>} Units sold
+ * @throws {AppError} INSUFFICIENT_STOCK if free stock cannot cover the rest, or if the order was already sold
+ */
+export const consumeOrderInventory = async (orderId) => {
+  try {
+    if (!orderId) {
+      throw createValidationError({ orderId: 'Order ID is required' });
+    }
+
+    const { data, error } = await supabase.rpc('consume_order_inventory', {
+      p_order_id: orderId
+    });
+
+    if (error) throw parseInventoryError(error);
+
+    return data || 0;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'consumeOrderInventory', orderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'consumeOrderInventory', orderId });
+    throw appError;
+  }
+};
+
+/**
+ * Release holds of pending orders that expired without a payment proof
+ * Runs every five minutes through pg_cron; called before reserving so stale
+ * holds never block a checkout where pg_cron is not available.
+ * Graceful: never throws.
+ * @returns {Promise<number>} Units released
+ */
+export const expireInventoryHolds = async () => {
+  try {
+    const { data, error } = await supabase.rpc('expire_inventory_holds');
+    if (error) throw parseSupabaseError(error);
+    return data || 0;
+  } catch (error) {
+    logError(error, { operation: 'expireInventoryHolds' });
+    return 0;
+  }
+};
+
+// ============================================================================
+// HOLD WINDOW & OVERVIEW (Admin)
+// ============================================================================
+
+/**
+ * Minutes a pending order keeps its stock without a payment proof
+ * @returns {Promise<number>} Configured window or DEFAULT_HOLD_MINUTES
+ */
+export const getInventoryHoldMinutes = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('system_config')
+      .select('value_numeric')
+      .eq('key', HOLD_MINUTES_KEY)
+      .maybeSingle();
+
+    if (error) throw parseSupabaseError(error);
+
+    return normalizeHoldMinutes(data?.value_numeric) ?? DEFAULT_HOLD_MINUTES;
+  } catch (error) {
+    logError(error, { operation: 'getInventoryHoldMinutes' });
+    return DEFAULT_HOLD_MINUTES;
+  }
+};
+
+/**
+ * Change the hold window (Super admin only; enforced by RLS on system_config)
+ * Applies to holds created from now on.
+ * @param {number} minutes - New window
+ * @returns {Promise<number>} Saved value
+ * @throws {AppError} If the value is invalid or database error
+ */
+export const updateInventoryHoldMinutes = async (minutes) => {
+  try {
+    const value = normalizeHoldMinutes(minutes);
+    if (value === null) {
+      throw createValidationError({ minutes: 'Must be a number' }, 'Invalid hold window');
+    }
+
+    const { error } = await supabase
+      .from('system_config')
+      .upsert({
+        key: HOLD_MINUTES_KEY,
+        value_numeric: value,
+        is_public: true,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' });
+
+    if (error) throw parseSupabaseError(error);
+
+    return value;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'updateInventoryHoldMinutes', minutes });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'updateInventoryHoldMinutes', minutes });
+    throw appError;
+  }
+};
+
+/**
+ * Active holds with their orders (Admin only)
+ * @returns {Promise<{holds: Array<Object>, summary: Object}>} summary from summarizeInventoryHolds()
+ * @throws {AppError} If database error
+ */
+export const getActiveInventoryHolds = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('inventory_holds')
+      .select('id, order_id, inventory_id, product_id, quantity, status, expires_at, created_at, orders (order_number, status, payment_status)')
+      .eq('status', INVENTORY_HOLD_STATUS.ACTIVE)
+      .order('expires_at', { ascending: true });
+
+    if (error) throw parseSupabaseError(error);
+
+    const holds = data || [];
+    return { holds, summary: summarizeInventoryHolds(holds) };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getActiveInventoryHolds' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getActiveInventoryHolds' });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// BATCHES (Admin)
+// ============================================================================
+
+/**
+ * Active inventory batches with their product, first-expired-first-out
+ * @returns {Promise<Array<Object>>} inventory rows with products (name_es, name_en, sku, category_id, min_stock_alert)
+ * @throws {AppError} If database error
+ */
+export const getInventoryBatches = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('inventory')
+      .select('*, products (name_es, name_en, sku, category_id, min_stock_alert)')
+      .eq('is_active', true)
+      .order('expiry_date', { ascending: true, nullsFirst: false })
+      .order('received_date', { ascending: true, nullsFirst: false });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getInventoryBatches' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getInventoryBatches' });
+    throw appError;
+  }
+};
+
+/**
+ * Active batches of one product, first-expired-first-out
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array<Object>>} inventory rows
+ * @throws {AppError} If database error
+ */
+export const getProductBatches = async (productId) => {
+  try {
+    if (!productId) {
+      throw createValidationError({ productId: 'Product ID is required' });
+    }
+
+    const { data, error } = await supabase
+      .from('inventory')
+      .select('*')
+      .eq('product_id', productId)
+      .eq('is_active', true)
+      .order('expiry_date', { ascending: true, nullsFirst: false })
+      .order('received_date', { ascending: true, nullsFirst: false });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getProductBatches', productId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getProductBatches', productId });
+    throw appError;
+  }
+};
+
+/**
+ * Units available (not reserved) per product across active batches
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Map<string, number>>} product_id → available units
+ * @throws {AppError} If database error
+ */
+export const getAvailableStockByProduct = async (productIds = []) => {
+  try {
+    const stock = new Map();
+    if (productIds.length === 0) return stock;
+
+    const { data, error } = await supabase
+      .from('inventory')
+      .select('product_id, available_quantity')
+      .in('product_id', productIds)
+      .eq('is_active', true);
+
+    if (error) throw parseSupabaseError(error);
+
+    (data || []).forEach(row => {
+      stock.set(row.product_id, (stock.get(row.product_id) || 0) + (row.available_quantity || 0));
+    });
+
+    return stock;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getAvailableStockByProduct', productCount: productIds.length });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getAvailableStockByProduct', productCount: productIds.length });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// RECEIVING & ADJUSTMENTS (Admin)
+// ============================================================================
+
+/**
+ * Record a purchase receipt; each line becomes a new batch
+ * @param {Object} receipt
+ * @param {string} receipt.supplierName - Supplier (required)
+ * @param {string} [receipt.supplierReference] - Invoice / delivery note number
+ * @param {string} [receipt.receivedDate] - YYYY-MM-DD (default: today)
+ * @param {string} [receipt.notes]
+ * @param {Array<Object>} receipt.lines - [{ productId, quantity, costPerUnit, batchNumber, expiryDate }]
+ * @returns {Promise<Object>} stock_receipts row (total_units, total_cost)
+ * @throws {AppError} VALIDATION_FAILED with per-line errors
+ */
+export const receiveStock = async ({ supplierName, supplierReference, receivedDate, notes, lines }) => {
+  try {
+    const { lines: normalized, errors } = validateReceiptLines(lines);
+    if (!supplierName?.trim()) errors.supplierName = 'required';
+    if (Object.keys(errors).length > 0) {
+      throw createValidationError(errors, 'Invalid stock receipt');
+    }
+
+    const { data, error } = await supabase.rpc('receive_stock', {
+      p_supplier_name: supplierName.trim(),
+      p_supplier_reference: supplierReference || null,
+      p_received_date: receivedDate || null,
+      p_notes: notes || null,
+      p_lines: normalized
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'receiveStock', supplierName });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'receiveStock', supplierName });
+    throw appError;
+  }
+};
+
+/**
+ * Adjust one batch with a reason code
+ * @param {string} inventoryId - Batch ID
+ * @param {string} reason - Key of ADJUSTMENT_REASONS (@/lib/stockMovements)
+ * @param {number} quantity - Units; the reason decides the sign except for corrections
+ * @param {string} [notes]
+ * @returns {Promise<Object>} Updated inventory row
+ * @throws {AppError} INSUFFICIENT_STOCK if the batch would drop below its reserved units
+ */
+export const adjustInventoryStock = async (inventoryId, reason, quantity, notes = '') => {
+  try {
+    const adjustment = resolveAdjustment(reason, quantity);
+    if (!inventoryId || !adjustment) {
+      throw createValidationError({
+        ...(!inventoryId && { inventoryId: 'required' }),
+        ...(!adjustment && { quantity: 'invalid' })
+      }, 'Invalid stock adjustment');
+    }
+
+    const { data, error } = await supabase.rpc('adjust_inventory_stock', {
+      p_inventory_id: inventoryId,
+      p_quantity_change: adjustment.quantityChange,
+      p_reason: reason,
+      p_notes: notes || null
+    });
+
+    if (error) throw parseInventoryError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'adjustInventoryStock', inventoryId, reason });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'adjustInventoryStock', inventoryId, reason });
+    throw appError;
+  }
+};
+
+/**
+ * Movements of a product's batches, newest first
+ * @param {string} productId - Product ID
+ * @param {number} [limit=100]
+ * @returns {Promise<Array<Object>>} inventory_movements rows with inventory (batch_number)
+ * @throws {AppError} If database error
+ */
+export const getProductMovements = async (productId, limit = 100) => {
+  try {
+    const { data, error } = await supabase
+      .from('inventory_movements')
+      .select('*, inventory!inner (product_id, batch_number)')
+      .eq('inventory.product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getProductMovements', productId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getProductMovements', productId });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// STOCK-TAKE (Admin)
+// ============================================================================
+
+/**
+ * Open stock-take with its lines, or null
+ * @returns {Promise<{stockTake: Object, lines: Array<Object>}|null>}
+ *   lines carry products (name_es, name_en, sku) and inventory (batch_number, cost_per_unit, expiry_date)
+ * @throws {AppError} If database error
+ */
+export const getOpenStockTake = async () => {
+  try {
+    const { data: stockTake, error } = await supabase
+      .from('stock_takes')
+      .select('*')
+      .eq('status', STOCK_TAKE_STATUS.OPEN)
+      .maybeSingle();
+
+    if (error) throw parseSupabaseError(error);
+    if (!stockTake) return null;
+
+    const { data: lines, error: linesError } = await supabase
+      .from('stock_take_lines')
+      .select('*, products (name_es, name_en, sku), inventory (batch_number, cost_per_unit, expiry_date)')
+      .eq('stock_take_id', stockTake.id)
+      .order('product_id', { ascending: true });
+
+    if (linesError) throw parseSupabaseError(linesError);
+
+    return {
+      stockTake,
+      lines: (lines || []).map(line => ({ ...line, cost_per_unit: line.inventory?.cost_per_unit ?? null }))
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getOpenStockTake' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getOpenStockTake' });
+    throw appError;
+  }
+};
+
+/**
+ * Open a stock-take (snapshot of system quantities)
+ * @param {string|null} [categoryId] - Count only one category
+ * @param {string} [notes]
+ * @returns {Promise<Object>} stock_takes row
+ * @throws {AppError} If another stock-take is open
+ */
+export const startStockTake = async (categoryId = null, notes = '') => {
+  try {
+    const { data, error } = await supabase.rpc('start_stock_take', {
+      p_category_id: categoryId || null,
+      p_notes: notes || null
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'startStockTake', categoryId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'startStockTake', categoryId });
+    throw appError;
+  }
+};
+
+/**
+ * Record the counted quantity of a line (null clears it)
+ * @param {string} lineId - stock_take_lines ID
+ * @param {number|string|null} counted - Units counted
+ * @param {string} [notes]
+ * @returns {Promise<Object>} Updated line (variance = counted − system)
+ */
+export const recordStockCount = async (lineId, counted, notes = '') => {
+  try {
+    const value = counted === '' || counted === null || counted === undefined ? null : Number(counted);
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw createValidationError({ counted: 'Counted quantity must be a whole number ≥ 0' });
+    }
+
+    const { data, error } = await supabase.rpc('record_stock_count', {
+      p_line_id: lineId,
+      p_counted: value,
+      p_notes: notes || null
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'recordStockCount', lineId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'recordStockCount', lineId });
+    throw appError;
+  }
+};
+
+/**
+ * Apply the counted lines of a stock-take and close it
+ * @param {string} stockTakeId
+ * @returns {Promise<Object>} Closed stock_takes row (lines_counted, units_variance)
+ * @throws {AppError} INSUFFICIENT_STOCK if a count leaves a batch below its reserved units
+ */
+export const completeStockTake = async (stockTakeId) => {
+  try {
+    const { data, error } = await supabase.rpc('complete_stock_take', { p_stock_take_id: stockTakeId });
+
+    if (error) throw parseInventoryError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'completeStockTake', stockTakeId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'completeStockTake', stockTakeId });
+    throw appError;
+  }
+};
+
+/**
+ * Discard an open stock-take without touching stock
+ * @param {string} stockTakeId
+ * @returns {Promise<Object>} Closed stock_takes row
+ */
+export const cancelStockTake = async (stockTakeId) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_stock_take', { p_stock_take_id: stockTakeId });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'cancelStockTake', stockTakeId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'cancelStockTake', stockTakeId });
+    throw appError;
+  }
+};
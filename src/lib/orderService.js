@@ -11,12 +11,29 @@ import {
   createValidationError,
   createNotFoundError,
   parseSupabaseError,
-  createPermissionError,
+  createTransitionError,
   ERROR_CODES
 } from './errorHandler';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  ORDER_ACTIONS,
+  assertOrderTransition,
+  getOrderTransitionUpdates,
+  getNextOrderStatuses
+} from './orderStateMachine';
 import { logActivity } from './activityLogger';
 import { getUserCategoryWithDiscount } from './orderDiscountService';
 import { ZELLE_STATUS, ZELLE_TRANSACTION_TYPES, upsertZelleTransactionStatus } from './zelleService';
+import { getConversionRateDetails } from './currencyService';
+import { buildComboComponents, resolveOrderComboComponents } from './comboAvailability';
+import {
+  reserveOrderInventory,
+  releaseOrderInventory,
+  consumeOrderInventory,
+  expireInventoryHolds,
+  getAvailableStockByProduct
+} from './inventoryService';
 
 const isValidUUID = (value) => {
   if (!value || typeof value !== 'string') return false;
@@ -52,127 +69,31 @@ const buildOrderPaymentMetadata = (order, metadata = {}) => ({
 });
 
 // ============================================================================
-// STATE MACHINE CONSTANTS
+// STATE MACHINE
 // ============================================================================
 
-/**
- * Valid order statuses
- */
-export const ORDER_STATUS = {
-  PENDING: 'pending',           // Initial state - waiting for payment validation
-  PROCESSING: 'processing',     // Payment validated - preparing for dispatch
-  DISPATCHED: 'dispatched',     // Order dispatched - in transit
-  DELIVERED: 'delivered',       // Order delivered - awaiting completion
-  COMPLETED: 'completed',       // Fully completed - no further actions
-  CANCELLED: 'cancelled'        // Cancelled - no longer valid
-};
-
-/**
- * Valid payment statuses
- */
-export const PAYMENT_STATUS = {
-  PENDING: 'pending',           // Awaiting proof upload
-  PROOF_UPLOADED: 'proof_uploaded', // Proof uploaded - awaiting validation
-  VALIDATED: 'validated',       // Payment confirmed by admin
-  REJECTED: 'rejected'          // Payment rejected - can retry
-};
-
-/**
- * State transition matrix - defines valid transitions
- * Format: currentStatus => allowedNextStatuses
- */
-const ORDER_TRANSITIONS = {
-  [ORDER_STATUS.PENDING]: [
-    ORDER_STATUS.PROCESSING,
-    ORDER_STATUS.CANCELLED
-  ],
-  [ORDER_STATUS.PROCESSING]: [
-    ORDER_STATUS.DISPATCHED,
-    ORDER_STATUS.CANCELLED
-  ],
-  [ORDER_STATUS.DISPATCHED]: [
-    ORDER_STATUS.DELIVERED
-  ],
-  [ORDER_STATUS.DELIVERED]: [
-    ORDER_STATUS.COMPLETED
-  ],
-  [ORDER_STATUS.COMPLETED]: [],     // Terminal state
-  [ORDER_STATUS.CANCELLED]: [
-    ORDER_STATUS.PENDING  // Allow reopening cancelled orders
-  ]
-};
-
-/**
- * Payment status transitions
- * Format: currentStatus => allowedNextStatuses
- */
-const PAYMENT_TRANSITIONS = {
-  [PAYMENT_STATUS.PENDING]: [
-    PAYMENT_STATUS.PROOF_UPLOADED,
-    PAYMENT_STATUS.REJECTED,
-    // Super admins can validate directly without proof
-    PAYMENT_STATUS.VALIDATED
-  ],
-  [PAYMENT_STATUS.PROOF_UPLOADED]: [
-    PAYMENT_STATUS.VALIDATED,
-    PAYMENT_STATUS.REJECTED,
-    PAYMENT_STATUS.PENDING  // Can reset if rejected
-  ],
-  [PAYMENT_STATUS.VALIDATED]: [],   // Terminal for payments
-  [PAYMENT_STATUS.REJECTED]: [
-    PAYMENT_STATUS.PENDING  // Can retry after rejection
-  ]
-};
-
-// ============================================================================
-// STATE MACHINE VALIDATION HELPERS
-// ============================================================================
+// ORDER_STATUS, PAYMENT_STATUS and the legal transitions live in orderStateMachine.js
+export { ORDER_STATUS, PAYMENT_STATUS, ORDER_ACTIONS };
 
 /**
- * Validate order status transition
+ * Validate a raw order status change (used by updateOrderStatus)
+ * Allowed edges are derived from ORDER_TRANSITIONS
  * @param {string} currentStatus - Current order status
  * @param {string} newStatus - Proposed new status
  * @throws {AppError} If transition is invalid
  */
 const validateOrderTransition = (currentStatus, newStatus) => {
-  if (!ORDER_STATUS[Object.keys(ORDER_STATUS).find(k => ORDER_STATUS[k] === currentStatus)]) {
+  if (!Object.values(ORDER_STATUS).includes(currentStatus)) {
     throw createValidationError({ status: `Invalid current status: ${currentStatus}` });
   }
 
-  if (!ORDER_STATUS[Object.keys(ORDER_STATUS).find(k => ORDER_STATUS[k] === newStatus)]) {
+  if (!Object.values(ORDER_STATUS).includes(newStatus)) {
     throw createValidationError({ status: `Invalid new status: ${newStatus}` });
   }
 
-  const allowedTransitions = ORDER_TRANSITIONS[currentStatus];
+  const allowedTransitions = getNextOrderStatuses(currentStatus);
   if (!allowedTransitions.includes(newStatus)) {
-    throw createValidationError(
-      { status: `Cannot transition from ${currentStatus} to ${newStatus}` },
-      `Invalid order status transition. From ${currentStatus}, you can only transition to: ${allowedTransitions.join(', ') || 'no further transitions allowed'}`
-    );
-  }
-};
-
-/**
- * Validate payment status transition
- * @param {string} currentStatus - Current payment status
- * @param {string} newStatus - Proposed new status
- * @throws {AppError} If transition is invalid
- */
-const validatePaymentTransition = (currentStatus, newStatus) => {
-  if (!PAYMENT_STATUS[Object.keys(PAYMENT_STATUS).find(k => PAYMENT_STATUS[k] === currentStatus)]) {
-    throw createValidationError({ payment_status: `Invalid current payment status: ${currentStatus}` });
-  }
-
-  if (!PAYMENT_STATUS[Object.keys(PAYMENT_STATUS).find(k => PAYMENT_STATUS[k] === newStatus)]) {
-    throw createValidationError({ payment_status: `Invalid new payment status: ${newStatus}` });
-  }
-
-  const allowedTransitions = PAYMENT_TRANSITIONS[currentStatus];
-  if (!allowedTransitions.includes(newStatus)) {
-    throw createValidationError(
-      { payment_status: `Cannot transition from ${currentStatus} to ${newStatus}` },
-      `Invalid payment status transition. From ${currentStatus}, you can only transition to: ${allowedTransitions.join(', ') || 'no further transitions allowed'}`
-    );
+    throw createTransitionError('Order', `set_status:${newStatus}`, currentStatus, allowedTransitions);
   }
 };
 
@@ -252,30 +173,133 @@ const getUserEmail = async (userId) => {
   }
 };
 
+/**
+ * Get user role by user ID for role-restricted transitions
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Role or null if it cannot be resolved
+ */
+const getUserRole = async (userId) => {
+  if (!userId) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('role')
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      console.warn(`[getUserRole] Could not fetch role for user ${userId}:`, error);
+      return null;
+    }
+
+    return data.role;
+  } catch (err) {
+    console.warn(`[getUserRole] Error fetching role for ${userId}:`, err);
+    return null;
+  }
+};
+
+/**
+ * Resolve the exchange_rates row used to price an order (base → order currency)
+ * Audit only: never blocks order creation.
+ * @param {string} currencyId - Order currency UUID
+ * @returns {Promise<string|null>} exchange_rates.id or null (base currency / official fallback)
+ */
+const resolveOrderExchangeRateId = async (currencyId) => {
+  if (!currencyId) return null;
+
+  try {
+    const { data: baseCurrency } = await supabase
+      .from('currencies')
+      .select('id')
+      .eq('is_base', true)
+      .maybeSingle();
+
+    if (!baseCurrency || baseCurrency.id === currencyId) return null;
+
+    const { rateId } = await getConversionRateDetails(baseCurrency.id, currencyId);
+    return rateId;
+  } catch (err) {
+    logError(err, { operation: 'createOrder - resolve exchange rate', currencyId });
+    return null;
+  }
+};
+
 // ============================================================================
 // ORDER CREATION
 // ============================================================================
 
+/**
+ * Products each combo line of a new order takes
+ * Components and their approved substitutes (combo_item_substitutes) are
+ * resolved against live stock; product lines are served first.
+ * @param {Array<Object>} items - createOrder items
+ * @returns {Promise<Array<Array<Object>|null>>} combo_components per item (null for non-combo lines)
+ */
+const resolveComboLines = async (items) => {
+  const comboIds = [...new Set(items.filter(item => item.itemType === 'combo').map(item => item.itemId))];
+  if (comboIds.length === 0) return items.map(() => null);
+
+  const [itemsResult, substitutesResult] = await Promise.all([
+    supabase
+      .from('combo_items')
+      .select('combo_id, product_id, quantity')
+      .in('combo_id', comboIds),
+    supabase
+      .from('combo_item_substitutes')
+      .select('combo_id, product_id, substitute_product_id, priority, allow_partial')
+      .in('combo_id', comboIds)
+  ]);
+
+  if (itemsResult.error) {
+    const appError = parseSupabaseError(itemsResult.error);
+    logError(appError, { operation: 'createOrder - fetch combos', comboCount: comboIds.length });
+    throw appError;
+  }
+
+  if (substitutesResult.error) {
+    // Without substitutes the combo still reserves its own components
+    logError(parseSupabaseError(substitutesResult.error), { operation: 'createOrder - fetch combo substitutes' });
+  }
+
+  const comboComponents = new Map(comboIds.map(comboId => [
+    comboId,
+    buildComboComponents(
+      (itemsResult.data || []).filter(row => row.combo_id === comboId),
+      (substitutesResult.data || []).filter(row => row.combo_id === comboId)
+    )
+  ]));
+
+  const productIds = new Set(items.filter(item => item.itemType === 'product').map(item => item.itemId));
+  comboComponents.forEach(components => components.forEach(component => {
+    productIds.add(component.product_id);
+    component.substitutes.forEach(sub => productIds.add(sub.product_id));
+  }));
+
+  const stock = await getAvailableStockByProduct([...productIds]);
+  return resolveOrderComboComponents(items, comboComponents, stock);
+};
+
 /**
  * Create new order with items and inventory reservation
- * Validates initial state, reserves inventory, creates order and order items atomically
+ * Validates initial state, reserves inventory, creates order and order items
  *
- * TRANSACTION BOUNDARY (for future DB transaction wrapper support):
- * BEGIN TRANSACTION
+ * Steps:
  *   1. Insert order record
  *   2. Insert order_items records (all at once)
- *   3. Update inventory reserved_quantity for all products (batch)
- *   4. Insert inventory_movements records (batch logging)
- * COMMIT TRANSACTION
+ *   3. Reserve stock for all product lines and combo components (reserve_order_inventory: reads
+ *      the stored lines, checks availability and reserves in one DB transaction, first-expired-first-out
+ *      across batches; writes inventory_holds with an expiry, inventory_movements
+ *      and order_items.batch_allocations)
  *
- * If any step fails, rollback all changes.
- * Current implementation: Supabase doesn't support explicit transactions,
- * so we batch operations where possible and fail loudly on errors.
+ * If step 3 fails nothing is reserved and the order is cancelled.
+ * Holds of an order that gets no payment proof expire (expire_inventory_holds).
  *
  * @param {Object} orderData - Order information
  * @param {Array} items - Order items (products, combos, remittances)
- * @throws {AppError} If validation fails, creation fails, or inventory reservation fails
- * @returns {Promise<Object>} Created order with items
+ * @throws {AppError} If validation fails, creation fails, or INSUFFICIENT_STOCK
+ * @returns {Promise<Object>} Created order with items and inventory holds
  */
 export const createOrder = async (orderData, items) => {
   try {
@@ -306,6 +330,7 @@ export const createOrder = async (orderData, items) => {
       tax_amount: orderData.taxAmount || 0,
       total_amount: orderData.totalAmount,
       currency_id: orderData.currencyId,
+      exchange_rate_id: orderData.exchangeRateId || await resolveOrderExchangeRateId(orderData.currencyId),
       shipping_address: orderData.shippingAddress || null,
       recipient_info: orderData.recipientInfo || null,
       delivery_instructions: orderData.deliveryInstructions || '',
@@ -319,6 +344,10 @@ export const createOrder = async (orderData, items) => {
       offer_id: orderData.offerId || null
     };
 
+    // Combo lines take real component stock: resolve components and approved
+    // substitutes against live stock before anything is written
+    const comboLineComponents = await resolveComboLines(items);
+
     // ATOMIC: Insert order
     const { data: createdOrder, error: orderError } = await supabase
       .from('orders')
@@ -333,7 +362,7 @@ export const createOrder = async (orderData, items) => {
     }
 
     // ATOMIC: Prepare and insert order items
-    const orderItems = items.map(item => ({
+    const orderItems = items.map((item, index) => ({
       order_id: createdOrder.id,
       item_type: item.itemType,
       item_id: item.itemId,
@@ -345,7 +374,8 @@ export const createOrder = async (orderData, items) => {
       inventory_id: item.inventoryId || null,
       remittance_amount: item.remittanceAmount || null,
       exchange_rate: item.exchangeRate || null,
-      recipient_data: item.recipientData || null
+      recipient_data: item.recipientData || null,
+      combo_components: comboLineComponents[index]
     }));
 
     const { data: createdItems, error: itemsError } = await supabase
@@ -359,67 +389,29 @@ export const createOrder = async (orderData, items) => {
       throw appError;
     }
 
-    // ATOMIC: Reserve inventory for all products in parallel (not sequential)
-    // This reduces N queries from O(n) sequential to single batch operation
-    const inventoryReservations = items
-      .filter(item => item.itemType === 'product' && item.inventoryId)
-      .map(item => ({ id: item.inventoryId, quantity: item.quantity }));
-
-    if (inventoryReservations.length > 0) {
-      // Batch fetch all inventory records
-      const inventoryIds = inventoryReservations.map(r => r.id);
-      const { data: inventoryRecords, error: fetchError } = await supabase
-        .from('inventory')
-        .select('id, reserved_quantity')
-        .in('id', inventoryIds);
-
-      if (fetchError) {
-        const appError = parseSupabaseError(fetchError);
-        logError(appError, { operation: 'createOrder - fetch inventory', orderId: createdOrder.id });
-        throw appError;
-      }
-
-      // Build update operations for all inventory records
-      const inventoryMap = new Map(inventoryRecords.map(inv => [inv.id, inv]));
-      const updatePromises = inventoryReservations.map(async (res) => {
-        const current = inventoryMap.get(res.id);
-        if (current) {
-          const newReserved = (current.reserved_quantity || 0) + res.quantity;
-          return supabase
-            .from('inventory')
-            .update({ reserved_quantity: newReserved })
-            .eq('id', res.id);
-        }
-      });
+    // ATOMIC: Reserve stock for all product lines and combo components in one DB transaction
+    // (batches first-expired-first-out, recorded in order_items.batch_allocations)
+    // Free stale holds first in case pg_cron is not running
+    await expireInventoryHolds();
 
-      const updateResults = await Promise.all(updatePromises);
-      const hasError = updateResults.some(result => result.error);
-      if (hasError) {
-        const errorResult = updateResults.find(result => result.error);
-        const appError = parseSupabaseError(errorResult.error);
-        logError(appError, { operation: 'createOrder - update inventory', orderId: createdOrder.id });
-        throw appError;
-      }
-
-      // Log all inventory movements in single insert
-      const movements = inventoryReservations.map(res => ({
-        inventory_id: res.id,
-        movement_type: 'reserved',
-        quantity_change: -res.quantity,
-        reference_type: 'order',
-        reference_id: createdOrder.id,
-        notes: `Reserved for order ${orderNumber}`
-      }));
-
-      const { error: movementError } = await supabase
-        .from('inventory_movements')
-        .insert(movements);
-
-      if (movementError) {
-        const appError = parseSupabaseError(movementError);
-        logError(appError, { operation: 'createOrder - log inventory movements', orderId: createdOrder.id });
-        // Don't fail order creation if logging fails
+    let holds = [];
+    try {
+      holds = await reserveOrderInventory(createdOrder.id);
+    } catch (reserveError) {
+      // Nothing was reserved; keep the order out of the pending queue
+      const { error: cancelError } = await supabase
+        .from('orders')
+        .update({
+          status: ORDER_STATUS.CANCELLED,
+          rejection_reason: reserveError.code === ERROR_CODES.INSUFFICIENT_STOCK ? 'insufficient_stock' : 'inventory_reservation_failed',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', createdOrder.id);
+
+      if (cancelError) {
+        logError(cancelError, { operation: 'createOrder - cancel after failed reservation', orderId: createdOrder.id });
       }
+      throw reserveError;
     }
 
     // Activity log (best effort) - get email for proper logging
@@ -443,7 +435,8 @@ export const createOrder = async (orderData, items) => {
 
     return {
       ...createdOrder,
-      items: createdItems
+      items: createdItems,
+      inventoryHolds: holds
     };
   } catch (error) {
     if (error.code) throw error;
@@ -454,237 +447,6 @@ export const createOrder = async (orderData, items) => {
   }
 };
 
-// ============================================================================
-// INVENTORY MANAGEMENT (PRIVATE HELPERS)
-// ============================================================================
-
-/**
- * Reserve inventory for order
- * @param {string} inventoryId - Inventory record ID
- * @param {number} quantity - Quantity to reserve
- * @throws {AppError} If fetch or update fails
- */
-const reserveInventory = async (inventoryId, quantity) => {
-  try {
-    if (!inventoryId || quantity <= 0) {
-      throw createValidationError({
-        inventoryId: !inventoryId ? 'Inventory ID is required' : undefined,
-        quantity: quantity <= 0 ? 'Quantity must be greater than 0' : undefined
-      });
-    }
-
-    // Get current inventory
-    const { data: inventory, error: fetchError } = await supabase
-      .from('inventory')
-      .select('reserved_quantity')
-      .eq('id', inventoryId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'reserveInventory - fetch', inventoryId });
-      throw appError;
-    }
-
-    if (!inventory) {
-      throw createNotFoundError('Inventory', inventoryId);
-    }
-
-    // Update reserved quantity
-    const newReserved = (inventory.reserved_quantity || 0) + quantity;
-
-    const { error: updateError } = await supabase
-      .from('inventory')
-      .update({ reserved_quantity: newReserved })
-      .eq('id', inventoryId);
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'reserveInventory - update', inventoryId });
-      throw appError;
-    }
-
-    // Log inventory movement (graceful fallback if fails)
-    try {
-      await supabase
-        .from('inventory_movements')
-        .insert({
-          inventory_id: inventoryId,
-          movement_type: 'reserved',
-          quantity_change: -quantity,
-          reference_type: 'order',
-          notes: 'Reserved for order'
-        });
-    } catch (logError) {
-      logError(logError, { operation: 'reserveInventory - log movement', inventoryId });
-    }
-  } catch (error) {
-    if (error.code) throw error;
-    const appError = handleError(error, ERROR_CODES.INTERNAL_SERVER_ERROR, {
-      operation: 'reserveInventory',
-      inventoryId
-    });
-    throw appError;
-  }
-};
-
-/**
- * Release reserved inventory (when order is rejected/cancelled)
- * @param {string} inventoryId - Inventory record ID
- * @param {number} quantity - Quantity to release
- * @throws {AppError} If fetch or update fails
- */
-const releaseInventory = async (inventoryId, quantity) => {
-  try {
-    if (!inventoryId || quantity <= 0) {
-      throw createValidationError({
-        inventoryId: !inventoryId ? 'Inventory ID is required' : undefined,
-        quantity: quantity <= 0 ? 'Quantity must be greater than 0' : undefined
-      });
-    }
-
-    // Get current inventory
-    const { data: inventory, error: fetchError } = await supabase
-      .from('inventory')
-      .select('reserved_quantity')
-      .eq('id', inventoryId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'releaseInventory - fetch', inventoryId });
-      throw appError;
-    }
-
-    if (!inventory) {
-      throw createNotFoundError('Inventory', inventoryId);
-    }
-
-    // Update reserved quantity (ensure non-negative)
-    const newReserved = Math.max(0, (inventory.reserved_quantity || 0) - quantity);
-
-    const { error: updateError } = await supabase
-      .from('inventory')
-      .update({ reserved_quantity: newReserved })
-      .eq('id', inventoryId);
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'releaseInventory - update', inventoryId });
-      throw appError;
-    }
-
-    // Log inventory movement (graceful fallback if fails)
-    try {
-      await supabase
-        .from('inventory_movements')
-        .insert({
-          inventory_id: inventoryId,
-          movement_type: 'released',
-          quantity_change: quantity,
-          reference_type: 'order',
-          notes: 'Released from rejected/cancelled order'
-        });
-    } catch (movementError) {
-      logError(movementError, { operation: 'releaseInventory - log movement', inventoryId });
-    }
-  } catch (error) {
-    if (error.code) throw error;
-    const appError = handleError(error, ERROR_CODES.INTERNAL_SERVER_ERROR, {
-      operation: 'releaseInventory',
-      inventoryId
-    });
-    throw appError;
-  }
-};
-
-/**
- * Reduce inventory quantity (when payment is validated)
- * @param {string} inventoryId - Inventory record ID
- * @param {number} quantity - Quantity to reduce
- * @throws {AppError} If fetch, validation, or update fails
- */
-const reduceInventory = async (inventoryId, quantity) => {
-  try {
-    if (!inventoryId || quantity <= 0) {
-      throw createValidationError({
-        inventoryId: !inventoryId ? 'Inventory ID is required' : undefined,
-        quantity: quantity <= 0 ? 'Quantity must be greater than 0' : undefined
-      });
-    }
-
-    // Get current inventory
-    const { data: inventory, error: fetchError } = await supabase
-      .from('inventory')
-      .select('quantity, reserved_quantity, available_quantity')
-      .eq('id', inventoryId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'reduceInventory - fetch', inventoryId });
-      throw appError;
-    }
-
-    if (!inventory) {
-      throw createNotFoundError('Inventory', inventoryId);
-    }
-
-    const availableStock =
-      inventory.available_quantity ??
-      (inventory.quantity ?? 0) - (inventory.reserved_quantity ?? 0);
-
-    // Validate sufficient stock
-    if (availableStock < quantity) {
-      throw createValidationError(
-        { quantity: `Insufficient stock. Available: ${availableStock}, Requested: ${quantity}` },
-        ERROR_CODES.INSUFFICIENT_STOCK
-      );
-    }
-
-    // Reduce both actual and reserved quantities
-    const newQuantity = (inventory.quantity ?? availableStock) - quantity;
-    const newReserved = Math.max(0, (inventory.reserved_quantity || 0) - quantity);
-
-    const { error: updateError } = await supabase
-      .from('inventory')
-      .update({
-        quantity: newQuantity,
-        reserved_quantity: newReserved,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', inventoryId);
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'reduceInventory - update', inventoryId });
-      throw appError;
-    }
-
-    // Log inventory movement (graceful fallback if fails)
-    try {
-      await supabase
-        .from('inventory_movements')
-        .insert({
-          inventory_id: inventoryId,
-          movement_type: 'sold',
-          quantity_change: -quantity,
-          reference_type: 'order',
-          notes: 'Sold - payment validated'
-        });
-    } catch (movementError) {
-      logError(movementError, { operation: 'reduceInventory - log movement', inventoryId });
-    }
-  } catch (error) {
-    if (error.code) throw error;
-    const appError = handleError(error, ERROR_CODES.INTERNAL_SERVER_ERROR, {
-      operation: 'reduceInventory',
-      inventoryId
-    });
-    throw appError;
-  }
-};
-
 // ============================================================================
 // ORDER RETRIEVAL
 // ============================================================================
@@ -1032,19 +794,17 @@ export const getPendingOrdersCount = async () => {
  * CRITICAL: Requires payment_status === 'proof_uploaded' and order.status === 'pending'
  * Handles both direct products and combo items by batching product lookups
  *
- * TRANSACTION BOUNDARY (for future DB transaction wrapper support):
- * BEGIN TRANSACTION
+ * Steps:
  *   1. Fetch order and validate state (status === pending, payment_status === proof_uploaded)
- *   2. Batch fetch all combo_items for combo order items (N+1 optimization)
- *   3. Batch fetch all products for combo items (N+1 optimization)
- *   4. Calculate all inventory reductions (direct products + combo product quantities)
- *   5. Execute all inventory reductions in parallel (Promise.all)
- *   6. Update order status to PROCESSING and payment_status to VALIDATED
- *   7. Log order status history (graceful fallback if fails)
- * COMMIT TRANSACTION
+ *   2. Sell the stock in one DB transaction (consume_order_inventory): reads the
+ *      stored lines, converts held units and takes the rest (expired holds) from
+ *      free stock; an order is sold once, a second validation fails here
+ *   3. Update order status to PROCESSING and payment_status to VALIDATED, only
+ *      if the status is still the one read in step 1
+ *   4. Log order status history (graceful fallback if fails)
  *
- * If any critical step (1-6) fails, rollback all inventory changes.
- * Logging failure (step 7) doesn't rollback - logging is non-critical.
+ * If step 2 fails (INSUFFICIENT_STOCK) nothing is sold and the order is not validated.
+ * Logging failure (step 4) doesn't rollback - logging is non-critical.
  *
  * @param {string} orderId - Order ID
  * @param {string} adminId - Admin user ID
@@ -1078,28 +838,30 @@ export const validatePayment = async (orderId, adminId) => {
     }
 
     // CRITICAL: Validate state machine - only pending orders with proof uploaded
-    // Only validate transition if we're not already in the target state
-    if (order.status !== ORDER_STATUS.PROCESSING) {
-      validateOrderTransition(order.status, ORDER_STATUS.PROCESSING);
-    }
-    if (order.payment_status !== PAYMENT_STATUS.VALIDATED) {
-      validatePaymentTransition(order.payment_status, PAYMENT_STATUS.VALIDATED);
-    }
+    // (super admins may validate a pending payment without proof)
+    const role = order.payment_status === PAYMENT_STATUS.PENDING ? await getUserRole(adminId) : null;
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.VALIDATE_PAYMENT, { role });
+
+    // ATOMIC: Sell held stock (and free stock for the rest) before validating
+    await consumeOrderInventory(orderId);
 
     // ATOMIC: Update order status
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        payment_status: PAYMENT_STATUS.VALIDATED,
-        status: ORDER_STATUS.PROCESSING,
+        ...getOrderTransitionUpdates(transition),
         validated_by: adminId,
         validated_at: new Date().toISOString()
       })
       .eq('id', orderId)
+      .eq('status', order.status)
       .select()
       .single();
 
     if (updateError) {
+      if (updateError.code === 'PGRST116') {
+        throw createTransitionError('Order', transition.action, order.status, transition.from);
+      }
       const appError = parseSupabaseError(updateError);
       logError(appError, { operation: 'validatePayment - update', orderId });
       throw appError;
@@ -1120,93 +882,6 @@ export const validatePayment = async (orderId, adminId) => {
       })
     });
 
-    // OPTIMIZE: Fix N³ problem - batch fetch all combo items and products at once
-    // instead of nested loops within order items
-    const comboItemIds = order.order_items
-      .filter(item => item.item_type === 'combo')
-      .map(item => item.item_id);
-
-    let comboItemsMap = new Map();
-    let productsMap = new Map();
-
-    if (comboItemIds.length > 0) {
-      // Batch fetch all combo items
-      const { data: comboItems, error: comboError } = await supabase
-        .from('combo_items')
-        .select('combo_id, product_id, quantity')
-        .in('combo_id', comboItemIds);
-
-      if (comboError) {
-        const appError = parseSupabaseError(comboError);
-        logError(appError, { operation: 'validatePayment - fetch combos', orderId });
-        throw appError;
-      }
-
-      // Build map of combo_id => combo_items for efficient lookup
-      if (comboItems) {
-        comboItems.forEach(item => {
-          if (!comboItemsMap.has(item.combo_id)) {
-            comboItemsMap.set(item.combo_id, []);
-          }
-          comboItemsMap.get(item.combo_id).push(item);
-        });
-
-        // Batch fetch inventory records for all products referenced by combo items
-        const productIds = [...new Set(comboItems.map(item => item.product_id))];
-        if (productIds.length > 0) {
-          const { data: inventories, error: inventoriesError } = await supabase
-            .from('inventory')
-            .select('id, product_id')
-            .in('product_id', productIds);
-
-          if (inventoriesError) {
-            const appError = parseSupabaseError(inventoriesError);
-            logError(appError, { operation: 'validatePayment - fetch inventory', orderId });
-            throw appError;
-          }
-
-          // Build map of product_id => inventory for efficient lookup
-          if (inventories) {
-            inventories.forEach(inventory => {
-              productsMap.set(inventory.product_id, { inventory_id: inventory.id });
-            });
-          }
-        }
-      }
-    }
-
-    // ATOMIC: Reduce inventory for all items
-    // Collect all inventory reduction operations
-    const inventoryReductions = [];
-
-    for (const item of order.order_items) {
-      if (item.item_type === 'product' && item.inventory_id) {
-        // Direct product
-        inventoryReductions.push({ inventoryId: item.inventory_id, quantity: item.quantity });
-      } else if (item.item_type === 'combo' && item.item_id) {
-        // Combo - get items from batched data
-        const comboItems = comboItemsMap.get(item.item_id) || [];
-        for (const comboItem of comboItems) {
-          const product = productsMap.get(comboItem.product_id);
-          if (product?.inventory_id) {
-            // Reduce inventory: combo quantity * item quantity in combo
-            inventoryReductions.push({
-              inventoryId: product.inventory_id,
-              quantity: item.quantity * comboItem.quantity
-            });
-          }
-        }
-      }
-    }
-
-    // Execute all inventory reductions in parallel
-    if (inventoryReductions.length > 0) {
-      const reductionPromises = inventoryReductions.map(reduction =>
-        reduceInventory(reduction.inventoryId, reduction.quantity)
-      );
-      await Promise.all(reductionPromises);
-    }
-
     // Log status change (graceful fallback if fails)
     try {
       await supabase
@@ -1214,7 +889,7 @@ export const validatePayment = async (orderId, adminId) => {
         .insert({
           order_id: orderId,
           previous_status: order.status,
-          new_status: ORDER_STATUS.PROCESSING,
+          new_status: transition.to.status,
           changed_by: adminId,
           notes: 'Payment validated by admin'
         });
@@ -1304,29 +979,14 @@ export const rejectPayment = async (orderId, adminId, rejectionReason) => {
       throw createNotFoundError('Order', orderId);
     }
 
-    // CRITICAL: Validate state - only pending orders can have payment rejected
-    if (order.status !== ORDER_STATUS.PENDING) {
-      throw createValidationError(
-        { status: `Current order status is ${order.status}, but must be ${ORDER_STATUS.PENDING}` },
-        'Payment can only be rejected for pending orders'
-      );
-    }
-
-    // Allow rejecting payments that are either PENDING or have PROOF_UPLOADED
-    if (order.payment_status !== PAYMENT_STATUS.PROOF_UPLOADED &&
-        order.payment_status !== PAYMENT_STATUS.PENDING) {
-      throw createValidationError(
-        { payment_status: `Cannot reject payment with status ${order.payment_status}` },
-        'El pago solo puede rechazarse si está pendiente o tiene comprobante subido'
-      );
-    }
+    // CRITICAL: Validate state - only pending orders whose payment is pending or has proof uploaded
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.REJECT_PAYMENT, { reason: rejectionReason });
 
     // ATOMIC: Update order status (keep pending so user can retry with new proof)
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        payment_status: PAYMENT_STATUS.REJECTED,
-        status: ORDER_STATUS.PENDING,
+        ...getOrderTransitionUpdates(transition),
         validated_by: adminId,
         validated_at: new Date().toISOString(),
         rejection_reason: rejectionReason
@@ -1348,7 +1008,7 @@ export const rejectPayment = async (orderId, adminId, rejectionReason) => {
         .insert({
           order_id: orderId,
           previous_status: order.status,
-          new_status: ORDER_STATUS.PENDING,
+          new_status: transition.to.status,
           changed_by: adminId,
           notes: `Payment rejected: ${rejectionReason}`
         });
@@ -1537,18 +1197,8 @@ export const uploadPaymentProof = async (file, orderId, userId, paymentReference
       throw createNotFoundError('Order', orderId);
     }
 
-    // Authorize - user must own the order
-    if (order.user_id !== userId) {
-      throw createPermissionError('upload proof for this order', 'owner');
-    }
-
-    // Validate order state - can only upload proof for pending orders (including rejected payments)
-    if (order.status !== ORDER_STATUS.PENDING) {
-      throw createValidationError(
-        { status: `Current order status is ${order.status}, but must be ${ORDER_STATUS.PENDING}` },
-        'Payment proof can only be uploaded for pending orders'
-      );
-    }
+    // Authorize and validate state - owner only, pending orders (including rejected payments)
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.UPLOAD_PROOF, { userId });
 
     // Handle both File and Blob objects
     let fileExt = 'jpg';
@@ -1589,8 +1239,8 @@ export const uploadPaymentProof = async (file, orderId, userId, paymentReference
 
     // Update order with proof URL, payment reference, and mark as proof uploaded
     const updateData = {
+      ...getOrderTransitionUpdates(transition),
       payment_proof_url: urlData.publicUrl,
-      payment_status: PAYMENT_STATUS.PROOF_UPLOADED,
       rejection_reason: null,
       updated_at: new Date().toISOString()
     };
@@ -1669,21 +1319,14 @@ export const startProcessingOrder = async (orderId, adminId) => {
       throw createNotFoundError('Order', orderId);
     }
 
-    // Validate state machine
-    if (order.payment_status !== PAYMENT_STATUS.VALIDATED) {
-      throw createValidationError(
-        { payment_status: `Current payment status is ${order.payment_status}, but must be ${PAYMENT_STATUS.VALIDATED}` },
-        'Payment must be validated before processing'
-      );
-    }
-
-    validateOrderTransition(order.status, ORDER_STATUS.PROCESSING);
+    // Validate state machine - payment must be validated before processing
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.START_PROCESSING);
 
     // Update order status
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.PROCESSING,
+        ...getOrderTransitionUpdates(transition),
         processing_started_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       })
@@ -1729,7 +1372,7 @@ export const markOrderAsDispatched = async (orderId, adminId, trackingInfo = '')
     // Verify order exists and is in processing
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, order_number, status')
+      .select('id, order_number, status, payment_status, notes')
       .eq('id', orderId)
       .single();
 
@@ -1744,11 +1387,11 @@ export const markOrderAsDispatched = async (orderId, adminId, trackingInfo = '')
     }
 
     // Validate state machine
-    validateOrderTransition(order.status, ORDER_STATUS.DISPATCHED);
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.DISPATCH);
 
     // Update order status
     const updateData = {
-      status: ORDER_STATUS.DISPATCHED,
+      ...getOrderTransitionUpdates(transition),
       dispatched_at: new Date().toISOString(),
       dispatched_by: adminId,
       updated_at: new Date().toISOString()
@@ -1819,7 +1462,7 @@ export const markOrderAsDelivered = async (orderId, proofFile, adminId) => {
     // Verify order exists and is shipped
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, order_number, status')
+      .select('id, order_number, status, payment_status')
       .eq('id', orderId)
       .single();
 
@@ -1834,7 +1477,7 @@ export const markOrderAsDelivered = async (orderId, proofFile, adminId) => {
     }
 
     // Validate state machine
-    validateOrderTransition(order.status, ORDER_STATUS.DELIVERED);
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.DELIVER, { deliveryProof: proofFile });
 
     // Get authenticated user for file path
     const { data: { user }, error: authError } = await supabase.auth.getUser();
@@ -1867,7 +1510,7 @@ export const markOrderAsDelivered = async (orderId, proofFile, adminId) => {
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.DELIVERED,
+        ...getOrderTransitionUpdates(transition),
         delivered_at: new Date().toISOString(),
         delivery_proof_url: fileName, // Store path only, not full URL
         updated_at: new Date().toISOString()
@@ -1920,7 +1563,7 @@ export const completeOrder = async (orderId, notes = '') => {
     // Verify order exists and is delivered
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, order_number, status')
+      .select('id, order_number, status, payment_status, notes')
       .eq('id', orderId)
       .single();
 
@@ -1935,11 +1578,11 @@ export const completeOrder = async (orderId, notes = '') => {
     }
 
     // Validate state machine
-    validateOrderTransition(order.status, ORDER_STATUS.COMPLETED);
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.COMPLETE);
 
     // Update order status
     const updateData = {
-      status: ORDER_STATUS.COMPLETED,
+      ...getOrderTransitionUpdates(transition),
       completed_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -2030,28 +1673,16 @@ export const cancelOrder = async (orderId, adminId, reason) => {
     }
 
     // CRITICAL: Validate state machine - can only cancel pending or processing
-    const cancellableStatuses = [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING];
-    if (!cancellableStatuses.includes(order.status)) {
-      throw createValidationError(
-        { status: `Order is in ${order.status} state` },
-        `Orders can only be cancelled in ${cancellableStatuses.join(' or ')} states`
-      );
-    }
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.CANCEL, { reason });
 
-    // ATOMIC: Release reserved inventory for all items in parallel
-    const releasePromises = order.order_items
-      .filter(item => item.inventory_id)
-      .map(item => releaseInventory(item.inventory_id, item.quantity));
-
-    if (releasePromises.length > 0) {
-      await Promise.all(releasePromises);
-    }
+    // ATOMIC: Release the order's active holds (none left once the stock was sold)
+    await releaseOrderInventory(orderId, reason);
 
     // ATOMIC: Update order status
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.CANCELLED,
+        ...getOrderTransitionUpdates(transition),
         rejection_reason: reason,
         updated_at: new Date().toISOString()
       })
@@ -2072,7 +1703,7 @@ export const cancelOrder = async (orderId, adminId, reason) => {
         .insert({
           order_id: orderId,
           previous_status: order.status,
-          new_status: ORDER_STATUS.CANCELLED,
+          new_status: transition.to.status,
           changed_by: adminId,
           notes: `Cancelled: ${reason}`
         });
@@ -2112,7 +1743,7 @@ export const cancelOrderByUser = async (orderId, userId, reason = 'cancelled_by_
 
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, user_id, status, order_number, order_items(*)')
+      .select('id, user_id, status, payment_status, order_number, order_items(*)')
       .eq('id', orderId)
       .single();
 
@@ -2126,27 +1757,15 @@ export const cancelOrderByUser = async (orderId, userId, reason = 'cancelled_by_
       throw createNotFoundError('Order', orderId);
     }
 
-    if (order.user_id !== userId) {
-      throw createPermissionError('cancel this order', 'owner');
-    }
+    // Owner only, and only while pending
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.CANCEL_BY_USER, { userId });
 
-    if (order.status !== ORDER_STATUS.PENDING) {
-      throw createValidationError({ status: `Order is in ${order.status} state` }, 'Only pending orders can be cancelled by the user');
-    }
-
-    const releasePromises = order.order_items
-      .filter(item => item.inventory_id)
-      .map(item => releaseInventory(item.inventory_id, item.quantity));
-
-    if (releasePromises.length > 0) {
-      await Promise.all(releasePromises);
-    }
+    await releaseOrderInventory(orderId, reason);
 
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.CANCELLED,
-        payment_status: PAYMENT_STATUS.REJECTED,
+        ...getOrderTransitionUpdates(transition),
         rejection_reason: reason,
         updated_at: new Date().toISOString()
       })
@@ -2208,6 +1827,32 @@ export const getDaysInProcessing = (order) => {
 // ORDER REOPENING
 // ============================================================================
 
+/**
+ * Reserve stock for an order that was just reopened
+ * Restores the previous status and payment status if the stock is no longer available.
+ * @param {Object} order - Order as fetched before reopening, with order_items
+ * @throws {AppError} INSUFFICIENT_STOCK or database error
+ */
+const reserveReopenedOrder = async (order) => {
+  try {
+    await reserveOrderInventory(order.id);
+  } catch (reserveError) {
+    const { error: revertError } = await supabase
+      .from('orders')
+      .update({
+        status: order.status,
+        payment_status: order.payment_status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id);
+
+    if (revertError) {
+      logError(revertError, { operation: 'reserveReopenedOrder - revert', orderId: order.id });
+    }
+    throw reserveError;
+  }
+};
+
 /**
  * Reopen a cancelled order (user action)
  * Allows users to reopen their own cancelled orders to retry payment
@@ -2227,7 +1872,7 @@ export const reopenOrder = async (orderId, userId) => {
     // Fetch order to verify existence and ownership
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, order_number, user_id, status, payment_status')
+      .select('id, order_number, user_id, status, payment_status, order_items (id, item_type, item_id, quantity)')
       .eq('id', orderId)
       .single();
 
@@ -2241,31 +1886,14 @@ export const reopenOrder = async (orderId, userId) => {
       throw createNotFoundError('Order', orderId);
     }
 
-    // Verify user ownership
-    if (order.user_id !== userId) {
-      throw createValidationError(
-        { userId: 'User does not own this order' },
-        'Solo puedes reabrir tus propias órdenes'
-      );
-    }
-
-    // Verify order is cancelled
-    if (order.status !== ORDER_STATUS.CANCELLED) {
-      throw createValidationError(
-        { status: `Order status is ${order.status}, must be cancelled` },
-        'Solo puedes reabrir órdenes canceladas'
-      );
-    }
-
-    // Validate state transition
-    validateOrderTransition(order.status, ORDER_STATUS.PENDING);
+    // Validate state transition - only the owner can reopen, and only cancelled orders
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.REOPEN, { userId });
 
     // Reopen order - reset to pending status
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.PENDING,
-        payment_status: PAYMENT_STATUS.PENDING,
+        ...getOrderTransitionUpdates(transition),
         cancelled_by: null,
         cancelled_at: null,
         cancellation_reason: null,
@@ -2281,6 +1909,9 @@ export const reopenOrder = async (orderId, userId) => {
       throw appError;
     }
 
+    // Reserve the stock again; the order goes back to cancelled if it is gone
+    await reserveReopenedOrder(order);
+
     // Log activity
     const userEmail = await getUserEmail(userId);
     logOrderActivity({
@@ -2324,7 +1955,7 @@ export const reopenOrderByAdmin = async (orderId, adminId, reason = 'Reapertura
     // Fetch order to verify existence
     const { data: order, error: fetchError } = await supabase
       .from('orders')
-      .select('id, order_number, status, payment_status')
+      .select('id, order_number, status, payment_status, order_items (id, item_type, item_id, quantity)')
       .eq('id', orderId)
       .single();
 
@@ -2338,23 +1969,14 @@ export const reopenOrderByAdmin = async (orderId, adminId, reason = 'Reapertura
       throw createNotFoundError('Order', orderId);
     }
 
-    // Verify order is cancelled
-    if (order.status !== ORDER_STATUS.CANCELLED) {
-      throw createValidationError(
-        { status: `Order status is ${order.status}, must be cancelled` },
-        'Solo puedes reabrir órdenes canceladas'
-      );
-    }
-
-    // Validate state transition
-    validateOrderTransition(order.status, ORDER_STATUS.PENDING);
+    // Validate state transition - only cancelled orders can be reopened
+    const transition = assertOrderTransition(order, ORDER_ACTIONS.REOPEN_BY_ADMIN);
 
     // Reopen order - reset to pending status
     const { data: updatedOrder, error: updateError } = await supabase
       .from('orders')
       .update({
-        status: ORDER_STATUS.PENDING,
-        payment_status: PAYMENT_STATUS.PENDING,
+        ...getOrderTransitionUpdates(transition),
         cancelled_by: null,
         cancelled_at: null,
         cancellation_reason: null,
@@ -2370,6 +1992,9 @@ export const reopenOrderByAdmin = async (orderId, adminId, reason = 'Reapertura
       throw appError;
     }
 
+    // Reserve the stock again; the order goes back to cancelled if it is gone
+    await reserveReopenedOrder(order);
+
     // Log activity
     const adminEmail = await getUserEmail(adminId);
     logOrderActivity({
@@ -0,0 +1,271 @@
+/**
+ * Order State Machine
+ * Single transition model for ORDER_STATUS × PAYMENT_STATUS.
+ * orderService.js uses it to validate every status change and the admin UI
+ * (OrderActionButtons) uses it to derive which actions to offer, so the two
+ * cannot drift apart.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { ORDER_STATUS, PAYMENT_STATUS, USER_ROLES } from '@/lib/constants';
+import {
+  createValidationError,
+  createPermissionError,
+  createTransitionError
+} from '@/lib/errorHandler';
+
+export { ORDER_STATUS, PAYMENT_STATUS };
+
+export const ORDER_ACTIONS = {
+  UPLOAD_PROOF: 'upload_proof',
+  VALIDATE_PAYMENT: 'validate_payment',
+  REJECT_PAYMENT: 'reject_payment',
+  START_PROCESSING: 'start_processing',
+  DISPATCH: 'dispatch',
+  DELIVER: 'deliver',
+  COMPLETE: 'complete',
+  CANCEL: 'cancel',
+  CANCEL_BY_USER: 'cancel_by_user',
+  REOPEN: 'reopen',
+  REOPEN_BY_ADMIN: 'reopen_by_admin'
+};
+
+export const ORDER_ACTORS = {
+  OWNER: 'owner',
+  ADMIN: 'admin'
+};
+
+// ============================================================================
+// GUARDS - input preconditions; return null when allowed, or an AppError
+// ============================================================================
+
+const requireOwner = (order, context = {}) => {
+  if (!context.userId || order?.user_id !== context.userId) {
+    return createPermissionError('modify this order', 'owner');
+  }
+  return null;
+};
+
+const requireReason = (order, context = {}) => {
+  if (!context.reason || !String(context.reason).trim()) {
+    return createValidationError({ reason: 'A reason is required' }, 'A reason is required for this action');
+  }
+  return null;
+};
+
+const requireDeliveryProof = (order, context = {}) => {
+  if (!context.deliveryProof) {
+    return createValidationError({ proofFile: 'Delivery proof file is required' }, 'Delivery proof is required');
+  }
+  return null;
+};
+
+// ============================================================================
+// TRANSITION TABLE
+// ============================================================================
+
+const O = ORDER_STATUS;
+const P = PAYMENT_STATUS;
+const ANY_PAYMENT = Object.values(PAYMENT_STATUS);
+
+/**
+ * Legal order actions.
+ * - from: list of { status, payment: [...], roles? } source states. `roles`
+ *   restricts that particular source state to the listed user roles.
+ * - to: { status, payment? } — payment omitted means unchanged
+ * - actor: who performs it (owner = customer, admin = back office)
+ * - guards: input preconditions checked when the action is executed
+ */
+export const ORDER_TRANSITIONS = {
+  [ORDER_ACTIONS.UPLOAD_PROOF]: {
+    from: [{ status: O.PENDING, payment: [P.PENDING, P.PROOF_UPLOADED, P.REJECTED] }],
+    to: { status: O.PENDING, payment: P.PROOF_UPLOADED },
+    actor: ORDER_ACTORS.OWNER,
+    guards: [requireOwner]
+  },
+  [ORDER_ACTIONS.VALIDATE_PAYMENT]: {
+    from: [
+      { status: O.PENDING, payment: [P.PROOF_UPLOADED] },
+      // Super admins can validate directly without proof
+      { status: O.PENDING, payment: [P.PENDING], roles: [USER_ROLES.SUPER_ADMIN] }
+    ],
+    to: { status: O.PROCESSING, payment: P.VALIDATED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: []
+  },
+  [ORDER_ACTIONS.REJECT_PAYMENT]: {
+    // Order stays pending so the user can retry with a new proof
+    from: [{ status: O.PENDING, payment: [P.PENDING, P.PROOF_UPLOADED] }],
+    to: { status: O.PENDING, payment: P.REJECTED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: [requireReason]
+  },
+  [ORDER_ACTIONS.START_PROCESSING]: {
+    from: [{ status: O.PENDING, payment: [P.VALIDATED] }],
+    to: { status: O.PROCESSING },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: []
+  },
+  [ORDER_ACTIONS.DISPATCH]: {
+    from: [{ status: O.PROCESSING, payment: ANY_PAYMENT }],
+    to: { status: O.DISPATCHED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: []
+  },
+  [ORDER_ACTIONS.DELIVER]: {
+    from: [{ status: O.DISPATCHED, payment: ANY_PAYMENT }],
+    to: { status: O.DELIVERED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: [requireDeliveryProof]
+  },
+  [ORDER_ACTIONS.COMPLETE]: {
+    from: [{ status: O.DELIVERED, payment: ANY_PAYMENT }],
+    to: { status: O.COMPLETED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: []
+  },
+  [ORDER_ACTIONS.CANCEL]: {
+    from: [
+      { status: O.PENDING, payment: ANY_PAYMENT },
+      { status: O.PROCESSING, payment: ANY_PAYMENT }
+    ],
+    to: { status: O.CANCELLED },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: [requireReason]
+  },
+  [ORDER_ACTIONS.CANCEL_BY_USER]: {
+    from: [{ status: O.PENDING, payment: ANY_PAYMENT }],
+    to: { status: O.CANCELLED, payment: P.REJECTED },
+    actor: ORDER_ACTORS.OWNER,
+    guards: [requireOwner]
+  },
+  [ORDER_ACTIONS.REOPEN]: {
+    from: [{ status: O.CANCELLED, payment: ANY_PAYMENT }],
+    to: { status: O.PENDING, payment: P.PENDING },
+    actor: ORDER_ACTORS.OWNER,
+    guards: [requireOwner]
+  },
+  [ORDER_ACTIONS.REOPEN_BY_ADMIN]: {
+    from: [{ status: O.CANCELLED, payment: ANY_PAYMENT }],
+    to: { status: O.PENDING, payment: P.PENDING },
+    actor: ORDER_ACTORS.ADMIN,
+    guards: []
+  }
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+const matchesSource = (source, order, role) => {
+  if (source.status !== order?.status) return false;
+  if (!source.payment.includes(order?.payment_status)) return false;
+  if (source.roles && !source.roles.includes(role)) return false;
+  return true;
+};
+
+/**
+ * Evaluate an action without throwing
+ * @param {Object} order - Order with at least { status, payment_status }
+ * @param {string} action - One of ORDER_ACTIONS
+ * @param {Object} context - role, userId, reason, deliveryProof
+ * @returns {{allowed: boolean, transition: Object|null, error: AppError|null}}
+ */
+export const evaluateOrderTransition = (order, action, context = {}) => {
+  const definition = ORDER_TRANSITIONS[action];
+  if (!definition) {
+    return {
+      allowed: false,
+      transition: null,
+      error: createValidationError({ action: `Unknown order action: ${action}` }, 'Unknown order action')
+    };
+  }
+
+  const transition = { action, ...definition };
+  const source = definition.from.find(candidate => matchesSource(candidate, order, context.role));
+
+  if (!source) {
+    return {
+      allowed: false,
+      transition,
+      error: createTransitionError(
+        'Order',
+        action,
+        `${order?.status}/${order?.payment_status}`,
+        definition.from.map(candidate => `${candidate.status}/${candidate.payment.join('|')}`)
+      )
+    };
+  }
+
+  for (const guard of definition.guards) {
+    const guardError = guard(order, context);
+    if (guardError) {
+      return { allowed: false, transition, error: guardError };
+    }
+  }
+
+  return { allowed: true, transition, error: null };
+};
+
+/**
+ * Check whether an action is legal for an order
+ * @returns {boolean}
+ */
+export const canTransitionOrder = (order, action, context = {}) =>
+  evaluateOrderTransition(order, action, context).allowed;
+
+/**
+ * Assert that an action is legal for an order
+ * @throws {AppError} INVALID_STATUS_TRANSITION for illegal moves, or the guard's error
+ * @returns {Object} Transition definition (with action, from, to)
+ */
+export const assertOrderTransition = (order, action, context = {}) => {
+  const { allowed, transition, error } = evaluateOrderTransition(order, action, context);
+  if (!allowed) {
+    throw error;
+  }
+  return transition;
+};
+
+/**
+ * Build the column updates for a transition (status and, when it changes, payment_status)
+ * @param {Object} transition - Result of assertOrderTransition
+ * @returns {Object} Partial orders row
+ */
+export const getOrderTransitionUpdates = (transition) => {
+  const updates = { status: transition.to.status };
+  if (transition.to.payment) {
+    updates.payment_status = transition.to.payment;
+  }
+  return updates;
+};
+
+/**
+ * List the actions available for an order from its current state
+ * Input guards (reason, proof file) are not evaluated — they are collected
+ * when the action is executed.
+ *
+ * @param {Object} order - Order with { status, payment_status }
+ * @param {Object} options - actor (ORDER_ACTORS filter), role (user role for role-restricted sources)
+ * @returns {Array<string>} Actions from ORDER_ACTIONS, in table order
+ */
+export const getAvailableOrderActions = (order, { actor = null, role = null } = {}) => {
+  return Object.entries(ORDER_TRANSITIONS)
+    .filter(([, definition]) => !actor || definition.actor === actor)
+    .filter(([, definition]) => definition.from.some(source => matchesSource(source, order, role)))
+    .map(([action]) => action);
+};
+
+/**
+ * Order statuses reachable in one step from a status (any payment state)
+ * @param {string} status - Current order status
+ * @returns {Array<string>} Distinct next statuses
+ */
+export const getNextOrderStatuses = (status) => {
+  const next = Object.values(ORDER_TRANSITIONS)
+    .filter(definition => definition.from.some(source => source.status === status))
+    .map(definition => definition.to.status)
+    .filter(nextStatus => nextStatus !== status);
+  return [...new Set(next)];
+};
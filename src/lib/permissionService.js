@@ -0,0 +1,194 @@
+/**
+ * Permission Service
+ * Permission roles (named permissions grouped under an editable name), their
+ * assignment to users and the effective permissions of the signed-in user.
+ * See 20261019000020_permissions.sql and src/lib/permissions.js.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  handleError,
+  logError,
+  createValidationError,
+  createNotFoundError,
+  parseSupabaseError,
+  ERROR_CODES
+} from '@/lib/errorHandler';
+import { normalizePermissionList } from '@/lib/permissions';
+
+const toRoleRow = ({ name, description, permissions }) => {
+  if (!name || !String(name).trim()) {
+    throw createValidationError({ name: 'Role name is required' });
+  }
+
+  return {
+    name: String(name).trim(),
+    description: description?.trim() || null,
+    permissions: normalizePermissionList(permissions)
+  };
+};
+
+/**
+ * Effective permissions of the signed-in user
+ * @throws {AppError} If the call fails
+ * @returns {Promise<Array<string>>} permission keys, ['*'] for super admins
+ */
+export const getMyPermissions = async () => {
+  try {
+    const { data, error } = await supabase.rpc('get_my_permissions');
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'getMyPermissions' });
+      throw appError;
+    }
+
+    return data || [];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getMyPermissions' });
+    throw appError;
+  }
+};
+
+/**
+ * Permission roles, by name
+ * @throws {AppError} If the query fails
+ * @returns {Promise<Array<Object>>}
+ */
+export const getPermissionRoles = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('permission_roles')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'getPermissionRoles' });
+      throw appError;
+    }
+
+    return data || [];
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getPermissionRoles' });
+    throw appError;
+  }
+};
+
+/**
+ * Create a permission role
+ * @param {Object} roleData - { name, description, permissions }
+ * @throws {AppError} If the name is missing or the insert fails
+ * @returns {Promise<Object>} created role
+ */
+export const createPermissionRole = async (roleData = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('permission_roles')
+      .insert([toRoleRow(roleData)])
+      .select()
+      .single();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'createPermissionRole' });
+      throw appError;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'createPermissionRole' });
+    throw appError;
+  }
+};
+
+/**
+ * Rename a permission role or change its permissions
+ * @param {string} roleId
+ * @param {Object} roleData - { name, description, permissions }
+ * @throws {AppError} If the role is not found or the update fails
+ * @returns {Promise<Object>} updated role
+ */
+export const updatePermissionRole = async (roleId, roleData = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('permission_roles')
+      .update(toRoleRow(roleData))
+      .eq('id', roleId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'updatePermissionRole', roleId });
+      throw appError;
+    }
+    if (!data) {
+      throw createNotFoundError('Permission role', roleId);
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'updatePermissionRole', roleId });
+    throw appError;
+  }
+};
+
+/**
+ * Delete a permission role (its users keep only their role defaults)
+ * @param {string} roleId
+ * @throws {AppError} If the delete fails
+ * @returns {Promise<void>}
+ */
+export const deletePermissionRole = async (roleId) => {
+  try {
+    const { error } = await supabase
+      .from('permission_roles')
+      .delete()
+      .eq('id', roleId);
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'deletePermissionRole', roleId });
+      throw appError;
+    }
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'deletePermissionRole', roleId });
+    throw appError;
+  }
+};
+
+/**
+ * Assign a permission role to a user, or clear it with null (audited)
+ * @param {string} userId - user_profiles.id
+ * @param {string|null} roleId
+ * @throws {AppError} If the caller lacks users.manage_roles or the user is not found
+ * @returns {Promise<void>}
+ */
+export const assignPermissionRole = async (userId, roleId) => {
+  try {
+    if (!userId) {
+      throw createValidationError({ userId: 'User ID is required' });
+    }
+
+    const { error } = await supabase.rpc('set_user_permission_role', {
+      p_user_id: userId,
+      p_role_id: roleId || null
+    });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'assignPermissionRole', userId, roleId });
+      throw appError;
+    }
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'assignPermissionRole', userId });
+    throw appError;
+  }
+};
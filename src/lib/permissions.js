@@ -0,0 +1,101 @@
+/**
+ * Permissions
+ * Named permissions grouped into editable permission roles (see
+ * 20261019000020_permissions.sql). Super admins have all of them, admins the
+ * ones admins had before plus their permission role, anyone else only their
+ * permission role. AuthContext loads the effective list with
+ * get_my_permissions(); the RLS policies check the same names with
+ * has_permission().
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { USER_ROLES } from './constants';
+
+export const PERMISSIONS = {
+  REMITTANCE_VIEW: 'remittance.view',
+  REMITTANCE_VALIDATE_PAYMENT: 'remittance.validate_payment',
+  ORDER_VIEW: 'order.view',
+  ORDER_VALIDATE_PAYMENT: 'order.validate_payment',
+  ZELLE_VIEW_HISTORY: 'zelle.view_history',
+  ZELLE_MANAGE_ACCOUNTS: 'zelle.manage_accounts',
+  SETTINGS_VISUAL_EDIT: 'settings.visual.edit',
+  ACTIVITY_LOG_VIEW: 'activity_log.view',
+  USERS_MANAGE_ROLES: 'users.manage_roles'
+};
+
+// Granted list of a super admin
+export const ALL_PERMISSIONS = '*';
+
+// Grouping shown when editing a permission role
+export const PERMISSION_GROUPS = [
+  { id: 'remittances', permissions: [PERMISSIONS.REMITTANCE_VIEW, PERMISSIONS.REMITTANCE_VALIDATE_PAYMENT] },
+  { id: 'orders', permissions: [PERMISSIONS.ORDER_VIEW, PERMISSIONS.ORDER_VALIDATE_PAYMENT] },
+  { id: 'zelle', permissions: [PERMISSIONS.ZELLE_VIEW_HISTORY, PERMISSIONS.ZELLE_MANAGE_ACCOUNTS] },
+  { id: 'settings', permissions: [PERMISSIONS.SETTINGS_VISUAL_EDIT] },
+  { id: 'administration', permissions: [PERMISSIONS.ACTIVITY_LOG_VIEW, PERMISSIONS.USERS_MANAGE_ROLES] }
+];
+
+// Admins get every permission except these (permissions.admin_default = false)
+const SUPER_ADMIN_ONLY = [PERMISSIONS.ACTIVITY_LOG_VIEW, PERMISSIONS.USERS_MANAGE_ROLES];
+
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+// Any of these opens the page (App wraps it with withProtectedRoute)
+export const PAGE_PERMISSIONS = {
+  dashboard: [
+    PERMISSIONS.REMITTANCE_VIEW,
+    PERMISSIONS.ORDER_VIEW,
+    PERMISSIONS.ZELLE_VIEW_HISTORY,
+    PERMISSIONS.ACTIVITY_LOG_VIEW
+  ],
+  settings: [PERMISSIONS.SETTINGS_VISUAL_EDIT, PERMISSIONS.ZELLE_MANAGE_ACCOUNTS],
+  'user-management': [PERMISSIONS.USERS_MANAGE_ROLES]
+};
+
+/**
+ * Known permissions of a list, without duplicates and sorted
+ * @param {Array<string>} permissions
+ * @returns {Array<string>}
+ */
+export const normalizePermissionList = (permissions = []) => (
+  [...new Set((permissions || []).filter(permission => KNOWN_PERMISSIONS.has(permission)))].sort()
+);
+
+/**
+ * Effective permissions of a role plus its permission role, as
+ * get_my_permissions() computes them. Used when that call fails.
+ * @param {string} role - user_profiles.role
+ * @param {Array<string>} [rolePermissions] - permission_roles.permissions
+ * @returns {Array<string>}
+ */
+export const resolvePermissions = (role, rolePermissions = []) => {
+  if (role === USER_ROLES.SUPER_ADMIN) {
+    return [ALL_PERMISSIONS];
+  }
+
+  const defaults = role === USER_ROLES.ADMIN
+    ? Object.values(PERMISSIONS).filter(permission => !SUPER_ADMIN_ONLY.includes(permission))
+    : [];
+
+  return normalizePermissionList([...defaults, ...(rolePermissions || [])]);
+};
+
+/**
+ * @param {Array<string>} granted - effective permissions
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (granted, permission) => {
+  if (!permission || !Array.isArray(granted)) return false;
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+};
+
+/**
+ * @param {Array<string>} granted - effective permissions
+ * @param {Array<string>} permissions - any of them is enough
+ * @returns {boolean}
+ */
+export const hasAnyPermission = (granted, permissions = []) => (
+  (permissions || []).some(permission => hasPermission(granted, permission))
+);
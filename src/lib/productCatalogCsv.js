@@ -0,0 +1,334 @@
+/**
+ * Product Catalog CSV
+ * Spreadsheet round trip for the catalog: export products (variants included)
+ * to CSV, edit them in Excel / Google Sheets, and import the file back.
+ * Import is planned first (dry run): every row is validated and resolved to a
+ * create or an update, keyed by SKU, before anything is written
+ * (productImportService.applyProductImport).
+ *
+ * Excel: export opens directly; to import, save the sheet as CSV (comma or
+ * semicolon) or paste it as tab-separated text — parseCsv detects the delimiter.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { parseCsv } from './bankStatementImport';
+import { VARIANT_ATTRIBUTES, normalizeVariantAttributes } from './productVariants';
+
+// Column order of the exported file (also the canonical import headers)
+export const CATALOG_COLUMNS = [
+  'sku',
+  'name_es',
+  'name_en',
+  'description_es',
+  'description_en',
+  'category',
+  'base_price',
+  'currency',
+  'profit_margin',
+  'min_stock_alert',
+  'stock',
+  'expiry_date',
+  'image',
+  'is_active',
+  'parent_sku',
+  ...VARIANT_ATTRIBUTES
+];
+
+// Spanish / friendly headers accepted on import
+const COLUMN_ALIASES = {
+  sku: ['codigo', 'code'],
+  name_es: ['nombre', 'nombre_es', 'name'],
+  name_en: ['nombre_en', 'name_english'],
+  description_es: ['descripcion', 'descripcion_es', 'description'],
+  description_en: ['descripcion_en'],
+  category: ['categoria', 'category_name'],
+  base_price: ['precio', 'precio_base', 'price'],
+  currency: ['moneda', 'currency_code'],
+  profit_margin: ['margen', 'margin'],
+  min_stock_alert: ['stock_minimo', 'min_stock'],
+  stock: ['existencias', 'cantidad', 'quantity'],
+  expiry_date: ['vencimiento', 'caducidad', 'expiry'],
+  image: ['imagen', 'image_url'],
+  is_active: ['activo', 'active'],
+  parent_sku: ['sku_padre', 'parent'],
+  size: ['tamano', 'talla'],
+  weight: ['peso'],
+  flavor: ['sabor']
+};
+
+export const IMPORT_ACTION = {
+  CREATE: 'create',
+  UPDATE: 'update'
+};
+
+// Row-level validation error codes (translated in the UI)
+export const IMPORT_ERROR = {
+  REQUIRED: 'required',
+  INVALID_NUMBER: 'invalid_number',
+  INVALID_INTEGER: 'invalid_integer',
+  INVALID_DATE: 'invalid_date',
+  UNKNOWN_CURRENCY: 'unknown_currency',
+  DUPLICATE_SKU: 'duplicate_sku',
+  UNKNOWN_PARENT: 'unknown_parent',
+  PARENT_IS_VARIANT: 'parent_is_variant',
+  MISSING_IMAGE_FILE: 'missing_image_file'
+};
+
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const normalizeName = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n;\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+/**
+ * Catalog as CSV (one row per product or variant)
+ * @param {Array<Object>} products - products rows with stock (getProducts)
+ * @param {Object} [lookups]
+ * @param {Array<Object>} [lookups.currencies] - { id, code }
+ * @returns {string}
+ */
+export const catalogToCsv = (products = [], { currencies = [] } = {}) => {
+  const currencyCode = new Map(currencies.map(currency => [currency.id, currency.code]));
+  const skuById = new Map(products.map(product => [product.id, product.sku]));
+
+  const rows = products.map(product => [
+    product.sku,
+    product.name_es,
+    product.name_en,
+    product.description_es,
+    product.description_en,
+    product.category?.name_es || '',
+    product.base_price,
+    currencyCode.get(product.base_currency_id) || '',
+    product.profit_margin,
+    product.min_stock_alert,
+    product.stock ?? 0,
+    product.expiry_date || '',
+    product.image_url || '',
+    product.is_active === false ? 'no' : 'yes',
+    product.parent_product_id ? (skuById.get(product.parent_product_id) || '') : '',
+    ...VARIANT_ATTRIBUTES.map(key => product.variant_attributes?.[key] || '')
+  ]);
+
+  return [CATALOG_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+/**
+ * Map header cells to catalog columns
+ * @param {Array<string>} headers
+ * @returns {Object} column → index (-1 when missing)
+ */
+export const detectCatalogColumns = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+  return CATALOG_COLUMNS.reduce((acc, column) => {
+    const names = [column, ...(COLUMN_ALIASES[column] || [])];
+    acc[column] = normalized.findIndex(header => names.includes(header));
+    return acc;
+  }, {});
+};
+
+/**
+ * Parse a catalog file into records keyed by column
+ * @param {string} text - CSV / TSV content
+ * @returns {Array<{line: number, values: Object}>} line = 1-based line in the file
+ */
+export const parseCatalogCsv = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columns = detectCatalogColumns(headers);
+  return rows.map((cells, index) => ({
+    line: index + 2,
+    values: CATALOG_COLUMNS.reduce((acc, column) => {
+      const cell = columns[column] >= 0 ? cells[columns[column]] : undefined;
+      acc[column] = cell === undefined ? undefined : String(cell).trim();
+      return acc;
+    }, {})
+  }));
+};
+
+const parseNumber = (value) => {
+  // Accept decimal commas from Spanish spreadsheets ("12,50")
+  const number = Number(String(value).replace(/\s/g, '').replace(/,(?=\d{1,2}$)/, '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseBoolean = (value) => !['no', 'false', '0', 'inactivo', 'inactive'].includes(normalizeName(value));
+
+const isBlank = (value) => value === undefined || value === '';
+
+/**
+ * Dry run: validate the parsed rows against the current catalog
+ * Blank cells on an existing SKU keep the current value; new categories are
+ * created by name. Parents are ordered before their variants.
+ *
+ * @param {Array<Object>} records - parseCatalogCsv()
+ * @param {Object} catalog
+ * @param {Array<Object>} catalog.products - current products (incl. variants)
+ * @param {Array<Object>} catalog.categories - { id, name_es, name_en, slug }
+ * @param {Array<Object>} catalog.currencies - { id, code, is_base }
+ * @param {Array<string>} [catalog.imageFileNames] - image files chosen with the CSV
+ * @returns {{rows: Array<Object>, summary: {total: number, create: number, update: number, invalid: number, newCategories: string[]}}}
+ */
+export const planCatalogImport = (records = [], { products = [], categories = [], currencies = [], imageFileNames = [] } = {}) => {
+  const bySku = new Map(products.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+  const categoryByName = new Map();
+  categories.forEach(category => {
+    [category.name_es, category.name_en, category.slug].filter(Boolean)
+      .forEach(name => categoryByName.set(normalizeName(name), category));
+  });
+  const currencyByCode = new Map(currencies.map(currency => [String(currency.code).toUpperCase(), currency]));
+  const baseCurrency = currencies.find(currency => currency.is_base) || currencies[0] || null;
+  const imageFiles = new Set(imageFileNames.map(name => name.toLowerCase()));
+
+  const seenSkus = new Set();
+  const newCategories = new Map();
+  // SKUs that will be top-level products after the import (existing or in the file)
+  const fileParents = new Set(records
+    .filter(record => !record.values.parent_sku && record.values.sku)
+    .map(record => record.values.sku.toLowerCase()));
+
+  const rows = records.map(({ line, values }) => {
+    const errors = [];
+    const addError = (field, code) => errors.push({ field, code });
+    const sku = values.sku || '';
+    const existing = sku ? bySku.get(sku.toLowerCase()) : null;
+    const action = existing ? IMPORT_ACTION.UPDATE : IMPORT_ACTION.CREATE;
+
+    if (sku) {
+      if (seenSkus.has(sku.toLowerCase())) addError('sku', IMPORT_ERROR.DUPLICATE_SKU);
+      seenSkus.add(sku.toLowerCase());
+    }
+
+    const pick = (column, current) => (isBlank(values[column]) ? current : values[column]);
+
+    const nameEs = pick('name_es', existing?.name_es);
+    if (!nameEs) addError('name_es', IMPORT_ERROR.REQUIRED);
+
+    const priceValue = pick('base_price', existing?.base_price);
+    const basePrice = isBlank(priceValue) ? null : parseNumber(priceValue);
+    if (isBlank(priceValue)) addError('base_price', IMPORT_ERROR.REQUIRED);
+    else if (basePrice === null || basePrice < 0) addError('base_price', IMPORT_ERROR.INVALID_NUMBER);
+
+    const marginValue = pick('profit_margin', existing?.profit_margin);
+    const profitMargin = isBlank(marginValue) ? undefined : parseNumber(marginValue);
+    if (profitMargin === null || profitMargin < 0) addError('profit_margin', IMPORT_ERROR.INVALID_NUMBER);
+
+    const minStockValue = pick('min_stock_alert', existing?.min_stock_alert);
+    const minStock = isBlank(minStockValue) ? undefined : parseNumber(minStockValue);
+    if (minStock !== undefined && (!Number.isInteger(minStock) || minStock < 0)) addError('min_stock_alert', IMPORT_ERROR.INVALID_INTEGER);
+
+    const stock = isBlank(values.stock) ? undefined : parseNumber(values.stock);
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) addError('stock', IMPORT_ERROR.INVALID_INTEGER);
+
+    const expiryDate = isBlank(values.expiry_date) ? undefined : values.expiry_date;
+    if (expiryDate && (!/^\d{4}-\d{2}-\d{2}$/.test(expiryDate) || Number.isNaN(Date.parse(expiryDate)))) {
+      addError('expiry_date', IMPORT_ERROR.INVALID_DATE);
+    }
+
+    let currency = existing ? currencies.find(c => c.id === existing.base_currency_id) || baseCurrency : baseCurrency;
+    if (!isBlank(values.currency)) {
+      currency = currencyByCode.get(values.currency.toUpperCase()) || null;
+      if (!currency) addError('currency', IMPORT_ERROR.UNKNOWN_CURRENCY);
+    }
+
+    // Category: existing by name/slug, else created from the name
+    let categoryId = existing?.category_id || null;
+    let categoryName = null;
+    if (!isBlank(values.category)) {
+      const category = categoryByName.get(normalizeName(values.category));
+      if (category) {
+        categoryId = category.id;
+      } else {
+        categoryId = null;
+        categoryName = values.category;
+        newCategories.set(normalizeName(values.category), values.category);
+      }
+    }
+    if (!categoryId && !categoryName && !values.parent_sku) addError('category', IMPORT_ERROR.REQUIRED);
+
+    // Variant of another SKU
+    const parentSku = values.parent_sku || (existing?.parent_product_id
+      ? products.find(p => p.id === existing.parent_product_id)?.sku
+      : null) || null;
+    if (values.parent_sku) {
+      const parent = bySku.get(values.parent_sku.toLowerCase());
+      if (parent?.parent_product_id) addError('parent_sku', IMPORT_ERROR.PARENT_IS_VARIANT);
+      else if (!parent && !fileParents.has(values.parent_sku.toLowerCase())) addError('parent_sku', IMPORT_ERROR.UNKNOWN_PARENT);
+    }
+    const variantAttributes = normalizeVariantAttributes(VARIANT_ATTRIBUTES.reduce((acc, key) => {
+      acc[key] = pick(key, existing?.variant_attributes?.[key]);
+      return acc;
+    }, {}));
+
+    // Image: a URL to download, or the name of a file chosen with the CSV
+    let image = null;
+    if (!isBlank(values.image) && values.image !== existing?.image_url) {
+      if (isUrl(values.image)) {
+        image = { url: values.image };
+      } else if (imageFiles.has(values.image.toLowerCase())) {
+        image = { fileName: values.image };
+      } else {
+        addError('image', IMPORT_ERROR.MISSING_IMAGE_FILE);
+      }
+    }
+
+    const isActive = isBlank(values.is_active) ? undefined : parseBoolean(values.is_active);
+
+    return {
+      line,
+      sku,
+      action,
+      productId: existing?.id || null,
+      errors,
+      image,
+      parentSku,
+      categoryName,
+      isActive: isActive !== undefined && isActive !== (existing ? existing.is_active !== false : true) ? isActive : undefined,
+      data: {
+        sku: sku || undefined,
+        name_es: nameEs,
+        name_en: pick('name_en', existing?.name_en) || nameEs,
+        description_es: pick('description_es', existing?.description_es) || '',
+        description_en: pick('description_en', existing?.description_en) || '',
+        category_id: categoryId,
+        basePrice,
+        base_currency_id: currency?.id || null,
+        profitMargin,
+        min_stock_alert: minStock,
+        stock,
+        expiryDate,
+        variantAttributes
+      }
+    };
+  });
+
+  // Parents first so their variants can point at them
+  rows.sort((a, b) => Number(Boolean(a.parentSku)) - Number(Boolean(b.parentSku)) || a.line - b.line);
+
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      create: rows.filter(row => row.errors.length === 0 && row.action === IMPORT_ACTION.CREATE).length,
+      update: rows.filter(row => row.errors.length === 0 && row.action === IMPORT_ACTION.UPDATE).length,
+      invalid,
+      newCategories: [...newCategories.values()]
+    }
+  };
+};
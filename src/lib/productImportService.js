@@ -0,0 +1,125 @@
+/**
+ * Product Import Service
+ * Applies a catalog import planned by planCatalogImport (src/lib/productCatalogCsv.js):
+ * creates the missing categories, then creates or updates each valid row
+ * through productService so stock lands as receipts / adjustments with their
+ * movements. Rows fail independently; the result lists what failed and why.
+ */
+
+import {
+  createProduct,
+  updateProduct,
+  createCategory,
+  setProductActiveState
+} from '@/lib/productService';
+import { uploadProductImage } from '@/lib/storage';
+import { validateAndProcessImage } from '@/lib/imageUtils';
+import { logError } from '@/lib/errorHandler';
+import { IMPORT_ACTION } from '@/lib/productCatalogCsv';
+
+const normalizeName = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Upload an import image (chosen file or downloaded URL) to product storage
+ * A URL that cannot be downloaded (e.g. CORS) is kept as the image link.
+ * @returns {Promise<string>} public URL
+ */
+const resolveImportImage = async (image, sku, imageFiles) => {
+  let source = null;
+  if (image.fileName) {
+    source = imageFiles.find(file => normalizeName(file.name) === normalizeName(image.fileName));
+  } else {
+    try {
+      const response = await fetch(image.url);
+      if (!response.ok) return image.url;
+      source = await response.blob();
+    } catch {
+      return image.url;
+    }
+  }
+
+  const result = await validateAndProcessImage(source, 'product');
+  if (!result.success) {
+    throw new Error(result.errors.join('\n'));
+  }
+  const { publicUrl } = await uploadProductImage(result.blob, `product-${sku || 'import'}-${Date.now()}`);
+  return publicUrl;
+};
+
+/**
+ * Apply an import plan
+ * @param {Array<Object>} rows - planCatalogImport().rows (invalid rows are skipped)
+ * @param {Object} [options]
+ * @param {Array<File>} [options.imageFiles] - images referenced by file name
+ * @param {string} [options.performedBy] - user id for the activity log
+ * @param {Array<Object>} [options.products] - current products, to resolve parent SKUs
+ * @param {Function} [options.onProgress] - (done, total) => void
+ * @returns {Promise<{created: number, updated: number, failed: Array<{line: number, sku: string, message: string}>}>}
+ */
+export const applyProductImport = async (rows = [], { imageFiles = [], performedBy = 'system', products = [], onProgress } = {}) => {
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const result = { created: 0, updated: 0, failed: [] };
+
+  // SKU → { id, category_id, base_currency_id } for parents, existing or created here
+  const productsBySku = new Map(products.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+
+  // Categories named in the file that do not exist yet
+  const categoryIds = new Map();
+  for (const name of [...new Set(validRows.filter(row => row.categoryName).map(row => row.categoryName))]) {
+    try {
+      const category = await createCategory({ es: name, en: name }, performedBy);
+      categoryIds.set(normalizeName(name), category.id);
+    } catch (error) {
+      logError(error, { operation: 'applyProductImport - category', categoryName: name });
+    }
+  }
+
+  let done = 0;
+  for (const row of validRows) {
+    try {
+      const parent = row.parentSku ? productsBySku.get(row.parentSku.toLowerCase()) : null;
+      if (row.parentSku && !parent) {
+        throw new Error(`Parent SKU ${row.parentSku} was not imported`);
+      }
+
+      const categoryId = row.categoryName
+        ? categoryIds.get(normalizeName(row.categoryName))
+        : row.data.category_id || parent?.category_id;
+      if (!categoryId) {
+        throw new Error(`Category ${row.categoryName || ''} could not be created`.trim());
+      }
+
+      const productData = {
+        ...row.data,
+        category_id: categoryId,
+        base_currency_id: row.data.base_currency_id || parent?.base_currency_id
+      };
+
+      if (row.image) {
+        productData.image = await resolveImportImage(row.image, row.sku, imageFiles);
+      }
+
+      const saved = row.action === IMPORT_ACTION.UPDATE
+        ? await updateProduct(row.productId, productData)
+        : await createProduct({ ...productData, parentProductId: parent?.id || null });
+      if (saved?.sku) {
+        productsBySku.set(saved.sku.toLowerCase(), saved);
+      }
+
+      if (row.isActive !== undefined) {
+        await setProductActiveState(saved.id, row.isActive);
+      }
+
+      if (row.action === IMPORT_ACTION.UPDATE) result.updated += 1;
+      else result.created += 1;
+    } catch (error) {
+      logError(error, { operation: 'applyProductImport', line: row.line, sku: row.sku });
+      result.failed.push({ line: row.line, sku: row.sku, message: error.message });
+    }
+
+    done += 1;
+    onProgress?.(done, validRows.length);
+  }
+
+  return result;
+};
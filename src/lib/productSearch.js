@@ -0,0 +1,134 @@
+/**
+ * Product Search
+ * Filters, sorting and cursors for the server-side catalog search
+ * (search_products, see productService.searchProducts), and their round trip
+ * through the URL so a filtered /products page can be shared or reloaded.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const PRODUCT_SORT = {
+  RELEVANCE: 'relevance',
+  PRICE_ASC: 'price_asc',
+  PRICE_DESC: 'price_desc',
+  NEWEST: 'newest',
+  BEST_SELLING: 'best_selling'
+};
+
+export const DEFAULT_SEARCH_PAGE_SIZE = 24;
+export const MAX_SEARCH_PAGE_SIZE = 100;
+
+// URL parameter names on /products
+const PARAMS = {
+  query: 'q',
+  categoryIds: 'category',
+  minPrice: 'min',
+  maxPrice: 'max',
+  inStock: 'stock',
+  sort: 'sort'
+};
+
+const SORT_VALUES = Object.values(PRODUCT_SORT);
+
+const toPrice = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/**
+ * Clean a filter object: trimmed query, unique categories, valid prices
+ * (swapped if reversed), known sort
+ * @param {Object} filters - { query, categoryIds, minPrice, maxPrice, inStock, sort }
+ * @returns {{query: string, categoryIds: string[], minPrice: number|null, maxPrice: number|null, inStock: boolean, sort: string|null}}
+ */
+export const normalizeSearchFilters = (filters = {}) => {
+  let minPrice = toPrice(filters.minPrice);
+  let maxPrice = toPrice(filters.maxPrice);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+
+  const categoryIds = Array.isArray(filters.categoryIds)
+    ? filters.categoryIds
+    : (filters.categoryIds ? [filters.categoryIds] : []);
+
+  return {
+    query: String(filters.query || '').trim(),
+    categoryIds: [...new Set(categoryIds.filter(Boolean))],
+    minPrice,
+    maxPrice,
+    inStock: filters.inStock === true || filters.inStock === 'true' || filters.inStock === '1',
+    sort: SORT_VALUES.includes(filters.sort) ? filters.sort : null
+  };
+};
+
+/**
+ * Read filters from a query string
+ * @param {string|URLSearchParams} search - e.g. window.location.search
+ * @returns {Object} normalizeSearchFilters() result
+ */
+export const parseSearchParams = (search = '') => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  return normalizeSearchFilters({
+    query: params.get(PARAMS.query),
+    categoryIds: params.getAll(PARAMS.categoryIds),
+    minPrice: params.get(PARAMS.minPrice),
+    maxPrice: params.get(PARAMS.maxPrice),
+    inStock: params.get(PARAMS.inStock),
+    sort: params.get(PARAMS.sort)
+  });
+};
+
+/**
+ * Write filters to a query string, leaving defaults out
+ * @param {Object} filters
+ * @returns {string} e.g. "?q=arroz&category=c1&stock=1" or ""
+ */
+export const serializeSearchParams = (filters = {}) => {
+  const normalized = normalizeSearchFilters(filters);
+  const params = new URLSearchParams();
+  if (normalized.query) params.set(PARAMS.query, normalized.query);
+  normalized.categoryIds.forEach(id => params.append(PARAMS.categoryIds, id));
+  if (normalized.minPrice !== null) params.set(PARAMS.minPrice, String(normalized.minPrice));
+  if (normalized.maxPrice !== null) params.set(PARAMS.maxPrice, String(normalized.maxPrice));
+  if (normalized.inStock) params.set(PARAMS.inStock, '1');
+  if (normalized.sort) params.set(PARAMS.sort, normalized.sort);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Opaque cursor for the next page (base64 of the keyset { v, id })
+ * @param {Object|null} cursor - next_cursor from search_products
+ * @returns {string|null}
+ */
+export const encodeSearchCursor = (cursor) => {
+  if (!cursor || cursor.id === undefined || cursor.id === null) return null;
+  return btoa(JSON.stringify({ v: cursor.v, id: cursor.id }));
+};
+
+/**
+ * @param {string|null} token - encodeSearchCursor() output
+ * @returns {{v: number, id: string}|null} null if missing or malformed
+ */
+export const decodeSearchCursor = (token) => {
+  if (!token) return null;
+  try {
+    const cursor = JSON.parse(atob(token));
+    return cursor && cursor.id ? { v: cursor.v, id: cursor.id } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Clamp a page size to 1..MAX_SEARCH_PAGE_SIZE
+ * @param {number} limit
+ * @returns {number}
+ */
+export const normalizeSearchLimit = (limit) => {
+  const size = Math.floor(Number(limit));
+  if (!Number.isFinite(size) || size < 1) return DEFAULT_SEARCH_PAGE_SIZE;
+  return Math.min(size, MAX_SEARCH_PAGE_SIZE);
+};
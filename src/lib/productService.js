@@ -18,6 +18,12 @@ import {
 } from './errorHandler';
 import { ORDER_STATUS } from './orderService';
 import { logActivity } from './activityLogger';
+import { adjustInventoryStock, receiveStock } from './inventoryService';
+import { normalizeVariantAttributes, getVariantLabel } from './productVariants';
+import { normalizeSearchFilters, normalizeSearchLimit, encodeSearchCursor, decodeSearchCursor } from './productSearch';
+
+// Supplier recorded for stock entered from the product form
+const INITIAL_STOCK_SUPPLIER = 'Initial stock';
 
 // Estados que BLOQUEAN eliminación de productos/combos
 // (órdenes activas que aún no han sido despachadas)
@@ -80,7 +86,8 @@ export const getProducts = async (includeInactive = false) => {
       .select('product_id, quantity, available_quantity, expiry_date')
       .in('product_id', productIds)
       .eq('is_active', true)
-      .order('created_at', { ascending: false });
+      .order('expiry_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
 
     if (invError) {
       const appError = parseSupabaseError(invError);
@@ -97,8 +104,8 @@ export const getProducts = async (includeInactive = false) => {
       }
       inventoryMap[inv.product_id] += inv.available_quantity || 0;
 
-      // Keep the most recent expiry_date (first one due to order by created_at desc)
-      if (!expiryDateMap[inv.product_id] && inv.expiry_date) {
+      // Expiry of the batch that ships next (first-expired-first-out order, batches with stock)
+      if (!expiryDateMap[inv.product_id] && inv.expiry_date && (inv.available_quantity || 0) > 0) {
         expiryDateMap[inv.product_id] = inv.expiry_date;
       }
     });
@@ -118,6 +125,53 @@ export const getProducts = async (includeInactive = false) => {
   }
 };
 
+/**
+ * Search the catalog on the server (search_products)
+ * Accent-insensitive full-text match over Spanish/English names and
+ * descriptions, with category / price / in-stock facets, sorting and cursor
+ * pagination. Variants are folded into their parent product.
+ *
+ * @param {Object} filters - { query, categoryIds, minPrice, maxPrice, inStock, sort } (see productSearch)
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit] - Page size (max 100)
+ * @throws {AppError} If the query fails
+ * @returns {Promise<{items: Array, nextCursor: string|null, total: number, sort: string, facets: Object}>}
+ */
+export const searchProducts = async (filters = {}, { cursor = null, limit } = {}) => {
+  const normalized = normalizeSearchFilters(filters);
+  try {
+    const { data, error } = await supabase.rpc('search_products', {
+      p_query: normalized.query || null,
+      p_category_ids: normalized.categoryIds.length > 0 ? normalized.categoryIds : null,
+      p_min_price: normalized.minPrice,
+      p_max_price: normalized.maxPrice,
+      p_in_stock: normalized.inStock || null,
+      p_sort: normalized.sort,
+      p_cursor: decodeSearchCursor(cursor),
+      p_limit: normalizeSearchLimit(limit)
+    });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'searchProducts', filters: normalized });
+      throw appError;
+    }
+
+    return {
+      items: data?.items || [],
+      nextCursor: encodeSearchCursor(data?.next_cursor),
+      total: data?.total || 0,
+      sort: data?.sort || normalized.sort,
+      facets: data?.facets || { categories: [], price: null, stock: null }
+    };
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'searchProducts' });
+    throw appError;
+  }
+};
+
 /**
  * Find in-progress orders that include a specific product directly or through combos
  * @param {string} productId - Product ID
@@ -285,6 +339,9 @@ export const createProduct = async (productData) => {
         min_stock_alert: productData.min_stock_alert ? parseInt(productData.min_stock_alert) : DEFAULTS.MIN_STOCK_ALERT,
         image_url: productData.image || null,
         image_file: productData.image || null,
+        parent_product_id: productData.parentProductId || null,
+        variant_attributes: normalizeVariantAttributes(productData.variantAttributes),
+        variant_sort: parseInt(productData.variantSort) || 0,
         is_active: true
       }])
       .select()
@@ -296,27 +353,16 @@ export const createProduct = async (productData) => {
       throw appError;
     }
 
-    // Create initial inventory record if stock is provided
+    // Initial stock is received as a batch (with its movement)
     if (productData.stock && parseInt(productData.stock) > 0) {
-      const inventoryData = {
-        product_id: data.id,
-        quantity: parseInt(productData.stock),
-        batch_number: `BATCH-${Date.now()}`,
-        is_active: true
-      };
-
-      if (productData.expiryDate) {
-        inventoryData.expiry_date = productData.expiryDate;
-      }
-
-      const { error: invError } = await supabase
-        .from('inventory')
-        .insert([inventoryData]);
-
-      if (invError) {
+      try {
+        await receiveStock({
+          supplierName: INITIAL_STOCK_SUPPLIER,
+          lines: [{ productId: data.id, quantity: parseInt(productData.stock), expiryDate: productData.expiryDate || null }]
+        });
+      } catch (invError) {
         // Log but don't fail - product was created successfully
-        const appError = parseSupabaseError(invError);
-        logError(appError, {
+        logError(invError, {
           operation: 'createProduct - inventory',
           productId: data.id,
           requestedStock: productData.stock
@@ -332,6 +378,72 @@ export const createProduct = async (productData) => {
   }
 };
 
+/**
+ * Create a variant of a product (e.g. the 5 kg bag of a 1 kg rice)
+ * The variant is its own products row with parent_product_id set, so it gets
+ * its own SKU, price, margin, image and inventory. Category, currency and
+ * descriptions are inherited from the parent unless given.
+ * @param {string} parentProductId - Parent product ID
+ * @param {Object} variantData - { variantAttributes, sku, basePrice, profitMargin, image, stock, expiryDate, ... }
+ * @throws {AppError} If the parent is missing or is itself a variant
+ * @returns {Promise<Object>} Created variant
+ */
+export const createProductVariant = async (parentProductId, variantData = {}) => {
+  try {
+    if (!parentProductId) {
+      throw createValidationError({ parentProductId: 'Parent product ID is required' });
+    }
+
+    const label = getVariantLabel(variantData.variantAttributes);
+    if (!label) {
+      throw createValidationError(
+        { variantAttributes: 'At least one of size, weight or flavor is required' },
+        'Missing variant attributes'
+      );
+    }
+
+    const { data: parent, error: parentError } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', parentProductId)
+      .single();
+
+    if (parentError || !parent) {
+      throw createNotFoundError('Product', parentProductId);
+    }
+
+    if (parent.parent_product_id) {
+      throw createValidationError(
+        { parentProductId: 'A variant cannot have variants' },
+        'Invalid parent product'
+      );
+    }
+
+    return await createProduct({
+      name_es: variantData.name_es || `${parent.name_es} ${label}`,
+      name_en: variantData.name_en || `${parent.name_en || parent.name_es} ${label}`,
+      description_es: variantData.description_es ?? parent.description_es,
+      description_en: variantData.description_en ?? parent.description_en,
+      category_id: variantData.category_id || parent.category_id,
+      base_currency_id: variantData.base_currency_id || parent.base_currency_id,
+      basePrice: variantData.basePrice ?? parent.base_price,
+      profitMargin: variantData.profitMargin ?? parent.profit_margin,
+      min_stock_alert: variantData.min_stock_alert ?? parent.min_stock_alert,
+      sku: variantData.sku || `${parent.sku}-${generateSlug(label).toUpperCase()}`,
+      image: variantData.image || null,
+      stock: variantData.stock,
+      expiryDate: variantData.expiryDate,
+      parentProductId,
+      variantAttributes: variantData.variantAttributes,
+      variantSort: variantData.variantSort
+    });
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'createProductVariant', parentProductId });
+    throw appError;
+  }
+};
+
 /**
  * Update an existing product and optionally its inventory
  * @param {string} productId - Product ID
@@ -363,6 +475,14 @@ export const updateProduct = async (productId, productData) => {
       updateData.image_file = productData.image;
     }
 
+    if (productData.variantAttributes !== undefined) {
+      updateData.variant_attributes = normalizeVariantAttributes(productData.variantAttributes);
+    }
+
+    if (productData.variantSort !== undefined) {
+      updateData.variant_sort = parseInt(productData.variantSort) || 0;
+    }
+
     const { data, error } = await supabase
       .from('products')
       .update(updateData)
@@ -380,58 +500,42 @@ export const updateProduct = async (productId, productData) => {
     }
 
     // Update inventory if stock or expiry date changed
+    // Stock changes go through adjust_inventory_stock / receive_stock so they leave a movement
     if (productData.stock !== undefined || productData.expiryDate !== undefined) {
       try {
         const { data: inventoryRecords } = await supabase
           .from('inventory')
-          .select('id')
+          .select('id, available_quantity')
           .eq('product_id', productId)
           .eq('is_active', true)
-          .order('created_at', { ascending: false })
-          .limit(1);
+          .order('created_at', { ascending: false });
 
         const existingInventory = inventoryRecords && inventoryRecords.length > 0 ? inventoryRecords[0] : null;
+        const requestedStock = productData.stock !== undefined ? parseInt(productData.stock) : null;
 
         if (existingInventory) {
-          const inventoryUpdate = { updated_at: getCurrentTimestamp() };
-
-          if (productData.stock !== undefined) {
-            inventoryUpdate.quantity = parseInt(productData.stock);
+          // The form shows available stock across batches; the difference lands on the latest batch
+          const currentStock = inventoryRecords.reduce((sum, inv) => sum + (inv.available_quantity || 0), 0);
+          if (Number.isInteger(requestedStock) && requestedStock !== currentStock) {
+            await adjustInventoryStock(existingInventory.id, 'correction', requestedStock - currentStock, 'Product form');
           }
 
           if (productData.expiryDate !== undefined) {
-            inventoryUpdate.expiry_date = productData.expiryDate || null;
-          }
-
-          const { error: invError } = await supabase
-            .from('inventory')
-            .update(inventoryUpdate)
-            .eq('id', existingInventory.id);
-
-          if (invError) {
-            const appError = parseSupabaseError(invError);
-            logError(appError, { operation: 'updateProduct - inventory update', productId });
-          }
-        } else if (productData.stock !== undefined && parseInt(productData.stock) > 0) {
-          const inventoryData = {
-            product_id: productId,
-            quantity: parseInt(productData.stock),
-            batch_number: `BATCH-${Date.now()}`,
-            is_active: true
-          };
-
-          if (productData.expiryDate) {
-            inventoryData.expiry_date = productData.expiryDate;
-          }
-
-          const { error: invError } = await supabase
-            .from('inventory')
-            .insert([inventoryData]);
-
-          if (invError) {
-            const appError = parseSupabaseError(invError);
-            logError(appError, { operation: 'updateProduct - inventory create', productId });
+            const { error: invError } = await supabase
+              .from('inventory')
+              .update({ expiry_date: productData.expiryDate || null, updated_at: getCurrentTimestamp() })
+              .eq('id', existingInventory.id);
+
+            if (invError) {
+              const appError = parseSupabaseError(invError);
+              logError(appError, { operation: 'updateProduct - inventory update', productId });
+            }
           }
+        } else if (requestedStock > 0) {
+          await receiveStock({
+            supplierName: INITIAL_STOCK_SUPPLIER,
+            lines: [{ productId, quantity: requestedStock, expiryDate: productData.expiryDate || null }]
+          });
         }
       } catch (invError) {
         // Don't fail product update if inventory operation fails
@@ -542,6 +646,25 @@ export const deleteProduct = async (productId, performedBy = 'system') => {
 
     const productName = product?.name_es || product?.name_en || productId;
 
+    // Variants are products of their own; they go first
+    const { count: variantCount, error: variantsError } = await supabase
+      .from('products')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_product_id', productId);
+
+    if (variantsError) {
+      console.warn('[deleteProduct] Error counting variants:', variantsError);
+    }
+
+    if (variantCount > 0) {
+      throw new AppError(
+        `No se puede eliminar el producto "${productName}" porque tiene ${variantCount} variante(s). Elimine las variantes primero.`,
+        ERROR_CODES.CONFLICT,
+        409,
+        { productId, productName, variantCount }
+      );
+    }
+
     // ============================================
     // STEP 1: Check for blocking orders
     // ============================================
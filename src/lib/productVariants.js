@@ -0,0 +1,116 @@
+/**
+ * Product Variants
+ * A variant is a products row with parent_product_id set (see migration
+ * 20261019000012_product_variants.sql): it has its own SKU, price, margin,
+ * image and inventory, and the parent groups the variants in the catalog.
+ * Cart lines are keyed by variant, so two sizes of the same product are two
+ * lines.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+// Attributes a variant can be described by, in display order
+export const VARIANT_ATTRIBUTES = ['size', 'weight', 'flavor'];
+
+const VARIANT_LABEL_SEPARATOR = ' · ';
+
+/**
+ * Keep known attributes with a non-empty value
+ * @param {Object} attributes - { size, weight, flavor }
+ * @returns {Object}
+ */
+export const normalizeVariantAttributes = (attributes = {}) => VARIANT_ATTRIBUTES.reduce((acc, key) => {
+  const value = typeof attributes?.[key] === 'string' ? attributes[key].trim() : attributes?.[key];
+  if (value !== undefined && value !== null && value !== '') {
+    acc[key] = String(value);
+  }
+  return acc;
+}, {});
+
+/**
+ * Short label of a variant, e.g. "5 kg · Vanilla"
+ * @param {Object} variant - products row (variant_attributes) or attributes object
+ * @returns {string}
+ */
+export const getVariantLabel = (variant) => {
+  const attributes = normalizeVariantAttributes(variant?.variant_attributes || variant || {});
+  return VARIANT_ATTRIBUTES.filter(key => attributes[key]).map(key => attributes[key]).join(VARIANT_LABEL_SEPARATOR);
+};
+
+export const isVariant = (product) => Boolean(product?.parent_product_id);
+
+const compareVariants = (a, b) => (a.variant_sort ?? 0) - (b.variant_sort ?? 0)
+  || getVariantLabel(a).localeCompare(getVariantLabel(b));
+
+const finalPriceOf = (product) => parseFloat(product?.final_price || product?.base_price || 0);
+
+/**
+ * Catalog view of a product list: parents carry their variants
+ * Variants whose parent is not in the list (e.g. parent inactive) are dropped;
+ * a parent with variants shows their combined stock and the cheapest variant.
+ *
+ * @param {Array<Object>} products - products rows (with stock) including variants
+ * @returns {Array<Object>} top-level products with { variants, stock, cheapestVariant }
+ */
+export const groupProductVariants = (products = []) => {
+  const variantsByParent = new Map();
+  products.filter(isVariant).forEach((variant) => {
+    const list = variantsByParent.get(variant.parent_product_id) || [];
+    list.push(variant);
+    variantsByParent.set(variant.parent_product_id, list);
+  });
+
+  return products
+    .filter(product => !isVariant(product))
+    .map((product) => {
+      const variants = (variantsByParent.get(product.id) || []).sort(compareVariants);
+      if (variants.length === 0) {
+        return { ...product, variants: [] };
+      }
+      const cheapestVariant = variants.reduce((min, variant) => (finalPriceOf(variant) < finalPriceOf(min) ? variant : min));
+      return {
+        ...product,
+        variants,
+        stock: variants.reduce((sum, variant) => sum + (variant.stock || 0), 0),
+        cheapestVariant
+      };
+    });
+};
+
+/**
+ * Variant to preselect: the requested one, else the first with stock, else the first
+ * @param {Array<Object>} variants
+ * @param {string} [variantId]
+ * @returns {Object|null}
+ */
+export const pickDefaultVariant = (variants = [], variantId = null) => (
+  variants.find(variant => variant.id === variantId)
+  || variants.find(variant => (variant.stock || 0) > 0)
+  || variants[0]
+  || null
+);
+
+/**
+ * Key of a cart line: one line per item type and variant
+ * @param {Object} item - cart item
+ * @returns {string}
+ */
+export const getCartLineKey = (item) => `${item?.type || 'product'}:${item?.variantId || item?.id}`;
+
+/**
+ * Cart item for a variant of a parent product
+ * The line orders the variant itself (its product id), with the parent's
+ * image as fallback and the label kept for display.
+ *
+ * @param {Object} parent - parent products row
+ * @param {Object} variant - variant products row
+ * @returns {Object}
+ */
+export const buildVariantCartItem = (parent, variant) => ({
+  ...variant,
+  image_url: variant.image_url || parent?.image_url || null,
+  category: variant.category || parent?.category,
+  variantId: variant.id,
+  parentProductId: parent?.id || variant.parent_product_id,
+  variantLabel: getVariantLabel(variant)
+});
@@ -0,0 +1,535 @@
+/**
+ * Purchase Order Service
+ * Suppliers, per-product reorder settings, reorder suggestions computed from
+ * sales velocity (src/lib/reorderPlanning.js) and supplier purchase orders.
+ * Drafts are edited directly; send, receive and cancel run as database
+ * functions. Receiving creates a stock receipt (receive_stock), so the goods
+ * enter inventory with 'received' movements.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  AppError,
+  logError,
+  createValidationError,
+  parseSupabaseError
+} from '@/lib/errorHandler';
+import { getInventoryBatches } from '@/lib/inventoryService';
+import { validateReceiptLines } from '@/lib/stockMovements';
+import {
+  PURCHASE_ORDER_STATUS,
+  DEFAULT_VELOCITY_WINDOW_DAYS,
+  DEFAULT_COVER_DAYS,
+  computeSalesVelocity,
+  buildReorderSuggestions,
+  getUnitsOnOrder
+} from '@/lib/reorderPlanning';
+
+export { PURCHASE_ORDER_STATUS };
+
+const PURCHASE_ORDER_SELECT = `
+  *,
+  supplier:suppliers (id, name, contact_name, phone, email),
+  items:purchase_order_items (*, products (name_es, name_en, sku))
+`;
+
+const normalizeItems = (items = []) => {
+  const errors = {};
+  const normalized = items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    const cost = item.cost_per_unit === '' || item.cost_per_unit === null || item.cost_per_unit === undefined
+      ? null
+      : Number(item.cost_per_unit);
+    const lineErrors = {};
+    if (!item.product_id) lineErrors.productId = 'required';
+    if (!Number.isInteger(quantity) || quantity <= 0) lineErrors.quantity = 'invalid';
+    if (cost !== null && (!Number.isFinite(cost) || cost < 0)) lineErrors.costPerUnit = 'invalid';
+    if (Object.keys(lineErrors).length > 0) errors[index] = lineErrors;
+    return {
+      product_id: item.product_id,
+      quantity,
+      cost_per_unit: cost,
+      suggested_quantity: item.suggested_quantity ?? null
+    };
+  });
+  if (normalized.length === 0) errors.items = 'required';
+  return { items: normalized, errors };
+};
+
+// ============================================================================
+// SUPPLIERS (Admin)
+// ============================================================================
+
+/**
+ * Suppliers, active first then by name
+ * @returns {Promise<Array<Object>>} suppliers rows
+ * @throws {AppError} If database error
+ */
+export const getSuppliers = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('suppliers')
+      .select('*')
+      .order('is_active', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getSuppliers' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getSuppliers' });
+    throw appError;
+  }
+};
+
+/**
+ * Create or update a supplier
+ * @param {Object} supplier - { id?, name, contact_name, phone, email, notes, is_active }
+ * @returns {Promise<Object>} Saved suppliers row
+ * @throws {AppError} VALIDATION_FAILED if the name is missing
+ */
+export const saveSupplier = async (supplier) => {
+  try {
+    if (!supplier?.name?.trim()) {
+      throw createValidationError({ name: 'required' }, 'Supplier name is required');
+    }
+
+    const payload = {
+      name: supplier.name.trim(),
+      contact_name: supplier.contact_name?.trim() || null,
+      phone: supplier.phone?.trim() || null,
+      email: supplier.email?.trim() || null,
+      notes: supplier.notes?.trim() || null,
+      is_active: supplier.is_active !== false
+    };
+
+    const query = supplier.id
+      ? supabase.from('suppliers').update(payload).eq('id', supplier.id)
+      : supabase.from('suppliers').insert([payload]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'saveSupplier', supplierId: supplier?.id });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'saveSupplier', supplierId: supplier?.id });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// REORDER SUGGESTIONS (Admin)
+// ============================================================================
+
+/**
+ * Update the reorder settings of a product
+ * @param {string} productId - Product ID
+ * @param {Object} settings
+ * @param {number|null} [settings.reorderPoint] - null = derived from sales velocity
+ * @param {number} [settings.leadTimeDays]
+ * @param {string|null} [settings.preferredSupplierId]
+ * @returns {Promise<Object>} Updated product row
+ * @throws {AppError} VALIDATION_FAILED on invalid numbers
+ */
+export const updateProductReorderSettings = async (productId, { reorderPoint, leadTimeDays, preferredSupplierId } = {}) => {
+  try {
+    const updates = {};
+    const errors = {};
+
+    if (reorderPoint !== undefined) {
+      const value = reorderPoint === '' || reorderPoint === null ? null : Number(reorderPoint);
+      if (value !== null && (!Number.isInteger(value) || value < 0)) errors.reorderPoint = 'invalid';
+      updates.reorder_point = value;
+    }
+    if (leadTimeDays !== undefined) {
+      const value = Number(leadTimeDays);
+      if (!Number.isInteger(value) || value <= 0) errors.leadTimeDays = 'invalid';
+      updates.lead_time_days = value;
+    }
+    if (preferredSupplierId !== undefined) {
+      updates.preferred_supplier_id = preferredSupplierId || null;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw createValidationError(errors, 'Invalid reorder settings');
+    }
+
+    const { data, error } = await supabase
+      .from('products')
+      .update(updates)
+      .eq('id', productId)
+      .select('id, reorder_point, lead_time_days, preferred_supplier_id')
+      .single();
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'updateProductReorderSettings', productId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'updateProductReorderSettings', productId });
+    throw appError;
+  }
+};
+
+/**
+ * Products that need reordering, from stock on hand, sales velocity over the
+ * last `days` and units already on open purchase orders
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days] - Sales velocity window
+ * @param {number} [options.coverDays] - Days of sales each order should cover
+ * @returns {Promise<{suggestions: Array<Object>, velocity: Map}>} See buildReorderSuggestions()
+ * @throws {AppError} If database error
+ *
+ * @example
+ * const { suggestions } = await getReorderSuggestions();
+ * // suggestions[0] → { product, stock: 3, onOrder: 0, perDay: 1.2, reorderPoint: 19, leadTimeDays: 7, daysOfStock: 2, suggestedQuantity: 41 }
+ */
+export const getReorderSuggestions = async ({ days = DEFAULT_VELOCITY_WINDOW_DAYS, coverDays = DEFAULT_COVER_DAYS } = {}) => {
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const [productsResult, ordersResult, combosResult, purchaseOrdersResult, batches] = await Promise.all([
+      supabase
+        .from('products')
+        .select('id, name_es, name_en, sku, min_stock_alert, reorder_point, lead_time_days, preferred_supplier_id, is_active')
+        .eq('is_active', true),
+      supabase
+        .from('orders')
+        .select('created_at, status, payment_status, order_items (item_type, item_id, quantity)')
+        .gte('created_at', since)
+        .eq('payment_status', 'validated')
+        .neq('status', 'cancelled'),
+      supabase
+        .from('combo_items')
+        .select('combo_id, product_id, quantity'),
+      supabase
+        .from('purchase_orders')
+        .select('status, items:purchase_order_items (product_id, quantity)')
+        .in('status', [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT]),
+      getInventoryBatches()
+    ]);
+
+    const failed = [productsResult, ordersResult, combosResult, purchaseOrdersResult].find(result => result.error);
+    if (failed) throw parseSupabaseError(failed.error);
+
+    const comboComponents = new Map();
+    (combosResult.data || []).forEach((item) => {
+      if (!comboComponents.has(item.combo_id)) comboComponents.set(item.combo_id, []);
+      comboComponents.get(item.combo_id).push(item);
+    });
+
+    // Stock on hand and latest known cost per product
+    const stockByProduct = new Map();
+    batches.forEach((batch) => {
+      const entry = stockByProduct.get(batch.product_id) || { stock: 0, lastCost: null, lastReceived: '' };
+      entry.stock += batch.available_quantity || 0;
+      const received = batch.received_date || batch.created_at || '';
+      if (batch.cost_per_unit !== null && batch.cost_per_unit !== undefined && received >= entry.lastReceived) {
+        entry.lastCost = Number(batch.cost_per_unit);
+        entry.lastReceived = received;
+      }
+      stockByProduct.set(batch.product_id, entry);
+    });
+
+    const products = (productsResult.data || []).map(product => ({
+      ...product,
+      stock: stockByProduct.get(product.id)?.stock || 0,
+      last_cost: stockByProduct.get(product.id)?.lastCost ?? null
+    }));
+
+    const velocity = computeSalesVelocity(ordersResult.data || [], { comboComponents, days });
+    const suggestions = buildReorderSuggestions(products, velocity, {
+      onOrder: getUnitsOnOrder(purchaseOrdersResult.data || []),
+      coverDays
+    });
+
+    return { suggestions, velocity };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getReorderSuggestions' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getReorderSuggestions' });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// PURCHASE ORDERS (Admin)
+// ============================================================================
+
+/**
+ * Purchase orders with supplier and lines, newest first
+ * @returns {Promise<Array<Object>>}
+ * @throws {AppError} If database error
+ */
+export const getPurchaseOrders = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('purchase_orders')
+      .select(PURCHASE_ORDER_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data || [];
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getPurchaseOrders' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getPurchaseOrders' });
+    throw appError;
+  }
+};
+
+/**
+ * Create a draft purchase order
+ * @param {Object} purchaseOrder
+ * @param {string} purchaseOrder.supplierId
+ * @param {string} [purchaseOrder.expectedDate] - YYYY-MM-DD
+ * @param {string} [purchaseOrder.notes]
+ * @param {Array<Object>} purchaseOrder.items - [{ product_id, quantity, cost_per_unit?, suggested_quantity? }]
+ * @returns {Promise<Object>} Purchase order with supplier and lines
+ * @throws {AppError} VALIDATION_FAILED with per-line errors
+ */
+export const createPurchaseOrder = async ({ supplierId, expectedDate, notes, items }) => {
+  try {
+    const { items: normalized, errors } = normalizeItems(items);
+    if (!supplierId) errors.supplierId = 'required';
+    if (Object.keys(errors).length > 0) {
+      throw createValidationError(errors, 'Invalid purchase order');
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data: created, error } = await supabase
+      .from('purchase_orders')
+      .insert([{
+        supplier_id: supplierId,
+        expected_date: expectedDate || null,
+        notes: notes?.trim() || null,
+        created_by: user?.id || null
+      }])
+      .select('id')
+      .single();
+
+    if (error) throw parseSupabaseError(error);
+
+    const { error: itemsError } = await supabase
+      .from('purchase_order_items')
+      .insert(normalized.map(item => ({ ...item, purchase_order_id: created.id })));
+
+    if (itemsError) {
+      // No half-created drafts
+      await supabase.from('purchase_orders').delete().eq('id', created.id);
+      throw parseSupabaseError(itemsError);
+    }
+
+    return await getPurchaseOrderById(created.id);
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'createPurchaseOrder', supplierId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'createPurchaseOrder', supplierId });
+    throw appError;
+  }
+};
+
+/**
+ * Replace the details and lines of a draft purchase order
+ * @param {string} purchaseOrderId
+ * @param {Object} changes - { expectedDate, notes, items } (same shape as createPurchaseOrder)
+ * @returns {Promise<Object>} Purchase order with supplier and lines
+ * @throws {AppError} VALIDATION_FAILED, or a database error if it is no longer a draft
+ */
+export const updatePurchaseOrderDraft = async (purchaseOrderId, { expectedDate, notes, items }) => {
+  try {
+    const { items: normalized, errors } = normalizeItems(items);
+    if (Object.keys(errors).length > 0) {
+      throw createValidationError(errors, 'Invalid purchase order');
+    }
+
+    const { error } = await supabase
+      .from('purchase_orders')
+      .update({ expected_date: expectedDate || null, notes: notes?.trim() || null })
+      .eq('id', purchaseOrderId)
+      .eq('status', PURCHASE_ORDER_STATUS.DRAFT);
+
+    if (error) throw parseSupabaseError(error);
+
+    const { error: deleteError } = await supabase
+      .from('purchase_order_items')
+      .delete()
+      .eq('purchase_order_id', purchaseOrderId);
+
+    if (deleteError) throw parseSupabaseError(deleteError);
+
+    const { error: itemsError } = await supabase
+      .from('purchase_order_items')
+      .insert(normalized.map(item => ({ ...item, purchase_order_id: purchaseOrderId })));
+
+    if (itemsError) throw parseSupabaseError(itemsError);
+
+    return await getPurchaseOrderById(purchaseOrderId);
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'updatePurchaseOrderDraft', purchaseOrderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'updatePurchaseOrderDraft', purchaseOrderId });
+    throw appError;
+  }
+};
+
+/**
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Object>} Purchase order with supplier and lines
+ * @throws {AppError} If not found or database error
+ */
+export const getPurchaseOrderById = async (purchaseOrderId) => {
+  try {
+    const { data, error } = await supabase
+      .from('purchase_orders')
+      .select(PURCHASE_ORDER_SELECT)
+      .eq('id', purchaseOrderId)
+      .single();
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getPurchaseOrderById', purchaseOrderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getPurchaseOrderById', purchaseOrderId });
+    throw appError;
+  }
+};
+
+/**
+ * Mark a draft as sent to the supplier (freezes its totals)
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Object>} purchase_orders row
+ * @throws {AppError} If it is not a draft or has no lines
+ */
+export const sendPurchaseOrder = async (purchaseOrderId) => {
+  try {
+    const { data, error } = await supabase.rpc('send_purchase_order', {
+      p_purchase_order_id: purchaseOrderId
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'sendPurchaseOrder', purchaseOrderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'sendPurchaseOrder', purchaseOrderId });
+    throw appError;
+  }
+};
+
+/**
+ * Receive a sent purchase order into inventory as a stock receipt
+ * @param {string} purchaseOrderId
+ * @param {Object} receipt
+ * @param {string} [receipt.receivedDate] - YYYY-MM-DD (default: today)
+ * @param {string} [receipt.notes]
+ * @param {Array<Object>} receipt.lines - [{ productId, quantity, costPerUnit, batchNumber, expiryDate }];
+ *   lines with quantity 0 were not delivered
+ * @returns {Promise<Object>} purchase_orders row (stock_receipt_id set)
+ * @throws {AppError} VALIDATION_FAILED with per-line errors
+ */
+export const receivePurchaseOrder = async (purchaseOrderId, { receivedDate, notes, lines }) => {
+  try {
+    const delivered = (lines || []).filter(line => Number(line.quantity) !== 0);
+    const { lines: normalized, errors } = validateReceiptLines(delivered);
+    if (delivered.length === 0) errors.lines = 'required';
+    if (Object.keys(errors).length > 0) {
+      throw createValidationError(errors, 'Invalid purchase order receipt');
+    }
+
+    const { data, error } = await supabase.rpc('receive_purchase_order', {
+      p_purchase_order_id: purchaseOrderId,
+      p_received_date: receivedDate || null,
+      p_notes: notes || null,
+      p_lines: normalized
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'receivePurchaseOrder', purchaseOrderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'receivePurchaseOrder', purchaseOrderId });
+    throw appError;
+  }
+};
+
+/**
+ * Cancel a draft or sent purchase order
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Object>} purchase_orders row
+ * @throws {AppError} If it was already received or cancelled
+ */
+export const cancelPurchaseOrder = async (purchaseOrderId) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_purchase_order', {
+      p_purchase_order_id: purchaseOrderId
+    });
+
+    if (error) throw parseSupabaseError(error);
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'cancelPurchaseOrder', purchaseOrderId });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'cancelPurchaseOrder', purchaseOrderId });
+    throw appError;
+  }
+};
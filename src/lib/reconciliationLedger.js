@@ -0,0 +1,310 @@
+/**
+ * Reconciliation Ledger
+ * Builds a per-day ledger from orders, remittances and zelle_transaction_history:
+ * money received per Zelle account, commissions earned, amounts delivered per
+ * currency, items still outstanding at the end of each day and mismatches
+ * between the Zelle history and the records it pays for.
+ *
+ * Days are local calendar days (YYYY-MM-DD). Pure module — no Supabase dependencies.
+ */
+
+import { REMITTANCE_STATUS } from './remittanceStateMachine';
+import { ORDER_STATUS, PAYMENT_STATUS } from './orderStateMachine';
+
+export const LEDGER_MISMATCH_TYPES = {
+  ZELLE_WITHOUT_VALIDATED_REMITTANCE: 'zelle_without_validated_remittance',
+  ZELLE_WITHOUT_VALIDATED_ORDER: 'zelle_without_validated_order',
+  REMITTANCE_WITHOUT_ZELLE: 'remittance_without_zelle',
+  ORDER_WITHOUT_ZELLE: 'order_without_zelle',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  MISSING_REFERENCE: 'missing_reference'
+};
+
+const AMOUNT_TOLERANCE = 0.01;
+
+const REMITTANCE_VALIDATED_STATUSES = [
+  REMITTANCE_STATUS.PAYMENT_VALIDATED,
+  REMITTANCE_STATUS.PROCESSING,
+  REMITTANCE_STATUS.DELIVERED,
+  REMITTANCE_STATUS.COMPLETED
+];
+const REMITTANCE_DELIVERED_STATUSES = [REMITTANCE_STATUS.DELIVERED, REMITTANCE_STATUS.COMPLETED];
+const ORDER_DELIVERED_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.COMPLETED];
+
+const num = (value) => parseFloat(value) || 0;
+const round = (value) => parseFloat(value.toFixed(2));
+const isZelle = (record) => !record.payment_method || record.payment_method === 'zelle';
+
+/**
+ * Local calendar day of a timestamp
+ * @param {string|Date} value
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const toLedgerDay = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Every day between two dates (inclusive)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+export const listLedgerDays = (from, to) => {
+  const days = [];
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const cursor = new Date(fy, fm - 1, fd);
+  while (toLedgerDay(cursor) <= to) {
+    days.push(toLedgerDay(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+};
+
+const remittanceValidatedAt = (r) => r.payment_validated_at
+  || (REMITTANCE_VALIDATED_STATUSES.includes(r.status) ? r.updated_at : null);
+const remittanceDeliveredAt = (r) => r.delivered_at
+  || (REMITTANCE_DELIVERED_STATUSES.includes(r.status) ? (r.completed_at || r.updated_at) : null);
+const orderValidatedAt = (o) => o.validated_at
+  || (o.payment_status === PAYMENT_STATUS.VALIDATED ? o.updated_at : null);
+const orderDeliveredAt = (o) => o.delivered_at
+  || (ORDER_DELIVERED_STATUSES.includes(o.status) ? (o.completed_at || o.updated_at) : null);
+
+/**
+ * Cross-check validated Zelle history against the records it pays for
+ * @returns {Array<{type: string, day: string|null, referenceId: string, transactionId: string|null, expected: number|null, received: number|null, label: string}>}
+ */
+export const findLedgerMismatches = ({ orders = [], remittances = [], zelleTransactions = [] }) => {
+  const mismatches = [];
+  const remittanceById = new Map(remittances.map(r => [r.id, r]));
+  const orderById = new Map(orders.map(o => [o.id, o]));
+
+  const validatedTx = zelleTransactions.filter(tx => tx.status === 'validated');
+  const paidReferences = new Set(validatedTx.map(tx => tx.reference_id));
+
+  validatedTx.forEach((tx) => {
+    const day = toLedgerDay(tx.validated_at || tx.transaction_date);
+    const base = { day, referenceId: tx.reference_id, transactionId: tx.id, received: num(tx.amount) };
+
+    if (tx.transaction_type === 'remittance') {
+      const remittance = remittanceById.get(tx.reference_id);
+      if (!remittance) {
+        mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.MISSING_REFERENCE, expected: null, label: tx.reference_id });
+        return;
+      }
+      const label = remittance.remittance_number || remittance.id;
+      if (!REMITTANCE_VALIDATED_STATUSES.includes(remittance.status)) {
+        mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.ZELLE_WITHOUT_VALIDATED_REMITTANCE, expected: num(remittance.amount_sent), label });
+      } else if (Math.abs(num(remittance.amount_sent) - num(tx.amount)) > AMOUNT_TOLERANCE) {
+        mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.AMOUNT_MISMATCH, expected: num(remittance.amount_sent), label });
+      }
+      return;
+    }
+
+    const order = orderById.get(tx.reference_id);
+    if (!order) {
+      mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.MISSING_REFERENCE, expected: null, label: tx.reference_id });
+      return;
+    }
+    const label = order.order_number || order.id;
+    if (order.payment_status !== PAYMENT_STATUS.VALIDATED || order.status === ORDER_STATUS.CANCELLED) {
+      mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.ZELLE_WITHOUT_VALIDATED_ORDER, expected: num(order.total_amount), label });
+    } else if (Math.abs(num(order.total_amount) - num(tx.amount)) > AMOUNT_TOLERANCE) {
+      mismatches.push({ ...base, type: LEDGER_MISMATCH_TYPES.AMOUNT_MISMATCH, expected: num(order.total_amount), label });
+    }
+  });
+
+  remittances
+    .filter(r => REMITTANCE_VALIDATED_STATUSES.includes(r.status) && r.zelle_account_id && !paidReferences.has(r.id))
+    .forEach((r) => {
+      mismatches.push({
+        type: LEDGER_MISMATCH_TYPES.REMITTANCE_WITHOUT_ZELLE,
+        day: toLedgerDay(remittanceValidatedAt(r)),
+        referenceId: r.id,
+        transactionId: null,
+        expected: num(r.amount_sent),
+        received: null,
+        label: r.remittance_number || r.id
+      });
+    });
+
+  orders
+    .filter(o => o.payment_status === PAYMENT_STATUS.VALIDATED && o.status !== ORDER_STATUS.CANCELLED
+      && o.zelle_account_id && isZelle(o) && !paidReferences.has(o.id))
+    .forEach((o) => {
+      mismatches.push({
+        type: LEDGER_MISMATCH_TYPES.ORDER_WITHOUT_ZELLE,
+        day: toLedgerDay(orderValidatedAt(o)),
+        referenceId: o.id,
+        transactionId: null,
+        expected: num(o.total_amount),
+        received: null,
+        label: o.order_number || o.id
+      });
+    });
+
+  return mismatches;
+};
+
+/**
+ * Build the ledger for a date range
+ *
+ * @param {Object} data
+ * @param {Array<Object>} data.orders - orders rows
+ * @param {Array<Object>} data.remittances - remittances rows
+ * @param {Array<Object>} data.zelleTransactions - zelle_transaction_history rows (any status)
+ * @param {Array<Object>} [data.accounts] - zelle_accounts rows (names)
+ * @param {string} data.from - First day (YYYY-MM-DD)
+ * @param {string} data.to - Last day (YYYY-MM-DD)
+ * @returns {{days: Array<Object>, totals: Object, mismatches: Array<Object>}}
+ *   day: { date, received: { total, byAccount: { [id]: { name, amount, count } } }, commissions: { remittances },
+ *          delivered: { [currency]: amount }, outstanding: { pendingZelle, remittancesToDeliver, ordersToDeliver, amount },
+ *          mismatches: [...] }
+ */
+export const buildDailyLedger = ({ orders = [], remittances = [], zelleTransactions = [], accounts = [], from, to }) => {
+  const accountNames = new Map(accounts.map(account => [account.id, account.account_name]));
+  const mismatches = findLedgerMismatches({ orders, remittances, zelleTransactions });
+
+  const days = listLedgerDays(from, to).map((date) => {
+    const received = { total: 0, byAccount: {} };
+    zelleTransactions
+      .filter(tx => tx.status === 'validated' && toLedgerDay(tx.validated_at || tx.transaction_date) === date)
+      .forEach((tx) => {
+        const id = tx.zelle_account_id || 'unknown';
+        if (!received.byAccount[id]) {
+          received.byAccount[id] = { name: accountNames.get(id) || tx.zelle_accounts?.account_name || id, amount: 0, count: 0 };
+        }
+        received.byAccount[id].amount = round(received.byAccount[id].amount + num(tx.amount));
+        received.byAccount[id].count += 1;
+        received.total = round(received.total + num(tx.amount));
+      });
+
+    const deliveredToday = remittances.filter(r =>
+      REMITTANCE_DELIVERED_STATUSES.includes(r.status) && toLedgerDay(remittanceDeliveredAt(r)) === date
+    );
+
+    const commissions = {
+      remittances: round(deliveredToday.reduce((sum, r) => sum + num(r.commission_total), 0))
+    };
+
+    const delivered = {};
+    deliveredToday.forEach((r) => {
+      const currency = r.currency_delivered || 'USD';
+      delivered[currency] = round((delivered[currency] || 0) + num(r.amount_to_deliver));
+    });
+
+    // Open at the end of the day: paid but not delivered, or received but not yet reviewed
+    const happenedBy = (value) => {
+      const day = toLedgerDay(value);
+      return !!day && day <= date;
+    };
+
+    const remittancesToDeliver = remittances.filter(r =>
+      r.status !== REMITTANCE_STATUS.CANCELLED && happenedBy(remittanceValidatedAt(r)) && !happenedBy(remittanceDeliveredAt(r))
+    );
+    const ordersToDeliver = orders.filter(o =>
+      o.status !== ORDER_STATUS.CANCELLED && happenedBy(orderValidatedAt(o)) && !happenedBy(orderDeliveredAt(o))
+    );
+    // validated_at is also stamped on rejection
+    const pendingZelle = zelleTransactions.filter(tx =>
+      happenedBy(tx.transaction_date) && (tx.status === 'pending' || !happenedBy(tx.validated_at))
+    );
+
+    return {
+      date,
+      received,
+      commissions,
+      delivered,
+      outstanding: {
+        pendingZelle: pendingZelle.length,
+        remittancesToDeliver: remittancesToDeliver.length,
+        ordersToDeliver: ordersToDeliver.length,
+        amount: round(
+          pendingZelle.reduce((sum, tx) => sum + num(tx.amount), 0)
+          + remittancesToDeliver.reduce((sum, r) => sum + num(r.amount_sent), 0)
+          + ordersToDeliver.reduce((sum, o) => sum + num(o.total_amount), 0)
+        )
+      },
+      mismatches: mismatches.filter(mismatch => mismatch.day === date)
+    };
+  });
+
+  const totals = {
+    received: round(days.reduce((sum, day) => sum + day.received.total, 0)),
+    commissions: round(days.reduce((sum, day) => sum + day.commissions.remittances, 0)),
+    delivered: days.reduce((acc, day) => {
+      Object.entries(day.delivered).forEach(([currency, amount]) => {
+        acc[currency] = round((acc[currency] || 0) + amount);
+      });
+      return acc;
+    }, {}),
+    mismatches: days.reduce((sum, day) => sum + day.mismatches.length, 0)
+  };
+
+  return {
+    days,
+    totals,
+    // Undated mismatches (no validation timestamp) are always reported
+    mismatches: mismatches.filter(mismatch => !mismatch.day || (mismatch.day >= from && mismatch.day <= to))
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Ledger as CSV: one row per day and Zelle account, then the mismatches
+ * @param {Object} ledger - buildDailyLedger() result
+ * @param {Object} [labels] - Column headers / mismatch labels (translated)
+ * @returns {string}
+ */
+export const ledgerToCsv = (ledger, labels = {}) => {
+  const currencies = Object.keys(ledger.totals.delivered).sort();
+  const header = [
+    labels.date || 'Date',
+    labels.account || 'Zelle account',
+    labels.received || 'Received (USD)',
+    labels.transactions || 'Transactions',
+    labels.commissions || 'Commissions (USD)',
+    ...currencies.map(currency => `${labels.delivered || 'Delivered'} ${currency}`),
+    labels.outstanding || 'Outstanding (USD)',
+    labels.mismatches || 'Mismatches'
+  ];
+
+  const rows = [header];
+  ledger.days.forEach((day) => {
+    const accounts = Object.values(day.received.byAccount);
+    const dayColumns = [
+      day.commissions.remittances,
+      ...currencies.map(currency => day.delivered[currency] || 0),
+      day.outstanding.amount,
+      day.mismatches.length
+    ];
+    if (accounts.length === 0) {
+      rows.push([day.date, '', 0, 0, ...dayColumns]);
+    } else {
+      accounts.forEach((account, index) => {
+        // Day-level figures only on the first account row so column sums stay right
+        rows.push([day.date, account.name, account.amount, account.count,
+          ...(index === 0 ? dayColumns : dayColumns.map(() => ''))]);
+      });
+    }
+  });
+
+  if (ledger.mismatches.length > 0) {
+    rows.push([]);
+    rows.push([labels.mismatchSection || 'Mismatches']);
+    rows.push([labels.date || 'Date', labels.type || 'Type', labels.reference || 'Reference', labels.expected || 'Expected', labels.receivedShort || 'Received']);
+    ledger.mismatches.forEach((mismatch) => {
+      rows.push([mismatch.day || '', labels.types?.[mismatch.type] || mismatch.type, mismatch.label, mismatch.expected ?? '', mismatch.received ?? '']);
+    });
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+};
@@ -0,0 +1,106 @@
+/**
+ * Reconciliation Service
+ * Loads orders, remittances and Zelle history for a date range and builds the
+ * daily ledger (src/lib/reconciliationLedger.js) used by the accountant report
+ * in DashboardPage.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  AppError,
+  logError,
+  createValidationError,
+  parseSupabaseError
+} from '@/lib/errorHandler';
+import { buildDailyLedger } from '@/lib/reconciliationLedger';
+
+// Records created this long before the range can still be outstanding in it
+const OUTSTANDING_LOOKBACK_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const localDayStart = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+/**
+ * Daily reconciliation ledger (Admin only)
+ *
+ * @param {Object} range
+ * @param {string} range.from - First day, YYYY-MM-DD (local)
+ * @param {string} range.to - Last day, YYYY-MM-DD (local)
+ * @returns {Promise<Object>} buildDailyLedger() result plus { from, to, generatedAt }
+ * @throws {AppError} If the range is invalid or database error
+ *
+ * @example
+ * const ledger = await getDailyReconciliationLedger({ from: '2026-10-01', to: '2026-10-19' });
+ * // ledger.days[0] → { date: '2026-10-01', received: { total, byAccount }, commissions, delivered, outstanding, mismatches }
+ */
+export const getDailyReconciliationLedger = async ({ from, to }) => {
+  try {
+    if (!DAY_PATTERN.test(from || '') || !DAY_PATTERN.test(to || '') || from > to) {
+      throw createValidationError(
+        { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD, not before from' },
+        'Invalid date range'
+      );
+    }
+
+    const rangeStart = localDayStart(from);
+    const rangeEnd = localDayStart(to);
+    rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+    if ((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+      throw createValidationError({ to: `At most ${MAX_RANGE_DAYS} days` }, 'Date range too long');
+    }
+
+    const lookbackStart = new Date(rangeStart);
+    lookbackStart.setDate(lookbackStart.getDate() - OUTSTANDING_LOOKBACK_DAYS);
+
+    const [ordersRes, remittancesRes, zelleRes, accountsRes] = await Promise.all([
+      supabase
+        .from('orders')
+        .select('id, order_number, status, payment_status, payment_method, total_amount, zelle_account_id, validated_at, delivered_at, completed_at, updated_at, created_at')
+        .gte('created_at', lookbackStart.toISOString())
+        .lt('created_at', rangeEnd.toISOString()),
+      supabase
+        .from('remittances')
+        .select('id, remittance_number, status, amount_sent, commission_total, amount_to_deliver, currency_delivered, zelle_account_id, payment_validated_at, delivered_at, completed_at, updated_at, created_at')
+        .gte('created_at', lookbackStart.toISOString())
+        .lt('created_at', rangeEnd.toISOString()),
+      supabase
+        .from('zelle_transaction_history')
+        .select('id, zelle_account_id, transaction_type, reference_id, amount, status, transaction_date, validated_at')
+        .gte('transaction_date', lookbackStart.toISOString())
+        .lt('transaction_date', rangeEnd.toISOString()),
+      supabase
+        .from('zelle_accounts')
+        .select('id, account_name')
+    ]);
+
+    [ordersRes, remittancesRes, zelleRes, accountsRes].forEach(({ error }) => {
+      if (error) throw parseSupabaseError(error);
+    });
+
+    const ledger = buildDailyLedger({
+      orders: ordersRes.data || [],
+      remittances: remittancesRes.data || [],
+      zelleTransactions: zelleRes.data || [],
+      accounts: accountsRes.data || [],
+      from,
+      to
+    });
+
+    return { ...ledger, from, to, generatedAt: new Date().toISOString() };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getDailyReconciliationLedger', from, to });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getDailyReconciliationLedger', from, to });
+    throw appError;
+  }
+};
@@ -3,12 +3,184 @@
  * These are the single source of truth formulas used by remittanceService.js.
  */
 
+import { BUSINESS_TIME_ZONE } from './constants';
+
+/**
+ * Commission schedule (remittance_types.commission_schedule), optional:
+ * {
+ *   tiers:   [{ min_amount, max_amount|null, commission_percentage, commission_fixed }],
+ *   windows: [{ label, days: [0-6], start_time: 'HH:MM', end_time: 'HH:MM',
+ *               starts_at|null, ends_at|null, commission_percentage, commission_fixed }]
+ * }
+ * Tiers cover [min_amount, max_amount). An active window wins over tiers, a
+ * matching tier wins over the type's base commission. Missing percentage or
+ * fixed values fall back to the base. Window days and hours are read on the
+ * business clock (BUSINESS_TIME_ZONE), not the browser's; the database applies
+ * the same rule with resolve_remittance_commission() when a remittance is stored.
+ * starts_at / ends_at are instants, entered and shown as business-clock dates.
+ */
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Weekday (0 = Sunday) and minutes since midnight of a moment in a timezone.
+ */
+function getZonedClock(moment, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(moment);
+  const part = (type) => parts.find(p => p.type === type)?.value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+  };
+}
+
+/**
+ * Find the first commission window active at a given moment.
+ */
+export function findActiveCommissionWindow(schedule, at = new Date(), timeZone = BUSINESS_TIME_ZONE) {
+  const moment = new Date(at);
+  const { day, minutes } = getZonedClock(moment, timeZone);
+
+  return (schedule?.windows || []).find((window) => {
+    if (window.starts_at && moment < new Date(window.starts_at)) return false;
+    if (window.ends_at && moment > new Date(window.ends_at)) return false;
+    if (window.days?.length && !window.days.includes(day)) return false;
+    if (!window.start_time || !window.end_time) return true;
+
+    const start = timeToMinutes(window.start_time);
+    const end = timeToMinutes(window.end_time);
+    // Overnight windows (22:00 → 06:00) wrap around midnight
+    return start <= end
+      ? minutes >= start && minutes <= end
+      : minutes >= start || minutes <= end;
+  }) || null;
+}
+
+/**
+ * Wall-clock date and time of a moment in a timezone, as numbers.
+ */
+function getZonedParts(moment, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(moment);
+  const part = (type) => Number(parts.find(p => p.type === type)?.value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second'),
+  };
+}
+
+/**
+ * Instant (ISO string) of a business-clock date and time, for window
+ * starts_at / ends_at entered as dates.
+ * @example businessDateToInstant('2026-11-01', '23:59:59') // '2026-11-02T04:59:59.000Z' in Havana
+ */
+export function businessDateToInstant(date, time = '00:00:00', timeZone = BUSINESS_TIME_ZONE) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const [hour, minute, second] = String(time).split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
+  const wallAt = (instant) => {
+    const shown = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute, shown.second);
+  };
+
+  // Shift by the zone offset, then by the offset in force at that instant.
+  // A time skipped by a DST change (Havana moves 00:00 to 01:00) takes the
+  // later instant, the first moment of that day.
+  const guess = wall - (wallAt(wall) - wall);
+  const settled = wall - (wallAt(guess) - guess);
+  return new Date(wallAt(settled) === wall ? settled : Math.max(guess, settled)).toISOString();
+}
+
+/**
+ * Business-clock date ('YYYY-MM-DD') of a stored instant.
+ */
+export function instantToBusinessDate(at, timeZone = BUSINESS_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(new Date(at), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const toRule = (rule, base) => ({
+  commissionPct: rule.commission_percentage ?? base.commissionPct,
+  commissionFixed: rule.commission_fixed ?? base.commissionFixed,
+});
+
+/**
+ * Amount bands covering [0, ∞) with the commission that applies in each.
+ * Gaps between tiers use the base commission; an active window is one band.
+ */
+export function getCommissionBands({ commissionPct, commissionFixed, schedule = null, at = new Date() }) {
+  const base = { commissionPct: commissionPct || 0, commissionFixed: commissionFixed || 0 };
+
+  const window = findActiveCommissionWindow(schedule, at);
+  if (window) {
+    return [{ min: 0, max: null, ...toRule(window, base), source: 'window', label: window.label || null }];
+  }
+
+  const tiers = [...(schedule?.tiers || [])].sort((a, b) => a.min_amount - b.min_amount);
+  const bands = [];
+  let cursor = 0;
+
+  tiers.forEach((tier) => {
+    if (tier.min_amount > cursor) {
+      bands.push({ min: cursor, max: tier.min_amount, ...base, source: 'base', label: null });
+    }
+    bands.push({ min: tier.min_amount, max: tier.max_amount ?? null, ...toRule(tier, base), source: 'tier', label: null });
+    cursor = tier.max_amount ?? Infinity;
+  });
+
+  if (cursor !== Infinity) {
+    bands.push({ min: cursor, max: null, ...base, source: 'base', label: null });
+  }
+
+  return bands;
+}
+
+/**
+ * Commission that applies to an amount at a given moment.
+ */
+export function resolveCommission({ amount, commissionPct, commissionFixed, schedule = null, at = new Date() }) {
+  const bands = getCommissionBands({ commissionPct, commissionFixed, schedule, at });
+  const band = bands.find(b => amount >= b.min && (b.max === null || amount < b.max)) || bands[bands.length - 1];
+  return {
+    commissionPct: band.commissionPct,
+    commissionFixed: band.commissionFixed,
+    source: band.source,
+    label: band.label,
+  };
+}
+
 /**
  * Forward: given amount to send, calculate amount delivered.
  * Formula: deliver = (amount * rate) - (effectiveCommission * rate)
  */
-export function calcForward({ amount, exchangeRate, commissionPct, commissionFixed, offer = null }) {
-  const totalCommission = (amount * commissionPct / 100) + commissionFixed;
+export function calcForward({ amount, exchangeRate, commissionPct, commissionFixed, offer = null, schedule = null, at = new Date() }) {
+  const applied = resolveCommission({ amount, commissionPct, commissionFixed, schedule, at });
+  const totalCommission = (amount * applied.commissionPct / 100) + applied.commissionFixed;
   let discountAmount = 0;
 
   if (offer?.discount_type && offer?.discount_value) {
@@ -24,6 +196,9 @@ export function calcForward({ amount, exchangeRate, commissionPct, commissionFix
   const amountToDeliver = (amount * exchangeRate) - (effectiveCommission * exchangeRate);
 
   return {
+    commissionPct: applied.commissionPct,
+    commissionFixed: applied.commissionFixed,
+    commissionSource: applied.source,
     totalCommission: parseFloat(totalCommission.toFixed(2)),
     discountAmount: parseFloat(discountAmount.toFixed(2)),
     effectiveCommission: parseFloat(effectiveCommission.toFixed(2)),
@@ -33,16 +208,83 @@ export function calcForward({ amount, exchangeRate, commissionPct, commissionFix
 
 /**
  * Reverse: given desired receive amount, calculate amount to send.
- * Formula: send = ((desired / rate) + commFixed) / (1 - commPct/100)
+ * Formula (per band): send = ((desired / rate) + commFixed) / (1 - commPct/100)
+ *
+ * With tiers the formula is solved in every band and the cheapest solution
+ * that lands inside its own band wins. When the desired amount falls in the
+ * jump between two bands, the start of the next band is returned (the
+ * recipient gets slightly more than asked).
  */
-export function calcReverse({ desiredReceive, exchangeRate, commissionPct, commissionFixed }) {
-  const denominator = 1 - (commissionPct / 100);
-  if (denominator <= 0) throw new Error('Commission percentage cannot be 100% or more');
+export function calcReverse({ desiredReceive, exchangeRate, commissionPct, commissionFixed, schedule = null, at = new Date() }) {
+  const solve = (band) => {
+    const denominator = 1 - (band.commissionPct / 100);
+    if (denominator <= 0) throw new Error('Commission percentage cannot be 100% or more');
+    return ((desiredReceive / exchangeRate) + band.commissionFixed) / denominator;
+  };
+
+  const bands = getCommissionBands({ commissionPct, commissionFixed, schedule, at });
+  const solutions = bands.map(band => ({ band, send: solve(band) }));
+
+  const inBand = solutions
+    .filter(({ band, send }) => send >= band.min && (band.max === null || send < band.max))
+    .map(({ send }) => send);
+
+  let amountToSend;
+  if (inBand.length > 0) {
+    amountToSend = Math.min(...inBand);
+  } else {
+    const overshoot = solutions.find(({ band, send }) => send < band.min);
+    amountToSend = overshoot ? overshoot.band.min : solutions[solutions.length - 1].send;
+  }
 
-  const amountToSend = ((desiredReceive / exchangeRate) + commissionFixed) / denominator;
   return parseFloat(amountToSend.toFixed(4));
 }
 
+/**
+ * Check a commission schedule before saving.
+ * Returns a list of { kind: 'tier'|'window', index, code } problems.
+ */
+export function validateCommissionSchedule(schedule) {
+  const errors = [];
+  const validPct = (pct) => pct === undefined || pct === null || (pct >= 0 && pct < 100);
+
+  const tiers = [...(schedule?.tiers || [])]
+    .map((tier, index) => ({ ...tier, index }))
+    .sort((a, b) => a.min_amount - b.min_amount);
+
+  tiers.forEach((tier, position) => {
+    if (!(tier.min_amount >= 0) || (tier.max_amount !== null && tier.max_amount !== undefined && !(tier.max_amount > tier.min_amount))) {
+      errors.push({ kind: 'tier', index: tier.index, code: 'tierRange' });
+    }
+    const previous = tiers[position - 1];
+    if (previous && (previous.max_amount === null || previous.max_amount === undefined || previous.max_amount > tier.min_amount)) {
+      errors.push({ kind: 'tier', index: tier.index, code: 'tierOverlap' });
+    }
+    if (!validPct(tier.commission_percentage)) {
+      errors.push({ kind: 'tier', index: tier.index, code: 'percentage' });
+    }
+  });
+
+  (schedule?.windows || []).forEach((window, index) => {
+    const timePattern = /^\d{1,2}:\d{2}$/;
+    if ((window.start_time && !timePattern.test(window.start_time)) || (window.end_time && !timePattern.test(window.end_time)) ||
+        Boolean(window.start_time) !== Boolean(window.end_time)) {
+      errors.push({ kind: 'window', index, code: 'windowTime' });
+    }
+    if (window.starts_at && window.ends_at && new Date(window.ends_at) <= new Date(window.starts_at)) {
+      errors.push({ kind: 'window', index, code: 'windowDates' });
+    }
+    if (!window.days?.length && !window.starts_at && !window.ends_at && !window.start_time) {
+      errors.push({ kind: 'window', index, code: 'windowEmpty' });
+    }
+    if (!validPct(window.commission_percentage)) {
+      errors.push({ kind: 'window', index, code: 'percentage' });
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Invariant: forward(reverse(desired)) ≈ desired (within rounding).
  */
@@ -51,3 +293,12 @@ export function roundtrip(params) {
   const result = calcForward({ ...params, amount: send });
   return result.amountToDeliver;
 }
+
+/**
+ * A quote is stale once its expiry has passed.
+ * Quotes are priced and given their expiry by create_remittance_quote().
+ */
+export function isQuoteExpired(quote, now = new Date()) {
+  if (!quote?.expiresAt) return true;
+  return new Date(quote.expiresAt).getTime() <= new Date(now).getTime();
+}
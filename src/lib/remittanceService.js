@@ -8,14 +8,22 @@ import { supabase } from '@/lib/supabase';
 import { logActivity } from '@/lib/activityLogger';
 import { recordOfferUsage } from '@/lib/orderDiscountService';
 import {
+  AppError,
   handleError,
   logError,
   createValidationError,
   createNotFoundError,
   parseSupabaseError,
-  createPermissionError,
+  createTransitionError,
   ERROR_CODES
 } from './errorHandler';
+import {
+  REMITTANCE_STATUS,
+  REMITTANCE_ACTIONS,
+  REMITTANCE_HOOKS,
+  assertRemittanceTransition,
+  runRemittanceTransitionHooks
+} from '@/lib/remittanceStateMachine';
 import {
   notifyAdminNewPaymentProof,
   notifyUserPaymentValidated,
@@ -25,12 +33,24 @@ import {
 import { getFreshWhatsappRecipient } from '@/lib/notificationSettingsService';
 import {
   getAvailableZelleAccount,
+  linkZelleRotationDecision,
   registerZelleTransaction,
   upsertZelleTransactionStatus,
-  ZELLE_STATUS,
   ZELLE_TRANSACTION_TYPES
 } from '@/lib/zelleService';
-import { getExchangeRate as getCurrencyExchangeRate } from '@/lib/currencyService';
+import { getExchangeRateDetails } from '@/lib/currencyService';
+import {
+  calcForward,
+  calcReverse,
+  isQuoteExpired,
+  validateCommissionSchedule
+} from '@/lib/remittanceCalculations';
+import {
+  isWellFormedDeliveryPin,
+  isDeliveryPinSatisfied,
+  toDeliveryPinStatus,
+  DELIVERY_PIN_LENGTH
+} from '@/lib/deliveryPin';
 
 /**
  * Extract file path from a Supabase storage URL or return path as-is
@@ -120,16 +140,8 @@ export const generateProofSignedUrl = async (proofFilePath, bucketName = 'remitt
 // CONSTANTES
 // ============================================================================
 
-export const REMITTANCE_STATUS = {
-  PAYMENT_PENDING: 'payment_pending',
-  PAYMENT_PROOF_UPLOADED: 'payment_proof_uploaded',
-  PAYMENT_VALIDATED: 'payment_validated',
-  PAYMENT_REJECTED: 'payment_rejected',
-  PROCESSING: 'processing',
-  DELIVERED: 'delivered',
-  COMPLETED: 'completed',
-  CANCELLED: 'cancelled'
-};
+// Status values and legal transitions live in remittanceStateMachine.js
+export { REMITTANCE_STATUS, REMITTANCE_ACTIONS };
 
 const logRemittancePaymentActivity = async ({ action, remittance, performedBy, description, metadata = {} }) => {
   try {
@@ -166,6 +178,159 @@ export const DELIVERY_METHODS = {
   CARD: 'card'
 };
 
+// ============================================================================
+// STATE MACHINE INTEGRATION - every status change goes through here
+// ============================================================================
+
+const REMITTANCE_NOTIFIERS = {
+  user_payment_validated: notifyUserPaymentValidated,
+  user_payment_rejected: notifyUserPaymentRejected,
+  user_remittance_delivered: notifyUserRemittanceDelivered
+};
+
+/**
+ * Hook handlers for runRemittanceTransitionHooks
+ * Each receives the hook definition from the transition table and the payload
+ */
+const remittanceTransitionHandlers = {
+  [REMITTANCE_HOOKS.ACTIVITY]: (hook, { remittance, user, metadata }) => logRemittancePaymentActivity({
+    action: hook.action,
+    remittance,
+    performedBy: user?.email || user?.id,
+    description: `${hook.label} - Remesa ${remittance?.remittance_number || remittance?.id}`,
+    metadata: {
+      remittanceId: remittance?.id,
+      remittanceNumber: remittance?.remittance_number,
+      ...metadata
+    }
+  }),
+
+  [REMITTANCE_HOOKS.ZELLE]: async (hook, { previous, user, results }) => {
+    // Only sync Zelle history once the admin action is recorded in the activity log
+    if (!previous?.zelle_account_id || results[REMITTANCE_HOOKS.ACTIVITY]?.status !== 'inserted') {
+      return { status: 'skipped' };
+    }
+
+    return upsertZelleTransactionStatus({
+      referenceId: previous.id,
+      transactionType: ZELLE_TRANSACTION_TYPES.REMITTANCE,
+      status: hook.status,
+      amount: previous.amount || previous.amount_to_deliver || 0,
+      zelleAccountId: previous.zelle_account_id,
+      validatedBy: user?.id
+    });
+  },
+
+  [REMITTANCE_HOOKS.NOTIFY]: async (hook, { remittance, user }) => {
+    if (hook.event === 'admin_payment_proof') {
+      // IMPORTANT: Use getFreshWhatsappRecipient to get settings from notification_settings table
+      // This ensures we always use the currently configured phone/group, not stale cached values
+      const whatsappRecipient = await getFreshWhatsappRecipient();
+      if (!whatsappRecipient) {
+        console.warn('[uploadPaymentProof] No WhatsApp recipient configured in notification_settings');
+        return { status: 'skipped' };
+      }
+
+      return notifyAdminNewPaymentProof({
+        ...remittance,
+        user_email: user?.email,
+        user_name: user?.user_metadata?.full_name || user?.user_metadata?.name || user?.email?.split('@')[0]
+      }, whatsappRecipient, 'es');
+    }
+
+    const notifier = REMITTANCE_NOTIFIERS[hook.event];
+    return notifier ? notifier(remittance, 'es') : { status: 'skipped' };
+  }
+};
+
+/**
+ * Fetch a remittance (with its type) before applying a transition
+ * @param {string} remittanceId - Remittance ID
+ * @param {string} operation - Caller name for error context
+ * @throws {AppError} If remittance not found or query fails
+ * @returns {Promise<Object>} Remittance row
+ */
+const fetchRemittanceForTransition = async (remittanceId, operation) => {
+  const { data: remittance, error: fetchError } = await supabase
+    .from('remittances')
+    .select('*, remittance_types(*)')
+    .eq('id', remittanceId)
+    .single();
+
+  if (fetchError) {
+    const appError = parseSupabaseError(fetchError);
+    logError(appError, { operation: `${operation} - fetch`, remittanceId });
+    throw appError;
+  }
+
+  if (!remittance) {
+    throw createNotFoundError('Remittance', remittanceId);
+  }
+
+  return remittance;
+};
+
+/**
+ * Persist an asserted transition and run its side-effect hooks
+ * The update is conditioned on the status read before the transition, so a
+ * concurrent change surfaces as INVALID_STATUS_TRANSITION instead of being overwritten
+ * @param {Object} remittance - Remittance as fetched before the transition
+ * @param {Object} transition - Result of assertRemittanceTransition
+ * @param {Object} options - user, updates (extra columns), metadata (for hooks), operation
+ * @throws {AppError} If the update fails or the status changed concurrently
+ * @returns {Promise<Object>} Updated remittance
+ */
+const commitRemittanceTransition = async (remittance, transition, { user = null, updates = {}, metadata = {}, operation } = {}) => {
+  const { data: updatedRemittance, error: updateError } = await supabase
+    .from('remittances')
+    .update({
+      ...updates,
+      status: transition.to,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', remittance.id)
+    .eq('status', remittance.status)
+    .select('*, remittance_types(*)')
+    .single();
+
+  if (updateError) {
+    if (updateError.code === 'PGRST116') {
+      throw createTransitionError('Remittance', transition.action, remittance.status, transition.from);
+    }
+    const appError = parseSupabaseError(updateError);
+    logError(appError, { operation: `${operation || transition.action} - update`, remittanceId: remittance.id });
+    throw appError;
+  }
+
+  await runRemittanceTransitionHooks(
+    transition,
+    { remittance: updatedRemittance, previous: remittance, user, metadata },
+    remittanceTransitionHandlers
+  );
+
+  return updatedRemittance;
+};
+
+/**
+ * Get the authenticated user or throw
+ * @param {string} operation - Caller name for error context
+ * @returns {Promise<Object>} Supabase auth user
+ */
+const requireAuthenticatedUser = async (operation) => {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError) {
+    const appError = parseSupabaseError(userError);
+    logError(appError, { operation: `${operation} - getUser` });
+    throw appError;
+  }
+
+  if (!user) {
+    throw new Error('Not authenticated');
+  }
+
+  return user;
+};
+
 // recipient_bank_account_id column now exists in remittances table (added 2026-01-19)
 
 // ============================================================================
@@ -180,33 +345,34 @@ export const DELIVERY_METHODS = {
  * @param {string} fromCurrencyCode - Source currency code (e.g., 'USD')
  * @param {string} toCurrencyCode - Target currency code (e.g., 'CUP')
  * @param {number} fallbackRate - Fallback rate from remittance_type if not found
- * @returns {Promise<{rate: number, source: 'configured'|'fallback'}>} Exchange rate and its source
+ * @returns {Promise<{rate: number, source: 'type'|'configured'|'fallback', rateId: string|null}>}
+ *   Exchange rate, its source and the exchange_rates row it came from (configured only)
  */
 export const getRemittanceExchangeRate = async (fromCurrencyCode, toCurrencyCode, typeRate) => {
   try {
     // Same currency = 1:1 rate
     if (fromCurrencyCode === toCurrencyCode) {
-      return { rate: 1, source: 'configured' };
+      return { rate: 1, source: 'configured', rateId: null };
     }
 
     // The type's exchange_rate is authoritative when set (admin configured it explicitly)
     if (typeRate && typeRate > 0) {
-      return { rate: typeRate, source: 'type' };
+      return { rate: typeRate, source: 'type', rateId: null };
     }
 
     // Fallback to exchange_rates table when the type doesn't have its own rate
-    const configuredRate = await getCurrencyExchangeRate(fromCurrencyCode, toCurrencyCode);
+    const { rate: configuredRate, rateId } = await getExchangeRateDetails(fromCurrencyCode, toCurrencyCode);
 
     if (configuredRate && configuredRate > 0) {
-      return { rate: configuredRate, source: 'configured' };
+      return { rate: configuredRate, source: 'configured', rateId };
     }
 
     console.warn(`[getRemittanceExchangeRate] No rate found for ${fromCurrencyCode}→${toCurrencyCode}, using 1`);
-    return { rate: 1, source: 'fallback' };
+    return { rate: 1, source: 'fallback', rateId: null };
   } catch (error) {
     // If any error, use type rate or 1
     console.warn(`[getRemittanceExchangeRate] Error getting rate for ${fromCurrencyCode}→${toCurrencyCode}`, error);
-    return { rate: typeRate || 1, source: 'fallback' };
+    return { rate: typeRate || 1, source: 'fallback', rateId: null };
   }
 };
 
@@ -214,6 +380,22 @@ export const getRemittanceExchangeRate = async (fromCurrencyCode, toCurrencyCode
 // GESTIÓN DE TIPOS DE REMESAS (ADMIN)
 // ============================================================================
 
+/**
+ * Reject overlapping tiers, invalid percentages and malformed windows
+ * @param {Object|null} schedule - commission_schedule value
+ * @throws {AppError} VALIDATION_FAILED listing the problems
+ */
+const assertValidCommissionSchedule = (schedule) => {
+  if (!schedule) return;
+  const problems = validateCommissionSchedule(schedule);
+  if (problems.length > 0) {
+    throw createValidationError(
+      { commission_schedule: problems.map(p => `${p.kind} ${p.index + 1}: ${p.code}`).join(', ') },
+      'Invalid commission schedule'
+    );
+  }
+};
+
 /**
  * Get all remittance types (Admin)
  * @throws {AppError} If database query fails
@@ -335,6 +517,8 @@ export const createRemittanceType = async (typeData) => {
       throw createValidationError({ max_amount: 'Maximum amount must be greater than minimum' });
     }
 
+    assertValidCommissionSchedule(typeData.commission_schedule);
+
     const { data, error } = await supabase
       .from('remittance_types')
       .insert([typeData])
@@ -381,6 +565,8 @@ export const updateRemittanceType = async (typeId, updates) => {
       throw createValidationError({ max_amount: 'Maximum amount must be greater than minimum' });
     }
 
+    assertValidCommissionSchedule(updates.commission_schedule);
+
     const { data, error } = await supabase
       .from('remittance_types')
       .update(updates)
@@ -518,23 +704,31 @@ export const recalculateRemittanceAtCurrentRate = async (remittanceId) => {
     }
 
     // 4. Resolve current exchange rate (same logic as creation)
-    const { rate: currentRate } = await getRemittanceExchangeRate(
+    const { rate: currentRate, rateId: currentRateId } = await getRemittanceExchangeRate(
       remittance.currency_sent,
       remittance.currency_delivered,
       type.exchange_rate
     );
-    const currentCommPct = type.commission_percentage || 0;
-    const currentCommFixed = type.commission_fixed || 0;
 
-    // 5. Recalculate using the standard formula
-    const commissionTotal = (remittance.amount_sent * currentCommPct / 100) + currentCommFixed;
-    const amountToDeliver = (remittance.amount_sent - commissionTotal) * currentRate;
+    // 5. Recalculate using the standard formula (tiers/windows resolved now)
+    const current = calcForward({
+      amount: remittance.amount_sent,
+      exchangeRate: currentRate,
+      commissionPct: type.commission_percentage || 0,
+      commissionFixed: type.commission_fixed || 0,
+      schedule: type.commission_schedule
+    });
+    const currentCommPct = current.commissionPct;
+    const currentCommFixed = current.commissionFixed;
+    const commissionTotal = current.totalCommission;
+    const amountToDeliver = current.amountToDeliver;
 
     // 6. Update remittance record (double-check status in WHERE clause)
     const { data, error } = await supabase
       .from('remittances')
       .update({
         exchange_rate: currentRate,
+        exchange_rate_id: currentRateId,
         commission_percentage: currentCommPct,
         commission_fixed: currentCommFixed,
         commission_total: parseFloat(commissionTotal.toFixed(2)),
@@ -623,43 +817,34 @@ export const calculateRemittance = async (typeId, amount, offer = null) => {
     }
 
     // Get exchange rate from configured rates (exchange_rates table) or fallback to type rate
-    const { rate: exchangeRate, source: rateSource } = await getRemittanceExchangeRate(
+    const { rate: exchangeRate, source: rateSource, rateId: exchangeRateId } = await getRemittanceExchangeRate(
       type.currency_code,
       type.delivery_currency,
       type.exchange_rate
     );
 
-    // Calculate commission - single source of truth formula
-    const commissionPercentage = (amount * (type.commission_percentage || 0)) / 100;
-    const commissionFixed = type.commission_fixed || 0;
-    const totalCommission = commissionPercentage + commissionFixed;
-
-    // Apply offer discount to commission if present
-    let discountAmount = 0;
-    if (offer && offer.discount_type && offer.discount_value) {
-      if (offer.discount_type === 'percentage') {
-        discountAmount = totalCommission * (offer.discount_value / 100);
-      } else if (offer.discount_type === 'fixed') {
-        discountAmount = Math.min(offer.discount_value, totalCommission);
-      }
-      discountAmount = Math.round(discountAmount * 100) / 100;
-    }
-
-    const effectiveCommission = Math.max(0, totalCommission - discountAmount);
-
-    // Calculate delivery amount using the resolved exchange rate
-    const amountToDeliver = (amount * exchangeRate) - (effectiveCommission * exchangeRate);
+    // Calculate commission - single source of truth formula (tiers, windows, offer discount)
+    const result = calcForward({
+      amount,
+      exchangeRate,
+      commissionPct: type.commission_percentage || 0,
+      commissionFixed: type.commission_fixed || 0,
+      offer,
+      schedule: type.commission_schedule
+    });
 
     return {
       amount,
       exchangeRate,
       exchangeRateSource: rateSource,
-      commissionPercentage: type.commission_percentage || 0,
-      commissionFixed: type.commission_fixed || 0,
-      totalCommission: effectiveCommission,
-      originalCommission: totalCommission,
-      discountAmount,
-      amountToDeliver,
+      exchangeRateId,
+      commissionPercentage: result.commissionPct,
+      commissionFixed: result.commissionFixed,
+      commissionSource: result.commissionSource,
+      totalCommission: result.effectiveCommission,
+      originalCommission: result.totalCommission,
+      discountAmount: result.discountAmount,
+      amountToDeliver: result.amountToDeliver,
       currency: type.currency_code,
       deliveryCurrency: type.delivery_currency,
       deliveryMethod: type.delivery_method
@@ -731,17 +916,21 @@ export const calculateReverseRemittance = async (typeId, desiredReceiveAmount) =
       type.exchange_rate || 1
     );
 
-    const commissionPercentage = type.commission_percentage || 0;
-    const commissionFixed = type.commission_fixed || 0;
+    // Calculate amount to send (solved per commission band when the type has tiers)
+    const commissionParams = {
+      exchangeRate,
+      commissionPct: type.commission_percentage || 0,
+      commissionFixed: type.commission_fixed || 0,
+      schedule: type.commission_schedule
+    };
 
-    // Calculate amount to send
-    const denominator = 1 - (commissionPercentage / 100);
-    if (denominator <= 0) {
-      throw createValidationError({ commission: 'Commission percentage cannot be 100% or more' });
+    let amountToSend;
+    try {
+      amountToSend = calcReverse({ ...commissionParams, desiredReceive: desiredReceiveAmount });
+    } catch (calcError) {
+      throw createValidationError({ commission: calcError.message });
     }
 
-    const amountToSend = ((desiredReceiveAmount / exchangeRate) + commissionFixed) / denominator;
-
     // Validate against limits
     if (amountToSend < type.min_amount) {
       throw createValidationError(
@@ -758,8 +947,10 @@ export const calculateReverseRemittance = async (typeId, desiredReceiveAmount) =
     }
 
     // Recalculate commission for display
-    const totalCommissionPercentage = (amountToSend * commissionPercentage) / 100;
-    const totalCommission = totalCommissionPercentage + commissionFixed;
+    const forward = calcForward({ ...commissionParams, amount: amountToSend });
+    const commissionPercentage = forward.commissionPct;
+    const commissionFixed = forward.commissionFixed;
+    const totalCommission = forward.totalCommission;
 
     return {
       amountToSend: Math.round(amountToSend * 100) / 100, // Round to 2 decimals
@@ -782,10 +973,143 @@ export const calculateReverseRemittance = async (typeId, desiredReceiveAmount) =
   }
 };
 
+// ============================================================================
+// COTIZACIONES - rate-locked quotes consumed by createRemittance
+// ============================================================================
+
+const createQuoteExpiredError = (quoteId) => new AppError(
+  'This quote has expired or was already used. Please review the updated amounts.',
+  ERROR_CODES.QUOTE_EXPIRED,
+  409,
+  { quoteId }
+);
+
+/**
+ * Map a remittance_quotes row to the calculation shape used by the wizard
+ * @param {Object} row - remittance_quotes row
+ * @returns {Object} Quote
+ */
+const mapQuoteRow = (row) => ({
+  quoteId: row.id,
+  typeId: row.remittance_type_id,
+  offerId: row.offer_id,
+  amount: parseFloat(row.amount),
+  exchangeRate: parseFloat(row.exchange_rate),
+  exchangeRateSource: row.exchange_rate_source,
+  exchangeRateId: row.exchange_rate_id,
+  commissionPercentage: parseFloat(row.commission_percentage || 0),
+  commissionFixed: parseFloat(row.commission_fixed || 0),
+  originalCommission: parseFloat(row.original_commission || 0),
+  discountAmount: parseFloat(row.discount_amount || 0),
+  totalCommission: parseFloat(row.commission_total || 0),
+  amountToDeliver: parseFloat(row.amount_to_deliver),
+  currency: row.currency,
+  deliveryCurrency: row.delivery_currency,
+  deliveryMethod: row.remittance_types?.delivery_method,
+  legs: row.legs || [],
+  expiresAt: row.expires_at,
+  consumedAt: row.consumed_at
+});
+
+/**
+ * Create a rate-locked quote for the authenticated user
+ * create_remittance_quote() reads the current exchange rate, commission and
+ * offer discount on the server and sets the expiry on the database clock.
+ * Pass the returned quoteId to createRemittance to pay exactly these amounts.
+ *
+ * @param {string} typeId - Remittance type ID
+ * @param {number} amount - Amount to send
+ * @param {Object} offer - Optional applied offer ({ id, discount_type, discount_value })
+ * @throws {AppError} If validation or the quote call fails
+ * @returns {Promise<Object>} Quote (calculation fields + quoteId, legs, expiresAt)
+ */
+export const createRemittanceQuote = async (typeId, amount, offer = null) => {
+  try {
+    await requireAuthenticatedUser('createRemittanceQuote');
+
+    if (!typeId || !(parseFloat(amount) > 0)) {
+      throw createValidationError(
+        { typeId: !typeId ? 'Type ID is required' : undefined, amount: !(parseFloat(amount) > 0) ? 'Amount must be greater than 0' : undefined },
+        'Missing quote parameters'
+      );
+    }
+
+    const { data, error } = await supabase
+      .rpc('create_remittance_quote', {
+        p_type_id: typeId,
+        p_amount: amount,
+        p_offer_id: offer?.id || null
+      })
+      .select('*, remittance_types(delivery_method)')
+      .single();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'createRemittanceQuote', typeId, amount });
+      throw appError;
+    }
+
+    return mapQuoteRow(data);
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'createRemittanceQuote', typeId, amount });
+    throw appError;
+  }
+};
+
+/**
+ * Load a quote a new remittance is about to use
+ * Only checks it early for a clear error; the remittance insert consumes the
+ * quote and copies its amounts (consume_remittance_quote trigger), so a quote
+ * that expires or is used in between is still rejected there.
+ *
+ * @param {string} quoteId - Quote ID
+ * @param {Object} expected - userId, typeId, amount, offerId the remittance is created with
+ * @throws {AppError} QUOTE_EXPIRED if stale or used, VALIDATION_FAILED if it doesn't match
+ * @returns {Promise<Object>} Quote
+ */
+const getOpenRemittanceQuote = async (quoteId, { userId, typeId, amount, offerId = null }) => {
+  const { data: row, error } = await supabase
+    .from('remittance_quotes')
+    .select('*, remittance_types(delivery_method)')
+    .eq('id', quoteId)
+    .maybeSingle();
+
+  if (error) {
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getOpenRemittanceQuote', quoteId });
+    throw appError;
+  }
+
+  if (!row || row.user_id !== userId) {
+    throw createNotFoundError('Quote', quoteId);
+  }
+
+  const quote = mapQuoteRow(row);
+
+  if (quote.typeId !== typeId ||
+      Math.abs(quote.amount - parseFloat(amount)) >= 0.01 ||
+      (quote.offerId || null) !== (offerId || null)) {
+    throw createValidationError(
+      { quote_id: 'Quote does not match the remittance type, amount or offer' },
+      'Quote does not match this remittance'
+    );
+  }
+
+  if (quote.consumedAt || isQuoteExpired(quote)) {
+    throw createQuoteExpiredError(quoteId);
+  }
+
+  return quote;
+};
+
 /**
  * Create a new remittance (User)
+ * When remittanceData.quote_id is given, the remittance is priced from that
+ * quote (see createRemittanceQuote) and the quote is consumed; otherwise the
+ * amounts are calculated at the live rate.
  * @param {Object} remittanceData - Remittance creation data
- * @throws {AppError} If validation fails or creation fails
+ * @throws {AppError} If validation fails, the quote is stale (QUOTE_EXPIRED) or creation fails
  * @returns {Promise<Object>} Created remittance
  */
 export const createRemittance = async (remittanceData) => {
@@ -807,6 +1131,7 @@ export const createRemittance = async (remittanceData) => {
       recipient_address_id,
       recipient_bank_account_id,
       offer_id,
+      quote_id,
       discount_amount: passedDiscountAmount
     } = remittanceData;
 
@@ -826,31 +1151,6 @@ export const createRemittance = async (remittanceData) => {
       }, 'Missing required remittance fields');
     }
 
-    // If offer_id provided, fetch offer for calculation
-    let offerForCalc = null;
-    if (offer_id) {
-      const { data: offerData } = await supabase
-        .from('offers')
-        .select('discount_type, discount_value')
-        .eq('id', offer_id)
-        .single();
-      if (offerData) offerForCalc = offerData;
-    }
-
-    // Calculate using single source of truth (with optional offer discount)
-    const calculation = await calculateRemittance(remittance_type_id, amount, offerForCalc);
-    const {
-      commissionPercentage,
-      commissionFixed,
-      totalCommission,
-      discountAmount: calcDiscountAmount,
-      amountToDeliver,
-      exchangeRate,
-      currency: currencyCode,
-      deliveryCurrency,
-      deliveryMethod
-    } = calculation;
-
     // Get authenticated user
     const { data: { user }, error: userError } = await supabase.auth.getUser();
     if (userError) {
@@ -865,6 +1165,43 @@ export const createRemittance = async (remittanceData) => {
       throw new Error('Not authenticated');
     }
 
+    let calculation;
+    if (quote_id) {
+      // Price from the locked quote the user was shown
+      calculation = await getOpenRemittanceQuote(quote_id, {
+        userId: user.id,
+        typeId: remittance_type_id,
+        amount,
+        offerId: offer_id
+      });
+    } else {
+      // If offer_id provided, fetch offer for calculation
+      let offerForCalc = null;
+      if (offer_id) {
+        const { data: offerData } = await supabase
+          .from('offers')
+          .select('discount_type, discount_value')
+          .eq('id', offer_id)
+          .single();
+        if (offerData) offerForCalc = offerData;
+      }
+
+      // Calculate using single source of truth (with optional offer discount)
+      calculation = await calculateRemittance(remittance_type_id, amount, offerForCalc);
+    }
+    const {
+      commissionPercentage,
+      commissionFixed,
+      totalCommission,
+      discountAmount: calcDiscountAmount,
+      amountToDeliver,
+      exchangeRate,
+      exchangeRateId,
+      currency: currencyCode,
+      deliveryCurrency,
+      deliveryMethod
+    } = calculation;
+
     // Check if user has admin privileges to create backend transfer records
     let isAdminUser = false;
     try {
@@ -881,14 +1218,12 @@ export const createRemittance = async (remittanceData) => {
 
     // Get or find available Zelle account
     let selectedZelleAccountId = zelle_account_id;
+    let zelleRotationDecisionId = null;
     if (!selectedZelleAccountId) {
-      const zelleResult = await getAvailableZelleAccount('remittance', amount);
-      if (!zelleResult.success) {
-        console.error('[createRemittance] ZELLE ERROR: No accounts available');
-        throw new Error('No Zelle accounts available. Please try again later.');
-      }
-      selectedZelleAccountId = zelleResult.account.id;
-    } else {
+      // Throws when no account can take the amount
+      const zelleAccount = await getAvailableZelleAccount(ZELLE_TRANSACTION_TYPES.REMITTANCE, amount);
+      selectedZelleAccountId = zelleAccount.id;
+      zelleRotationDecisionId = zelleAccount.rotation?.decisionId || null;
     }
 
     // Create remittance with calculated values (single source of truth)
@@ -931,6 +1266,15 @@ export const createRemittance = async (remittanceData) => {
       insertData.recipient_address_id = recipient_address_id;
     }
 
+    if (quote_id) {
+      insertData.quote_id = quote_id;
+    }
+
+    // Rate row used for pricing (audit) - null when the type's own rate applied
+    if (exchangeRateId) {
+      insertData.exchange_rate_id = exchangeRateId;
+    }
+
     const performInsert = async (payload) => supabase
       .from('remittances')
       .insert([payload])
@@ -941,11 +1285,17 @@ export const createRemittance = async (remittanceData) => {
 
     if (error) {
       console.error('[createRemittance] DATABASE INSERT ERROR:', error);
+      // consume_remittance_quote: the quote expired or was used meanwhile
+      if (quote_id && error.code === '55000') {
+        throw createQuoteExpiredError(quote_id);
+      }
       const appError = parseSupabaseError(error);
       logError(appError, { operation: 'createRemittance - insert', amount, recipientName: recipient_name });
       throw appError;
     }
 
+    await linkZelleRotationDecision(zelleRotationDecisionId, data.id);
+
     // Register Zelle transaction (graceful fallback if fails)
     try {
       await registerZelleTransaction({
@@ -979,6 +1329,19 @@ export const createRemittance = async (remittanceData) => {
       }
     }
 
+    // One-time delivery PIN, shown to the sender only (graceful fallback). The PIN
+    // row already exists (create_remittance_delivery_pin), so delivery stays
+    // blocked if this fails until the sender issues one from DeliveryPinCard
+    if (deliveryMethod === DELIVERY_METHODS.CASH) {
+      data.delivery_pin = null;
+      try {
+        data.delivery_pin = await issueDeliveryPin(data.id);
+      } catch (pinError) {
+        console.error('[createRemittance] Delivery PIN error (non-fatal):', pinError);
+        logError(pinError, { operation: 'createRemittance - delivery PIN', remittanceId: data.id });
+      }
+    }
+
     // Create bank transfer for off-cash methods (graceful fallback if fails)
     if (deliveryMethod !== 'cash' && recipient_bank_account_id) {
       if (isAdminUser) {
@@ -986,7 +1349,7 @@ export const createRemittance = async (remittanceData) => {
           await createBankTransfer(
             data.id,
             recipient_bank_account_id,
-            { amount_transferred: amountToDeliver }
+            { amount_transferred: data.amount_to_deliver }
           );
         } catch (bankError) {
           console.error('[createRemittance] Bank transfer creation error (non-fatal):', bankError);
@@ -1034,52 +1397,11 @@ export const uploadPaymentProof = async (remittanceId, file, reference, notes =
       }, 'Missing required fields for proof upload');
     }
 
-    // Fetch remittance with its type
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'uploadPaymentProof - fetch', remittanceId });
-      throw appError;
-    }
-
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
-
-    // Validate remittance state - allow uploads while pending or after rejection
-    const allowedStatuses = [
-      REMITTANCE_STATUS.PAYMENT_PENDING,
-      REMITTANCE_STATUS.PAYMENT_REJECTED
-    ];
-
-    if (!allowedStatuses.includes(remittance.status)) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, allowed: ${allowedStatuses.join(', ')}` },
-        'Payment proof can only be uploaded when remittance is pending payment or was rejected'
-      );
-    }
-
-    // Get authenticated user
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError) {
-      const appError = parseSupabaseError(userError);
-      logError(appError, { operation: 'uploadPaymentProof - getUser' });
-      throw appError;
-    }
-
-    if (!user) {
-      throw new Error('Not authenticated');
-    }
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'uploadPaymentProof');
+    const user = await requireAuthenticatedUser('uploadPaymentProof');
 
-    // Authorize - user must own the remittance
-    if (remittance.user_id !== user.id) {
-      throw createPermissionError('modify this remittance', 'owner');
-    }
+    // Allowed while pending or after rejection, and only by the owner
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.UPLOAD_PROOF, { user });
 
     // Prepare file for upload
     const fileExt = file.name.split('.').pop();
@@ -1097,63 +1419,21 @@ export const uploadPaymentProof = async (remittanceId, file, reference, notes =
       throw appError;
     }
 
-    // Update remittance with proof details
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update({
+    // Activity log + admin WhatsApp notification run as transition hooks
+    return await commitRemittanceTransition(remittance, transition, {
+      user,
+      operation: 'uploadPaymentProof',
+      updates: {
         payment_proof_url: filePath,
         payment_reference: reference,
         payment_proof_notes: notes,
-        payment_proof_uploaded_at: new Date().toISOString(),
-        status: REMITTANCE_STATUS.PAYMENT_PROOF_UPLOADED,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'uploadPaymentProof - update', remittanceId });
-      throw appError;
-    }
-
-    // Log payment proof upload for observability
-    await logRemittancePaymentActivity({
-      action: 'payment_proof_uploaded',
-      remittance: { ...updatedRemittance, payment_reference: reference },
-      performedBy: user?.email || user?.id,
-      description: `Comprobante subido - Remesa ${updatedRemittance?.remittance_number || remittanceId}`,
+        payment_proof_uploaded_at: new Date().toISOString()
+      },
       metadata: {
-        remittanceId,
-        remittanceNumber: updatedRemittance?.remittance_number,
         paymentProofUrl: filePath,
         paymentNotes: notes
       }
     });
-
-    // Notify admin (graceful fallback if fails - don't block remittance creation)
-    // IMPORTANT: Use getFreshWhatsappRecipient to get settings from notification_settings table
-    // This ensures we always use the currently configured phone/group, not stale cached values
-    try {
-      const whatsappRecipient = await getFreshWhatsappRecipient();
-
-      if (whatsappRecipient) {
-        const remittanceForNotify = {
-          ...updatedRemittance,
-          user_email: user.email,
-          user_name: user.user_metadata?.full_name || user.user_metadata?.name || user.email?.split('@')[0]
-        };
-        await notifyAdminNewPaymentProof(remittanceForNotify, whatsappRecipient, 'es');
-      } else {
-        console.warn('[uploadPaymentProof] No WhatsApp recipient configured in notification_settings');
-      }
-    } catch (notifyError) {
-      logError(notifyError, { operation: 'uploadPaymentProof - notification', remittanceId });
-      // Don't fail proof upload if notification fails
-    }
-
-    return updatedRemittance;
   } catch (error) {
     if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.INTERNAL_SERVER_ERROR, {
@@ -1282,7 +1562,7 @@ export const getRemittanceDetails = async (remittanceId) => {
 
 /**
  * Cancel a remittance (User)
- * Only allows cancellation in early states (payment pending, payment rejected)
+ * Allowed from any non-final state (see REMITTANCE_TRANSITIONS.cancel)
  * @param {string} remittanceId - Remittance ID to cancel
  * @param {string} reason - Cancellation reason
  * @throws {AppError} If remittance not found, invalid state, or user not authorized
@@ -1294,84 +1574,30 @@ export const cancelRemittance = async (remittanceId, reason = '') => {
       throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*')
-      .eq('id', remittanceId)
-      .single();
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'cancelRemittance');
+    const user = await requireAuthenticatedUser('cancelRemittance');
 
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'cancelRemittance - fetch', remittanceId });
-      throw appError;
-    }
+    // Cannot cancel delivered, completed or already cancelled; owner only
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.CANCEL, { user });
 
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
+    return await commitRemittanceTransition(remittance, transition, {
+      user,
+      operation: 'cancelRemittance',
+      updates: {
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason
+      }
+    });
+  } catch (error) {
+    if (error.code) throw error;
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'cancelRemittance', remittanceId });
+    throw appError;
+  }
+};
 
-    // Check cancellation eligibility - cannot cancel completed, delivered, or already cancelled
-    const nonCancellableStatuses = [
-      REMITTANCE_STATUS.DELIVERED,
-      REMITTANCE_STATUS.COMPLETED,
-      REMITTANCE_STATUS.CANCELLED
-    ];
-
-    if (nonCancellableStatuses.includes(remittance.status)) {
-      throw createValidationError(
-        { status: `Cannot cancel remittance in ${remittance.status} state` },
-        'Remittance cannot be cancelled in its current state'
-      );
-    }
-
-    // Get authenticated user
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError) {
-      const appError = parseSupabaseError(userError);
-      logError(appError, { operation: 'cancelRemittance - getUser' });
-      throw appError;
-    }
-
-    if (!user) {
-      throw new Error('Not authenticated');
-    }
-
-    // Authorize - user must own remittance
-    if (remittance.user_id !== user.id) {
-      throw createPermissionError('cancel this remittance', 'owner');
-    }
-
-    // Update to cancelled state
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update({
-        status: REMITTANCE_STATUS.CANCELLED,
-        cancelled_at: new Date().toISOString(),
-        cancellation_reason: reason,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'cancelRemittance - update', remittanceId });
-      throw appError;
-    }
-
-    return updatedRemittance;
-  } catch (error) {
-    if (error.code) throw error;
-    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'cancelRemittance', remittanceId });
-    throw appError;
-  }
-};
-
-// ============================================================================
-// GESTIÓN DE REMESAS (ADMIN) - MANAGEMENT & WORKFLOW
-// ============================================================================
+// ============================================================================
+// GESTIÓN DE REMESAS (ADMIN) - MANAGEMENT & WORKFLOW
+// ============================================================================
 
 /**
  * Get all remittances with filters (Admin)
@@ -1526,101 +1752,29 @@ export const validatePayment = async (remittanceId, notes = '') => {
       throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'validatePayment');
 
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'validatePayment - fetch', remittanceId });
-      throw appError;
-    }
+    // Can only validate when proof is uploaded
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.VALIDATE_PAYMENT);
+    const user = await requireAuthenticatedUser('validatePayment');
+    const validatedAt = new Date().toISOString();
 
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
-
-    // Validate state - can only validate when proof is uploaded
-    if (remittance.status !== REMITTANCE_STATUS.PAYMENT_PROOF_UPLOADED) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, but PAYMENT_PROOF_UPLOADED is required` },
-        'Payment can only be validated when proof has been uploaded'
-      );
-    }
-
-    // Get authenticated admin user
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError) {
-      const appError = parseSupabaseError(userError);
-      logError(appError, { operation: 'validatePayment - getUser' });
-      throw appError;
-    }
-
-    if (!user) {
-      throw new Error('Not authenticated');
-    }
-
-    // Update remittance to payment validated
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update({
-        status: REMITTANCE_STATUS.PAYMENT_VALIDATED,
+    // Activity log, Zelle history sync and user notification run as transition hooks
+    const updatedRemittance = await commitRemittanceTransition(remittance, transition, {
+      user,
+      operation: 'validatePayment',
+      updates: {
         payment_validated: true,
-        payment_validated_at: new Date().toISOString(),
-        payment_validated_by: user.id,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'validatePayment - update', remittanceId });
-      throw appError;
-    }
-
-    const activityResult = await logRemittancePaymentActivity({
-      action: 'payment_validated',
-      remittance: updatedRemittance,
-      performedBy: user?.email || user?.id,
-      description: `Pago validado - Remesa ${updatedRemittance?.remittance_number || remittanceId}`,
+        payment_validated_at: validatedAt,
+        payment_validated_by: user.id
+      },
       metadata: {
-        remittanceId,
-        remittanceNumber: updatedRemittance?.remittance_number,
         validationNotes: notes || null,
-        validatedAt: updatedRemittance?.payment_validated_at,
-        validatedBy: user?.id
+        validatedAt,
+        validatedBy: user.id
       }
     });
 
-    // Sync Zelle transaction history (graceful fallback)
-    if (remittance.zelle_account_id && activityResult?.status === 'inserted') {
-      try {
-        await upsertZelleTransactionStatus({
-          referenceId: remittanceId,
-          transactionType: ZELLE_TRANSACTION_TYPES.REMITTANCE,
-          status: ZELLE_STATUS.VALIDATED,
-          amount: remittance.amount || remittance.amount_to_deliver || 0,
-          zelleAccountId: remittance.zelle_account_id,
-          validatedBy: user.id
-        });
-      } catch (zelleError) {
-        logError(zelleError, { operation: 'validatePayment - zelle sync', remittanceId });
-      }
-    }
-
-    // Send notification to user (graceful fallback if fails)
-    try {
-      await notifyUserPaymentValidated(updatedRemittance, 'es');
-    } catch (notifyError) {
-      logError(notifyError, { operation: 'validatePayment - notification', remittanceId });
-      // Don't fail validation if notification fails
-    }
-
     if (notes) {
       console.info('[validatePayment] Validation notes provided', { remittanceId, notes });
     }
@@ -1635,7 +1789,7 @@ export const validatePayment = async (remittanceId, notes = '') => {
 
 /**
  * Reject payment for a remittance (Admin)
- * Rejects payment and returns remittance to payment pending state
+ * Rejects payment so the user can upload a new proof
  * @param {string} remittanceId - Remittance ID
  * @param {string} reason - Rejection reason (required)
  * @throws {AppError} If validation fails, remittance not found, or update fails
@@ -1650,102 +1804,29 @@ export const rejectPayment = async (remittanceId, reason) => {
       }, 'Missing required fields for payment rejection');
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'rejectPayment');
 
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'rejectPayment - fetch', remittanceId });
-      throw appError;
-    }
-
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
-
-    // Validate state - can only reject when proof is uploaded
-    if (remittance.status !== REMITTANCE_STATUS.PAYMENT_PROOF_UPLOADED) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, but PAYMENT_PROOF_UPLOADED is required` },
-        'Payment can only be rejected when proof has been uploaded'
-      );
-    }
-
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError) {
-      const appError = parseSupabaseError(userError);
-      logError(appError, { operation: 'rejectPayment - getUser' });
-      throw appError;
-    }
-
-    if (!user) {
-      throw new Error('Not authenticated');
-    }
+    // Can only reject when proof is uploaded
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.REJECT_PAYMENT, { reason });
+    const user = await requireAuthenticatedUser('rejectPayment');
 
-    // Update remittance to payment rejected
     // Note: payment_rejected_at column does not exist in DB schema
     // Using updated_at as the rejection timestamp
     const rejectionTimestamp = new Date().toISOString();
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update({
-        status: REMITTANCE_STATUS.PAYMENT_REJECTED,
-        payment_rejection_reason: reason,
-        updated_at: rejectionTimestamp
-      })
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
 
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'rejectPayment - update', remittanceId });
-      throw appError;
-    }
-
-    // Notify user (graceful fallback if fails)
-    try {
-      await notifyUserPaymentRejected(updatedRemittance, 'es');
-    } catch (notifyError) {
-      logError(notifyError, { operation: 'rejectPayment - notification', remittanceId });
-      // Don't fail rejection if notification fails
-    }
-
-    const activityResult = await logRemittancePaymentActivity({
-      action: 'payment_rejected',
-      remittance: updatedRemittance,
-      performedBy: user?.email || user?.id,
-      description: `Pago rechazado - Remesa ${updatedRemittance?.remittance_number || remittanceId}`,
+    // User notification, activity log and Zelle history sync run as transition hooks
+    return await commitRemittanceTransition(remittance, transition, {
+      user,
+      operation: 'rejectPayment',
+      updates: {
+        payment_rejection_reason: reason
+      },
       metadata: {
-        remittanceId,
-        remittanceNumber: updatedRemittance?.remittance_number,
         rejectionReason: reason,
         rejectedAt: rejectionTimestamp,
-        rejectedBy: user?.id
+        rejectedBy: user.id
       }
     });
-
-    // Sync Zelle transaction history (graceful fallback)
-    if (remittance.zelle_account_id && activityResult?.status === 'inserted') {
-      try {
-        await upsertZelleTransactionStatus({
-          referenceId: remittanceId,
-          transactionType: ZELLE_TRANSACTION_TYPES.REMITTANCE,
-          status: ZELLE_STATUS.REJECTED,
-          amount: remittance.amount || remittance.amount_to_deliver || 0,
-          zelleAccountId: remittance.zelle_account_id,
-          validatedBy: user.id
-        });
-      } catch (zelleError) {
-        logError(zelleError, { operation: 'rejectPayment - zelle sync', remittanceId });
-      }
-    }
-
-    return updatedRemittance;
   } catch (error) {
     if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'rejectPayment', remittanceId });
@@ -1767,48 +1848,17 @@ export const startProcessing = async (remittanceId, notes = '') => {
       throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'startProcessing - fetch', remittanceId });
-      throw appError;
-    }
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'startProcessing');
 
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
+    // Can only process when payment is validated
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.START_PROCESSING);
 
-    // Validate state - can only process when payment is validated
-    if (remittance.status !== REMITTANCE_STATUS.PAYMENT_VALIDATED) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, but PAYMENT_VALIDATED is required` },
-        'Processing can only start when payment has been validated'
-      );
-    }
-
-    // Update remittance to processing
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update({
-        status: REMITTANCE_STATUS.PROCESSING,
-        processing_started_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'startProcessing - update', remittanceId });
-      throw appError;
-    }
+    const updatedRemittance = await commitRemittanceTransition(remittance, transition, {
+      operation: 'startProcessing',
+      updates: {
+        processing_started_at: new Date().toISOString()
+      }
+    });
 
     if (notes) {
       console.info('[startProcessing] Processing notes provided', { remittanceId, notes });
@@ -1822,66 +1872,193 @@ export const startProcessing = async (remittanceId, notes = '') => {
   }
 };
 
+// ============================================================================
+// PIN DE ENTREGA - one-time PIN of cash remittances (see deliveryPin.js)
+// Generation, attempt limiting and the override audit live in
+// 20261019000018_remittance_delivery_pin.sql
+// ============================================================================
+
+const callDeliveryPinRpc = async (fn, params, operation) => {
+  const { data, error } = await supabase.rpc(fn, params);
+
+  if (error) {
+    const appError = parseSupabaseError(error);
+    // Never log the PIN itself
+    logError(appError, { operation, remittanceId: params.p_remittance_id });
+    throw appError;
+  }
+
+  return data;
+};
+
 /**
- * Confirm delivery of a remittance (Admin)
- * Marks remittance as delivered with delivery proof. Requires proof file or existing proof.
+ * Draw the delivery PIN of a cash remittance (Sender only)
+ * Only a hash is stored, so this is the one time the PIN can be shown; a
+ * later call draws a new PIN and the previous one stops working.
  * @param {string} remittanceId - Remittance ID
- * @param {File} proofFile - Optional new delivery proof file
- * @param {string} notes - Optional delivery notes
- * @throws {AppError} If validation fails, no proof provided, or update fails
- * @returns {Promise<Object>} Updated remittance
+ * @throws {AppError} If the caller is not the sender, the remittance is not cash or the PIN is settled
+ * @returns {Promise<string>} 6-digit PIN
  */
-export const confirmDelivery = async (remittanceId, proofFile = null, notes = '') => {
+export const issueDeliveryPin = async (remittanceId) => {
   try {
     if (!remittanceId) {
       throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
+    return await callDeliveryPinRpc('issue_remittance_delivery_pin', {
+      p_remittance_id: remittanceId
+    }, 'issueDeliveryPin');
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'issueDeliveryPin', remittanceId });
+    throw appError;
+  }
+};
 
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'confirmDelivery - fetch', remittanceId });
-      throw appError;
+/**
+ * Delivery PIN status, without the PIN (Sender, Admin, assigned Courier)
+ * @param {string} remittanceId - Remittance ID
+ * @throws {AppError} If the query fails
+ * @returns {Promise<Object>} status (see deliveryPin.toDeliveryPinStatus)
+ */
+export const getDeliveryPinStatus = async (remittanceId) => {
+  try {
+    if (!remittanceId) {
+      throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
+    const data = await callDeliveryPinRpc('get_remittance_delivery_pin_status', {
+      p_remittance_id: remittanceId
+    }, 'getDeliveryPinStatus');
+
+    return toDeliveryPinStatus(data);
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getDeliveryPinStatus', remittanceId });
+    throw appError;
+  }
+};
+
+/**
+ * Check the PIN given by the recipient (Admin, assigned Courier)
+ * Each wrong PIN uses up an attempt; the last one locks it until an admin
+ * overrides it.
+ * @param {string} remittanceId - Remittance ID
+ * @param {string} pin - PIN as typed (spaces and dashes allowed)
+ * @throws {AppError} VALIDATION_FAILED if malformed, DELIVERY_PIN_INVALID
+ *   (context.attemptsLeft) if wrong, DELIVERY_PIN_LOCKED if locked
+ * @returns {Promise<Object>} status once verified (or when no PIN is needed)
+ */
+export const verifyDeliveryPin = async (remittanceId, pin) => {
+  try {
+    if (!remittanceId || !isWellFormedDeliveryPin(pin)) {
+      throw createValidationError({
+        remittanceId: !remittanceId ? 'Remittance ID is required' : undefined,
+        pin: remittanceId ? `The delivery PIN has ${DELIVERY_PIN_LENGTH} digits` : undefined
+      }, `The delivery PIN has ${DELIVERY_PIN_LENGTH} digits`);
     }
 
-    // Validate state - can only confirm delivery when processing
-    if (remittance.status !== REMITTANCE_STATUS.PROCESSING) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, but PROCESSING is required` },
-        'Delivery can only be confirmed when remittance is being processed'
+    const status = toDeliveryPinStatus(await callDeliveryPinRpc('verify_remittance_delivery_pin', {
+      p_remittance_id: remittanceId,
+      p_pin: pin
+    }, 'verifyDeliveryPin'));
+
+    if (isDeliveryPinSatisfied(status)) {
+      return status;
+    }
+
+    if (status.locked) {
+      throw new AppError(
+        'Too many wrong PIN attempts. An administrator must override the delivery PIN.',
+        ERROR_CODES.DELIVERY_PIN_LOCKED,
+        423,
+        { remittanceId, attemptsLeft: 0 }
       );
     }
 
-    // CRITICAL: Require delivery proof - either new file or existing proof
-    const hasExistingProof = remittance.delivery_proof_url && remittance.delivery_proof_url.trim() !== '';
-    if (!proofFile && !hasExistingProof) {
-      throw new Error('Delivery proof required. Please provide a photo or document as evidence.');
+    throw new AppError(
+      `The delivery PIN is not correct. ${status.attemptsLeft} attempts left.`,
+      ERROR_CODES.DELIVERY_PIN_INVALID,
+      400,
+      { remittanceId, attemptsLeft: status.attemptsLeft }
+    );
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'verifyDeliveryPin', remittanceId });
+    throw appError;
+  }
+};
+
+/**
+ * Let a cash remittance be delivered without its PIN (Admin)
+ * The override and its reason are written to the activity log.
+ * @param {string} remittanceId - Remittance ID
+ * @param {string} reason - Why the PIN is skipped
+ * @throws {AppError} If the reason is missing, the caller is not admin or the RPC fails
+ * @returns {Promise<Object>} status
+ */
+export const overrideDeliveryPin = async (remittanceId, reason) => {
+  try {
+    if (!remittanceId || !String(reason || '').trim()) {
+      throw createValidationError({
+        remittanceId: !remittanceId ? 'Remittance ID is required' : undefined,
+        reason: !String(reason || '').trim() ? 'A reason is required to override the PIN' : undefined
+      }, 'A reason is required to override the delivery PIN');
     }
 
+    const data = await callDeliveryPinRpc('override_remittance_delivery_pin', {
+      p_remittance_id: remittanceId,
+      p_reason: String(reason).trim()
+    }, 'overrideDeliveryPin');
+
+    return toDeliveryPinStatus(data);
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'overrideDeliveryPin', remittanceId });
+    throw appError;
+  }
+};
+
+/**
+ * Confirm delivery of a remittance (Admin)
+ * Marks remittance as delivered with delivery proof. Requires proof file or existing proof,
+ * and for cash remittances the recipient's PIN (unless already verified or overridden).
+ * @param {string} remittanceId - Remittance ID
+ * @param {File} proofFile - Optional new delivery proof file
+ * @param {string} notes - Optional delivery notes
+ * @param {Object} [options]
+ * @param {string} [options.pin] - Delivery PIN given by the recipient (cash remittances)
+ * @throws {AppError} If validation fails, no proof provided, the PIN is missing, wrong or locked, or update fails
+ * @returns {Promise<Object>} Updated remittance
+ */
+export const confirmDelivery = async (remittanceId, proofFile = null, notes = '', { pin = '' } = {}) => {
+  try {
+    if (!remittanceId) {
+      throw createValidationError({ remittanceId: 'Remittance ID is required' });
+    }
+
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'confirmDelivery');
+
+    // Cash remittances need the recipient's PIN (the database enforces it too)
+    let deliveryPin = null;
+    if (remittance.remittance_types?.delivery_method === DELIVERY_METHODS.CASH) {
+      deliveryPin = await getDeliveryPinStatus(remittanceId);
+      if (!isDeliveryPinSatisfied(deliveryPin) && pin && remittance.status === REMITTANCE_STATUS.PROCESSING) {
+        deliveryPin = await verifyDeliveryPin(remittanceId, pin);
+      }
+    }
+
+    // Can only confirm when processing, and only with a new or existing delivery proof
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.CONFIRM_DELIVERY, {
+      deliveryProof: proofFile || remittance.delivery_proof_url,
+      deliveryPin
+    });
+
     let deliveryProofUrl = remittance.delivery_proof_url; // Keep existing proof if not updating
 
     // Upload new delivery proof if provided
     if (proofFile) {
-      const { data: { user }, error: userError } = await supabase.auth.getUser();
-      if (userError) {
-        const appError = parseSupabaseError(userError);
-        logError(appError, { operation: 'confirmDelivery - getUser' });
-        throw appError;
-      }
-
-      if (!user) {
-        throw new Error('Not authenticated');
-      }
+      const user = await requireAuthenticatedUser('confirmDelivery');
 
       // Prepare file for upload
       const fileExt = proofFile.name.split('.').pop();
@@ -1902,7 +2079,6 @@ export const confirmDelivery = async (remittanceId, proofFile = null, notes = ''
       deliveryProofUrl = filePath;
     }
 
-    // Update remittance to delivered
     // CRITICAL: Ensure delivery_proof_url is valid and persisted
     const trimmedProofUrl = deliveryProofUrl?.trim();
 
@@ -1913,36 +2089,15 @@ export const confirmDelivery = async (remittanceId, proofFile = null, notes = ''
       );
     }
 
-    const updateData = {
-      status: REMITTANCE_STATUS.DELIVERED,
-      delivered_at: new Date().toISOString(),
-      delivery_notes_admin: notes,
-      delivery_proof_url: trimmedProofUrl,  // ✅ ALWAYS include valid proof URL
-      updated_at: new Date().toISOString()
-    };
-
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update(updateData)
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'confirmDelivery - update', remittanceId });
-      throw appError;
-    }
-
-    // Notify user (graceful fallback if fails)
-    try {
-      await notifyUserRemittanceDelivered(updatedRemittance, 'es');
-    } catch (notifyError) {
-      logError(notifyError, { operation: 'confirmDelivery - notification', remittanceId });
-      // Don't fail delivery confirmation if notification fails
-    }
-
-    return updatedRemittance;
+    // User notification runs as a transition hook
+    return await commitRemittanceTransition(remittance, transition, {
+      operation: 'confirmDelivery',
+      updates: {
+        delivered_at: new Date().toISOString(),
+        delivery_notes_admin: notes,
+        delivery_proof_url: trimmedProofUrl
+      }
+    });
   } catch (error) {
     if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'confirmDelivery', remittanceId });
@@ -1964,56 +2119,23 @@ export const completeRemittance = async (remittanceId, notes = '') => {
       throw createValidationError({ remittanceId: 'Remittance ID is required' });
     }
 
-    // Fetch remittance
-    const { data: remittance, error: fetchError } = await supabase
-      .from('remittances')
-      .select('*, remittance_types(*)')
-      .eq('id', remittanceId)
-      .single();
-
-    if (fetchError) {
-      const appError = parseSupabaseError(fetchError);
-      logError(appError, { operation: 'completeRemittance - fetch', remittanceId });
-      throw appError;
-    }
-
-    if (!remittance) {
-      throw createNotFoundError('Remittance', remittanceId);
-    }
+    const remittance = await fetchRemittanceForTransition(remittanceId, 'completeRemittance');
 
-    // Validate state - can only complete when delivered
-    if (remittance.status !== REMITTANCE_STATUS.DELIVERED) {
-      throw createValidationError(
-        { status: `Current status is ${remittance.status}, but DELIVERED is required` },
-        'Remittance can only be completed after delivery'
-      );
-    }
+    // Can only complete when delivered
+    const transition = assertRemittanceTransition(remittance, REMITTANCE_ACTIONS.COMPLETE);
 
-    // Update remittance to completed
-    const updateData = {
-      status: REMITTANCE_STATUS.COMPLETED,
-      completed_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+    const updates = {
+      completed_at: new Date().toISOString()
     };
 
     if (notes) {
-      updateData.delivery_notes_admin = notes;
-    }
-
-    const { data: updatedRemittance, error: updateError } = await supabase
-      .from('remittances')
-      .update(updateData)
-      .eq('id', remittanceId)
-      .select('*, remittance_types(*)')
-      .single();
-
-    if (updateError) {
-      const appError = parseSupabaseError(updateError);
-      logError(appError, { operation: 'completeRemittance - update', remittanceId });
-      throw appError;
+      updates.delivery_notes_admin = notes;
     }
 
-    return updatedRemittance;
+    return await commitRemittanceTransition(remittance, transition, {
+      operation: 'completeRemittance',
+      updates
+    });
   } catch (error) {
     if (error.code) throw error;
     const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'completeRemittance', remittanceId });
@@ -0,0 +1,326 @@
+/**
+ * Remittance State Machine
+ * Declarative transition table for REMITTANCE_STATUS — the single place that
+ * defines which status changes are legal, who may perform them, and which
+ * side effects (activity log, Zelle history, WhatsApp) they trigger.
+ *
+ * Pure module — no Supabase dependencies. remittanceService.js supplies the
+ * hook handlers; tests can supply fakes.
+ */
+
+import {
+  AppError,
+  ERROR_CODES,
+  logError,
+  createValidationError,
+  createPermissionError,
+  createTransitionError
+} from '@/lib/errorHandler';
+import { isDeliveryPinSatisfied } from '@/lib/deliveryPin';
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+export const REMITTANCE_STATUS = {
+  PAYMENT_PENDING: 'payment_pending',
+  PAYMENT_PROOF_UPLOADED: 'payment_proof_uploaded',
+  PAYMENT_VALIDATED: 'payment_validated',
+  PAYMENT_REJECTED: 'payment_rejected',
+  PROCESSING: 'processing',
+  DELIVERED: 'delivered',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export const REMITTANCE_ACTIONS = {
+  UPLOAD_PROOF: 'upload_proof',
+  VALIDATE_PAYMENT: 'validate_payment',
+  REJECT_PAYMENT: 'reject_payment',
+  START_PROCESSING: 'start_processing',
+  CONFIRM_DELIVERY: 'confirm_delivery',
+  COMPLETE: 'complete',
+  CANCEL: 'cancel'
+};
+
+/**
+ * Side-effect hook types. Handlers are provided by the caller of
+ * runRemittanceTransitionHooks, keyed by these values.
+ */
+export const REMITTANCE_HOOKS = {
+  ACTIVITY: 'activity',
+  ZELLE: 'zelle',
+  NOTIFY: 'notify'
+};
+
+/**
+ * Who is expected to trigger a transition (used to derive UI actions)
+ */
+export const REMITTANCE_ACTORS = {
+  OWNER: 'owner',
+  ADMIN: 'admin'
+};
+
+// ============================================================================
+// GUARDS - return null when allowed, or an AppError describing the failure
+// ============================================================================
+
+const requireOwner = (remittance, context = {}) => {
+  if (!context.user?.id || remittance?.user_id !== context.user.id) {
+    return createPermissionError('modify this remittance', 'owner');
+  }
+  return null;
+};
+
+const requireReason = (remittance, context = {}) => {
+  if (!context.reason || !String(context.reason).trim()) {
+    return createValidationError({ reason: 'Rejection reason is required' }, 'Rejection reason is required');
+  }
+  return null;
+};
+
+const requireDeliveryProof = (remittance, context = {}) => {
+  const proof = context.deliveryProof ?? remittance?.delivery_proof_url;
+  const hasProof = typeof proof === 'string' ? proof.trim() !== '' : Boolean(proof);
+  if (!hasProof) {
+    return new AppError(
+      'Delivery proof required. Please provide a photo or document as evidence.',
+      ERROR_CODES.DELIVERY_PROOF_REQUIRED,
+      400,
+      { remittanceId: remittance?.id }
+    );
+  }
+  return null;
+};
+
+// Cash remittances: the recipient's PIN was verified or an admin overrode it
+// (context.deliveryPin is the status from deliveryPin.toDeliveryPinStatus)
+const requireDeliveryPin = (remittance, context = {}) => {
+  if (isDeliveryPinSatisfied(context.deliveryPin)) return null;
+  const locked = Boolean(context.deliveryPin.locked);
+  return new AppError(
+    locked
+      ? 'Too many wrong PIN attempts. An administrator must override the delivery PIN.'
+      : 'The recipient\'s delivery PIN is required to confirm this delivery.',
+    locked ? ERROR_CODES.DELIVERY_PIN_LOCKED : ERROR_CODES.DELIVERY_PIN_REQUIRED,
+    locked ? 423 : 400,
+    { remittanceId: remittance?.id, attemptsLeft: context.deliveryPin.attemptsLeft }
+  );
+};
+
+// ============================================================================
+// TRANSITION TABLE
+// ============================================================================
+
+const S = REMITTANCE_STATUS;
+const H = REMITTANCE_HOOKS;
+
+/**
+ * Legal edges of REMITTANCE_STATUS.
+ * - from: statuses the action may start from
+ * - to: resulting status
+ * - actor: who performs it (owner = the sender, admin = back office)
+ * - guards: extra preconditions beyond the source status
+ * - hooks: ordered side effects, run after the status is persisted
+ */
+export const REMITTANCE_TRANSITIONS = {
+  [REMITTANCE_ACTIONS.UPLOAD_PROOF]: {
+    from: [S.PAYMENT_PENDING, S.PAYMENT_REJECTED],
+    to: S.PAYMENT_PROOF_UPLOADED,
+    actor: REMITTANCE_ACTORS.OWNER,
+    guards: [requireOwner],
+    hooks: [
+      { type: H.ACTIVITY, action: 'payment_proof_uploaded', label: 'Comprobante subido' },
+      { type: H.NOTIFY, event: 'admin_payment_proof' }
+    ]
+  },
+  [REMITTANCE_ACTIONS.VALIDATE_PAYMENT]: {
+    from: [S.PAYMENT_PROOF_UPLOADED],
+    to: S.PAYMENT_VALIDATED,
+    actor: REMITTANCE_ACTORS.ADMIN,
+    guards: [],
+    hooks: [
+      { type: H.ACTIVITY, action: 'payment_validated', label: 'Pago validado' },
+      { type: H.ZELLE, status: 'validated' },
+      { type: H.NOTIFY, event: 'user_payment_validated' }
+    ]
+  },
+  [REMITTANCE_ACTIONS.REJECT_PAYMENT]: {
+    from: [S.PAYMENT_PROOF_UPLOADED],
+    to: S.PAYMENT_REJECTED,
+    actor: REMITTANCE_ACTORS.ADMIN,
+    guards: [requireReason],
+    hooks: [
+      { type: H.NOTIFY, event: 'user_payment_rejected' },
+      { type: H.ACTIVITY, action: 'payment_rejected', label: 'Pago rechazado' },
+      { type: H.ZELLE, status: 'rejected' }
+    ]
+  },
+  [REMITTANCE_ACTIONS.START_PROCESSING]: {
+    from: [S.PAYMENT_VALIDATED],
+    to: S.PROCESSING,
+    actor: REMITTANCE_ACTORS.ADMIN,
+    guards: [],
+    hooks: []
+  },
+  [REMITTANCE_ACTIONS.CONFIRM_DELIVERY]: {
+    from: [S.PROCESSING],
+    to: S.DELIVERED,
+    actor: REMITTANCE_ACTORS.ADMIN,
+    guards: [requireDeliveryProof, requireDeliveryPin],
+    hooks: [
+      { type: H.NOTIFY, event: 'user_remittance_delivered' }
+    ]
+  },
+  [REMITTANCE_ACTIONS.COMPLETE]: {
+    from: [S.DELIVERED],
+    to: S.COMPLETED,
+    actor: REMITTANCE_ACTORS.ADMIN,
+    guards: [],
+    hooks: []
+  },
+  [REMITTANCE_ACTIONS.CANCEL]: {
+    from: [
+      S.PAYMENT_PENDING,
+      S.PAYMENT_PROOF_UPLOADED,
+      S.PAYMENT_VALIDATED,
+      S.PAYMENT_REJECTED,
+      S.PROCESSING
+    ],
+    to: S.CANCELLED,
+    actor: REMITTANCE_ACTORS.OWNER,
+    guards: [requireOwner],
+    hooks: []
+  }
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Get the transition definition for an action
+ * @param {string} action - One of REMITTANCE_ACTIONS
+ * @throws {AppError} If the action is unknown
+ * @returns {Object} Transition definition
+ */
+export const getRemittanceTransition = (action) => {
+  const transition = REMITTANCE_TRANSITIONS[action];
+  if (!transition) {
+    throw createValidationError({ action: `Unknown remittance action: ${action}` }, 'Unknown remittance action');
+  }
+  return { action, ...transition };
+};
+
+/**
+ * Evaluate a transition without throwing
+ * @param {Object} remittance - Remittance with at least { status }
+ * @param {string} action - One of REMITTANCE_ACTIONS
+ * @param {Object} context - Guard context: user, reason, deliveryProof, deliveryPin
+ * @returns {{allowed: boolean, transition: Object|null, error: AppError|null}}
+ */
+export const evaluateRemittanceTransition = (remittance, action, context = {}) => {
+  const transition = REMITTANCE_TRANSITIONS[action];
+  if (!transition) {
+    return {
+      allowed: false,
+      transition: null,
+      error: createValidationError({ action: `Unknown remittance action: ${action}` }, 'Unknown remittance action')
+    };
+  }
+
+  const status = remittance?.status;
+  if (!transition.from.includes(status)) {
+    return {
+      allowed: false,
+      transition: { action, ...transition },
+      error: createTransitionError('Remittance', action, status, transition.from)
+    };
+  }
+
+  for (const guard of transition.guards) {
+    const guardError = guard(remittance, context);
+    if (guardError) {
+      return { allowed: false, transition: { action, ...transition }, error: guardError };
+    }
+  }
+
+  return { allowed: true, transition: { action, ...transition }, error: null };
+};
+
+/**
+ * Check whether an action is legal for a remittance
+ * @returns {boolean}
+ */
+export const canTransitionRemittance = (remittance, action, context = {}) =>
+  evaluateRemittanceTransition(remittance, action, context).allowed;
+
+/**
+ * Assert that an action is legal for a remittance
+ * @throws {AppError} INVALID_STATUS_TRANSITION for illegal edges, or the guard's error
+ * @returns {Object} Transition definition (with action, from, to, hooks)
+ */
+export const assertRemittanceTransition = (remittance, action, context = {}) => {
+  const { allowed, transition, error } = evaluateRemittanceTransition(remittance, action, context);
+  if (!allowed) {
+    throw error;
+  }
+  return transition;
+};
+
+/**
+ * List actions whose source status matches the remittance (guards not evaluated)
+ * @param {Object} remittance - Remittance with { status }
+ * @param {string|null} actor - Optional REMITTANCE_ACTORS filter
+ * @returns {Array<string>} Actions from REMITTANCE_ACTIONS
+ */
+export const getAvailableRemittanceActions = (remittance, actor = null) => {
+  return Object.entries(REMITTANCE_TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(remittance?.status))
+    .filter(([, transition]) => !actor || transition.actor === actor)
+    .map(([action]) => action);
+};
+
+/**
+ * Check whether a status has no outgoing transitions
+ * @param {string} status - Remittance status
+ * @returns {boolean}
+ */
+export const isTerminalRemittanceStatus = (status) =>
+  !Object.values(REMITTANCE_TRANSITIONS).some(transition => transition.from.includes(status));
+
+// ============================================================================
+// HOOKS
+// ============================================================================
+
+/**
+ * Run a transition's side-effect hooks in order
+ * Hooks are best-effort: a failing hook is logged and never aborts the
+ * transition (the status change has already been persisted).
+ *
+ * @param {Object} transition - Result of assertRemittanceTransition
+ * @param {Object} payload - Data passed to every handler (remittance, previous, user, metadata...)
+ * @param {Object} handlers - Map of REMITTANCE_HOOKS value → async (hook, payload) => result
+ * @returns {Promise<Object>} Results keyed by hook type
+ */
+export const runRemittanceTransitionHooks = async (transition, payload = {}, handlers = {}) => {
+  const results = {};
+
+  for (const hook of transition?.hooks || []) {
+    const handler = handlers[hook.type];
+    if (!handler) continue;
+
+    try {
+      results[hook.type] = await handler(hook, { ...payload, transition, results });
+    } catch (error) {
+      logError(error, {
+        operation: `remittanceTransition - ${hook.type} hook`,
+        action: transition.action,
+        remittanceId: payload?.remittance?.id
+      });
+      results[hook.type] = { status: 'error', error };
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,196 @@
+/**
+ * Reorder Planning
+ * Sales velocity from order lines, per-product reorder points with lead times,
+ * suggested reorder quantities and the purchase-order lifecycle
+ * (draft → sent → received). Receiving a purchase order creates a stock
+ * receipt in the database (receive_purchase_order).
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { buildStockRequests } from './inventoryHolds';
+
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+const PURCHASE_ORDER_TRANSITIONS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.SENT]: [PURCHASE_ORDER_STATUS.RECEIVED, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.RECEIVED]: [],
+  [PURCHASE_ORDER_STATUS.CANCELLED]: []
+};
+
+// Defaults when a product has no settings of its own
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+export const DEFAULT_VELOCITY_WINDOW_DAYS = 30;
+// Days of sales an order should cover once it arrives
+export const DEFAULT_COVER_DAYS = 14;
+
+// Orders that count as sales: paid and not cancelled
+const SOLD_PAYMENT_STATUS = 'validated';
+const CANCELLED_STATUS = 'cancelled';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export const canTransitionPurchaseOrder = (from, to) =>
+  (PURCHASE_ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Units sold per product over a window
+ * Combo lines count their components.
+ *
+ * @param {Array<Object>} orders - Orders with created_at, status, payment_status
+ *   and order_items ({ item_type, item_id, quantity })
+ * @param {Object} [options]
+ * @param {Map|Object} [options.comboComponents] - combo_id → [{ product_id, quantity }]
+ * @param {number} [options.days] - Window length
+ * @param {Date} [options.now] - Clock (tests)
+ * @returns {Map<string, {units: number, perDay: number}>}
+ */
+export const computeSalesVelocity = (orders = [], {
+  comboComponents = new Map(),
+  days = DEFAULT_VELOCITY_WINDOW_DAYS,
+  now = new Date()
+} = {}) => {
+  const since = now.getTime() - days * DAY_MS;
+  const velocity = new Map();
+
+  orders
+    .filter(order => order.status !== CANCELLED_STATUS && order.payment_status === SOLD_PAYMENT_STATUS)
+    .filter(order => new Date(order.created_at).getTime() >= since)
+    .forEach((order) => {
+      // Strip line ids so lines of the same product merge
+      const lines = (order.order_items || []).map(({ item_type, item_id, quantity }) => ({ itemType: item_type, itemId: item_id, quantity }));
+      buildStockRequests(lines, comboComponents).forEach(({ product_id: productId, quantity }) => {
+        const current = velocity.get(productId) || { units: 0, perDay: 0 };
+        current.units += quantity;
+        velocity.set(productId, current);
+      });
+    });
+
+  velocity.forEach((entry) => {
+    entry.perDay = round2(entry.units / days);
+  });
+
+  return velocity;
+};
+
+/**
+ * Reorder point of a product: its own setting, otherwise the sales expected
+ * during the lead time plus the low-stock alert as safety stock
+ * @param {Object} product - reorder_point, lead_time_days, min_stock_alert
+ * @param {number} perDay - Units sold per day
+ * @returns {number}
+ */
+export const getReorderPoint = (product, perDay = 0) => {
+  if (product.reorder_point !== null && product.reorder_point !== undefined && product.reorder_point !== '') {
+    return Math.max(0, Math.round(toNumber(product.reorder_point)));
+  }
+  const leadTime = toNumber(product.lead_time_days) || DEFAULT_LEAD_TIME_DAYS;
+  return Math.ceil(perDay * leadTime) + Math.max(0, Math.round(toNumber(product.min_stock_alert)));
+};
+
+/**
+ * Products at or below their reorder point, most urgent first
+ * Suggested quantity covers the lead time plus coverDays of sales and brings
+ * stock back above the reorder point, minus what is already on order.
+ *
+ * @param {Array<Object>} products - id, stock, reorder_point, lead_time_days,
+ *   min_stock_alert, preferred_supplier_id, last_cost?
+ * @param {Map<string, {perDay: number}>} velocity - computeSalesVelocity()
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.onOrder] - product_id → units on open purchase orders
+ * @param {number} [options.coverDays]
+ * @returns {Array<Object>} { product, stock, onOrder, perDay, reorderPoint, leadTimeDays, daysOfStock, suggestedQuantity }
+ */
+export const buildReorderSuggestions = (products = [], velocity = new Map(), {
+  onOrder = new Map(),
+  coverDays = DEFAULT_COVER_DAYS
+} = {}) => products
+  .filter(product => product.is_active !== false)
+  .map((product) => {
+    const perDay = velocity.get(product.id)?.perDay || 0;
+    const stock = Math.max(0, toNumber(product.stock));
+    const ordered = onOrder.get(product.id) || 0;
+    const leadTimeDays = toNumber(product.lead_time_days) || DEFAULT_LEAD_TIME_DAYS;
+    const reorderPoint = getReorderPoint(product, perDay);
+    const target = reorderPoint + Math.ceil(perDay * (leadTimeDays + coverDays));
+
+    return {
+      product,
+      stock,
+      onOrder: ordered,
+      perDay,
+      reorderPoint,
+      leadTimeDays,
+      daysOfStock: perDay > 0 ? Math.floor(stock / perDay) : null,
+      suggestedQuantity: Math.max(0, target - stock - ordered)
+    };
+  })
+  .filter(entry => entry.stock + entry.onOrder <= entry.reorderPoint && entry.suggestedQuantity > 0)
+  .sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity) || a.stock - b.stock);
+
+/**
+ * Draft purchase orders from suggestions, one per supplier
+ * @param {Array<Object>} suggestions - buildReorderSuggestions()
+ * @returns {Array<{supplierId: string|null, items: Array<{product_id: string, quantity: number, cost_per_unit: number|null, suggested_quantity: number}>}>}
+ *   supplierId null groups products without a preferred supplier
+ */
+export const groupSuggestionsBySupplier = (suggestions = []) => {
+  const groups = new Map();
+  suggestions.forEach(({ product, suggestedQuantity }) => {
+    const supplierId = product.preferred_supplier_id || null;
+    if (!groups.has(supplierId)) groups.set(supplierId, { supplierId, items: [] });
+    groups.get(supplierId).items.push({
+      product_id: product.id,
+      quantity: suggestedQuantity,
+      cost_per_unit: product.last_cost ?? null,
+      suggested_quantity: suggestedQuantity
+    });
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Units and cost of purchase-order lines
+ * @param {Array<Object>} items - { quantity, cost_per_unit }
+ * @returns {{units: number, totalCost: number}}
+ */
+export const summarizePurchaseOrder = (items = []) => items.reduce((summary, item) => ({
+  units: summary.units + toNumber(item.quantity),
+  totalCost: round2(summary.totalCost + toNumber(item.quantity) * toNumber(item.cost_per_unit))
+}), { units: 0, totalCost: 0 });
+
+/**
+ * Units still on order per product (sent purchase orders, or drafts too)
+ * @param {Array<Object>} purchaseOrders - With status and items
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDrafts=true]
+ * @returns {Map<string, number>}
+ */
+export const getUnitsOnOrder = (purchaseOrders = [], { includeDrafts = true } = {}) => {
+  const open = [PURCHASE_ORDER_STATUS.SENT, ...(includeDrafts ? [PURCHASE_ORDER_STATUS.DRAFT] : [])];
+  const units = new Map();
+  purchaseOrders
+    .filter(po => open.includes(po.status))
+    .forEach(po => (po.items || []).forEach((item) => {
+      units.set(item.product_id, (units.get(item.product_id) || 0) + toNumber(item.quantity));
+    }));
+  return units;
+};
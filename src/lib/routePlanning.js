@@ -0,0 +1,325 @@
+/**
+ * Route Planning
+ * Daily dispatch planner: which validated orders and cash remittances go out,
+ * how they are split between couriers and in which order each courier visits
+ * them, plus the printable manifest of a route.
+ *
+ * Stops are ordered with the bundled cubanLocations data only (no maps API):
+ * provinces west to east as listed there, then municipalities in list order,
+ * then address. Stops whose location is not in the list go last.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { cubanProvinces } from '@/lib/cubanLocations';
+import { ORDER_STATUS, PAYMENT_STATUS } from '@/lib/constants';
+import { REMITTANCE_STATUS } from '@/lib/remittanceStateMachine';
+import { DELIVERY_KIND, UNKNOWN_LOCATION } from '@/lib/deliveryQueue';
+
+// DELIVERY_METHODS.CASH in remittanceService (only cash is delivered by hand)
+const CASH_DELIVERY_METHOD = 'cash';
+
+const PLANNABLE_ORDER_STATUSES = [ORDER_STATUS.PROCESSING, ORDER_STATUS.DISPATCHED];
+const PLANNABLE_REMITTANCE_STATUSES = [REMITTANCE_STATUS.PAYMENT_VALIDATED, REMITTANCE_STATUS.PROCESSING];
+
+// Rank of a province / municipality that is not in cubanLocations
+const UNRANKED = Number.MAX_SAFE_INTEGER;
+
+// Old or informal names people still type for a province
+const PROVINCE_ALIASES = {
+  'ciudad de la habana': 'la habana',
+  'habana': 'la habana',
+  'havana': 'la habana',
+  'isla de pinos': 'isla de la juventud'
+};
+
+/**
+ * Lowercase, accent-free, single-spaced version of a location name
+ * ("Camagüey " and "camaguey" match)
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeLocationName = (name) => String(name ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const PROVINCE_INDEX = new Map(
+  cubanProvinces.map((province, index) => [normalizeLocationName(province.name), index])
+);
+
+const findProvinceIndex = (province) => {
+  const name = normalizeLocationName(province);
+  if (!name) return -1;
+  return PROVINCE_INDEX.get(PROVINCE_ALIASES[name] || name) ?? -1;
+};
+
+const findMunicipalityIndex = (provinceIndex, municipality) => {
+  const name = normalizeLocationName(municipality);
+  if (!name || provinceIndex < 0) return -1;
+  return cubanProvinces[provinceIndex].municipalities
+    .findIndex(candidate => normalizeLocationName(candidate) === name);
+};
+
+/**
+ * Position of a location in the bundled province / municipality lists
+ * When the province is missing or unknown, the province of the municipality
+ * is used (first match).
+ * @param {string} province
+ * @param {string} municipality
+ * @returns {{province: number, municipality: number}} indexes, UNRANKED when not found
+ */
+export const getLocationRank = (province, municipality) => {
+  let provinceIndex = findProvinceIndex(province);
+
+  if (provinceIndex < 0 && normalizeLocationName(municipality)) {
+    provinceIndex = cubanProvinces.findIndex((_, index) => findMunicipalityIndex(index, municipality) >= 0);
+  }
+
+  const municipalityIndex = findMunicipalityIndex(provinceIndex, municipality);
+  return {
+    province: provinceIndex < 0 ? UNRANKED : provinceIndex,
+    municipality: municipalityIndex < 0 ? UNRANKED : municipalityIndex
+  };
+};
+
+/**
+ * Whether an order goes into the dispatch plan: payment validated and not
+ * yet delivered
+ * @param {Object} order - orders row
+ * @returns {boolean}
+ */
+export const isPlannableOrder = (order) => (
+  order?.payment_status === PAYMENT_STATUS.VALIDATED
+  && PLANNABLE_ORDER_STATUSES.includes(order.status)
+);
+
+/**
+ * Whether a remittance goes into the dispatch plan: cash delivery, payment
+ * validated and not yet delivered
+ * @param {Object} remittance - remittances row with remittance_types(delivery_method)
+ * @returns {boolean}
+ */
+export const isPlannableRemittance = (remittance) => (
+  remittance?.remittance_types?.delivery_method === CASH_DELIVERY_METHOD
+  && PLANNABLE_REMITTANCE_STATUSES.includes(remittance.status)
+);
+
+/**
+ * Unique key of a stop across remittances and orders
+ * @param {Object} stop
+ * @returns {string}
+ */
+export const getStopKey = (stop) => `${stop.kind}:${stop.id}`;
+
+const compareNames = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a.localeCompare(b, 'es', { sensitivity: 'base', numeric: true });
+};
+
+/**
+ * Comparator for the proposed delivery order
+ * Province (west to east), municipality, address, then stop number.
+ * @param {Object} a - stop
+ * @param {Object} b - stop
+ * @returns {number}
+ */
+export const compareStopsByRoute = (a, b) => {
+  const rankA = getLocationRank(a.province, a.municipality);
+  const rankB = getLocationRank(b.province, b.municipality);
+
+  return (rankA.province - rankB.province)
+    || (rankA.province === UNRANKED ? compareNames(a.province, b.province) : 0)
+    || (rankA.municipality - rankB.municipality)
+    || (rankA.municipality === UNRANKED ? compareNames(a.municipality, b.municipality) : 0)
+    || compareNames(a.address, b.address)
+    || compareNames(String(a.number ?? ''), String(b.number ?? ''));
+};
+
+/**
+ * Proposed delivery order of a set of stops
+ * @param {Array<Object>} stops
+ * @returns {Array<Object>} new sorted array
+ */
+export const proposeStopOrder = (stops = []) => [...stops].sort(compareStopsByRoute);
+
+/**
+ * Delivery order of one courier's stops for a day
+ * Stops already saved for that day keep their saved position; the rest
+ * follow in the proposed order.
+ * @param {Array<Object>} stops - the courier's stops
+ * @param {string} routeDate - YYYY-MM-DD
+ * @returns {Array<Object>} new sorted array
+ */
+export const orderRoute = (stops = [], routeDate) => {
+  const isSaved = stop => stop.routeDate === routeDate && stop.routePosition != null;
+  const saved = stops.filter(isSaved).sort((a, b) => a.routePosition - b.routePosition);
+  return [...saved, ...proposeStopOrder(stops.filter(stop => !isSaved(stop)))];
+};
+
+/**
+ * Split ordered stops into consecutive runs of the same municipality
+ * @param {Array<Object>} stops - in route order
+ * @returns {Array<{province: string, municipality: string, stops: Array<Object>}>}
+ */
+export const groupStopsByMunicipality = (stops = []) => {
+  const groups = [];
+
+  stops.forEach((stop) => {
+    const province = stop.province || UNKNOWN_LOCATION;
+    const municipality = stop.municipality || UNKNOWN_LOCATION;
+    const last = groups[groups.length - 1];
+    if (last && last.province === province && last.municipality === municipality) {
+      last.stops.push(stop);
+    } else {
+      groups.push({ province, municipality, stops: [stop] });
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Propose a courier for every stop not yet with one of the given couriers
+ * Municipalities are kept whole and handed out in route order, so each
+ * courier gets a contiguous stretch of the island; the split aims for the
+ * same number of stops per courier, counting stops they already have.
+ *
+ * @param {Array<Object>} stops - stops with courierId (null when unassigned)
+ * @param {Array<string>} courierIds - couriers available that day, in order
+ * @returns {Object<string, string>} stop key → proposed courierId (reassigned stops only)
+ */
+export const distributeStops = (stops = [], courierIds = []) => {
+  if (courierIds.length === 0) return {};
+
+  const loads = courierIds.map(courierId => stops.filter(stop => stop.courierId === courierId).length);
+  const unassigned = stops.filter(stop => !stop.courierId || !courierIds.includes(stop.courierId));
+  const target = Math.ceil((loads.reduce((sum, load) => sum + load, 0) + unassigned.length) / courierIds.length);
+
+  const assignments = {};
+  let current = 0;
+
+  groupStopsByMunicipality(proposeStopOrder(unassigned)).forEach((group) => {
+    // Move on while this courier is full and there is someone after them
+    while (
+      current < courierIds.length - 1
+      && loads[current] > 0
+      && loads[current] + group.stops.length > target
+    ) {
+      current += 1;
+    }
+
+    group.stops.forEach((stop) => {
+      assignments[getStopKey(stop)] = courierIds[current];
+    });
+    loads[current] += group.stops.length;
+  });
+
+  return assignments;
+};
+
+/**
+ * Totals per currency
+ * @param {Array<Object>} stops
+ * @param {string} [kind] - only stops of this DELIVERY_KIND
+ * @returns {Array<{currency: string, amount: number}>} sorted by currency
+ */
+export const summarizeAmounts = (stops = [], kind) => {
+  const totals = new Map();
+
+  stops
+    .filter(stop => (!kind || stop.kind === kind) && stop.amount != null && stop.currency)
+    .forEach((stop) => {
+      totals.set(stop.currency, (totals.get(stop.currency) || 0) + Number(stop.amount || 0));
+    });
+
+  return [...totals.keys()].sort().map(currency => ({ currency, amount: totals.get(currency) }));
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatTotals = (totals) => (
+  totals.length ? totals.map(total => `${formatAmount(total.amount)} ${total.currency}`).join(' · ') : '—'
+);
+
+/**
+ * Printable manifest of one courier's route as a standalone HTML document
+ * @param {Object} manifest
+ * @param {string} manifest.title
+ * @param {string} [manifest.subtitle] - courier and date
+ * @param {string} [manifest.language] - document language ('es' | 'en')
+ * @param {Array<Object>} manifest.stops - in route order
+ * @param {Object} manifest.labels - translated column / section labels:
+ *   position, number, kind, recipient, phone, address, amount, signature,
+ *   cashTotal, orderTotal, unknownLocation, remittance, order
+ * @returns {string} HTML
+ */
+export const buildManifestHtml = ({ title, subtitle = '', language = 'es', stops = [], labels = {} }) => {
+  const label = key => escapeHtml(labels[key] ?? key);
+  let position = 0;
+
+  const sections = groupStopsByMunicipality(stops).map((group) => {
+    const heading = [group.municipality, group.province].filter(Boolean).join(', ') || labels.unknownLocation || '';
+    const rows = group.stops.map((stop) => {
+      position += 1;
+      const amount = stop.amount != null ? `${formatAmount(stop.amount)} ${stop.currency || ''}` : '';
+      return `<tr>
+<td>${position}</td>
+<td>${escapeHtml(stop.number)}<br><small>${label(stop.kind)}</small></td>
+<td>${escapeHtml(stop.recipientName)}</td>
+<td>${escapeHtml(stop.phone)}</td>
+<td>${escapeHtml(stop.address)}</td>
+<td class="amount">${escapeHtml(amount.trim())}</td>
+<td class="signature"></td>
+</tr>`;
+    }).join('\n');
+
+    return `<h2>${escapeHtml(heading)} (${group.stops.length})</h2>
+<table>
+<thead><tr><th>${label('position')}</th><th>${label('number')}</th><th>${label('recipient')}</th><th>${label('phone')}</th><th>${label('address')}</th><th>${label('amount')}</th><th>${label('signature')}</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12px; color: #111; margin: 16px; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 16px 0 4px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+td.amount { white-space: nowrap; text-align: right; }
+td.signature { width: 120px; }
+.totals { margin-top: 16px; font-weight: bold; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+${sections}
+<p class="totals">${label('cashTotal')}: ${escapeHtml(formatTotals(summarizeAmounts(stops, DELIVERY_KIND.REMITTANCE)))}</p>
+<p class="totals">${label('orderTotal')}: ${escapeHtml(formatTotals(summarizeAmounts(stops, DELIVERY_KIND.ORDER)))}</p>
+</body>
+</html>`;
+};
@@ -0,0 +1,186 @@
+/**
+ * Stock Movements
+ * Reason codes, validation and summaries for the stock workflows of the
+ * vendor inventory tab: purchase receipts, adjustments and stock-takes.
+ * The database functions (receive_stock, adjust_inventory_stock,
+ * complete_stock_take) apply the changes and write inventory_movements;
+ * ADJUSTMENT_REASONS mirrors the reason list of adjust_inventory_stock.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const STOCK_MOVEMENT_TYPES = {
+  RECEIVED: 'received',
+  DAMAGE: 'damage',
+  SHRINKAGE: 'shrinkage',
+  COUNT: 'count',
+  ADJUSTMENT: 'adjustment',
+  RETURN: 'return',
+  PURCHASE: 'purchase',
+  SALE: 'sale',
+  RESERVED: 'reserved',
+  RELEASED: 'released',
+  SOLD: 'sold'
+};
+
+// Movements that change reserved_quantity, not quantity (stock on hand)
+const RESERVATION_MOVEMENTS = [STOCK_MOVEMENT_TYPES.RESERVED, STOCK_MOVEMENT_TYPES.RELEASED];
+
+/**
+ * Adjustment reason codes
+ * direction: -1 removes stock, 1 adds stock, 0 either way
+ */
+export const ADJUSTMENT_REASONS = {
+  damaged: { movementType: STOCK_MOVEMENT_TYPES.DAMAGE, direction: -1 },
+  expired: { movementType: STOCK_MOVEMENT_TYPES.DAMAGE, direction: -1 },
+  shrinkage: { movementType: STOCK_MOVEMENT_TYPES.SHRINKAGE, direction: -1 },
+  theft: { movementType: STOCK_MOVEMENT_TYPES.SHRINKAGE, direction: -1 },
+  supplier_return: { movementType: STOCK_MOVEMENT_TYPES.RETURN, direction: -1 },
+  found: { movementType: STOCK_MOVEMENT_TYPES.ADJUSTMENT, direction: 1 },
+  correction: { movementType: STOCK_MOVEMENT_TYPES.ADJUSTMENT, direction: 0 }
+};
+
+export const STOCK_TAKE_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const toInteger = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : null;
+};
+
+const toAmount = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Signed quantity change for an adjustment
+ * Units are entered as a positive number for one-way reasons; the reason
+ * decides the sign. Corrections keep the sign the user typed.
+ *
+ * @param {string} reason - Key of ADJUSTMENT_REASONS
+ * @param {number|string} quantity - Units entered
+ * @returns {{quantityChange: number, movementType: string}|null} null if reason or quantity is invalid
+ *
+ * @example
+ * resolveAdjustment('damaged', 3) // → { quantityChange: -3, movementType: 'damage' }
+ */
+export const resolveAdjustment = (reason, quantity) => {
+  const config = ADJUSTMENT_REASONS[reason];
+  const units = toInteger(quantity);
+  if (!config || !units) return null;
+
+  const quantityChange = config.direction === 0 ? units : config.direction * Math.abs(units);
+  return { quantityChange, movementType: config.movementType };
+};
+
+/**
+ * Validate and normalize the lines of a purchase receipt
+ * @param {Array<Object>} lines - [{ productId, quantity, costPerUnit, batchNumber, expiryDate }]
+ * @returns {{lines: Array<Object>, errors: Object}} lines in the receive_stock format
+ *   ({ product_id, quantity, cost_per_unit, batch_number, expiry_date });
+ *   errors keyed by line index, then by field
+ */
+export const validateReceiptLines = (lines = []) => {
+  const errors = {};
+  const normalized = [];
+
+  lines.forEach((line, index) => {
+    const lineErrors = {};
+    const quantity = toInteger(line.quantity);
+    const cost = toAmount(line.costPerUnit);
+
+    if (!line.productId) lineErrors.productId = 'required';
+    if (!quantity || quantity <= 0) lineErrors.quantity = 'positive';
+    if (Number.isNaN(cost) || (cost !== null && cost < 0)) lineErrors.costPerUnit = 'invalid';
+    if (line.expiryDate && Number.isNaN(new Date(line.expiryDate).getTime())) lineErrors.expiryDate = 'invalid';
+
+    if (Object.keys(lineErrors).length > 0) {
+      errors[index] = lineErrors;
+      return;
+    }
+
+    normalized.push({
+      product_id: line.productId,
+      quantity,
+      cost_per_unit: cost,
+      batch_number: (line.batchNumber || '').trim() || null,
+      expiry_date: line.expiryDate || null
+    });
+  });
+
+  if (lines.length === 0) errors.lines = 'required';
+
+  return { lines: normalized, errors };
+};
+
+/**
+ * Units and cost of a receipt
+ * @param {Array<Object>} lines - validateReceiptLines().lines
+ * @returns {{units: number, totalCost: number, uncosted: number}} uncosted = lines without a cost
+ */
+export const summarizeReceipt = (lines = []) => lines.reduce((summary, line) => {
+  summary.units += line.quantity;
+  if (line.cost_per_unit === null || line.cost_per_unit === undefined) {
+    summary.uncosted += 1;
+  } else {
+    summary.totalCost = round2(summary.totalCost + line.quantity * line.cost_per_unit);
+  }
+  return summary;
+}, { units: 0, totalCost: 0, uncosted: 0 });
+
+/**
+ * Counted against system quantities for a stock-take
+ * Variance is counted − system quantity at the start of the count; the
+ * database applies it as a delta so sales made while counting are kept.
+ *
+ * @param {Array<Object>} lines - stock_take_lines rows
+ *   ({ system_quantity, counted_quantity, cost_per_unit? })
+ * @returns {{lines: Array<Object>, counted: number, pending: number, withVariance: number, unitsOver: number, unitsShort: number, valueImpact: number}}
+ *   lines gain `variance` (null while not counted)
+ */
+export const summarizeStockTake = (lines = []) => {
+  const summary = { lines: [], counted: 0, pending: 0, withVariance: 0, unitsOver: 0, unitsShort: 0, valueImpact: 0 };
+
+  lines.forEach((line) => {
+    const counted = toInteger(line.counted_quantity);
+    if (counted === null) {
+      summary.pending += 1;
+      summary.lines.push({ ...line, variance: null });
+      return;
+    }
+
+    const variance = counted - (toInteger(line.system_quantity) || 0);
+    summary.counted += 1;
+    if (variance !== 0) summary.withVariance += 1;
+    if (variance > 0) summary.unitsOver += variance;
+    if (variance < 0) summary.unitsShort += -variance;
+    summary.valueImpact = round2(summary.valueImpact + variance * (Number(line.cost_per_unit) || 0));
+    summary.lines.push({ ...line, variance });
+  });
+
+  return summary;
+};
+
+/**
+ * Explain stock on hand from a batch's movements
+ * Reservation movements are listed but do not change stock on hand.
+ *
+ * @param {Array<Object>} movements - inventory_movements rows
+ * @returns {{byType: Object<string, number>, onHand: number}}
+ */
+export const explainStockOnHand = (movements = []) => movements.reduce((result, movement) => {
+  const change = toInteger(movement.quantity_change) || 0;
+  result.byType[movement.movement_type] = (result.byType[movement.movement_type] || 0) + change;
+  if (!RESERVATION_MOVEMENTS.includes(movement.movement_type)) {
+    result.onHand += change;
+  }
+  return result;
+}, { byType: {}, onHand: 0 });
@@ -0,0 +1,88 @@
+/**
+ * Public Tracking
+ * Orders and remittances carry a tracking_token; /track/<token> shows their
+ * progress without an account (see 20261019000019_public_tracking.sql and the
+ * `public-tracking` Edge Function). This module holds the pure parts: the
+ * link and the reading of the tracking returned by trackingService.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { ORDER_STATUS } from './constants';
+import { REMITTANCE_STATUS } from './remittanceStateMachine';
+
+export const TRACKING_KIND = {
+  ORDER: 'order',
+  REMITTANCE: 'remittance'
+};
+
+// Public path of a tracking page (resolved by App)
+export const TRACKING_PATH = '/track';
+
+// Order of the order stages shown on the timeline (cancelled is shown apart)
+export const ORDER_TRACKING_STEPS = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.DISPATCHED,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.COMPLETED
+];
+
+/**
+ * Public tracking link
+ * @param {string} token - orders.tracking_token or remittances.tracking_token
+ * @param {string} [origin] - defaults to the current site
+ * @returns {string}
+ */
+export const buildTrackingUrl = (token, origin = (typeof window !== 'undefined' ? window.location.origin : '')) => (
+  `${origin}${TRACKING_PATH}/${encodeURIComponent(token)}`
+);
+
+/**
+ * Token of a /track/<token> path
+ * @param {string} path
+ * @returns {string|null}
+ */
+export const parseTrackingPath = (path = '') => {
+  const match = String(path).replace(/\/$/, '').match(/^\/track\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Where the shipment stands, for the page header
+ * @param {Object} tracking - { kind, status, delivered_at }
+ * @returns {'cancelled'|'rejected'|'delivered'|'inProgress'}
+ */
+export const getTrackingOutcome = (tracking) => {
+  const status = tracking?.status;
+
+  if (status === ORDER_STATUS.CANCELLED || status === REMITTANCE_STATUS.CANCELLED) return 'cancelled';
+  if (status === REMITTANCE_STATUS.PAYMENT_REJECTED) return 'rejected';
+  if (status === ORDER_STATUS.DELIVERED || status === ORDER_STATUS.COMPLETED) return 'delivered';
+  return 'inProgress';
+};
+
+/**
+ * Estimated delivery date, only while it is still pending
+ * @param {Object} tracking - { estimated_delivery, status }
+ * @returns {Date|null}
+ */
+export const getEstimatedDelivery = (tracking) => {
+  if (!tracking?.estimated_delivery || getTrackingOutcome(tracking) !== 'inProgress') {
+    return null;
+  }
+
+  const date = new Date(tracking.estimated_delivery);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Status history in the shape RemittanceTimeline reads
+ * @param {Array<Object>} history - [{ status, created_at }]
+ * @returns {Array<{status: string, timestamp: string}>}
+ */
+export const toTimelineHistory = (history = []) => (
+  (history || [])
+    .filter(entry => entry?.status)
+    .map(entry => ({ status: entry.status, timestamp: entry.created_at }))
+);
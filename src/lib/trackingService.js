@@ -0,0 +1,53 @@
+/**
+ * Tracking Service
+ * Public tracking of an order or remittance by its tracking token, no
+ * account needed. Goes through the `public-tracking` Edge Function, which
+ * signs the delivery proof thumbnail. See 20261019000019_public_tracking.sql.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  AppError,
+  handleError,
+  logError,
+  createNotFoundError,
+  ERROR_CODES
+} from '@/lib/errorHandler';
+
+/**
+ * Tracking by token
+ * @param {string} token - orders.tracking_token or remittances.tracking_token
+ * @throws {AppError} NOT_FOUND if the token is unknown
+ * @returns {Promise<{kind: string, number: string, status: string, recipient_first_name: string|null,
+ *   created_at: string, estimated_delivery: string|null, delivered_at: string|null,
+ *   history: Array<{status: string, created_at: string}>, proof_url: string|null}>}
+ */
+export const getPublicTracking = async (token) => {
+  try {
+    if (!token) {
+      throw createNotFoundError('Tracking');
+    }
+
+    const { data, error } = await supabase.functions.invoke('public-tracking', {
+      body: { token }
+    });
+
+    if (error) {
+      // FunctionsHttpError carries the Response of the function
+      const appError = error.context?.status === 404
+        ? createNotFoundError('Tracking')
+        : new AppError(error.message, ERROR_CODES.NETWORK_ERROR, error.context?.status || 503);
+      logError(appError, { operation: 'getPublicTracking' });
+      throw appError;
+    }
+    if (!data) {
+      throw createNotFoundError('Tracking');
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.NETWORK_ERROR, { operation: 'getPublicTracking' });
+    throw appError;
+  }
+};
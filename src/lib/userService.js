@@ -7,6 +7,8 @@ import {
   parseSupabaseError,
   ERROR_CODES
 } from './errorHandler';
+import { hasPermission } from './permissions';
+import { getMyPermissions } from './permissionService';
 
 export const userService = {
   async getAllUsers() {
@@ -142,6 +144,8 @@ export const userService = {
 };
 
 // Middleware to check user permissions
+// requiredRole: a role ('user' | 'admin' | 'super_admin') or a named permission
+// ('remittance.validate_payment'), checked with the same list RLS uses
 export const checkPermissions = async (user, requiredRole = 'user') => {
   try {
     if (!user) {
@@ -151,16 +155,11 @@ export const checkPermissions = async (user, requiredRole = 'user') => {
 
     const roles = {
       user: 0,
+      courier: 0,
       admin: 1,
       super_admin: 2
     };
 
-    // Super admin check - support both email formats
-    const superAdminEmails = ['jtheoden@gmail.com', 'jtheoden@googlemail.com'];
-    if (superAdminEmails.includes(user.email) || user.role === 'super_admin') {
-      return true;
-    }
-
     const { data: profile, error } = await supabase
       .from('user_profiles')
       .select('role, is_enabled')
@@ -183,6 +182,10 @@ export const checkPermissions = async (user, requiredRole = 'user') => {
       return false;
     }
 
+    if (String(requiredRole).includes('.')) {
+      return hasPermission(await getMyPermissions(), requiredRole);
+    }
+
     return roles[profile.role] >= roles[requiredRole];
   } catch (error) {
     logError(error, { operation: 'checkPermissions', userId: user?.id });
@@ -229,8 +232,9 @@ export const withAuth = async (user, requiredRole, callback) => {
  *   console.error(error.message);
  * }
  *
- * // Check permissions
+ * // Check permissions (a role or a named permission)
  * const canAccess = await checkPermissions(currentUser, 'admin');
+ * const canValidate = await checkPermissions(currentUser, 'remittance.validate_payment');
  *
  * // Protected callback
  * try {
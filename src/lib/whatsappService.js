@@ -386,6 +386,55 @@ export const notifyAdminLowStock = (product, currentStock, language = 'es') => {
   return generateWhatsAppURL(config.adminPhone, messages[language] || messages.es);
 };
 
+/**
+ * Generate purchase order message for a supplier
+ * @param {Object} purchaseOrder - Purchase order with supplier and items (items[].products)
+ * @param {string} language - Language for message ('es' or 'en')
+ * @returns {string} Message text
+ */
+export const generatePurchaseOrderMessage = (purchaseOrder, language = 'es') => {
+  const config = getWhatsAppConfig();
+  const items = purchaseOrder.items || [];
+  const lines = (name) => items
+    .map(item => `• ${item.quantity} x ${name(item.products) || item.product_id}${item.products?.sku ? ` (${item.products.sku})` : ''}`)
+    .join('\n');
+  const expected = purchaseOrder.expected_date
+    ? new Date(`${purchaseOrder.expected_date}T00:00:00`).toLocaleDateString(language === 'en' ? 'en-US' : 'es-CU')
+    : null;
+
+  const messages = {
+    es: `🧾 *Orden de Compra ${purchaseOrder.po_number} - ${config.businessName}*\n\n` +
+        `Hola ${purchaseOrder.supplier?.contact_name || purchaseOrder.supplier?.name || ''}, les solicitamos:\n\n` +
+        `${lines(p => p?.name_es || p?.name_en)}\n\n` +
+        (expected ? `📅 Fecha deseada de entrega: ${expected}\n` : '') +
+        (purchaseOrder.notes ? `📝 Notas: ${purchaseOrder.notes}\n` : '') +
+        `\nPor favor confirmen disponibilidad y precio. ¡Gracias!`,
+
+    en: `🧾 *Purchase Order ${purchaseOrder.po_number} - ${config.businessName}*\n\n` +
+        `Hello ${purchaseOrder.supplier?.contact_name || purchaseOrder.supplier?.name || ''}, we would like to order:\n\n` +
+        `${lines(p => p?.name_en || p?.name_es)}\n\n` +
+        (expected ? `📅 Requested delivery date: ${expected}\n` : '') +
+        (purchaseOrder.notes ? `📝 Notes: ${purchaseOrder.notes}\n` : '') +
+        `\nPlease confirm availability and pricing. Thank you!`
+  };
+
+  return messages[language] || messages.es;
+};
+
+/**
+ * Share a purchase order with its supplier via WhatsApp
+ * @param {Object} purchaseOrder - Purchase order with supplier and items
+ * @param {string} language - Language for message ('es' or 'en')
+ * @returns {string} WhatsApp URL (chat picker when the supplier has no phone)
+ */
+export const sharePurchaseOrderWithSupplier = (purchaseOrder, language = 'es') => {
+  const message = generatePurchaseOrderMessage(purchaseOrder, language);
+  if (!purchaseOrder.supplier?.phone) {
+    return `https://wa.me/?text=${encodeURIComponent(message)}`;
+  }
+  return generateWhatsAppURL(purchaseOrder.supplier.phone, message);
+};
+
 /**
  * Generate shipping notification message
  * @param {Object} order - Order details
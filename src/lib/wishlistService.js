@@ -0,0 +1,316 @@
+/**
+ * Wishlist Service
+ * Saved-for-later and gift lists of the signed-in customer, and the public
+ * side of a shared list (by share token, no account). See
+ * 20261019000015_wishlists.sql.
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  handleError,
+  logError,
+  createValidationError,
+  createNotFoundError,
+  parseSupabaseError,
+  ERROR_CODES
+} from '@/lib/errorHandler';
+import { WISHLIST_ITEM_TYPE } from '@/lib/wishlists';
+
+export { WISHLIST_ITEM_TYPE };
+
+const WISHLIST_SELECT = `
+  *,
+  recipient:recipients (id, full_name),
+  items:wishlist_items (*)
+`;
+
+const getCurrentUserId = async () => {
+  const { data: { user }, error } = await supabase.auth.getUser();
+  if (error || !user) {
+    throw new Error('Not authenticated');
+  }
+  return user.id;
+};
+
+const itemColumns = (itemType, itemId) => (
+  itemType === WISHLIST_ITEM_TYPE.COMBO
+    ? { item_type: WISHLIST_ITEM_TYPE.COMBO, combo_id: itemId, product_id: null }
+    : { item_type: WISHLIST_ITEM_TYPE.PRODUCT, product_id: itemId, combo_id: null }
+);
+
+/**
+ * Lists of the current user with their items, newest first
+ * @throws {AppError} If the query fails
+ * @returns {Promise<Array<Object>>}
+ */
+export const getMyWishlists = async () => {
+  try {
+    const userId = await getCurrentUserId();
+    const { data, error } = await supabase
+      .from('wishlists')
+      .select(WISHLIST_SELECT)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'getMyWishlists' });
+      throw appError;
+    }
+
+    return (data || []).map(list => ({
+      ...list,
+      items: [...(list.items || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    }));
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'getMyWishlists' });
+    throw appError;
+  }
+};
+
+/**
+ * Create a list (a gift list when recipientId is given)
+ * @param {Object} wishlistData - { name, recipientId }
+ * @throws {AppError} If the name is missing or the insert fails
+ * @returns {Promise<Object>} created list
+ */
+export const createWishlist = async ({ name, recipientId = null } = {}) => {
+  try {
+    if (!name || !String(name).trim()) {
+      throw createValidationError({ name: 'List name is required' });
+    }
+
+    const userId = await getCurrentUserId();
+    const { data, error } = await supabase
+      .from('wishlists')
+      .insert([{ user_id: userId, name: String(name).trim(), recipient_id: recipientId || null }])
+      .select(WISHLIST_SELECT)
+      .single();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'createWishlist' });
+      throw appError;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'createWishlist' });
+    throw appError;
+  }
+};
+
+/**
+ * Rename a list, change its recipient or turn its share link on / off
+ * @param {string} wishlistId
+ * @param {Object} updates - { name, recipientId, shareEnabled }
+ * @throws {AppError} If the list is not found or the update fails
+ * @returns {Promise<Object>} updated list
+ */
+export const updateWishlist = async (wishlistId, updates = {}) => {
+  try {
+    const updateData = {};
+    if (updates.name !== undefined) {
+      if (!String(updates.name).trim()) {
+        throw createValidationError({ name: 'List name is required' });
+      }
+      updateData.name = String(updates.name).trim();
+    }
+    if (updates.recipientId !== undefined) updateData.recipient_id = updates.recipientId || null;
+    if (updates.shareEnabled !== undefined) updateData.share_enabled = Boolean(updates.shareEnabled);
+
+    const { data, error } = await supabase
+      .from('wishlists')
+      .update(updateData)
+      .eq('id', wishlistId)
+      .select(WISHLIST_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'updateWishlist', wishlistId });
+      throw appError;
+    }
+    if (!data) {
+      throw createNotFoundError('Wishlist', wishlistId);
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'updateWishlist', wishlistId });
+    throw appError;
+  }
+};
+
+/**
+ * Delete a list and its items
+ * @param {string} wishlistId
+ * @throws {AppError} If the delete fails
+ */
+export const deleteWishlist = async (wishlistId) => {
+  try {
+    const { error } = await supabase
+      .from('wishlists')
+      .delete()
+      .eq('id', wishlistId);
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'deleteWishlist', wishlistId });
+      throw appError;
+    }
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'deleteWishlist', wishlistId });
+    throw appError;
+  }
+};
+
+/**
+ * Add a product or combo to one of the user's lists (adds to the quantity if present)
+ * @param {string} wishlistId
+ * @param {string} itemType - WISHLIST_ITEM_TYPE
+ * @param {string} itemId - product (variant) or combo id
+ * @param {number} [quantity=1]
+ * @throws {AppError} If the write fails
+ * @returns {Promise<Object>} wishlist_items row
+ */
+export const addWishlistItem = async (wishlistId, itemType, itemId, quantity = 1) => {
+  try {
+    if (!wishlistId || !itemId) {
+      throw createValidationError({ itemId: 'List and item are required' });
+    }
+
+    const columns = itemColumns(itemType, itemId);
+    const idColumn = columns.item_type === WISHLIST_ITEM_TYPE.COMBO ? 'combo_id' : 'product_id';
+
+    const { data: existing, error: findError } = await supabase
+      .from('wishlist_items')
+      .select('id, quantity')
+      .eq('wishlist_id', wishlistId)
+      .eq(idColumn, itemId)
+      .maybeSingle();
+
+    if (findError) {
+      const appError = parseSupabaseError(findError);
+      logError(appError, { operation: 'addWishlistItem - find', wishlistId, itemId });
+      throw appError;
+    }
+
+    const { data, error } = existing
+      ? await supabase
+        .from('wishlist_items')
+        .update({ quantity: existing.quantity + Math.max(1, parseInt(quantity) || 1) })
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('wishlist_items')
+        .insert([{ wishlist_id: wishlistId, ...columns, quantity: Math.max(1, parseInt(quantity) || 1), added_by: 'owner' }])
+        .select()
+        .single();
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'addWishlistItem', wishlistId, itemId });
+      throw appError;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'addWishlistItem', wishlistId });
+    throw appError;
+  }
+};
+
+/**
+ * Change the quantity of a list item (0 removes it)
+ * @param {string} wishlistItemId
+ * @param {number} quantity
+ * @throws {AppError} If the write fails
+ */
+export const updateWishlistItemQuantity = async (wishlistItemId, quantity) => {
+  try {
+    const nextQuantity = parseInt(quantity) || 0;
+    const { error } = nextQuantity <= 0
+      ? await supabase.from('wishlist_items').delete().eq('id', wishlistItemId)
+      : await supabase.from('wishlist_items').update({ quantity: nextQuantity }).eq('id', wishlistItemId);
+
+    if (error) {
+      const appError = parseSupabaseError(error);
+      logError(appError, { operation: 'updateWishlistItemQuantity', wishlistItemId });
+      throw appError;
+    }
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation: 'updateWishlistItemQuantity', wishlistItemId });
+    throw appError;
+  }
+};
+
+export const removeWishlistItem = (wishlistItemId) => updateWishlistItemQuantity(wishlistItemId, 0);
+
+// ============================================================================
+// SHARE LINK (no account)
+// ============================================================================
+
+const callSharedWishlist = async (operation, fn, params) => {
+  try {
+    const { data, error } = await supabase.rpc(fn, params);
+
+    if (error) {
+      const appError = error.code === 'P0002'
+        ? createNotFoundError('Wishlist')
+        : parseSupabaseError(error);
+      logError(appError, { operation });
+      throw appError;
+    }
+    if (!data) {
+      throw createNotFoundError('Wishlist');
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code) throw error; // Already an AppError
+    const appError = handleError(error, ERROR_CODES.DB_ERROR, { operation });
+    throw appError;
+  }
+};
+
+/**
+ * Shared list by token
+ * @param {string} token
+ * @throws {AppError} NOT_FOUND if the token is unknown or sharing is off
+ * @returns {Promise<{name: string, recipient_name: string|null, items: Array<Object>}>}
+ */
+export const getSharedWishlist = (token) => (
+  callSharedWishlist('getSharedWishlist', 'get_shared_wishlist', { p_token: token })
+);
+
+/**
+ * Add (or set the quantity of) an item on a shared list
+ * @returns {Promise<Object>} the updated shared list
+ */
+export const addSharedWishlistItem = (token, itemType, itemId, quantity = 1) => (
+  callSharedWishlist('addSharedWishlistItem', 'add_shared_wishlist_item', {
+    p_token: token,
+    p_item_type: itemType,
+    p_item_id: itemId,
+    p_quantity: quantity
+  })
+);
+
+/**
+ * Remove an item from a shared list
+ * @returns {Promise<Object>} the updated shared list
+ */
+export const removeSharedWishlistItem = (token, wishlistItemId) => (
+  callSharedWishlist('removeSharedWishlistItem', 'remove_shared_wishlist_item', {
+    p_token: token,
+    p_wishlist_item_id: wishlistItemId
+  })
+);
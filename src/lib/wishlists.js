@@ -0,0 +1,132 @@
+/**
+ * Wishlists
+ * Saved-for-later and gift lists (see 20261019000015_wishlists.sql and
+ * wishlistService). This module holds the pure parts: the share link and the
+ * conversion of a list into cart lines for CartContext.addItemsToCart.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+import { buildVariantCartItem } from './productVariants';
+
+export const WISHLIST_ITEM_TYPE = {
+  PRODUCT: 'product',
+  COMBO: 'combo'
+};
+
+// Public path of a shared list (resolved by App)
+export const WISHLIST_SHARE_PATH = '/wishlist';
+
+/**
+ * Public link of a shared list
+ * @param {string} token - wishlists.share_token
+ * @param {string} [origin] - defaults to the current site
+ * @returns {string}
+ */
+export const buildWishlistShareUrl = (token, origin = (typeof window !== 'undefined' ? window.location.origin : '')) => (
+  `${origin}${WISHLIST_SHARE_PATH}/${encodeURIComponent(token)}`
+);
+
+/**
+ * Token of a /wishlist/<token> path
+ * @param {string} path
+ * @returns {string|null}
+ */
+export const parseWishlistSharePath = (path = '') => {
+  const match = String(path).replace(/\/$/, '').match(/^\/wishlist\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Catalog entry of a list item (product or combo), or null if it is gone
+ * @param {Object} item - wishlist_items row
+ * @param {Object} catalog - { products, combos }
+ * @returns {Object|null}
+ */
+export const findWishlistCatalogItem = (item, { products = [], combos = [] } = {}) => (
+  item.item_type === WISHLIST_ITEM_TYPE.COMBO
+    ? combos.find(combo => combo.id === item.combo_id) || null
+    : products.find(product => product.id === item.product_id) || null
+);
+
+/**
+ * Price of a catalog product or combo in the selected currency, as the
+ * product page shows it: product final price, or combo components at base
+ * price plus the combo margin
+ * @param {Object} catalogItem - product or combo (ProductContext shape)
+ * @param {boolean} isProduct
+ * @param {Object} options
+ * @param {Array<Object>} options.products - to price combo components
+ * @param {Function} options.convert - (amount, fromCurrencyId, toCurrencyId) => number
+ * @param {string} options.currencyId - selected currency
+ * @param {number} [options.comboProfit] - default combo margin (%)
+ * @returns {number}
+ */
+export const getListItemPrice = (catalogItem, isProduct, { products = [], convert, currencyId, comboProfit = 0 }) => {
+  const toSelected = (amount, fromCurrencyId) => (
+    fromCurrencyId && fromCurrencyId !== currencyId ? convert(amount, fromCurrencyId, currencyId) : amount
+  );
+
+  if (isProduct) {
+    return toSelected(parseFloat(catalogItem.final_price || catalogItem.base_price || 0), catalogItem.base_currency_id);
+  }
+
+  const base = (catalogItem.products || []).reduce((sum, productId) => {
+    const product = products.find(p => p.id === productId);
+    if (!product) return sum;
+    const quantity = catalogItem.productQuantities?.[productId] || 1;
+    return sum + toSelected(parseFloat(product.base_price || 0), product.base_currency_id) * quantity;
+  }, 0);
+  return base * (1 + parseFloat(catalogItem.profitMargin || comboProfit) / 100);
+};
+
+/**
+ * Cart lines for a whole list
+ * Products become plain or variant lines (keyed like the catalog adds them),
+ * combos become 'combo' lines. When `price` is given each line carries the
+ * price shown to the sender, as the catalog does on "Add to cart".
+ *
+ * @param {Array<Object>} items - wishlist_items rows
+ * @param {Object} catalog
+ * @param {Array<Object>} catalog.products - products with stock
+ * @param {Array<Object>} catalog.combos - combos (ProductContext shape)
+ * @param {Object} [price]
+ * @param {Function} [price.getPrice] - (catalogItem, isProduct) => number in the selected currency
+ * @param {string} [price.currencyId]
+ * @param {string} [price.currencyCode]
+ * @returns {{lines: Array<Object>, skipped: Array<Object>}} skipped = items no longer sold or out of stock
+ */
+export const wishlistToCartLines = (items = [], catalog = {}, price = null) => {
+  const lines = [];
+  const skipped = [];
+  const productsById = new Map((catalog.products || []).map(product => [product.id, product]));
+
+  items.forEach((item) => {
+    const catalogItem = findWishlistCatalogItem(item, catalog);
+    const outOfStock = catalogItem && catalogItem.stock !== undefined && catalogItem.stock !== null && catalogItem.stock <= 0;
+    if (!catalogItem || catalogItem.is_active === false || outOfStock) {
+      skipped.push(item);
+      return;
+    }
+
+    const isProduct = item.item_type !== WISHLIST_ITEM_TYPE.COMBO;
+    let line;
+    if (!isProduct) {
+      line = { ...catalogItem, type: 'combo' };
+    } else if (catalogItem.parent_product_id) {
+      line = buildVariantCartItem(productsById.get(catalogItem.parent_product_id), catalogItem);
+    } else {
+      line = { ...catalogItem };
+    }
+
+    if (price?.getPrice) {
+      line.displayed_price = Number(price.getPrice(catalogItem, isProduct));
+      line.displayed_currency_id = price.currencyId;
+      line.displayed_currency_code = price.currencyCode;
+    }
+
+    lines.push({ ...line, quantity: item.quantity || 1 });
+  });
+
+  return { lines, skipped };
+};
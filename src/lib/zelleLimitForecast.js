@@ -0,0 +1,163 @@
+/**
+ * Zelle Limit Forecast
+ * Projects when each Zelle account will reach its daily and monthly limit at
+ * the current pace, and whether a transaction type is about to run out of
+ * accounts. Counters come from zelle_accounts (rolled over from
+ * zelle_transaction_history by roll_over_zelle_counters); the pace comes from
+ * hourly usage buckets (get_zelle_usage_buckets).
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const ZELLE_CAPACITY_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+  EXHAUSTED: 'exhausted'
+};
+
+export const DEFAULT_FORECAST_OPTIONS = {
+  lookbackDays: 7,   // window for the monthly pace
+  warningHours: 6,   // limit reached within this many hours → warning
+  criticalHours: 2   // limit reached within this many hours → critical
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const num = (value) => parseFloat(value) || 0;
+const hasLimit = (value) => value !== null && value !== undefined && num(value) > 0;
+
+const startOfDay = (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+const startOfNextDay = (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+const startOfNextMonth = (now) => new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+/**
+ * Project one limit
+ * @param {number} used - Amount already received in the period
+ * @param {number|null} limit - Limit (null = unlimited)
+ * @param {number} perHour - Current pace (USD per hour)
+ * @param {Date} now - Clock
+ * @param {Date} periodEnd - When the counter rolls over
+ * @returns {{used: number, limit: number|null, remaining: number|null, exhaustsAt: string|null}}
+ */
+const projectLimit = (used, limit, perHour, now, periodEnd) => {
+  if (!hasLimit(limit)) {
+    return { used, limit: null, remaining: null, exhaustsAt: null };
+  }
+
+  const remaining = num(limit) - used;
+  if (remaining <= 0) {
+    return { used, limit: num(limit), remaining: 0, exhaustsAt: now.toISOString() };
+  }
+
+  if (perHour <= 0) {
+    return { used, limit: num(limit), remaining, exhaustsAt: null };
+  }
+
+  const exhaustsAt = new Date(now.getTime() + (remaining / perHour) * HOUR_MS);
+  return {
+    used,
+    limit: num(limit),
+    remaining,
+    // Rolls over before reaching the limit
+    exhaustsAt: exhaustsAt < periodEnd ? exhaustsAt.toISOString() : null
+  };
+};
+
+const levelFor = (exhaustsAt, now, { warningHours, criticalHours }) => {
+  if (!exhaustsAt) return ZELLE_CAPACITY_LEVELS.OK;
+  const hoursLeft = (new Date(exhaustsAt).getTime() - now.getTime()) / HOUR_MS;
+  if (hoursLeft <= 0) return ZELLE_CAPACITY_LEVELS.EXHAUSTED;
+  if (hoursLeft <= criticalHours) return ZELLE_CAPACITY_LEVELS.CRITICAL;
+  if (hoursLeft <= warningHours) return ZELLE_CAPACITY_LEVELS.WARNING;
+  return ZELLE_CAPACITY_LEVELS.OK;
+};
+
+const earliest = (...dates) => dates.filter(Boolean).sort()[0] || null;
+
+/**
+ * Forecast one account
+ *
+ * Daily pace: amount received today / hours elapsed today (at least one hour).
+ * Monthly pace: amount received over the lookback window, spread evenly.
+ *
+ * @param {Object} account - zelle_accounts row (counters already rolled over)
+ * @param {Array<{zelle_account_id: string, bucket: string, amount: number}>} buckets - Hourly usage
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{accountId: string, accountName: string, daily: Object, monthly: Object, pacePerHour: number, exhaustsAt: string|null, level: string}}
+ */
+export const forecastZelleAccount = (account, buckets, options = {}) => {
+  const { now = new Date(), ...rest } = options;
+  const settings = { ...DEFAULT_FORECAST_OPTIONS, ...rest };
+
+  const dayStart = startOfDay(now);
+  const lookbackStart = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+  const own = (buckets || []).filter(bucket => bucket.zelle_account_id === account.id);
+
+  const todayFromBuckets = own
+    .filter(bucket => new Date(bucket.bucket) >= dayStart)
+    .reduce((sum, bucket) => sum + num(bucket.amount), 0);
+  const lookbackTotal = own
+    .filter(bucket => new Date(bucket.bucket) >= lookbackStart)
+    .reduce((sum, bucket) => sum + num(bucket.amount), 0);
+
+  const usedToday = Math.max(num(account.current_daily_amount), todayFromBuckets);
+  const usedMonth = num(account.current_monthly_amount);
+
+  const hoursToday = Math.max((now.getTime() - dayStart.getTime()) / HOUR_MS, 1);
+  const dailyPace = usedToday / hoursToday;
+  const monthlyPace = lookbackTotal / (settings.lookbackDays * 24);
+
+  const daily = projectLimit(usedToday, account.daily_limit, dailyPace, now, startOfNextDay(now));
+  const monthly = projectLimit(usedMonth, account.monthly_limit, monthlyPace, now, startOfNextMonth(now));
+  const exhaustsAt = earliest(daily.exhaustsAt, monthly.exhaustsAt);
+
+  return {
+    accountId: account.id,
+    accountName: account.account_name,
+    daily,
+    monthly,
+    pacePerHour: parseFloat(dailyPace.toFixed(2)),
+    exhaustsAt,
+    level: levelFor(exhaustsAt, now, settings)
+  };
+};
+
+/**
+ * Capacity for one transaction type: the type runs out when its last account does
+ * @param {Array<Object>} accounts - zelle_accounts rows
+ * @param {Array<Object>} forecasts - Output of forecastZelleAccount for those accounts
+ * @param {string} transactionType - remittance | product | combo
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{level: string, exhaustsAt: string|null, accountCount: number, availableCount: number}}
+ */
+export const summarizeZelleCapacity = (accounts, forecasts, transactionType, options = {}) => {
+  const { now = new Date(), ...rest } = options;
+  const settings = { ...DEFAULT_FORECAST_OPTIONS, ...rest };
+  const flag = transactionType === 'remittance' ? 'for_remittances' : 'for_products';
+
+  const serving = (accounts || []).filter(account => account.is_active && account[flag]);
+  const byId = new Map((forecasts || []).map(forecast => [forecast.accountId, forecast]));
+  const relevant = serving.map(account => byId.get(account.id)).filter(Boolean);
+
+  if (relevant.length === 0) {
+    return { level: ZELLE_CAPACITY_LEVELS.EXHAUSTED, exhaustsAt: now.toISOString(), accountCount: 0, availableCount: 0 };
+  }
+
+  const availableCount = relevant.filter(forecast => forecast.level !== ZELLE_CAPACITY_LEVELS.EXHAUSTED).length;
+
+  // Any account that lasts the period keeps the type available
+  const exhaustsAt = relevant.some(forecast => !forecast.exhaustsAt)
+    ? null
+    : relevant.map(forecast => forecast.exhaustsAt).sort().pop();
+
+  return {
+    level: levelFor(exhaustsAt, now, settings),
+    exhaustsAt,
+    accountCount: relevant.length,
+    availableCount
+  };
+};
@@ -0,0 +1,205 @@
+/**
+ * Zelle Reconciliation Service
+ * Matches an uploaded bank / Zelle CSV export against payments waiting for
+ * validation and validates the accepted matches in bulk through the regular
+ * orderService / remittanceService flows (state machine, inventory, history).
+ */
+
+import { supabase } from '@/lib/supabase';
+import {
+  AppError,
+  ERROR_CODES,
+  logError,
+  createValidationError,
+  createPermissionError,
+  parseSupabaseError
+} from '@/lib/errorHandler';
+import { PAYMENT_STATUS } from '@/lib/constants';
+import { parseBankStatement, matchStatementLines } from '@/lib/bankStatementImport';
+import { getAllZellePaymentHistory, ZELLE_STATUS, ZELLE_TRANSACTION_TYPES } from '@/lib/zelleService';
+import { validatePayment as validateOrderPayment } from '@/lib/orderService';
+import { validatePayment as validateRemittancePayment } from '@/lib/remittanceService';
+
+export const RECONCILIATION_KINDS = {
+  ORDER: 'order',
+  REMITTANCE: 'remittance'
+};
+
+// ============================================================================
+// PENDING PAYMENTS
+// ============================================================================
+
+/**
+ * Payments that a statement line can settle
+ * - Pending rows in zelle_transaction_history (remittances are registered on creation)
+ * - Orders with an uploaded proof; their history row is only written on validation
+ *
+ * @returns {Promise<Array<Object>>} { id, kind, referenceId, transactionId, transactionType, amount, date,
+ *   referenceNumber, paymentReference, customerName, customerEmail, accountName }
+ * @throws {AppError} If database error
+ */
+export const getPendingZellePayments = async () => {
+  try {
+    const history = await getAllZellePaymentHistory({ status: ZELLE_STATUS.PENDING });
+
+    const payments = history.map((tx) => {
+      const isRemittance = tx.transaction_type === ZELLE_TRANSACTION_TYPES.REMITTANCE;
+      const source = isRemittance ? tx.remittances : tx.orders;
+      return {
+        id: `tx:${tx.id}`,
+        kind: isRemittance ? RECONCILIATION_KINDS.REMITTANCE : RECONCILIATION_KINDS.ORDER,
+        referenceId: tx.reference_id,
+        transactionId: tx.id,
+        transactionType: tx.transaction_type,
+        amount: parseFloat(tx.amount) || 0,
+        date: tx.transaction_date || tx.created_at,
+        referenceNumber: source?.remittance_number || source?.order_number || '',
+        paymentReference: source?.payment_reference || '',
+        customerName: tx.user?.full_name || '',
+        customerEmail: tx.user?.email || '',
+        accountName: tx.account_name
+      };
+    });
+
+    const knownReferences = new Set(payments.map(payment => payment.referenceId).filter(Boolean));
+
+    const { data: orders, error: ordersError } = await supabase
+      .from('orders')
+      .select('id, order_number, user_id, order_type, total_amount, payment_reference, updated_at, created_at')
+      .eq('payment_status', PAYMENT_STATUS.PROOF_UPLOADED)
+      .not('zelle_account_id', 'is', null);
+
+    if (ordersError) {
+      throw parseSupabaseError(ordersError);
+    }
+
+    const pendingOrders = (orders || []).filter(order => !knownReferences.has(order.id));
+    const userIds = Array.from(new Set(pendingOrders.map(order => order.user_id).filter(Boolean)));
+
+    let userMap = {};
+    if (userIds.length > 0) {
+      const { data: users, error: usersError } = await supabase
+        .from('user_profiles')
+        .select('id, full_name, email')
+        .in('id', userIds);
+
+      if (usersError) {
+        throw parseSupabaseError(usersError);
+      }
+
+      userMap = (users || []).reduce((acc, user) => {
+        acc[user.id] = user;
+        return acc;
+      }, {});
+    }
+
+    pendingOrders.forEach((order) => {
+      payments.push({
+        id: `order:${order.id}`,
+        kind: RECONCILIATION_KINDS.ORDER,
+        referenceId: order.id,
+        transactionId: null,
+        transactionType: order.order_type === 'combo' ? ZELLE_TRANSACTION_TYPES.COMBO : ZELLE_TRANSACTION_TYPES.PRODUCT,
+        amount: parseFloat(order.total_amount) || 0,
+        // Proof upload time is the closest we have to the payment time
+        date: order.updated_at || order.created_at,
+        referenceNumber: order.order_number || '',
+        paymentReference: order.payment_reference || '',
+        customerName: userMap[order.user_id]?.full_name || '',
+        customerEmail: userMap[order.user_id]?.email || '',
+        accountName: null
+      });
+    });
+
+    return payments;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getPendingZellePayments' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getPendingZellePayments' });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// STATEMENT MATCHING
+// ============================================================================
+
+/**
+ * Parse a statement and propose matches against pending payments
+ *
+ * @param {string} csvText - Bank / Zelle CSV export
+ * @param {Object} [options] - Overrides for DEFAULT_MATCH_OPTIONS
+ * @returns {Promise<Object>} parseBankStatement() result plus { matches, unmatchedLines, unmatchedPayments }
+ * @throws {AppError} If the file cannot be read or database error
+ *
+ * @example
+ * const result = await proposeBankStatementMatches(await file.text());
+ * // result.matches → [{ line, payment, confidence: 'high', reasons: ['amount', 'number'] }]
+ */
+export const proposeBankStatementMatches = async (csvText, options = {}) => {
+  try {
+    const parsed = parseBankStatement(csvText);
+
+    if (parsed.lines.length === 0 && parsed.errors.some(error => error.lineNumber === 1)) {
+      throw createValidationError(
+        { file: parsed.errors[0].message },
+        'The file has no date and amount columns'
+      );
+    }
+
+    const payments = await getPendingZellePayments();
+    return { ...parsed, ...matchStatementLines(parsed.lines, payments, options) };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'proposeBankStatementMatches' });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'proposeBankStatementMatches' });
+    throw appError;
+  }
+};
+
+/**
+ * Validate accepted matches one by one
+ * Each payment goes through its own validatePayment, so a failure (e.g. the
+ * remittance has no proof yet) only skips that payment.
+ *
+ * @param {Array<{line: Object, payment: Object}>} matches - Matches the admin accepted
+ * @returns {Promise<{validated: Array<string>, failed: Array<{paymentId: string, message: string}>}>}
+ * @throws {AppError} If not authenticated
+ */
+export const validateStatementMatches = async (matches) => {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError || !user) {
+    throw createPermissionError('validate payments', 'admin');
+  }
+
+  const validated = [];
+  const failed = [];
+
+  for (const { line, payment } of matches || []) {
+    try {
+      if (payment.kind === RECONCILIATION_KINDS.REMITTANCE) {
+        const note = `Bank statement line ${line.lineNumber}: ${[line.sender, line.memo, line.reference].filter(Boolean).join(' · ')}`;
+        await validateRemittancePayment(payment.referenceId, note);
+      } else {
+        await validateOrderPayment(payment.referenceId, user.id);
+      }
+      validated.push(payment.id);
+    } catch (error) {
+      logError(error, { operation: 'validateStatementMatches', paymentId: payment.id, lineNumber: line?.lineNumber });
+      failed.push({
+        paymentId: payment.id,
+        message: error.message || ERROR_CODES.INTERNAL_SERVER_ERROR
+      });
+    }
+  }
+
+  return { validated, failed };
+};
@@ -0,0 +1,29 @@
+/**
+ * Zelle Account Rotation
+ * Strategies and exclusion reasons of select_zelle_account()
+ * (supabase/migrations/20261019000006_zelle_counter_rollover.sql), which
+ * picks the Zelle account a customer pays to and checks the account limits.
+ * zelleService.getAvailableZelleAccount stores its explanation (every
+ * candidate with its score, every excluded account with the reasons) so the
+ * decision can be shown in the payment history.
+ *
+ * Pure module — no Supabase dependencies.
+ */
+
+export const ZELLE_ROTATION_STRATEGIES = {
+  PRIORITY: 'priority',                       // lowest priority_order first
+  ROUND_ROBIN: 'round_robin',                 // least recently used first
+  LEAST_USED_TODAY: 'least_used_today',       // lowest amount received today
+  WEIGHTED_DAILY: 'weighted_daily_limit',     // random, weighted by remaining daily limit
+  WEIGHTED_MONTHLY: 'weighted_monthly_limit'  // random, weighted by remaining monthly limit
+};
+
+// Same ordering the select_available_zelle_account RPC used
+export const DEFAULT_ZELLE_ROTATION_STRATEGY = ZELLE_ROTATION_STRATEGIES.PRIORITY;
+
+export const ZELLE_EXCLUSION_REASONS = {
+  WRONG_TYPE: 'wrong_type',
+  DAILY_LIMIT: 'daily_limit',
+  MONTHLY_LIMIT: 'monthly_limit',
+  SECURITY_LIMIT: 'security_limit'
+};
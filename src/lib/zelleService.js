@@ -14,8 +14,18 @@ import {
   createPermissionError,
   parseSupabaseError
 } from '@/lib/errorHandler';
-import { USER_ROLES } from '@/lib/constants';
 import { createZelleDeactivationAlerts } from '@/lib/userAlertService';
+import {
+  ZELLE_ROTATION_STRATEGIES,
+  DEFAULT_ZELLE_ROTATION_STRATEGY
+} from '@/lib/zelleRotation';
+import {
+  ZELLE_CAPACITY_LEVELS,
+  forecastZelleAccount,
+  summarizeZelleCapacity
+} from '@/lib/zelleLimitForecast';
+
+export { ZELLE_ROTATION_STRATEGIES, DEFAULT_ZELLE_ROTATION_STRATEGY, ZELLE_CAPACITY_LEVELS };
 
 // ============================================================================
 // ZELLE STATUS CONSTANTS
@@ -33,25 +43,6 @@ export const ZELLE_TRANSACTION_TYPES = {
   COMBO: 'combo'
 };
 
-// ============================================================================
-// AUTHORIZATION HELPERS
-// ============================================================================
-
-/**
- * Verify user is authenticated and has admin role
- * @param {object} user - User object from auth
- * @throws {AppError} If not authenticated or lacks admin role
- */
-const verifyAdminRole = (user) => {
-  if (!user) {
-    throw createPermissionError('access this resource', 'admin');
-  }
-
-  if (user.user_metadata?.role !== USER_ROLES.ADMIN && user.user_metadata?.role !== USER_ROLES.SUPER_ADMIN) {
-    throw createPermissionError('access this resource', 'admin');
-  }
-};
-
 // ============================================================================
 // INPUT VALIDATION HELPERS
 // ============================================================================
@@ -138,16 +129,20 @@ const validateTransactionData = (data) => {
 
 /**
  * Obtener cuenta Zelle disponible con rotación automática
- * Calls the database RPC function that handles rotation logic and load balancing
+ * select_zelle_account picks the account with the rotation strategy configured
+ * for the transaction type and the account limits (see zelleRotation.js); the
+ * decision is stored so admins can see why that account was chosen. Link it
+ * to the order/remittance with linkZelleRotationDecision once it exists.
  *
  * @param {string} transactionType - Type of transaction: 'remittance', 'product', or 'combo'
  * @param {number} amount - Amount of the transaction in USD
- * @returns {Promise<object>} Available Zelle account with full details
+ * @returns {Promise<object>} Available Zelle account with full details, plus
+ *   `rotation`: { decisionId, strategy, candidates, excluded }
  * @throws {AppError} If no available accounts or database error
  *
  * @example
  * const account = await getAvailableZelleAccount('remittance', 250);
- * // Returns: { id: 'acc-123', phone_number: '+1234567890', holder_name: 'Juan Perez', ... }
+ * // Returns: { id: 'acc-123', phone_number: '+1234567890', holder_name: 'Juan Perez', rotation: {...}, ... }
  */
 export const getAvailableZelleAccount = async (transactionType, amount) => {
   try {
@@ -163,8 +158,7 @@ export const getAvailableZelleAccount = async (transactionType, amount) => {
       throw createValidationError({ amount: 'Must be a positive number' }, 'Invalid amount');
     }
 
-    // Call RPC function to select account with rotation logic
-    const { data, error } = await supabase.rpc('select_available_zelle_account', {
+    const { data: decision, error } = await supabase.rpc('select_zelle_account', {
       p_transaction_type: transactionType,
       p_amount: amount
     });
@@ -173,43 +167,250 @@ export const getAvailableZelleAccount = async (transactionType, amount) => {
       throw parseSupabaseError(error);
     }
 
-    if (!data) {
+    if (!decision?.account) {
       throw new AppError(
         'No Zelle accounts available at this moment',
         ERROR_CODES.INSUFFICIENT_STOCK,
         503,
-        { transactionType, amount }
+        { transactionType, amount, strategy: decision?.strategy, excluded: decision?.excluded || [] }
       );
     }
 
-    // Fetch complete account details
-    const { data: account, error: accountError } = await supabase
-      .from('zelle_accounts')
-      .select('*')
-      .eq('id', data)
-      .single();
+    const decisionId = await recordZelleRotationDecision({ transactionType, amount, decision });
 
-    if (accountError) {
-      throw parseSupabaseError(accountError);
+    return {
+      ...decision.account,
+      rotation: {
+        decisionId,
+        strategy: decision.strategy,
+        candidates: decision.candidates,
+        excluded: decision.excluded
+      }
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'getAvailableZelleAccount', transactionType, amount });
+      throw error;
     }
 
-    if (!account) {
-      throw createNotFoundError('Zelle account', data);
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'getAvailableZelleAccount', transactionType, amount });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// LIMIT ROLLOVER AND FORECAST
+// ============================================================================
+
+/**
+ * Forecast when each active account reaches its limits at the current pace
+ * Read-only: uses the counters as of the last rollover (hourly with pg_cron,
+ * and on every account selection or registered payment).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.lookbackDays=7] - Window used for the monthly pace
+ * @returns {Promise<{accounts: Array<Object>, capacity: Object, generatedAt: string}>}
+ *   accounts: forecastZelleAccount() per active account;
+ *   capacity: summarizeZelleCapacity() keyed by transaction type
+ * @throws {AppError} If database error
+ *
+ * @example
+ * const { capacity } = await getZelleLimitForecast();
+ * // capacity.remittance → { level: 'warning', exhaustsAt: '2026-10-19T21:40:00.000Z', ... }
+ */
+export const getZelleLimitForecast = async ({ lookbackDays = 7 } = {}) => {
+  try {
+    const [{ data: accounts, error: accountsError }, { data: buckets, error: bucketsError }] = await Promise.all([
+      supabase.from('zelle_accounts').select('*').eq('is_active', true),
+      supabase.rpc('get_zelle_usage_buckets', { p_days: lookbackDays })
+    ]);
+
+    if (accountsError) {
+      throw parseSupabaseError(accountsError);
+    }
+    if (bucketsError) {
+      throw parseSupabaseError(bucketsError);
     }
 
-    return account;
+    const now = new Date();
+    const forecasts = (accounts || []).map(account =>
+      forecastZelleAccount(account, buckets || [], { now, lookbackDays })
+    );
+
+    const capacity = {};
+    Object.values(ZELLE_TRANSACTION_TYPES).forEach((type) => {
+      capacity[type] = summarizeZelleCapacity(accounts || [], forecasts, type, { now });
+    });
+
+    return { accounts: forecasts, capacity, generatedAt: now.toISOString() };
   } catch (error) {
     if (error instanceof AppError) {
-      logError(error, { operation: 'getAvailableZelleAccount', transactionType, amount });
+      logError(error, { operation: 'getZelleLimitForecast' });
       throw error;
     }
 
     const appError = parseSupabaseError(error);
-    logError(appError, { operation: 'getAvailableZelleAccount', transactionType, amount });
+    logError(appError, { operation: 'getZelleLimitForecast' });
+    throw appError;
+  }
+};
+
+// ============================================================================
+// ROTATION STRATEGIES
+// ============================================================================
+
+/**
+ * Get the rotation strategy for every transaction type
+ * Missing rows (or a missing table) fall back to the default strategy.
+ *
+ * @returns {Promise<object>} Map { remittance: 'priority', product: ..., combo: ... }
+ */
+export const getZelleRotationSettings = async () => {
+  const settings = Object.values(ZELLE_TRANSACTION_TYPES).reduce((acc, type) => {
+    acc[type] = DEFAULT_ZELLE_ROTATION_STRATEGY;
+    return acc;
+  }, {});
+
+  try {
+    const { data, error } = await supabase
+      .from('zelle_rotation_settings')
+      .select('transaction_type, strategy');
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    (data || []).forEach(row => {
+      if (Object.values(ZELLE_ROTATION_STRATEGIES).includes(row.strategy)) {
+        settings[row.transaction_type] = row.strategy;
+      }
+    });
+  } catch (error) {
+    logError(error, { operation: 'getZelleRotationSettings' });
+  }
+
+  return settings;
+};
+
+/**
+ * Set the rotation strategy for a transaction type (Admin only - enforced by RLS)
+ * @param {string} transactionType - One of ZELLE_TRANSACTION_TYPES
+ * @param {string} strategy - One of ZELLE_ROTATION_STRATEGIES
+ * @returns {Promise<object>} Saved zelle_rotation_settings row
+ * @throws {AppError} If validation fails or database error
+ */
+export const updateZelleRotationStrategy = async (transactionType, strategy) => {
+  try {
+    if (!Object.values(ZELLE_TRANSACTION_TYPES).includes(transactionType)) {
+      throw createValidationError(
+        { transactionType: `Must be one of: ${Object.values(ZELLE_TRANSACTION_TYPES).join(', ')}` },
+        'Invalid transaction type'
+      );
+    }
+
+    if (!Object.values(ZELLE_ROTATION_STRATEGIES).includes(strategy)) {
+      throw createValidationError(
+        { strategy: `Must be one of: ${Object.values(ZELLE_ROTATION_STRATEGIES).join(', ')}` },
+        'Invalid rotation strategy'
+      );
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      throw createPermissionError('change Zelle rotation', 'admin');
+    }
+
+    const { data, error } = await supabase
+      .from('zelle_rotation_settings')
+      .upsert({
+        transaction_type: transactionType,
+        strategy,
+        updated_by: user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'transaction_type' })
+      .select()
+      .single();
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    return data;
+  } catch (error) {
+    if (error instanceof AppError) {
+      logError(error, { operation: 'updateZelleRotationStrategy', transactionType, strategy });
+      throw error;
+    }
+
+    const appError = parseSupabaseError(error);
+    logError(appError, { operation: 'updateZelleRotationStrategy', transactionType, strategy });
     throw appError;
   }
 };
 
+/**
+ * Store a selection decision (graceful: selection works even if this fails)
+ * @returns {Promise<string|null>} Decision ID
+ */
+const recordZelleRotationDecision = async ({ transactionType, amount, decision }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data, error } = await supabase
+      .from('zelle_rotation_decisions')
+      .insert([{
+        transaction_type: transactionType,
+        amount,
+        strategy: decision.strategy,
+        selected_account_id: decision.account.id,
+        candidates: decision.candidates,
+        excluded: decision.excluded,
+        created_by: user?.id || null
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    return data.id;
+  } catch (error) {
+    logError(error, { operation: 'recordZelleRotationDecision', transactionType, amount });
+    return null;
+  }
+};
+
+/**
+ * Attach the order/remittance that was paid with the selected account
+ * Graceful: failures are logged, never thrown.
+ *
+ * @param {string|null} decisionId - From account.rotation.decisionId
+ * @param {string} referenceId - Order or remittance ID
+ * @returns {Promise<boolean>} True if linked
+ */
+export const linkZelleRotationDecision = async (decisionId, referenceId) => {
+  if (!decisionId || !referenceId) return false;
+
+  try {
+    const { error } = await supabase
+      .from('zelle_rotation_decisions')
+      .update({ reference_id: referenceId })
+      .eq('id', decisionId)
+      .is('reference_id', null);
+
+    if (error) {
+      throw parseSupabaseError(error);
+    }
+
+    return true;
+  } catch (error) {
+    logError(error, { operation: 'linkZelleRotationDecision', decisionId, referenceId });
+    return false;
+  }
+};
+
 // ============================================================================
 // TRANSACTION MANAGEMENT
 // ============================================================================
@@ -1322,16 +1523,18 @@ export const getZelleAccountStats = async (accountId) => {
 
 /**
  * Reset manual de contadores (Admin only)
- * Manually resets daily or monthly usage counters for an account
+ * Counters are derived from zelle_transaction_history and roll over on their
+ * own; this forces a resync of one account (e.g. after editing history).
+ * A counter only drops to zero if no transactions remain in its period.
  *
  * @param {string} accountId - ID of the account
- * @param {string} [type='daily'] - Type of reset: 'daily' or 'monthly'
- * @returns {Promise<object>} Updated account record with reset counters
+ * @param {string} [type='daily'] - Counter the admin asked for: 'daily' or 'monthly' (both are resynced)
+ * @returns {Promise<object>} Updated account record
  * @throws {AppError} If unauthorized, validation fails, or database error
  *
  * @example
  * const account = await resetZelleCounters('acc-123', 'daily');
- * // Returns: { id: 'acc-123', current_daily_amount: 0, last_reset_date: '2024-...' }
+ * // Returns: { id: 'acc-123', current_daily_amount: 0, last_reset_date: '2026-...' }
  */
 export const resetZelleCounters = async (accountId, type = 'daily') => {
   try {
@@ -1353,20 +1556,21 @@ export const resetZelleCounters = async (accountId, type = 'daily') => {
       throw createPermissionError('access this resource', 'authenticated user');
     }
 
-    // Prepare updates based on type
-    const updates = type === 'daily'
-      ? { current_daily_amount: 0, last_reset_date: new Date().toISOString() }
-      : { current_monthly_amount: 0 };
+    const { error: rpcError } = await supabase.rpc('roll_over_zelle_counters', { p_account_id: accountId });
+    if (rpcError) {
+      throw parseSupabaseError(rpcError);
+    }
 
-    // Update account
     const { data, error } = await supabase
       .from('zelle_accounts')
-      .update(updates)
+      .select('*')
       .eq('id', accountId)
-      .select()
       .single();
 
     if (error) {
+      if (error.code === 'PGRST116') {
+        throw createNotFoundError('Zelle account', accountId);
+      }
       throw parseSupabaseError(error);
     }
 
@@ -1454,7 +1658,7 @@ export const getAllZellePaymentHistory = async (filters = {}) => {
     if (remittanceIds.length > 0) {
       const { data: remittanceData, error: remittanceError } = await supabase
         .from('remittances')
-        .select('id, remittance_number, user_id, recipient_name, amount_to_deliver')
+        .select('id, remittance_number, user_id, recipient_name, amount_to_deliver, payment_reference')
         .in('id', remittanceIds);
 
       if (remittanceError) {
@@ -1476,7 +1680,7 @@ export const getAllZellePaymentHistory = async (filters = {}) => {
     if (orderIds.length > 0) {
       const { data: orderData, error: orderError } = await supabase
         .from('orders')
-        .select('id, order_number, user_id, recipient_info, total_amount')
+        .select('id, order_number, user_id, recipient_info, total_amount, payment_reference')
         .in('id', orderIds);
 
       if (orderError) {
@@ -1526,6 +1730,29 @@ export const getAllZellePaymentHistory = async (filters = {}) => {
       }, {});
     }
 
+    // Rotation decisions explain why each account was picked (graceful if unavailable)
+    let decisionMap = {};
+    const referenceIds = transactions.map(tx => tx.reference_id).filter(Boolean);
+    if (referenceIds.length > 0) {
+      try {
+        const { data: decisions, error: decisionsError } = await supabase
+          .from('zelle_rotation_decisions')
+          .select('id, reference_id, strategy, selected_account_id, candidates, excluded, created_at')
+          .in('reference_id', referenceIds);
+
+        if (decisionsError) {
+          throw parseSupabaseError(decisionsError);
+        }
+
+        decisionMap = (decisions || []).reduce((acc, decision) => {
+          acc[decision.reference_id] = decision;
+          return acc;
+        }, {});
+      } catch (decisionsError) {
+        logError(decisionsError, { operation: 'getAllZellePaymentHistory - rotation decisions' });
+      }
+    }
+
     const enrichedTransactions = transactions.map((transaction) => {
       const remittance = transaction.transaction_type === 'remittance'
         ? remittanceMap[transaction.reference_id]
@@ -1546,7 +1773,8 @@ export const getAllZellePaymentHistory = async (filters = {}) => {
         remittances: remittance || null,
         orders: order || null,
         user: userData || null,
-        account_name: transaction.zelle_accounts?.account_name || 'N/A'
+        account_name: transaction.zelle_accounts?.account_name || 'N/A',
+        rotation_decision: decisionMap[transaction.reference_id] || null
       };
     });
 
@@ -1654,8 +1882,13 @@ export const zelleService = {
   getZelleAccountUsageSummary,
   getZelleAccountHistoricalTotals,
   resetZelleCounters,
+  getZelleLimitForecast,
   getAllZellePaymentHistory,
   upsertZelleTransactionStatus,
+  getZelleRotationSettings,
+  updateZelleRotationStrategy,
   ZELLE_STATUS,
-  ZELLE_TRANSACTION_TYPES
+  ZELLE_TRANSACTION_TYPES,
+  ZELLE_ROTATION_STRATEGIES,
+  ZELLE_CAPACITY_LEVELS
 };
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MATCH_CONFIDENCE,
+  MATCH_REASONS,
+  parseCsv,
+  detectStatementColumns,
+  parseStatementAmount,
+  parseStatementDate,
+  parseBankStatement,
+  matchStatementLines,
+} from '@/lib/bankStatementImport';
+
+// ─── CSV parsing ────────────────────────────────────────────────────────────
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes and CRLF', () => {
+    const rows = parseCsv('Date,Memo\r\n10/18/2026,"Pago, ""ORD-1"""\r\n');
+    expect(rows).toEqual([['Date', 'Memo'], ['10/18/2026', 'Pago, "ORD-1"']]);
+  });
+
+  it('detects semicolon delimiters and drops blank lines', () => {
+    expect(parseCsv('Fecha;Monto\n\n2026-10-18;1.234,50\n')).toEqual([['Fecha', 'Monto'], ['2026-10-18', '1.234,50']]);
+  });
+});
+
+describe('detectStatementColumns', () => {
+  it('maps English and Spanish headers', () => {
+    expect(detectStatementColumns(['Posting Date', 'Description', 'Amount', 'Sender Name'])).toEqual({
+      date: 0, amount: 2, sender: 3, memo: 1, reference: -1,
+    });
+    expect(detectStatementColumns(['Fecha', 'Monto', 'Remitente', 'Concepto', 'Referencia'])).toMatchObject({
+      date: 0, amount: 1, sender: 2, memo: 3, reference: 4,
+    });
+  });
+});
+
+describe('parseStatementAmount', () => {
+  it('reads currency formats', () => {
+    expect(parseStatementAmount('$1,234.50')).toBe(1234.5);
+    expect(parseStatementAmount('1.234,50')).toBe(1234.5);
+    expect(parseStatementAmount('(25.00)')).toBe(-25);
+    expect(parseStatementAmount('-25')).toBe(-25);
+    expect(parseStatementAmount('abc')).toBeNaN();
+  });
+});
+
+describe('parseStatementDate', () => {
+  it('reads US and ISO dates', () => {
+    expect(new Date(parseStatementDate('10/18/2026')).getDate()).toBe(18);
+    expect(new Date(parseStatementDate('10/18/26')).getFullYear()).toBe(2026);
+    expect(parseStatementDate('2026-10-18T14:00:00.000Z')).toBe('2026-10-18T14:00:00.000Z');
+    expect(parseStatementDate('yesterday')).toBeNull();
+  });
+});
+
+describe('parseBankStatement', () => {
+  it('keeps incoming lines and reports bad ones', () => {
+    const csv = [
+      'Date,Description,Amount,Sender',
+      '10/18/2026,Zelle from Maria Perez REM-2026-0001,150.00,Maria Perez',
+      '10/18/2026,Card purchase,-20.00,',
+      'xx,Broken,10.00,',
+    ].join('\n');
+
+    const result = parseBankStatement(csv);
+    expect(result.lines).toHaveLength(1);
+    expect(result.lines[0]).toMatchObject({ lineNumber: 2, amount: 150, sender: 'Maria Perez' });
+    expect(result.skipped).toBe(1);
+    expect(result.errors).toEqual([{ lineNumber: 4, message: 'invalid_date' }]);
+  });
+
+  it('rejects files without date and amount columns', () => {
+    expect(parseBankStatement('Foo,Bar\n1,2').errors[0].message).toBe('missing_columns');
+  });
+});
+
+// ─── matching ───────────────────────────────────────────────────────────────
+
+describe('matchStatementLines', () => {
+  const line = (lineNumber, amount, extra = {}) => ({
+    lineNumber, amount, date: '2026-10-18T15:00:00.000Z', sender: '', memo: '', reference: '', ...extra,
+  });
+  const payment = (id, amount, extra = {}) => ({
+    id, amount, date: '2026-10-18T12:00:00.000Z', referenceNumber: '', paymentReference: '', customerName: '', ...extra,
+  });
+
+  it('matches by order number with high confidence', () => {
+    const { matches } = matchStatementLines(
+      [line(2, 150, { memo: 'Zelle ORD-20261018-0042' })],
+      [payment('p1', 150, { referenceNumber: 'ORD-20261018-0042' })]
+    );
+    expect(matches).toHaveLength(1);
+    expect(matches[0].confidence).toBe(MATCH_CONFIDENCE.HIGH);
+    expect(matches[0].reasons).toEqual([MATCH_REASONS.AMOUNT, MATCH_REASONS.NUMBER, MATCH_REASONS.TIME_WINDOW]);
+  });
+
+  it('matches sender and date with medium confidence', () => {
+    const { matches } = matchStatementLines(
+      [line(2, 80, { sender: 'MARÍA PÉREZ' })],
+      [payment('p1', 80, { customerName: 'Maria Perez Gomez' })]
+    );
+    expect(matches[0].confidence).toBe(MATCH_CONFIDENCE.MEDIUM);
+  });
+
+  it('requires the amount to match', () => {
+    const { matches, unmatchedLines } = matchStatementLines(
+      [line(2, 80.5, { memo: 'ORD-1234' })],
+      [payment('p1', 80, { referenceNumber: 'ORD-1234' })]
+    );
+    expect(matches).toEqual([]);
+    expect(unmatchedLines).toHaveLength(1);
+  });
+
+  it('does not propose amount-only matches outside the window', () => {
+    const { matches } = matchStatementLines(
+      [line(2, 50, { date: '2026-10-30T12:00:00.000Z' })],
+      [payment('p1', 50)]
+    );
+    expect(matches).toEqual([]);
+  });
+
+  it('assigns each payment once, best score first', () => {
+    const { matches, unmatchedPayments } = matchStatementLines(
+      [line(2, 100), line(3, 100, { reference: 'ZX99AB' })],
+      [payment('p1', 100, { paymentReference: 'zx99ab' }), payment('p2', 100)]
+    );
+    expect(matches.map(m => [m.line.lineNumber, m.payment.id])).toEqual([[2, 'p2'], [3, 'p1']]);
+    expect(matches[0].confidence).toBe(MATCH_CONFIDENCE.LOW);
+    expect(matches[1].alternatives).toEqual(['p2']);
+    expect(unmatchedPayments).toEqual([]);
+  });
+});
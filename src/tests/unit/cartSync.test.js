@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CART_CHANGE,
+  isCartCombo,
+  toServerCartLines,
+  fromServerCartRows,
+  mergeCarts,
+  revalidateCart,
+} from '@/lib/cartSync';
+
+const rice = { id: 'rice', name_es: 'Arroz', final_price: 2, base_price: 1.5, stock: 10, is_active: true };
+const rice5 = { id: 'rice-5', parent_product_id: 'rice', final_price: 9, base_price: 7, stock: 1, is_active: true };
+const beans = { id: 'beans', final_price: 3, base_price: 2, stock: 0, is_active: true };
+const combo = { id: 'box', products: ['rice', 'beans'], productQuantities: { rice: 2 }, profitMargin: 10, stock: 4, is_active: true };
+
+describe('server cart rows', () => {
+  it('round-trips lines with their key, type and position', () => {
+    const cart = [
+      { ...rice, quantity: 2, displayed_price: 2 },
+      { ...rice5, variantId: 'rice-5', parentProductId: 'rice', quantity: 1 },
+      { ...combo, type: 'combo', quantity: 1 },
+    ];
+    const lines = toServerCartLines(cart);
+    expect(lines.map(line => [line.line_key, line.item_type, line.product_id, line.combo_id, line.quantity])).toEqual([
+      ['product:rice', 'product', 'rice', null, 2],
+      ['product:rice-5', 'product', 'rice-5', null, 1],
+      ['combo:box', 'combo', null, 'box', 1],
+    ]);
+    expect(lines[0].item).not.toHaveProperty('quantity');
+
+    const rows = lines.map((line, position) => ({ ...line, position })).reverse();
+    expect(fromServerCartRows(rows)).toEqual(cart);
+  });
+
+  it('recognizes legacy combo lines by their product list', () => {
+    expect(isCartCombo({ id: 'box', products: [] })).toBe(true);
+    expect(isCartCombo(rice)).toBe(false);
+  });
+});
+
+describe('mergeCarts', () => {
+  it('keeps the larger quantity for shared lines and appends local-only lines', () => {
+    const stored = [{ id: 'rice', quantity: 3, displayed_price: 2 }, { id: 'beans', quantity: 1 }];
+    const local = [{ id: 'rice', quantity: 1, displayed_price: 2.2 }, { id: 'box', type: 'combo', quantity: 1 }];
+
+    const merged = mergeCarts(stored, local);
+    expect(merged).toEqual([
+      { id: 'rice', quantity: 3, displayed_price: 2.2 },
+      { id: 'beans', quantity: 1 },
+      { id: 'box', type: 'combo', quantity: 1 },
+    ]);
+    expect(mergeCarts(merged, merged)).toEqual(merged);
+  });
+});
+
+describe('revalidateCart', () => {
+  const catalog = { products: [rice, rice5, beans], combos: [combo] };
+
+  it('removes unavailable and out-of-stock lines and caps quantities to stock', () => {
+    const { cart, changes } = revalidateCart([
+      { ...rice, quantity: 1 },
+      { ...rice5, variantId: 'rice-5', variantLabel: '5 kg', quantity: 3 },
+      { ...beans, quantity: 1 },
+      { id: 'gone', final_price: 1, quantity: 1 },
+    ], catalog);
+
+    expect(cart.map(line => [line.id, line.quantity])).toEqual([['rice', 1], ['rice-5', 1]]);
+    expect(cart[1].variantLabel).toBe('5 kg');
+    expect(changes.map(change => [change.lineKey, change.type])).toEqual([
+      ['product:rice-5', CART_CHANGE.QUANTITY_REDUCED],
+      ['product:beans', CART_CHANGE.OUT_OF_STOCK],
+      ['product:gone', CART_CHANGE.UNAVAILABLE],
+    ]);
+    expect(changes[0]).toMatchObject({ oldQuantity: 3, newQuantity: 1 });
+  });
+
+  it('scales the shown price when the product price changed', () => {
+    const { cart, changes } = revalidateCart([
+      { ...rice, final_price: 1.6, displayed_price: 4, displayed_currency_code: 'EUR', quantity: 1 },
+    ], catalog);
+
+    expect(cart[0]).toMatchObject({ final_price: 2, displayed_price: 5, displayed_currency_code: 'EUR', reference_price: 2 });
+    expect(changes).toEqual([expect.objectContaining({
+      type: CART_CHANGE.PRICE_CHANGED, oldPrice: 4, newPrice: 5, currencyCode: 'EUR'
+    })]);
+    expect(revalidateCart(cart, catalog).changes).toEqual([]);
+  });
+
+  it('stamps legacy combo lines and reports later combo price changes', () => {
+    const first = revalidateCart([{ ...combo, type: 'combo', quantity: 1, displayed_price: 5.5 }], catalog);
+    expect(first.changes).toEqual([]);
+    expect(first.cart[0].reference_price).toBe(5.5);
+
+    const pricier = { ...catalog, products: [{ ...rice, base_price: 2 }, rice5, beans] };
+    const second = revalidateCart(first.cart, pricier);
+    expect(second.changes[0]).toMatchObject({ type: CART_CHANGE.PRICE_CHANGED, oldPrice: 5.5, newPrice: 6.6 });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildComboComponents,
+  getComboAvailability,
+  resolveComboComponents,
+  resolveOrderComboComponents,
+} from '@/lib/comboAvailability';
+import { buildStockRequests } from '@/lib/inventoryHolds';
+
+describe('buildComboComponents', () => {
+  it('attaches substitutes to their component in priority order', () => {
+    expect(buildComboComponents(
+      [{ product_id: 'rice', quantity: 2 }, { product_id: 'beans', quantity: 1 }, { product_id: 'x', quantity: 0 }],
+      [
+        { product_id: 'rice', substitute_product_id: 'rice-c', priority: 1, allow_partial: false },
+        { product_id: 'rice', substitute_product_id: 'rice-b', priority: 0, allow_partial: true },
+      ]
+    )).toEqual([
+      { product_id: 'rice', quantity: 2, substitutes: [
+        { product_id: 'rice-b', allow_partial: true },
+        { product_id: 'rice-c', allow_partial: false },
+      ] },
+      { product_id: 'beans', quantity: 1, substitutes: [] },
+    ]);
+  });
+});
+
+describe('getComboAvailability', () => {
+  it('is the minimum over components without substitutes', () => {
+    const components = [
+      { product_id: 'rice', quantity: 2, substitutes: [] },
+      { product_id: 'beans', quantity: 1, substitutes: [] },
+    ];
+    expect(getComboAvailability(components, { rice: 7, beans: 5 }))
+      .toEqual({ available: 3, limitingProductId: 'rice', usesSubstitutes: false });
+    expect(getComboAvailability([], { rice: 7 }).available).toBe(0);
+  });
+
+  it('counts substitute stock once the component runs short', () => {
+    const components = [
+      { product_id: 'rice', quantity: 2, substitutes: [{ product_id: 'rice-b', allow_partial: true }] },
+      { product_id: 'beans', quantity: 1, substitutes: [] },
+    ];
+    // 3 rice + 4 rice-b = 7 units → 3 combos; beans allow 10
+    expect(getComboAvailability(components, { rice: 3, 'rice-b': 4, beans: 10 }))
+      .toEqual({ available: 3, limitingProductId: 'rice', usesSubstitutes: false });
+    expect(getComboAvailability(components, { rice: 0, 'rice-b': 4, beans: 10 }).usesSubstitutes).toBe(true);
+  });
+
+  it('does not mix a substitute that must replace the whole quantity', () => {
+    const components = [
+      { product_id: 'rice', quantity: 2, substitutes: [{ product_id: 'rice-b', allow_partial: false }] },
+    ];
+    // rice 1 + rice-b 3: only one combo of 2 × rice-b, no 1 + 1 mixes
+    expect(getComboAvailability(components, { rice: 1, 'rice-b': 3 }).available).toBe(1);
+  });
+});
+
+describe('resolveComboComponents', () => {
+  it('splits an order line between the component and its substitutes', () => {
+    const components = [
+      { product_id: 'rice', quantity: 2, substitutes: [{ product_id: 'rice-b', allow_partial: true }] },
+    ];
+    const stock = new Map([['rice', 3], ['rice-b', 10]]);
+
+    // A single product per combo when one covers it: 2 × rice, then 2 × rice-b
+    expect(resolveComboComponents(components, 2, stock)).toEqual({
+      components: [
+        { product_id: 'rice', quantity: 2, substitute_for: null },
+        { product_id: 'rice-b', quantity: 2, substitute_for: 'rice' },
+      ],
+      shortfall: 0,
+    });
+    expect(stock.get('rice-b')).toBe(8);
+  });
+
+  it('leaves unfilled combos on the component itself', () => {
+    const components = [{ product_id: 'rice', quantity: 2, substitutes: [] }];
+    expect(resolveComboComponents(components, 2, new Map([['rice', 2]]))).toEqual({
+      components: [{ product_id: 'rice', quantity: 4, substitute_for: null }],
+      shortfall: 1,
+    });
+  });
+});
+
+describe('resolveOrderComboComponents', () => {
+  it('lets product lines take stock before combos and feeds buildStockRequests', () => {
+    const items = [
+      { itemType: 'combo', itemId: 'c1', quantity: 1 },
+      { itemType: 'product', itemId: 'rice', quantity: 2 },
+    ];
+    const comboComponents = new Map([
+      ['c1', [{ product_id: 'rice', quantity: 2, substitutes: [{ product_id: 'rice-b', allow_partial: true }] }]],
+    ]);
+
+    // The product line leaves 1 rice, so the combo mixes it with 1 rice-b
+    const resolved = resolveOrderComboComponents(items, comboComponents, { rice: 3, 'rice-b': 1 });
+    expect(resolved).toEqual([
+      [
+        { product_id: 'rice', quantity: 1, substitute_for: null },
+        { product_id: 'rice-b', quantity: 1, substitute_for: 'rice' },
+      ],
+      null,
+    ]);
+
+    expect(buildStockRequests([
+      { id: 'oi1', item_type: 'combo', item_id: 'c1', quantity: 1, combo_components: resolved[0] },
+    ], comboComponents)).toEqual([
+      { order_item_id: 'oi1', product_id: 'rice', quantity: 1 },
+      { order_item_id: 'oi1', product_id: 'rice-b', quantity: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DELIVERY_PIN_MAX_ATTEMPTS,
+  normalizeDeliveryPin,
+  isWellFormedDeliveryPin,
+  formatDeliveryPin,
+  toDeliveryPinStatus,
+  isDeliveryPinSatisfied,
+  getDeliveryPinErrorKey,
+} from '@/lib/deliveryPin';
+import { AppError, ERROR_CODES } from '@/lib/errorHandler';
+
+describe('PIN input', () => {
+  it('strips spaces and dashes between digit groups', () => {
+    expect(normalizeDeliveryPin(' 482 913 ')).toBe('482913');
+    expect(normalizeDeliveryPin('482-913')).toBe('482913');
+    expect(normalizeDeliveryPin(null)).toBe('');
+  });
+
+  it('accepts exactly six digits', () => {
+    expect(isWellFormedDeliveryPin('482 913')).toBe(true);
+    expect(isWellFormedDeliveryPin('012345')).toBe(true);
+    expect(isWellFormedDeliveryPin('48291')).toBe(false);
+    expect(isWellFormedDeliveryPin('4829134')).toBe(false);
+    expect(isWellFormedDeliveryPin('48a913')).toBe(false);
+    expect(isWellFormedDeliveryPin('')).toBe(false);
+  });
+
+  it('formats the PIN in two groups', () => {
+    expect(formatDeliveryPin('012345')).toBe('012 345');
+    expect(formatDeliveryPin('123')).toBe('123');
+  });
+});
+
+describe('toDeliveryPinStatus', () => {
+  it('normalizes the RPC status and counts attempts left', () => {
+    expect(toDeliveryPinStatus({
+      required: true, verified: false, overridden: false, locked: false, failed_attempts: 2, max_attempts: 5,
+    })).toEqual({
+      required: true, verified: false, overridden: false, locked: false, failedAttempts: 2, attemptsLeft: 3,
+    });
+  });
+
+  it('has no attempts left once locked', () => {
+    expect(toDeliveryPinStatus({ required: true, locked: true, failed_attempts: 5 }).attemptsLeft).toBe(0);
+  });
+
+  it('treats a missing status as no PIN required', () => {
+    expect(toDeliveryPinStatus(null)).toMatchObject({ required: false, attemptsLeft: DELIVERY_PIN_MAX_ATTEMPTS });
+  });
+});
+
+describe('isDeliveryPinSatisfied', () => {
+  it('is satisfied without a PIN, or once verified or overridden', () => {
+    expect(isDeliveryPinSatisfied(null)).toBe(true);
+    expect(isDeliveryPinSatisfied({ required: false })).toBe(true);
+    expect(isDeliveryPinSatisfied({ required: true, verified: true })).toBe(true);
+    expect(isDeliveryPinSatisfied({ required: true, overridden: true })).toBe(true);
+    expect(isDeliveryPinSatisfied({ required: true, locked: true })).toBe(false);
+    expect(isDeliveryPinSatisfied({ required: true })).toBe(false);
+  });
+});
+
+describe('getDeliveryPinErrorKey', () => {
+  it('maps PIN errors to translation keys', () => {
+    const invalid = new AppError('wrong', ERROR_CODES.DELIVERY_PIN_INVALID, 400, { attemptsLeft: 2 });
+    expect(getDeliveryPinErrorKey(invalid)).toEqual({ key: 'deliveryPin.invalid', params: { count: 2 } });
+    expect(getDeliveryPinErrorKey(new AppError('locked', ERROR_CODES.DELIVERY_PIN_LOCKED, 423)).key).toBe('deliveryPin.locked');
+    expect(getDeliveryPinErrorKey(new AppError('required', ERROR_CODES.DELIVERY_PIN_REQUIRED, 400)).key).toBe('deliveryPin.required');
+  });
+
+  it('ignores other errors', () => {
+    expect(getDeliveryPinErrorKey(new AppError('db', ERROR_CODES.DB_ERROR))).toBe(null);
+    expect(getDeliveryPinErrorKey(null)).toBe(null);
+  });
+});
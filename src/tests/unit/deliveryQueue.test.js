@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DELIVERY_KIND,
+  UNKNOWN_LOCATION,
+  toDeliveryStop,
+  isDeliverableStop,
+  groupDeliveriesByLocation,
+} from '@/lib/deliveryQueue';
+
+const remittance = {
+  id: 'r1',
+  remittance_number: 'REM-001',
+  status: 'processing',
+  recipient_name: ' Ana Pérez ',
+  recipient_phone: '+53 5555 1234',
+  recipient_address: 'Calle 23 #456',
+  recipient_province: 'La Habana',
+  recipient_municipality: 'Plaza de la Revolución',
+  amount_to_deliver: 12000,
+  currency_delivered: 'CUP',
+  remittance_types: { delivery_method: 'cash' },
+  delivery_notes: 'Llamar antes',
+  courier_assigned_at: '2026-10-19T10:00:00Z',
+};
+
+const order = {
+  id: 'o1',
+  order_number: 'ORD-001',
+  status: 'dispatched',
+  recipient_info: JSON.stringify({ fullName: 'Luis Gómez', phone: '5355', province: 'Matanzas', municipality: 'Cárdenas', address: 'Ave 1' }),
+  order_items: [{ item_name_es: 'Arroz', item_name_en: 'Rice', quantity: 2 }],
+  delivery_instructions: null,
+  courier_assigned_at: '2026-10-19T09:00:00Z',
+};
+
+const stop = (id, province, municipality, assignedAt, number = id) => ({
+  kind: DELIVERY_KIND.REMITTANCE, id, number, province, municipality, assignedAt,
+});
+
+describe('toDeliveryStop', () => {
+  it('normalizes a remittance', () => {
+    expect(toDeliveryStop(remittance, DELIVERY_KIND.REMITTANCE)).toMatchObject({
+      kind: 'remittance',
+      number: 'REM-001',
+      recipientName: 'Ana Pérez',
+      province: 'La Habana',
+      municipality: 'Plaza de la Revolución',
+      amount: 12000,
+      currency: 'CUP',
+      deliveryMethod: 'cash',
+      notes: 'Llamar antes',
+      items: [],
+    });
+  });
+
+  it('reads the order recipient from recipient_info (string or object)', () => {
+    const fromString = toDeliveryStop(order, DELIVERY_KIND.ORDER);
+    expect(fromString).toMatchObject({
+      kind: 'order',
+      number: 'ORD-001',
+      recipientName: 'Luis Gómez',
+      phone: '5355',
+      province: 'Matanzas',
+      municipality: 'Cárdenas',
+      address: 'Ave 1',
+      notes: '',
+    });
+    expect(fromString.items).toEqual([{ name: 'Arroz', nameEn: 'Rice', quantity: 2 }]);
+
+    expect(fromString.amount).toBe(null);
+
+    const fromObject = toDeliveryStop({ ...order, recipient_info: { fullName: 'Luis' } }, DELIVERY_KIND.ORDER);
+    expect(fromObject.recipientName).toBe('Luis');
+  });
+
+  it('falls back to the shipping zone when the recipient has no location', () => {
+    const result = toDeliveryStop({
+      ...order,
+      recipient_info: 'not json',
+      shipping_zones: { province_name: 'Holguín', municipality_name: 'Moa' },
+    }, DELIVERY_KIND.ORDER);
+    expect(result.province).toBe('Holguín');
+    expect(result.municipality).toBe('Moa');
+    expect(result.recipientName).toBe('');
+  });
+
+  it('carries the order total, courier and saved route position', () => {
+    const result = toDeliveryStop({
+      ...order,
+      total_amount: 45.5,
+      currencies: { code: 'USD' },
+      assigned_courier_id: 'c1',
+      route_date: '2026-10-19',
+      route_position: 3,
+    }, DELIVERY_KIND.ORDER);
+    expect(result).toMatchObject({ amount: 45.5, currency: 'USD', courierId: 'c1', routeDate: '2026-10-19', routePosition: 3 });
+  });
+});
+
+describe('isDeliverableStop', () => {
+  it('allows processing remittances and dispatched orders', () => {
+    expect(isDeliverableStop({ kind: DELIVERY_KIND.REMITTANCE, status: 'processing' })).toBe(true);
+    expect(isDeliverableStop({ kind: DELIVERY_KIND.REMITTANCE, status: 'delivered' })).toBe(false);
+    expect(isDeliverableStop({ kind: DELIVERY_KIND.ORDER, status: 'dispatched' })).toBe(true);
+    expect(isDeliverableStop({ kind: DELIVERY_KIND.ORDER, status: 'processing' })).toBe(false);
+  });
+});
+
+describe('groupDeliveriesByLocation', () => {
+  it('groups by province and municipality, sorted by name with unknown last', () => {
+    const groups = groupDeliveriesByLocation([
+      stop('a', 'Matanzas', 'Cárdenas', '2026-10-19T10:00:00Z'),
+      stop('b', '', '', null),
+      stop('c', 'La Habana', 'Playa', '2026-10-19T08:00:00Z'),
+      stop('d', 'La Habana', 'Cerro', '2026-10-19T09:00:00Z'),
+      stop('e', 'Matanzas', '', null),
+    ]);
+
+    expect(groups.map(group => [group.province, group.count])).toEqual([
+      ['La Habana', 2],
+      ['Matanzas', 2],
+      [UNKNOWN_LOCATION, 1],
+    ]);
+    expect(groups[0].municipalities.map(group => group.municipality)).toEqual(['Cerro', 'Playa']);
+    expect(groups[1].municipalities.map(group => group.municipality)).toEqual(['Cárdenas', UNKNOWN_LOCATION]);
+  });
+
+  it('orders stops by assignment time, oldest first', () => {
+    const [group] = groupDeliveriesByLocation([
+      stop('late', 'La Habana', 'Playa', '2026-10-19T12:00:00Z'),
+      stop('early', 'La Habana', 'Playa', '2026-10-19T08:00:00Z'),
+    ]);
+    expect(group.municipalities[0].stops.map(s => s.id)).toEqual(['early', 'late']);
+  });
+
+  it('follows the saved route position when there is one', () => {
+    const groups = groupDeliveriesByLocation([
+      { ...stop('a', 'La Habana', 'Cerro', '2026-10-19T08:00:00Z'), routePosition: 3 },
+      { ...stop('b', 'Matanzas', 'Cárdenas', '2026-10-19T08:00:00Z'), routePosition: 1 },
+      { ...stop('c', 'La Habana', 'Playa', '2026-10-19T08:00:00Z'), routePosition: 2 },
+      stop('d', 'La Habana', 'Playa', '2026-10-19T07:00:00Z'),
+    ]);
+
+    expect(groups.map(group => group.province)).toEqual(['Matanzas', 'La Habana']);
+    expect(groups[1].municipalities.map(group => group.municipality)).toEqual(['Playa', 'Cerro']);
+    expect(groups[1].municipalities[0].stops.map(s => s.id)).toEqual(['c', 'd']);
+  });
+
+  it('returns no groups for an empty queue', () => {
+    expect(groupDeliveriesByLocation([])).toEqual([]);
+  });
+});
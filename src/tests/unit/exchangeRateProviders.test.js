@@ -0,0 +1,108 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createCircuitBreaker,
+  createFixtureProvider,
+  mergeProviderRates,
+  computeRateDrift,
+  registerRateProvider,
+  unregisterRateProvider,
+  getRateProviders,
+  RATE_PROVIDER_IDS,
+} from '@/lib/exchangeRateProviders';
+
+vi.mock('@/lib/supabase', () => ({ supabase: {} }));
+
+// ─── createCircuitBreaker ───────────────────────────────────────────────────
+
+describe('createCircuitBreaker', () => {
+  it('opens after the failure threshold and closes after the cooldown', () => {
+    let clock = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(false);
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(true);
+
+    clock = 1000;
+    expect(breaker.isOpen()).toBe(false);
+  });
+
+  it('resets on success', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(false);
+    expect(breaker.getState().failures).toBe(1);
+  });
+});
+
+// ─── providers ──────────────────────────────────────────────────────────────
+
+describe('createFixtureProvider', () => {
+  it('returns fixed rates with USD as base', async () => {
+    const provider = createFixtureProvider({ CUP: 120 }, { retrievedAt: '2026-01-01T00:00:00.000Z' });
+    await expect(provider.fetchRates()).resolves.toEqual({
+      rates: { USD: 1, CUP: 120 },
+      retrievedAt: '2026-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('can simulate a failing source', async () => {
+    await expect(createFixtureProvider({}, { fail: true }).fetchRates()).rejects.toThrow('failure');
+  });
+
+  it('registers in priority order and can be removed', () => {
+    registerRateProvider(createFixtureProvider({}, { id: 'fixture-a' }));
+    expect(getRateProviders().map(p => p.id).at(-1)).toBe('fixture-a');
+    expect(getRateProviders()[0].id).toBe(RATE_PROVIDER_IDS.MANUAL_CUP);
+    unregisterRateProvider('fixture-a');
+    expect(getRateProviders().map(p => p.id)).not.toContain('fixture-a');
+  });
+});
+
+// ─── mergeProviderRates ─────────────────────────────────────────────────────
+
+describe('mergeProviderRates', () => {
+  it('keeps the first provider per currency and fills gaps from later ones', () => {
+    const { rates, sources } = mergeProviderRates([
+      { provider: 'manual-cup', rates: { CUP: 340 } },
+      { provider: 'exchangerate-api', rates: { USD: 1, EUR: 0.92 } },
+      { provider: 'open-er-api', rates: { USD: 1, EUR: 0.93, CUP: 24 } },
+    ]);
+
+    expect(rates).toEqual({ CUP: 340, USD: 1, EUR: 0.92 });
+    expect(sources).toEqual({ CUP: 'manual-cup', USD: 'exchangerate-api', EUR: 'exchangerate-api' });
+  });
+
+  it('ignores non-positive rates', () => {
+    expect(mergeProviderRates([{ provider: 'x', rates: { CUP: 0, EUR: 'abc' } }]).rates).toEqual({});
+  });
+});
+
+// ─── computeRateDrift ───────────────────────────────────────────────────────
+
+describe('computeRateDrift', () => {
+  const row = (from, to, rate) => ({ id: `${from}-${to}`, rate, from_currency: { code: from }, to_currency: { code: to } });
+  const market = { USD: 1, EUR: 0.8, CUP: 400 };
+
+  it('compares against cross rates derived from USD', () => {
+    const [drift] = computeRateDrift([row('EUR', 'CUP', 500)], market, 5);
+    expect(drift.marketRate).toBe(500);
+    expect(drift.driftPct).toBe(0);
+    expect(drift.exceeds).toBe(false);
+  });
+
+  it('flags pairs beyond the threshold in either direction', () => {
+    const result = computeRateDrift([row('USD', 'CUP', 360), row('USD', 'EUR', 0.82)], market, 5);
+    expect(result.map(entry => [entry.id, entry.driftPct, entry.exceeds])).toEqual([
+      ['USD-CUP', -10, true],
+      ['USD-EUR', 2.5, false],
+    ]);
+  });
+
+  it('skips pairs without a market rate', () => {
+    expect(computeRateDrift([row('USD', 'MLC', 1)], market)).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeEffectiveFrom,
+  selectCurrentRates,
+  selectScheduledRates,
+  buildRateSeries,
+} from '@/lib/exchangeRateSchedule';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const row = (id, from, to, rate, effective_from, extra = {}) => ({
+  id, from_currency_id: from, to_currency_id: to, rate, effective_from, is_active: true, ...extra,
+});
+
+const rows = [
+  row('old', 'usd', 'cup', 300, '2026-09-01T00:00:00.000Z'),
+  row('current', 'usd', 'cup', 340, '2026-10-01T00:00:00.000Z'),
+  row('next', 'usd', 'cup', 360, '2026-10-20T00:00:00.000Z'),
+  row('inverse', 'cup', 'usd', 1 / 340, '2026-10-01T00:00:00.000Z'),
+];
+
+// ─── normalizeEffectiveFrom ─────────────────────────────────────────────────
+
+describe('normalizeEffectiveFrom', () => {
+  it('defaults to now', () => {
+    expect(normalizeEffectiveFrom('', NOW)).toBe(NOW.toISOString());
+  });
+
+  it('passes ISO timestamps through', () => {
+    expect(normalizeEffectiveFrom('2026-11-01T08:30:00.000Z', NOW)).toBe('2026-11-01T08:30:00.000Z');
+  });
+
+  it('falls back to now on garbage', () => {
+    expect(normalizeEffectiveFrom('not a date', NOW)).toBe(NOW.toISOString());
+  });
+});
+
+// ─── selectCurrentRates / selectScheduledRates ──────────────────────────────
+
+describe('selectCurrentRates', () => {
+  it('keeps the latest started row per direction', () => {
+    expect(selectCurrentRates(rows, NOW).map(r => r.id).sort()).toEqual(['current', 'inverse']);
+  });
+
+  it('applies a scheduled row once its start passes', () => {
+    const later = new Date('2026-10-21T00:00:00.000Z');
+    expect(selectCurrentRates(rows, later).map(r => r.id)).toContain('next');
+  });
+
+  it('falls back to effective_date for legacy rows', () => {
+    const legacy = [{ id: 'legacy', from_currency_id: 'a', to_currency_id: 'b', rate: 1, effective_date: '2026-01-01' }];
+    expect(selectCurrentRates(legacy, NOW)).toHaveLength(1);
+  });
+});
+
+describe('selectScheduledRates', () => {
+  it('returns only future rows, soonest first', () => {
+    const extra = row('later', 'usd', 'eur', 0.9, '2026-12-01T00:00:00.000Z');
+    expect(selectScheduledRates([extra, ...rows], NOW).map(r => r.id)).toEqual(['next', 'later']);
+  });
+});
+
+// ─── buildRateSeries ────────────────────────────────────────────────────────
+
+describe('buildRateSeries', () => {
+  it('builds an ordered series for one direction and flags scheduled points', () => {
+    const series = buildRateSeries([...rows].reverse(), 'usd', 'cup', NOW);
+    expect(series.map(p => [p.id, p.rate, p.scheduled])).toEqual([
+      ['old', 300, false],
+      ['current', 340, false],
+      ['next', 360, true],
+    ]);
+  });
+
+  it('marks deleted rows as inactive', () => {
+    const series = buildRateSeries([row('gone', 'usd', 'cup', 1, '2026-01-01T00:00:00.000Z', { is_active: false })], 'usd', 'cup', NOW);
+    expect(series[0].active).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EXPIRY_LEVELS,
+  SUGGESTION_TYPES,
+  getExpiryCountdown,
+  sortBatchesFefo,
+  allocateFefo,
+  getExpiringBatches,
+  suggestClearanceActions,
+} from '@/lib/inventoryExpiry';
+
+const now = new Date(2026, 9, 19, 12, 0, 0);
+
+describe('getExpiryCountdown', () => {
+  it('counts down to the end of the expiry day', () => {
+    expect(getExpiryCountdown('2026-10-21', { now })).toMatchObject({
+      days: 2,
+      hours: 12,
+      minutes: 0,
+      level: EXPIRY_LEVELS.CRITICAL,
+    });
+  });
+
+  it('assigns levels by days left', () => {
+    expect(getExpiryCountdown('2026-10-19', { now }).level).toBe(EXPIRY_LEVELS.CRITICAL);
+    expect(getExpiryCountdown('2026-10-18', { now }).level).toBe(EXPIRY_LEVELS.EXPIRED);
+    expect(getExpiryCountdown('2026-10-25', { now }).level).toBe(EXPIRY_LEVELS.WARNING);
+    expect(getExpiryCountdown('2026-11-10', { now }).level).toBe(EXPIRY_LEVELS.NOTICE);
+    expect(getExpiryCountdown('2027-01-01', { now }).level).toBe(EXPIRY_LEVELS.OK);
+    expect(getExpiryCountdown(null, { now })).toBeNull();
+  });
+});
+
+describe('FEFO allocation', () => {
+  const batches = [
+    { id: 'none', expiry_date: null, received_date: '2026-09-01', available_quantity: 10 },
+    { id: 'late', expiry_date: '2026-12-01', received_date: '2026-09-01', available_quantity: 5 },
+    { id: 'old', expiry_date: '2026-10-01', received_date: '2026-08-01', available_quantity: 4 },
+    { id: 'soon', expiry_date: '2026-10-25', received_date: '2026-10-01', available_quantity: 3 },
+  ];
+
+  it('orders soonest expiry first and undated batches last', () => {
+    expect(sortBatchesFefo(batches).map(b => b.id)).toEqual(['old', 'soon', 'late', 'none']);
+  });
+
+  it('skips expired batches and reports the shortfall', () => {
+    expect(allocateFefo(batches, 10, { now })).toEqual({
+      allocations: [
+        { inventory_id: 'soon', batch_number: '', expiry_date: '2026-10-25', quantity: 3 },
+        { inventory_id: 'late', batch_number: '', expiry_date: '2026-12-01', quantity: 5 },
+        { inventory_id: 'none', batch_number: '', expiry_date: null, quantity: 2 },
+      ],
+      shortfall: 0,
+    });
+    expect(allocateFefo(batches.slice(2), 10, { now }).shortfall).toBe(7);
+  });
+
+  it('lists batches with stock expiring within the window', () => {
+    expect(getExpiringBatches(batches, { now }).map(b => b.id)).toEqual(['soon']);
+  });
+});
+
+describe('suggestClearanceActions', () => {
+  const batch = {
+    id: 'b1',
+    product_id: 'p1',
+    expiry_date: '2026-10-21',
+    available_quantity: 10,
+  };
+  const [expiring] = getExpiringBatches([batch], { now });
+
+  it('suggests an offer until expiry and combos that contain the product', () => {
+    const combos = [
+      { id: 'c1', name_es: 'Combo Desayuno', name_en: 'Breakfast', is_active: true, items: [{ quantity: 2, product: { id: 'p1' } }] },
+      { id: 'c2', name_es: 'Inactivo', is_active: false, items: [{ quantity: 1, product: { id: 'p1' } }] },
+    ];
+
+    expect(suggestClearanceActions(expiring, { combos })).toEqual([
+      { type: SUGGESTION_TYPES.OFFER, discountPercent: 30, endsOn: '2026-10-21', unitsPerDay: 4 },
+      { type: SUGGESTION_TYPES.PROMOTE_COMBO, comboId: 'c1', comboName: 'Combo Desayuno', comboNameEn: 'Breakfast', combosToClear: 5 },
+    ]);
+  });
+
+  it('proposes a new combo with well-stocked products of the same category', () => {
+    const products = [
+      { id: 'p1', category_id: 'cat', stock: 10 },
+      { id: 'p2', category_id: 'cat', stock: 50, name_es: 'Arroz', name_en: 'Rice' },
+      { id: 'p3', category_id: 'cat', stock: 2, name_es: 'Frijoles' },
+      { id: 'p4', category_id: 'other', stock: 80, name_es: 'Jabón' },
+    ];
+
+    expect(suggestClearanceActions(expiring, { products })[1]).toEqual({
+      type: SUGGESTION_TYPES.NEW_COMBO,
+      partners: [{ id: 'p2', name: 'Arroz', nameEn: 'Rice' }],
+    });
+  });
+});
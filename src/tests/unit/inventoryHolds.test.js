@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INVENTORY_HOLD_STATUS,
+  MIN_HOLD_MINUTES,
+  buildStockRequests,
+  summarizeInventoryHolds,
+  normalizeHoldMinutes,
+} from '@/lib/inventoryHolds';
+
+describe('buildStockRequests', () => {
+  it('reads createOrder input and merges repeated products', () => {
+    expect(buildStockRequests([
+      { itemType: 'product', itemId: 'p1', quantity: 2 },
+      { itemType: 'product', itemId: 'p1', quantity: 1 },
+      { itemType: 'product', itemId: 'p2', quantity: '4' },
+      { itemType: 'remittance', itemId: 'r1', quantity: 1 },
+    ])).toEqual([
+      { order_item_id: null, product_id: 'p1', quantity: 3 },
+      { order_item_id: null, product_id: 'p2', quantity: 4 },
+    ]);
+  });
+
+  it('keeps order lines apart and expands combos into their components', () => {
+    const components = new Map([
+      ['c1', [{ product_id: 'p1', quantity: 2 }, { product_id: 'p3', quantity: 1 }]],
+    ]);
+
+    expect(buildStockRequests([
+      { id: 'oi1', item_type: 'combo', item_id: 'c1', quantity: 3 },
+      { id: 'oi2', item_type: 'product', item_id: 'p1', inventory_id: 'inv-1', quantity: 1 },
+    ], components)).toEqual([
+      { order_item_id: 'oi1', product_id: 'p1', quantity: 6 },
+      { order_item_id: 'oi1', product_id: 'p3', quantity: 3 },
+      { order_item_id: 'oi2', product_id: 'p1', quantity: 1 },
+    ]);
+  });
+
+  it('skips lines without a quantity or a known combo', () => {
+    expect(buildStockRequests([
+      { itemType: 'product', itemId: 'p1', quantity: 0 },
+      { itemType: 'combo', itemId: 'missing', quantity: 1 },
+    ], {})).toEqual([]);
+  });
+});
+
+describe('summarizeInventoryHolds', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const hold = (minutes, quantity, status = INVENTORY_HOLD_STATUS.ACTIVE) => ({
+    status,
+    quantity,
+    expires_at: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+  });
+
+  it('counts active holds, units, expiring and overdue ones', () => {
+    expect(summarizeInventoryHolds([
+      hold(10, 2),
+      hold(90, 5),
+      hold(-5, 1),
+      hold(30, 8, INVENTORY_HOLD_STATUS.CONSUMED),
+    ], { now })).toEqual({
+      activeCount: 3,
+      activeUnits: 8,
+      expiringSoon: 1,
+      overdue: 1,
+      nextExpiry: '2026-10-19T12:10:00.000Z',
+    });
+  });
+
+  it('returns zeros without holds', () => {
+    expect(summarizeInventoryHolds([], { now })).toMatchObject({ activeCount: 0, nextExpiry: null });
+  });
+});
+
+describe('normalizeHoldMinutes', () => {
+  it('rounds and enforces the floor', () => {
+    expect(normalizeHoldMinutes('90.4')).toBe(90);
+    expect(normalizeHoldMinutes(1)).toBe(MIN_HOLD_MINUTES);
+    expect(normalizeHoldMinutes('abc')).toBeNull();
+  });
+});
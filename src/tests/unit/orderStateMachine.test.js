@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  ORDER_ACTIONS,
+  ORDER_ACTORS,
+  assertOrderTransition,
+  canTransitionOrder,
+  getAvailableOrderActions,
+  getOrderTransitionUpdates,
+  getNextOrderStatuses,
+} from '@/lib/orderStateMachine';
+import { AppError, ERROR_CODES } from '@/lib/errorHandler';
+
+const O = ORDER_STATUS;
+const P = PAYMENT_STATUS;
+const A = ORDER_ACTIONS;
+const ADMIN = { actor: ORDER_ACTORS.ADMIN, role: 'admin' };
+
+const order = (status, payment_status, extra = {}) => ({ id: 'ord-1', user_id: 'user-1', status, payment_status, ...extra });
+
+// ─── getAvailableOrderActions (admin UI) ────────────────────────────────────
+
+describe('getAvailableOrderActions', () => {
+  it('offers validate/reject/cancel when proof is uploaded', () => {
+    expect(getAvailableOrderActions(order(O.PENDING, P.PROOF_UPLOADED), ADMIN))
+      .toEqual([A.VALIDATE_PAYMENT, A.REJECT_PAYMENT, A.CANCEL]);
+  });
+
+  it('offers start processing once payment is validated', () => {
+    expect(getAvailableOrderActions(order(O.PENDING, P.VALIDATED), ADMIN))
+      .toEqual([A.START_PROCESSING, A.CANCEL]);
+  });
+
+  it('follows the fulfilment chain', () => {
+    expect(getAvailableOrderActions(order(O.PROCESSING, P.VALIDATED), ADMIN)).toEqual([A.DISPATCH, A.CANCEL]);
+    expect(getAvailableOrderActions(order(O.DISPATCHED, P.VALIDATED), ADMIN)).toEqual([A.DELIVER]);
+    expect(getAvailableOrderActions(order(O.DELIVERED, P.VALIDATED), ADMIN)).toEqual([A.COMPLETE]);
+    expect(getAvailableOrderActions(order(O.COMPLETED, P.VALIDATED), ADMIN)).toEqual([]);
+  });
+
+  it('only lets super admins validate without proof', () => {
+    const unpaid = order(O.PENDING, P.PENDING);
+    expect(getAvailableOrderActions(unpaid, ADMIN)).not.toContain(A.VALIDATE_PAYMENT);
+    expect(getAvailableOrderActions(unpaid, { ...ADMIN, role: 'super_admin' })).toContain(A.VALIDATE_PAYMENT);
+  });
+
+  it('separates owner actions from admin actions', () => {
+    expect(getAvailableOrderActions(order(O.CANCELLED, P.REJECTED), { actor: ORDER_ACTORS.OWNER }))
+      .toEqual([A.REOPEN]);
+    expect(getAvailableOrderActions(order(O.CANCELLED, P.REJECTED), ADMIN))
+      .toEqual([A.REOPEN_BY_ADMIN]);
+  });
+});
+
+// ─── assertOrderTransition (service) ────────────────────────────────────────
+
+describe('assertOrderTransition', () => {
+  it('moves status and payment together on validation', () => {
+    const transition = assertOrderTransition(order(O.PENDING, P.PROOF_UPLOADED), A.VALIDATE_PAYMENT);
+    expect(getOrderTransitionUpdates(transition)).toEqual({ status: O.PROCESSING, payment_status: P.VALIDATED });
+  });
+
+  it('leaves payment untouched when the transition does not change it', () => {
+    const transition = assertOrderTransition(order(O.PROCESSING, P.VALIDATED), A.DISPATCH);
+    expect(getOrderTransitionUpdates(transition)).toEqual({ status: O.DISPATCHED });
+  });
+
+  it('throws INVALID_STATUS_TRANSITION on illegal moves', () => {
+    try {
+      assertOrderTransition(order(O.DISPATCHED, P.VALIDATED), A.CANCEL, { reason: 'late' });
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe(ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+  });
+
+  it('requires a reason to reject or cancel', () => {
+    expect(canTransitionOrder(order(O.PENDING, P.PROOF_UPLOADED), A.REJECT_PAYMENT)).toBe(false);
+    expect(canTransitionOrder(order(O.PENDING, P.PROOF_UPLOADED), A.REJECT_PAYMENT, { reason: 'blurry' })).toBe(true);
+    expect(canTransitionOrder(order(O.PROCESSING, P.VALIDATED), A.CANCEL)).toBe(false);
+  });
+
+  it('requires a proof file to deliver', () => {
+    expect(canTransitionOrder(order(O.DISPATCHED, P.VALIDATED), A.DELIVER)).toBe(false);
+    expect(canTransitionOrder(order(O.DISPATCHED, P.VALIDATED), A.DELIVER, { deliveryProof: {} })).toBe(true);
+  });
+
+  it('restricts owner actions to the owner', () => {
+    const pending = order(O.PENDING, P.REJECTED);
+    expect(canTransitionOrder(pending, A.UPLOAD_PROOF, { userId: 'user-2' })).toBe(false);
+    expect(canTransitionOrder(pending, A.UPLOAD_PROOF, { userId: 'user-1' })).toBe(true);
+    expect(canTransitionOrder(pending, A.CANCEL_BY_USER, { userId: 'user-1' })).toBe(true);
+  });
+
+  it('does not allow users to cancel once processing', () => {
+    expect(canTransitionOrder(order(O.PROCESSING, P.VALIDATED), A.CANCEL_BY_USER, { userId: 'user-1' })).toBe(false);
+  });
+});
+
+// ─── getNextOrderStatuses ───────────────────────────────────────────────────
+
+describe('getNextOrderStatuses', () => {
+  it('derives the status-only edges from the table', () => {
+    expect(getNextOrderStatuses(O.PENDING).sort()).toEqual([O.CANCELLED, O.PROCESSING].sort());
+    expect(getNextOrderStatuses(O.PROCESSING).sort()).toEqual([O.CANCELLED, O.DISPATCHED].sort());
+    expect(getNextOrderStatuses(O.CANCELLED)).toEqual([O.PENDING]);
+    expect(getNextOrderStatuses(O.COMPLETED)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  PERMISSION_GROUPS,
+  normalizePermissionList,
+  resolvePermissions,
+  hasPermission,
+  hasAnyPermission,
+} from '@/lib/permissions';
+
+describe('resolvePermissions', () => {
+  it('gives super admins everything', () => {
+    expect(resolvePermissions('super_admin')).toEqual([ALL_PERMISSIONS]);
+    expect(hasPermission(resolvePermissions('super_admin'), PERMISSIONS.USERS_MANAGE_ROLES)).toBe(true);
+  });
+
+  it('gives admins what they had before, without the super admin ones', () => {
+    const admin = resolvePermissions('admin');
+    expect(admin).toContain(PERMISSIONS.REMITTANCE_VALIDATE_PAYMENT);
+    expect(admin).toContain(PERMISSIONS.ZELLE_MANAGE_ACCOUNTS);
+    expect(admin).not.toContain(PERMISSIONS.USERS_MANAGE_ROLES);
+    expect(admin).not.toContain(PERMISSIONS.ACTIVITY_LOG_VIEW);
+  });
+
+  it('adds the permission role on top of the role defaults', () => {
+    expect(resolvePermissions('admin', [PERMISSIONS.ACTIVITY_LOG_VIEW])).toContain(PERMISSIONS.ACTIVITY_LOG_VIEW);
+    expect(resolvePermissions('user', [PERMISSIONS.ORDER_VIEW, PERMISSIONS.ORDER_VALIDATE_PAYMENT]))
+      .toEqual([PERMISSIONS.ORDER_VALIDATE_PAYMENT, PERMISSIONS.ORDER_VIEW]);
+  });
+
+  it('grants nothing to users and couriers without a permission role', () => {
+    expect(resolvePermissions('user')).toEqual([]);
+    expect(resolvePermissions('courier', null)).toEqual([]);
+    expect(resolvePermissions(null)).toEqual([]);
+  });
+});
+
+describe('hasPermission', () => {
+  const operator = [PERMISSIONS.REMITTANCE_VIEW, PERMISSIONS.REMITTANCE_VALIDATE_PAYMENT];
+
+  it('checks one permission', () => {
+    expect(hasPermission(operator, PERMISSIONS.REMITTANCE_VALIDATE_PAYMENT)).toBe(true);
+    expect(hasPermission(operator, PERMISSIONS.SETTINGS_VISUAL_EDIT)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.REMITTANCE_VIEW)).toBe(false);
+    expect(hasPermission(operator, undefined)).toBe(false);
+  });
+
+  it('checks any of several', () => {
+    expect(hasAnyPermission(operator, [PERMISSIONS.ORDER_VIEW, PERMISSIONS.REMITTANCE_VIEW])).toBe(true);
+    expect(hasAnyPermission(operator, [PERMISSIONS.ORDER_VIEW])).toBe(false);
+    expect(hasAnyPermission([ALL_PERMISSIONS], [PERMISSIONS.ORDER_VIEW])).toBe(true);
+    expect(hasAnyPermission(operator, [])).toBe(false);
+  });
+});
+
+describe('normalizePermissionList', () => {
+  it('drops unknown keys and duplicates', () => {
+    expect(normalizePermissionList(['order.view', 'order.view', 'orders.delete', '*'])).toEqual(['order.view']);
+    expect(normalizePermissionList(null)).toEqual([]);
+  });
+
+  it('covers every permission in exactly one group', () => {
+    const grouped = PERMISSION_GROUPS.flatMap(group => group.permissions);
+    expect(grouped.sort()).toEqual(Object.values(PERMISSIONS).sort());
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CATALOG_COLUMNS,
+  IMPORT_ACTION,
+  IMPORT_ERROR,
+  catalogToCsv,
+  parseCatalogCsv,
+  planCatalogImport,
+} from '@/lib/productCatalogCsv';
+
+const currencies = [
+  { id: 'usd', code: 'USD', is_base: true },
+  { id: 'eur', code: 'EUR', is_base: false },
+];
+const categories = [{ id: 'cat-food', name_es: 'Alimentos', name_en: 'Food', slug: 'alimentos' }];
+const products = [
+  {
+    id: 'rice', sku: 'RICE', name_es: 'Arroz', name_en: 'Rice', description_es: 'Grano, largo',
+    category_id: 'cat-food', category: { name_es: 'Alimentos' }, base_price: 2, base_currency_id: 'usd',
+    profit_margin: 40, min_stock_alert: 5, stock: 12, is_active: true
+  },
+  {
+    id: 'rice-5', sku: 'RICE-5KG', name_es: 'Arroz 5 kg', category_id: 'cat-food', base_price: 9,
+    base_currency_id: 'usd', profit_margin: 35, min_stock_alert: 2, stock: 3, is_active: false,
+    parent_product_id: 'rice', variant_attributes: { weight: '5 kg' }
+  },
+];
+
+const planFrom = (csv, extra = {}) => planCatalogImport(parseCatalogCsv(csv), { products, categories, currencies, ...extra });
+
+describe('catalogToCsv', () => {
+  it('exports one row per product with parent SKU, currency code and quoted cells', () => {
+    const lines = catalogToCsv(products, { currencies }).split('\n');
+    expect(lines[0]).toBe(CATALOG_COLUMNS.join(','));
+    expect(lines[1]).toContain('"Grano, largo"');
+    expect(lines[1]).toContain(',USD,40,5,12,');
+    expect(lines[2].split(',').slice(-5)).toEqual(['no', 'RICE', '', '5 kg', '']);
+  });
+
+  it('round-trips through the importer as updates without errors', () => {
+    const plan = planFrom(catalogToCsv(products, { currencies }));
+    expect(plan.summary).toMatchObject({ total: 2, update: 2, create: 0, invalid: 0 });
+    expect(plan.rows[1]).toMatchObject({ sku: 'RICE-5KG', parentSku: 'RICE', isActive: undefined });
+  });
+});
+
+describe('parseCatalogCsv', () => {
+  it('accepts Spanish headers, semicolons and decimal commas', () => {
+    const records = parseCatalogCsv('\uFEFFCódigo;Nombre;Categoría;Precio;Existencias\nBEANS;Frijoles;Alimentos;3,50;10');
+    expect(records).toEqual([{ line: 2, values: expect.objectContaining({ sku: 'BEANS', name_es: 'Frijoles', base_price: '3,50', stock: '10' }) }]);
+
+    const plan = planCatalogImport(records, { products, categories, currencies });
+    expect(plan.rows[0]).toMatchObject({ action: IMPORT_ACTION.CREATE, errors: [] });
+    expect(plan.rows[0].data).toMatchObject({ basePrice: 3.5, stock: 10, category_id: 'cat-food', base_currency_id: 'usd' });
+  });
+});
+
+describe('planCatalogImport', () => {
+  it('keeps current values for blank cells on an existing SKU', () => {
+    const plan = planFrom('sku,base_price,stock\nRICE,2.5,');
+    expect(plan.rows[0]).toMatchObject({ action: IMPORT_ACTION.UPDATE, productId: 'rice' });
+    expect(plan.rows[0].data).toMatchObject({ name_es: 'Arroz', basePrice: 2.5, profitMargin: 40, stock: undefined, category_id: 'cat-food' });
+  });
+
+  it('reports row-level errors', () => {
+    const plan = planFrom([
+      'sku,name_es,category,base_price,currency,stock,expiry_date,image,parent_sku',
+      'A,,Alimentos,abc,XYZ,1.5,31/12/2026,photo.jpg,',
+      'A,Dup,Alimentos,1,,,,,',
+      'V,Var,,1,,,,,RICE-5KG',
+      'W,Var,,1,,,,,NOPE',
+    ].join('\n'));
+    const codes = plan.rows.map(row => row.errors.map(error => `${error.field}:${error.code}`));
+    expect(codes[0]).toEqual([
+      `name_es:${IMPORT_ERROR.REQUIRED}`,
+      `base_price:${IMPORT_ERROR.INVALID_NUMBER}`,
+      `stock:${IMPORT_ERROR.INVALID_INTEGER}`,
+      `expiry_date:${IMPORT_ERROR.INVALID_DATE}`,
+      `currency:${IMPORT_ERROR.UNKNOWN_CURRENCY}`,
+      `image:${IMPORT_ERROR.MISSING_IMAGE_FILE}`,
+    ]);
+    expect(codes[1]).toEqual([`sku:${IMPORT_ERROR.DUPLICATE_SKU}`]);
+    expect(codes[2]).toEqual([`parent_sku:${IMPORT_ERROR.PARENT_IS_VARIANT}`]);
+    expect(codes[3]).toEqual([`parent_sku:${IMPORT_ERROR.UNKNOWN_PARENT}`]);
+    expect(plan.summary.invalid).toBe(4);
+  });
+
+  it('creates unknown categories, resolves images and orders parents before variants', () => {
+    const plan = planFrom([
+      'sku,name_es,category,base_price,image,parent_sku,size,is_active',
+      'SOAP-L,Jabón L,,2,https://cdn.example.com/soap.png,SOAP,L,',
+      'SOAP,Jabón,Aseo,1,soap.JPG,,,no',
+    ].join('\n'), { imageFileNames: ['soap.jpg'] });
+
+    expect(plan.summary).toMatchObject({ create: 2, invalid: 0, newCategories: ['Aseo'] });
+    expect(plan.rows.map(row => row.sku)).toEqual(['SOAP', 'SOAP-L']);
+    expect(plan.rows[0]).toMatchObject({ categoryName: 'Aseo', image: { fileName: 'soap.JPG' }, isActive: false });
+    expect(plan.rows[1]).toMatchObject({ parentSku: 'SOAP', image: { url: 'https://cdn.example.com/soap.png' } });
+    expect(plan.rows[1].data.variantAttributes).toEqual({ size: 'L' });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PRODUCT_SORT,
+  normalizeSearchFilters,
+  parseSearchParams,
+  serializeSearchParams,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  normalizeSearchLimit,
+} from '@/lib/productSearch';
+
+describe('normalizeSearchFilters', () => {
+  it('trims the query, dedupes categories, swaps reversed prices and drops unknown sorts', () => {
+    expect(normalizeSearchFilters({
+      query: '  arroz ',
+      categoryIds: ['c1', 'c1', '', 'c2'],
+      minPrice: '20',
+      maxPrice: '5',
+      inStock: '1',
+      sort: 'cheapest',
+    })).toEqual({
+      query: 'arroz',
+      categoryIds: ['c1', 'c2'],
+      minPrice: 5,
+      maxPrice: 20,
+      inStock: true,
+      sort: null,
+    });
+    expect(normalizeSearchFilters({ minPrice: '-3', maxPrice: 'abc' })).toMatchObject({ minPrice: null, maxPrice: null, inStock: false });
+  });
+});
+
+describe('URL round trip', () => {
+  it('serializes only non-default filters and parses them back', () => {
+    const filters = { query: 'café', categoryIds: ['c1', 'c2'], minPrice: 2.5, inStock: true, sort: PRODUCT_SORT.PRICE_DESC };
+    const search = serializeSearchParams(filters);
+
+    expect(search).toBe('?q=caf%C3%A9&category=c1&category=c2&min=2.5&stock=1&sort=price_desc');
+    expect(parseSearchParams(search)).toEqual({
+      query: 'café',
+      categoryIds: ['c1', 'c2'],
+      minPrice: 2.5,
+      maxPrice: null,
+      inStock: true,
+      sort: 'price_desc',
+    });
+    expect(serializeSearchParams({})).toBe('');
+  });
+});
+
+describe('cursors and page size', () => {
+  it('encodes the keyset opaquely and rejects malformed tokens', () => {
+    const token = encodeSearchCursor({ v: -1729340000, id: 'p9' });
+    expect(decodeSearchCursor(token)).toEqual({ v: -1729340000, id: 'p9' });
+    expect(encodeSearchCursor(null)).toBeNull();
+    expect(decodeSearchCursor('not-base64!')).toBeNull();
+  });
+
+  it('clamps the page size', () => {
+    expect(normalizeSearchLimit(undefined)).toBe(24);
+    expect(normalizeSearchLimit(500)).toBe(100);
+    expect(normalizeSearchLimit(10)).toBe(10);
+  });
+});
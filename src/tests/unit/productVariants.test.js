@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeVariantAttributes,
+  getVariantLabel,
+  groupProductVariants,
+  pickDefaultVariant,
+  getCartLineKey,
+  buildVariantCartItem,
+} from '@/lib/productVariants';
+
+describe('variant attributes', () => {
+  it('keeps known, non-empty attributes and labels them in order', () => {
+    expect(normalizeVariantAttributes({ flavor: ' Vanilla ', size: '', color: 'red', weight: 5 }))
+      .toEqual({ flavor: 'Vanilla', weight: '5' });
+    expect(getVariantLabel({ variant_attributes: { flavor: 'Vanilla', weight: '5 kg' } })).toBe('5 kg · Vanilla');
+    expect(getVariantLabel({})).toBe('');
+  });
+});
+
+describe('groupProductVariants', () => {
+  it('nests variants under their parent with combined stock and cheapest variant', () => {
+    const products = [
+      { id: 'rice', final_price: 0, stock: 0 },
+      { id: 'rice-5', parent_product_id: 'rice', variant_sort: 1, final_price: 9, stock: 2, variant_attributes: { weight: '5 kg' } },
+      { id: 'rice-1', parent_product_id: 'rice', variant_sort: 0, final_price: 2, stock: 10, variant_attributes: { weight: '1 kg' } },
+      { id: 'beans', final_price: 3, stock: 4 },
+      { id: 'orphan', parent_product_id: 'inactive', final_price: 1, stock: 1 },
+    ];
+
+    const grouped = groupProductVariants(products);
+
+    expect(grouped.map(p => p.id)).toEqual(['rice', 'beans']);
+    expect(grouped[0].variants.map(v => v.id)).toEqual(['rice-1', 'rice-5']);
+    expect(grouped[0].stock).toBe(12);
+    expect(grouped[0].cheapestVariant.id).toBe('rice-1');
+    expect(grouped[1]).toMatchObject({ variants: [], stock: 4 });
+  });
+
+  it('preselects the requested variant, else the first in stock', () => {
+    const variants = [{ id: 'a', stock: 0 }, { id: 'b', stock: 3 }];
+    expect(pickDefaultVariant(variants, 'a').id).toBe('a');
+    expect(pickDefaultVariant(variants).id).toBe('b');
+    expect(pickDefaultVariant([])).toBeNull();
+  });
+});
+
+describe('cart lines', () => {
+  it('keys lines by type and variant', () => {
+    const parent = { id: 'rice', image_url: 'rice.png' };
+    const variant = { id: 'rice-5', parent_product_id: 'rice', image_url: null, variant_attributes: { weight: '5 kg' } };
+    const item = buildVariantCartItem(parent, variant);
+
+    expect(item).toMatchObject({ id: 'rice-5', variantId: 'rice-5', parentProductId: 'rice', variantLabel: '5 kg', image_url: 'rice.png' });
+    expect(getCartLineKey(item)).toBe('product:rice-5');
+    expect(getCartLineKey({ id: 'c1', type: 'combo' })).toBe('combo:c1');
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LEDGER_MISMATCH_TYPES,
+  toLedgerDay,
+  listLedgerDays,
+  findLedgerMismatches,
+  buildDailyLedger,
+  ledgerToCsv,
+} from '@/lib/reconciliationLedger';
+
+// Local noon keeps the calendar day stable in any time zone
+const at = (day, hour = 12) => {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(y, m - 1, d, hour).toISOString();
+};
+
+const remittance = (id, extra = {}) => ({
+  id,
+  remittance_number: `REM-${id}`,
+  status: 'delivered',
+  amount_sent: 100,
+  commission_total: 5,
+  amount_to_deliver: 33000,
+  currency_delivered: 'CUP',
+  zelle_account_id: 'acc-1',
+  payment_validated_at: at('2026-10-01'),
+  delivered_at: at('2026-10-02'),
+  ...extra,
+});
+
+const order = (id, extra = {}) => ({
+  id,
+  order_number: `ORD-${id}`,
+  status: 'processing',
+  payment_status: 'validated',
+  payment_method: 'zelle',
+  total_amount: 50,
+  zelle_account_id: 'acc-2',
+  validated_at: at('2026-10-01'),
+  ...extra,
+});
+
+const tx = (id, referenceId, type, amount, extra = {}) => ({
+  id,
+  reference_id: referenceId,
+  transaction_type: type,
+  amount,
+  status: 'validated',
+  zelle_account_id: 'acc-1',
+  transaction_date: at('2026-10-01', 9),
+  validated_at: at('2026-10-01'),
+  ...extra,
+});
+
+describe('ledger days', () => {
+  it('formats local days and lists ranges across months', () => {
+    expect(toLedgerDay(new Date(2026, 9, 1, 23, 30))).toBe('2026-10-01');
+    expect(toLedgerDay(null)).toBeNull();
+    expect(listLedgerDays('2026-09-29', '2026-10-02')).toEqual(['2026-09-29', '2026-09-30', '2026-10-01', '2026-10-02']);
+  });
+});
+
+describe('findLedgerMismatches', () => {
+  it('accepts matching records', () => {
+    expect(findLedgerMismatches({
+      remittances: [remittance('r1')],
+      orders: [order('o1')],
+      zelleTransactions: [tx('t1', 'r1', 'remittance', 100), tx('t2', 'o1', 'product', 50, { zelle_account_id: 'acc-2' })],
+    })).toEqual([]);
+  });
+
+  it('flags a validated Zelle payment for an unvalidated remittance', () => {
+    const [mismatch] = findLedgerMismatches({
+      remittances: [remittance('r1', { status: 'payment_proof_uploaded', payment_validated_at: null })],
+      zelleTransactions: [tx('t1', 'r1', 'remittance', 100)],
+    });
+    expect(mismatch).toMatchObject({
+      type: LEDGER_MISMATCH_TYPES.ZELLE_WITHOUT_VALIDATED_REMITTANCE,
+      day: '2026-10-01',
+      label: 'REM-r1',
+    });
+  });
+
+  it('flags amount differences, missing records and missing Zelle payments', () => {
+    const types = findLedgerMismatches({
+      remittances: [remittance('r1'), remittance('r2')],
+      orders: [order('o1')],
+      zelleTransactions: [tx('t1', 'r1', 'remittance', 90), tx('t9', 'gone', 'product', 10)],
+    }).map(m => m.type);
+
+    expect(types).toEqual([
+      LEDGER_MISMATCH_TYPES.AMOUNT_MISMATCH,
+      LEDGER_MISMATCH_TYPES.MISSING_REFERENCE,
+      LEDGER_MISMATCH_TYPES.REMITTANCE_WITHOUT_ZELLE,
+      LEDGER_MISMATCH_TYPES.ORDER_WITHOUT_ZELLE,
+    ]);
+  });
+
+  it('ignores orders paid by other methods', () => {
+    expect(findLedgerMismatches({ orders: [order('o1', { payment_method: 'cash' })] })).toEqual([]);
+  });
+});
+
+describe('buildDailyLedger', () => {
+  const ledger = buildDailyLedger({
+    remittances: [remittance('r1'), remittance('r2', { status: 'processing', delivered_at: null, amount_sent: 200 })],
+    orders: [order('o1', { delivered_at: at('2026-10-03'), status: 'delivered' })],
+    zelleTransactions: [
+      tx('t1', 'r1', 'remittance', 100),
+      tx('t2', 'r2', 'remittance', 200, { zelle_account_id: 'acc-2' }),
+      tx('t3', 'o1', 'product', 50, { zelle_account_id: 'acc-2', validated_at: at('2026-10-02') }),
+      tx('t4', 'x', 'product', 20, { status: 'pending', validated_at: null, transaction_date: at('2026-10-02') }),
+    ],
+    accounts: [{ id: 'acc-1', account_name: 'Main' }, { id: 'acc-2', account_name: 'Backup' }],
+    from: '2026-10-01',
+    to: '2026-10-03',
+  });
+
+  it('groups money received per day and account', () => {
+    const [day1, day2] = ledger.days;
+    expect(day1.received.total).toBe(300);
+    expect(day1.received.byAccount['acc-1']).toEqual({ name: 'Main', amount: 100, count: 1 });
+    expect(day1.received.byAccount['acc-2']).toEqual({ name: 'Backup', amount: 200, count: 1 });
+    expect(day2.received.total).toBe(50);
+    expect(ledger.totals.received).toBe(350);
+  });
+
+  it('books commissions and delivered amounts on the delivery day', () => {
+    expect(ledger.days[0].commissions.remittances).toBe(0);
+    expect(ledger.days[1].commissions.remittances).toBe(5);
+    expect(ledger.days[1].delivered).toEqual({ CUP: 33000 });
+    expect(ledger.totals.delivered).toEqual({ CUP: 33000 });
+  });
+
+  it('counts items still open at the end of each day', () => {
+    expect(ledger.days[0].outstanding).toMatchObject({ remittancesToDeliver: 2, ordersToDeliver: 1, pendingZelle: 1 });
+    expect(ledger.days[1].outstanding).toMatchObject({ remittancesToDeliver: 1, ordersToDeliver: 1, pendingZelle: 1 });
+    expect(ledger.days[2].outstanding).toMatchObject({ remittancesToDeliver: 1, ordersToDeliver: 0, pendingZelle: 1 });
+    expect(ledger.days[2].outstanding.amount).toBe(220);
+  });
+
+  it('exports one CSV row per day and account', () => {
+    const csv = ledgerToCsv(ledger).split('\n');
+    expect(csv[0]).toBe('Date,Zelle account,Received (USD),Transactions,Commissions (USD),Delivered CUP,Outstanding (USD),Mismatches');
+    expect(csv[1]).toBe('2026-10-01,Main,100,1,0,0,400,0');
+    expect(csv[2]).toBe('2026-10-01,Backup,200,1,,,,');
+    expect(csv).toHaveLength(5);
+  });
+});
@@ -1,5 +1,15 @@
 import { describe, it, expect } from 'vitest';
-import { calcForward, calcReverse, roundtrip } from '@/lib/remittanceCalculations';
+import {
+  calcForward,
+  calcReverse,
+  roundtrip,
+  resolveCommission,
+  findActiveCommissionWindow,
+  businessDateToInstant,
+  instantToBusinessDate,
+  validateCommissionSchedule,
+  isQuoteExpired,
+} from '@/lib/remittanceCalculations';
 
 // Scenario: USD → CUP, rate=24, commission=5%, fixed=$2
 const BASE = { exchangeRate: 24, commissionPct: 5, commissionFixed: 2 };
@@ -87,3 +97,148 @@ describe('roundtrip invariant: forward(reverse(desired)) ≈ desired', () => {
     });
   });
 });
+
+// ─── commission schedules ────────────────────────────────────────────────────
+
+// 5% under $100, base 4% + $2 in between, 3% from $500; weekend promo 1%
+const SCHEDULE = {
+  tiers: [
+    { min_amount: 0, max_amount: 100, commission_percentage: 5, commission_fixed: 0 },
+    { min_amount: 500, max_amount: null, commission_percentage: 3, commission_fixed: 0 },
+  ],
+  windows: [
+    { label: 'Weekend', days: [0, 6], start_time: null, end_time: null, commission_percentage: 1, commission_fixed: 0 },
+  ],
+};
+const TIERED = { exchangeRate: 24, commissionPct: 4, commissionFixed: 2, schedule: SCHEDULE };
+// Business clock (America/Havana, UTC-5 in January)
+const MONDAY = new Date('2026-01-05T10:00:00-05:00');
+const SATURDAY = new Date('2026-01-03T10:00:00-05:00');
+
+describe('resolveCommission', () => {
+  it('picks the tier containing the amount', () => {
+    expect(resolveCommission({ ...TIERED, amount: 50, at: MONDAY })).toMatchObject({ commissionPct: 5, commissionFixed: 0, source: 'tier' });
+    expect(resolveCommission({ ...TIERED, amount: 500, at: MONDAY })).toMatchObject({ commissionPct: 3, source: 'tier' });
+  });
+
+  it('falls back to the base commission between tiers', () => {
+    expect(resolveCommission({ ...TIERED, amount: 100, at: MONDAY })).toMatchObject({ commissionPct: 4, commissionFixed: 2, source: 'base' });
+  });
+
+  it('lets an active window override tiers', () => {
+    expect(resolveCommission({ ...TIERED, amount: 50, at: SATURDAY })).toMatchObject({ commissionPct: 1, source: 'window', label: 'Weekend' });
+  });
+
+  it('ignores a schedule when none is configured', () => {
+    expect(resolveCommission({ ...BASE, amount: 50 })).toMatchObject({ commissionPct: 5, commissionFixed: 2, source: 'base' });
+  });
+});
+
+describe('findActiveCommissionWindow', () => {
+  it('handles overnight hours and date ranges', () => {
+    const schedule = {
+      windows: [{ label: 'Night', days: [], start_time: '22:00', end_time: '06:00', starts_at: '2026-01-01T00:00:00', ends_at: '2026-01-31T23:59:59' }],
+    };
+    expect(findActiveCommissionWindow(schedule, new Date('2026-01-05T23:30:00-05:00'))?.label).toBe('Night');
+    expect(findActiveCommissionWindow(schedule, new Date('2026-01-05T05:00:00-05:00'))?.label).toBe('Night');
+    expect(findActiveCommissionWindow(schedule, new Date('2026-01-05T12:00:00-05:00'))).toBeNull();
+    expect(findActiveCommissionWindow(schedule, new Date('2026-02-05T23:30:00-05:00'))).toBeNull();
+  });
+
+  it('reads days and hours on the business clock, not the browser one', () => {
+    // 02:00 UTC on Saturday is still Friday 21:00 in Havana
+    expect(findActiveCommissionWindow(SCHEDULE, new Date('2026-01-03T02:00:00Z'))).toBeNull();
+    expect(findActiveCommissionWindow(SCHEDULE, new Date('2026-01-03T02:00:00Z'), 'UTC')?.label).toBe('Weekend');
+
+    const evening = { windows: [{ label: 'Evening', days: [], start_time: '18:00', end_time: '20:00' }] };
+    expect(findActiveCommissionWindow(evening, new Date('2026-01-05T23:30:00Z'))?.label).toBe('Evening');
+  });
+});
+
+describe('business-clock window dates', () => {
+  it('stores whole business days whatever the browser zone', () => {
+    expect(businessDateToInstant('2026-11-01', '23:59:59')).toBe('2026-11-02T04:59:59.000Z');
+    expect(businessDateToInstant('2026-07-01', '00:00:00')).toBe('2026-07-01T04:00:00.000Z');
+    expect(businessDateToInstant('2026-07-01', '00:00:00', 'UTC')).toBe('2026-07-01T00:00:00.000Z');
+  });
+
+  it('reads the stored instant back as the same date', () => {
+    ['2026-03-08', '2026-07-01', '2026-11-01', '2026-12-31'].forEach((date) => {
+      expect(instantToBusinessDate(businessDateToInstant(date, '00:00:00'))).toBe(date);
+      expect(instantToBusinessDate(businessDateToInstant(date, '23:59:59'))).toBe(date);
+    });
+  });
+});
+
+describe('calcForward with a schedule', () => {
+  it('applies the tier rate', () => {
+    // 600 @3% → commission 18, deliver (600-18)*24 = 13968
+    const result = calcForward({ ...TIERED, amount: 600, at: MONDAY });
+    expect(result.totalCommission).toBe(18);
+    expect(result.amountToDeliver).toBe(13968);
+    expect(result.commissionSource).toBe('tier');
+  });
+});
+
+describe('roundtrip invariant with tiers and windows', () => {
+  const desiredAmounts = [1000, 2232, 5000, 11000, 50000];
+
+  desiredAmounts.forEach((desiredReceive) => {
+    it(`delivers ≈${desiredReceive} on a weekday`, () => {
+      expect(roundtrip({ ...TIERED, desiredReceive, at: MONDAY })).toBeCloseTo(desiredReceive, 1);
+    });
+
+    it(`delivers ≈${desiredReceive} during the weekend window`, () => {
+      expect(roundtrip({ ...TIERED, desiredReceive, at: SATURDAY })).toBeCloseTo(desiredReceive, 1);
+    });
+  });
+
+  it('uses the next band when the desired amount falls in a tier jump', () => {
+    // Base band tops out near (500-22)*24 = 11472; the 3% band starts at (500-15)*24 = 11640
+    const send = calcReverse({ ...TIERED, desiredReceive: 11500, at: MONDAY });
+    expect(send).toBe(500);
+    expect(calcForward({ ...TIERED, amount: send, at: MONDAY }).amountToDeliver).toBeGreaterThanOrEqual(11500);
+  });
+});
+
+describe('validateCommissionSchedule', () => {
+  it('accepts a well-formed schedule', () => {
+    expect(validateCommissionSchedule(SCHEDULE)).toEqual([]);
+  });
+
+  it('reports overlapping tiers and invalid percentages', () => {
+    const codes = validateCommissionSchedule({
+      tiers: [
+        { min_amount: 0, max_amount: 200, commission_percentage: 5 },
+        { min_amount: 100, max_amount: null, commission_percentage: 100 },
+      ],
+    }).map(e => e.code);
+    expect(codes).toEqual(['tierOverlap', 'percentage']);
+  });
+
+  it('reports malformed windows', () => {
+    const codes = validateCommissionSchedule({
+      windows: [
+        { days: [6], start_time: '09:00', end_time: null },
+        { starts_at: '2026-02-01', ends_at: '2026-01-01' },
+        { days: [] },
+      ],
+    }).map(e => e.code);
+    expect(codes).toEqual(['windowTime', 'windowDates', 'windowEmpty']);
+  });
+});
+
+// ─── isQuoteExpired ──────────────────────────────────────────────────────────
+
+describe('isQuoteExpired', () => {
+  it('expires at expiresAt', () => {
+    const quote = { amount: 100, expiresAt: '2026-01-01T12:15:00Z' };
+    expect(isQuoteExpired(quote, new Date('2026-01-01T12:14:59.999Z'))).toBe(false);
+    expect(isQuoteExpired(quote, new Date('2026-01-01T12:15:00Z'))).toBe(true);
+  });
+
+  it('treats quotes without expiry as expired', () => {
+    expect(isQuoteExpired(null)).toBe(true);
+    expect(isQuoteExpired({ amount: 100 })).toBe(true);
+  });
+});
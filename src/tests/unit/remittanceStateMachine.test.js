@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  REMITTANCE_STATUS,
+  REMITTANCE_ACTIONS,
+  REMITTANCE_HOOKS,
+  REMITTANCE_ACTORS,
+  REMITTANCE_TRANSITIONS,
+  assertRemittanceTransition,
+  canTransitionRemittance,
+  getAvailableRemittanceActions,
+  isTerminalRemittanceStatus,
+  runRemittanceTransitionHooks,
+} from '@/lib/remittanceStateMachine';
+import { AppError, ERROR_CODES } from '@/lib/errorHandler';
+
+const S = REMITTANCE_STATUS;
+const A = REMITTANCE_ACTIONS;
+const OWNER = { id: 'user-1', email: 'owner@example.com' };
+
+const remittance = (status, extra = {}) => ({ id: 'rem-1', user_id: OWNER.id, status, ...extra });
+
+// ─── transition table ───────────────────────────────────────────────────────
+
+describe('REMITTANCE_TRANSITIONS', () => {
+  it('only references known statuses', () => {
+    const statuses = Object.values(S);
+    Object.values(REMITTANCE_TRANSITIONS).forEach(({ from, to }) => {
+      from.forEach(status => expect(statuses).toContain(status));
+      expect(statuses).toContain(to);
+    });
+  });
+
+  it('follows the happy path from payment_pending to completed', () => {
+    const path = [
+      [A.UPLOAD_PROOF, S.PAYMENT_PROOF_UPLOADED],
+      [A.VALIDATE_PAYMENT, S.PAYMENT_VALIDATED],
+      [A.START_PROCESSING, S.PROCESSING],
+      [A.CONFIRM_DELIVERY, S.DELIVERED],
+      [A.COMPLETE, S.COMPLETED],
+    ];
+    let current = remittance(S.PAYMENT_PENDING, { delivery_proof_url: 'user-1/delivery/proof.jpg' });
+
+    path.forEach(([action, expected]) => {
+      const transition = assertRemittanceTransition(current, action, { user: OWNER });
+      expect(transition.to).toBe(expected);
+      current = { ...current, status: transition.to };
+    });
+  });
+
+  it('treats completed and cancelled as terminal', () => {
+    expect(isTerminalRemittanceStatus(S.COMPLETED)).toBe(true);
+    expect(isTerminalRemittanceStatus(S.CANCELLED)).toBe(true);
+    expect(isTerminalRemittanceStatus(S.PROCESSING)).toBe(false);
+  });
+});
+
+// ─── assertRemittanceTransition ─────────────────────────────────────────────
+
+describe('assertRemittanceTransition', () => {
+  it('throws INVALID_STATUS_TRANSITION on illegal edges', () => {
+    try {
+      assertRemittanceTransition(remittance(S.PAYMENT_PENDING), A.VALIDATE_PAYMENT);
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe(ERROR_CODES.INVALID_STATUS_TRANSITION);
+      expect(error.httpStatus).toBe(409);
+      expect(error.context.allowedFrom).toEqual([S.PAYMENT_PROOF_UPLOADED]);
+    }
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => assertRemittanceTransition(remittance(S.PAYMENT_PENDING), 'teleport'))
+      .toThrow('Unknown remittance action');
+  });
+
+  it('requires the owner to upload proof and cancel', () => {
+    const stranger = { id: 'user-2' };
+    expect(() => assertRemittanceTransition(remittance(S.PAYMENT_PENDING), A.UPLOAD_PROOF, { user: stranger }))
+      .toThrow(AppError);
+    expect(canTransitionRemittance(remittance(S.PAYMENT_PENDING), A.CANCEL, { user: stranger })).toBe(false);
+    expect(canTransitionRemittance(remittance(S.PAYMENT_PENDING), A.CANCEL, { user: OWNER })).toBe(true);
+  });
+
+  it('allows re-uploading proof after a rejection', () => {
+    expect(canTransitionRemittance(remittance(S.PAYMENT_REJECTED), A.UPLOAD_PROOF, { user: OWNER })).toBe(true);
+  });
+
+  it('requires a reason to reject payment', () => {
+    const pending = remittance(S.PAYMENT_PROOF_UPLOADED);
+    expect(canTransitionRemittance(pending, A.REJECT_PAYMENT, {})).toBe(false);
+    expect(canTransitionRemittance(pending, A.REJECT_PAYMENT, { reason: 'Amount mismatch' })).toBe(true);
+  });
+
+  it('requires delivery proof to confirm delivery', () => {
+    try {
+      assertRemittanceTransition(remittance(S.PROCESSING), A.CONFIRM_DELIVERY);
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.DELIVERY_PROOF_REQUIRED);
+    }
+    expect(canTransitionRemittance(remittance(S.PROCESSING), A.CONFIRM_DELIVERY, { deliveryProof: { name: 'p.jpg' } }))
+      .toBe(true);
+  });
+
+  it('requires the delivery PIN of cash remittances to be verified or overridden', () => {
+    const processing = remittance(S.PROCESSING, { delivery_proof_url: 'proof.jpg' });
+    const pending = { required: true, verified: false, overridden: false, locked: false, attemptsLeft: 3 };
+
+    try {
+      assertRemittanceTransition(processing, A.CONFIRM_DELIVERY, { deliveryPin: pending });
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.DELIVERY_PIN_REQUIRED);
+      expect(error.context.attemptsLeft).toBe(3);
+    }
+
+    try {
+      assertRemittanceTransition(processing, A.CONFIRM_DELIVERY, { deliveryPin: { ...pending, locked: true, attemptsLeft: 0 } });
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.DELIVERY_PIN_LOCKED);
+    }
+
+    expect(canTransitionRemittance(processing, A.CONFIRM_DELIVERY, { deliveryPin: { ...pending, verified: true } })).toBe(true);
+    expect(canTransitionRemittance(processing, A.CONFIRM_DELIVERY, { deliveryPin: { ...pending, overridden: true } })).toBe(true);
+    expect(canTransitionRemittance(processing, A.CONFIRM_DELIVERY, { deliveryPin: { required: false } })).toBe(true);
+  });
+
+  it('does not allow cancelling delivered remittances', () => {
+    expect(canTransitionRemittance(remittance(S.DELIVERED), A.CANCEL, { user: OWNER })).toBe(false);
+  });
+});
+
+// ─── getAvailableRemittanceActions ──────────────────────────────────────────
+
+describe('getAvailableRemittanceActions', () => {
+  it('lists admin actions for an uploaded proof', () => {
+    expect(getAvailableRemittanceActions(remittance(S.PAYMENT_PROOF_UPLOADED), REMITTANCE_ACTORS.ADMIN))
+      .toEqual([A.VALIDATE_PAYMENT, A.REJECT_PAYMENT]);
+  });
+
+  it('lists owner actions for a pending remittance', () => {
+    expect(getAvailableRemittanceActions(remittance(S.PAYMENT_PENDING), REMITTANCE_ACTORS.OWNER))
+      .toEqual([A.UPLOAD_PROOF, A.CANCEL]);
+  });
+
+  it('returns nothing for terminal statuses', () => {
+    expect(getAvailableRemittanceActions(remittance(S.COMPLETED))).toEqual([]);
+  });
+});
+
+// ─── runRemittanceTransitionHooks ───────────────────────────────────────────
+
+describe('runRemittanceTransitionHooks', () => {
+  it('runs hooks in table order and exposes earlier results', async () => {
+    const calls = [];
+    const handlers = {
+      [REMITTANCE_HOOKS.ACTIVITY]: vi.fn(async (hook) => { calls.push(hook.type); return { status: 'inserted' }; }),
+      [REMITTANCE_HOOKS.ZELLE]: vi.fn(async (hook, { results }) => {
+        calls.push(hook.type);
+        return { synced: results[REMITTANCE_HOOKS.ACTIVITY].status === 'inserted', status: hook.status };
+      }),
+      [REMITTANCE_HOOKS.NOTIFY]: vi.fn(async (hook) => { calls.push(hook.type); return hook.event; }),
+    };
+    const transition = assertRemittanceTransition(remittance(S.PAYMENT_PROOF_UPLOADED), A.VALIDATE_PAYMENT);
+
+    const results = await runRemittanceTransitionHooks(transition, { remittance: remittance(S.PAYMENT_VALIDATED) }, handlers);
+
+    expect(calls).toEqual(['activity', 'zelle', 'notify']);
+    expect(results.zelle).toEqual({ synced: true, status: 'validated' });
+    expect(results.notify).toBe('user_payment_validated');
+  });
+
+  it('keeps going when a hook fails', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const notify = vi.fn(async () => 'sent');
+    const handlers = {
+      [REMITTANCE_HOOKS.ACTIVITY]: async () => { throw new Error('RLS denied'); },
+      [REMITTANCE_HOOKS.NOTIFY]: notify,
+    };
+    const transition = assertRemittanceTransition(remittance(S.PAYMENT_PROOF_UPLOADED), A.VALIDATE_PAYMENT);
+
+    const results = await runRemittanceTransitionHooks(transition, {}, handlers);
+
+    expect(results.activity.status).toBe('error');
+    expect(notify).toHaveBeenCalledOnce();
+    errorSpy.mockRestore();
+  });
+});
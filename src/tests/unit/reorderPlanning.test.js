@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PURCHASE_ORDER_STATUS,
+  canTransitionPurchaseOrder,
+  computeSalesVelocity,
+  getReorderPoint,
+  buildReorderSuggestions,
+  groupSuggestionsBySupplier,
+  summarizePurchaseOrder,
+  getUnitsOnOrder,
+} from '@/lib/reorderPlanning';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('computeSalesVelocity', () => {
+  it('counts paid, non-cancelled orders in the window and expands combos', () => {
+    const orders = [
+      { created_at: daysAgo(1), status: 'completed', payment_status: 'validated', order_items: [
+        { item_type: 'product', item_id: 'p1', quantity: 4 },
+        { item_type: 'combo', item_id: 'c1', quantity: 2 },
+      ] },
+      { created_at: daysAgo(2), status: 'cancelled', payment_status: 'validated', order_items: [
+        { item_type: 'product', item_id: 'p1', quantity: 100 },
+      ] },
+      { created_at: daysAgo(3), status: 'pending', payment_status: 'pending', order_items: [
+        { item_type: 'product', item_id: 'p1', quantity: 100 },
+      ] },
+      { created_at: daysAgo(40), status: 'completed', payment_status: 'validated', order_items: [
+        { item_type: 'product', item_id: 'p1', quantity: 100 },
+      ] },
+    ];
+    const comboComponents = new Map([['c1', [{ product_id: 'p1', quantity: 1 }, { product_id: 'p2', quantity: 3 }]]]);
+
+    const velocity = computeSalesVelocity(orders, { comboComponents, days: 10, now });
+
+    expect(velocity.get('p1')).toEqual({ units: 6, perDay: 0.6 });
+    expect(velocity.get('p2')).toEqual({ units: 6, perDay: 0.6 });
+  });
+});
+
+describe('reorder suggestions', () => {
+  it('uses the product reorder point or derives it from the lead time', () => {
+    expect(getReorderPoint({ reorder_point: 12 }, 5)).toBe(12);
+    expect(getReorderPoint({ reorder_point: null, lead_time_days: 5, min_stock_alert: 3 }, 1.5)).toBe(11);
+  });
+
+  it('suggests enough to cover lead time and cover days, minus units on order', () => {
+    const products = [
+      { id: 'p1', stock: 4, reorder_point: null, lead_time_days: 5, min_stock_alert: 3, preferred_supplier_id: 's1' },
+      { id: 'p2', stock: 50, reorder_point: 10, lead_time_days: 7, preferred_supplier_id: 's1' },
+      { id: 'p3', stock: 0, reorder_point: 5, lead_time_days: 7, preferred_supplier_id: null },
+    ];
+    const velocity = new Map([['p1', { units: 60, perDay: 2 }]]);
+
+    const suggestions = buildReorderSuggestions(products, velocity, { onOrder: new Map([['p1', 5]]), coverDays: 10 });
+
+    // p1: point 2×5+3 = 13, target 13 + 2×15 = 43 → 43 − 4 − 5
+    expect(suggestions.map(s => [s.product.id, s.suggestedQuantity])).toEqual([['p1', 34], ['p3', 5]]);
+    expect(suggestions[0]).toMatchObject({ reorderPoint: 13, daysOfStock: 2, onOrder: 5 });
+  });
+
+  it('groups suggestions into one draft per supplier', () => {
+    const groups = groupSuggestionsBySupplier([
+      { product: { id: 'p1', preferred_supplier_id: 's1', last_cost: 1.5 }, suggestedQuantity: 10 },
+      { product: { id: 'p2', preferred_supplier_id: 's1' }, suggestedQuantity: 4 },
+      { product: { id: 'p3' }, suggestedQuantity: 2 },
+    ]);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toEqual({ supplierId: 's1', items: [
+      { product_id: 'p1', quantity: 10, cost_per_unit: 1.5, suggested_quantity: 10 },
+      { product_id: 'p2', quantity: 4, cost_per_unit: null, suggested_quantity: 4 },
+    ] });
+    expect(groups[1].supplierId).toBeNull();
+  });
+});
+
+describe('purchase orders', () => {
+  it('allows draft → sent → received and cancelling open orders only', () => {
+    expect(canTransitionPurchaseOrder(PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT)).toBe(true);
+    expect(canTransitionPurchaseOrder(PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.RECEIVED)).toBe(false);
+    expect(canTransitionPurchaseOrder(PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.RECEIVED)).toBe(true);
+    expect(canTransitionPurchaseOrder(PURCHASE_ORDER_STATUS.RECEIVED, PURCHASE_ORDER_STATUS.CANCELLED)).toBe(false);
+  });
+
+  it('totals lines and counts units on open orders', () => {
+    expect(summarizePurchaseOrder([
+      { quantity: '3', cost_per_unit: '1.10' },
+      { quantity: 2, cost_per_unit: null },
+    ])).toEqual({ units: 5, totalCost: 3.3 });
+
+    const orders = [
+      { status: 'draft', items: [{ product_id: 'p1', quantity: 5 }] },
+      { status: 'sent', items: [{ product_id: 'p1', quantity: 2 }] },
+      { status: 'received', items: [{ product_id: 'p1', quantity: 9 }] },
+    ];
+    expect(getUnitsOnOrder(orders).get('p1')).toBe(7);
+    expect(getUnitsOnOrder(orders, { includeDrafts: false }).get('p1')).toBe(2);
+  });
+});
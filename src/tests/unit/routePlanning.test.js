@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import { DELIVERY_KIND } from '@/lib/deliveryQueue';
+import {
+  normalizeLocationName,
+  getLocationRank,
+  isPlannableOrder,
+  isPlannableRemittance,
+  getStopKey,
+  proposeStopOrder,
+  orderRoute,
+  groupStopsByMunicipality,
+  distributeStops,
+  summarizeAmounts,
+  buildManifestHtml,
+} from '@/lib/routePlanning';
+
+const stop = (id, province, municipality, extra = {}) => ({
+  kind: DELIVERY_KIND.REMITTANCE,
+  id,
+  number: id.toUpperCase(),
+  province,
+  municipality,
+  address: '',
+  courierId: null,
+  ...extra,
+});
+
+describe('location ranking', () => {
+  it('normalizes accents, case and spaces', () => {
+    expect(normalizeLocationName('  Camagüey   Centro ')).toBe('camaguey centro');
+    expect(normalizeLocationName(null)).toBe('');
+  });
+
+  it('ranks provinces west to east and municipalities by the bundled list', () => {
+    const pinar = getLocationRank('Pinar del Río', 'Viñales');
+    const habana = getLocationRank('la habana', 'playa');
+    const santiago = getLocationRank('Santiago de Cuba', 'Palma Soriano');
+
+    expect(pinar.province).toBeLessThan(habana.province);
+    expect(habana.province).toBeLessThan(santiago.province);
+    expect(getLocationRank('La Habana', 'Cerro').municipality)
+      .toBeLessThan(getLocationRank('La Habana', 'Playa').municipality);
+  });
+
+  it('accepts old province names and infers the province from the municipality', () => {
+    expect(getLocationRank('Ciudad de La Habana', 'Playa')).toEqual(getLocationRank('La Habana', 'Playa'));
+    expect(getLocationRank('', 'Cárdenas')).toEqual(getLocationRank('Matanzas', 'Cárdenas'));
+  });
+
+  it('leaves unknown locations unranked', () => {
+    const rank = getLocationRank('Atlantis', '');
+    expect(rank.province).toBe(Number.MAX_SAFE_INTEGER);
+    expect(rank.municipality).toBe(Number.MAX_SAFE_INTEGER);
+  });
+});
+
+describe('plannable rows', () => {
+  it('takes validated orders that are not delivered yet', () => {
+    expect(isPlannableOrder({ payment_status: 'validated', status: 'processing' })).toBe(true);
+    expect(isPlannableOrder({ payment_status: 'validated', status: 'dispatched' })).toBe(true);
+    expect(isPlannableOrder({ payment_status: 'pending', status: 'processing' })).toBe(false);
+    expect(isPlannableOrder({ payment_status: 'validated', status: 'delivered' })).toBe(false);
+  });
+
+  it('takes only cash remittances that are validated or in processing', () => {
+    const cash = { remittance_types: { delivery_method: 'cash' } };
+    expect(isPlannableRemittance({ ...cash, status: 'payment_validated' })).toBe(true);
+    expect(isPlannableRemittance({ ...cash, status: 'processing' })).toBe(true);
+    expect(isPlannableRemittance({ ...cash, status: 'delivered' })).toBe(false);
+    expect(isPlannableRemittance({ remittance_types: { delivery_method: 'transfer' }, status: 'processing' })).toBe(false);
+  });
+});
+
+describe('proposeStopOrder', () => {
+  it('orders by province, municipality, address and number, unknown last', () => {
+    const ordered = proposeStopOrder([
+      stop('unknown', '', ''),
+      stop('santiago', 'Santiago de Cuba', 'Santiago de Cuba'),
+      stop('playa-b', 'La Habana', 'Playa', { address: 'Calle 10' }),
+      stop('playa-a', 'La Habana', 'Playa', { address: 'Calle 2' }),
+      stop('cerro', 'La Habana', 'Cerro'),
+      stop('pinar', 'Pinar del Río', 'Viñales'),
+    ]);
+
+    expect(ordered.map(s => s.id)).toEqual(['pinar', 'cerro', 'playa-a', 'playa-b', 'santiago', 'unknown']);
+  });
+});
+
+describe('orderRoute', () => {
+  it('keeps positions saved for the day and appends the rest in proposed order', () => {
+    const route = orderRoute([
+      stop('new-east', 'Holguín', 'Moa'),
+      stop('second', 'La Habana', 'Playa', { routeDate: '2026-10-19', routePosition: 2 }),
+      stop('first', 'Holguín', 'Moa', { routeDate: '2026-10-19', routePosition: 1 }),
+      stop('old-day', 'La Habana', 'Cerro', { routeDate: '2026-10-18', routePosition: 1 }),
+    ], '2026-10-19');
+
+    expect(route.map(s => s.id)).toEqual(['first', 'second', 'old-day', 'new-east']);
+  });
+});
+
+describe('groupStopsByMunicipality', () => {
+  it('groups consecutive stops of the same municipality', () => {
+    const groups = groupStopsByMunicipality([
+      stop('a', 'La Habana', 'Playa'),
+      stop('b', 'La Habana', 'Playa'),
+      stop('c', 'La Habana', 'Cerro'),
+      stop('d', 'La Habana', 'Playa'),
+    ]);
+
+    expect(groups.map(group => [group.municipality, group.stops.length])).toEqual([
+      ['Playa', 2],
+      ['Cerro', 1],
+      ['Playa', 1],
+    ]);
+    expect(groupStopsByMunicipality([])).toEqual([]);
+  });
+});
+
+describe('distributeStops', () => {
+  it('hands out whole municipalities in route order, balancing stop counts', () => {
+    const stops = [
+      stop('p1', 'Pinar del Río', 'Viñales'),
+      stop('p2', 'Pinar del Río', 'Viñales'),
+      stop('h1', 'La Habana', 'Playa'),
+      stop('h2', 'La Habana', 'Playa'),
+      stop('s1', 'Santiago de Cuba', 'Santiago de Cuba'),
+      stop('s2', 'Santiago de Cuba', 'Santiago de Cuba'),
+    ];
+
+    const assignments = distributeStops(stops, ['west', 'east']);
+
+    expect(assignments[getStopKey(stops[0])]).toBe('west');
+    expect(assignments[getStopKey(stops[1])]).toBe('west');
+    expect(assignments[getStopKey(stops[4])]).toBe('east');
+    expect(assignments[getStopKey(stops[5])]).toBe('east');
+    // A municipality is never split between couriers
+    expect(assignments[getStopKey(stops[2])]).toBe(assignments[getStopKey(stops[3])]);
+  });
+
+  it('counts stops couriers already have and only proposes the others', () => {
+    const stops = [
+      stop('kept', 'Pinar del Río', 'Viñales', { courierId: 'west' }),
+      stop('kept2', 'Pinar del Río', 'Viñales', { courierId: 'west' }),
+      stop('h1', 'La Habana', 'Playa'),
+      stop('gone', 'Holguín', 'Moa', { courierId: 'disabled' }),
+    ];
+
+    const assignments = distributeStops(stops, ['west', 'east']);
+
+    expect(assignments).toEqual({
+      [getStopKey(stops[2])]: 'east',
+      [getStopKey(stops[3])]: 'east',
+    });
+  });
+
+  it('proposes nothing without couriers', () => {
+    expect(distributeStops([stop('a', 'La Habana', 'Playa')], [])).toEqual({});
+  });
+});
+
+describe('summarizeAmounts', () => {
+  it('totals per currency, optionally for one kind', () => {
+    const stops = [
+      stop('a', 'La Habana', 'Playa', { amount: 10000, currency: 'CUP' }),
+      stop('b', 'La Habana', 'Playa', { amount: 50, currency: 'USD' }),
+      stop('c', 'La Habana', 'Playa', { amount: 2000, currency: 'CUP' }),
+      stop('d', 'La Habana', 'Playa', { kind: DELIVERY_KIND.ORDER, amount: 30, currency: 'USD' }),
+      stop('e', 'La Habana', 'Playa', { amount: null, currency: null }),
+    ];
+
+    expect(summarizeAmounts(stops, DELIVERY_KIND.REMITTANCE)).toEqual([
+      { currency: 'CUP', amount: 12000 },
+      { currency: 'USD', amount: 50 },
+    ]);
+    expect(summarizeAmounts(stops)).toEqual([
+      { currency: 'CUP', amount: 12000 },
+      { currency: 'USD', amount: 80 },
+    ]);
+  });
+});
+
+describe('buildManifestHtml', () => {
+  it('lists stops in order with escaped values and cash totals', () => {
+    const html = buildManifestHtml({
+      title: 'Manifest',
+      subtitle: 'Pedro · 2026-10-19',
+      stops: [
+        stop('a', 'La Habana', 'Playa', { recipientName: 'Ana <b>', phone: '5355', amount: 12000, currency: 'CUP' }),
+        stop('b', 'La Habana', 'Cerro', { kind: DELIVERY_KIND.ORDER, recipientName: 'Luis', amount: 40, currency: 'USD' }),
+      ],
+      labels: { cashTotal: 'Cash', orderTotal: 'Orders', remittance: 'Remittance', order: 'Order' },
+    });
+
+    expect(html).toContain('<title>Manifest</title>');
+    expect(html).toContain('Ana &lt;b&gt;');
+    expect(html).not.toContain('Ana <b>');
+    expect(html).toContain('Playa, La Habana (1)');
+    expect(html.indexOf('Ana')).toBeLessThan(html.indexOf('Luis'));
+    expect(html).toContain('12,000.00 CUP');
+    expect(html).toContain('Cash: 12,000.00 CUP');
+    expect(html).toContain('Orders: 40.00 USD');
+  });
+});
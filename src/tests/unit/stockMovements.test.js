@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  STOCK_MOVEMENT_TYPES,
+  resolveAdjustment,
+  validateReceiptLines,
+  summarizeReceipt,
+  summarizeStockTake,
+  explainStockOnHand,
+} from '@/lib/stockMovements';
+
+describe('resolveAdjustment', () => {
+  it('takes the sign from one-way reasons', () => {
+    expect(resolveAdjustment('damaged', 3)).toEqual({ quantityChange: -3, movementType: STOCK_MOVEMENT_TYPES.DAMAGE });
+    expect(resolveAdjustment('theft', -2)).toEqual({ quantityChange: -2, movementType: STOCK_MOVEMENT_TYPES.SHRINKAGE });
+    expect(resolveAdjustment('found', '4')).toEqual({ quantityChange: 4, movementType: STOCK_MOVEMENT_TYPES.ADJUSTMENT });
+  });
+
+  it('keeps the typed sign for corrections and rejects invalid input', () => {
+    expect(resolveAdjustment('correction', -5).quantityChange).toBe(-5);
+    expect(resolveAdjustment('correction', 0)).toBeNull();
+    expect(resolveAdjustment('damaged', 1.5)).toBeNull();
+    expect(resolveAdjustment('unknown', 1)).toBeNull();
+  });
+});
+
+describe('receipts', () => {
+  it('normalizes valid lines and reports errors by line', () => {
+    const { lines, errors } = validateReceiptLines([
+      { productId: 'p1', quantity: '10', costPerUnit: '1.25', batchNumber: ' L-1 ', expiryDate: '2027-01-31' },
+      { productId: '', quantity: '0', costPerUnit: '-1' },
+      { productId: 'p2', quantity: 4, costPerUnit: '' },
+    ]);
+
+    expect(lines).toEqual([
+      { product_id: 'p1', quantity: 10, cost_per_unit: 1.25, batch_number: 'L-1', expiry_date: '2027-01-31' },
+      { product_id: 'p2', quantity: 4, cost_per_unit: null, batch_number: null, expiry_date: null },
+    ]);
+    expect(errors).toEqual({ 1: { productId: 'required', quantity: 'positive', costPerUnit: 'invalid' } });
+    expect(summarizeReceipt(lines)).toEqual({ units: 14, totalCost: 12.5, uncosted: 1 });
+  });
+
+  it('requires at least one line', () => {
+    expect(validateReceiptLines([]).errors).toEqual({ lines: 'required' });
+  });
+});
+
+describe('summarizeStockTake', () => {
+  it('compares counted against system quantities', () => {
+    const summary = summarizeStockTake([
+      { id: 'a', system_quantity: 10, counted_quantity: 8, cost_per_unit: 2.5 },
+      { id: 'b', system_quantity: 5, counted_quantity: 6, cost_per_unit: 1 },
+      { id: 'c', system_quantity: 3, counted_quantity: 3 },
+      { id: 'd', system_quantity: 7, counted_quantity: null },
+    ]);
+
+    expect(summary).toMatchObject({ counted: 3, pending: 1, withVariance: 2, unitsOver: 1, unitsShort: 2, valueImpact: -4 });
+    expect(summary.lines.map(line => line.variance)).toEqual([-2, 1, 0, null]);
+  });
+});
+
+describe('explainStockOnHand', () => {
+  it('adds up movements, leaving reservations out of stock on hand', () => {
+    expect(explainStockOnHand([
+      { movement_type: 'received', quantity_change: 20 },
+      { movement_type: 'reserved', quantity_change: -3 },
+      { movement_type: 'sold', quantity_change: -3 },
+      { movement_type: 'damage', quantity_change: -1 },
+      { movement_type: 'count', quantity_change: 2 },
+    ])).toEqual({
+      byType: { received: 20, reserved: -3, sold: -3, damage: -1, count: 2 },
+      onHand: 18,
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTrackingUrl,
+  parseTrackingPath,
+  getTrackingOutcome,
+  getEstimatedDelivery,
+  toTimelineHistory,
+} from '@/lib/tracking';
+
+const TOKEN = '0f3c9a1e5b7d4c2a8e6f1b3d5a7c9e0f';
+
+describe('tracking link', () => {
+  it('builds and parses /track/<token>', () => {
+    const url = buildTrackingUrl(TOKEN, 'https://papuenvios.com');
+    expect(url).toBe(`https://papuenvios.com/track/${TOKEN}`);
+    expect(parseTrackingPath(new URL(url).pathname)).toBe(TOKEN);
+    expect(parseTrackingPath(`/track/${TOKEN}/`)).toBe(TOKEN);
+  });
+
+  it('ignores other paths', () => {
+    expect(parseTrackingPath('/track')).toBe(null);
+    expect(parseTrackingPath(`/track/${TOKEN}/extra`)).toBe(null);
+    expect(parseTrackingPath(`/wishlist/${TOKEN}`)).toBe(null);
+  });
+});
+
+describe('getTrackingOutcome', () => {
+  it('tells cancelled, rejected, delivered and in progress apart', () => {
+    expect(getTrackingOutcome({ kind: 'order', status: 'cancelled' })).toBe('cancelled');
+    expect(getTrackingOutcome({ kind: 'remittance', status: 'payment_rejected' })).toBe('rejected');
+    expect(getTrackingOutcome({ kind: 'remittance', status: 'delivered' })).toBe('delivered');
+    expect(getTrackingOutcome({ kind: 'order', status: 'completed' })).toBe('delivered');
+    expect(getTrackingOutcome({ kind: 'order', status: 'dispatched' })).toBe('inProgress');
+    expect(getTrackingOutcome(null)).toBe('inProgress');
+  });
+});
+
+describe('getEstimatedDelivery', () => {
+  it('shows the estimate only while the delivery is pending', () => {
+    const estimate = '2026-10-22T00:00:00Z';
+    expect(getEstimatedDelivery({ status: 'processing', estimated_delivery: estimate }))
+      .toEqual(new Date(estimate));
+    expect(getEstimatedDelivery({ status: 'delivered', estimated_delivery: estimate })).toBe(null);
+    expect(getEstimatedDelivery({ status: 'processing', estimated_delivery: null })).toBe(null);
+    expect(getEstimatedDelivery({ status: 'processing', estimated_delivery: 'soon' })).toBe(null);
+  });
+});
+
+describe('toTimelineHistory', () => {
+  it('maps the status history for the timeline', () => {
+    expect(toTimelineHistory([
+      { status: 'payment_pending', created_at: '2026-10-18T10:00:00Z' },
+      { status: null, created_at: '2026-10-18T11:00:00Z' },
+      { status: 'processing', created_at: '2026-10-19T09:00:00Z' },
+    ])).toEqual([
+      { status: 'payment_pending', timestamp: '2026-10-18T10:00:00Z' },
+      { status: 'processing', timestamp: '2026-10-19T09:00:00Z' },
+    ]);
+    expect(toTimelineHistory(null)).toEqual([]);
+  });
+});
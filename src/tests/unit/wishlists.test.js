@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WISHLIST_ITEM_TYPE,
+  buildWishlistShareUrl,
+  parseWishlistSharePath,
+  findWishlistCatalogItem,
+  getListItemPrice,
+  wishlistToCartLines,
+} from '@/lib/wishlists';
+
+const rice = { id: 'rice', name_es: 'Arroz', final_price: 2, base_price: 1.5, base_currency_id: 'usd', stock: 10, is_active: true };
+const rice5 = { id: 'rice-5', parent_product_id: 'rice', final_price: 9, base_price: 7, base_currency_id: 'usd', stock: 1, is_active: true };
+const beans = { id: 'beans', final_price: 3, base_price: 2, base_currency_id: 'usd', stock: 0, is_active: true };
+const box = { id: 'box', products: ['rice', 'beans'], productQuantities: { rice: 2 }, profitMargin: 10, is_active: true };
+const catalog = { products: [rice, rice5, beans], combos: [box] };
+
+const item = (id, itemType, targetId, quantity = 1) => (
+  itemType === WISHLIST_ITEM_TYPE.COMBO
+    ? { id, item_type: itemType, combo_id: targetId, quantity }
+    : { id, item_type: itemType, product_id: targetId, quantity }
+);
+
+describe('share link', () => {
+  it('builds and parses /wishlist/<token>', () => {
+    const url = buildWishlistShareUrl('abc123', 'https://shop.example');
+    expect(url).toBe('https://shop.example/wishlist/abc123');
+    expect(parseWishlistSharePath(new URL(url).pathname)).toBe('abc123');
+    expect(parseWishlistSharePath('/wishlist/abc123/')).toBe('abc123');
+  });
+
+  it('ignores other paths', () => {
+    expect(parseWishlistSharePath('/wishlists')).toBeNull();
+    expect(parseWishlistSharePath('/wishlist/')).toBeNull();
+    expect(parseWishlistSharePath('/wishlist/a/b')).toBeNull();
+  });
+});
+
+describe('findWishlistCatalogItem', () => {
+  it('looks up products and combos by their own column', () => {
+    expect(findWishlistCatalogItem(item('1', 'product', 'rice-5'), catalog)).toBe(rice5);
+    expect(findWishlistCatalogItem(item('2', 'combo', 'box'), catalog)).toBe(box);
+    expect(findWishlistCatalogItem(item('3', 'combo', 'rice'), catalog)).toBeNull();
+  });
+});
+
+describe('getListItemPrice', () => {
+  const convert = (amount, from, to) => (from === 'usd' && to === 'eur' ? amount * 0.5 : amount);
+
+  it('prices products at their final price in the selected currency', () => {
+    expect(getListItemPrice(rice, true, { products: catalog.products, convert, currencyId: 'usd' })).toBe(2);
+    expect(getListItemPrice(rice, true, { products: catalog.products, convert, currencyId: 'eur' })).toBe(1);
+  });
+
+  it('prices combos from component base prices plus the margin', () => {
+    // (1.5 × 2 + 2) × 1.10
+    expect(getListItemPrice(box, false, { products: catalog.products, convert, currencyId: 'usd' })).toBeCloseTo(5.5);
+    expect(getListItemPrice({ ...box, profitMargin: undefined }, false, {
+      products: catalog.products, convert, currencyId: 'eur', comboProfit: 20,
+    })).toBeCloseTo(3);
+  });
+});
+
+describe('wishlistToCartLines', () => {
+  it('turns products, variants and combos into cart lines with the list quantity', () => {
+    const { lines, skipped } = wishlistToCartLines([
+      item('1', 'product', 'rice', 3),
+      item('2', 'product', 'rice-5'),
+      item('3', 'combo', 'box', 2),
+    ], catalog);
+
+    expect(skipped).toEqual([]);
+    expect(lines.map(line => [line.id, line.quantity])).toEqual([['rice', 3], ['rice-5', 1], ['box', 2]]);
+    expect(lines[0].variantId).toBeUndefined();
+    expect(lines[1]).toMatchObject({ variantId: 'rice-5', parentProductId: 'rice' });
+    expect(lines[2].type).toBe('combo');
+  });
+
+  it('skips items that are gone, inactive or out of stock', () => {
+    const inactive = { ...rice, id: 'old', is_active: false };
+    const items = [
+      item('1', 'product', 'beans'),
+      item('2', 'product', 'missing'),
+      item('3', 'product', 'old'),
+      item('4', 'product', 'rice'),
+    ];
+    const { lines, skipped } = wishlistToCartLines(items, { ...catalog, products: [...catalog.products, inactive] });
+    expect(lines.map(line => line.id)).toEqual(['rice']);
+    expect(skipped.map(entry => entry.id)).toEqual(['1', '2', '3']);
+  });
+
+  it('stamps the displayed price and currency when given', () => {
+    const { lines } = wishlistToCartLines([item('1', 'product', 'rice')], catalog, {
+      getPrice: () => '2.00',
+      currencyId: 'usd',
+      currencyCode: 'USD',
+    });
+    expect(lines[0]).toMatchObject({ displayed_price: 2, displayed_currency_id: 'usd', displayed_currency_code: 'USD' });
+  });
+});
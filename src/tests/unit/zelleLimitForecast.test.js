@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ZELLE_CAPACITY_LEVELS,
+  forecastZelleAccount,
+  summarizeZelleCapacity,
+} from '@/lib/zelleLimitForecast';
+
+// 10:00 local time, mid-month
+const NOW = new Date(2026, 9, 19, 10, 0, 0);
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const account = (id, extra = {}) => ({
+  id,
+  account_name: id.toUpperCase(),
+  is_active: true,
+  for_products: true,
+  for_remittances: true,
+  daily_limit: 1000,
+  monthly_limit: 20000,
+  current_daily_amount: 0,
+  current_monthly_amount: 0,
+  ...extra,
+});
+
+const bucket = (id, hours, amount) => ({ zelle_account_id: id, bucket: hoursAgo(hours), amount });
+
+// ─── forecastZelleAccount ───────────────────────────────────────────────────
+
+describe('forecastZelleAccount', () => {
+  it('projects the daily limit from today\'s pace', () => {
+    // 500 received in 10 hours → 50/h; 500 left → 10 more hours (20:00)
+    const forecast = forecastZelleAccount(account('a', { current_daily_amount: 500 }), [], { now: NOW });
+    expect(forecast.pacePerHour).toBe(50);
+    expect(forecast.daily.remaining).toBe(500);
+    expect(new Date(forecast.daily.exhaustsAt).getHours()).toBe(20);
+    expect(forecast.level).toBe(ZELLE_CAPACITY_LEVELS.OK);
+  });
+
+  it('ignores a daily limit that rolls over first', () => {
+    const forecast = forecastZelleAccount(account('a', { current_daily_amount: 100 }), [], { now: NOW });
+    expect(forecast.daily.exhaustsAt).toBeNull();
+    expect(forecast.exhaustsAt).toBeNull();
+  });
+
+  it('flags critical and warning horizons', () => {
+    const critical = forecastZelleAccount(account('a', { current_daily_amount: 900 }), [], { now: NOW });
+    expect(critical.level).toBe(ZELLE_CAPACITY_LEVELS.CRITICAL);
+
+    const warning = forecastZelleAccount(account('a', { current_daily_amount: 700 }), [], { now: NOW });
+    expect(warning.level).toBe(ZELLE_CAPACITY_LEVELS.WARNING);
+  });
+
+  it('reports a reached limit as exhausted', () => {
+    const forecast = forecastZelleAccount(account('a', { current_monthly_amount: 20000 }), [], { now: NOW });
+    expect(forecast.monthly.remaining).toBe(0);
+    expect(forecast.level).toBe(ZELLE_CAPACITY_LEVELS.EXHAUSTED);
+  });
+
+  it('uses buckets when counters have not caught up', () => {
+    const buckets = [bucket('a', 2, 300), bucket('a', 1, 200), bucket('b', 1, 999)];
+    const forecast = forecastZelleAccount(account('a'), buckets, { now: NOW });
+    expect(forecast.daily.used).toBe(500);
+  });
+
+  it('projects the monthly limit from the lookback pace', () => {
+    // 7 days × 2400/day = 16800/week → 100/h; 2400 left → 24h
+    const buckets = Array.from({ length: 7 }, (_, day) => bucket('a', 24 * day + 12, 2400));
+    const forecast = forecastZelleAccount(
+      account('a', { daily_limit: null, current_monthly_amount: 17600 }),
+      buckets,
+      { now: NOW }
+    );
+    expect(forecast.daily.limit).toBeNull();
+    expect(new Date(forecast.monthly.exhaustsAt).getTime() - NOW.getTime()).toBe(24 * 60 * 60 * 1000);
+  });
+});
+
+// ─── summarizeZelleCapacity ─────────────────────────────────────────────────
+
+describe('summarizeZelleCapacity', () => {
+  const accounts = [
+    account('a', { current_daily_amount: 900 }),
+    account('b', { current_daily_amount: 1000, for_remittances: false }),
+    account('c', { for_products: false }),
+  ];
+  const forecasts = accounts.map(item => forecastZelleAccount(item, [], { now: NOW }));
+
+  it('stays ok while one account lasts the period', () => {
+    const summary = summarizeZelleCapacity(accounts, forecasts, 'remittance', { now: NOW });
+    expect(summary.level).toBe(ZELLE_CAPACITY_LEVELS.OK);
+    expect(summary.accountCount).toBe(2);
+  });
+
+  it('uses the last account to run out', () => {
+    const summary = summarizeZelleCapacity(accounts, forecasts, 'product', { now: NOW });
+    expect(summary.level).toBe(ZELLE_CAPACITY_LEVELS.CRITICAL);
+    expect(summary.availableCount).toBe(1);
+    expect(summary.exhaustsAt).toBe(forecasts[0].exhaustsAt);
+  });
+
+  it('is exhausted without serving accounts', () => {
+    const summary = summarizeZelleCapacity([accounts[2]], forecasts, 'product', { now: NOW });
+    expect(summary.level).toBe(ZELLE_CAPACITY_LEVELS.EXHAUSTED);
+    expect(summary.accountCount).toBe(0);
+  });
+});
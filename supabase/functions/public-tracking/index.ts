@@ -0,0 +1,100 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.58.0";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL") || "";
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+
+// The delivery proof thumbnail is only signed for a short while
+const PROOF_URL_TTL_SECONDS = 600;
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+function buildCorsHeaders(req: Request) {
+  const origin = req.headers.get("Origin") ?? "*";
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Max-Age": "86400",
+    ...(origin !== "*" ? { Vary: "Origin" } : {}),
+  };
+}
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("Missing Supabase configuration. Ensure SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set.");
+}
+
+// Public: the tracking token is the only credential (see
+// 20261019000019_public_tracking.sql). Returns status and dates only.
+serve(async (req: Request) => {
+  const corsHeaders = buildCorsHeaders(req);
+
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders, status: 200 });
+  }
+
+  if (req.method !== "POST") {
+    return json({ message: "Método no permitido" }, 405, corsHeaders);
+  }
+
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      return json({ message: "Faltan las variables SUPABASE_URL o SUPABASE_SERVICE_ROLE_KEY" }, 500, corsHeaders);
+    }
+
+    const payload = await req.json().catch(() => null);
+    const token = typeof payload?.token === "string" ? payload.token.trim().toLowerCase() : "";
+    if (!TOKEN_PATTERN.test(token)) {
+      return json({ message: "Not found" }, 404, corsHeaders);
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data, error } = await supabase.rpc("get_public_tracking", { p_token: token });
+    if (error) {
+      console.error("[public-tracking] Error loading tracking", error);
+      return json({ message: "No se pudo cargar el seguimiento." }, 500, corsHeaders);
+    }
+    if (!data) {
+      return json({ message: "Not found" }, 404, corsHeaders);
+    }
+
+    const { proof_bucket: bucket, proof_path: proofPath, ...tracking } = data;
+    tracking.proof_url = proofPath ? await signProof(supabase, bucket, proofPath) : null;
+
+    return json(tracking, 200, corsHeaders);
+  } catch (err) {
+    console.error("[public-tracking] Unexpected error", err);
+    return json({ message: "Ocurrió un error inesperado al procesar la solicitud." }, 500, corsHeaders);
+  }
+});
+
+async function signProof(
+  supabaseClient: ReturnType<typeof createClient>,
+  bucket: string,
+  proofPath: string,
+) {
+  // Older rows store the full public URL instead of the path
+  const marker = `/${bucket}/`;
+  const filePath = proofPath.includes(marker)
+    ? decodeURIComponent(proofPath.split(marker).pop()!.split("?")[0])
+    : proofPath;
+
+  const { data, error } = await supabaseClient.storage
+    .from(bucket)
+    .createSignedUrl(filePath, PROOF_URL_TTL_SECONDS);
+
+  if (error) {
+    console.error("[public-tracking] Error signing delivery proof", error);
+    return null;
+  }
+
+  return data?.signedUrl ?? null;
+}
+
+function json(data: unknown, status = 200, corsHeaders: HeadersInit = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...corsHeaders },
+  });
+}
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- REMITTANCE QUOTES
+-- Locks the exchange rate, commission breakdown and offer discount shown to
+-- the sender. createRemittance consumes a quote exactly once, before it expires.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.remittance_quotes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    remittance_type_id UUID NOT NULL REFERENCES public.remittance_types(id) ON DELETE CASCADE,
+    offer_id UUID REFERENCES public.offers(id),
+    amount DECIMAL(12,2) NOT NULL,
+    exchange_rate DECIMAL(12,4) NOT NULL,
+    exchange_rate_source VARCHAR(20), -- 'type', 'configured', 'fallback'
+    commission_percentage DECIMAL(5,2) DEFAULT 0,
+    commission_fixed DECIMAL(10,2) DEFAULT 0,
+    original_commission DECIMAL(10,2) DEFAULT 0,
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    commission_total DECIMAL(10,2) DEFAULT 0, -- after discount
+    amount_to_deliver DECIMAL(14,2) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    delivery_currency VARCHAR(10) NOT NULL,
+    legs JSONB DEFAULT '[]', -- collect → commission → convert → deliver
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    remittance_id UUID REFERENCES public.remittances(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_remittance_quotes_user ON public.remittance_quotes(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_remittance_quotes_open ON public.remittance_quotes(expires_at) WHERE consumed_at IS NULL;
+
+-- Remittances remember the quote they were priced from
+ALTER TABLE public.remittances
+  ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES public.remittance_quotes(id);
+
+ALTER TABLE public.remittance_quotes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "remittance_quotes_select_own" ON public.remittance_quotes
+    FOR SELECT TO authenticated
+    USING ((select auth.uid()) = user_id OR (select is_admin_user()));
+
+-- No INSERT or UPDATE for clients: create_remittance_quote() prices quotes on
+-- the server and inserting a remittance with quote_id consumes its quote
+-- (see 20261019000021_server_priced_remittance_quotes.sql).
+GRANT SELECT ON public.remittance_quotes TO authenticated;
+
+COMMENT ON TABLE public.remittance_quotes IS 'Rate-locked remittance quotes; single use, consumed by createRemittance';
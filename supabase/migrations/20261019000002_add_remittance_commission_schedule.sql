@@ -0,0 +1,141 @@
+-- Tiered and time-windowed commissions for remittance types
+-- Shape: { "tiers": [{ min_amount, max_amount, commission_percentage, commission_fixed }],
+--          "windows": [{ label, days, start_time, end_time, starts_at, ends_at,
+--                        commission_percentage, commission_fixed }] }
+-- NULL keeps the flat commission_percentage + commission_fixed.
+ALTER TABLE public.remittance_types
+  ADD COLUMN IF NOT EXISTS commission_schedule JSONB DEFAULT NULL;
+
+COMMENT ON COLUMN public.remittance_types.commission_schedule IS 'Optional amount tiers and commission windows; see remittanceCalculations.js';
+
+-- Business clock of commission windows (BUSINESS_TIME_ZONE in constants.js)
+CREATE OR REPLACE FUNCTION public.business_time_zone()
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$ SELECT 'America/Havana'::text $$;
+
+-- Commission that applies to an amount at a given moment; same rule as
+-- resolveCommission() in remittanceCalculations.js. An active window wins over
+-- tiers ([min_amount, max_amount)), a tier over the base commission. Window
+-- days and hours are read on the business clock.
+CREATE OR REPLACE FUNCTION public.resolve_remittance_commission(
+    p_schedule jsonb,
+    p_base_percentage numeric,
+    p_base_fixed numeric,
+    p_amount numeric,
+    p_at timestamptz DEFAULT NOW()
+)
+RETURNS TABLE (commission_percentage numeric, commission_fixed numeric, source text)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_local timestamp := p_at AT TIME ZONE public.business_time_zone();
+    v_day integer := EXTRACT(DOW FROM v_local);
+    v_minutes integer := EXTRACT(HOUR FROM v_local) * 60 + EXTRACT(MINUTE FROM v_local);
+    v_rule jsonb;
+    v_start integer;
+    v_end integer;
+BEGIN
+    FOR v_rule IN SELECT value FROM jsonb_array_elements(coalesce(p_schedule->'windows', '[]'::jsonb)) LOOP
+        CONTINUE WHEN coalesce(v_rule->>'starts_at', '') <> '' AND p_at < (v_rule->>'starts_at')::timestamptz;
+        CONTINUE WHEN coalesce(v_rule->>'ends_at', '') <> '' AND p_at > (v_rule->>'ends_at')::timestamptz;
+        CONTINUE WHEN jsonb_array_length(coalesce(v_rule->'days', '[]'::jsonb)) > 0
+            AND NOT (v_rule->'days') @> to_jsonb(v_day);
+
+        IF coalesce(v_rule->>'start_time', '') <> '' AND coalesce(v_rule->>'end_time', '') <> '' THEN
+            v_start := split_part(v_rule->>'start_time', ':', 1)::integer * 60 + coalesce(nullif(split_part(v_rule->>'start_time', ':', 2), '')::integer, 0);
+            v_end := split_part(v_rule->>'end_time', ':', 1)::integer * 60 + coalesce(nullif(split_part(v_rule->>'end_time', ':', 2), '')::integer, 0);
+            -- Overnight windows (22:00 → 06:00) wrap around midnight
+            CONTINUE WHEN v_start <= v_end AND NOT (v_minutes >= v_start AND v_minutes <= v_end);
+            CONTINUE WHEN v_start > v_end AND NOT (v_minutes >= v_start OR v_minutes <= v_end);
+        END IF;
+
+        RETURN QUERY SELECT
+            coalesce((v_rule->>'commission_percentage')::numeric, p_base_percentage),
+            coalesce((v_rule->>'commission_fixed')::numeric, p_base_fixed),
+            'window'::text;
+        RETURN;
+    END LOOP;
+
+    SELECT value INTO v_rule
+      FROM jsonb_array_elements(coalesce(p_schedule->'tiers', '[]'::jsonb))
+     WHERE p_amount >= (value->>'min_amount')::numeric
+       AND (value->>'max_amount' IS NULL OR p_amount < (value->>'max_amount')::numeric)
+     ORDER BY (value->>'min_amount')::numeric
+     LIMIT 1;
+
+    IF v_rule IS NOT NULL THEN
+        RETURN QUERY SELECT
+            coalesce((v_rule->>'commission_percentage')::numeric, p_base_percentage),
+            coalesce((v_rule->>'commission_fixed')::numeric, p_base_fixed),
+            'tier'::text;
+        RETURN;
+    END IF;
+
+    RETURN QUERY SELECT p_base_percentage, p_base_fixed, 'base'::text;
+END;
+$$;
+
+-- Remittances store the commission the database resolves when they are
+-- inserted, not the one the browser computed. Quoted remittances keep the
+-- commission locked in their quote.
+CREATE OR REPLACE FUNCTION public.apply_remittance_commission()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_type public.remittance_types%ROWTYPE;
+    v_offer public.offers%ROWTYPE;
+    v_rule record;
+    v_commission numeric;
+    v_discount numeric := 0;
+BEGIN
+    IF NEW.quote_id IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO v_type FROM remittance_types WHERE id = NEW.remittance_type_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Remittance type % not found', NEW.remittance_type_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_rule
+      FROM resolve_remittance_commission(
+        v_type.commission_schedule,
+        coalesce(v_type.commission_percentage, 0),
+        coalesce(v_type.commission_fixed, 0),
+        NEW.amount_sent,
+        NOW()
+      );
+
+    v_commission := NEW.amount_sent * v_rule.commission_percentage / 100 + v_rule.commission_fixed;
+
+    -- Offer discount on the commission, as calcForward() applies it
+    IF NEW.offer_id IS NOT NULL THEN
+        SELECT * INTO v_offer FROM offers WHERE id = NEW.offer_id;
+        IF v_offer.discount_type = 'percentage' THEN
+            v_discount := round(v_commission * v_offer.discount_value / 100, 2);
+        ELSIF v_offer.discount_type IN ('fixed', 'fixed_amount') THEN
+            v_discount := least(v_offer.discount_value, v_commission);
+        END IF;
+    END IF;
+
+    NEW.commission_percentage := v_rule.commission_percentage;
+    NEW.commission_fixed := v_rule.commission_fixed;
+    v_discount := coalesce(v_discount, 0);
+    NEW.discount_amount := v_discount;
+    NEW.commission_total := round(greatest(0, v_commission - v_discount), 2);
+    NEW.amount_to_deliver := round((NEW.amount_sent - greatest(0, v_commission - v_discount)) * NEW.exchange_rate, 2);
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS apply_remittance_commission ON public.remittances;
+CREATE TRIGGER apply_remittance_commission
+    BEFORE INSERT ON public.remittances
+    FOR EACH ROW EXECUTE FUNCTION public.apply_remittance_commission();
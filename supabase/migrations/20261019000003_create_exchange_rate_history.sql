@@ -0,0 +1,35 @@
+-- ============================================================================
+-- EXCHANGE RATE HISTORY
+-- One row per provider fetch made by currencyService.fetchOfficialRates,
+-- plus the manual/informal CUP rates recorded by admins (provider 'manual-cup').
+-- Rates are units of each currency per 1 USD.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.exchange_rate_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL, -- 'exchangerate-api', 'open-er-api', 'manual-cup', ...
+    base_currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+    rates JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(10) NOT NULL DEFAULT 'ok' CHECK (status IN ('ok', 'error')),
+    error_message TEXT,
+    retrieved_at TIMESTAMP WITH TIME ZONE, -- timestamp reported by the provider
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    fetched_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rate_history_provider ON public.exchange_rate_history(provider, fetched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_exchange_rate_history_fetched_at ON public.exchange_rate_history(fetched_at DESC);
+
+ALTER TABLE public.exchange_rate_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "exchange_rate_history_admin_select" ON public.exchange_rate_history
+    FOR SELECT TO authenticated
+    USING ((select is_admin_user()));
+
+CREATE POLICY "exchange_rate_history_admin_insert" ON public.exchange_rate_history
+    FOR INSERT TO authenticated
+    WITH CHECK ((select is_admin_user()));
+
+GRANT SELECT, INSERT ON public.exchange_rate_history TO authenticated;
+
+COMMENT ON TABLE public.exchange_rate_history IS 'Every official/market rate fetch per provider; append-only';
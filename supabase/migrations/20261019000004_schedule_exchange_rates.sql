@@ -0,0 +1,65 @@
+-- ============================================================================
+-- EFFECTIVE-DATED EXCHANGE RATES
+-- Rate changes insert a new exchange_rates row instead of overwriting the
+-- current one. A row applies from effective_from until the next row of the
+-- same direction starts, so future rates can be scheduled and the full
+-- history of a pair stays queryable. Orders, remittances and quotes record
+-- the row they were priced with.
+-- ============================================================================
+
+ALTER TABLE public.exchange_rates
+  ADD COLUMN IF NOT EXISTS effective_from TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+UPDATE public.exchange_rates
+   SET effective_from = effective_date::timestamp AT TIME ZONE 'UTC'
+ WHERE effective_from IS NULL;
+
+ALTER TABLE public.exchange_rates
+  ALTER COLUMN effective_from SET DEFAULT NOW(),
+  ALTER COLUMN effective_from SET NOT NULL;
+
+-- Several rates per day are allowed now; uniqueness is per start instant
+ALTER TABLE public.exchange_rates DROP CONSTRAINT IF EXISTS unique_daily_rate;
+ALTER TABLE public.exchange_rates
+  ADD CONSTRAINT unique_rate_effective_from UNIQUE (from_currency_id, to_currency_id, effective_from);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_effective
+  ON public.exchange_rates(from_currency_id, to_currency_id, effective_from DESC)
+  WHERE is_active = true;
+
+-- Rate row used to price each record (audit)
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS exchange_rate_id UUID REFERENCES public.exchange_rates(id);
+ALTER TABLE public.remittances
+  ADD COLUMN IF NOT EXISTS exchange_rate_id UUID REFERENCES public.exchange_rates(id);
+ALTER TABLE public.remittance_quotes
+  ADD COLUMN IF NOT EXISTS exchange_rate_id UUID REFERENCES public.exchange_rates(id);
+
+-- Only rates that already started apply
+CREATE OR REPLACE FUNCTION calculate_exchange_rate(
+    from_currency uuid,
+    to_currency uuid,
+    amount numeric
+) RETURNS numeric AS $$
+DECLARE
+    rate numeric;
+BEGIN
+    SELECT er.rate INTO rate
+    FROM exchange_rates er
+    WHERE er.from_currency_id = from_currency
+    AND er.to_currency_id = to_currency
+    AND er.is_active = true
+    AND er.effective_from <= NOW()
+    ORDER BY er.effective_from DESC
+    LIMIT 1;
+
+    IF rate IS NULL THEN
+        RAISE EXCEPTION 'No exchange rate found for the specified currencies';
+    END IF;
+
+    RETURN amount * rate;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN public.exchange_rates.effective_from IS 'Start of validity; the row applies until the next row of the same direction starts';
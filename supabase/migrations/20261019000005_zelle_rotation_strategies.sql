@@ -0,0 +1,69 @@
+-- ============================================================================
+-- ZELLE ROTATION STRATEGIES
+-- The strategy that picks the Zelle account is configurable per transaction
+-- type (applied by select_zelle_account, 20261019000006) and every selection
+-- is stored with its explanation.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.zelle_rotation_settings (
+    transaction_type VARCHAR(20) PRIMARY KEY CHECK (transaction_type IN ('remittance', 'product', 'combo')),
+    strategy VARCHAR(30) NOT NULL DEFAULT 'priority'
+        CHECK (strategy IN ('priority', 'round_robin', 'least_used_today', 'weighted_daily_limit', 'weighted_monthly_limit')),
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO public.zelle_rotation_settings (transaction_type, strategy)
+VALUES ('remittance', 'priority'), ('product', 'priority'), ('combo', 'priority')
+ON CONFLICT (transaction_type) DO NOTHING;
+
+ALTER TABLE public.zelle_rotation_settings ENABLE ROW LEVEL SECURITY;
+
+-- Customers' checkout reads the strategy; only admins change it
+CREATE POLICY "zelle_rotation_settings_select" ON public.zelle_rotation_settings
+    FOR SELECT TO authenticated
+    USING (true);
+
+CREATE POLICY "zelle_rotation_settings_manage" ON public.zelle_rotation_settings
+    FOR ALL TO authenticated
+    USING ((select is_admin_user()))
+    WITH CHECK ((select is_admin_user()));
+
+GRANT SELECT, INSERT, UPDATE ON public.zelle_rotation_settings TO authenticated;
+
+-- One row per account selection
+CREATE TABLE IF NOT EXISTS public.zelle_rotation_decisions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    transaction_type VARCHAR(20) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    strategy VARCHAR(30) NOT NULL,
+    selected_account_id UUID REFERENCES public.zelle_accounts(id) ON DELETE SET NULL,
+    candidates JSONB NOT NULL DEFAULT '[]', -- eligible accounts in decision order (rank, weight, probability, remaining)
+    excluded JSONB NOT NULL DEFAULT '[]',   -- { id, name, reasons[] }
+    reference_id UUID,                      -- order or remittance paid with this account
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_zelle_rotation_decisions_reference ON public.zelle_rotation_decisions(reference_id);
+CREATE INDEX IF NOT EXISTS idx_zelle_rotation_decisions_created ON public.zelle_rotation_decisions(created_at DESC);
+
+ALTER TABLE public.zelle_rotation_decisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "zelle_rotation_decisions_insert_own" ON public.zelle_rotation_decisions
+    FOR INSERT TO authenticated
+    WITH CHECK ((select auth.uid()) = created_by);
+
+-- The creator may only attach the order/remittance once
+CREATE POLICY "zelle_rotation_decisions_link_own" ON public.zelle_rotation_decisions
+    FOR UPDATE TO authenticated
+    USING ((select auth.uid()) = created_by AND reference_id IS NULL)
+    WITH CHECK ((select auth.uid()) = created_by);
+
+CREATE POLICY "zelle_rotation_decisions_admin_select" ON public.zelle_rotation_decisions
+    FOR SELECT TO authenticated
+    USING ((select auth.uid()) = created_by OR (select is_admin_user()));
+
+GRANT SELECT, INSERT, UPDATE ON public.zelle_rotation_decisions TO authenticated;
+
+COMMENT ON TABLE public.zelle_rotation_decisions IS 'Explains why each Zelle account was picked (strategy, candidates, exclusions)';
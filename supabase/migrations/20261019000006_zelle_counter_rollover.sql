@@ -0,0 +1,312 @@
+-- ============================================================================
+-- ZELLE COUNTER ROLLOVER AND USAGE FORECAST
+-- current_daily_amount / current_monthly_amount are derived from
+-- zelle_transaction_history (pending + validated, by transaction_date) instead
+-- of being incremented and reset by hand. Rejected transactions drop out on
+-- their own and a new day or month starts at zero without an admin action.
+-- get_zelle_usage_buckets feeds the limit forecast (src/lib/zelleLimitForecast.js).
+-- select_zelle_account picks the account a customer pays to with the rotation
+-- strategy of the transaction type and the account limits; valid_limits stays.
+-- ============================================================================
+
+-- Recompute the counters of one account, or all when NULL. A recomputed
+-- usage over a limit fails valid_limits: for one account the error reaches
+-- the caller, the sweep over all accounts skips that account with a warning.
+CREATE OR REPLACE FUNCTION public.refresh_zelle_counters(p_account_id uuid DEFAULT NULL)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_account_id uuid;
+BEGIN
+  IF p_account_id IS NULL THEN
+    FOR v_account_id IN SELECT id FROM zelle_accounts ORDER BY id LOOP
+      BEGIN
+        PERFORM refresh_zelle_counters(v_account_id);
+      EXCEPTION WHEN check_violation THEN
+        RAISE WARNING 'Zelle account % is over its limits, counters not rolled over', v_account_id;
+      END;
+    END LOOP;
+    RETURN;
+  END IF;
+
+  UPDATE zelle_accounts za
+  SET
+    current_daily_amount = usage.daily_amount,
+    current_monthly_amount = usage.monthly_amount,
+    last_reset_date = CURRENT_DATE,
+    updated_at = now()
+  FROM (
+    SELECT
+      a.id,
+      COALESCE(SUM(h.amount) FILTER (
+        WHERE COALESCE(h.transaction_date, h.created_at) >= date_trunc('day', now())
+      ), 0) AS daily_amount,
+      COALESCE(SUM(h.amount), 0) AS monthly_amount
+    FROM zelle_accounts a
+    LEFT JOIN zelle_transaction_history h
+      ON h.zelle_account_id = a.id
+     AND h.status <> 'rejected'
+     AND COALESCE(h.transaction_date, h.created_at) >= date_trunc('month', now())
+    WHERE a.id = p_account_id
+    GROUP BY a.id
+  ) usage
+  WHERE za.id = usage.id
+    AND (
+      za.current_daily_amount IS DISTINCT FROM usage.daily_amount
+      OR za.current_monthly_amount IS DISTINCT FROM usage.monthly_amount
+      OR za.last_reset_date IS DISTINCT FROM CURRENT_DATE
+    );
+END;
+$function$;
+
+-- Rollover entry point for pg_cron (no caller) and the admin counter reset
+CREATE OR REPLACE FUNCTION public.roll_over_zelle_counters(p_account_id uuid DEFAULT NULL)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can roll over Zelle counters' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM refresh_zelle_counters(p_account_id);
+END;
+$function$;
+
+-- Kept for existing callers (registerZelleTransaction, rejectZelleTransaction).
+-- The history row is written first, so recomputing covers both the new
+-- amount and reversals; p_amount is no longer added on top.
+CREATE OR REPLACE FUNCTION public.update_zelle_account_usage(p_account_id uuid, p_amount numeric)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  PERFORM refresh_zelle_counters(p_account_id);
+
+  IF p_amount > 0 THEN
+    UPDATE zelle_accounts SET last_used_at = now() WHERE id = p_account_id;
+  END IF;
+END;
+$function$;
+
+-- Superseded by roll_over_zelle_counters (the monthly one only fired on day 1)
+CREATE OR REPLACE FUNCTION public.reset_daily_zelle_counters()
+ RETURNS void
+ LANGUAGE sql
+ SET search_path = public
+AS $function$
+  SELECT roll_over_zelle_counters(NULL);
+$function$;
+
+CREATE OR REPLACE FUNCTION public.reset_monthly_zelle_counters()
+ RETURNS void
+ LANGUAGE sql
+ SET search_path = public
+AS $function$
+  SELECT roll_over_zelle_counters(NULL);
+$function$;
+
+-- Pick the Zelle account for a payment with the strategy configured for the
+-- transaction type (zelle_rotation_settings). Accounts that would go over
+-- their daily, monthly or security limit with p_amount are excluded. Returns
+-- { account, strategy, candidates, excluded } with the same explanation the
+-- client stores in zelle_rotation_decisions; account is null when none fits.
+CREATE OR REPLACE FUNCTION public.select_zelle_account(p_transaction_type varchar, p_amount numeric)
+ RETURNS jsonb
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_strategy text;
+  v_weight_key text;
+  v_account zelle_accounts%ROWTYPE;
+  v_eligible zelle_accounts[] := '{}';
+  v_remaining jsonb;
+  v_remainings jsonb[] := '{}';
+  v_reasons text[];
+  v_excluded jsonb := '[]'::jsonb;
+  v_candidates jsonb := '[]'::jsonb;
+  v_candidate jsonb;
+  v_weights numeric[] := '{}';
+  v_unlimited numeric;
+  v_total numeric := 0;
+  v_target numeric;
+  v_pick integer := 1;
+  i integer;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_transaction_type NOT IN ('remittance', 'product', 'combo') THEN
+    RAISE EXCEPTION 'Invalid transaction type %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT strategy INTO v_strategy
+  FROM zelle_rotation_settings
+  WHERE transaction_type = p_transaction_type;
+  v_strategy := COALESCE(v_strategy, 'priority');
+
+  v_weight_key := CASE v_strategy
+    WHEN 'weighted_daily_limit' THEN 'daily'
+    WHEN 'weighted_monthly_limit' THEN 'monthly'
+  END;
+
+  -- A new day/month must not be judged against yesterday's counters
+  PERFORM refresh_zelle_counters(NULL);
+
+  -- Decision order of the strategy; weighted strategies list by priority
+  FOR v_account IN
+    SELECT *
+    FROM zelle_accounts
+    WHERE is_active = true
+    ORDER BY
+      CASE WHEN v_strategy = 'round_robin' THEN last_used_at END ASC NULLS FIRST,
+      CASE WHEN v_strategy = 'least_used_today' THEN COALESCE(current_daily_amount, 0) END ASC,
+      COALESCE(priority_order, 0),
+      last_used_at ASC NULLS FIRST,
+      id
+  LOOP
+    -- Room left after receiving p_amount (null = no limit)
+    v_remaining := jsonb_build_object(
+      'daily', CASE WHEN v_account.daily_limit > 0
+        THEN v_account.daily_limit - COALESCE(v_account.current_daily_amount, 0) - p_amount END,
+      'monthly', CASE WHEN v_account.monthly_limit > 0
+        THEN v_account.monthly_limit - COALESCE(v_account.current_monthly_amount, 0) - p_amount END,
+      'security', CASE WHEN v_account.security_limit > 0
+        THEN v_account.security_limit - COALESCE(v_account.current_daily_amount, 0) - p_amount END
+    );
+
+    v_reasons := '{}';
+    IF NOT COALESCE(CASE WHEN p_transaction_type = 'remittance'
+                         THEN v_account.for_remittances ELSE v_account.for_products END, false) THEN
+      v_reasons := v_reasons || 'wrong_type'::text;
+    END IF;
+    IF (v_remaining->>'daily')::numeric < 0 THEN
+      v_reasons := v_reasons || 'daily_limit'::text;
+    END IF;
+    IF (v_remaining->>'monthly')::numeric < 0 THEN
+      v_reasons := v_reasons || 'monthly_limit'::text;
+    END IF;
+    IF (v_remaining->>'security')::numeric < 0 THEN
+      v_reasons := v_reasons || 'security_limit'::text;
+    END IF;
+
+    IF cardinality(v_reasons) > 0 THEN
+      v_excluded := v_excluded || jsonb_build_array(jsonb_build_object(
+        'id', v_account.id, 'name', v_account.account_name, 'reasons', to_jsonb(v_reasons)
+      ));
+    ELSE
+      v_eligible := array_append(v_eligible, v_account);
+      v_remainings := array_append(v_remainings, v_remaining);
+    END IF;
+  END LOOP;
+
+  IF cardinality(v_eligible) = 0 THEN
+    RETURN jsonb_build_object('account', NULL, 'strategy', v_strategy, 'candidates', '[]'::jsonb, 'excluded', v_excluded);
+  END IF;
+
+  IF v_weight_key IS NOT NULL THEN
+    -- Accounts without that limit weigh as much as the roomiest limited account
+    SELECT GREATEST(COALESCE(MAX((r->>v_weight_key)::numeric), 1), 1) INTO v_unlimited
+    FROM unnest(v_remainings) r;
+
+    FOR i IN 1 .. cardinality(v_eligible) LOOP
+      v_weights := array_append(v_weights, COALESCE(GREATEST((v_remainings[i]->>v_weight_key)::numeric, 0), v_unlimited));
+      v_total := v_total + v_weights[i];
+    END LOOP;
+
+    IF v_total > 0 THEN
+      v_pick := cardinality(v_eligible);
+      v_target := random() * v_total;
+      FOR i IN 1 .. cardinality(v_eligible) LOOP
+        v_target := v_target - v_weights[i];
+        IF v_target < 0 THEN
+          v_pick := i;
+          EXIT;
+        END IF;
+      END LOOP;
+    END IF;
+  END IF;
+
+  FOR i IN 1 .. cardinality(v_eligible) LOOP
+    v_candidate := jsonb_build_object(
+      'id', (v_eligible[i]).id,
+      'name', (v_eligible[i]).account_name,
+      'priorityOrder', (v_eligible[i]).priority_order,
+      'lastUsedAt', (v_eligible[i]).last_used_at,
+      'usedToday', COALESCE((v_eligible[i]).current_daily_amount, 0),
+      'remaining', v_remainings[i],
+      'rank', i,
+      'selected', i = v_pick
+    );
+
+    IF v_weight_key IS NOT NULL THEN
+      v_candidate := v_candidate || jsonb_build_object(
+        'weight', round(v_weights[i], 2),
+        'probability', CASE WHEN v_total > 0 THEN round(v_weights[i] / v_total, 4)
+                            WHEN i = 1 THEN 1 ELSE 0 END
+      );
+    END IF;
+
+    v_candidates := v_candidates || jsonb_build_array(v_candidate);
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'account', to_jsonb(v_eligible[v_pick]),
+    'strategy', v_strategy,
+    'candidates', v_candidates,
+    'excluded', v_excluded
+  );
+END;
+$function$;
+
+-- Hourly received amount per active account (no customer data)
+CREATE OR REPLACE FUNCTION public.get_zelle_usage_buckets(p_days integer DEFAULT 7)
+ RETURNS TABLE(zelle_account_id uuid, bucket timestamptz, amount numeric, tx_count integer)
+ LANGUAGE sql
+ STABLE
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT
+    h.zelle_account_id,
+    date_trunc('hour', COALESCE(h.transaction_date, h.created_at)) AS bucket,
+    SUM(h.amount) AS amount,
+    COUNT(*)::integer AS tx_count
+  FROM zelle_transaction_history h
+  JOIN zelle_accounts a ON a.id = h.zelle_account_id AND a.is_active = true
+  WHERE h.status <> 'rejected'
+    AND COALESCE(h.transaction_date, h.created_at) >= now() - make_interval(days => LEAST(GREATEST(p_days, 1), 31))
+  GROUP BY h.zelle_account_id, date_trunc('hour', COALESCE(h.transaction_date, h.created_at));
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_zelle_counters(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.roll_over_zelle_counters(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.roll_over_zelle_counters(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.select_zelle_account(varchar, numeric) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_zelle_usage_buckets(integer) TO authenticated;
+
+-- Bring counters in line with history once
+SELECT public.refresh_zelle_counters(NULL);
+
+-- Roll over at the start of every hour where pg_cron is available
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('roll-over-zelle-counters', '0 * * * *', 'SELECT public.roll_over_zelle_counters(NULL)');
+  END IF;
+END;
+$$;
@@ -0,0 +1,434 @@
+-- ============================================================================
+-- ATOMIC INVENTORY RESERVATION WITH EXPIRING HOLDS
+-- createOrder used to read reserved_quantity, add to it in JavaScript and
+-- write it back, so two checkouts at the same moment could oversell. Stock is
+-- now reserved, released and sold inside SECURITY DEFINER functions that check
+-- availability and update the row in a single statement. Every reservation is
+-- an inventory_holds row with an expiry; holds of orders still waiting for a
+-- payment proof are released by expire_inventory_holds(). Every hold, release
+-- and sale is written to inventory_movements.
+-- ============================================================================
+
+-- Movement and reference values already used by orderService
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'reserved';
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'released';
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'sold';
+ALTER TYPE item_type ADD VALUE IF NOT EXISTS 'order';
+
+-- Hold window for orders without a payment proof (minutes)
+INSERT INTO public.system_config (key, value_numeric, description, is_public)
+VALUES ('inventory_hold_minutes', 60, 'Minutes a pending order keeps its stock reserved without a payment proof', true)
+ON CONFLICT (key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.inventory_holds (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES public.inventory(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'consumed', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    close_reason TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_holds_order ON public.inventory_holds(order_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_holds_active_expiry ON public.inventory_holds(expires_at)
+    WHERE status = 'active';
+
+ALTER TABLE public.inventory_holds ENABLE ROW LEVEL SECURITY;
+
+-- Written only by the functions below
+CREATE POLICY "inventory_holds_select" ON public.inventory_holds
+    FOR SELECT TO authenticated
+    USING (
+        (select is_admin_user())
+        OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = inventory_holds.order_id AND o.user_id = (select auth.uid()))
+    );
+
+GRANT SELECT ON public.inventory_holds TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Internal helpers (not callable through the API)
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.inventory_hold_minutes()
+ RETURNS integer
+ LANGUAGE sql
+ STABLE
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT GREATEST(5, COALESCE(
+    (SELECT value_numeric::integer FROM system_config WHERE key = 'inventory_hold_minutes'),
+    60
+  ));
+$function$;
+
+-- Units each line of an order takes from stock: product lines their product,
+-- combo lines every component (combo quantity × component quantity). Built
+-- from order_items, never from what the client sends.
+CREATE OR REPLACE FUNCTION public.order_stock_requests(p_order_id uuid)
+ RETURNS TABLE(order_item_id uuid, product_id uuid, quantity integer)
+ LANGUAGE sql
+ STABLE
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT oi.id, oi.item_id, oi.quantity
+  FROM order_items oi
+  WHERE oi.order_id = p_order_id
+    AND oi.item_type::text = 'product'
+    AND oi.quantity > 0
+  UNION ALL
+  SELECT oi.id, ci.product_id, oi.quantity * ci.quantity
+  FROM order_items oi
+  JOIN combo_items ci ON ci.combo_id = oi.item_id
+  WHERE oi.order_id = p_order_id
+    AND oi.item_type::text = 'combo'
+    AND oi.quantity > 0;
+$function$;
+
+-- Locks the batches that can serve p_quantity units (soonest expiry first) and
+-- returns how much to take from each. Raises INSUFFICIENT_STOCK otherwise.
+CREATE OR REPLACE FUNCTION public.allocate_inventory_stock(p_product_id uuid, p_inventory_id uuid, p_quantity integer)
+ RETURNS TABLE(alloc_inventory_id uuid, alloc_quantity integer)
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_row record;
+  v_remaining integer := p_quantity;
+BEGIN
+  FOR v_row IN
+    SELECT i.id, i.quantity - i.reserved_quantity AS available
+    FROM inventory i
+    WHERE (i.id = p_inventory_id OR (p_inventory_id IS NULL AND i.product_id = p_product_id))
+      AND i.is_active IS NOT FALSE
+      AND (i.expiry_date IS NULL OR i.expiry_date >= CURRENT_DATE)
+      AND i.quantity > i.reserved_quantity
+    ORDER BY i.expiry_date NULLS LAST, i.received_date NULLS LAST, i.created_at
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+    alloc_inventory_id := v_row.id;
+    alloc_quantity := LEAST(v_remaining, v_row.available);
+    v_remaining := v_remaining - alloc_quantity;
+    RETURN NEXT;
+  END LOOP;
+
+  IF v_remaining > 0 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_STOCK'
+      USING DETAIL = json_build_object(
+        'product_id', p_product_id,
+        'inventory_id', p_inventory_id,
+        'requested', p_quantity,
+        'available', p_quantity - v_remaining
+      )::text;
+  END IF;
+END;
+$function$;
+
+-- Closes active holds, gives their units back and logs one movement per hold
+CREATE OR REPLACE FUNCTION public.close_inventory_holds(p_hold_ids uuid[], p_status text, p_reason text)
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_hold inventory_holds%ROWTYPE;
+  v_released integer := 0;
+BEGIN
+  FOR v_hold IN
+    SELECT * FROM inventory_holds
+    WHERE id = ANY(p_hold_ids) AND status = 'active'
+    ORDER BY inventory_id
+    FOR UPDATE
+  LOOP
+    UPDATE inventory
+    SET reserved_quantity = GREATEST(0, reserved_quantity - v_hold.quantity),
+        updated_at = now()
+    WHERE id = v_hold.inventory_id;
+
+    UPDATE inventory_holds
+    SET status = p_status, closed_at = now(), close_reason = p_reason
+    WHERE id = v_hold.id;
+
+    INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+    VALUES (v_hold.inventory_id, 'released', v_hold.quantity, v_hold.order_id, 'order',
+            'Hold ' || p_status || ': ' || p_reason, auth.uid());
+
+    v_released := v_released + v_hold.quantity;
+  END LOOP;
+
+  RETURN v_released;
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.order_stock_requests(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.allocate_inventory_stock(uuid, uuid, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.close_inventory_holds(uuid[], text, text) FROM PUBLIC, anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- API
+-- ----------------------------------------------------------------------------
+
+-- Reserve stock for the lines of a pending order, once: an order that already
+-- holds or sold stock is refused (released holds of a cancelled order that was
+-- reopened do not count). All lines are reserved or none (the function runs
+-- in one transaction).
+CREATE OR REPLACE FUNCTION public.reserve_order_inventory(p_order_id uuid)
+ RETURNS SETOF public.inventory_holds
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_order record;
+  v_item record;
+  v_alloc record;
+  v_hold inventory_holds%ROWTYPE;
+  v_product_id uuid;
+  v_expires_at timestamptz := now() + make_interval(mins => inventory_hold_minutes());
+BEGIN
+  SELECT id, user_id, order_number, status::text AS status INTO v_order
+  FROM orders WHERE id = p_order_id
+  FOR UPDATE; -- a second call for the same order waits and then sees its holds
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF v_order.user_id IS DISTINCT FROM auth.uid() AND NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Not allowed to reserve stock for this order' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending orders can reserve stock';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM inventory_holds WHERE order_id = p_order_id AND status <> 'released') THEN
+    RAISE EXCEPTION 'Stock was already reserved for order %', v_order.order_number USING ERRCODE = '55000';
+  END IF;
+
+  -- Same product on several lines is reserved once; fixed order avoids deadlocks
+  FOR v_item IN
+    SELECT r.product_id, SUM(r.quantity)::integer AS quantity
+    FROM order_stock_requests(p_order_id) r
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    FOR v_alloc IN
+      SELECT * FROM allocate_inventory_stock(v_item.product_id, NULL, v_item.quantity)
+    LOOP
+      UPDATE inventory
+      SET reserved_quantity = reserved_quantity + v_alloc.alloc_quantity,
+          updated_at = now()
+      WHERE id = v_alloc.alloc_inventory_id
+      RETURNING product_id INTO v_product_id;
+
+      INSERT INTO inventory_holds (order_id, inventory_id, product_id, quantity, expires_at, created_by)
+      VALUES (p_order_id, v_alloc.alloc_inventory_id, v_product_id, v_alloc.alloc_quantity, v_expires_at, auth.uid())
+      RETURNING * INTO v_hold;
+
+      INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+      VALUES (v_alloc.alloc_inventory_id, 'reserved', -v_alloc.alloc_quantity, p_order_id, 'order',
+              'Reserved for order ' || v_order.order_number || ' until ' || to_char(v_expires_at, 'YYYY-MM-DD HH24:MI TZ'),
+              auth.uid());
+
+      RETURN NEXT v_hold;
+    END LOOP;
+  END LOOP;
+END;
+$function$;
+
+-- Give back every active hold of an order (cancellation, failed checkout)
+CREATE OR REPLACE FUNCTION public.release_order_inventory(p_order_id uuid, p_reason text DEFAULT 'cancelled')
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  IF NOT is_admin_user() AND NOT EXISTS (
+    SELECT 1 FROM orders WHERE id = p_order_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not allowed to release stock for this order' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN close_inventory_holds(
+    ARRAY(SELECT id FROM inventory_holds WHERE order_id = p_order_id AND status = 'active'),
+    'released',
+    COALESCE(NULLIF(p_reason, ''), 'cancelled')
+  );
+END;
+$function$;
+
+-- Turn an order's holds into a sale when its payment is validated (admin only),
+-- once: the order must still be pending and not sold yet. Lines come from
+-- order_stock_requests(); units not covered by a hold are taken from free
+-- stock and holds left over are released.
+CREATE OR REPLACE FUNCTION public.consume_order_inventory(p_order_id uuid)
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_order record;
+  v_item record;
+  v_hold inventory_holds%ROWTYPE;
+  v_alloc record;
+  v_remaining integer;
+  v_take integer;
+  v_sold integer := 0;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can sell reserved stock' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id, status::text AS status INTO v_order
+  FROM orders WHERE id = p_order_id
+  FOR UPDATE; -- a second validation of the same order waits and then sees the sale
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF v_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending orders can sell their stock' USING ERRCODE = '55000';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM inventory_holds WHERE order_id = p_order_id AND status = 'consumed') THEN
+    RAISE EXCEPTION 'Stock of order % was already sold', p_order_id USING ERRCODE = '55000';
+  END IF;
+
+  FOR v_item IN
+    SELECT r.product_id, SUM(r.quantity)::integer AS quantity
+    FROM order_stock_requests(p_order_id) r
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    v_remaining := v_item.quantity;
+
+    -- 1. Units this order already holds
+    FOR v_hold IN
+      SELECT * FROM inventory_holds
+      WHERE order_id = p_order_id
+        AND status = 'active'
+        AND product_id = v_item.product_id
+      ORDER BY inventory_id
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      v_take := LEAST(v_remaining, v_hold.quantity);
+
+      UPDATE inventory
+      SET quantity = quantity - v_take,
+          reserved_quantity = GREATEST(0, reserved_quantity - v_hold.quantity),
+          updated_at = now()
+      WHERE id = v_hold.inventory_id;
+
+      UPDATE inventory_holds
+      SET status = 'consumed', closed_at = now(), close_reason = 'payment_validated'
+      WHERE id = v_hold.id;
+
+      INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+      VALUES (v_hold.inventory_id, 'sold', -v_take, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+      IF v_take < v_hold.quantity THEN
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_hold.inventory_id, 'released', v_hold.quantity - v_take, p_order_id, 'order', 'Hold released: not sold', auth.uid());
+      END IF;
+
+      v_remaining := v_remaining - v_take;
+      v_sold := v_sold + v_take;
+    END LOOP;
+
+    -- 2. The rest (expired hold, combo components, legacy orders) from free stock
+    IF v_remaining > 0 THEN
+      FOR v_alloc IN
+        SELECT * FROM allocate_inventory_stock(v_item.product_id, NULL, v_remaining)
+      LOOP
+        UPDATE inventory
+        SET quantity = quantity - v_alloc.alloc_quantity,
+            updated_at = now()
+        WHERE id = v_alloc.alloc_inventory_id;
+
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_alloc.alloc_inventory_id, 'sold', -v_alloc.alloc_quantity, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+        v_sold := v_sold + v_alloc.alloc_quantity;
+      END LOOP;
+    END IF;
+  END LOOP;
+
+  PERFORM close_inventory_holds(
+    ARRAY(SELECT id FROM inventory_holds WHERE order_id = p_order_id AND status = 'active'),
+    'released',
+    'not_sold'
+  );
+
+  RETURN v_sold;
+END;
+$function$;
+
+-- Release holds of pending orders that reached their expiry without a payment
+-- proof, and any hold left on an order that is no longer pending or processing.
+CREATE OR REPLACE FUNCTION public.expire_inventory_holds()
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_released integer;
+BEGIN
+  v_released := close_inventory_holds(
+    ARRAY(
+      SELECT h.id
+      FROM inventory_holds h
+      JOIN orders o ON o.id = h.order_id
+      WHERE h.status = 'active'
+        AND h.expires_at <= now()
+        AND o.status::text = 'pending'
+        AND o.payment_status::text IN ('pending', 'rejected')
+    ),
+    'expired',
+    'payment_proof_timeout'
+  );
+
+  v_released := v_released + close_inventory_holds(
+    ARRAY(
+      SELECT h.id
+      FROM inventory_holds h
+      JOIN orders o ON o.id = h.order_id
+      WHERE h.status = 'active'
+        AND o.status::text NOT IN ('pending', 'processing')
+    ),
+    'released',
+    'order_closed'
+  );
+
+  RETURN v_released;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.reserve_order_inventory(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.release_order_inventory(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_order_inventory(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_inventory_holds() TO authenticated;
+
+-- Sweep expired holds every five minutes where pg_cron is available
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('expire-inventory-holds', '*/5 * * * *', 'SELECT public.expire_inventory_holds()');
+  END IF;
+END;
+$$;
@@ -0,0 +1,307 @@
+-- ============================================================================
+-- FEFO BATCH ALLOCATION PER ORDER LINE
+-- allocate_inventory_stock already serves the batch that expires first. This
+-- links every hold to the order_items row it serves and keeps the chosen
+-- batches on order_items.batch_allocations:
+--   [{ inventory_id, batch_number, expiry_date, quantity, status }]
+-- Units sold from free stock (combo components, expired holds) are recorded
+-- as consumed holds so the allocation of a validated order is complete.
+-- ============================================================================
+
+ALTER TABLE public.inventory_holds
+    ADD COLUMN IF NOT EXISTS order_item_id UUID REFERENCES public.order_items(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_holds_order_item ON public.inventory_holds(order_item_id);
+
+ALTER TABLE public.order_items
+    ADD COLUMN IF NOT EXISTS batch_allocations JSONB NOT NULL DEFAULT '[]';
+
+-- Batches with stock, soonest expiry first (expiring-stock view and FEFO preview)
+CREATE INDEX IF NOT EXISTS idx_inventory_product_expiry ON public.inventory(product_id, expiry_date)
+    WHERE is_active IS NOT FALSE;
+
+-- ----------------------------------------------------------------------------
+-- Internal helpers
+-- ----------------------------------------------------------------------------
+
+-- Rebuild batch_allocations (and inventory_id = first batch) for an order's lines
+CREATE OR REPLACE FUNCTION public.refresh_order_item_batches(p_order_id uuid)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  UPDATE order_items oi
+  SET
+    batch_allocations = COALESCE(alloc.batches, '[]'::jsonb),
+    inventory_id = COALESCE(alloc.first_inventory_id, oi.inventory_id)
+  FROM (
+    SELECT
+      items.id,
+      (
+        SELECT jsonb_agg(jsonb_build_object(
+          'inventory_id', h.inventory_id,
+          'product_id', h.product_id,
+          'batch_number', i.batch_number,
+          'expiry_date', i.expiry_date,
+          'quantity', h.quantity,
+          'status', h.status
+        ) ORDER BY i.expiry_date NULLS LAST, h.created_at)
+        FROM inventory_holds h
+        JOIN inventory i ON i.id = h.inventory_id
+        WHERE h.order_item_id = items.id AND h.status IN ('active', 'consumed')
+      ) AS batches,
+      (
+        SELECT h.inventory_id
+        FROM inventory_holds h
+        JOIN inventory i ON i.id = h.inventory_id
+        WHERE h.order_item_id = items.id AND h.status IN ('active', 'consumed')
+        ORDER BY i.expiry_date NULLS LAST, h.created_at
+        LIMIT 1
+      ) AS first_inventory_id
+    FROM order_items items
+    WHERE items.order_id = p_order_id
+  ) alloc
+  WHERE oi.id = alloc.id;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.close_inventory_holds(p_hold_ids uuid[], p_status text, p_reason text)
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_hold inventory_holds%ROWTYPE;
+  v_released integer := 0;
+  v_order_ids uuid[] := '{}';
+  v_order_id uuid;
+BEGIN
+  FOR v_hold IN
+    SELECT * FROM inventory_holds
+    WHERE id = ANY(p_hold_ids) AND status = 'active'
+    ORDER BY inventory_id
+    FOR UPDATE
+  LOOP
+    UPDATE inventory
+    SET reserved_quantity = GREATEST(0, reserved_quantity - v_hold.quantity),
+        updated_at = now()
+    WHERE id = v_hold.inventory_id;
+
+    UPDATE inventory_holds
+    SET status = p_status, closed_at = now(), close_reason = p_reason
+    WHERE id = v_hold.id;
+
+    INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+    VALUES (v_hold.inventory_id, 'released', v_hold.quantity, v_hold.order_id, 'order',
+            'Hold ' || p_status || ': ' || p_reason, auth.uid());
+
+    v_released := v_released + v_hold.quantity;
+    IF NOT v_hold.order_id = ANY(v_order_ids) THEN
+      v_order_ids := array_append(v_order_ids, v_hold.order_id);
+    END IF;
+  END LOOP;
+
+  FOREACH v_order_id IN ARRAY v_order_ids LOOP
+    PERFORM refresh_order_item_batches(v_order_id);
+  END LOOP;
+
+  RETURN v_released;
+END;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_order_item_batches(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.close_inventory_holds(uuid[], text, text) FROM PUBLIC, anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- API (same signatures; holds now carry order_item_id)
+-- ----------------------------------------------------------------------------
+
+-- Holds are taken per order line from order_stock_requests()
+CREATE OR REPLACE FUNCTION public.reserve_order_inventory(p_order_id uuid)
+ RETURNS SETOF public.inventory_holds
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_order record;
+  v_item record;
+  v_alloc record;
+  v_hold inventory_holds%ROWTYPE;
+  v_product_id uuid;
+  v_expires_at timestamptz := now() + make_interval(mins => inventory_hold_minutes());
+BEGIN
+  SELECT id, user_id, order_number, status::text AS status INTO v_order
+  FROM orders WHERE id = p_order_id
+  FOR UPDATE; -- a second call for the same order waits and then sees its holds
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF v_order.user_id IS DISTINCT FROM auth.uid() AND NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Not allowed to reserve stock for this order' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending orders can reserve stock';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM inventory_holds WHERE order_id = p_order_id AND status <> 'released') THEN
+    RAISE EXCEPTION 'Stock was already reserved for order %', v_order.order_number USING ERRCODE = '55000';
+  END IF;
+
+  -- Fixed order avoids deadlocks between concurrent checkouts
+  FOR v_item IN
+    SELECT r.order_item_id, r.product_id, SUM(r.quantity)::integer AS quantity
+    FROM order_stock_requests(p_order_id) r
+    GROUP BY 1, 2
+    ORDER BY 2, 1
+  LOOP
+    FOR v_alloc IN
+      SELECT * FROM allocate_inventory_stock(v_item.product_id, NULL, v_item.quantity)
+    LOOP
+      UPDATE inventory
+      SET reserved_quantity = reserved_quantity + v_alloc.alloc_quantity,
+          updated_at = now()
+      WHERE id = v_alloc.alloc_inventory_id
+      RETURNING product_id INTO v_product_id;
+
+      INSERT INTO inventory_holds (order_id, order_item_id, inventory_id, product_id, quantity, expires_at, created_by)
+      VALUES (p_order_id, v_item.order_item_id, v_alloc.alloc_inventory_id, v_product_id, v_alloc.alloc_quantity, v_expires_at, auth.uid())
+      RETURNING * INTO v_hold;
+
+      INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+      VALUES (v_alloc.alloc_inventory_id, 'reserved', -v_alloc.alloc_quantity, p_order_id, 'order',
+              'Reserved for order ' || v_order.order_number || ' until ' || to_char(v_expires_at, 'YYYY-MM-DD HH24:MI TZ'),
+              auth.uid());
+
+      RETURN NEXT v_hold;
+    END LOOP;
+  END LOOP;
+
+  PERFORM refresh_order_item_batches(p_order_id);
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.consume_order_inventory(p_order_id uuid)
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_order record;
+  v_item record;
+  v_hold inventory_holds%ROWTYPE;
+  v_alloc record;
+  v_remaining integer;
+  v_take integer;
+  v_sold integer := 0;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can sell reserved stock' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id, status::text AS status INTO v_order
+  FROM orders WHERE id = p_order_id
+  FOR UPDATE; -- a second validation of the same order waits and then sees the sale
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF v_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending orders can sell their stock' USING ERRCODE = '55000';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM inventory_holds WHERE order_id = p_order_id AND status = 'consumed') THEN
+    RAISE EXCEPTION 'Stock of order % was already sold', p_order_id USING ERRCODE = '55000';
+  END IF;
+
+  FOR v_item IN
+    SELECT r.order_item_id, r.product_id, SUM(r.quantity)::integer AS quantity
+    FROM order_stock_requests(p_order_id) r
+    GROUP BY 1, 2
+    ORDER BY 2, 1
+  LOOP
+    v_remaining := v_item.quantity;
+
+    -- 1. Units this line already holds (holds from before per-line tracking match by product)
+    FOR v_hold IN
+      SELECT * FROM inventory_holds h
+      WHERE h.order_id = p_order_id
+        AND h.status = 'active'
+        AND h.product_id = v_item.product_id
+        AND (h.order_item_id IS NULL OR h.order_item_id IS NOT DISTINCT FROM v_item.order_item_id)
+      ORDER BY h.order_item_id NULLS LAST, h.inventory_id
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      v_take := LEAST(v_remaining, v_hold.quantity);
+
+      UPDATE inventory
+      SET quantity = quantity - v_take,
+          reserved_quantity = GREATEST(0, reserved_quantity - v_hold.quantity),
+          updated_at = now()
+      WHERE id = v_hold.inventory_id;
+
+      UPDATE inventory_holds
+      SET status = 'consumed',
+          quantity = v_take,
+          order_item_id = COALESCE(order_item_id, v_item.order_item_id),
+          closed_at = now(),
+          close_reason = 'payment_validated'
+      WHERE id = v_hold.id;
+
+      INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+      VALUES (v_hold.inventory_id, 'sold', -v_take, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+      IF v_take < v_hold.quantity THEN
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_hold.inventory_id, 'released', v_hold.quantity - v_take, p_order_id, 'order', 'Hold released: not sold', auth.uid());
+      END IF;
+
+      v_remaining := v_remaining - v_take;
+      v_sold := v_sold + v_take;
+    END LOOP;
+
+    -- 2. The rest from free stock, first-expired-first-out
+    IF v_remaining > 0 THEN
+      FOR v_alloc IN
+        SELECT * FROM allocate_inventory_stock(v_item.product_id, NULL, v_remaining)
+      LOOP
+        UPDATE inventory
+        SET quantity = quantity - v_alloc.alloc_quantity,
+            updated_at = now()
+        WHERE id = v_alloc.alloc_inventory_id;
+
+        INSERT INTO inventory_holds (order_id, order_item_id, inventory_id, product_id, quantity, status, expires_at, closed_at, close_reason, created_by)
+        SELECT p_order_id, v_item.order_item_id, i.id, i.product_id, v_alloc.alloc_quantity, 'consumed', now(), now(), 'payment_validated', auth.uid()
+        FROM inventory i WHERE i.id = v_alloc.alloc_inventory_id;
+
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_alloc.alloc_inventory_id, 'sold', -v_alloc.alloc_quantity, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+        v_sold := v_sold + v_alloc.alloc_quantity;
+      END LOOP;
+    END IF;
+  END LOOP;
+
+  PERFORM close_inventory_holds(
+    ARRAY(SELECT id FROM inventory_holds WHERE order_id = p_order_id AND status = 'active'),
+    'released',
+    'not_sold'
+  );
+
+  PERFORM refresh_order_item_batches(p_order_id);
+
+  RETURN v_sold;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.reserve_order_inventory(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_order_inventory(uuid) TO authenticated;
@@ -0,0 +1,448 @@
+-- ============================================================================
+-- STOCK RECEIVING, ADJUSTMENTS AND STOCK-TAKE
+-- Stock used to be set directly on inventory from the product form, so on-hand
+-- quantities could not be traced. Every change now goes through a function
+-- that writes inventory_movements:
+--   receive_stock           purchase receipt → one batch per line ('received')
+--   adjust_inventory_stock  reason-coded adjustment ('damage', 'shrinkage',
+--                           'return', 'adjustment')
+--   start/record/complete_stock_take  counted vs system quantities ('count')
+-- Movements carry the reason, unit cost and the batch quantity after the change.
+-- ============================================================================
+
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'received';
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'damage';
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'shrinkage';
+ALTER TYPE movement_type ADD VALUE IF NOT EXISTS 'count';
+ALTER TYPE item_type ADD VALUE IF NOT EXISTS 'stock_receipt';
+ALTER TYPE item_type ADD VALUE IF NOT EXISTS 'stock_take';
+
+ALTER TABLE public.inventory_movements
+    ADD COLUMN IF NOT EXISTS reason_code TEXT,
+    ADD COLUMN IF NOT EXISTS unit_cost NUMERIC(12,2),
+    ADD COLUMN IF NOT EXISTS quantity_after INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_inventory_created
+    ON public.inventory_movements(inventory_id, created_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Purchase receipts
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.stock_receipts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    supplier_name TEXT NOT NULL,
+    supplier_reference TEXT,
+    received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    total_units INTEGER NOT NULL DEFAULT 0,
+    total_cost NUMERIC(12,2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_receipts_received ON public.stock_receipts(received_date DESC);
+
+-- Batch created by a receipt line
+ALTER TABLE public.inventory
+    ADD COLUMN IF NOT EXISTS stock_receipt_id UUID REFERENCES public.stock_receipts(id) ON DELETE SET NULL;
+
+-- ----------------------------------------------------------------------------
+-- Stock-takes
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.stock_takes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'completed', 'cancelled')),
+    category_id UUID REFERENCES public.product_categories(id) ON DELETE SET NULL,
+    notes TEXT,
+    lines_counted INTEGER NOT NULL DEFAULT 0,
+    units_variance INTEGER NOT NULL DEFAULT 0,
+    started_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One open stock-take at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_takes_single_open
+    ON public.stock_takes(status) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS public.stock_take_lines (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    stock_take_id UUID NOT NULL REFERENCES public.stock_takes(id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES public.inventory(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    system_quantity INTEGER NOT NULL,
+    counted_quantity INTEGER CHECK (counted_quantity >= 0),
+    variance INTEGER,
+    notes TEXT,
+    counted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    counted_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (stock_take_id, inventory_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_take_lines_take ON public.stock_take_lines(stock_take_id);
+
+-- Written only by the functions below
+ALTER TABLE public.stock_receipts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stock_takes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stock_take_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "stock_receipts_select" ON public.stock_receipts
+    FOR SELECT TO authenticated USING ((select is_admin_user()));
+CREATE POLICY "stock_takes_select" ON public.stock_takes
+    FOR SELECT TO authenticated USING ((select is_admin_user()));
+CREATE POLICY "stock_take_lines_select" ON public.stock_take_lines
+    FOR SELECT TO authenticated USING ((select is_admin_user()));
+
+GRANT SELECT ON public.stock_receipts, public.stock_takes, public.stock_take_lines TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Opening balances: explain the stock that existed before movements were
+-- complete with one 'adjustment' movement per batch ('count' cannot be used in
+-- the transaction that adds it)
+-- ----------------------------------------------------------------------------
+
+INSERT INTO public.inventory_movements (inventory_id, movement_type, quantity_change, notes, reason_code, quantity_after)
+SELECT i.id, 'adjustment', i.quantity - COALESCE(m.on_hand, 0), 'Opening balance', 'opening_balance', i.quantity
+FROM public.inventory i
+LEFT JOIN (
+    SELECT inventory_id, SUM(quantity_change)::integer AS on_hand
+    FROM public.inventory_movements
+    WHERE movement_type::text NOT IN ('reserved', 'released')
+    GROUP BY inventory_id
+) m ON m.inventory_id = i.id
+WHERE i.quantity <> COALESCE(m.on_hand, 0);
+
+-- ----------------------------------------------------------------------------
+-- API (admins only)
+-- ----------------------------------------------------------------------------
+
+-- Purchase receipt. p_lines: [{ product_id, quantity, cost_per_unit?, batch_number?, expiry_date? }]
+CREATE OR REPLACE FUNCTION public.receive_stock(
+    p_supplier_name text,
+    p_supplier_reference text,
+    p_received_date date,
+    p_notes text,
+    p_lines jsonb
+)
+ RETURNS public.stock_receipts
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_receipt stock_receipts%ROWTYPE;
+  v_line record;
+  v_inventory_id uuid;
+  v_index integer := 0;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can receive stock' USING ERRCODE = '42501';
+  END IF;
+
+  IF NULLIF(trim(p_supplier_name), '') IS NULL THEN
+    RAISE EXCEPTION 'Supplier is required';
+  END IF;
+
+  IF jsonb_array_length(COALESCE(p_lines, '[]'::jsonb)) = 0 THEN
+    RAISE EXCEPTION 'A receipt needs at least one line';
+  END IF;
+
+  INSERT INTO stock_receipts (supplier_name, supplier_reference, received_date, notes, created_by)
+  VALUES (trim(p_supplier_name), NULLIF(trim(p_supplier_reference), ''),
+          COALESCE(p_received_date, CURRENT_DATE), NULLIF(trim(p_notes), ''), auth.uid())
+  RETURNING * INTO v_receipt;
+
+  FOR v_line IN
+    SELECT
+      (e->>'product_id')::uuid AS product_id,
+      (e->>'quantity')::integer AS quantity,
+      NULLIF(e->>'cost_per_unit', '')::numeric AS cost_per_unit,
+      NULLIF(trim(e->>'batch_number'), '') AS batch_number,
+      NULLIF(e->>'expiry_date', '')::date AS expiry_date
+    FROM jsonb_array_elements(p_lines) e
+  LOOP
+    v_index := v_index + 1;
+
+    IF v_line.quantity IS NULL OR v_line.quantity <= 0 THEN
+      RAISE EXCEPTION 'Line %: quantity must be positive', v_index;
+    END IF;
+    IF v_line.cost_per_unit < 0 THEN
+      RAISE EXCEPTION 'Line %: cost per unit cannot be negative', v_index;
+    END IF;
+
+    INSERT INTO inventory (product_id, batch_number, quantity, cost_per_unit, expiry_date, received_date,
+                           supplier_reference, stock_receipt_id, is_active)
+    VALUES (v_line.product_id,
+            COALESCE(v_line.batch_number, 'RCV-' || to_char(v_receipt.received_date, 'YYYYMMDD') || '-' || left(v_receipt.id::text, 4) || '-' || v_index),
+            v_line.quantity, v_line.cost_per_unit, v_line.expiry_date, v_receipt.received_date,
+            concat_ws(' / ', v_receipt.supplier_name, v_receipt.supplier_reference), v_receipt.id, true)
+    RETURNING id INTO v_inventory_id;
+
+    INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type,
+                                     notes, created_by, unit_cost, quantity_after)
+    VALUES (v_inventory_id, 'received', v_line.quantity, v_receipt.id, 'stock_receipt',
+            'Received from ' || v_receipt.supplier_name, auth.uid(), v_line.cost_per_unit, v_line.quantity);
+
+    v_receipt.total_units := v_receipt.total_units + v_line.quantity;
+    v_receipt.total_cost := v_receipt.total_cost + v_line.quantity * COALESCE(v_line.cost_per_unit, 0);
+  END LOOP;
+
+  UPDATE stock_receipts
+  SET total_units = v_receipt.total_units, total_cost = v_receipt.total_cost
+  WHERE id = v_receipt.id
+  RETURNING * INTO v_receipt;
+
+  RETURN v_receipt;
+END;
+$function$;
+
+-- Reason-coded adjustment of one batch. One-way reasons take the sign from the
+-- reason (see ADJUSTMENT_REASONS in src/lib/stockMovements.js).
+CREATE OR REPLACE FUNCTION public.adjust_inventory_stock(
+    p_inventory_id uuid,
+    p_quantity_change integer,
+    p_reason text,
+    p_notes text DEFAULT NULL
+)
+ RETURNS public.inventory
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_inventory inventory%ROWTYPE;
+  v_movement text;
+  v_direction integer;
+  v_change integer;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can adjust stock' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT m.movement, m.direction INTO v_movement, v_direction
+  FROM (VALUES
+    ('damaged', 'damage', -1),
+    ('expired', 'damage', -1),
+    ('shrinkage', 'shrinkage', -1),
+    ('theft', 'shrinkage', -1),
+    ('supplier_return', 'return', -1),
+    ('found', 'adjustment', 1),
+    ('correction', 'adjustment', 0)
+  ) AS m(reason, movement, direction)
+  WHERE m.reason = p_reason;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Unknown adjustment reason: %', p_reason;
+  END IF;
+
+  IF COALESCE(p_quantity_change, 0) = 0 THEN
+    RAISE EXCEPTION 'Adjustment quantity cannot be zero';
+  END IF;
+
+  v_change := CASE WHEN v_direction = 0 THEN p_quantity_change ELSE v_direction * abs(p_quantity_change) END;
+
+  UPDATE inventory
+  SET quantity = quantity + v_change, updated_at = now()
+  WHERE id = p_inventory_id
+    AND quantity + v_change >= reserved_quantity
+  RETURNING * INTO v_inventory;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_inventory FROM inventory WHERE id = p_inventory_id;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Inventory batch % not found', p_inventory_id;
+    END IF;
+    RAISE EXCEPTION 'INSUFFICIENT_STOCK'
+      USING DETAIL = json_build_object(
+        'product_id', v_inventory.product_id,
+        'inventory_id', p_inventory_id,
+        'requested', abs(v_change),
+        'available', v_inventory.quantity - v_inventory.reserved_quantity
+      )::text;
+  END IF;
+
+  INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, notes, created_by,
+                                   reason_code, unit_cost, quantity_after)
+  VALUES (p_inventory_id, v_movement::movement_type, v_change, NULLIF(trim(p_notes), ''), auth.uid(),
+          p_reason, v_inventory.cost_per_unit, v_inventory.quantity);
+
+  RETURN v_inventory;
+END;
+$function$;
+
+-- Open a stock-take with a snapshot of every active batch (optionally one category)
+CREATE OR REPLACE FUNCTION public.start_stock_take(p_category_id uuid DEFAULT NULL, p_notes text DEFAULT NULL)
+ RETURNS public.stock_takes
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_take stock_takes%ROWTYPE;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can run stock-takes' USING ERRCODE = '42501';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM stock_takes WHERE status = 'open') THEN
+    RAISE EXCEPTION 'A stock-take is already open';
+  END IF;
+
+  INSERT INTO stock_takes (category_id, notes, started_by)
+  VALUES (p_category_id, NULLIF(trim(p_notes), ''), auth.uid())
+  RETURNING * INTO v_take;
+
+  INSERT INTO stock_take_lines (stock_take_id, inventory_id, product_id, system_quantity)
+  SELECT v_take.id, i.id, i.product_id, i.quantity
+  FROM inventory i
+  JOIN products p ON p.id = i.product_id
+  WHERE i.is_active IS NOT FALSE
+    AND (p_category_id IS NULL OR p.category_id = p_category_id);
+
+  RETURN v_take;
+END;
+$function$;
+
+-- Record (or clear, with NULL) the counted quantity of a line
+CREATE OR REPLACE FUNCTION public.record_stock_count(p_line_id uuid, p_counted integer, p_notes text DEFAULT NULL)
+ RETURNS public.stock_take_lines
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_line stock_take_lines%ROWTYPE;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can run stock-takes' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_counted < 0 THEN
+    RAISE EXCEPTION 'Counted quantity cannot be negative';
+  END IF;
+
+  UPDATE stock_take_lines l
+  SET counted_quantity = p_counted,
+      variance = p_counted - l.system_quantity,
+      notes = COALESCE(NULLIF(trim(p_notes), ''), l.notes),
+      counted_by = CASE WHEN p_counted IS NULL THEN NULL ELSE auth.uid() END,
+      counted_at = CASE WHEN p_counted IS NULL THEN NULL ELSE now() END
+  FROM stock_takes t
+  WHERE l.id = p_line_id
+    AND t.id = l.stock_take_id
+    AND t.status = 'open'
+  RETURNING l.* INTO v_line;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock-take line not found or stock-take closed';
+  END IF;
+
+  RETURN v_line;
+END;
+$function$;
+
+-- Apply counted lines: variance = counted - system quantity at the start of
+-- the count, added to the current quantity so sales made meanwhile are kept.
+-- Lines never counted are left untouched.
+CREATE OR REPLACE FUNCTION public.complete_stock_take(p_stock_take_id uuid)
+ RETURNS public.stock_takes
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_take stock_takes%ROWTYPE;
+  v_line record;
+  v_inventory inventory%ROWTYPE;
+  v_counted integer := 0;
+  v_units integer := 0;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can run stock-takes' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_take FROM stock_takes WHERE id = p_stock_take_id FOR UPDATE;
+  IF NOT FOUND OR v_take.status <> 'open' THEN
+    RAISE EXCEPTION 'Stock-take not found or already closed';
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM stock_take_lines
+    WHERE stock_take_id = p_stock_take_id AND counted_quantity IS NOT NULL
+    ORDER BY inventory_id
+  LOOP
+    v_counted := v_counted + 1;
+    CONTINUE WHEN v_line.variance = 0;
+
+    UPDATE inventory
+    SET quantity = quantity + v_line.variance, updated_at = now()
+    WHERE id = v_line.inventory_id
+      AND quantity + v_line.variance >= reserved_quantity
+    RETURNING * INTO v_inventory;
+
+    IF NOT FOUND THEN
+      SELECT * INTO v_inventory FROM inventory WHERE id = v_line.inventory_id;
+      RAISE EXCEPTION 'INSUFFICIENT_STOCK'
+        USING DETAIL = json_build_object(
+          'product_id', v_line.product_id,
+          'inventory_id', v_line.inventory_id,
+          'requested', abs(v_line.variance),
+          'available', v_inventory.quantity - v_inventory.reserved_quantity
+        )::text;
+    END IF;
+
+    INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type,
+                                     notes, created_by, reason_code, unit_cost, quantity_after)
+    VALUES (v_line.inventory_id, 'count', v_line.variance, p_stock_take_id, 'stock_take',
+            COALESCE(v_line.notes, 'Stock-take count'), auth.uid(), 'stock_take',
+            v_inventory.cost_per_unit, v_inventory.quantity);
+
+    v_units := v_units + v_line.variance;
+  END LOOP;
+
+  UPDATE stock_takes
+  SET status = 'completed', lines_counted = v_counted, units_variance = v_units,
+      closed_by = auth.uid(), closed_at = now()
+  WHERE id = p_stock_take_id
+  RETURNING * INTO v_take;
+
+  RETURN v_take;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.cancel_stock_take(p_stock_take_id uuid)
+ RETURNS public.stock_takes
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_take stock_takes%ROWTYPE;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can run stock-takes' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE stock_takes
+  SET status = 'cancelled', closed_by = auth.uid(), closed_at = now()
+  WHERE id = p_stock_take_id AND status = 'open'
+  RETURNING * INTO v_take;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock-take not found or already closed';
+  END IF;
+
+  RETURN v_take;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.receive_stock(text, text, date, text, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.adjust_inventory_stock(uuid, integer, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.start_stock_take(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.record_stock_count(uuid, integer, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.complete_stock_take(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_stock_take(uuid) TO authenticated;
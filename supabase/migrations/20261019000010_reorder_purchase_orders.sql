@@ -0,0 +1,265 @@
+-- ============================================================================
+-- REORDER POINTS AND SUPPLIER PURCHASE ORDERS
+-- Low-stock alerts existed (notifyAdminLowStock) but nothing said when or how
+-- much to reorder. Products now carry a reorder point, a lead time and a
+-- preferred supplier; suggested quantities are computed client-side from sales
+-- velocity in order_items (src/lib/reorderPlanning.js).
+--
+-- Purchase orders go draft → sent → received. Receiving one runs receive_stock,
+-- so the goods arrive as a stock receipt with 'received' movements.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Suppliers
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.suppliers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    contact_name TEXT,
+    phone TEXT,
+    email TEXT,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_updated_at ON public.suppliers;
+CREATE TRIGGER update_updated_at
+    BEFORE UPDATE ON public.suppliers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ----------------------------------------------------------------------------
+-- Reorder settings per product
+-- reorder_point NULL = derived from sales velocity × lead time + min_stock_alert
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.products
+    ADD COLUMN IF NOT EXISTS reorder_point INTEGER CHECK (reorder_point >= 0),
+    ADD COLUMN IF NOT EXISTS lead_time_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_time_days > 0),
+    ADD COLUMN IF NOT EXISTS preferred_supplier_id UUID REFERENCES public.suppliers(id) ON DELETE SET NULL;
+
+-- ----------------------------------------------------------------------------
+-- Purchase orders
+-- ----------------------------------------------------------------------------
+
+CREATE SEQUENCE IF NOT EXISTS public.purchase_order_number_seq;
+
+CREATE TABLE IF NOT EXISTS public.purchase_orders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    po_number TEXT NOT NULL UNIQUE
+        DEFAULT 'PO-' || to_char(CURRENT_DATE, 'YYYYMMDD') || '-' || nextval('public.purchase_order_number_seq'),
+    supplier_id UUID NOT NULL REFERENCES public.suppliers(id) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'received', 'cancelled')),
+    expected_date DATE,
+    notes TEXT,
+    total_units INTEGER NOT NULL DEFAULT 0,
+    total_cost NUMERIC(12,2) NOT NULL DEFAULT 0,
+    stock_receipt_id UUID REFERENCES public.stock_receipts(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON public.purchase_orders(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON public.purchase_orders(supplier_id);
+
+DROP TRIGGER IF EXISTS update_updated_at ON public.purchase_orders;
+CREATE TRIGGER update_updated_at
+    BEFORE UPDATE ON public.purchase_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS public.purchase_order_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    purchase_order_id UUID NOT NULL REFERENCES public.purchase_orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    cost_per_unit NUMERIC(12,2) CHECK (cost_per_unit >= 0),
+    -- What the reorder suggestion proposed, to compare with what was ordered
+    suggested_quantity INTEGER,
+    received_quantity INTEGER CHECK (received_quantity >= 0),
+    UNIQUE (purchase_order_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON public.purchase_order_items(purchase_order_id);
+
+ALTER TABLE public.stock_receipts
+    ADD COLUMN IF NOT EXISTS purchase_order_id UUID REFERENCES public.purchase_orders(id) ON DELETE SET NULL;
+
+-- ----------------------------------------------------------------------------
+-- RLS: admins manage suppliers and draft purchase orders directly; status
+-- changes after the draft go through the functions below
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.purchase_order_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "suppliers_admin_all" ON public.suppliers
+    FOR ALL TO authenticated
+    USING ((select is_admin_user()))
+    WITH CHECK ((select is_admin_user()));
+
+CREATE POLICY "purchase_orders_select" ON public.purchase_orders
+    FOR SELECT TO authenticated USING ((select is_admin_user()));
+CREATE POLICY "purchase_orders_insert_draft" ON public.purchase_orders
+    FOR INSERT TO authenticated WITH CHECK ((select is_admin_user()) AND status = 'draft');
+CREATE POLICY "purchase_orders_update_draft" ON public.purchase_orders
+    FOR UPDATE TO authenticated
+    USING ((select is_admin_user()) AND status = 'draft')
+    WITH CHECK ((select is_admin_user()) AND status = 'draft');
+CREATE POLICY "purchase_orders_delete_draft" ON public.purchase_orders
+    FOR DELETE TO authenticated USING ((select is_admin_user()) AND status = 'draft');
+
+CREATE POLICY "purchase_order_items_select" ON public.purchase_order_items
+    FOR SELECT TO authenticated USING ((select is_admin_user()));
+CREATE POLICY "purchase_order_items_write_draft" ON public.purchase_order_items
+    FOR ALL TO authenticated
+    USING ((select is_admin_user()) AND EXISTS (
+        SELECT 1 FROM public.purchase_orders po
+        WHERE po.id = purchase_order_id AND po.status = 'draft'
+    ))
+    WITH CHECK ((select is_admin_user()) AND EXISTS (
+        SELECT 1 FROM public.purchase_orders po
+        WHERE po.id = purchase_order_id AND po.status = 'draft'
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.suppliers, public.purchase_orders, public.purchase_order_items TO authenticated;
+GRANT USAGE ON SEQUENCE public.purchase_order_number_seq TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- API (admins only)
+-- ----------------------------------------------------------------------------
+
+-- Draft → sent. Totals are frozen from the lines at this point.
+CREATE OR REPLACE FUNCTION public.send_purchase_order(p_purchase_order_id uuid)
+ RETURNS public.purchase_orders
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_po purchase_orders%ROWTYPE;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can send purchase orders' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM purchase_order_items WHERE purchase_order_id = p_purchase_order_id) THEN
+    RAISE EXCEPTION 'A purchase order needs at least one line';
+  END IF;
+
+  UPDATE purchase_orders po
+  SET status = 'sent',
+      sent_at = now(),
+      total_units = t.units,
+      total_cost = t.cost
+  FROM (
+    SELECT SUM(quantity)::integer AS units, COALESCE(SUM(quantity * COALESCE(cost_per_unit, 0)), 0) AS cost
+    FROM purchase_order_items
+    WHERE purchase_order_id = p_purchase_order_id
+  ) t
+  WHERE po.id = p_purchase_order_id AND po.status = 'draft'
+  RETURNING po.* INTO v_po;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Purchase order not found or not a draft';
+  END IF;
+
+  RETURN v_po;
+END;
+$function$;
+
+-- Sent → received. p_lines: [{ product_id, quantity, cost_per_unit?, batch_number?, expiry_date? }]
+-- with the quantities actually delivered (lines with quantity 0 are skipped).
+-- The goods become a stock receipt linked to the purchase order.
+CREATE OR REPLACE FUNCTION public.receive_purchase_order(
+    p_purchase_order_id uuid,
+    p_received_date date,
+    p_notes text,
+    p_lines jsonb
+)
+ RETURNS public.purchase_orders
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_po purchase_orders%ROWTYPE;
+  v_supplier suppliers%ROWTYPE;
+  v_receipt stock_receipts%ROWTYPE;
+  v_lines jsonb;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can receive purchase orders' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_po FROM purchase_orders WHERE id = p_purchase_order_id FOR UPDATE;
+  IF NOT FOUND OR v_po.status <> 'sent' THEN
+    RAISE EXCEPTION 'Purchase order not found or not sent';
+  END IF;
+
+  SELECT * INTO v_supplier FROM suppliers WHERE id = v_po.supplier_id;
+
+  SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) INTO v_lines
+  FROM jsonb_array_elements(COALESCE(p_lines, '[]'::jsonb)) e
+  WHERE COALESCE(NULLIF(e->>'quantity', '')::integer, 0) > 0;
+
+  v_receipt := receive_stock(v_supplier.name, v_po.po_number, p_received_date, p_notes, v_lines);
+
+  UPDATE stock_receipts SET purchase_order_id = v_po.id WHERE id = v_receipt.id;
+
+  UPDATE purchase_order_items poi
+  SET received_quantity = COALESCE((
+    SELECT SUM((e->>'quantity')::integer)::integer
+    FROM jsonb_array_elements(v_lines) e
+    WHERE (e->>'product_id')::uuid = poi.product_id
+  ), 0)
+  WHERE poi.purchase_order_id = v_po.id;
+
+  UPDATE purchase_orders
+  SET status = 'received', received_at = now(), stock_receipt_id = v_receipt.id
+  WHERE id = v_po.id
+  RETURNING * INTO v_po;
+
+  RETURN v_po;
+END;
+$function$;
+
+-- Draft or sent → cancelled
+CREATE OR REPLACE FUNCTION public.cancel_purchase_order(p_purchase_order_id uuid)
+ RETURNS public.purchase_orders
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_po purchase_orders%ROWTYPE;
+BEGIN
+  IF NOT is_admin_user() THEN
+    RAISE EXCEPTION 'Only admins can cancel purchase orders' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE purchase_orders
+  SET status = 'cancelled', cancelled_at = now()
+  WHERE id = p_purchase_order_id AND status IN ('draft', 'sent')
+  RETURNING * INTO v_po;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Purchase order not found or already closed';
+  END IF;
+
+  RETURN v_po;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.send_purchase_order(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.receive_purchase_order(uuid, date, text, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_purchase_order(uuid) TO authenticated;
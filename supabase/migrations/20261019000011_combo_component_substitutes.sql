@@ -0,0 +1,168 @@
+-- ============================================================================
+-- COMBO AVAILABILITY FROM COMPONENTS, WITH APPROVED SUBSTITUTES
+-- A combo's sellable quantity is the minimum over its components
+-- (src/lib/comboAvailability.js). Admins can approve substitutes for a
+-- component (e.g. another brand of rice), tried in priority order when the
+-- component runs short. allow_partial = false means the substitute only
+-- replaces the component's whole quantity inside one combo.
+--
+-- Checkout resolves each combo line to real products and stores them in
+-- order_items.combo_components (checked against the catalog on insert);
+-- reserve and consume take exactly those, so combos hold component inventory
+-- from the moment the order is placed.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.combo_item_substitutes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    combo_id UUID NOT NULL REFERENCES public.combo_products(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    substitute_product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    allow_partial BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (combo_id, product_id, substitute_product_id),
+    CHECK (product_id <> substitute_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_combo_item_substitutes_combo ON public.combo_item_substitutes(combo_id);
+
+-- Catalog data: readable by everyone like combo_items, managed by admins
+ALTER TABLE public.combo_item_substitutes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "combo_item_substitutes_select" ON public.combo_item_substitutes
+    FOR SELECT USING (true);
+CREATE POLICY "combo_item_substitutes_manage" ON public.combo_item_substitutes
+    FOR ALL TO authenticated
+    USING ((select is_admin_user()))
+    WITH CHECK ((select is_admin_user()));
+
+GRANT SELECT ON public.combo_item_substitutes TO anon, authenticated;
+GRANT INSERT, UPDATE, DELETE ON public.combo_item_substitutes TO authenticated;
+
+-- Products a combo line takes: [{ product_id, quantity, substitute_for }]
+-- quantity is the line total (combo quantity × component quantity);
+-- substitute_for names the component a substitute replaces (NULL otherwise)
+ALTER TABLE public.order_items
+    ADD COLUMN IF NOT EXISTS combo_components JSONB;
+
+-- combo_components comes from the browser, so it is checked against the
+-- catalog before reserve and consume trust it: every entry is a component of
+-- the combo or an approved substitute for one, each component gets exactly
+-- line quantity × component quantity, and a substitute without allow_partial
+-- only replaces whole components (a multiple of the component quantity)
+CREATE OR REPLACE FUNCTION public.validate_order_item_combo_components()
+ RETURNS trigger
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_product text;
+BEGIN
+  IF NEW.combo_components IS NULL OR NEW.combo_components = '[]'::jsonb THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.item_type::text <> 'combo' OR jsonb_typeof(NEW.combo_components) <> 'array' THEN
+    RAISE EXCEPTION 'combo_components must be the product list of a combo line' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(e->>'product_id', '?') INTO v_product
+  FROM jsonb_array_elements(NEW.combo_components) e
+  WHERE COALESCE(CASE WHEN e->>'quantity' ~ '^[0-9]{1,9}$' THEN (e->>'quantity')::integer END, 0) <= 0
+     OR NOT EXISTS (
+       SELECT 1
+       FROM combo_items ci
+       WHERE ci.combo_id = NEW.item_id
+         AND ci.product_id::text = COALESCE(e->>'substitute_for', e->>'product_id')
+         AND (e->>'substitute_for' IS NULL OR EXISTS (
+           SELECT 1
+           FROM combo_item_substitutes s
+           WHERE s.combo_id = NEW.item_id
+             AND s.product_id = ci.product_id
+             AND s.substitute_product_id::text = e->>'product_id'
+         ))
+     )
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Product % is not part of combo %', v_product, NEW.item_id USING ERRCODE = '22023';
+  END IF;
+
+  SELECT ci.product_id::text INTO v_product
+  FROM combo_items ci
+  WHERE ci.combo_id = NEW.item_id
+    AND ci.quantity * NEW.quantity <> (
+      SELECT COALESCE(SUM((e->>'quantity')::integer), 0)
+      FROM jsonb_array_elements(NEW.combo_components) e
+      WHERE COALESCE(e->>'substitute_for', e->>'product_id') = ci.product_id::text
+    )
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Component % of combo % does not match the line quantity', v_product, NEW.item_id
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT e->>'product_id' INTO v_product
+  FROM jsonb_array_elements(NEW.combo_components) e
+  JOIN combo_items ci
+    ON ci.combo_id = NEW.item_id
+   AND ci.product_id::text = e->>'substitute_for'
+  JOIN combo_item_substitutes s
+    ON s.combo_id = NEW.item_id
+   AND s.product_id = ci.product_id
+   AND s.substitute_product_id::text = e->>'product_id'
+  WHERE NOT s.allow_partial
+  GROUP BY e->>'product_id', e->>'substitute_for', ci.quantity
+  HAVING SUM((e->>'quantity')::integer) % ci.quantity <> 0
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Substitute % can only replace whole components', v_product USING ERRCODE = '22023';
+  END IF;
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS validate_order_item_combo_components ON public.order_items;
+CREATE TRIGGER validate_order_item_combo_components
+    BEFORE INSERT OR UPDATE OF combo_components, item_type, item_id, quantity ON public.order_items
+    FOR EACH ROW EXECUTE FUNCTION public.validate_order_item_combo_components();
+
+-- Combo lines resolved at checkout take their stored products; older lines
+-- fall back to the combo's components
+CREATE OR REPLACE FUNCTION public.order_stock_requests(p_order_id uuid)
+ RETURNS TABLE(order_item_id uuid, product_id uuid, quantity integer)
+ LANGUAGE sql
+ STABLE
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT oi.id, oi.item_id, oi.quantity
+  FROM order_items oi
+  WHERE oi.order_id = p_order_id
+    AND oi.item_type::text = 'product'
+    AND oi.quantity > 0
+  UNION ALL
+  SELECT oi.id, (c->>'product_id')::uuid, (c->>'quantity')::integer
+  FROM order_items oi
+  CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(oi.combo_components) = 'array' THEN oi.combo_components END
+  ) c
+  WHERE oi.order_id = p_order_id
+    AND oi.item_type::text = 'combo'
+    AND (c->>'quantity')::integer > 0
+  UNION ALL
+  SELECT oi.id, ci.product_id, oi.quantity * ci.quantity
+  FROM order_items oi
+  JOIN combo_items ci ON ci.combo_id = oi.item_id
+  WHERE oi.order_id = p_order_id
+    AND oi.item_type::text = 'combo'
+    AND oi.quantity > 0
+    AND CASE WHEN jsonb_typeof(oi.combo_components) = 'array'
+             THEN jsonb_array_length(oi.combo_components) ELSE 0 END = 0;
+$function$;
+
+REVOKE EXECUTE ON FUNCTION public.order_stock_requests(uuid) FROM PUBLIC, anon, authenticated;
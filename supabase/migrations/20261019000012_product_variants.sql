@@ -0,0 +1,59 @@
+-- ============================================================================
+-- PRODUCT VARIANTS
+-- A variant (1 kg / 5 kg bag, flavor, size) is a products row that points to
+-- its parent through parent_product_id. Being a product, each variant keeps
+-- its own SKU, base price, profit margin (final_price), image and inventory
+-- batches — so holds, FEFO allocation, receipts and reorder planning work per
+-- variant without changes. The parent groups them for the catalog
+-- (src/lib/productVariants.js).
+--
+-- variant_attributes: { "size": "...", "weight": "...", "flavor": "..." }
+-- ============================================================================
+
+ALTER TABLE public.products
+    ADD COLUMN IF NOT EXISTS parent_product_id UUID REFERENCES public.products(id) ON DELETE RESTRICT,
+    ADD COLUMN IF NOT EXISTS variant_attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS variant_sort INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.products
+    DROP CONSTRAINT IF EXISTS products_variant_not_self;
+ALTER TABLE public.products
+    ADD CONSTRAINT products_variant_not_self CHECK (parent_product_id IS NULL OR parent_product_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_products_parent_product ON public.products(parent_product_id)
+    WHERE parent_product_id IS NOT NULL;
+
+-- One level only: a variant cannot have variants, and a product with variants
+-- cannot become a variant itself
+CREATE OR REPLACE FUNCTION public.check_product_variant_parent()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.parent_product_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM products
+        WHERE id = NEW.parent_product_id AND parent_product_id IS NOT NULL
+    ) THEN
+        RAISE EXCEPTION 'A variant cannot be the parent of another variant'
+            USING ERRCODE = '23514';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM products WHERE parent_product_id = NEW.id) THEN
+        RAISE EXCEPTION 'A product with variants cannot become a variant'
+            USING ERRCODE = '23514';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_product_variant_parent ON public.products;
+CREATE TRIGGER trg_check_product_variant_parent
+    BEFORE INSERT OR UPDATE OF parent_product_id ON public.products
+    FOR EACH ROW
+    EXECUTE FUNCTION public.check_product_variant_parent();
@@ -0,0 +1,242 @@
+-- ============================================================================
+-- SERVER-SIDE PRODUCT SEARCH
+-- search_products(): accent-insensitive full-text search over the Spanish and
+-- English names and descriptions, with facets (category, price range, in
+-- stock), sorting (relevance, price, newest, best-selling) and keyset cursor
+-- pagination. Client side: productService.searchProducts and
+-- src/lib/productSearch.js.
+--
+-- Results are catalog products: variants are folded into their parent
+-- (stock summed, cheapest variant price, a variant match finds the parent).
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA extensions;
+
+-- unaccent() is STABLE; generated columns and indexes need IMMUTABLE
+CREATE OR REPLACE FUNCTION public.immutable_unaccent(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+STRICT
+SET search_path = public, extensions
+AS $$
+    SELECT extensions.unaccent('extensions.unaccent'::regdictionary, p_text);
+$$;
+
+-- Rebuild the search vector without accents ("cafe" finds "café")
+DROP INDEX IF EXISTS idx_products_search;
+ALTER TABLE public.products DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE public.products
+    ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('spanish', public.immutable_unaccent(coalesce(name_es, ''))), 'A') ||
+        setweight(to_tsvector('english', public.immutable_unaccent(coalesce(name_en, ''))), 'A') ||
+        setweight(to_tsvector('spanish', public.immutable_unaccent(coalesce(description_es, ''))), 'B') ||
+        setweight(to_tsvector('english', public.immutable_unaccent(coalesce(description_en, ''))), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search ON public.products USING gin(search_vector);
+
+-- Prefix query from free text: every word must match ("arr blanc" → arr:* & blanc:*)
+CREATE OR REPLACE FUNCTION public.build_product_search_query(p_config regconfig, p_text TEXT)
+RETURNS tsquery
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN coalesce(trim(p_text), '') = '' THEN NULL
+        ELSE to_tsquery(p_config, (
+            SELECT string_agg(word || ':*', ' & ')
+            FROM regexp_split_to_table(
+                lower(public.immutable_unaccent(regexp_replace(p_text, '[^[:alnum:][:space:]]+', ' ', 'g'))),
+                '\s+'
+            ) AS word
+            WHERE word <> ''
+        ))
+    END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- search_products
+--   p_sort: relevance | price_asc | price_desc | newest | best_selling
+--   p_cursor: { "v": <sort value>, "id": <product id> } from the previous page
+-- Rows are ordered by (sort_value, id) ascending, descending sorts negate the
+-- value, so the cursor is a single keyset comparison.
+-- Facets ignore their own filter (category counts ignore the category filter,
+-- stock counts ignore in-stock, the price range ignores the price filter).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION public.search_products(
+    p_query TEXT DEFAULT NULL,
+    p_category_ids UUID[] DEFAULT NULL,
+    p_min_price NUMERIC DEFAULT NULL,
+    p_max_price NUMERIC DEFAULT NULL,
+    p_in_stock BOOLEAN DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_cursor JSONB DEFAULT NULL,
+    p_limit INTEGER DEFAULT 24
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_query_es tsquery := build_product_search_query('spanish', p_query);
+    v_query_en tsquery := build_product_search_query('english', p_query);
+    v_has_query BOOLEAN := coalesce(trim(p_query), '') <> '';
+    v_sort TEXT := CASE
+        WHEN p_sort IN ('price_asc', 'price_desc', 'newest', 'best_selling') THEN p_sort
+        WHEN v_has_query THEN 'relevance'
+        ELSE 'newest'
+    END;
+    v_limit INTEGER := LEAST(GREATEST(coalesce(p_limit, 24), 1), 100);
+    v_cursor_value NUMERIC := (p_cursor->>'v')::NUMERIC;
+    v_cursor_id UUID := (p_cursor->>'id')::UUID;
+    v_result JSONB;
+BEGIN
+    WITH stock AS (
+        SELECT product_id, SUM(COALESCE(available_quantity, 0)) AS units
+        FROM inventory
+        WHERE is_active = true
+        GROUP BY product_id
+    ),
+    sold AS (
+        SELECT oi.item_id AS product_id, SUM(oi.quantity) AS units
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE oi.item_type = 'product'
+          AND o.payment_status = 'validated'
+          AND o.status <> 'cancelled'
+        GROUP BY oi.item_id
+    ),
+    -- Variants roll up into their (active) parent
+    family AS (
+        SELECT COALESCE(p.parent_product_id, p.id) AS catalog_id,
+               p.final_price,
+               p.search_vector,
+               COALESCE(s.units, 0) AS stock,
+               COALESCE(so.units, 0) AS sold,
+               p.parent_product_id IS NOT NULL AS is_variant
+        FROM products p
+        LEFT JOIN stock s ON s.product_id = p.id
+        LEFT JOIN sold so ON so.product_id = p.id
+        WHERE p.is_active = true
+    ),
+    rolled AS (
+        SELECT catalog_id,
+               -- Cheapest variant when there are variants, else the product's own price
+               COALESCE(MIN(final_price) FILTER (WHERE is_variant), MIN(final_price)) AS price,
+               CASE WHEN bool_or(is_variant) THEN SUM(stock) FILTER (WHERE is_variant) ELSE SUM(stock) END AS stock,
+               SUM(sold) AS sold,
+               COUNT(*) FILTER (WHERE is_variant) AS variant_count,
+               MAX(CASE WHEN v_has_query THEN
+                   GREATEST(
+                       CASE WHEN search_vector @@ v_query_es THEN ts_rank(search_vector, v_query_es) ELSE 0 END,
+                       CASE WHEN search_vector @@ v_query_en THEN ts_rank(search_vector, v_query_en) ELSE 0 END
+                   )
+               END) AS rank,
+               bool_or(NOT v_has_query OR search_vector @@ v_query_es OR search_vector @@ v_query_en) AS matches
+        FROM family
+        GROUP BY catalog_id
+    ),
+    matched AS (
+        SELECT p.id, p.category_id, p.created_at, r.price, r.stock, r.sold, r.variant_count, r.rank
+        FROM rolled r
+        JOIN products p ON p.id = r.catalog_id
+        WHERE p.is_active = true
+          AND p.parent_product_id IS NULL
+          AND r.matches
+    ),
+    filtered AS (
+        SELECT m.*,
+               CASE v_sort
+                   WHEN 'price_asc' THEN m.price
+                   WHEN 'price_desc' THEN -m.price
+                   WHEN 'best_selling' THEN -m.sold
+                   WHEN 'relevance' THEN -ROUND(COALESCE(m.rank, 0)::NUMERIC, 6)
+                   ELSE -EXTRACT(EPOCH FROM m.created_at)::NUMERIC
+               END AS sort_value
+        FROM matched m
+        WHERE (p_category_ids IS NULL OR cardinality(p_category_ids) = 0 OR m.category_id = ANY(p_category_ids))
+          AND (p_min_price IS NULL OR m.price >= p_min_price)
+          AND (p_max_price IS NULL OR m.price <= p_max_price)
+          AND (p_in_stock IS NOT TRUE OR m.stock > 0)
+    ),
+    page AS (
+        SELECT f.*
+        FROM filtered f
+        WHERE v_cursor_id IS NULL
+           OR (f.sort_value, f.id) > (v_cursor_value, v_cursor_id)
+        ORDER BY f.sort_value, f.id
+        LIMIT v_limit + 1
+    ),
+    page_rows AS (
+        SELECT pg.*, ROW_NUMBER() OVER (ORDER BY pg.sort_value, pg.id) AS position
+        FROM page pg
+    )
+    SELECT jsonb_build_object(
+        'items', COALESCE((
+            SELECT jsonb_agg(
+                to_jsonb(p) - 'search_vector' || jsonb_build_object(
+                    'category', (SELECT to_jsonb(c) FROM (
+                        SELECT pc.id, pc.name_es, pc.name_en, pc.slug FROM product_categories pc WHERE pc.id = p.category_id
+                    ) c),
+                    'stock', pr.stock,
+                    'display_price', pr.price,
+                    'units_sold', pr.sold,
+                    'variant_count', pr.variant_count,
+                    'rank', pr.rank
+                )
+                ORDER BY pr.position
+            )
+            FROM page_rows pr
+            JOIN products p ON p.id = pr.id
+            WHERE pr.position <= v_limit
+        ), '[]'::jsonb),
+        'next_cursor', (
+            SELECT jsonb_build_object('v', pr.sort_value, 'id', pr.id)
+            FROM page_rows pr
+            WHERE pr.position = v_limit
+              AND EXISTS (SELECT 1 FROM page_rows WHERE position > v_limit)
+        ),
+        'total', (SELECT COUNT(*) FROM filtered),
+        'sort', v_sort,
+        'facets', jsonb_build_object(
+            'categories', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object('id', pc.id, 'name_es', pc.name_es, 'name_en', pc.name_en, 'count', fc.count) ORDER BY pc.name_es)
+                FROM (
+                    SELECT m.category_id, COUNT(*) AS count
+                    FROM matched m
+                    WHERE (p_min_price IS NULL OR m.price >= p_min_price)
+                      AND (p_max_price IS NULL OR m.price <= p_max_price)
+                      AND (p_in_stock IS NOT TRUE OR m.stock > 0)
+                    GROUP BY m.category_id
+                ) fc
+                JOIN product_categories pc ON pc.id = fc.category_id
+            ), '[]'::jsonb),
+            'price', (
+                SELECT jsonb_build_object('min', MIN(m.price), 'max', MAX(m.price))
+                FROM matched m
+                WHERE (p_category_ids IS NULL OR cardinality(p_category_ids) = 0 OR m.category_id = ANY(p_category_ids))
+                  AND (p_in_stock IS NOT TRUE OR m.stock > 0)
+            ),
+            'stock', (
+                SELECT jsonb_build_object(
+                    'in_stock', COUNT(*) FILTER (WHERE m.stock > 0),
+                    'out_of_stock', COUNT(*) FILTER (WHERE m.stock <= 0)
+                )
+                FROM matched m
+                WHERE (p_category_ids IS NULL OR cardinality(p_category_ids) = 0 OR m.category_id = ANY(p_category_ids))
+                  AND (p_min_price IS NULL OR m.price >= p_min_price)
+                  AND (p_max_price IS NULL OR m.price <= p_max_price)
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_products(TEXT, UUID[], NUMERIC, NUMERIC, BOOLEAN, TEXT, JSONB, INTEGER) TO anon, authenticated;
@@ -0,0 +1,106 @@
+-- ============================================================================
+-- PERSISTENT CUSTOMER CARTS
+-- The cart lived only in localStorage, so it stayed on the device it was
+-- filled on. Signed-in customers now keep it in customer_cart_items: one row
+-- per cart line (same key as the client, getCartLineKey), with the line as
+-- the client built it (price shown, currency, variant label) in `item`.
+--
+-- The client merges the anonymous cart into the stored one on login and
+-- re-validates prices and stock against the catalog when the cart loads
+-- (src/lib/cartSync.js); the database only stores lines.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.customer_cart_items (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    line_key TEXT NOT NULL,
+    item_type TEXT NOT NULL DEFAULT 'product' CHECK (item_type IN ('product', 'combo')),
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    combo_id UUID REFERENCES public.combo_products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    item JSONB NOT NULL DEFAULT '{}'::jsonb,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, line_key),
+    CHECK (
+        (item_type = 'product' AND product_id IS NOT NULL AND combo_id IS NULL)
+        OR (item_type = 'combo' AND combo_id IS NOT NULL AND product_id IS NULL)
+    )
+);
+
+DROP TRIGGER IF EXISTS update_updated_at ON public.customer_cart_items;
+CREATE TRIGGER update_updated_at
+    BEFORE UPDATE ON public.customer_cart_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ----------------------------------------------------------------------------
+-- RLS: each customer sees and writes only their own cart
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.customer_cart_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "customer_cart_items_own" ON public.customer_cart_items
+    FOR ALL TO authenticated
+    USING (user_id = (select auth.uid()))
+    WITH CHECK (user_id = (select auth.uid()));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.customer_cart_items TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- replace_customer_cart: store the caller's whole cart in one transaction
+-- p_items: [{ line_key, item_type, product_id, combo_id, quantity, item }]
+-- Every line needs a line_key; lines not in p_items are removed. Runs as the
+-- caller, so RLS applies.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.replace_customer_cart(p_items JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_count INTEGER;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) AS line
+        WHERE coalesce(line->>'line_key', '') = ''
+    ) THEN
+        RAISE EXCEPTION 'Cart line without line_key' USING ERRCODE = '22023';
+    END IF;
+
+    DELETE FROM customer_cart_items c
+    WHERE c.user_id = v_user_id
+      AND NOT EXISTS (
+          SELECT 1 FROM jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) AS line
+          WHERE line->>'line_key' = c.line_key
+      );
+
+    INSERT INTO customer_cart_items (user_id, line_key, item_type, product_id, combo_id, quantity, item, position)
+    SELECT
+        v_user_id,
+        line->>'line_key',
+        coalesce(line->>'item_type', 'product'),
+        (line->>'product_id')::uuid,
+        (line->>'combo_id')::uuid,
+        (line->>'quantity')::integer,
+        coalesce(line->'item', '{}'::jsonb),
+        (ordinality - 1)::integer
+    FROM jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) WITH ORDINALITY AS lines(line, ordinality)
+    ON CONFLICT (user_id, line_key) DO UPDATE SET
+        quantity = EXCLUDED.quantity,
+        item = EXCLUDED.item,
+        position = EXCLUDED.position;
+
+    SELECT count(*) INTO v_count FROM customer_cart_items WHERE user_id = v_user_id;
+    RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.replace_customer_cart(JSONB) TO authenticated;
@@ -0,0 +1,208 @@
+-- ============================================================================
+-- WISHLISTS
+-- Customers save products and combos in lists: "saved for later" lists of
+-- their own, or gift lists for one of their recipients in Cuba. A gift list
+-- can be shared through a link (/wishlist/<share_token>) so the recipient
+-- picks what they want without an account; the sender then turns the list
+-- into a cart.
+--
+-- The owner works on the tables under RLS. The share link goes through the
+-- SECURITY DEFINER functions below, which only accept the token of a list
+-- with sharing enabled.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.wishlists (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    recipient_id UUID REFERENCES public.recipients(id) ON DELETE SET NULL,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    share_token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text, '-', ''),
+    share_enabled BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wishlists_user ON public.wishlists(user_id);
+
+DROP TRIGGER IF EXISTS update_updated_at ON public.wishlists;
+CREATE TRIGGER update_updated_at
+    BEFORE UPDATE ON public.wishlists
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- added_by: 'owner' or 'recipient' (through the share link)
+CREATE TABLE IF NOT EXISTS public.wishlist_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    wishlist_id UUID NOT NULL REFERENCES public.wishlists(id) ON DELETE CASCADE,
+    item_type TEXT NOT NULL DEFAULT 'product' CHECK (item_type IN ('product', 'combo')),
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    combo_id UUID REFERENCES public.combo_products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    added_by TEXT NOT NULL DEFAULT 'owner' CHECK (added_by IN ('owner', 'recipient')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (item_type = 'product' AND product_id IS NOT NULL AND combo_id IS NULL)
+        OR (item_type = 'combo' AND combo_id IS NOT NULL AND product_id IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_product
+    ON public.wishlist_items(wishlist_id, product_id) WHERE product_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_combo
+    ON public.wishlist_items(wishlist_id, combo_id) WHERE combo_id IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- RLS: owners manage their lists; a recipient may only be linked by its owner
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.wishlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.wishlist_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "wishlists_own" ON public.wishlists
+    FOR ALL TO authenticated
+    USING (user_id = (select auth.uid()))
+    WITH CHECK (
+        user_id = (select auth.uid())
+        AND (recipient_id IS NULL OR EXISTS (
+            SELECT 1 FROM public.recipients r
+            WHERE r.id = recipient_id AND r.user_id = (select auth.uid())
+        ))
+    );
+
+CREATE POLICY "wishlist_items_own" ON public.wishlist_items
+    FOR ALL TO authenticated
+    USING (EXISTS (
+        SELECT 1 FROM public.wishlists w
+        WHERE w.id = wishlist_id AND w.user_id = (select auth.uid())
+    ))
+    WITH CHECK (EXISTS (
+        SELECT 1 FROM public.wishlists w
+        WHERE w.id = wishlist_id AND w.user_id = (select auth.uid())
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.wishlists TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.wishlist_items TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Share link
+-- ----------------------------------------------------------------------------
+
+-- Shared list as JSON: { name, recipient_name, items: [...] }; NULL if the
+-- token is unknown or sharing is off. Only the recipient's first name leaves.
+CREATE OR REPLACE FUNCTION public.get_shared_wishlist(p_token TEXT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'name', w.name,
+        'recipient_name', split_part(trim(r.full_name), ' ', 1),
+        'items', coalesce((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', wi.id,
+                'item_type', wi.item_type,
+                'product_id', wi.product_id,
+                'combo_id', wi.combo_id,
+                'quantity', wi.quantity,
+                'added_by', wi.added_by
+            ) ORDER BY wi.created_at)
+            FROM wishlist_items wi
+            WHERE wi.wishlist_id = w.id
+        ), '[]'::jsonb)
+    )
+    FROM wishlists w
+    LEFT JOIN recipients r ON r.id = w.recipient_id
+    WHERE w.share_token = p_token AND w.share_enabled;
+$$;
+
+-- Add an active product or combo to a shared list (sets the quantity if it
+-- is already there). Lists are capped at 100 items.
+CREATE OR REPLACE FUNCTION public.add_shared_wishlist_item(
+    p_token TEXT,
+    p_item_type TEXT,
+    p_item_id UUID,
+    p_quantity INTEGER DEFAULT 1
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_wishlist_id UUID;
+    v_quantity INTEGER := LEAST(GREATEST(coalesce(p_quantity, 1), 1), 99);
+BEGIN
+    SELECT id INTO v_wishlist_id
+    FROM wishlists
+    WHERE share_token = p_token AND share_enabled;
+
+    IF v_wishlist_id IS NULL THEN
+        RAISE EXCEPTION 'Wishlist not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_item_type = 'product' THEN
+        IF NOT EXISTS (SELECT 1 FROM products WHERE id = p_item_id AND is_active) THEN
+            RAISE EXCEPTION 'Product not available' USING ERRCODE = 'P0002';
+        END IF;
+        UPDATE wishlist_items SET quantity = v_quantity
+        WHERE wishlist_id = v_wishlist_id AND product_id = p_item_id;
+        IF NOT FOUND THEN
+            IF (SELECT count(*) FROM wishlist_items WHERE wishlist_id = v_wishlist_id) >= 100 THEN
+                RAISE EXCEPTION 'Wishlist is full' USING ERRCODE = '23514';
+            END IF;
+            INSERT INTO wishlist_items (wishlist_id, item_type, product_id, quantity, added_by)
+            VALUES (v_wishlist_id, 'product', p_item_id, v_quantity, 'recipient');
+        END IF;
+    ELSIF p_item_type = 'combo' THEN
+        IF NOT EXISTS (SELECT 1 FROM combo_products WHERE id = p_item_id AND is_active) THEN
+            RAISE EXCEPTION 'Combo not available' USING ERRCODE = 'P0002';
+        END IF;
+        UPDATE wishlist_items SET quantity = v_quantity
+        WHERE wishlist_id = v_wishlist_id AND combo_id = p_item_id;
+        IF NOT FOUND THEN
+            IF (SELECT count(*) FROM wishlist_items WHERE wishlist_id = v_wishlist_id) >= 100 THEN
+                RAISE EXCEPTION 'Wishlist is full' USING ERRCODE = '23514';
+            END IF;
+            INSERT INTO wishlist_items (wishlist_id, item_type, combo_id, quantity, added_by)
+            VALUES (v_wishlist_id, 'combo', p_item_id, v_quantity, 'recipient');
+        END IF;
+    ELSE
+        RAISE EXCEPTION 'Invalid item type: %', p_item_type USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE wishlists SET updated_at = NOW() WHERE id = v_wishlist_id;
+    RETURN get_shared_wishlist(p_token);
+END;
+$$;
+
+-- Remove an item from a shared list
+CREATE OR REPLACE FUNCTION public.remove_shared_wishlist_item(p_token TEXT, p_wishlist_item_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_wishlist_id UUID;
+BEGIN
+    SELECT id INTO v_wishlist_id
+    FROM wishlists
+    WHERE share_token = p_token AND share_enabled;
+
+    IF v_wishlist_id IS NULL THEN
+        RAISE EXCEPTION 'Wishlist not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    DELETE FROM wishlist_items
+    WHERE id = p_wishlist_item_id AND wishlist_id = v_wishlist_id;
+
+    UPDATE wishlists SET updated_at = NOW() WHERE id = v_wishlist_id;
+    RETURN get_shared_wishlist(p_token);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_shared_wishlist(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.add_shared_wishlist_item(TEXT, TEXT, UUID, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.remove_shared_wishlist_item(TEXT, UUID) TO anon, authenticated;
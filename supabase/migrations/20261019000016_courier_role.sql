@@ -0,0 +1,191 @@
+-- ============================================================================
+-- COURIER ROLE AND DELIVERY ASSIGNMENTS
+-- Deliveries in Cuba are made by messengers who got their instructions over
+-- WhatsApp while an admin uploaded the proof afterwards. Messengers now get
+-- the 'courier' role: admins assign remittances and orders to them and they
+-- record the delivery themselves (photo, recipient signature) from the
+-- courier page.
+--
+-- A courier only sees what is assigned to them and can only move it to
+-- delivered; a trigger keeps every other column as it was.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Role
+-- The enum value is only added here; policies and functions compare the role
+-- as text so they do not use it inside this transaction.
+-- ----------------------------------------------------------------------------
+
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'courier';
+
+ALTER TABLE public.user_profiles
+DROP CONSTRAINT IF EXISTS user_profiles_role_check;
+
+ALTER TABLE public.user_profiles
+ADD CONSTRAINT user_profiles_role_check
+CHECK (role::text IN ('user', 'admin', 'super_admin', 'manager', 'courier'));
+
+CREATE OR REPLACE FUNCTION public.set_user_role(target_user_id uuid, new_role text)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  IF new_role NOT IN ('user','admin','super_admin','courier') THEN
+    RAISE EXCEPTION 'Role inválido: %', new_role;
+  END IF;
+
+  UPDATE public.user_profiles
+  SET role = new_role::user_role, updated_at = now()
+  WHERE user_id = target_user_id;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.is_courier_user()
+ RETURNS boolean
+ LANGUAGE plpgsql
+ STABLE SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM public.user_profiles
+    WHERE id = auth.uid()
+    AND role::text = 'courier'
+    AND is_enabled = true
+  );
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.is_courier_user() TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Assignment and signature columns
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.remittances
+ADD COLUMN IF NOT EXISTS assigned_courier_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS courier_assigned_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS delivery_signature_url TEXT;
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS assigned_courier_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS courier_assigned_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS delivery_signature_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_remittances_assigned_courier
+    ON public.remittances(assigned_courier_id, status)
+    WHERE assigned_courier_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_assigned_courier
+    ON public.orders(assigned_courier_id, status)
+    WHERE assigned_courier_id IS NOT NULL;
+
+COMMENT ON COLUMN public.remittances.assigned_courier_id IS 'Courier (user_profiles.role = courier) who delivers this remittance';
+COMMENT ON COLUMN public.remittances.delivery_signature_url IS 'Storage path of the recipient signature captured by the courier';
+COMMENT ON COLUMN public.orders.assigned_courier_id IS 'Courier (user_profiles.role = courier) who delivers this order';
+COMMENT ON COLUMN public.orders.delivery_signature_url IS 'Storage path of the recipient signature captured by the courier';
+
+-- ----------------------------------------------------------------------------
+-- RLS: couriers read what is assigned to them and can deliver it
+-- (processing remittances, dispatched orders)
+-- ----------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "remittances_courier_select" ON public.remittances;
+CREATE POLICY "remittances_courier_select" ON public.remittances
+    FOR SELECT TO authenticated
+    USING (assigned_courier_id = (select auth.uid()) AND (select is_courier_user()));
+
+DROP POLICY IF EXISTS "remittances_courier_deliver" ON public.remittances;
+CREATE POLICY "remittances_courier_deliver" ON public.remittances
+    FOR UPDATE TO authenticated
+    USING (assigned_courier_id = (select auth.uid()) AND status = 'processing' AND (select is_courier_user()))
+    WITH CHECK (assigned_courier_id = (select auth.uid()) AND status IN ('processing', 'delivered'));
+
+DROP POLICY IF EXISTS "orders_courier_select" ON public.orders;
+CREATE POLICY "orders_courier_select" ON public.orders
+    FOR SELECT TO authenticated
+    USING (assigned_courier_id = (select auth.uid()) AND (select is_courier_user()));
+
+DROP POLICY IF EXISTS "orders_courier_deliver" ON public.orders;
+CREATE POLICY "orders_courier_deliver" ON public.orders
+    FOR UPDATE TO authenticated
+    USING (assigned_courier_id = (select auth.uid()) AND status = 'dispatched' AND (select is_courier_user()))
+    WITH CHECK (assigned_courier_id = (select auth.uid()) AND status IN ('dispatched', 'delivered'));
+
+DROP POLICY IF EXISTS "order_items_courier_select" ON public.order_items;
+CREATE POLICY "order_items_courier_select" ON public.order_items
+    FOR SELECT TO authenticated
+    USING (EXISTS (
+        SELECT 1 FROM public.orders o
+        WHERE o.id = order_items.order_id
+        AND o.assigned_courier_id = (select auth.uid())
+    ) AND (select is_courier_user()));
+
+-- ----------------------------------------------------------------------------
+-- Column guard: when the assigned courier (not an admin) updates the row,
+-- only the delivery columns passed as trigger arguments are kept from NEW
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.restrict_courier_delivery_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.assigned_courier_id IS DISTINCT FROM auth.uid() OR public.is_admin_user() THEN
+        RETURN NEW;
+    END IF;
+
+    RETURN jsonb_populate_record(
+        OLD,
+        (SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+         FROM jsonb_each(to_jsonb(NEW))
+         WHERE key = ANY (TG_ARGV))
+    );
+END;
+$$;
+
+DROP TRIGGER IF EXISTS restrict_courier_delivery_update ON public.remittances;
+CREATE TRIGGER restrict_courier_delivery_update
+    BEFORE UPDATE ON public.remittances
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_courier_delivery_update(
+        'status', 'delivered_at', 'delivery_proof_url', 'delivery_signature_url', 'delivery_notes_admin', 'updated_at'
+    );
+
+DROP TRIGGER IF EXISTS restrict_courier_delivery_update ON public.orders;
+CREATE TRIGGER restrict_courier_delivery_update
+    BEFORE UPDATE ON public.orders
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_courier_delivery_update(
+        'status', 'delivered_at', 'delivery_proof_url', 'delivery_signature_url', 'updated_at'
+    );
+
+-- ----------------------------------------------------------------------------
+-- Storage: couriers upload proofs and signatures under their own folder
+-- ({courier_id}/{remittance_or_order_id}/...)
+-- ----------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "couriers can upload delivery proofs" ON storage.objects;
+CREATE POLICY "couriers can upload delivery proofs"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK (
+  bucket_id IN ('remittance-delivery-proofs', 'order-delivery-proofs') AND
+  (auth.uid())::text = (storage.foldername(name))[1] AND
+  (select public.is_courier_user())
+);
+
+DROP POLICY IF EXISTS "couriers can view own delivery proofs" ON storage.objects;
+CREATE POLICY "couriers can view own delivery proofs"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING (
+  bucket_id IN ('remittance-delivery-proofs', 'order-delivery-proofs') AND
+  (auth.uid())::text = (storage.foldername(name))[1] AND
+  (select public.is_courier_user())
+);
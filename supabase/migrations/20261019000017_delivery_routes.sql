@@ -0,0 +1,102 @@
+-- ============================================================================
+-- DAILY DELIVERY ROUTES
+-- The dispatch planner (src/lib/routePlanning.js) proposes, per courier and
+-- day, the order in which validated orders and cash remittances are
+-- delivered. A saved route is the courier assignment plus the day and the
+-- position of each stop; the courier queue shows stops in that order.
+-- ============================================================================
+
+ALTER TABLE public.remittances
+ADD COLUMN IF NOT EXISTS route_date DATE,
+ADD COLUMN IF NOT EXISTS route_position INTEGER CHECK (route_position IS NULL OR route_position > 0);
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS route_date DATE,
+ADD COLUMN IF NOT EXISTS route_position INTEGER CHECK (route_position IS NULL OR route_position > 0);
+
+CREATE INDEX IF NOT EXISTS idx_remittances_courier_route
+    ON public.remittances(assigned_courier_id, route_date)
+    WHERE route_date IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_courier_route
+    ON public.orders(assigned_courier_id, route_date)
+    WHERE route_date IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- save_delivery_route: store one courier's route for a day in one transaction
+-- p_stops: [{ kind: 'remittance' | 'order', id }] in delivery order.
+-- Stops of that courier and day left out of p_stops lose their position
+-- (they stay assigned). Admins only.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.save_delivery_route(
+    p_courier_id UUID,
+    p_route_date DATE,
+    p_stops JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_stop RECORD;
+    v_saved INTEGER := 0;
+BEGIN
+    IF NOT public.is_admin_user() THEN
+        RAISE EXCEPTION 'Only admins can plan delivery routes' USING ERRCODE = '42501';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.user_profiles
+        WHERE id = p_courier_id AND role::text = 'courier' AND is_enabled = true
+    ) THEN
+        RAISE EXCEPTION 'Courier not found: %', p_courier_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_route_date IS NULL OR jsonb_typeof(COALESCE(p_stops, '[]'::jsonb)) <> 'array' THEN
+        RAISE EXCEPTION 'A route date and a list of stops are required' USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE public.remittances
+    SET route_date = NULL, route_position = NULL
+    WHERE assigned_courier_id = p_courier_id AND route_date = p_route_date;
+
+    UPDATE public.orders
+    SET route_date = NULL, route_position = NULL
+    WHERE assigned_courier_id = p_courier_id AND route_date = p_route_date;
+
+    FOR v_stop IN
+        SELECT value->>'kind' AS kind, (value->>'id')::UUID AS id, ordinality::INTEGER AS position
+        FROM jsonb_array_elements(COALESCE(p_stops, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        IF v_stop.kind = 'remittance' THEN
+            UPDATE public.remittances
+            SET courier_assigned_at = CASE WHEN assigned_courier_id IS DISTINCT FROM p_courier_id THEN NOW() ELSE courier_assigned_at END,
+                assigned_courier_id = p_courier_id,
+                route_date = p_route_date,
+                route_position = v_stop.position,
+                updated_at = NOW()
+            WHERE id = v_stop.id;
+        ELSIF v_stop.kind = 'order' THEN
+            UPDATE public.orders
+            SET courier_assigned_at = CASE WHEN assigned_courier_id IS DISTINCT FROM p_courier_id THEN NOW() ELSE courier_assigned_at END,
+                assigned_courier_id = p_courier_id,
+                route_date = p_route_date,
+                route_position = v_stop.position,
+                updated_at = NOW()
+            WHERE id = v_stop.id;
+        ELSE
+            RAISE EXCEPTION 'Unknown stop kind: %', v_stop.kind USING ERRCODE = '22023';
+        END IF;
+
+        IF FOUND THEN
+            v_saved := v_saved + 1;
+        END IF;
+    END LOOP;
+
+    RETURN v_saved;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_delivery_route(UUID, DATE, JSONB) TO authenticated;
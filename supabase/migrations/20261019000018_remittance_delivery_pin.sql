@@ -0,0 +1,394 @@
+-- ============================================================================
+-- ONE-TIME DELIVERY PIN FOR CASH REMITTANCES
+-- Each cash remittance gets a 6-digit PIN that only the sender sees. The
+-- sender passes it to the recipient and the courier (or admin) must enter it
+-- before the remittance can be marked delivered. After 5 wrong attempts the
+-- PIN locks; an admin can then override it with a reason, which is written to
+-- activity_logs. A cash remittance without a verified or overridden PIN can
+-- never become delivered.
+--
+-- Only a bcrypt hash of the PIN is stored, in its own table with RLS and no
+-- policies (couriers can read their assigned remittances, so it cannot be a
+-- column of remittances). All access goes through the SECURITY DEFINER
+-- functions below.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.remittance_delivery_pins (
+    remittance_id UUID PRIMARY KEY REFERENCES public.remittances(id) ON DELETE CASCADE,
+    pin_hash TEXT, -- crypt(pin, gen_salt('bf')); NULL until the sender is shown a PIN
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_at TIMESTAMPTZ,
+    verified_at TIMESTAMPTZ,
+    verified_by UUID REFERENCES auth.users(id),
+    overridden_at TIMESTAMPTZ,
+    overridden_by UUID REFERENCES auth.users(id),
+    override_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.remittance_delivery_pins ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_remittance_delivery_pins_updated_at ON public.remittance_delivery_pins;
+CREATE TRIGGER update_remittance_delivery_pins_updated_at
+    BEFORE UPDATE ON public.remittance_delivery_pins
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+-- ----------------------------------------------------------------------------
+-- Status shape shared by the functions below (never includes the PIN)
+-- Keep the limit in sync with DELIVERY_PIN_MAX_ATTEMPTS (src/lib/deliveryPin.js)
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.remittance_delivery_pin_status(p_pin public.remittance_delivery_pins)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN p_pin.remittance_id IS NULL THEN
+        jsonb_build_object('required', false)
+    ELSE
+        jsonb_build_object(
+            'required', true,
+            'verified', p_pin.verified_at IS NOT NULL,
+            'overridden', p_pin.overridden_at IS NOT NULL,
+            'locked', p_pin.locked_at IS NOT NULL,
+            'failed_attempts', p_pin.failed_attempts,
+            'max_attempts', 5
+        )
+    END;
+$$;
+
+-- Admins and the assigned courier may work with a remittance's PIN status
+CREATE OR REPLACE FUNCTION public.can_deliver_remittance(p_remittance public.remittances)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT public.is_admin_user()
+        OR (public.is_courier_user() AND p_remittance.assigned_courier_id = auth.uid());
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Every cash remittance gets its PIN row when it is inserted, so delivery is
+-- guarded even if the sender never asks for the PIN. Open cash remittances
+-- created before this migration get theirs here.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.create_remittance_delivery_pin()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM public.remittance_types
+        WHERE id = NEW.remittance_type_id AND delivery_method = 'cash'
+    ) THEN
+        INSERT INTO public.remittance_delivery_pins (remittance_id)
+        VALUES (NEW.id)
+        ON CONFLICT (remittance_id) DO NOTHING;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS create_remittance_delivery_pin ON public.remittances;
+CREATE TRIGGER create_remittance_delivery_pin
+    AFTER INSERT ON public.remittances
+    FOR EACH ROW
+    EXECUTE FUNCTION public.create_remittance_delivery_pin();
+
+INSERT INTO public.remittance_delivery_pins (remittance_id)
+SELECT r.id
+FROM public.remittances r
+JOIN public.remittance_types t ON t.id = r.remittance_type_id
+WHERE t.delivery_method = 'cash'
+  AND r.status NOT IN ('delivered', 'completed', 'cancelled')
+ON CONFLICT (remittance_id) DO NOTHING;
+
+-- ----------------------------------------------------------------------------
+-- issue_remittance_delivery_pin: draw a PIN for the sender (Sender only)
+-- The plaintext is returned by this call only; the table keeps its hash. A
+-- later call draws a new PIN and the previous one stops working.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.issue_remittance_delivery_pin(p_remittance_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_remittance public.remittances%ROWTYPE;
+    v_pin_row public.remittance_delivery_pins%ROWTYPE;
+    v_pin TEXT;
+BEGIN
+    SELECT * INTO v_remittance FROM public.remittances WHERE id = p_remittance_id;
+
+    IF NOT FOUND OR v_remittance.user_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Remittance not found: %', p_remittance_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_pin_row
+    FROM public.remittance_delivery_pins
+    WHERE remittance_id = p_remittance_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Only cash remittances have a delivery PIN' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_remittance.status IN ('delivered', 'completed', 'cancelled')
+       OR v_pin_row.verified_at IS NOT NULL
+       OR v_pin_row.overridden_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This remittance no longer needs a delivery PIN' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_pin_row.locked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'The delivery PIN is locked after too many wrong attempts' USING ERRCODE = '22023';
+    END IF;
+
+    v_pin := lpad(((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint) % 1000000)::text, 6, '0');
+
+    UPDATE public.remittance_delivery_pins
+    SET pin_hash = crypt(v_pin, gen_salt('bf'))
+    WHERE remittance_id = p_remittance_id;
+
+    RETURN v_pin;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- get_remittance_delivery_pin_status: for the sender, admins and the courier
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.get_remittance_delivery_pin_status(p_remittance_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_remittance public.remittances%ROWTYPE;
+    v_pin public.remittance_delivery_pins%ROWTYPE;
+BEGIN
+    SELECT * INTO v_remittance FROM public.remittances WHERE id = p_remittance_id;
+
+    IF NOT FOUND OR NOT (v_remittance.user_id = auth.uid() OR public.can_deliver_remittance(v_remittance)) THEN
+        RAISE EXCEPTION 'Remittance not found: %', p_remittance_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_pin FROM public.remittance_delivery_pins WHERE remittance_id = p_remittance_id;
+
+    -- A cash remittance without its row still needs the PIN (or an override)
+    IF NOT FOUND AND EXISTS (
+        SELECT 1 FROM public.remittance_types
+        WHERE id = v_remittance.remittance_type_id AND delivery_method = 'cash'
+    ) THEN
+        v_pin.remittance_id := p_remittance_id;
+        v_pin.failed_attempts := 0;
+    END IF;
+
+    RETURN public.remittance_delivery_pin_status(v_pin);
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- verify_remittance_delivery_pin: check the PIN given by the recipient
+-- Returns the status instead of raising on a wrong PIN so the attempt count
+-- is kept; locks the PIN (and logs it) on the last failed attempt.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.verify_remittance_delivery_pin(p_remittance_id UUID, p_pin TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_remittance public.remittances%ROWTYPE;
+    v_pin public.remittance_delivery_pins%ROWTYPE;
+BEGIN
+    SELECT * INTO v_remittance FROM public.remittances WHERE id = p_remittance_id;
+
+    IF NOT FOUND OR NOT public.can_deliver_remittance(v_remittance) THEN
+        RAISE EXCEPTION 'Remittance not found: %', p_remittance_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_remittance.status <> 'processing' THEN
+        RAISE EXCEPTION 'The delivery PIN can only be checked while the remittance is in processing' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_pin
+    FROM public.remittance_delivery_pins
+    WHERE remittance_id = p_remittance_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_pin.verified_at IS NOT NULL OR v_pin.overridden_at IS NOT NULL OR v_pin.locked_at IS NOT NULL THEN
+        RETURN public.remittance_delivery_pin_status(v_pin);
+    END IF;
+
+    -- A PIN never shown to the sender (no hash) matches nothing
+    IF v_pin.pin_hash IS NOT NULL
+       AND v_pin.pin_hash = crypt(regexp_replace(COALESCE(p_pin, ''), '[[:space:]-]', '', 'g'), v_pin.pin_hash) THEN
+        UPDATE public.remittance_delivery_pins
+        SET verified_at = NOW(), verified_by = auth.uid()
+        WHERE remittance_id = p_remittance_id
+        RETURNING * INTO v_pin;
+    ELSE
+        UPDATE public.remittance_delivery_pins
+        SET failed_attempts = failed_attempts + 1,
+            locked_at = CASE WHEN failed_attempts + 1 >= 5 THEN NOW() ELSE NULL END
+        WHERE remittance_id = p_remittance_id
+        RETURNING * INTO v_pin;
+
+        IF v_pin.locked_at IS NOT NULL THEN
+            INSERT INTO public.activity_logs (action, entity_type, entity_id, performed_by, description, metadata)
+            VALUES (
+                'remittance_delivery_pin_locked',
+                'remittance',
+                p_remittance_id,
+                COALESCE((SELECT email FROM public.user_profiles WHERE id = auth.uid()), auth.uid()::text),
+                'PIN de entrega bloqueado - Remesa ' || v_remittance.remittance_number,
+                jsonb_build_object(
+                    'remittanceId', p_remittance_id,
+                    'remittanceNumber', v_remittance.remittance_number,
+                    'failedAttempts', v_pin.failed_attempts
+                )
+            );
+        END IF;
+    END IF;
+
+    RETURN public.remittance_delivery_pin_status(v_pin);
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- override_remittance_delivery_pin: deliver without the PIN (Admin)
+-- The reason is required and the override goes to activity_logs.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.override_remittance_delivery_pin(p_remittance_id UUID, p_reason TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_remittance public.remittances%ROWTYPE;
+    v_pin public.remittance_delivery_pins%ROWTYPE;
+BEGIN
+    IF NOT public.is_admin_user() THEN
+        RAISE EXCEPTION 'Only admins can override a delivery PIN' USING ERRCODE = '42501';
+    END IF;
+
+    IF NULLIF(btrim(COALESCE(p_reason, '')), '') IS NULL THEN
+        RAISE EXCEPTION 'A reason is required to override the delivery PIN' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_remittance FROM public.remittances WHERE id = p_remittance_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Remittance not found: %', p_remittance_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_remittance.status <> 'processing' THEN
+        RAISE EXCEPTION 'The delivery PIN can only be overridden while the remittance is in processing' USING ERRCODE = '22023';
+    END IF;
+
+    -- A cash remittance whose PIN row went missing can still be delivered this way
+    IF EXISTS (
+        SELECT 1 FROM public.remittance_types
+        WHERE id = v_remittance.remittance_type_id AND delivery_method = 'cash'
+    ) THEN
+        INSERT INTO public.remittance_delivery_pins (remittance_id)
+        VALUES (p_remittance_id)
+        ON CONFLICT (remittance_id) DO NOTHING;
+    END IF;
+
+    UPDATE public.remittance_delivery_pins
+    SET overridden_at = NOW(),
+        overridden_by = auth.uid(),
+        override_reason = btrim(p_reason)
+    WHERE remittance_id = p_remittance_id
+      AND verified_at IS NULL
+      AND overridden_at IS NULL
+    RETURNING * INTO v_pin;
+
+    IF NOT FOUND THEN
+        SELECT * INTO v_pin FROM public.remittance_delivery_pins WHERE remittance_id = p_remittance_id;
+        RETURN public.remittance_delivery_pin_status(v_pin);
+    END IF;
+
+    INSERT INTO public.activity_logs (action, entity_type, entity_id, performed_by, description, metadata)
+    VALUES (
+        'remittance_delivery_pin_overridden',
+        'remittance',
+        p_remittance_id,
+        COALESCE((SELECT email FROM public.user_profiles WHERE id = auth.uid()), auth.uid()::text),
+        'PIN de entrega omitido - Remesa ' || v_remittance.remittance_number,
+        jsonb_build_object(
+            'remittanceId', p_remittance_id,
+            'remittanceNumber', v_remittance.remittance_number,
+            'reason', btrim(p_reason),
+            'failedAttempts', v_pin.failed_attempts,
+            'wasLocked', v_pin.locked_at IS NOT NULL
+        )
+    );
+
+    RETURN public.remittance_delivery_pin_status(v_pin);
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- No cash remittance becomes delivered until its PIN is verified or
+-- overridden. Fails closed: a missing PIN row blocks delivery too.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.enforce_remittance_delivery_pin()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status = 'delivered' AND OLD.status IS DISTINCT FROM 'delivered' AND (
+        EXISTS (
+            SELECT 1 FROM public.remittance_delivery_pins
+            WHERE remittance_id = NEW.id
+              AND verified_at IS NULL
+              AND overridden_at IS NULL
+        )
+        OR (
+            EXISTS (
+                SELECT 1 FROM public.remittance_types
+                WHERE id = NEW.remittance_type_id AND delivery_method = 'cash'
+            )
+            AND NOT EXISTS (
+                SELECT 1 FROM public.remittance_delivery_pins
+                WHERE remittance_id = NEW.id
+            )
+        )
+    ) THEN
+        RAISE EXCEPTION 'The recipient''s delivery PIN has not been verified' USING ERRCODE = 'P0001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_remittance_delivery_pin ON public.remittances;
+CREATE TRIGGER enforce_remittance_delivery_pin
+    BEFORE UPDATE OF status ON public.remittances
+    FOR EACH ROW
+    EXECUTE FUNCTION public.enforce_remittance_delivery_pin();
+
+GRANT EXECUTE ON FUNCTION public.issue_remittance_delivery_pin(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_remittance_delivery_pin_status(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.verify_remittance_delivery_pin(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.override_remittance_delivery_pin(UUID, TEXT) TO authenticated;
@@ -0,0 +1,97 @@
+-- ============================================================================
+-- PUBLIC TRACKING
+-- Every order and remittance gets an unguessable tracking token. The public
+-- page /track/<tracking_token> lets the customer, or the recipient in Cuba,
+-- follow the status without an account.
+--
+-- get_public_tracking only runs for the service role: the `public-tracking`
+-- Edge Function calls it and signs the delivery proof thumbnail, so the
+-- storage path never leaves the server. Only status, dates and the
+-- recipient's first name are returned; no amounts, phones or addresses.
+-- ============================================================================
+
+ALTER TABLE public.remittances
+    ADD COLUMN IF NOT EXISTS tracking_token TEXT NOT NULL UNIQUE
+        DEFAULT replace(gen_random_uuid()::text, '-', '');
+
+ALTER TABLE public.orders
+    ADD COLUMN IF NOT EXISTS tracking_token TEXT NOT NULL UNIQUE
+        DEFAULT replace(gen_random_uuid()::text, '-', '');
+
+-- Tracking as JSON: { kind, number, status, recipient_first_name, created_at,
+-- estimated_delivery, delivered_at, history: [{ status, created_at }],
+-- proof_bucket, proof_path }; NULL if the token is unknown.
+CREATE OR REPLACE FUNCTION public.get_public_tracking(p_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_result JSONB;
+BEGIN
+    IF p_token IS NULL OR p_token !~ '^[0-9a-f]{32}$' THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'kind', 'remittance',
+        'number', r.remittance_number,
+        'status', r.status::text,
+        'recipient_first_name', nullif(split_part(trim(r.recipient_name), ' ', 1), ''),
+        'created_at', r.created_at,
+        'estimated_delivery', r.max_delivery_date,
+        'delivered_at', r.delivered_at,
+        'history', coalesce((
+            SELECT jsonb_agg(jsonb_build_object(
+                'status', h.new_status::text,
+                'created_at', h.created_at
+            ) ORDER BY h.created_at)
+            FROM remittance_status_history h
+            WHERE h.remittance_id = r.id
+        ), '[]'::jsonb),
+        'proof_bucket', 'remittance-delivery-proofs',
+        'proof_path', CASE WHEN r.status::text IN ('delivered', 'completed') THEN r.delivery_proof_url END
+    )
+    INTO v_result
+    FROM remittances r
+    WHERE r.tracking_token = p_token;
+
+    IF v_result IS NOT NULL THEN
+        RETURN v_result;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'kind', 'order',
+        'number', o.order_number,
+        'status', o.status::text,
+        'recipient_first_name', nullif(split_part(trim(coalesce(
+            o.recipient_info->>'fullName',
+            o.recipient_info->>'name',
+            ''
+        )), ' ', 1), ''),
+        'created_at', o.created_at,
+        'estimated_delivery', NULL,
+        'delivered_at', o.delivered_at,
+        'history', coalesce((
+            SELECT jsonb_agg(jsonb_build_object(
+                'status', h.new_status::text,
+                'created_at', h.created_at
+            ) ORDER BY h.created_at)
+            FROM order_status_history h
+            WHERE h.order_id = o.id
+        ), '[]'::jsonb),
+        'proof_bucket', 'order-delivery-proofs',
+        'proof_path', CASE WHEN o.status::text IN ('delivered', 'completed') THEN o.delivery_proof_url END
+    )
+    INTO v_result
+    FROM orders o
+    WHERE o.tracking_token = p_token;
+
+    RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_public_tracking(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_public_tracking(TEXT) TO service_role;
@@ -0,0 +1,609 @@
+-- ============================================================================
+-- NAMED PERMISSIONS AND STAFF ROLES
+-- Access was decided by the role string alone, so hiring someone to review
+-- payments meant making them a full admin. Actions are now named permissions
+-- (remittance.validate_payment, zelle.manage_accounts, settings.visual.edit,
+-- ...) grouped into permission roles that super admins edit from
+-- UserManagement and assign to users.
+--
+-- Effective permissions of a user (get_my_permissions):
+--   super_admin  -> '*' (everything)
+--   admin        -> every permission with admin_default, plus its permission role
+--   anyone else  -> the permissions of its permission role
+-- The client mirrors this in src/lib/permissions.js. The staff policies below
+-- are added next to the existing is_admin_user() ones, so admins keep
+-- exactly the access they had.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Catalog
+-- ----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.permissions (
+    key TEXT PRIMARY KEY CHECK (key ~ '^[a-z_]+(\.[a-z_]+)+$'),
+    description TEXT,
+    admin_default BOOLEAN NOT NULL DEFAULT true
+);
+
+COMMENT ON COLUMN public.permissions.admin_default IS 'Granted to every admin without a permission role (super admins always have all)';
+
+INSERT INTO public.permissions (key, description, admin_default) VALUES
+    ('remittance.view', 'Ver todas las remesas y sus comprobantes', true),
+    ('remittance.validate_payment', 'Validar o rechazar el pago de una remesa', true),
+    ('order.view', 'Ver todos los pedidos y sus comprobantes', true),
+    ('order.validate_payment', 'Validar o rechazar el pago de un pedido', true),
+    ('zelle.view_history', 'Ver el historial de pagos Zelle', true),
+    ('zelle.manage_accounts', 'Gestionar las cuentas Zelle y su rotación', true),
+    ('settings.visual.edit', 'Editar la configuración visual del negocio', true),
+    ('activity_log.view', 'Ver el registro de actividad', false),
+    ('users.manage_roles', 'Asignar roles (incluido admin) y editar los roles de permisos', false)
+ON CONFLICT (key) DO UPDATE
+SET description = EXCLUDED.description,
+    admin_default = EXCLUDED.admin_default;
+
+CREATE TABLE IF NOT EXISTS public.permission_roles (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE CHECK (length(trim(name)) > 0),
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_updated_at ON public.permission_roles;
+CREATE TRIGGER update_updated_at
+    BEFORE UPDATE ON public.permission_roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Only catalog keys; stored sorted and without duplicates
+CREATE OR REPLACE FUNCTION public.normalize_permission_role()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_unknown TEXT;
+BEGIN
+    SELECT k INTO v_unknown
+    FROM unnest(COALESCE(NEW.permissions, '{}')) k
+    WHERE NOT EXISTS (SELECT 1 FROM public.permissions p WHERE p.key = k)
+    LIMIT 1;
+
+    IF v_unknown IS NOT NULL THEN
+        RAISE EXCEPTION 'Permiso desconocido: %', v_unknown USING ERRCODE = '23514';
+    END IF;
+
+    NEW.name := trim(NEW.name);
+    NEW.permissions := ARRAY(SELECT DISTINCT k FROM unnest(COALESCE(NEW.permissions, '{}')) k ORDER BY k);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS normalize_permission_role ON public.permission_roles;
+CREATE TRIGGER normalize_permission_role
+    BEFORE INSERT OR UPDATE ON public.permission_roles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.normalize_permission_role();
+
+ALTER TABLE public.user_profiles
+ADD COLUMN IF NOT EXISTS permission_role_id UUID REFERENCES public.permission_roles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_permission_role
+    ON public.user_profiles(permission_role_id)
+    WHERE permission_role_id IS NOT NULL;
+
+COMMENT ON COLUMN public.user_profiles.permission_role_id IS 'Permission role (named permissions) on top of the role defaults';
+
+-- ----------------------------------------------------------------------------
+-- Helpers
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.get_my_permissions()
+ RETURNS text[]
+ LANGUAGE sql
+ STABLE SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT COALESCE(
+    (SELECT CASE
+       WHEN up.role::text = 'super_admin' THEN ARRAY['*']
+       ELSE ARRAY(
+         SELECT DISTINCT k FROM (
+           SELECT p.key AS k FROM public.permissions p
+           WHERE up.role::text = 'admin' AND p.admin_default
+           UNION ALL
+           SELECT unnest(pr.permissions)
+         ) granted
+         ORDER BY k
+       )
+     END
+     FROM public.user_profiles up
+     LEFT JOIN public.permission_roles pr ON pr.id = up.permission_role_id
+     WHERE up.id = auth.uid()
+     AND up.is_enabled = true),
+    '{}'::text[]
+  );
+$function$;
+
+CREATE OR REPLACE FUNCTION public.has_permission(p_permission text)
+ RETURNS boolean
+ LANGUAGE sql
+ STABLE SECURITY DEFINER
+ SET search_path = public
+AS $function$
+  SELECT '*' = ANY (perms) OR p_permission = ANY (perms)
+  FROM (SELECT public.get_my_permissions() AS perms) mine;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.get_my_permissions() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.has_permission(text) TO authenticated;
+
+-- Assign (or clear, with NULL) the permission role of a user, audited
+CREATE OR REPLACE FUNCTION public.set_user_permission_role(p_user_id uuid, p_role_id uuid)
+ RETURNS void
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_role_name TEXT;
+BEGIN
+  IF NOT has_permission('users.manage_roles') THEN
+    RAISE EXCEPTION 'Not allowed to assign permission roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_role_id IS NOT NULL THEN
+    SELECT name INTO v_role_name FROM permission_roles WHERE id = p_role_id;
+    IF v_role_name IS NULL THEN
+      RAISE EXCEPTION 'Permission role not found' USING ERRCODE = 'P0002';
+    END IF;
+  END IF;
+
+  UPDATE user_profiles
+  SET permission_role_id = p_role_id, updated_at = now()
+  WHERE id = p_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO activity_logs (action, entity_type, entity_id, performed_by, description, metadata)
+  VALUES (
+    'permission_role_assigned',
+    'user',
+    p_user_id,
+    COALESCE((SELECT email FROM user_profiles WHERE id = auth.uid()), auth.uid()::text),
+    CASE WHEN v_role_name IS NULL THEN 'Rol de permisos retirado' ELSE 'Rol de permisos asignado: ' || v_role_name END,
+    jsonb_build_object('permission_role_id', p_role_id, 'permission_role_name', v_role_name)
+  );
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.set_user_permission_role(uuid, uuid) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Nobody raises their own access: role and permission role only change with
+-- users.manage_roles (or from the service role / SQL, where there is no uid)
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.guard_user_profile_access_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.permission_role_id IS DISTINCT FROM OLD.permission_role_id)
+       AND auth.uid() IS NOT NULL
+       AND NOT public.has_permission('users.manage_roles') THEN
+        RAISE EXCEPTION 'Not allowed to change roles' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_user_profile_access_change ON public.user_profiles;
+CREATE TRIGGER guard_user_profile_access_change
+    BEFORE UPDATE ON public.user_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION public.guard_user_profile_access_change();
+
+-- ----------------------------------------------------------------------------
+-- RLS: catalog and roles
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE public.permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.permission_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "permissions_select" ON public.permissions;
+CREATE POLICY "permissions_select" ON public.permissions
+    FOR SELECT TO authenticated
+    USING (true);
+
+DROP POLICY IF EXISTS "permission_roles_select" ON public.permission_roles;
+CREATE POLICY "permission_roles_select" ON public.permission_roles
+    FOR SELECT TO authenticated
+    USING (
+        (select has_permission('users.manage_roles'))
+        OR id = (SELECT permission_role_id FROM public.user_profiles WHERE id = (select auth.uid()))
+    );
+
+DROP POLICY IF EXISTS "permission_roles_manage" ON public.permission_roles;
+CREATE POLICY "permission_roles_manage" ON public.permission_roles
+    FOR ALL TO authenticated
+    USING ((select has_permission('users.manage_roles')))
+    WITH CHECK ((select has_permission('users.manage_roles')));
+
+GRANT SELECT ON public.permissions TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.permission_roles TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- RLS: staff policies (permissive, next to the admin ones)
+-- ----------------------------------------------------------------------------
+
+-- Remittances: see them, and only move a submitted proof to validated/rejected
+DROP POLICY IF EXISTS "remittances_staff_select" ON public.remittances;
+CREATE POLICY "remittances_staff_select" ON public.remittances
+    FOR SELECT TO authenticated
+    USING ((select has_permission('remittance.view')));
+
+DROP POLICY IF EXISTS "remittances_staff_validate_payment" ON public.remittances;
+CREATE POLICY "remittances_staff_validate_payment" ON public.remittances
+    FOR UPDATE TO authenticated
+    USING (status = 'payment_proof_uploaded' AND (select has_permission('remittance.validate_payment')))
+    WITH CHECK (
+        status IN ('payment_proof_uploaded', 'payment_validated', 'payment_rejected')
+        AND (select has_permission('remittance.validate_payment'))
+    );
+
+DROP POLICY IF EXISTS "rsh_staff_select" ON public.remittance_status_history;
+CREATE POLICY "rsh_staff_select" ON public.remittance_status_history
+    FOR SELECT TO authenticated
+    USING ((select has_permission('remittance.view')));
+
+-- Orders: same for a pending order with its payment proof uploaded
+DROP POLICY IF EXISTS "orders_staff_select" ON public.orders;
+CREATE POLICY "orders_staff_select" ON public.orders
+    FOR SELECT TO authenticated
+    USING ((select has_permission('order.view')));
+
+DROP POLICY IF EXISTS "orders_staff_validate_payment" ON public.orders;
+CREATE POLICY "orders_staff_validate_payment" ON public.orders
+    FOR UPDATE TO authenticated
+    USING (status = 'pending' AND payment_status = 'proof_uploaded' AND (select has_permission('order.validate_payment')))
+    WITH CHECK (
+        status IN ('pending', 'processing')
+        AND payment_status IN ('proof_uploaded', 'validated', 'rejected')
+        AND (select has_permission('order.validate_payment'))
+    );
+
+DROP POLICY IF EXISTS "order_items_staff_select" ON public.order_items;
+CREATE POLICY "order_items_staff_select" ON public.order_items
+    FOR SELECT TO authenticated
+    USING ((select has_permission('order.view')));
+
+DROP POLICY IF EXISTS "osh_staff_select" ON public.order_status_history;
+CREATE POLICY "osh_staff_select" ON public.order_status_history
+    FOR SELECT TO authenticated
+    USING ((select has_permission('order.view')));
+
+-- Customers behind the remittances and orders staff review, and the users
+-- table of whoever assigns roles
+DROP POLICY IF EXISTS "user_profiles_staff_select" ON public.user_profiles;
+CREATE POLICY "user_profiles_staff_select" ON public.user_profiles
+    FOR SELECT TO authenticated
+    USING (
+        (select has_permission('remittance.view'))
+        OR (select has_permission('order.view'))
+        OR (select has_permission('users.manage_roles'))
+    );
+
+-- Zelle: history review (validation syncs its status) and account management.
+-- Staff only sign off the rows of what they validate; amounts, accounts and
+-- dates stay as recorded (restrict_staff_review_update below).
+DROP POLICY IF EXISTS "zth_staff_update" ON public.zelle_transaction_history;
+CREATE POLICY "zth_staff_update" ON public.zelle_transaction_history
+    FOR UPDATE TO authenticated
+    USING (
+        (transaction_type = 'remittance' AND (select has_permission('remittance.validate_payment')))
+        OR (transaction_type IN ('product', 'combo') AND (select has_permission('order.validate_payment')))
+    )
+    WITH CHECK (
+        status IN ('pending', 'validated', 'rejected')
+        AND validated_by = (select auth.uid())
+        AND (
+            (transaction_type = 'remittance' AND (select has_permission('remittance.validate_payment')))
+            OR (transaction_type IN ('product', 'combo') AND (select has_permission('order.validate_payment')))
+        )
+    );
+
+DROP POLICY IF EXISTS "zelle_accounts_staff_select" ON public.zelle_accounts;
+CREATE POLICY "zelle_accounts_staff_select" ON public.zelle_accounts
+    FOR SELECT TO authenticated
+    USING ((select has_permission('zelle.view_history')));
+
+DROP POLICY IF EXISTS "zelle_accounts_staff_manage" ON public.zelle_accounts;
+CREATE POLICY "zelle_accounts_staff_manage" ON public.zelle_accounts
+    FOR ALL TO authenticated
+    USING ((select has_permission('zelle.manage_accounts')))
+    WITH CHECK ((select has_permission('zelle.manage_accounts')));
+
+DROP POLICY IF EXISTS "zelle_rotation_settings_staff_manage" ON public.zelle_rotation_settings;
+CREATE POLICY "zelle_rotation_settings_staff_manage" ON public.zelle_rotation_settings
+    FOR ALL TO authenticated
+    USING ((select has_permission('zelle.manage_accounts')))
+    WITH CHECK ((select has_permission('zelle.manage_accounts')));
+
+-- Visual settings
+DROP POLICY IF EXISTS "business_visual_settings_staff_insert" ON public.business_visual_settings;
+CREATE POLICY "business_visual_settings_staff_insert" ON public.business_visual_settings
+    FOR INSERT TO authenticated
+    WITH CHECK ((select has_permission('settings.visual.edit')));
+
+DROP POLICY IF EXISTS "business_visual_settings_staff_update" ON public.business_visual_settings;
+CREATE POLICY "business_visual_settings_staff_update" ON public.business_visual_settings
+    FOR UPDATE TO authenticated
+    USING ((select has_permission('settings.visual.edit')))
+    WITH CHECK ((select has_permission('settings.visual.edit')));
+
+-- Activity log: staff record what they do, as themselves; reading it is its
+-- own permission
+ALTER TABLE public.activity_logs
+  ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL;
+
+DROP POLICY IF EXISTS "activity_logs_staff_insert" ON public.activity_logs;
+CREATE POLICY "activity_logs_staff_insert" ON public.activity_logs
+    FOR INSERT TO authenticated
+    WITH CHECK (
+        user_id = (select auth.uid())
+        AND cardinality((select get_my_permissions())) > 0
+    );
+
+DROP POLICY IF EXISTS "activity_logs_staff_select" ON public.activity_logs;
+CREATE POLICY "activity_logs_staff_select" ON public.activity_logs
+    FOR SELECT TO authenticated
+    USING ((select has_permission('activity_log.view')));
+
+-- Payment proofs
+DROP POLICY IF EXISTS "staff can view remittance payment proofs" ON storage.objects;
+CREATE POLICY "staff can view remittance payment proofs"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING (
+  bucket_id = 'remittance-proofs' AND
+  (select public.has_permission('remittance.view'))
+);
+
+DROP POLICY IF EXISTS "staff can view order payment proofs" ON storage.objects;
+CREATE POLICY "staff can view order payment proofs"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING (
+  bucket_id = 'order-documents' AND
+  (select public.has_permission('order.view'))
+);
+
+-- ----------------------------------------------------------------------------
+-- Staff reviewing a payment change its review columns only, like couriers in
+-- 000016: any other column keeps its old value. Arguments are the permission,
+-- then the columns it may change. Admins and the row's owner are not affected.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.restrict_staff_review_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF public.is_admin_user()
+       OR NOT coalesce(public.has_permission(TG_ARGV[0]), false)
+       OR (to_jsonb(OLD)->>'user_id') = auth.uid()::text THEN
+        RETURN NEW;
+    END IF;
+
+    RETURN jsonb_populate_record(
+        OLD,
+        (SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+         FROM jsonb_each(to_jsonb(NEW))
+         WHERE key = ANY (TG_ARGV[1:]))
+    );
+END;
+$$;
+
+DROP TRIGGER IF EXISTS restrict_staff_review_update ON public.remittances;
+CREATE TRIGGER restrict_staff_review_update
+    BEFORE UPDATE ON public.remittances
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_staff_review_update(
+        'remittance.validate_payment',
+        'status', 'payment_validated', 'payment_validated_at', 'payment_validated_by', 'payment_rejection_reason', 'updated_at'
+    );
+
+DROP TRIGGER IF EXISTS restrict_staff_review_update ON public.orders;
+CREATE TRIGGER restrict_staff_review_update
+    BEFORE UPDATE ON public.orders
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_staff_review_update(
+        'order.validate_payment',
+        'status', 'payment_status', 'validated_by', 'validated_at', 'rejection_reason', 'updated_at'
+    );
+
+-- Both validate permissions reach zelle_transaction_history; the policy
+-- already limits each one to its own transaction types
+DROP TRIGGER IF EXISTS restrict_staff_review_update_remittance ON public.zelle_transaction_history;
+CREATE TRIGGER restrict_staff_review_update_remittance
+    BEFORE UPDATE ON public.zelle_transaction_history
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_staff_review_update(
+        'remittance.validate_payment',
+        'status', 'validated_by', 'validated_at'
+    );
+
+DROP TRIGGER IF EXISTS restrict_staff_review_update_order ON public.zelle_transaction_history;
+CREATE TRIGGER restrict_staff_review_update_order
+    BEFORE UPDATE ON public.zelle_transaction_history
+    FOR EACH ROW
+    EXECUTE FUNCTION public.restrict_staff_review_update(
+        'order.validate_payment',
+        'status', 'validated_by', 'validated_at'
+    );
+
+-- ----------------------------------------------------------------------------
+-- Inventory: validating or rejecting an order payment sells or releases its
+-- held stock, so order.validate_payment is enough (same bodies as 000007/000008)
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.release_order_inventory(p_order_id uuid, p_reason text DEFAULT 'cancelled')
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+BEGIN
+  IF NOT is_admin_user() AND NOT has_permission('order.validate_payment') AND NOT EXISTS (
+    SELECT 1 FROM orders WHERE id = p_order_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not allowed to release stock for this order' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN close_inventory_holds(
+    ARRAY(SELECT id FROM inventory_holds WHERE order_id = p_order_id AND status = 'active'),
+    'released',
+    COALESCE(NULLIF(p_reason, ''), 'cancelled')
+  );
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.consume_order_inventory(p_order_id uuid)
+ RETURNS integer
+ LANGUAGE plpgsql
+ SECURITY DEFINER
+ SET search_path = public
+AS $function$
+DECLARE
+  v_order record;
+  v_item record;
+  v_hold inventory_holds%ROWTYPE;
+  v_alloc record;
+  v_remaining integer;
+  v_take integer;
+  v_sold integer := 0;
+BEGIN
+  IF NOT is_admin_user() AND NOT has_permission('order.validate_payment') THEN
+    RAISE EXCEPTION 'Not allowed to sell reserved stock' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id, status::text AS status INTO v_order
+  FROM orders WHERE id = p_order_id
+  FOR UPDATE; -- a second validation of the same order waits and then sees the sale
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', p_order_id;
+  END IF;
+
+  IF v_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending orders can sell their stock' USING ERRCODE = '55000';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM inventory_holds WHERE order_id = p_order_id AND status = 'consumed') THEN
+    RAISE EXCEPTION 'Stock of order % was already sold', p_order_id USING ERRCODE = '55000';
+  END IF;
+
+  FOR v_item IN
+    SELECT r.order_item_id, r.product_id, SUM(r.quantity)::integer AS quantity
+    FROM order_stock_requests(p_order_id) r
+    GROUP BY 1, 2
+    ORDER BY 2, 1
+  LOOP
+    v_remaining := v_item.quantity;
+
+    -- 1. Units this line already holds (holds from before per-line tracking match by product)
+    FOR v_hold IN
+      SELECT * FROM inventory_holds h
+      WHERE h.order_id = p_order_id
+        AND h.status = 'active'
+        AND h.product_id = v_item.product_id
+        AND (h.order_item_id IS NULL OR h.order_item_id IS NOT DISTINCT FROM v_item.order_item_id)
+      ORDER BY h.order_item_id NULLS LAST, h.inventory_id
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      v_take := LEAST(v_remaining, v_hold.quantity);
+
+      UPDATE inventory
+      SET quantity = quantity - v_take,
+          reserved_quantity = GREATEST(0, reserved_quantity - v_hold.quantity),
+          updated_at = now()
+      WHERE id = v_hold.inventory_id;
+
+      UPDATE inventory_holds
+      SET status = 'consumed',
+          quantity = v_take,
+          order_item_id = COALESCE(order_item_id, v_item.order_item_id),
+          closed_at = now(),
+          close_reason = 'payment_validated'
+      WHERE id = v_hold.id;
+
+      INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+      VALUES (v_hold.inventory_id, 'sold', -v_take, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+      IF v_take < v_hold.quantity THEN
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_hold.inventory_id, 'released', v_hold.quantity - v_take, p_order_id, 'order', 'Hold released: not sold', auth.uid());
+      END IF;
+
+      v_remaining := v_remaining - v_take;
+      v_sold := v_sold + v_take;
+    END LOOP;
+
+    -- 2. The rest from free stock, first-expired-first-out
+    IF v_remaining > 0 THEN
+      FOR v_alloc IN
+        SELECT * FROM allocate_inventory_stock(v_item.product_id, NULL, v_remaining)
+      LOOP
+        UPDATE inventory
+        SET quantity = quantity - v_alloc.alloc_quantity,
+            updated_at = now()
+        WHERE id = v_alloc.alloc_inventory_id;
+
+        INSERT INTO inventory_holds (order_id, order_item_id, inventory_id, product_id, quantity, status, expires_at, closed_at, close_reason, created_by)
+        SELECT p_order_id, v_item.order_item_id, i.id, i.product_id, v_alloc.alloc_quantity, 'consumed', now(), now(), 'payment_validated', auth.uid()
+        FROM inventory i WHERE i.id = v_alloc.alloc_inventory_id;
+
+        INSERT INTO inventory_movements (inventory_id, movement_type, quantity_change, reference_id, reference_type, notes, created_by)
+        VALUES (v_alloc.alloc_inventory_id, 'sold', -v_alloc.alloc_quantity, p_order_id, 'order', 'Sold - payment validated', auth.uid());
+
+        v_sold := v_sold + v_alloc.alloc_quantity;
+      END LOOP;
+    END IF;
+  END LOOP;
+
+  PERFORM close_inventory_holds(
+    ARRAY(SELECT id FROM inventory_holds WHERE order_id = p_order_id AND status = 'active'),
+    'released',
+    'not_sold'
+  );
+
+  PERFORM refresh_order_item_batches(p_order_id);
+
+  RETURN v_sold;
+END;
+$function$;
+
+GRANT EXECUTE ON FUNCTION public.release_order_inventory(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_order_inventory(uuid) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Starting role: payments operator (reviews and validates payments only)
+-- ----------------------------------------------------------------------------
+
+INSERT INTO public.permission_roles (name, description, permissions)
+VALUES (
+    'Operador de pagos',
+    'Revisa los comprobantes y valida o rechaza pagos de remesas y pedidos',
+    ARRAY['remittance.view', 'remittance.validate_payment', 'order.view', 'order.validate_payment', 'zelle.view_history']
+)
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,249 @@
+-- ============================================================================
+-- SERVER-PRICED REMITTANCE QUOTES
+-- Quotes are created by create_remittance_quote(), which reads the current
+-- rate, commission and offer itself and sets the expiry on the database clock.
+-- A quote is consumed by inserting the remittance that uses it: the insert
+-- copies the locked amounts, marks the quote consumed and links it, once.
+-- ============================================================================
+
+-- Rate of a remittance type, as getRemittanceExchangeRate() resolves it: the
+-- type's own rate when set, else the current exchange_rates row (direct or
+-- inverse) that already started.
+CREATE OR REPLACE FUNCTION public.resolve_remittance_exchange_rate(
+    p_from_code text,
+    p_to_code text,
+    p_type_rate numeric,
+    OUT rate numeric,
+    OUT rate_id uuid,
+    OUT source text
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF p_from_code = p_to_code THEN
+        rate := 1;
+        source := 'configured';
+        RETURN;
+    END IF;
+
+    IF coalesce(p_type_rate, 0) > 0 THEN
+        rate := p_type_rate;
+        source := 'type';
+        RETURN;
+    END IF;
+
+    SELECT er.rate, er.id INTO rate, rate_id
+      FROM exchange_rates er
+      JOIN currencies f ON f.id = er.from_currency_id
+      JOIN currencies t ON t.id = er.to_currency_id
+     WHERE f.code = p_from_code
+       AND t.code = p_to_code
+       AND er.is_active = true
+       AND er.effective_from <= NOW()
+     ORDER BY er.effective_from DESC
+     LIMIT 1;
+
+    IF rate IS NULL THEN
+        SELECT 1 / er.rate, er.id INTO rate, rate_id
+          FROM exchange_rates er
+          JOIN currencies f ON f.id = er.from_currency_id
+          JOIN currencies t ON t.id = er.to_currency_id
+         WHERE f.code = p_to_code
+           AND t.code = p_from_code
+           AND er.is_active = true
+           AND er.effective_from <= NOW()
+         ORDER BY er.effective_from DESC
+         LIMIT 1;
+    END IF;
+
+    IF rate IS NULL THEN
+        RAISE EXCEPTION 'No exchange rate configured for % to %', p_from_code, p_to_code
+            USING ERRCODE = 'P0002';
+    END IF;
+
+    source := 'configured';
+END;
+$$;
+
+-- Quote for the caller at the current rate and commission, valid 15 minutes
+CREATE OR REPLACE FUNCTION public.create_remittance_quote(
+    p_type_id uuid,
+    p_amount numeric,
+    p_offer_id uuid DEFAULT NULL
+)
+RETURNS public.remittance_quotes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id uuid := auth.uid();
+    v_type remittance_types%ROWTYPE;
+    v_offer offers%ROWTYPE;
+    v_rate record;
+    v_rule record;
+    v_commission numeric;
+    v_discount numeric := 0;
+    v_effective numeric;
+    v_quote remittance_quotes%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_type
+      FROM remittance_types
+     WHERE id = p_type_id
+       AND coalesce(is_active, true);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Remittance type % not found', p_type_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_amount IS NULL OR p_amount <= 0
+       OR p_amount < coalesce(v_type.min_amount, 0)
+       OR (v_type.max_amount IS NOT NULL AND p_amount > v_type.max_amount) THEN
+        RAISE EXCEPTION 'Amount % is outside the limits of this remittance type', p_amount
+            USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_rate
+      FROM resolve_remittance_exchange_rate(v_type.currency_code, v_type.delivery_currency, v_type.exchange_rate);
+
+    SELECT * INTO v_rule
+      FROM resolve_remittance_commission(
+        v_type.commission_schedule,
+        coalesce(v_type.commission_percentage, 0),
+        coalesce(v_type.commission_fixed, 0),
+        p_amount,
+        NOW()
+      );
+
+    v_commission := p_amount * v_rule.commission_percentage / 100 + v_rule.commission_fixed;
+
+    IF p_offer_id IS NOT NULL THEN
+        SELECT * INTO v_offer
+          FROM offers
+         WHERE id = p_offer_id
+           AND is_active = true
+           AND NOW() BETWEEN start_date AND end_date;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Offer % is not available', p_offer_id USING ERRCODE = '22023';
+        END IF;
+
+        IF v_offer.discount_type = 'percentage' THEN
+            v_discount := round(v_commission * v_offer.discount_value / 100, 2);
+        ELSIF v_offer.discount_type IN ('fixed', 'fixed_amount') THEN
+            v_discount := least(v_offer.discount_value, v_commission);
+        END IF;
+    END IF;
+
+    v_effective := greatest(0, v_commission - v_discount);
+
+    INSERT INTO remittance_quotes (
+        user_id, remittance_type_id, offer_id, amount,
+        exchange_rate, exchange_rate_source, exchange_rate_id,
+        commission_percentage, commission_fixed, original_commission,
+        discount_amount, commission_total, amount_to_deliver,
+        currency, delivery_currency, legs, expires_at
+    ) VALUES (
+        v_user_id, p_type_id, p_offer_id, p_amount,
+        v_rate.rate, v_rate.source, v_rate.rate_id,
+        v_rule.commission_percentage, v_rule.commission_fixed, round(v_commission, 2),
+        round(v_discount, 2), round(v_effective, 2), round((p_amount - v_effective) * v_rate.rate, 2),
+        v_type.currency_code, v_type.delivery_currency,
+        -- collect → commission → convert → deliver
+        jsonb_build_array(
+            jsonb_build_object('leg', 'collect', 'amount', p_amount, 'currency', v_type.currency_code),
+            jsonb_build_object('leg', 'commission', 'amount', round(v_effective, 2), 'currency', v_type.currency_code, 'discount', round(v_discount, 2)),
+            jsonb_build_object('leg', 'convert', 'amount', round(p_amount - v_effective, 2), 'currency', v_type.currency_code, 'rate', v_rate.rate),
+            jsonb_build_object('leg', 'deliver', 'amount', round((p_amount - v_effective) * v_rate.rate, 2), 'currency', v_type.delivery_currency)
+        ),
+        NOW() + interval '15 minutes'
+    )
+    RETURNING * INTO v_quote;
+
+    RETURN v_quote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.create_remittance_quote(uuid, numeric, uuid) TO authenticated;
+
+-- A remittance inserted with quote_id takes the quote's amounts. The quote
+-- must belong to the sender, match the type, amount and offer, be open and
+-- unexpired; the row lock makes two inserts with the same quote serialize and
+-- the second one fail. consumed_at is set once and never cleared.
+CREATE OR REPLACE FUNCTION public.consume_remittance_quote()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_quote remittance_quotes%ROWTYPE;
+BEGIN
+    IF NEW.quote_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO v_quote FROM remittance_quotes WHERE id = NEW.quote_id FOR UPDATE;
+    IF NOT FOUND OR v_quote.user_id IS DISTINCT FROM NEW.user_id THEN
+        RAISE EXCEPTION 'Quote % not found', NEW.quote_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_quote.remittance_type_id <> NEW.remittance_type_id
+       OR abs(v_quote.amount - NEW.amount_sent) >= 0.01
+       OR v_quote.offer_id IS DISTINCT FROM NEW.offer_id THEN
+        RAISE EXCEPTION 'Quote does not match the remittance type, amount or offer' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_quote.consumed_at IS NOT NULL OR v_quote.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'Quote % has expired or was already used', NEW.quote_id USING ERRCODE = '55000';
+    END IF;
+
+    NEW.amount_sent := v_quote.amount;
+    NEW.exchange_rate := v_quote.exchange_rate;
+    NEW.exchange_rate_id := v_quote.exchange_rate_id;
+    NEW.commission_percentage := v_quote.commission_percentage;
+    NEW.commission_fixed := v_quote.commission_fixed;
+    NEW.commission_total := v_quote.commission_total;
+    NEW.discount_amount := v_quote.discount_amount;
+    NEW.amount_to_deliver := v_quote.amount_to_deliver;
+    NEW.currency_sent := v_quote.currency;
+    NEW.currency_delivered := v_quote.delivery_currency;
+
+    UPDATE remittance_quotes SET consumed_at = NOW() WHERE id = v_quote.id;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Runs after the insert so the remittance exists for the foreign key
+CREATE OR REPLACE FUNCTION public.link_remittance_quote()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE remittance_quotes
+       SET remittance_id = NEW.id
+     WHERE id = NEW.quote_id
+       AND remittance_id IS NULL;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS consume_remittance_quote ON public.remittances;
+CREATE TRIGGER consume_remittance_quote
+    BEFORE INSERT ON public.remittances
+    FOR EACH ROW EXECUTE FUNCTION public.consume_remittance_quote();
+
+DROP TRIGGER IF EXISTS link_remittance_quote ON public.remittances;
+CREATE TRIGGER link_remittance_quote
+    AFTER INSERT ON public.remittances
+    FOR EACH ROW
+    WHEN (NEW.quote_id IS NOT NULL)
+    EXECUTE FUNCTION public.link_remittance_quote();
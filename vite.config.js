@@ -18,7 +18,33 @@ export default defineConfig({
     coverage: {
       provider: 'v8',
       reporter: ['text', 'lcov'],
-      include: ['src/lib/priceCalculationService.js', 'src/lib/remittanceCalculations.js'],
+      // Pure modules with unit tests (src/tests/unit/<module>.test.js)
+      include: [
+        'src/lib/priceCalculationService.js',
+        'src/lib/remittanceCalculations.js',
+        'src/lib/remittanceStateMachine.js',
+        'src/lib/orderStateMachine.js',
+        'src/lib/exchangeRateProviders.js',
+        'src/lib/exchangeRateSchedule.js',
+        'src/lib/zelleLimitForecast.js',
+        'src/lib/bankStatementImport.js',
+        'src/lib/reconciliationLedger.js',
+        'src/lib/inventoryHolds.js',
+        'src/lib/inventoryExpiry.js',
+        'src/lib/stockMovements.js',
+        'src/lib/reorderPlanning.js',
+        'src/lib/comboAvailability.js',
+        'src/lib/productVariants.js',
+        'src/lib/productSearch.js',
+        'src/lib/productCatalogCsv.js',
+        'src/lib/cartSync.js',
+        'src/lib/wishlists.js',
+        'src/lib/deliveryQueue.js',
+        'src/lib/routePlanning.js',
+        'src/lib/deliveryPin.js',
+        'src/lib/tracking.js',
+        'src/lib/permissions.js',
+      ],
     },
   },
    server: {